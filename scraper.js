@@ -6,11 +6,11 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 const fs = require("fs");
-// Suppress the "pre-main prep time" messages generated by tesseract.js (there is no other easy
-// way to suppress these messages because it appears that the code runs in a separate process and
-// so, for example, overriding console.log in the current process appears to have no effect).
-let text = fs.readFileSync("node_modules/tesseract.js-core/index.js").toString().replace(/Module.\$a\("pre-main prep time\: "\+\(Date\.now\(\)\-tj\)\+" ms"\)/g, "true");
-fs.writeFileSync("node_modules/tesseract.js-core/index.js", text);
+const path = require("path");
+const crypto = require("crypto");
+const http = require("http");
+const childprocess = require("child_process");
+const readline = require("readline");
 const cheerio = require("cheerio");
 const request = require("request-promise-native");
 const sqlite3 = require("sqlite3");
@@ -20,49 +20,506 @@ const pdfjs = require("pdfjs-dist");
 const tesseract = require("tesseract.js");
 const jimp = require("jimp");
 const didyoumean = require("didyoumean2");
+const nodemailer = require("nodemailer");
 sqlite3.verbose();
 const DevelopmentApplicationsUrl = "https://www.murraybridge.sa.gov.au/services/develop-plan-build/developmentandplanning/development-assessment-register?result_57806_result_page={0}";
 const CommentUrl = "mailto:council@murraybridge.sa.gov.au";
+// Characters that OCR commonly recognises instead of digits (along with the intended digits).
+const OcrDigitConfusions = { "O": "0", "o": "0", "D": "0", "Q": "0", "U": "0", "I": "1", "i": "1", "l": "1", "|": "1", "!": "1", "L": "1", "Z": "2", "z": "2", "E": "3", "A": "4", "S": "5", "s": "5", "$": "5", "G": "6", "b": "6", "T": "7", "B": "8", "&": "8", "g": "9", "q": "9" };
+// The decisions (or statuses) that may appear against an application in the register.
+const Decisions = ["Approved", "Refused", "Withdrawn", "Cancelled", "Lapsed", "Granted", "Deferred"];
+// The maximum number of PDFs that are parsed in a single run (avoid processing all PDFs at once
+// because this may use too much memory, resulting in morph.io terminating the current process)
+// and the maximum number of PDFs that are downloaded in a single run in order to check whether
+// they have changed since they were last parsed.
+const MaximumParsedPdfCount = 2;
+const MaximumCheckedPdfCount = 10;
+// The directory in which the words recognised in each image segment are cached (so that OCR does
+// not have to be repeated when the same PDF is parsed again).
+const OcrCacheDirectory = "ocrcache";
+// The field names commonly used for each kind of value in gazetteer extracts (such as the road
+// names, localities and address points published in state datasets).  Field names are matched
+// ignoring case and the first field name present in a record is used.
+const GazetteerFieldNames = {
+    streetNumber: ["HOUSE_NUMBER", "HOUSENUMBER", "HOUSE_NO", "STREET_NUMBER", "STREETNUMBER", "NUMBER"],
+    streetName: ["ROAD_NAME", "ROADNAME", "STREET_NAME", "STREETNAME"],
+    streetType: ["ROAD_TYPE", "ROADTYPE", "STREET_TYPE", "STREETTYPE"],
+    streetSuffix: ["ROAD_SUFFIX", "ROADSUFFIX", "STREET_SUFFIX", "SUFFIX"],
+    suburb: ["LOCALITY", "LOCALITY_NAME", "SUBURB", "SUBURB_NAME", "SUBURBNAME"],
+    postcode: ["POSTCODE", "POST_CODE", "PCODE"],
+    council: ["LGA", "LGA_NAME", "LGANAME", "COUNCIL", "COUNCIL_NAME"],
+    latitude: ["LATITUDE", "LAT"],
+    longitude: ["LONGITUDE", "LONG", "LNG", "LON"]
+};
+// The layout profile of the Crystal Report registers published by the council since 2015.  This is
+// the only definition of the default profile: it is always available (config.json only needs to
+// list additional profiles, or a profile with the same name to override some of its settings) and
+// it is also used for any setting that a layout profile in config.json does not specify.
+const DefaultLayoutProfile = {
+    name: "Crystal Report",
+    startLabels: ["Dev App No", "Dev App No."],
+    startLabelTolerance: 2,
+    startLabelCorrections: [["n0", "no"], ["n°", "no"], ["\"o", "no"], ["\"0", "no"], ["\"°", "no"], ["“°", "no"]],
+    assessmentLabels: ["Asses Num", "Assess Num", "Assessment Number"],
+    assessmentLabelTolerance: 2,
+    applicantLabel: "Applicant",
+    builderLabel: "Builder",
+    middleLabelTolerance: 3,
+    recordsLabel: "Records",
+    recordsLabelTolerance: 2,
+    dateFormat: "D/MM/YYYY",
+    middleMargin: 0.2,
+    dateRowSpan: 4,
+    groupLeeway: 3,
+    columnGap: 50
+};
+// The default configuration (any of these settings may be overridden in config.json).  The OCR
+// memory budget is in megabytes (and is compared with the resident set size of the process).  Each
+// watch zone has a name and any of "suburbs", "streets", "keywords" (matched against the
+// description) and a "point" ({ "latitude": ..., "longitude": ... }) with a "radius" in metres.
+// Digests are sent by email only if "smtp" is configured (as { "host", "port", "secure", "from",
+// "to" }; a zone may override "to" with its own "recipients").  The SMTP user name and password are
+// never read from config.json (which is committed) but from the MORPH_SMTP_USER and
+// MORPH_SMTP_PASSWORD environment variables (in the same way as MORPH_PROXY).  Two applications with
+// the same (or a near-identical) application number are treated as the same application when their
+// similarity (from 0 to 1, see getApplicationSimilarity) is at least the reconciliation similarity
+// threshold.  Similarly, the salt
+// used when the name policy is "hash" is read from the MORPH_NAME_HASH_SALT environment variable
+// (a salt that is published alongside the hashes would allow the names to be guessed).
+const DefaultConfiguration = {
+    ocrBackend: "tesseract.js",
+    tesseractPath: "tesseract",
+    ocrWorkerCount: 2,
+    ocrMemoryBudget: 400,
+    ocrWorkerJobLimit: 50,
+    preprocessingSteps: [],
+    // If detecting the scan orientation is enabled then a scanned image whose recognised text has
+    // a mean OCR confidence below the orientation confidence threshold is recognised again at the
+    // other orientations (in case the scan is upside down or sideways).  This is disabled by
+    // default because faint but upright scans are common and each retry is a full OCR pass.
+    detectScanOrientation: false,
+    orientationConfidenceThreshold: 60,
+    addressPointsFile: null,
+    suburbCentroidsFile: null,
+    namePolicy: "none",
+    reviewConfidenceThreshold: 70,
+    reconciliationSimilarityThreshold: 0.75,
+    watchZones: [],
+    digestDirectory: "digests",
+    digestFormat: "text",
+    smtp: null,
+    layoutProfiles: [DefaultLayoutProfile]
+};
+let Configuration = null;
+// The layout profile of the document currently being parsed (see selectLayoutProfile).
+let CurrentLayoutProfile = DefaultLayoutProfile;
+// The development applications that were first seen in the current run (these are matched against
+// the watch zones at the end of the run).  When the database is empty at the start of the run
+// (for example, on the first run) every application is new, so no digests are written.
+let NewApplications = [];
+let IsDatabaseInitiallyEmpty = false;
+// The OCR backend selected by the configuration (created when first used).
+let CurrentOcrBackend = undefined;
+// The pool of OCR workers and the callbacks of any OCR jobs waiting for a worker.
+let OcrWorkers = [];
+let OcrWorkerWaiters = [];
+// The number of image segments currently being parsed and the callbacks of any segments waiting
+// for a slot (see acquireSegmentSlot).
+let ActiveSegmentCount = 0;
+let SegmentSlotWaiters = [];
 // All valid street and suburb names.
 let SuburbNames = null;
 let StreetSuffixes = null;
 let StreetNames = null;
+// The co-ordinates of address points, streets (the centroid of the address points or road
+// segments on each street) and suburbs, keyed by the normalised address, street or suburb.
+let AddressPointCoordinates = {};
+let StreetCoordinates = {};
+let SuburbCoordinates = {};
+// The columns of the [data] table whose changes are recorded in the [history] table when an
+// application is scraped again (confidences and scrape details are excluded because they are
+// expected to change between runs).
+const HistoryColumnNames = ["address", "description", "date_received", "legal_description", "street_number", "unit", "street_name", "street_type", "suburb", "state", "postcode", "lat", "lng", "date_decided", "decision", "development_cost", "total_area", "applicant", "builder"];
+// The columns that have been added to the [data] table since it was first created (these are
+// added to any existing database when the database is set up).
+const AdditionalDataColumns = [
+    { name: "street_number", type: "text" },
+    { name: "unit", type: "text" },
+    { name: "street_name", type: "text" },
+    { name: "street_type", type: "text" },
+    { name: "suburb", type: "text" },
+    { name: "state", type: "text" },
+    { name: "postcode", type: "text" },
+    { name: "street_name_match", type: "text" },
+    { name: "suburb_match", type: "text" },
+    { name: "lat", type: "real" },
+    { name: "lng", type: "real" },
+    { name: "geocode_precision", type: "text" },
+    { name: "date_decided", type: "text" },
+    { name: "decision", type: "text" },
+    { name: "development_cost", type: "real" },
+    { name: "total_area", type: "real" },
+    { name: "applicant", type: "text" },
+    { name: "builder", type: "text" },
+    { name: "application_number_confidence", type: "real" },
+    { name: "address_confidence", type: "real" },
+    { name: "description_confidence", type: "real" },
+    { name: "date_received_confidence", type: "real" },
+    { name: "legal_description_confidence", type: "real" },
+    { name: "application_number_status", type: "text" },
+    { name: "date_first_scraped", type: "text" },
+    { name: "page_number", type: "integer" }
+];
 // Sets up an sqlite database.
 async function initializeDatabase() {
-    return new Promise((resolve, reject) => {
+    let database = await new Promise((resolve, reject) => {
         let database = new sqlite3.Database("data.sqlite");
         database.serialize(() => {
             database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [legal_description] text)");
+            database.run("create table if not exists [quarantine] ([info_url] text, [page_number] integer, [group_number] integer, [reason] text, [fields] text, [start_element] text, [elements] text, [date_quarantined] text, [application_number] text, primary key ([info_url], [page_number], [group_number]))");
+            database.run("create table if not exists [review_queue] ([council_reference] text primary key, [info_url] text, [field_name] text, [confidence] real, [date_queued] text)");
+            database.run("create table if not exists [documents] ([url] text primary key, [hash] text, [date_checked] text, [date_parsed] text, [application_count] integer, [record_count] integer)");
+            database.run("create table if not exists [history] ([council_reference] text, [field] text, [old_value] text, [new_value] text, [old_info_url] text, [info_url] text, [date_scraped] text)");
+            database.run("create table if not exists [reconciliation_log] ([council_reference] text, [info_url] text, [other_info_url] text, [decision] text, [new_council_reference] text, [similarity] real, [date_reconciled] text)");
+            database.run("create table if not exists [data_columns] ([name] text primary key, [date_added] text)");
             resolve(database);
         });
     });
+    // Add any columns that are missing from an existing [data] table (recording when each column
+    // was added so that the history of changes can ignore the empty values of existing rows).
+    let columnNames = (await getRows(database, "pragma table_info([data])", [])).map(row => row.name);
+    for (let column of AdditionalDataColumns) {
+        if (!columnNames.includes(column.name)) {
+            await runStatement(database, `alter table [data] add column [${column.name}] ${column.type}`, []);
+            await runStatement(database, "insert or replace into [data_columns] values (?, ?)", [column.name, moment().format("YYYY-MM-DD")]);
+        }
+    }
+    // Add the application number column to an existing [quarantine] table (applications that were
+    // quarantined before this column was added fall back to any application number in their
+    // parsed fields).
+    let quarantineColumnNames = (await getRows(database, "pragma table_info([quarantine])", [])).map(row => row.name);
+    if (!quarantineColumnNames.includes("application_number"))
+        await runStatement(database, "alter table [quarantine] add column [application_number] text", []);
+    // Add the column that records the application number under which a re-numbered (or merged)
+    // application was stored to an existing [reconciliation_log] table.
+    let reconciliationColumnNames = (await getRows(database, "pragma table_info([reconciliation_log])", [])).map(row => row.name);
+    if (!reconciliationColumnNames.includes("new_council_reference"))
+        await runStatement(database, "alter table [reconciliation_log] add column [new_council_reference] text", []);
+    IsDatabaseInitiallyEmpty = (await getRows(database, "select 1 from [data] limit 1", [])).length === 0;
+    return database;
 }
-// Inserts a row in the database if it does not already exist.
-async function insertRow(database, developmentApplication) {
+// Inserts a row in the database if it does not already exist.  If an existing row is specified
+// (because the development application was merged with that row) then any value missing from the
+// development application is taken from the existing row.  Any change to the values of a row
+// that was previously scraped is recorded in the [history] table.
+async function insertRow(database, developmentApplication, existingRow) {
+    let columnValues = [
+        { name: "council_reference", value: developmentApplication.applicationNumber },
+        { name: "address", value: developmentApplication.address },
+        { name: "description", value: developmentApplication.description },
+        { name: "info_url", value: developmentApplication.informationUrl },
+        { name: "comment_url", value: developmentApplication.commentUrl },
+        { name: "date_scraped", value: developmentApplication.scrapeDate },
+        { name: "date_received", value: developmentApplication.receivedDate },
+        { name: "legal_description", value: developmentApplication.legalDescription },
+        { name: "street_number", value: developmentApplication.streetNumber },
+        { name: "unit", value: developmentApplication.unit },
+        { name: "street_name", value: developmentApplication.streetName },
+        { name: "street_type", value: developmentApplication.streetType },
+        { name: "suburb", value: developmentApplication.suburb },
+        { name: "state", value: developmentApplication.state },
+        { name: "postcode", value: developmentApplication.postcode },
+        { name: "street_name_match", value: developmentApplication.streetNameMatch },
+        { name: "suburb_match", value: developmentApplication.suburbMatch },
+        { name: "lat", value: developmentApplication.latitude },
+        { name: "lng", value: developmentApplication.longitude },
+        { name: "geocode_precision", value: developmentApplication.geocodePrecision },
+        { name: "date_decided", value: developmentApplication.decisionDate },
+        { name: "decision", value: developmentApplication.decision },
+        { name: "development_cost", value: developmentApplication.developmentCost },
+        { name: "total_area", value: developmentApplication.totalArea },
+        { name: "applicant", value: developmentApplication.applicant },
+        { name: "builder", value: developmentApplication.builder },
+        { name: "application_number_confidence", value: developmentApplication.confidences.applicationNumber },
+        { name: "address_confidence", value: developmentApplication.confidences.address },
+        { name: "description_confidence", value: developmentApplication.confidences.description },
+        { name: "date_received_confidence", value: developmentApplication.confidences.receivedDate },
+        { name: "legal_description_confidence", value: developmentApplication.confidences.legalDescription },
+        { name: "application_number_status", value: developmentApplication.applicationNumberStatus },
+        { name: "date_first_scraped", value: developmentApplication.scrapeDate },
+        { name: "page_number", value: developmentApplication.pageNumber }
+    ];
+    if (existingRow !== undefined)
+        for (let columnValue of columnValues)
+            if ((columnValue.value === undefined || columnValue.value === null || columnValue.value === "") && existingRow[columnValue.name] !== undefined)
+                columnValue.value = existingRow[columnValue.name];
+    // Preserve the date on which the application was first scraped (rows saved before this date
+    // was recorded fall back to the date on which they were last scraped).
+    let previousRow = (await getRows(database, "select * from [data] where [council_reference] = ?", [developmentApplication.applicationNumber]))[0];
+    if (previousRow !== undefined) {
+        columnValues.find(columnValue => columnValue.name === "date_first_scraped").value = previousRow.date_first_scraped || previousRow.date_scraped;
+        await recordHistory(database, previousRow, columnValues, developmentApplication.scrapeDate);
+    }
     return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?, ?)");
-        sqlStatement.run([
-            developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
-            developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
-            developmentApplication.scrapeDate,
-            developmentApplication.receivedDate,
-            developmentApplication.legalDescription
-        ], function (error, row) {
+        let sqlStatement = database.prepare(`insert or replace into [data] (${columnValues.map(columnValue => `[${columnValue.name}]`).join(", ")}) values (${columnValues.map(columnValue => "?").join(", ")})`);
+        sqlStatement.run(columnValues.map(columnValue => columnValue.value), function (error, row) {
             if (error) {
                 console.error(error);
                 reject(error);
             }
             else {
-                console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\", legal description \"${developmentApplication.legalDescription}\" and received date \"${developmentApplication.receivedDate}\" to the database.`);
+                if (previousRow === undefined)
+                    NewApplications.push(developmentApplication); // only once the row has been saved
+                console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\", legal description \"${developmentApplication.legalDescription}\", received date \"${developmentApplication.receivedDate}\", decision \"${developmentApplication.decision}\" and decision date \"${developmentApplication.decisionDate}\" to the database.`);
                 sqlStatement.finalize(); // releases any locks
                 resolve(row);
             }
         });
     });
 }
+// Records the old and new values of any fields that changed when a previously scraped application
+// was scraped again (along with the source PDF of each value).  A missing value and an empty value
+// are treated as the same value.  A missing value in a column that was added to the [data] table
+// after the application was last scraped is not a change (the column simply did not exist then).
+async function recordHistory(database, previousRow, columnValues, scrapeDate) {
+    let formatValue = value => (value === undefined || value === null || value === "") ? null : value.toString();
+    let dateAddedByColumnName = {};
+    for (let row of await getRows(database, "select [name], [date_added] from [data_columns]", []))
+        dateAddedByColumnName[row.name] = row.date_added;
+    let informationUrl = columnValues.find(columnValue => columnValue.name === "info_url").value;
+    for (let columnValue of columnValues) {
+        if (!HistoryColumnNames.includes(columnValue.name) || formatValue(previousRow[columnValue.name]) === formatValue(columnValue.value))
+            continue;
+        let dateAdded = dateAddedByColumnName[columnValue.name];
+        if (formatValue(previousRow[columnValue.name]) === null && dateAdded !== undefined && previousRow.date_scraped <= dateAdded)
+            continue;
+        await runStatement(database, "insert into [history] values (?, ?, ?, ?, ?, ?, ?)", [
+            previousRow.council_reference,
+            columnValue.name,
+            formatValue(previousRow[columnValue.name]),
+            formatValue(columnValue.value),
+            previousRow.info_url,
+            informationUrl,
+            scrapeDate
+        ]);
+        console.log(`    Recorded a change to the ${columnValue.name} of application \"${previousRow.council_reference}\" from \"${formatValue(previousRow[columnValue.name])}\" to \"${formatValue(columnValue.value)}\".`);
+    }
+}
+// Displays the history of changes to the fields of an application.  A change between two
+// different PDFs is more likely to be a real amendment on the register, whereas a change when the
+// same PDF is parsed again is more likely to be OCR noise (or an improvement to the parser).
+async function showHistory(database, applicationNumber) {
+    let row = (await getRows(database, "select * from [data] where [council_reference] = ?", [applicationNumber]))[0];
+    if (row === undefined) {
+        console.log(`Application \"${applicationNumber}\" was not found.`);
+        return;
+    }
+    console.log(`Application \"${applicationNumber}\" (address \"${row.address}\", description \"${row.description}\", received date \"${row.date_received}\") from ${row.info_url}`);
+    let historyRows = await getRows(database, "select [rowid], * from [history] where [council_reference] = ? order by [rowid]", [applicationNumber]);
+    for (let historyRow of historyRows) {
+        let source = (historyRow.old_info_url === historyRow.info_url) ? `same document ${historyRow.info_url}` : `${historyRow.old_info_url} to ${historyRow.info_url}`;
+        console.log(`    ${historyRow.date_scraped}: ${historyRow.field} changed from \"${historyRow.old_value}\" to \"${historyRow.new_value}\" (${source})`);
+    }
+    console.log(`Found ${historyRows.length} change(s).`);
+}
+// Reports the applications that appear to be missing from each parsed document (from gaps in the
+// sequential application numbers and from any discrepancy between the record count printed in
+// the document and the number of applications extracted from it) and then the gaps between
+// documents across the whole database.  If a document URL is specified then only that document
+// is reported.
+async function reportMissingApplications(database, documentUrl) {
+    let rows = await getRows(database, "select [council_reference], [info_url], [page_number] from [data]", []);
+    let applications = rows.map(row => ({ applicationNumber: row.council_reference, informationUrl: row.info_url, pageNumber: row.page_number }));
+    // Applications that were quarantined often account for gaps (when their application numbers
+    // could be parsed).
+    let quarantinedApplications = {};
+    for (let row of await getRows(database, "select [page_number], [reason], [fields], [application_number] from [quarantine]", [])) {
+        let applicationNumber = row.application_number || JSON.parse(row.fields || "{}").applicationNumber;
+        if (applicationNumber)
+            quarantinedApplications[applicationNumber] = { reason: row.reason, pageNumber: row.page_number };
+    }
+    // A document may be specified by a local file (for example, "Registers/DevAppMay2016.pdf")
+    // even though it was parsed from the council web site, so fall back to matching the file name
+    // of the document.
+    let documentRows = await getRows(database, "select * from [documents] where [date_parsed] is not null order by [url]", []);
+    if (documentUrl !== undefined) {
+        let matchingDocumentRows = documentRows.filter(documentRow => documentRow.url === documentUrl);
+        if (matchingDocumentRows.length === 0)
+            matchingDocumentRows = documentRows.filter(documentRow => getUrlFileName(documentRow.url) === getUrlFileName(documentUrl));
+        documentRows = matchingDocumentRows;
+    }
+    if (documentUrl !== undefined && documentRows.length === 0) {
+        console.log(`Document \"${documentUrl}\" has not been parsed.`);
+        return;
+    }
+    let missingCount = 0;
+    for (let documentRow of documentRows) {
+        let missingApplications = findMissingApplications(applications.filter(application => application.informationUrl === documentRow.url));
+        let recordCountDiscrepancy = (documentRow.record_count === null || documentRow.record_count === -1) ? 0 : documentRow.record_count - documentRow.application_count;
+        if (missingApplications.length === 0 && recordCountDiscrepancy <= 0)
+            continue;
+        let recordCountSummary = (documentRow.record_count === null || documentRow.record_count === -1) ? "no record count" : `${documentRow.record_count} record(s), ${documentRow.application_count} extracted`;
+        console.log(`${documentRow.url} (${recordCountSummary}): ${missingApplications.length} missing application number(s).`);
+        for (let line of formatMissingApplications(missingApplications, quarantinedApplications))
+            console.log(`    ${line}`);
+        // Records that are not accounted for by gaps are probably at the start or end of the
+        // sequence (or have application numbers from a different year).
+        if (recordCountDiscrepancy > missingApplications.length)
+            console.log(`    ${recordCountDiscrepancy - missingApplications.length} record(s) not extracted are not accounted for by gaps in the application numbers.`);
+        missingCount += missingApplications.length;
+    }
+    if (documentUrl !== undefined) {
+        console.log(`Found ${missingCount} missing application number(s).`);
+        return;
+    }
+    // Gaps that span two documents are not found when each document is considered on its own.
+    let crossDocumentMissingApplications = findMissingApplications(applications).filter(missingApplication => missingApplication.previousApplication.informationUrl !== missingApplication.nextApplication.informationUrl);
+    if (crossDocumentMissingApplications.length > 0) {
+        console.log(`Across the database: ${crossDocumentMissingApplications.length} missing application number(s) between documents.`);
+        for (let line of formatMissingApplications(crossDocumentMissingApplications, quarantinedApplications))
+            console.log(`    ${line}`);
+    }
+    console.log(`Found ${missingCount + crossDocumentMissingApplications.length} missing application number(s).`);
+}
+// Inserts a row in the database, first reconciling the development application with any existing
+// row that has the same application number but was parsed from a different document (instead of
+// silently overwriting that row) or that has a near-identical application number (in case OCR
+// misread a digit in one of the two documents).  Each reconciliation decision is logged.  Returns
+// false if the application number conflicts with a different application and no alternative
+// number could be determined (in which case nothing is inserted and the application should be
+// quarantined for review).
+async function reconcileAndInsertRow(database, developmentApplication, usedApplicationNumbers, neighbourApplicationNumbers) {
+    let existingRow = (await getRows(database, "select * from [data] where [council_reference] = ?", [developmentApplication.applicationNumber]))[0];
+    if (existingRow !== undefined && existingRow.info_url === developmentApplication.informationUrl) {
+        await insertRow(database, developmentApplication);
+        return true;
+    }
+    // An application from another document with a near-identical number that is the same
+    // application is merged into that application (keeping the number under which it was first
+    // stored).  Any other near-identical number is simply a different application.
+    if (existingRow === undefined) {
+        let nearIdenticalApplicationNumbers = getNearIdenticalApplicationNumbers(developmentApplication.applicationNumber);
+        let nearIdenticalRows = (nearIdenticalApplicationNumbers.length === 0) ? [] : await getRows(database, `select * from [data] where [council_reference] in (${nearIdenticalApplicationNumbers.map(() => "?").join(", ")}) and [info_url] <> ?`, nearIdenticalApplicationNumbers.concat([developmentApplication.informationUrl]));
+        let bestRow = undefined;
+        let bestSimilarity = undefined;
+        for (let nearIdenticalRow of nearIdenticalRows) {
+            let similarity = getApplicationSimilarity(developmentApplication, { address: nearIdenticalRow.address, receivedDate: nearIdenticalRow.date_received, description: nearIdenticalRow.description });
+            if (similarity !== undefined && similarity >= Configuration.reconciliationSimilarityThreshold && (bestSimilarity === undefined || similarity > bestSimilarity)) {
+                bestRow = nearIdenticalRow;
+                bestSimilarity = similarity;
+            }
+        }
+        if (bestRow === undefined) {
+            await insertRow(database, developmentApplication);
+            return true;
+        }
+        await logReconciliation(database, { applicationNumber: developmentApplication.applicationNumber, informationUrl: developmentApplication.informationUrl, otherInformationUrl: bestRow.info_url, decision: "merged", newApplicationNumber: bestRow.council_reference, similarity: bestSimilarity });
+        console.log(`    Application number ${developmentApplication.applicationNumber} is near-identical to application number ${bestRow.council_reference} previously parsed from ${bestRow.info_url} (similarity ${bestSimilarity.toFixed(2)}): merged as ${bestRow.council_reference}.`);
+        developmentApplication.applicationNumber = bestRow.council_reference;
+        await insertRow(database, developmentApplication, bestRow);
+        return true;
+    }
+    let reconciliation = reconcileApplication(developmentApplication, { address: existingRow.address, receivedDate: existingRow.date_received, description: existingRow.description }, usedApplicationNumbers, neighbourApplicationNumbers);
+    await logReconciliation(database, { applicationNumber: developmentApplication.applicationNumber, informationUrl: developmentApplication.informationUrl, otherInformationUrl: existingRow.info_url, decision: reconciliation.decision, newApplicationNumber: reconciliation.applicationNumber, similarity: reconciliation.similarity });
+    console.log(`    Application number ${developmentApplication.applicationNumber} was previously parsed from ${existingRow.info_url} (similarity ${(reconciliation.similarity === undefined) ? "unknown" : reconciliation.similarity.toFixed(2)}): ${reconciliation.decision}${(reconciliation.decision === "renumbered") ? " as " + reconciliation.applicationNumber : ""}.`);
+    if (reconciliation.decision === "conflict")
+        return false;
+    if (reconciliation.decision === "merged")
+        await insertRow(database, developmentApplication, existingRow);
+    else {
+        developmentApplication.applicationNumber = reconciliation.applicationNumber;
+        developmentApplication.applicationNumberStatus = "renumbered";
+        usedApplicationNumbers.add(reconciliation.applicationNumber);
+        await insertRow(database, developmentApplication);
+    }
+    return true;
+}
+// Records a reconciliation decision in the log.
+async function logReconciliation(database, reconciliation) {
+    await runStatement(database, "insert into [reconciliation_log] ([council_reference], [info_url], [other_info_url], [decision], [new_council_reference], [similarity], [date_reconciled]) values (?, ?, ?, ?, ?, ?, ?)", [
+        reconciliation.applicationNumber,
+        reconciliation.informationUrl,
+        reconciliation.otherInformationUrl,
+        reconciliation.decision,
+        (reconciliation.newApplicationNumber === reconciliation.applicationNumber) ? null : reconciliation.newApplicationNumber,
+        (reconciliation.similarity === undefined) ? null : Math.round(reconciliation.similarity * 100) / 100,
+        moment().format("YYYY-MM-DD")
+    ]);
+}
+// Adds a development application to the review queue if the confidence of any of its fields is
+// below the configured threshold (or removes it from the review queue if all fields are now
+// above the threshold; for example, after a PDF is parsed again with an improved parser).
+async function updateReviewQueue(database, developmentApplication) {
+    let lowestFieldName = undefined;
+    for (let fieldName of Object.keys(developmentApplication.confidences))
+        if (developmentApplication.confidences[fieldName] !== null && (lowestFieldName === undefined || developmentApplication.confidences[fieldName] < developmentApplication.confidences[lowestFieldName]))
+            lowestFieldName = fieldName;
+    if (lowestFieldName !== undefined && developmentApplication.confidences[lowestFieldName] < Configuration.reviewConfidenceThreshold) {
+        await runStatement(database, "insert or replace into [review_queue] values (?, ?, ?, ?, ?)", [developmentApplication.applicationNumber, developmentApplication.informationUrl, lowestFieldName, developmentApplication.confidences[lowestFieldName], moment().format("YYYY-MM-DD")]);
+        console.log(`    Queued application \"${developmentApplication.applicationNumber}\" for review because the confidence of the ${lowestFieldName} field is ${developmentApplication.confidences[lowestFieldName]}.`);
+    }
+    else
+        await runStatement(database, "delete from [review_queue] where [council_reference] = ?", [developmentApplication.applicationNumber]);
+}
+// Executes an SQL statement that does not return any rows.
+async function runStatement(database, sql, parameters) {
+    return new Promise((resolve, reject) => {
+        database.run(sql, parameters, function (error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else
+                resolve(this.changes);
+        });
+    });
+}
+// Executes an SQL query and returns all resulting rows.
+async function getRows(database, sql, parameters) {
+    return new Promise((resolve, reject) => {
+        database.all(sql, parameters, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else
+                resolve(rows);
+        });
+    });
+}
+// Records the outcome of checking (and possibly parsing) a PDF in the ledger of processed
+// documents.  The application count and record count are only updated if the PDF was parsed.
+async function updateDocument(database, url, hash, isParsed, applicationCount, recordCount) {
+    let date = moment().format("YYYY-MM-DD HH:mm:ss");
+    await runStatement(database, "insert or ignore into [documents] ([url]) values (?)", [url]);
+    if (isParsed)
+        await runStatement(database, "update [documents] set [hash] = ?, [date_checked] = ?, [date_parsed] = ?, [application_count] = ?, [record_count] = ? where [url] = ?", [hash, date, date, applicationCount, recordCount, url]);
+    else
+        await runStatement(database, "update [documents] set [date_checked] = ? where [url] = ?", [date, url]);
+}
+// Replaces any applications previously quarantined from the specified PDF with the applications
+// that were rejected by the parser in the latest parse of that PDF.  The application number (as
+// parsed, if it could be read at all) is stored with each application so that the quarantined
+// applications can be matched against gaps in the application numbers (see
+// reportMissingApplications).
+async function quarantineApplications(database, url, rejectedApplications) {
+    await runStatement(database, "delete from [quarantine] where [info_url] = ?", [url]);
+    for (let rejectedApplication of rejectedApplications) {
+        await runStatement(database, "insert or replace into [quarantine] ([info_url], [page_number], [group_number], [reason], [fields], [start_element], [elements], [date_quarantined], [application_number]) values (?, ?, ?, ?, ?, ?, ?, ?, ?)", [
+            url,
+            rejectedApplication.pageNumber,
+            rejectedApplication.groupNumber,
+            rejectedApplication.reason,
+            JSON.stringify(rejectedApplication.fields),
+            JSON.stringify(rejectedApplication.startElement),
+            JSON.stringify(rejectedApplication.elements),
+            moment().format("YYYY-MM-DD"),
+            rejectedApplication.fields.applicationNumber || null
+        ]);
+    }
+    if (rejectedApplications.length > 0)
+        console.log(`    Quarantined ${rejectedApplications.length} application(s) that could not be parsed.`);
+}
 // Gets the highest Y co-ordinate of all elements that are considered to be in the same row as
 // the specified element.  Take care to avoid extremely tall elements (because these may otherwise
 // be considered as part of all rows and effectively force the return value of this function to
@@ -124,18 +581,87 @@ function getRightElement(elements, element) {
             closestElement = rightElement;
     return (closestElement.text === undefined) ? undefined : closestElement;
 }
-// Gets the text to the right of the specified startElement up to the left hand side of the
+// Gets the elements to the right of the specified startElement up to the left hand side of the
 // specified middleElement (adjusted left by 20% of the width of the middleElement as a safety
 // precaution).  Only elements that overlap 50% or more in the vertical direction with the
 // specified startElement are considered (ie. elements on the same "row" and not too tall).
-function getRightRowText(elements, startElement, middleElement) {
+function getRightRowElements(elements, startElement, middleElement) {
     let rowElements = elements.filter(element => element.x > startElement.x + startElement.width &&
-        element.x < middleElement.x - 0.2 * middleElement.width &&
+        element.x < middleElement.x - CurrentLayoutProfile.middleMargin * middleElement.width &&
         getVerticalOverlapPercentage(element, startElement) > 50);
-    // Sort and then join the elements into a single string.
+    // Sort the elements.
     let xComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
     rowElements.sort(xComparer);
-    return rowElements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ");
+    return rowElements;
+}
+// Gets the text to the right of the specified startElement up to the left hand side of the
+// specified middleElement (see getRightRowElements).
+function getRightRowText(elements, startElement, middleElement) {
+    return getRightRowElements(elements, startElement, middleElement).map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ");
+}
+// Gets the application number to the right of the specified startElement (allowing for a lot of
+// common parsing errors).  If the middleElement is not known (because the application is being
+// rejected) then only the first element to the right of the startElement that is not a date is
+// used, so that the rejected application can still be identified.
+function getApplicationNumberText(elements, startElement, middleElement) {
+    let rawApplicationNumber;
+    if (middleElement === undefined) {
+        let rowElements = elements.filter(element => element.x > startElement.x + startElement.width &&
+            getVerticalOverlapPercentage(element, startElement) > 50 &&
+            !moment(element.text.trim(), CurrentLayoutProfile.dateFormat, true).isValid());
+        rowElements.sort((a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0));
+        rawApplicationNumber = (rowElements.length === 0) ? "" : rowElements[0].text;
+    }
+    else
+        rawApplicationNumber = getRightRowText(elements, startElement, middleElement);
+    let applicationNumber = rawApplicationNumber.trim().replace(/\s/g, "").replace(/[IlL\[\]\|’,!\(\)\{\}]/g, "/").replace(/°/g, "0").replace(/'\//g, "1").replace(/\/\//g, "1/").replace(/201\?/g, "2017").replace(/‘/g, "").replace(/'/g, ""); // for example, converts "17I2017" to "17/2017"
+    if (applicationNumber.length >= 6 && /120[0-9][0-9]$/.test(applicationNumber))
+        applicationNumber = applicationNumber.substring(0, applicationNumber.length - 5) + "/" + applicationNumber.substring(applicationNumber.length - 4); // for example, converts "35612015" to "356/2015"
+    return applicationNumber;
+}
+// Reads the configuration from config.json (using the default value of any setting that is not
+// specified in that file).
+function readConfiguration() {
+    Configuration = Object.assign({}, DefaultConfiguration);
+    if (fs.existsSync("config.json"))
+        Object.assign(Configuration, JSON.parse(fs.readFileSync("config.json").toString()));
+    Configuration.layoutProfiles = Configuration.layoutProfiles.map(layoutProfile => Object.assign({}, DefaultLayoutProfile, layoutProfile));
+    if (!Configuration.layoutProfiles.some(layoutProfile => layoutProfile.name === DefaultLayoutProfile.name))
+        Configuration.layoutProfiles.push(DefaultLayoutProfile);
+    if (Configuration.namePolicy === "hash" && !process.env.MORPH_NAME_HASH_SALT)
+        throw new Error("The name policy is \"hash\" but no salt was specified (set the MORPH_NAME_HASH_SALT environment variable to a secret, non-empty value).");
+}
+// Selects the layout profile that best matches the specified elements (for example, the elements
+// of the first page of a document): the profile whose start label is found the most times (with
+// a bonus if its assessment label and its applicant or builder label are also found).  Returns
+// undefined if no profile matches.
+function selectLayoutProfile(elements) {
+    let bestLayoutProfile = undefined;
+    let bestScore = 0;
+    for (let layoutProfile of Configuration.layoutProfiles) {
+        let score = findStartElements(elements, layoutProfile).length;
+        if (score === 0)
+            continue;
+        if (layoutProfile.assessmentLabels.some(label => findElement(elements, label, false, layoutProfile.assessmentLabelTolerance) !== undefined))
+            score++;
+        if (elements.some(element => isLabel(element.text, layoutProfile.applicantLabel, layoutProfile) || isLabel(element.text, layoutProfile.builderLabel, layoutProfile)))
+            score++;
+        if (score > bestScore) {
+            bestLayoutProfile = layoutProfile;
+            bestScore = score;
+        }
+    }
+    return bestLayoutProfile;
+}
+// Formats the labels of a layout profile for a message (for example, "Applicant" or "Builder").
+function formatLabels(labels) {
+    let quotedLabels = labels.map(label => `"${label}"`);
+    return (quotedLabels.length <= 1) ? quotedLabels.join("") : `${quotedLabels.slice(0, -1).join(", ")} or ${quotedLabels[quotedLabels.length - 1]}`;
+}
+// Determines whether the text of an element matches the specified "Applicant" or "Builder" label
+// of a layout profile (allowing for spelling errors).
+function isLabel(text, label, layoutProfile) {
+    return didyoumean(text, [label], { caseSensitive: true, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: layoutProfile.middleLabelTolerance, trimSpace: true }) !== null;
 }
 // Reads all the address information into global objects.
 function readAddressInformation() {
@@ -161,6 +687,61 @@ function readAddressInformation() {
         SuburbNames[suburbName] = suburbStateAndPostCode;
     }
 }
+// Normalises a street number, street name or suburb name so that it can be used as a key when
+// looking up co-ordinates (for example, "Adelaide RD" becomes "ADELAIDE ROAD").
+function getGeocodingKey(...texts) {
+    return texts.map(text => text.trim().split(/\s+/).map(token => (StreetSuffixes[token.toLowerCase()] || token).toUpperCase()).join(" ")).join("|");
+}
+// Adds a point to the running total used to calculate the centroid of a street or suburb.
+function addToCentroid(centroids, key, latitude, longitude) {
+    let centroid = centroids[key] || (centroids[key] = { latitude: 0, longitude: 0, count: 0 });
+    centroid.latitude += latitude;
+    centroid.longitude += longitude;
+    centroid.count++;
+}
+// Reads the address points (or road segments) and suburb centroids used for offline geocoding
+// into global objects.  Street and suburb co-ordinates are averaged from all points found for
+// each street and suburb (explicit suburb centroids take precedence).
+function readGeocodingInformation(addressPointsFilePath, suburbCentroidsFilePath) {
+    AddressPointCoordinates = {};
+    let streetCentroids = {};
+    let suburbCentroids = {};
+    if (addressPointsFilePath) {
+        for (let feature of readGazetteerFeatures(addressPointsFilePath)) {
+            if (feature.coordinates === undefined)
+                continue;
+            let [longitude, latitude] = feature.coordinates;
+            let streetNumber = getGazetteerValue(feature.properties, GazetteerFieldNames.streetNumber);
+            let street = [getGazetteerValue(feature.properties, GazetteerFieldNames.streetName), getGazetteerValue(feature.properties, GazetteerFieldNames.streetType), getGazetteerValue(feature.properties, GazetteerFieldNames.streetSuffix)].join(" ");
+            let suburb = getGazetteerValue(feature.properties, GazetteerFieldNames.suburb);
+            if (suburb === "")
+                continue;
+            if (street.trim() !== "") {
+                if (streetNumber !== "")
+                    AddressPointCoordinates[getGeocodingKey(streetNumber, street, suburb)] = { latitude: latitude, longitude: longitude };
+                addToCentroid(streetCentroids, getGeocodingKey(street, suburb), latitude, longitude);
+            }
+            addToCentroid(suburbCentroids, getGeocodingKey(suburb), latitude, longitude);
+        }
+    }
+    if (suburbCentroidsFilePath) {
+        let explicitSuburbCentroids = {};
+        for (let feature of readGazetteerFeatures(suburbCentroidsFilePath)) {
+            let suburb = getGazetteerValue(feature.properties, GazetteerFieldNames.suburb);
+            if (feature.coordinates !== undefined && suburb !== "")
+                addToCentroid(explicitSuburbCentroids, getGeocodingKey(suburb), feature.coordinates[1], feature.coordinates[0]);
+        }
+        Object.assign(suburbCentroids, explicitSuburbCentroids);
+    }
+    let getAverage = centroid => ({ latitude: centroid.latitude / centroid.count, longitude: centroid.longitude / centroid.count });
+    StreetCoordinates = {};
+    for (let key of Object.keys(streetCentroids))
+        StreetCoordinates[key] = getAverage(streetCentroids[key]);
+    SuburbCoordinates = {};
+    for (let key of Object.keys(suburbCentroids))
+        SuburbCoordinates[key] = getAverage(suburbCentroids[key]);
+    console.log(`Read ${Object.keys(AddressPointCoordinates).length} address point(s), ${Object.keys(StreetCoordinates).length} street(s) and ${Object.keys(SuburbCoordinates).length} suburb(s) for geocoding.`);
+}
 // Gets the elements on the line above (typically an address line).  Note that the left hand side
 // of the leftElement is used to limit how far left the search for elements is performed (and so
 // avoids artefacts created at the very left hand side edge of the page being included as valid
@@ -170,7 +751,7 @@ function getAboveElements(elements, leftElement, belowElement, middleElement) {
     // left of the middleElement.  These elements correspond to address elements (assumed to be on
     // one single line).
     let addressElements = elements.filter(element => element.y < belowElement.y - belowElement.height &&
-        element.x < middleElement.x - 0.2 * middleElement.width &&
+        element.x < middleElement.x - CurrentLayoutProfile.middleMargin * middleElement.width &&
         element.x > leftElement.x - leftElement.height); // use height rather than width purposely (to avoid too much width)
     // Find the lowest address element (this is assumed to form part of the single line of the
     // address).  Note that middleElement.x is divided by two so that elements on the very right
@@ -182,7 +763,7 @@ function getAboveElements(elements, leftElement, belowElement, middleElement) {
         return [];
     // Obtain all elements on the same "line" as the lowest address element.
     addressElements = elements.filter(element => element.y < belowElement.y - belowElement.height &&
-        element.x < middleElement.x - 0.2 * middleElement.width &&
+        element.x < middleElement.x - CurrentLayoutProfile.middleMargin * middleElement.width &&
         element.x > leftElement.x - leftElement.height && // use height rather than width purposely (to avoid too much width)
         element.y >= addressBottomElement.y - Math.max(element.height, addressBottomElement.height));
     // Sort the address elements by Y co-ordinate and then by X co-ordinate (the Math.max
@@ -199,7 +780,7 @@ function getAboveElements(elements, leftElement, belowElement, middleElement) {
     // likely part of the description (not the address) because sometimes the description is
     // moved to the left, closer to the address (see "Crystal Report - DevAppSeptember 2015.pdf").
     for (let index = 1; index < addressElements.length; index++) {
-        if (addressElements[index].x - (addressElements[index - 1].x + addressElements[index - 1].width) > 50) { // gap greater than 50 pixels
+        if (addressElements[index].x - (addressElements[index - 1].x + addressElements[index - 1].width) > CurrentLayoutProfile.columnGap) { // a sizeable gap (50 pixels by default)
             if (addressElements[index - 1].confidence >= 60 && addressElements[index].confidence >= 60) { // avoid random marks and the edge of the paper being recognised as text
                 addressElements.length = index; // remove the element and all following elements that appear after a large gap
                 break;
@@ -208,21 +789,50 @@ function getAboveElements(elements, leftElement, belowElement, middleElement) {
     }
     return addressElements;
 }
+// Gets the elements containing dates to the right of the "Dev App No." text.
+function getDateElements(elements, startElement, middleElement) {
+    // Search to the right of "Dev App No." for the dates (including some leeway up and down a few
+    // "lines" from the "Dev App No." text because sometimes the dates are offset vertically by a
+    // fair amount; in some cases offset up and in other cases offset down).
+    return elements.filter(element => element.x >= middleElement.x &&
+        element.y + element.height > startElement.y - CurrentLayoutProfile.dateRowSpan * startElement.height &&
+        element.y < startElement.y + CurrentLayoutProfile.dateRowSpan * startElement.height &&
+        moment(element.text.trim(), CurrentLayoutProfile.dateFormat, true).isValid());
+}
 // Gets the element containining the received date.
 function getReceivedDateElement(elements, startElement, middleElement) {
-    // Search to the right of "Dev App No." for the lodged date (including some leeway up and
-    // down a few "lines" from the "Dev App No." text because sometimes the lodged date is offset
-    // vertically by a fair amount; in some cases offset up and in other cases offset down).
-    let dateElements = elements.filter(element => element.x >= middleElement.x &&
-        element.y + element.height > startElement.y - 4 * startElement.height &&
-        element.y < startElement.y + 4 * startElement.height &&
-        moment(element.text.trim(), "D/MM/YYYY", true).isValid());
+    let dateElements = getDateElements(elements, startElement, middleElement);
     // Select the left most date (ie. favour the "lodged" date over the "final descision" date).
     let receivedDateElement = dateElements.reduce((previous, current) => ((previous === undefined || previous.x > current.x) ? current : previous), undefined);
     return receivedDateElement;
 }
-// Gets the description.
-function getDescription(elements, startElement, middleElement, receivedDateElement) {
+// Gets the element containing the decision date (the right most date, which must be to the right
+// of the received date).
+function getDecisionDateElement(elements, startElement, middleElement, receivedDateElement) {
+    if (receivedDateElement === undefined)
+        return undefined;
+    let dateElements = getDateElements(elements, startElement, middleElement).filter(element => element.x > receivedDateElement.x + receivedDateElement.width);
+    return dateElements.reduce((previous, current) => ((previous === undefined || previous.x < current.x) ? current : previous), undefined);
+}
+// Gets the decision (or status) of the application, such as "Approved" or "Refused", from the
+// decision column: the first text (other than a date) on the same row to the right of the
+// decision date (or of the received date when there is no decision date).  Only a single
+// character may differ (allowing for OCR errors) so that other text is not taken as a decision.
+function getDecision(elements, receivedDateElement, decisionDateElement) {
+    let referenceElement = (decisionDateElement === undefined) ? receivedDateElement : decisionDateElement;
+    if (referenceElement === undefined)
+        return "";
+    let rowElements = elements.filter(element => element.x > referenceElement.x + referenceElement.width - 3 &&
+        getVerticalOverlapPercentage(element, referenceElement) > 50 &&
+        !moment(element.text.trim(), CurrentLayoutProfile.dateFormat, true).isValid());
+    let decisionElement = rowElements.reduce((previous, current) => ((previous === undefined || current.x < previous.x) ? current : previous), undefined);
+    if (decisionElement === undefined || decisionElement.text.trim().length < 5)
+        return "";
+    let decision = didyoumean(decisionElement.text.trim(), Decisions, { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true });
+    return (decision === null) ? "" : decision;
+}
+// Gets the elements that make up the description (sorted in reading order).
+function getDescriptionElements(elements, startElement, middleElement, receivedDateElement) {
     // Set the element which delineates the top of the description text.
     let descriptionTopElementY = (receivedDateElement === undefined) ? startElement.y : (receivedDateElement.y + receivedDateElement.height);
     // Set the element which delineates the bottom left of the description text.
@@ -230,20 +840,25 @@ function getDescription(elements, startElement, middleElement, receivedDateEleme
     // Extract the description text.
     let descriptionElements = elements.filter(element => element.y > descriptionTopElementY &&
         element.y < descriptionBottomLeftElement.y &&
-        element.x > descriptionBottomLeftElement.x - 0.2 * descriptionBottomLeftElement.width);
+        element.x > descriptionBottomLeftElement.x - CurrentLayoutProfile.middleMargin * descriptionBottomLeftElement.width);
     // Sort the description elements by Y co-ordinate and then by X co-ordinate (the Math.max
     // expressions exist to allow for the Y co-ordinates of elements to be not exactly aligned;
     // for example, hyphens in text such as "Retail Fitout - Shop 7").
     let elementComparer = (a, b) => (a.y > b.y + (Math.max(a.height, b.height) * 2) / 3) ? 1 : ((a.y < b.y - (Math.max(a.height, b.height) * 2) / 3) ? -1 : ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)));
     descriptionElements.sort(elementComparer);
+    return descriptionElements;
+}
+// Gets the description.
+function getDescription(elements, startElement, middleElement, receivedDateElement) {
     // Construct the description from the description elements.
-    return descriptionElements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ").replace(/ﬁ/g, "fi").replace(/ﬂ/g, "fl");
+    return getDescriptionElements(elements, startElement, middleElement, receivedDateElement).map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ").replace(/ﬁ/g, "fi").replace(/ﬂ/g, "fl");
 }
 // Formats (and corrects) an address.
 function formatAddress(address) {
+    let components = { streetNumber: "", unit: "", streetName: "", streetType: "", suburb: "", state: "", postcode: "", streetNameMatch: "none", suburbMatch: "none" };
     address = address.trim();
     if (address === "")
-        return { text: "", hasSuburb: false, hasStreet: false };
+        return { text: "", hasSuburb: false, hasStreet: false, components: components };
     // Correct one case where "T CE" was parsed instead of "TCE" (in the May 2016 PDF).  And
     // also correct several other special cases.  Only the first instance of the match is
     // replaced in each case (ie. the regular expressions do not have "g" suffixes).
@@ -278,28 +893,84 @@ function formatAddress(address) {
     // for a few spelling errors).
     let suburbName = null;
     for (let index = 1; index <= 4; index++) {
-        let suburbNameMatch = didyoumean(tokens.slice(-index).join(" "), Object.keys(SuburbNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
+        let suburbNameText = tokens.slice(-index).join(" ");
+        let suburbNameMatch = didyoumean(suburbNameText, Object.keys(SuburbNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
         if (suburbNameMatch !== null) {
             suburbName = SuburbNames[suburbNameMatch];
-            tokens.splice(-index, index); // remove elements from the end of the array
+            components.suburbMatch = (suburbNameText.trim().toLowerCase() === suburbNameMatch) ? "exact" : "fuzzy";
+            tokens.splice(-index, index); // remove elements from the end of the array           
             break;
         }
     }
     if (suburbName === null) // suburb name not found (or not recognised)
-        return { text: address, hasSuburb: false, hasStreet: false };
+        return { text: address, hasSuburb: false, hasStreet: false, components: components };
+    // Split the suburb name into the suburb, state and post code (for example, "MURRAY BRIDGE SA
+    // 5253").
+    let suburbTokens = suburbName.split(" ");
+    components.postcode = /^[0-9]{4}$/.test(suburbTokens[suburbTokens.length - 1]) ? suburbTokens.pop() : "";
+    components.state = (suburbTokens.length >= 2) ? suburbTokens.pop() : "";
+    components.suburb = suburbTokens.join(" ");
+    // Extract any unit number and street number (or range of street numbers) from the start of
+    // the address.  For example, "Unit 3 12 Smith ST", "3/12 Smith ST" or "12-14 Smith ST".
+    if (tokens.length >= 3 && /^(unit|u|shop|flat)$/i.test(tokens[0]) && /^[0-9]+[A-Za-z]?$/.test(tokens[1])) {
+        components.unit = tokens[1];
+        tokens.splice(0, 2);
+    }
+    let streetNumberMatch = (tokens.length >= 2) ? /^(?:([0-9]+[A-Za-z]?)\/)?([0-9]+[A-Za-z]?(?:-[0-9]+[A-Za-z]?)?)$/.exec(tokens[0]) : null;
+    if (streetNumberMatch !== null) {
+        if (streetNumberMatch[1] !== undefined)
+            components.unit = streetNumberMatch[1];
+        components.streetNumber = streetNumberMatch[2];
+        tokens.shift();
+    }
     // Expand an abbreviated street suffix.  For example, expand "RD" to "Road".
     let streetSuffixAbbreviation = tokens.pop() || "";
     let streetSuffix = StreetSuffixes[streetSuffixAbbreviation.toLowerCase()] || streetSuffixAbbreviation;
     // Allow minor spelling corrections in the remaining tokens to construct a street name.
     let streetName = (tokens.join(" ") + " " + streetSuffix).trim();
     let streetNameMatch = didyoumean(streetName, Object.keys(StreetNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
-    if (streetNameMatch !== null)
+    if (streetNameMatch !== null) {
+        components.streetNameMatch = (streetName.toLowerCase() === streetNameMatch.toLowerCase()) ? "exact" : "fuzzy";
         streetName = streetNameMatch;
-    return { text: (streetName + ((streetName === "") ? "" : ", ") + suburbName).trim(), hasSuburb: true, hasStreet: (streetName.length > 0) };
+    }
+    // Split the street name into the name and the type (for example, "Adelaide" and "Road").
+    let streetNameTokens = streetName.split(" ");
+    let streetTypes = Object.keys(StreetSuffixes).map(streetSuffix => StreetSuffixes[streetSuffix].toLowerCase());
+    if (streetNameTokens.length >= 2 && streetTypes.includes(streetNameTokens[streetNameTokens.length - 1].toLowerCase()))
+        components.streetType = streetNameTokens.pop();
+    components.streetName = streetNameTokens.join(" ");
+    // Construct the formatted address (for example, "3/12 Smith Street, MURRAY BRIDGE SA 5253").
+    let streetNumber = ((components.unit === "") ? "" : components.unit + "/") + components.streetNumber;
+    let street = ((streetNumber === "" || streetName === "") ? "" : streetNumber + " ") + streetName;
+    return { text: (street + ((street === "") ? "" : ", ") + suburbName).trim(), hasSuburb: true, hasStreet: (streetName.length > 0), components: components };
 }
-// Gets and formats the address.
+// Determines the co-ordinates of an address (without using any online service) by matching the
+// address against the address points, then the street centroids and then the suburb centroids.
+// The precision indicates which of these matched ("address", "street", "suburb" or "none").
+function geocodeAddress(components) {
+    let street = (components.streetName + " " + components.streetType).trim();
+    let streetNumber = components.streetNumber.split("-")[0]; // use the first number of a range
+    let coordinates = undefined;
+    let precision = "none";
+    if (street !== "" && streetNumber !== "" && (coordinates = AddressPointCoordinates[getGeocodingKey(streetNumber, street, components.suburb)]) !== undefined)
+        precision = "address";
+    else if (street !== "" && (coordinates = StreetCoordinates[getGeocodingKey(street, components.suburb)]) !== undefined)
+        precision = "street";
+    else if (components.suburb !== "" && (coordinates = SuburbCoordinates[getGeocodingKey(components.suburb)]) !== undefined)
+        precision = "suburb";
+    return {
+        latitude: (coordinates === undefined) ? null : Math.round(coordinates.latitude * 1000000) / 1000000,
+        longitude: (coordinates === undefined) ? null : Math.round(coordinates.longitude * 1000000) / 1000000,
+        precision: precision
+    };
+}
+// Gets and formats the address.  Hyphens and slashes are removed (as they always have been) except
+// between digits, where they are kept so that the street number and unit can be parsed (for
+// example, "12-14 Smith Street" and "3/12 Smith Street" were previously formatted as "1214 Smith
+// Street" and "312 Smith Street").  Note that this changes the formatted address of an existing
+// application with such a street number when it is scraped again.
 function joinAddressElements(elements) {
-    return elements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ").replace(/ﬁ/g, "fi").replace(/ﬂ/g, "fl").replace(/\\\//g, "V").replace(/‘/g, "").replace(/’/g, "").replace(/“/g, "").replace(/”/g, "").replace(/—/g, "").replace(/_/g, "").replace(/\./g, "").replace(/\-/g, "").replace(/\//g, "").replace(/!/g, "");
+    return elements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ").replace(/ﬁ/g, "fi").replace(/ﬂ/g, "fl").replace(/\\\//g, "V").replace(/‘/g, "").replace(/’/g, "").replace(/“/g, "").replace(/”/g, "").replace(/—/g, "").replace(/_/g, "").replace(/\./g, "").replace(/(?<![0-9])\-|\-(?![0-9])/g, "").replace(/(?<![0-9])\/|\/(?![0-9])/g, "").replace(/!/g, "");
 }
 function isAddress(address) {
     return address !== "" && !address.startsWith("Dev Cost") && !address.startsWith("Total Area") && !(address.includes(" Cost") && address.includes("$") && address.includes(",")); // ignores text such as "my Cost: $150,000" (really: "Dev Cost: $160,000") found in "Crystal Report - DevApp November 2015.pdf"
@@ -307,12 +978,100 @@ function isAddress(address) {
 function isLegalDescription(address) {
     return address !== "" && (address.startsWith("HD") || address.startsWith("LOT") || address.startsWith("PCE") || address.startsWith("PLT") || address.startsWith("SIT"));
 }
+// Parses a number from the start of the specified text, allowing for common OCR errors (such as
+// "O" instead of "0" and "l" instead of "1") and for spaces and commas between the digits.  For
+// example, "$1 5O,000 " is parsed as 150000.  Returns null if there is no number.
+function parseOcrNumber(text) {
+    let numberMatch = /^[0-9OoIlSB|]([0-9OoIlSB|,.]|\s(?=[0-9]))*/.exec(text.trim().replace(/^[:;$\s]+/, ""));
+    if (numberMatch === null || !/[0-9]/.test(numberMatch[0]))
+        return null;
+    let number = Number(numberMatch[0].replace(/[Oo]/g, "0").replace(/[Il|]/g, "1").replace(/S/g, "5").replace(/B/g, "8").replace(/[\s,]/g, "").replace(/\.$/, ""));
+    return isNaN(number) ? null : number;
+}
+// Gets the text of each line of elements to the left of the middleElement (where the address,
+// development cost and total area appear).
+function getLeftLines(elements, middleElement) {
+    let leftElements = elements.filter(element => element.x < middleElement.x - CurrentLayoutProfile.middleMargin * middleElement.width);
+    let yComparer = (a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : 0);
+    leftElements.sort(yComparer);
+    let lines = [];
+    for (let element of leftElements) {
+        let line = lines.find(line => getVerticalOverlapPercentage(line[0], element) > 50);
+        if (line === undefined)
+            lines.push([element]);
+        else
+            line.push(element);
+    }
+    let xComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
+    return lines.map(line => line.sort(xComparer).map(element => element.text).join(" ").trim().replace(/\s\s+/g, " "));
+}
+// Gets the text to the right of a label (such as "Applicant") on the same row, stopping at any
+// sizeable gap (which indicates the start of a different column).
+function getLabelValue(elements, labelElement) {
+    if (labelElement === undefined)
+        return "";
+    let valueElements = elements.filter(element => element.x > labelElement.x + labelElement.width - 3 &&
+        getVerticalOverlapPercentage(labelElement, element) > 50);
+    let xComparer = (a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
+    valueElements.sort(xComparer);
+    let previousElement = labelElement;
+    for (let index = 0; index < valueElements.length; index++) {
+        if (valueElements[index].x - (previousElement.x + previousElement.width) > CurrentLayoutProfile.columnGap) { // a sizeable gap (50 pixels by default)
+            valueElements.length = index;
+            break;
+        }
+        previousElement = valueElements[index];
+    }
+    return valueElements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ").replace(/^[:;.\-\s]+/, "");
+}
+// Determines whether a name appears to be the name of a company or organisation (rather than the
+// name of a private individual).
+function isCompanyName(name) {
+    return /\b(pty|ltd|limited|inc|corp|corporation|company|co|homes|builders?|building|constructions?|developments?|group|trust|council|department|government|services|association|church|club|school|plumbing|electrical|solar|designs?|holdings|investments|enterprises|industries|sheds?|pools?|architects?|australia)\b/i.test(name);
+}
+// Applies the configured policy to an applicant or builder name: "none" (names are not stored),
+// "store" (names are stored as is), "hash" (a salted hash of each name is stored, so that names
+// can be compared without being stored) or "companies" (only the names of companies and other
+// organisations are stored).
+function applyNamePolicy(name) {
+    if (name === "")
+        return "";
+    switch (Configuration.namePolicy) {
+        case "store":
+            return name;
+        case "hash":
+            return crypto.createHash("sha256").update(process.env.MORPH_NAME_HASH_SALT + name.toUpperCase().replace(/\s+/g, " ")).digest("hex");
+        case "companies":
+            return isCompanyName(name) ? name : "";
+        default:
+            return "";
+    }
+}
+// Gets the development cost and total area (in square metres) from the lines that start with
+// "Dev Cost" and "Total Area".  Allow for OCR errors; for example, "my Cost: $150,000" (really
+// "Dev Cost: $150,000") found in "Crystal Report - DevApp November 2015.pdf".  The word "cost"
+// may also appear in a description (for example, "Low cost 2 sheds"), so a cost is only accepted
+// from a line that contains a dollar sign or in which the word follows a "Dev" or "Development"
+// label.
+function getCostAndArea(elements, middleElement) {
+    let developmentCost = null;
+    let totalArea = null;
+    for (let line of getLeftLines(elements, middleElement)) {
+        let costMatch = /c[o0]s[tl]\b/i.exec(line);
+        if (developmentCost === null && costMatch !== null && (line.includes("$") || /\bd[e3]v(\.|[e3]l[o0]pm[e3]nt)?\s*$/i.test(line.substring(0, costMatch.index))))
+            developmentCost = parseOcrNumber(line.substring(costMatch.index + costMatch[0].length));
+        let areaMatch = /t[o0]ta[l1I]\s*ar[e3]a\b/i.exec(line);
+        if (totalArea === null && areaMatch !== null)
+            totalArea = parseOcrNumber(line.substring(areaMatch.index + areaMatch[0].length));
+    }
+    return { developmentCost: developmentCost, totalArea: totalArea };
+}
 function getAddress(elements, assessmentNumberElement, middleElement) {
     // Allow for up to three lines in the address.
     let addressLine3Elements = getAboveElements(elements, assessmentNumberElement, assessmentNumberElement, middleElement);
     let addressLine3 = joinAddressElements(addressLine3Elements);
     if (!isAddress(addressLine3))
-        return { address: undefined, legalDescription: undefined };
+        return { address: undefined, legalDescription: undefined, addressComponents: undefined, addressElements: undefined, legalDescriptionElements: undefined };
     let addressLine2Elements = getAboveElements(elements, assessmentNumberElement, addressLine3Elements[0], middleElement);
     let addressLine2 = joinAddressElements(addressLine2Elements);
     addressLine2 = isAddress(addressLine2) ? addressLine2 : "";
@@ -323,55 +1082,309 @@ function getAddress(elements, assessmentNumberElement, middleElement) {
     // spelling errors).  Note that if the address starts with a suburb then there may be a
     // street name on the line above.
     let formattedAddress = formatAddress(addressLine3);
-    if (!formattedAddress.hasStreet && isAddress(addressLine2) && !isLegalDescription(addressLine2))
+    let addressElements = addressLine3Elements;
+    if (!formattedAddress.hasStreet && isAddress(addressLine2) && !isLegalDescription(addressLine2)) {
         formattedAddress = formatAddress(addressLine2 + " " + formattedAddress.text);
+        addressElements = addressLine2Elements.concat(addressLine3Elements);
+    }
     // Attempt to extract any legal description (eg. a hundred name and lot number).
     let legalDescription = "";
-    if (isLegalDescription(addressLine1))
+    let legalDescriptionElements = [];
+    if (isLegalDescription(addressLine1)) {
         legalDescription += ((legalDescription === "") ? "" : " ") + addressLine1;
-    if (isLegalDescription(addressLine2))
+        legalDescriptionElements = legalDescriptionElements.concat(addressLine1Elements);
+    }
+    if (isLegalDescription(addressLine2)) {
         legalDescription += ((legalDescription === "") ? "" : " ") + addressLine2;
-    if (isLegalDescription(addressLine3))
+        legalDescriptionElements = legalDescriptionElements.concat(addressLine2Elements);
+    }
+    if (isLegalDescription(addressLine3)) {
         legalDescription += ((legalDescription === "") ? "" : " ") + addressLine3;
-    return { address: formattedAddress.text, legalDescription: legalDescription };
+        legalDescriptionElements = legalDescriptionElements.concat(addressLine3Elements);
+    }
+    return { address: formattedAddress.text, legalDescription: legalDescription, addressComponents: formattedAddress.components, addressElements: addressElements, legalDescriptionElements: legalDescriptionElements };
+}
+// Calculates the confidence (from 0 to 100) of a field from the OCR confidences of the elements
+// that make up the field (weighted by the length of the text of each element).  Elements from
+// the text layer of the PDF have no OCR confidence and so are treated as 100% confident.  The
+// result is multiplied by the specified correction factor (which is less than one when the text
+// of the field had to be corrected).  Returns null if the field has no elements.
+function getFieldConfidence(elements, correctionFactor) {
+    let textElements = (elements === undefined) ? [] : elements.filter(element => element.text.trim() !== "");
+    if (textElements.length === 0)
+        return null;
+    let totalWeight = 0;
+    let totalConfidence = 0;
+    for (let element of textElements) {
+        let weight = element.text.trim().length;
+        totalConfidence += weight * ((typeof element.confidence === "number") ? element.confidence : 100);
+        totalWeight += weight;
+    }
+    return Math.round((10 * correctionFactor * totalConfidence) / totalWeight) / 10;
+}
+// Gets the factor by which the confidence of an address is reduced when its street name or suburb
+// was matched fuzzily (that is, spelling errors were corrected) or not matched at all.
+function getAddressCorrectionFactor(addressComponents) {
+    let getFactor = (match) => (match === "exact") ? 1.0 : ((match === "fuzzy") ? 0.9 : 0.8);
+    return getFactor(addressComponents.suburbMatch) * ((addressComponents.streetName === "") ? 1.0 : getFactor(addressComponents.streetNameMatch));
 }
-// Parses the details from the elements associated with a single development application.
-function parseApplicationElements(elements, startElement, informationUrl) {
-    // Find the "Assessment Number" or "Asses Num" text.
+// Gets the month of a register PDF from its URL (for example, "Crystal Report - DevApp November
+// 2015.pdf").  Returns undefined if the URL does not contain a month and year.
+function getDocumentDate(url) {
+    let monthMatch = /(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*[^a-z0-9]*((19|20)[0-9]{2})/i.exec(decodeURIComponent(url));
+    if (monthMatch === null)
+        return undefined;
+    let documentDate = moment(`${monthMatch[1]} ${monthMatch[2]}`, "MMM YYYY");
+    return documentDate.isValid() ? documentDate : undefined;
+}
+// Gets the plausible years of an application number: the year of the register PDF and the
+// previous year (applications lodged late in the previous year may still appear) along with the
+// year in which the application was received.
+function getPlausibleYears(documentDate, receivedDate) {
+    let years = [];
+    if (documentDate !== undefined)
+        years.push(documentDate.year(), documentDate.year() - 1);
+    if (receivedDate !== undefined && receivedDate.isValid() && !years.includes(receivedDate.year()))
+        years.push(receivedDate.year());
+    if (years.length === 0)
+        for (let year = moment().year() + 1; year >= 1990; year--)
+            years.push(year);
+    return years;
+}
+// Validates an application number against the council's "NNN/YYYY" format.  A well-formed
+// application number is always kept as it is (even if its year is older than the register, since
+// a register may list applications lodged several years earlier).  If the application number is
+// malformed then ranked candidate corrections are generated by replacing characters that OCR
+// commonly confuses with digits, replacing other separators with "/", inserting a missing "/"
+// before the year and correcting a single digit of an implausible year (each such correction adds
+// to the cost of a candidate).  The status is "valid", "corrected" (a single best candidate was
+// found) or "unresolved".
+function validateApplicationNumber(applicationNumber, documentDate, receivedDate) {
+    let plausibleYears = getPlausibleYears(documentDate, receivedDate);
+    let preferredYear = plausibleYears[0];
+    let isWellFormed = (text) => { let match = /^([0-9]{1,4})\/([0-9]{4})$/.exec(text); return match !== null && Number(match[1]) > 0 && Number(match[2]) >= 1990 && Number(match[2]) <= moment().year() + 1; };
+    if (isWellFormed(applicationNumber))
+        return { status: "valid", applicationNumber: applicationNumber, candidates: [] };
+    // Generate the alternative readings of each character (along with the cost of each).
+    let characterOptions = applicationNumber.split("").map(character => {
+        if (/[0-9]/.test(character))
+            return [{ text: character, cost: 0 }];
+        else if (character === "/")
+            return [{ text: "/", cost: 0 }, { text: "1", cost: 1 }]; // a "1" is often recognised as "l", which was converted to "/"
+        else if (OcrDigitConfusions[character] !== undefined)
+            return [{ text: OcrDigitConfusions[character], cost: 1 }, { text: "/", cost: 1 }];
+        else if (/[\\\-_.:;]/.test(character))
+            return [{ text: "/", cost: 1 }];
+        else
+            return [{ text: "", cost: 1 }]; // ignore any other character
+    });
+    if (characterOptions.filter(options => options.length > 1).length > 12) // avoid an excessive number of combinations
+        return { status: "unresolved", applicationNumber: applicationNumber, candidates: [] };
+    let readings = [{ text: "", cost: 0 }];
+    for (let options of characterOptions) {
+        let nextReadings = [];
+        for (let reading of readings)
+            for (let option of options)
+                nextReadings.push({ text: reading.text + option.text, cost: reading.cost + option.cost });
+        readings = nextReadings;
+    }
+    // Convert each reading to a candidate application number (inserting any missing "/" before
+    // the year and correcting a single digit of an implausible year).
+    let candidates = [];
+    let addCandidate = (text, cost) => {
+        let existingCandidate = candidates.find(candidate => candidate.applicationNumber === text);
+        if (existingCandidate === undefined)
+            candidates.push({ applicationNumber: text, cost: cost });
+        else
+            existingCandidate.cost = Math.min(existingCandidate.cost, cost);
+    };
+    for (let reading of readings) {
+        let text = reading.text;
+        let cost = reading.cost;
+        if (!text.includes("/") && /^[0-9]{5,8}$/.test(text)) {
+            text = text.substring(0, text.length - 4) + "/" + text.substring(text.length - 4);
+            cost++;
+        }
+        let match = /^([0-9]{1,4})\/([0-9]{4})$/.exec(text);
+        if (match === null || Number(match[1]) === 0)
+            continue;
+        if (plausibleYears.includes(Number(match[2])))
+            addCandidate(text, cost);
+        else {
+            if (isWellFormed(text))
+                addCandidate(text, cost); // an older year that is not itself an OCR error
+            for (let year of plausibleYears) {
+                let differenceCount = year.toString().split("").filter((digit, index) => digit !== match[2].charAt(index)).length;
+                if (differenceCount === 1)
+                    addCandidate(`${match[1]}/${year}`, cost + 1);
+            }
+        }
+    }
+    // Rank the candidates by cost and then by how close the year is to the year of the document.
+    let getYearDistance = (candidate) => Math.abs(Number(candidate.applicationNumber.split("/")[1]) - preferredYear);
+    candidates.sort((a, b) => (a.cost !== b.cost) ? (a.cost - b.cost) : ((getYearDistance(a) !== getYearDistance(b)) ? (getYearDistance(a) - getYearDistance(b)) : (a.applicationNumber > b.applicationNumber ? 1 : (a.applicationNumber < b.applicationNumber ? -1 : 0))));
+    candidates = candidates.slice(0, 5);
+    // Accept the best candidate only if it is clearly better than the next candidate.
+    if (candidates.length > 0 && candidates[0].cost <= 3 && (candidates.length === 1 || candidates[0].cost < candidates[1].cost))
+        return { status: "corrected", applicationNumber: candidates[0].applicationNumber, candidates: candidates };
+    return { status: "unresolved", applicationNumber: applicationNumber, candidates: candidates };
+}
+// Calculates the similarity (from 0 to 1) of two strings based on the Levenshtein edit distance
+// (ignoring case and any characters other than letters and digits).
+function getTextSimilarity(text1, text2) {
+    let normalize = (text) => (text || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+    let a = normalize(text1);
+    let b = normalize(text2);
+    if (a.length === 0 && b.length === 0)
+        return 1;
+    let previousRow = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let currentRow = [i];
+        for (let j = 1; j <= b.length; j++)
+            currentRow.push(Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + ((a.charAt(i - 1) === b.charAt(j - 1)) ? 0 : 1)));
+        previousRow = currentRow;
+    }
+    return 1 - previousRow[b.length] / Math.max(a.length, b.length);
+}
+// Calculates the similarity (from 0 to 1) of two development applications by comparing their
+// addresses, received dates and descriptions.  Fields that are missing from either application
+// are ignored (returns undefined if there are no fields to compare).
+function getApplicationSimilarity(application1, application2) {
+    let isPresent = (value) => value !== undefined && value !== null && value !== "";
+    let comparisons = [
+        { weight: 0.4, value1: application1.address, value2: application2.address, getSimilarity: getTextSimilarity },
+        { weight: 0.3, value1: application1.receivedDate, value2: application2.receivedDate, getSimilarity: (value1, value2) => (value1 === value2) ? 1 : 0 },
+        { weight: 0.3, value1: application1.description, value2: application2.description, getSimilarity: getTextSimilarity }
+    ].filter(comparison => isPresent(comparison.value1) && isPresent(comparison.value2));
+    let totalWeight = comparisons.reduce((total, comparison) => total + comparison.weight, 0);
+    if (totalWeight === 0)
+        return undefined;
+    return comparisons.reduce((total, comparison) => total + comparison.weight * comparison.getSimilarity(comparison.value1, comparison.value2), 0) / totalWeight;
+}
+// Digits that OCR commonly confuses with each other (used to find near-identical application
+// numbers and when re-numbering an application whose number collides with that of a different
+// application).
+const OcrDigitSubstitutions = { "0": "869", "1": "74", "2": "7", "3": "859", "4": "19", "5": "6398", "6": "580", "7": "12", "8": "36095", "9": "85403" };
+// Gets the application numbers that differ from the specified application number by a single
+// commonly confused digit in the sequence number (for example, "358/2015" for "356/2015").
+function getNearIdenticalApplicationNumbers(applicationNumber) {
+    let match = /^([0-9]+)\/([0-9]{4})$/.exec(applicationNumber);
+    if (match === null)
+        return [];
+    let nearIdenticalApplicationNumbers = [];
+    for (let index = 0; index < match[1].length; index++)
+        for (let digit of (OcrDigitSubstitutions[match[1].charAt(index)] || "")) {
+            let sequenceNumber = Number(match[1].substring(0, index) + digit + match[1].substring(index + 1));
+            let nearIdenticalApplicationNumber = `${sequenceNumber}/${match[2]}`;
+            if (sequenceNumber !== 0 && nearIdenticalApplicationNumber !== applicationNumber && !nearIdenticalApplicationNumbers.includes(nearIdenticalApplicationNumber))
+                nearIdenticalApplicationNumbers.push(nearIdenticalApplicationNumber);
+        }
+    return nearIdenticalApplicationNumbers;
+}
+// Gets the best alternative for an application number that collides with the number of a
+// different application (assuming that OCR misread a single digit of the sequence number).  The
+// alternative must not already be in use and must be close to the sequence numbers of the other
+// applications in the same document.  Returns undefined if there is no single best alternative.
+function getAlternativeApplicationNumber(applicationNumber, usedApplicationNumbers, neighbourApplicationNumbers) {
+    let match = /^([0-9]+)\/([0-9]{4})$/.exec(applicationNumber);
+    if (match === null)
+        return undefined;
+    let sequenceNumbers = neighbourApplicationNumbers
+        .map(neighbourApplicationNumber => /^([0-9]+)\/([0-9]{4})$/.exec(neighbourApplicationNumber))
+        .filter(neighbourMatch => neighbourMatch !== null && neighbourMatch[2] === match[2] && neighbourMatch[1] !== match[1])
+        .map(neighbourMatch => Number(neighbourMatch[1]));
+    if (sequenceNumbers.length === 0)
+        return undefined;
+    let candidates = [];
+    for (let candidate of getNearIdenticalApplicationNumbers(applicationNumber)) {
+        if (usedApplicationNumbers.has(candidate))
+            continue;
+        let sequenceNumber = Number(candidate.split("/")[0]);
+        let distance = Math.min(...sequenceNumbers.map(number => Math.abs(number - sequenceNumber)));
+        if (distance <= 10)
+            candidates.push({ applicationNumber: candidate, distance: distance });
+    }
+    candidates.sort((a, b) => a.distance - b.distance);
+    if (candidates.length === 0 || (candidates.length >= 2 && candidates[0].distance === candidates[1].distance))
+        return undefined;
+    return candidates[0].applicationNumber;
+}
+// Reconciles a development application with a previously encountered application that has the
+// same application number.  If the two applications are similar enough (see the reconciliation
+// similarity threshold in DefaultConfiguration) then they are treated as the same application
+// ("merged"), otherwise the application is assumed to be an OCR misread of a different
+// application number and is given an alternative number ("renumbered").  If the applications have
+// no fields in common to compare, or no alternative number can be determined, then the decision
+// is "conflict" (and the application should be quarantined for review).
+function reconcileApplication(developmentApplication, otherApplication, usedApplicationNumbers, neighbourApplicationNumbers) {
+    let similarity = getApplicationSimilarity(developmentApplication, otherApplication);
+    if (similarity === undefined)
+        return { decision: "conflict", applicationNumber: developmentApplication.applicationNumber, similarity: similarity };
+    if (similarity >= Configuration.reconciliationSimilarityThreshold)
+        return { decision: "merged", applicationNumber: developmentApplication.applicationNumber, similarity: similarity };
+    let alternativeApplicationNumber = getAlternativeApplicationNumber(developmentApplication.applicationNumber, usedApplicationNumbers, neighbourApplicationNumbers);
+    if (alternativeApplicationNumber === undefined)
+        return { decision: "conflict", applicationNumber: developmentApplication.applicationNumber, similarity: similarity };
+    return { decision: "renumbered", applicationNumber: alternativeApplicationNumber, similarity: similarity };
+}
+// Merges two development applications that were determined to be the same application (any
+// field that is missing from the primary application is taken from the secondary application).
+function mergeApplications(primaryApplication, secondaryApplication) {
+    for (let fieldName of Object.keys(secondaryApplication))
+        if (primaryApplication[fieldName] === undefined || primaryApplication[fieldName] === null || primaryApplication[fieldName] === "")
+            primaryApplication[fieldName] = secondaryApplication[fieldName];
+    return primaryApplication;
+}
+// Parses the details from the elements associated with a single development application.  If a
+// rejectionHandler is specified then it is called with the reason and any fields parsed so far
+// when the development application is ignored.
+function parseApplicationElements(elements, startElement, informationUrl, rejectionHandler, regionHandler) {
+    let reportRegion = (regionName, regionElements) => {
+        if (regionHandler !== undefined)
+            regionHandler(regionName, regionElements.filter(element => element !== undefined));
+    };
+    // Find the "Assessment Number" or "Asses Num" text (or the assessment labels of the current
+    // layout profile, in order).
     // let assessmentNumberElement = getAssessmentNumberElement(elements, startElement);
-    let assessmentNumberElement = findElement(elements, "Asses Num", false);
-    if (assessmentNumberElement === undefined)
-        assessmentNumberElement = findElement(elements, "Assess Num", false);
-    if (assessmentNumberElement === undefined)
-        assessmentNumberElement = findElement(elements, "Assessment Number", false);
+    let assessmentNumberElement = undefined;
+    for (let label of CurrentLayoutProfile.assessmentLabels)
+        if (assessmentNumberElement === undefined)
+            assessmentNumberElement = findElement(elements, label, false, CurrentLayoutProfile.assessmentLabelTolerance);
     if (assessmentNumberElement === undefined) {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
-        console.log(`Could not find the \"Assessment Number\", \"Assess Num\" or \"Asses Num\" text on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        console.log(`Could not find the ${formatLabels(CurrentLayoutProfile.assessmentLabels)} text on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        if (rejectionHandler !== undefined)
+            rejectionHandler("Assessment Number not found", { applicationNumber: getApplicationNumberText(elements, startElement, undefined) });
         return undefined;
     }
     // Find the "Applicant" text (a useful reference point).
     let applicantElement = elements.find(element => element.y > startElement.y &&
-        didyoumean(element.text, ["Applicant"], { caseSensitive: true, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 3, trimSpace: true }) !== null);
+        isLabel(element.text, CurrentLayoutProfile.applicantLabel, CurrentLayoutProfile));
     // Find the "Builder" text (a useful reference point).
     let builderElement = elements.find(element => element.y > startElement.y &&
-        didyoumean(element.text, ["Builder"], { caseSensitive: true, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 3, trimSpace: true }) !== null);
+        isLabel(element.text, CurrentLayoutProfile.builderLabel, CurrentLayoutProfile));
     // One of either the applicant or builder elements is required in order to determine where
     // the description text starts on the X axis (and where the development application number
     // and address end on the X axis).
     let middleElement = (applicantElement === undefined) ? builderElement : applicantElement;
     if (middleElement === undefined) {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
-        console.log(`Could not find the \"Applicant\" or \"Builder\" text on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        console.log(`Could not find the ${formatLabels([CurrentLayoutProfile.applicantLabel, CurrentLayoutProfile.builderLabel])} text on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        if (rejectionHandler !== undefined)
+            rejectionHandler("Applicant or Builder not found", { applicationNumber: getApplicationNumberText(elements, startElement, undefined) });
         return undefined;
     }
+    reportRegion("middle", [middleElement]);
     // Get the application number (allowing for a lot of common parsing errors).
-    let applicationNumber = getRightRowText(elements, startElement, middleElement).trim().replace(/\s/g, "");
-    applicationNumber = applicationNumber.replace(/[IlL\[\]\|’,!\(\)\{\}]/g, "/").replace(/°/g, "0").replace(/'\//g, "1").replace(/\/\//g, "1/").replace(/201\?/g, "2017").replace(/‘/g, "").replace(/'/g, ""); // for example, converts "17I2017" to "17/2017"
-    if (applicationNumber.length >= 6 && /120[0-9][0-9]$/.test(applicationNumber))
-        applicationNumber = applicationNumber.substring(0, applicationNumber.length - 5) + "/" + applicationNumber.substring(applicationNumber.length - 4); // for example, converts "35612015" to "356/2015"
+    let applicationNumberElements = getRightRowElements(elements, startElement, middleElement);
+    reportRegion("applicationNumber", applicationNumberElements);
+    let rawApplicationNumber = getRightRowText(elements, startElement, middleElement).trim().replace(/\s/g, "");
+    let applicationNumber = getApplicationNumberText(elements, startElement, middleElement);
     if (applicationNumber === "") {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
         console.log(`Could not find the application number on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        if (rejectionHandler !== undefined)
+            rejectionHandler("Application number not found", {});
         return undefined;
     }
     console.log(`    Found \"${applicationNumber}\".`);
@@ -379,37 +1392,103 @@ function parseApplicationElements(elements, startElement, informationUrl) {
     let receivedDate = undefined;
     let receivedDateElement = getReceivedDateElement(elements, startElement, middleElement);
     if (receivedDateElement !== undefined)
-        receivedDate = moment(receivedDateElement.text.trim(), "D/MM/YYYY", true);
+        receivedDate = moment(receivedDateElement.text.trim(), CurrentLayoutProfile.dateFormat, true);
+    reportRegion("receivedDate", [receivedDateElement]);
+    // Validate the application number against the "NNN/YYYY" format (and a plausible year based
+    // on the month of the PDF and the received date), correcting it if there is a single best
+    // candidate correction.  An application number that cannot be resolved is flagged (rather
+    // than being used as the primary key).
+    let validation = validateApplicationNumber(applicationNumber, getDocumentDate(informationUrl), receivedDate);
+    if (validation.status === "unresolved") {
+        let candidateSummary = validation.candidates.map(candidate => candidate.applicationNumber).join(", ");
+        console.log(`Application number ${applicationNumber} will be ignored because it is not a valid "NNN/YYYY" application number${(candidateSummary === "") ? "" : " (candidates: " + candidateSummary + ")"}.`);
+        if (rejectionHandler !== undefined)
+            rejectionHandler("Invalid application number", { applicationNumber: applicationNumber, candidates: candidateSummary });
+        return undefined;
+    }
+    else if (validation.status === "corrected") {
+        console.log(`    Corrected application number \"${applicationNumber}\" to \"${validation.applicationNumber}\".`);
+        applicationNumber = validation.applicationNumber;
+    }
+    // Get the decision date and the decision (if the application has been decided).
+    let decisionDate = undefined;
+    let decisionDateElement = getDecisionDateElement(elements, startElement, middleElement, receivedDateElement);
+    if (decisionDateElement !== undefined)
+        decisionDate = moment(decisionDateElement.text.trim(), CurrentLayoutProfile.dateFormat, true);
+    let decision = getDecision(elements, receivedDateElement, decisionDateElement);
+    reportRegion("decisionDate", [decisionDateElement]);
     // Get the description.
     let description = getDescription(elements, startElement, middleElement, receivedDateElement);
+    reportRegion("description", getDescriptionElements(elements, startElement, middleElement, receivedDateElement));
     // Get the address.
-    let { address, legalDescription } = getAddress(elements, assessmentNumberElement, middleElement);
+    let { address, legalDescription, addressComponents, addressElements, legalDescriptionElements } = getAddress(elements, assessmentNumberElement, middleElement);
+    reportRegion("address", addressElements || []);
+    reportRegion("legalDescription", legalDescriptionElements || []);
     if (address === undefined) {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
-        console.log(`Application number ${applicationNumber} will be ignored because an address was not found or parsed (searching upwards from the "Assessment Number" or "Asses Num" text).  Elements: ${elementSummary}`);
+        console.log(`Application number ${applicationNumber} will be ignored because an address was not found or parsed (searching upwards from the \"${assessmentNumberElement.text}\" text).  Elements: ${elementSummary}`);
+        if (rejectionHandler !== undefined)
+            rejectionHandler("Address not found", { applicationNumber: applicationNumber, description: description, receivedDate: (receivedDate !== undefined && receivedDate.isValid()) ? receivedDate.format("YYYY-MM-DD") : "" });
         return undefined;
     }
+    // Get the applicant and builder names (subject to the configured policy for storing names).
+    let applicant = applyNamePolicy(getLabelValue(elements, applicantElement));
+    let builder = applyNamePolicy(getLabelValue(elements, builderElement));
+    // Get the development cost and total area (if present).
+    let { developmentCost, totalArea } = getCostAndArea(elements, middleElement);
+    // Determine the confidence of each field (based on the OCR confidence of the elements that
+    // make up the field and on how much correction was applied).
+    let confidences = {
+        applicationNumber: getFieldConfidence(applicationNumberElements, (validation.status === "corrected") ? 0.8 : ((applicationNumber === rawApplicationNumber) ? 1.0 : 0.9)),
+        address: getFieldConfidence(addressElements, getAddressCorrectionFactor(addressComponents)),
+        description: getFieldConfidence(getDescriptionElements(elements, startElement, middleElement, receivedDateElement), 1.0),
+        receivedDate: getFieldConfidence((receivedDateElement === undefined) ? [] : [receivedDateElement], 1.0),
+        legalDescription: getFieldConfidence(legalDescriptionElements, 1.0)
+    };
+    // Geocode the address (using local address points and suburb centroids).
+    let geocode = geocodeAddress(addressComponents);
     return {
         applicationNumber: applicationNumber,
+        applicationNumberStatus: validation.status,
         address: address,
         description: ((description === "") ? "No description provided" : description),
         informationUrl: informationUrl,
         commentUrl: CommentUrl,
         scrapeDate: moment().format("YYYY-MM-DD"),
         receivedDate: (receivedDate !== undefined && receivedDate.isValid()) ? receivedDate.format("YYYY-MM-DD") : "",
-        legalDescription: legalDescription
+        legalDescription: legalDescription,
+        decisionDate: (decisionDate !== undefined && decisionDate.isValid()) ? decisionDate.format("YYYY-MM-DD") : "",
+        decision: decision,
+        developmentCost: developmentCost,
+        totalArea: totalArea,
+        applicant: applicant,
+        builder: builder,
+        streetNumber: addressComponents.streetNumber,
+        unit: addressComponents.unit,
+        streetName: addressComponents.streetName,
+        streetType: addressComponents.streetType,
+        suburb: addressComponents.suburb,
+        state: addressComponents.state,
+        postcode: addressComponents.postcode,
+        streetNameMatch: addressComponents.streetNameMatch,
+        suburbMatch: addressComponents.suburbMatch,
+        latitude: geocode.latitude,
+        longitude: geocode.longitude,
+        geocodePrecision: geocode.precision,
+        confidences: confidences
     };
 }
 // Segments an image vertically and horizontally based on blocks of white (or almost white) pixels
 // in order to avoid using too much memory.  Very often a large image will be mostly white space.
 // A very simple horizontal and then vertical search is performed for consecutive lines of white
-// (or mostly white) pixels.
+// (or mostly white) pixels.  Returns the bounds of the segments (the image of each segment is
+// only extracted when it is about to be parsed, see getSegmentImage).
 function segmentImage(jimpImage) {
     let bounds = { x: 0, y: 0, width: jimpImage.bitmap.width, height: jimpImage.bitmap.height };
     // Only segment large images (do not waste time on small images which are already small enough
     // that they will not cause too much memory to be used).
     if (jimpImage.bitmap.width * jimpImage.bitmap.height < 400 * 400)
-        return [{ image: jimpImage, bounds: bounds }];
+        return [bounds];
     // Segment the image based on white space.
     let rectangles = [];
     let horizontalRectangles = [];
@@ -418,14 +1497,13 @@ function segmentImage(jimpImage) {
         horizontalRectangles = horizontalRectangles.concat(segmentImageHorizontally(jimpImage, verticalRectangle));
     for (let horizontalRectangle of horizontalRectangles)
         rectangles = rectangles.concat(segmentImageVertically(jimpImage, horizontalRectangle)); // repeat the segmentation vertically on the sub-images (because this may then produce even smaller images)
-    // Extract images delineated by the white space.
-    let segments = [];
-    for (let rectangle of rectangles) {
-        let croppedJimpImage = new jimp(rectangle.width, rectangle.height);
-        croppedJimpImage.blit(jimpImage, 0, 0, rectangle.x, rectangle.y, rectangle.width, rectangle.height);
-        segments.push({ image: croppedJimpImage, bounds: rectangle });
-    }
-    return segments;
+    return rectangles;
+}
+// Extracts the image of a segment (delineated by white space, see segmentImage) from an image.
+function getSegmentImage(jimpImage, rectangle) {
+    let croppedJimpImage = new jimp(rectangle.width, rectangle.height);
+    croppedJimpImage.blit(jimpImage, 0, 0, rectangle.x, rectangle.y, rectangle.width, rectangle.height);
+    return croppedJimpImage;
 }
 // Segments an image vertically (within the specified bounds) by searching for blocks of
 // consecutive, white (or close to white) horizontal lines.
@@ -512,7 +1590,7 @@ function getRecordCount(elements, startElement) {
     let topmostY = (startElement === undefined) ? Number.MAX_VALUE : startElement.y;
     // Find the "Records" text (allowing for spelling errors).
     let recordsElement = elements.find(element => element.y < topmostY &&
-        didyoumean(element.text, ["Records"], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true }) !== null);
+        didyoumean(element.text, [CurrentLayoutProfile.recordsLabel], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: CurrentLayoutProfile.recordsLabelTolerance, trimSpace: true }) !== null);
     // Get the number to the right of "Records".
     if (recordsElement !== undefined) {
         let recordNumberElement = elements.find(element => element.x > recordsElement.x + recordsElement.width &&
@@ -527,11 +1605,17 @@ function getRecordCount(elements, startElement) {
 }
 // Finds the start element of each development application on the current PDF page (there are
 // typically three development applications on a single page and each development application
-// typically begins with the text "Dev App No.").
-function findStartElements(elements) {
-    // Examine all the elements on the page that being with "D" or "d".
+// typically begins with the text "Dev App No.", or the start label of the layout profile).
+function findStartElements(elements, layoutProfile = CurrentLayoutProfile) {
+    let condensedLabels = layoutProfile.startLabels.map(label => label.replace(/[\s,\-_]/g, "").toLowerCase());
+    let firstCharacters = condensedLabels.map(label => label.charAt(0));
+    let shortestLength = Math.min(...condensedLabels.map(label => label.length));
+    let longestLength = Math.max(...condensedLabels.map(label => label.length));
+    let preferredLength = condensedLabels[condensedLabels.length - 1].length;
+    // Examine all the elements on the page that begin with "D" or "d" (or the first character of
+    // any start label).
     let startElements = [];
-    for (let element of elements.filter(element => element.text.trim().toLowerCase().startsWith("d"))) {
+    for (let element of elements.filter(element => firstCharacters.includes(element.text.trim().toLowerCase().charAt(0)))) {
         // Extract up to 10 elements to the right of the element that has text starting with the
         // letter "d" (and so may be the start of the "Dev App No" or "Dev App No." text).  Join
         // together the elements to the right in an attempt to find the best match to the text
@@ -541,17 +1625,20 @@ function findStartElements(elements) {
         let matches = [];
         do {
             rightElements.push(rightElement);
-            // Allow for common misspellings of the "no." text.
-            let text = rightElements.map(element => element.text).join("").replace(/[\s,\-_]/g, "").replace(/n0/g, "no").replace(/n°/g, "no").replace(/"o/g, "no").replace(/"0/g, "no").replace(/"°/g, "no").replace(/“°/g, "no").toLowerCase();
-            if (text.length >= 11) // stop once the text is too long
+            // Allow for common misspellings (such as of the "no." text).
+            let text = rightElements.map(element => element.text).join("").replace(/[\s,\-_]/g, "");
+            for (let correction of layoutProfile.startLabelCorrections)
+                text = text.split(correction[0]).join(correction[1]);
+            text = text.toLowerCase();
+            if (text.length >= longestLength + layoutProfile.startLabelTolerance) // stop once the text is too long
                 break;
-            if (text.length >= 7) { // ignore until the text is close to long enough
-                if (text === "devappno" || text === "devappno.")
-                    matches.push({ element: rightElement, threshold: 0, text: text });
-                else if (didyoumean(text, ["DevAppNo", "DevAppNo."], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true }) !== null)
-                    matches.push({ element: rightElement, threshold: 1, text: text });
-                else if (didyoumean(text, ["DevAppNo", "DevAppNo."], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true }) !== null)
-                    matches.push({ element: rightElement, threshold: 2, text: text });
+            if (text.length >= shortestLength - 1) { // ignore until the text is close to long enough
+                for (let threshold = 0; threshold <= layoutProfile.startLabelTolerance; threshold++) {
+                    if ((threshold === 0) ? condensedLabels.includes(text) : (didyoumean(text, condensedLabels, { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: threshold, trimSpace: true }) !== null)) {
+                        matches.push({ element: rightElement, threshold: threshold, text: text });
+                        break;
+                    }
+                }
             }
             rightElement = getRightElement(elements, rightElement);
         } while (rightElement !== undefined && rightElements.length < 10);
@@ -559,7 +1646,7 @@ function findStartElements(elements) {
         if (matches.length > 0) {
             let bestMatch = matches.reduce((previous, current) => (previous === undefined ||
                 current.threshold < previous.threshold ||
-                (current.threshold === previous.threshold && Math.abs(current.text.trim().length - "DevAppNo.".length) <= Math.abs(previous.text.trim().length - "DevAppNo.".length)) ? current : previous), undefined);
+                (current.threshold === previous.threshold && Math.abs(current.text.trim().length - preferredLength) <= Math.abs(previous.text.trim().length - preferredLength)) ? current : previous), undefined);
             startElements.push(bestMatch.element);
         }
     }
@@ -569,7 +1656,7 @@ function findStartElements(elements) {
     return startElements;
 }
 // Finds the element that most closely matches the specified text.
-function findElement(elements, text, shouldSelectRightmostElement) {
+function findElement(elements, text, shouldSelectRightmostElement, tolerance = 2) {
     // Examine all the elements on the page that being with the same character as the requested
     // text.
     let condensedText = text.replace(/[\s,\-_]/g, "").toLowerCase();
@@ -584,15 +1671,15 @@ function findElement(elements, text, shouldSelectRightmostElement) {
         do {
             rightElements.push(rightElement);
             let currentText = rightElements.map(element => element.text).join("").replace(/[\s,\-_]/g, "").toLowerCase();
-            if (currentText.length > condensedText.length + 2) // stop once the text is too long
+            if (currentText.length > condensedText.length + tolerance) // stop once the text is too long
                 break;
-            if (currentText.length >= condensedText.length - 2) { // ignore until the text is close to long enough
-                if (currentText === condensedText)
-                    matches.push({ leftElement: rightElements[0], rightElement: rightElement, threshold: 0, text: currentText });
-                else if (didyoumean(currentText, [condensedText], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true }) !== null)
-                    matches.push({ leftElement: rightElements[0], rightElement: rightElement, threshold: 1, text: currentText });
-                else if (didyoumean(currentText, [condensedText], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true }) !== null)
-                    matches.push({ leftElement: rightElements[0], rightElement: rightElement, threshold: 2, text: currentText });
+            if (currentText.length >= condensedText.length - tolerance) { // ignore until the text is close to long enough
+                for (let threshold = 0; threshold <= tolerance; threshold++) {
+                    if ((threshold === 0) ? (currentText === condensedText) : (didyoumean(currentText, [condensedText], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: threshold, trimSpace: true }) !== null)) {
+                        matches.push({ leftElement: rightElements[0], rightElement: rightElement, threshold: threshold, text: currentText });
+                        break;
+                    }
+                }
             }
             rightElement = getRightElement(elements, rightElement);
         } while (rightElement !== undefined && rightElements.length < 5); // up to 5 elements
@@ -648,22 +1735,515 @@ function convertToJimpImage(image) {
     }
     return jimpImage;
 }
-// Parses an image (from a PDF document).
-async function parseImage(image, bounds) {
-    // Convert the image data into a format that can be used by jimp and then segment the image
-    // based on blocks of white.
-    let segments = segmentImage(convertToJimpImage(image));
+// The image preprocessing steps that may be listed (in the order in which they are to be applied)
+// in the "preprocessingSteps" setting.  Each step is applied to every image segment before OCR.
+const PreprocessingSteps = ["deskew", "binarize", "despeckle", "removeRules", "upscale"];
+// Gets the grey level (0 is black and 255 is white) of each pixel of an image.
+function getGreyLevels(jimpImage) {
+    let data = jimpImage.bitmap.data;
+    let levels = new Uint8Array(jimpImage.bitmap.width * jimpImage.bitmap.height);
+    for (let index = 0; index < levels.length; index++)
+        levels[index] = Math.round(0.299 * data[index * 4] + 0.587 * data[index * 4 + 1] + 0.114 * data[index * 4 + 2]);
+    return levels;
+}
+// Sets the pixels of an image to the specified grey levels (one per pixel).
+function setGreyLevels(jimpImage, levels) {
+    let data = jimpImage.bitmap.data;
+    for (let index = 0; index < levels.length; index++) {
+        data[index * 4] = data[index * 4 + 1] = data[index * 4 + 2] = levels[index];
+        data[index * 4 + 3] = 255;
+    }
+}
+// Straightens a slightly rotated scan.  The skew angle (up to 3 degrees either way) is the angle
+// at which the dark pixels project onto the sharpest horizontal profile (ie. the angle at which
+// the rows of text line up).  Returns the straightened image along with the angle by which it was
+// rotated (zero if it was not rotated).
+function deskewImage(jimpImage) {
+    let width = jimpImage.bitmap.width;
+    let height = jimpImage.bitmap.height;
+    let levels = getGreyLevels(jimpImage);
+    let bestAngle = 0;
+    let bestScore = -1;
+    for (let angle = -3; angle <= 3; angle += 0.25) {
+        let tangent = Math.tan(angle * Math.PI / 180);
+        let offset = Math.ceil(Math.abs(tangent) * width);
+        let rowCounts = new Float64Array(height + 2 * offset + 1);
+        for (let y = 0; y < height; y += 2) // sample every second row and column (for speed)
+            for (let x = 0; x < width; x += 2)
+                if (levels[y * width + x] < 128)
+                    rowCounts[Math.round(y + x * tangent) + offset]++;
+        let score = rowCounts.reduce((total, count) => total + count * count, 0);
+        if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(bestAngle))) {
+            bestAngle = angle;
+            bestScore = score;
+        }
+    }
+    if (Math.abs(bestAngle) < 0.25)
+        return { image: jimpImage, angle: 0 };
+    console.log(`    Deskewing an image by ${bestAngle}°.`);
+    return { image: jimpImage.background(0xffffffff).rotate(bestAngle, false), angle: bestAngle };
+}
+// Maps a point in an image that was rotated (anticlockwise, by the specified number of degrees,
+// about its centre and without resizing it) back to the corresponding point in the image before
+// it was rotated.  This is the same mapping that jimp uses to find the source of each pixel.
+function unrotatePoint(point, angle, width, height) {
+    let radians = angle * Math.PI / 180;
+    let cosine = Math.cos(radians);
+    let sine = Math.sin(radians);
+    let x = point.x - width / 2;
+    let y = height / 2 - point.y; // cartesian co-ordinates (Y increasing upwards)
+    return { x: width / 2 + cosine * x - sine * y, y: height / 2 - (sine * x + cosine * y) };
+}
+// Converts an image to black and white using an adaptive threshold (each pixel is compared with
+// the mean grey level of the surrounding window, so that uneven lighting and faint scans are
+// handled better than with a single global threshold).
+function binarizeImage(jimpImage) {
+    let width = jimpImage.bitmap.width;
+    let height = jimpImage.bitmap.height;
+    let levels = getGreyLevels(jimpImage);
+    // Calculate the integral image (the sum of the grey levels above and to the left of each
+    // pixel) so that the sum of any window can be calculated quickly.
+    let integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += levels[y * width + x];
+            integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
+    }
+    let radius = Math.max(7, Math.round(Math.min(width, height) / 16));
+    let binaryLevels = new Uint8Array(levels.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+            let y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+            let sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+            let count = (x1 - x0) * (y1 - y0);
+            binaryLevels[y * width + x] = (levels[y * width + x] * count < sum * 0.85) ? 0 : 255; // darker than 85% of the local mean
+        }
+    }
+    setGreyLevels(jimpImage, binaryLevels);
+    return jimpImage;
+}
+// Removes isolated dark pixels (specks with at most one dark neighbouring pixel).
+function despeckleImage(jimpImage) {
+    let width = jimpImage.bitmap.width;
+    let height = jimpImage.bitmap.height;
+    let levels = getGreyLevels(jimpImage);
+    let despeckledLevels = Uint8Array.from(levels);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (levels[y * width + x] >= 128)
+                continue;
+            let darkNeighbourCount = 0;
+            for (let dy = -1; dy <= 1; dy++)
+                for (let dx = -1; dx <= 1; dx++)
+                    if ((dx !== 0 || dy !== 0) && x + dx >= 0 && x + dx < width && y + dy >= 0 && y + dy < height && levels[(y + dy) * width + x + dx] < 128)
+                        darkNeighbourCount++;
+            if (darkNeighbourCount <= 1)
+                despeckledLevels[y * width + x] = 255;
+        }
+    }
+    setGreyLevels(jimpImage, despeckledLevels);
+    return jimpImage;
+}
+// Removes the horizontal and vertical rule lines of tables (runs of dark pixels that are much
+// longer than any stroke of a character).
+function removeRuleLines(jimpImage) {
+    let width = jimpImage.bitmap.width;
+    let height = jimpImage.bitmap.height;
+    let levels = getGreyLevels(jimpImage);
+    let cleanedLevels = Uint8Array.from(levels);
+    let minimumHorizontalLength = Math.max(50, Math.round(width / 4));
+    let minimumVerticalLength = Math.max(50, Math.round(height / 4));
+    for (let y = 0; y < height; y++) {
+        let runStart = 0;
+        for (let x = 0; x <= width; x++) {
+            if (x < width && levels[y * width + x] < 128)
+                continue;
+            if (x - runStart >= minimumHorizontalLength)
+                cleanedLevels.fill(255, y * width + runStart, y * width + x);
+            runStart = x + 1;
+        }
+    }
+    for (let x = 0; x < width; x++) {
+        let runStart = 0;
+        for (let y = 0; y <= height; y++) {
+            if (y < height && levels[y * width + x] < 128)
+                continue;
+            if (y - runStart >= minimumVerticalLength)
+                for (let runY = runStart; runY < y; runY++)
+                    cleanedLevels[runY * width + x] = 255;
+            runStart = y + 1;
+        }
+    }
+    setGreyLevels(jimpImage, cleanedLevels);
+    return jimpImage;
+}
+// Applies the specified preprocessing steps (see PreprocessingSteps) to an image.  Returns the
+// processed image along with a function that maps a point in the processed image back to the
+// original image (allowing for any deskewing and for upscaling, because upscaling small images
+// makes small text easier to recognise; the image is only upscaled if it remains small enough to
+// avoid using too much memory).
+function preprocessImage(jimpImage, steps) {
+    let pointMappings = [];
+    for (let step of steps) {
+        if (step === "deskew") {
+            let width = jimpImage.bitmap.width;
+            let height = jimpImage.bitmap.height;
+            let deskewedImage = deskewImage(jimpImage);
+            jimpImage = deskewedImage.image;
+            if (deskewedImage.angle !== 0)
+                pointMappings.push(point => unrotatePoint(point, deskewedImage.angle, width, height));
+        }
+        else if (step === "binarize")
+            jimpImage = binarizeImage(jimpImage);
+        else if (step === "despeckle")
+            jimpImage = despeckleImage(jimpImage);
+        else if (step === "removeRules")
+            jimpImage = removeRuleLines(jimpImage);
+        else if (step === "upscale") {
+            if (jimpImage.bitmap.width * jimpImage.bitmap.height * 4 <= 1000 * 1000) {
+                jimpImage = jimpImage.scale(2, jimp.RESIZE_BEZIER);
+                pointMappings.push(point => ({ x: point.x / 2, y: point.y / 2 }));
+            }
+        }
+        else
+            throw new Error(`Unknown preprocessing step "${step}" (expected one of: ${PreprocessingSteps.join(", ")}).`);
+    }
+    return { image: jimpImage, mapPoint: (point) => pointMappings.reduceRight((mappedPoint, pointMapping) => pointMapping(mappedPoint), point) };
+}
+// Calculates the key under which the words recognised in an image are cached.  This is a hash of
+// the pixel data of the image and the settings used when recognising the words (so that changing
+// the OCR settings or the OCR engine does not result in stale words being used).
+function getOcrCacheKey(jimpImage, ocrSettings) {
+    return crypto.createHash("sha256")
+        .update(JSON.stringify({ width: jimpImage.bitmap.width, height: jimpImage.bitmap.height, settings: ocrSettings }))
+        .update(jimpImage.bitmap.data)
+        .digest("hex");
+}
+// Reads the cached words for the specified cache key (returning undefined if there are no cached
+// words).
+function readOcrCache(cacheKey) {
+    let cacheFilePath = path.join(OcrCacheDirectory, `${cacheKey}.json`);
+    if (!fs.existsSync(cacheFilePath))
+        return undefined;
+    try {
+        return JSON.parse(fs.readFileSync(cacheFilePath).toString());
+    }
+    catch (error) {
+        console.log(`    Ignoring an invalid OCR cache file: ${cacheFilePath}`);
+        return undefined;
+    }
+}
+// Writes the words for the specified cache key to the cache.
+function writeOcrCache(cacheKey, words) {
+    if (!fs.existsSync(OcrCacheDirectory))
+        fs.mkdirSync(OcrCacheDirectory);
+    fs.writeFileSync(path.join(OcrCacheDirectory, `${cacheKey}.json`), JSON.stringify(words));
+}
+// Waits for an OCR worker to become available.  A new worker is only started (or an idle worker
+// only used) if the memory usage is within the configured budget; otherwise the caller waits for
+// a running OCR job to complete.  Note that a job is always allowed to run when no other jobs are
+// running (so that OCR always progresses, even if the memory usage is above the budget).
+async function acquireOcrWorker() {
+    while (true) {
+        let isBusy = OcrWorkers.some(ocrWorker => ocrWorker.isBusy);
+        let memoryUsage = process.memoryUsage();
+        if (!isBusy || memoryUsage.rss <= Configuration.ocrMemoryBudget * 1024 * 1024) {
+            let ocrWorker = OcrWorkers.find(ocrWorker => !ocrWorker.isBusy);
+            if (ocrWorker === undefined && OcrWorkers.length < Math.max(1, Configuration.ocrWorkerCount)) {
+                ocrWorker = { worker: getOcrBackend().createWorker(), isBusy: false, jobCount: 0 };
+                OcrWorkers.push(ocrWorker);
+            }
+            if (ocrWorker !== undefined) {
+                ocrWorker.isBusy = true;
+                return ocrWorker;
+            }
+        }
+        else {
+            console.log(`    Waiting for an OCR job to complete because the memory usage (rss: ${Math.round(memoryUsage.rss / (1024 * 1024))} MB) is above the budget of ${Configuration.ocrMemoryBudget} MB.`);
+            if (global.gc)
+                global.gc();
+        }
+        await new Promise(resolve => OcrWorkerWaiters.push(resolve));
+    }
+}
+// Waits for a slot in which to parse an image segment.  There is one slot per OCR worker, so that
+// the images of segments waiting for a worker are not all held in memory at the same time (each
+// segment image is only extracted, scaled, preprocessed and encoded once it has a slot).
+async function acquireSegmentSlot() {
+    while (ActiveSegmentCount >= Math.max(1, Configuration.ocrWorkerCount))
+        await new Promise(resolve => SegmentSlotWaiters.push(resolve));
+    ActiveSegmentCount++;
+}
+// Releases a slot in which an image segment was parsed and wakes the next waiting segment.
+function releaseSegmentSlot() {
+    ActiveSegmentCount--;
+    let waiter = SegmentSlotWaiters.shift();
+    if (waiter !== undefined)
+        waiter();
+}
+// Returns an OCR worker to the pool (restarting the worker if it has completed many jobs in
+// order to release the memory that tesseract.js accumulates) and wakes any waiting OCR jobs.
+function releaseOcrWorker(ocrWorker) {
+    ocrWorker.isBusy = false;
+    if (++ocrWorker.jobCount >= Configuration.ocrWorkerJobLimit) {
+        getOcrBackend().terminateWorker(ocrWorker.worker);
+        ocrWorker.worker = getOcrBackend().createWorker();
+        ocrWorker.jobCount = 0;
+        if (global.gc)
+            global.gc();
+    }
+    let waiters = OcrWorkerWaiters;
+    OcrWorkerWaiters = [];
+    for (let waiter of waiters)
+        waiter();
+}
+// Terminates all OCR workers (releasing the memory used by their processes).
+function terminateOcrWorkers() {
+    for (let ocrWorker of OcrWorkers)
+        getOcrBackend().terminateWorker(ocrWorker.worker);
+    OcrWorkers = [];
     if (global.gc)
         global.gc();
-    let elements = [];
-    for (let segment of segments) {
-        // Attempt to avoid using too much memory by scaling down large images.
-        let scaleFactor = 1.0;
-        if (segment.bounds.width * segment.bounds.height > 1000 * 1000) {
-            scaleFactor = 0.5;
-            console.log(`    Scaling a large image (${segment.bounds.width}×${segment.bounds.height}) by ${scaleFactor} to reduce memory usage.`);
-            segment.image = segment.image.scale(scaleFactor, jimp.RESIZE_BEZIER);
+}
+// Recognises the words in an image using a worker from the pool of OCR workers.
+async function recognizeImage(imageBuffer, ocrSettings) {
+    let ocrWorker = await acquireOcrWorker();
+    try {
+        return await getOcrBackend().recognize(ocrWorker.worker, imageBuffer, ocrSettings);
+    }
+    finally {
+        releaseOcrWorker(ocrWorker);
+    }
+}
+// Gets the OCR backend selected by the "ocrBackend" setting ("tesseract.js" or "tesseract"),
+// creating it when first used.
+function getOcrBackend() {
+    if (CurrentOcrBackend === undefined) {
+        if (Configuration.ocrBackend === "tesseract.js")
+            CurrentOcrBackend = createTesseractJsBackend();
+        else if (Configuration.ocrBackend === "tesseract")
+            CurrentOcrBackend = createNativeTesseractBackend(Configuration.tesseractPath);
+        else
+            throw new Error(`Unknown OCR backend "${Configuration.ocrBackend}" (expected "tesseract.js" or "tesseract").`);
+        console.log(`Using the ${CurrentOcrBackend.name} OCR backend.`);
+    }
+    return CurrentOcrBackend;
+}
+// Creates an OCR backend that uses tesseract.js (each worker is a separate process).
+function createTesseractJsBackend() {
+    // The tesseract.js module does not export its version, so the version is read from
+    // its package.json (the version is part of the OCR cache key).
+    let version = require("tesseract.js/package.json").version;
+    // Suppress the "pre-main prep time" messages that tesseract.js writes from its worker processes
+    // (overriding console.log in the current process has no effect on these messages).  Instead of
+    // inheriting the output of the current process, each worker is forked with its output piped
+    // back to the current process so that those messages can be dropped and any other output
+    // passed through unchanged.
+    //
+    // This replaces the rewrite of node_modules/tesseract.js-core/index.js that previously removed
+    // the messages at start up (which modified an installed package on every run).  Note that the
+    // Node adapter and its spawnWorker function are internals of tesseract.js (not part of its
+    // public interface) and are tied to the exact version pinned in package.json (1.0.19).  If a
+    // different version does not have them then the stock worker is used (and the messages are
+    // simply not suppressed).
+    let adapter;
+    try {
+        adapter = require("tesseract.js/src/node/index.js");
+    }
+    catch (error) {
+        adapter = {};
+    }
+    if (typeof adapter.spawnWorker !== "function")
+        console.log(`Not suppressing the tesseract.js worker messages because tesseract.js ${version} has no Node adapter spawnWorker function (the pinned version is 1.0.19).`);
+    else {
+        adapter.spawnWorker = (instance, workerOptions) => {
+            let worker = childprocess.fork(workerOptions.workerPath, [], { silent: true });
+            worker.on("message", packet => instance._recv(packet));
+            readline.createInterface({ input: worker.stdout }).on("line", line => { if (!/^pre-main prep time: /.test(line))
+                console.log(line); });
+            readline.createInterface({ input: worker.stderr }).on("line", line => { if (!/^pre-main prep time: /.test(line))
+                console.error(line); });
+            return worker;
+        };
+    }
+    return {
+        name: `tesseract.js ${version}`,
+        createWorker: () => tesseract.create(),
+        terminateWorker: worker => worker.terminate(),
+        recognize: async (worker, imageBuffer, ocrSettings) => {
+            let result = await new Promise((resolve, reject) => { worker.recognize(imageBuffer, ocrSettings).then(result => resolve(result), error => reject(error)); });
+            // Simplify the words (remove most of the information generated by tesseract.js).
+            let words = [];
+            if (result && result.blocks && result.blocks.length)
+                for (let block of result.blocks)
+                    for (let paragraph of block.paragraphs)
+                        for (let line of paragraph.lines)
+                            words = words.concat(line.words.map(word => {
+                                return {
+                                    text: word.text,
+                                    confidence: word.confidence,
+                                    choiceCount: word.choices.length,
+                                    bbox: { x0: word.bbox.x0, y0: word.bbox.y0, x1: word.bbox.x1, y1: word.bbox.y1 }
+                                };
+                            }));
+            return words;
         }
+    };
+}
+// Creates an OCR backend that runs a locally installed tesseract binary (one process per image)
+// and reads its TSV output.  Each OCR setting is passed to tesseract as a "-c name=value" option.
+function createNativeTesseractBackend(tesseractPath) {
+    let version;
+    try {
+        version = childprocess.execFileSync(tesseractPath, ["--version"], { stdio: ["ignore", "pipe", "pipe"] }).toString().split("\n")[0].trim();
+    }
+    catch (error) {
+        throw new Error(`Could not run the tesseract binary "${tesseractPath}" (install tesseract or set "tesseractPath" in config.json): ${error.message}`);
+    }
+    return {
+        name: version.startsWith("tesseract") ? version : `tesseract ${version}`,
+        createWorker: () => ({}),
+        terminateWorker: worker => { },
+        recognize: (worker, imageBuffer, ocrSettings) => new Promise((resolve, reject) => {
+            let settingArguments = [];
+            for (let name of Object.keys(ocrSettings))
+                settingArguments.push("-c", `${name}=${ocrSettings[name]}`);
+            let child = childprocess.execFile(tesseractPath, ["stdin", "stdout"].concat(settingArguments).concat(["tsv"]), { maxBuffer: 64 * 1024 * 1024 }, (error, stdout) => {
+                if (error)
+                    reject(error);
+                else
+                    resolve(parseTesseractTsv(stdout.toString()));
+            });
+            child.stdin.on("error", () => { }); // any error is reported when the process exits
+            child.stdin.end(imageBuffer);
+        })
+    };
+}
+// Parses the words from the TSV output of tesseract (the rows at level 5 are words; words with a
+// confidence of -1 or with no text are ignored).
+function parseTesseractTsv(tsv) {
+    let words = [];
+    let lines = tsv.replace(/\r/g, "").split("\n");
+    let columnNames = lines[0].split("\t");
+    let getValue = (values, columnName) => values[columnNames.indexOf(columnName)];
+    for (let line of lines.slice(1)) {
+        let values = line.split("\t");
+        if (values.length < columnNames.length || getValue(values, "level") !== "5")
+            continue;
+        let text = getValue(values, "text");
+        let confidence = Number(getValue(values, "conf"));
+        if (text.trim() === "" || confidence < 0)
+            continue;
+        let left = Number(getValue(values, "left"));
+        let top = Number(getValue(values, "top"));
+        words.push({
+            text: text,
+            confidence: confidence,
+            choiceCount: 1,
+            bbox: { x0: left, y0: top, x1: left + Number(getValue(values, "width")), y1: top + Number(getValue(values, "height")) }
+        });
+    }
+    return words;
+}
+// Parses an image (from a PDF document).  The image is first rotated clockwise by the specified
+// number of degrees (a multiple of 90) so that it is upright on the page, in which case the
+// bounds are those of the rotated image.
+async function parseImage(image, bounds, rotation = 0) {
+    // Convert the image data into a format that can be used by jimp.
+    let jimpImage = convertToJimpImage(image);
+    if (rotation !== 0)
+        jimpImage.rotate(rotation); // swaps the width and height for 90° and 270°
+    let elements = await parseJimpImage(jimpImage, bounds); // note that this does not modify the image
+    if (!Configuration.detectScanOrientation)
+        return elements;
+    // A scan that is upside down or sideways (within an otherwise upright page) is recognised
+    // as garbage with a low confidence.  In that case try the other orientations and keep the
+    // one that recognises the most text with a reasonable confidence (stopping as soon as an
+    // orientation is recognised with a mean confidence above the threshold, and trying upside
+    // down first because that is the most common case).  An image in which no text was recognised
+    // at all (for example, a logo or a blank area) is not tried again.
+    let meanConfidence = getFieldConfidence(elements, 1.0);
+    if (meanConfidence === null || meanConfidence >= Configuration.orientationConfidenceThreshold)
+        return elements;
+    let bestRotation = 0;
+    let bestScore = getOrientationScore(elements);
+    for (let extraRotation of [180, 90, 270]) {
+        let rotatedJimpImage = jimpImage.clone().rotate(extraRotation);
+        let rotatedBounds = { x: bounds.x, y: bounds.y, width: rotatedJimpImage.bitmap.width, height: rotatedJimpImage.bitmap.height };
+        let rotatedElements = await parseJimpImage(rotatedJimpImage, rotatedBounds);
+        let score = getOrientationScore(rotatedElements);
+        if (score > bestScore) {
+            bestRotation = extraRotation;
+            bestScore = score;
+            elements = rotatedElements;
+        }
+        if (global.gc)
+            global.gc();
+        let rotatedMeanConfidence = getFieldConfidence(rotatedElements, 1.0);
+        if (score === bestScore && rotatedMeanConfidence !== null && rotatedMeanConfidence >= Configuration.orientationConfidenceThreshold)
+            break;
+    }
+    if (bestRotation !== 0)
+        console.log(`    Rotated a scanned image by ${bestRotation}° because more text was recognised with a reasonable confidence at that orientation.`);
+    return elements;
+}
+// Scores how well the text in an image was recognised at a given orientation (the number of
+// characters recognised with a reasonable confidence).
+function getOrientationScore(elements) {
+    let score = 0;
+    for (let element of elements)
+        if (element.confidence >= Configuration.orientationConfidenceThreshold)
+            score += element.text.replace(/[^A-Za-z0-9]/g, "").length;
+    return score;
+}
+// Parses an image that has already been converted into a format that can be used by jimp.
+async function parseJimpImage(jimpImage, bounds) {
+    // Segment the image based on blocks of white.
+    let segmentRectangles = segmentImage(jimpImage);
+    // Note that textord_old_baselines is set to 0 so that text that is offset by half the height
+    // of the the font is correctly recognised.
+    let ocrSettings = { textord_old_baselines: "0" };
+    // Parse the segments in parallel (using the pool of OCR workers) and then combine the
+    // resulting elements in the original order of the segments.  The image of a segment is only
+    // extracted once the segment has a slot (so that at most one segment image per OCR worker is
+    // held in memory at any time).
+    let segmentElements = await Promise.all(segmentRectangles.map(async (segmentRectangle) => {
+        await acquireSegmentSlot();
+        try {
+            return await parseSegment(jimpImage, segmentRectangle, bounds, ocrSettings);
+        }
+        finally {
+            releaseSegmentSlot();
+        }
+    }));
+    let elements = [];
+    for (let elementsOfSegment of segmentElements)
+        elements = elements.concat(elementsOfSegment);
+    return elements;
+}
+// Parses a segment of an image (see segmentImage).  The bounds are those of the entire image.
+async function parseSegment(jimpImage, segmentRectangle, bounds, ocrSettings) {
+    let segment = { image: getSegmentImage(jimpImage, segmentRectangle), bounds: segmentRectangle };
+    // Attempt to avoid using too much memory by scaling down large images.
+    let scaleFactor = 1.0;
+    if (segment.bounds.width * segment.bounds.height > 1000 * 1000) {
+        scaleFactor = 0.5;
+        console.log(`    Scaling a large image (${segment.bounds.width}×${segment.bounds.height}) by ${scaleFactor} to reduce memory usage.`);
+        segment.image = segment.image.scale(scaleFactor, jimp.RESIZE_BEZIER);
+    }
+    // Use any words previously recognised in an identical image (with identical settings).
+    let preprocessingSteps = Configuration.preprocessingSteps;
+    let cacheKey = getOcrCacheKey(segment.image, { engine: getOcrBackend().name, settings: ocrSettings, preprocessing: preprocessingSteps });
+    let words = readOcrCache(cacheKey);
+    if (words === undefined) {
+        // Preprocess the image (for example, deskewing it and converting it to black and
+        // white) before recognising the words.  Note that the words are cached under the key
+        // of the original image (so the preprocessing is skipped when the cache is used).
+        let preprocessedImage = preprocessImage(segment.image, preprocessingSteps);
+        segment.image = preprocessedImage.image;
         let imageBuffer = await new Promise((resolve, reject) => segment.image.getBuffer(jimp.MIME_PNG, (error, buffer) => error ? reject(error) : resolve(buffer)));
         segment.image = undefined; // attempt to release memory
         // Report larger memory usage and larger images for troubleshooting purposes.
@@ -672,38 +2252,263 @@ async function parseImage(image, bounds) {
             console.log(`    Memory Usage: rss: ${Math.round(memoryUsage.rss / (1024 * 1024))} MB, heapTotal: ${Math.round(memoryUsage.heapTotal / (1024 * 1024))} MB, heapUsed: ${Math.round(memoryUsage.heapUsed / (1024 * 1024))} MB, external: ${Math.round(memoryUsage.external / (1024 * 1024))} MB`);
         if (segment.bounds.width * segment.bounds.height > 700 * 700)
             console.log(`    Parsing a large image with bounds { x: ${Math.round(segment.bounds.x)}, y: ${Math.round(segment.bounds.y)}, width: ${Math.round(segment.bounds.width)}, height: ${Math.round(segment.bounds.height)} }.`);
-        // Note that textord_old_baselines is set to 0 so that text that is offset by half the
-        // height of the the font is correctly recognised.
-        let result = await new Promise((resolve, reject) => { tesseract.recognize(imageBuffer, { textord_old_baselines: "0" }).then(function (result) { resolve(result); }); });
-        tesseract.terminate();
-        if (global.gc)
-            global.gc();
-        // Simplify the lines (remove most of the information generated by tesseract.js).
-        if (result && result.blocks && result.blocks.length)
-            for (let block of result.blocks)
-                for (let paragraph of block.paragraphs)
-                    for (let line of paragraph.lines)
-                        elements = elements.concat(line.words.map(word => {
-                            return {
-                                text: word.text,
-                                confidence: word.confidence,
-                                choiceCount: word.choices.length,
-                                x: bounds.x + segment.bounds.x + word.bbox.x0 / scaleFactor,
-                                y: bounds.y + segment.bounds.y + word.bbox.y0 / scaleFactor,
-                                width: (word.bbox.x1 - word.bbox.x0) / scaleFactor,
-                                height: (word.bbox.y1 - word.bbox.y0) / scaleFactor
-                            };
-                        }));
+        words = await recognizeImage(imageBuffer, ocrSettings);
+        imageBuffer = undefined; // attempt to release memory
+        // Convert the bounding boxes back to the co-ordinates of the image before it was
+        // preprocessed (allowing for deskewing and upscaling) and then cache the words.  The
+        // corners of a deskewed bounding box are rotated back, so the box that contains them is
+        // used.
+        words = words.map(word => {
+            let corners = [{ x: word.bbox.x0, y: word.bbox.y0 }, { x: word.bbox.x1, y: word.bbox.y0 }, { x: word.bbox.x0, y: word.bbox.y1 }, { x: word.bbox.x1, y: word.bbox.y1 }].map(preprocessedImage.mapPoint);
+            return {
+                text: word.text,
+                confidence: word.confidence,
+                choiceCount: word.choiceCount,
+                bbox: {
+                    x0: Math.min(...corners.map(corner => corner.x)),
+                    y0: Math.min(...corners.map(corner => corner.y)),
+                    x1: Math.max(...corners.map(corner => corner.x)),
+                    y1: Math.max(...corners.map(corner => corner.y))
+                }
+            };
+        });
+        writeOcrCache(cacheKey, words);
     }
-    return elements;
+    else
+        segment.image = undefined; // attempt to release memory
+    return words.map(word => {
+        return {
+            text: word.text,
+            confidence: word.confidence,
+            choiceCount: word.choiceCount,
+            x: bounds.x + segment.bounds.x + word.bbox.x0 / scaleFactor,
+            y: bounds.y + segment.bounds.y + word.bbox.y0 / scaleFactor,
+            width: (word.bbox.x1 - word.bbox.x0) / scaleFactor,
+            height: (word.bbox.y1 - word.bbox.y0) / scaleFactor
+        };
+    });
 }
-// Parses a PDF document.
-async function parsePdf(url) {
-    let developmentApplications = [];
-    let recordCount = -1;
-    // Read the PDF.
+// Converts a local file path to a "file:" URL (so that the origin of a local PDF document can be
+// recorded in the same way as the URL of a PDF document downloaded from the council web site).
+function getFileUrl(filePath) {
+    let absolutePath = path.resolve(filePath).replace(/\\/g, "/");
+    return encodeURI("file://" + (absolutePath.startsWith("/") ? "" : "/") + absolutePath).replace(/#/g, "%23").replace(/\?/g, "%3F");
+}
+// Gets the file name at the end of a URL (decoded and in lower case so that file names can be
+// compared; for example, "devappmay2016.pdf").
+function getUrlFileName(url) {
+    return decodeURIComponent(path.posix.basename(new urlparser.URL(url).pathname)).toLowerCase();
+}
+// Converts a "file:" URL back to a local file path.
+function getFilePath(fileUrl) {
+    let filePath = decodeURIComponent(new urlparser.URL(fileUrl).pathname);
+    return /^\/[A-Za-z]:/.test(filePath) ? filePath.substring(1) : filePath; // allow for Windows drive letters, such as "/C:/Registers/May 2016.pdf"
+}
+// Reads a PDF document, either from a local file (for a "file:" URL) or by downloading it.
+async function readPdf(url) {
+    if (url.startsWith("file:"))
+        return fs.readFileSync(getFilePath(url));
     let buffer = await request({ url: url, encoding: null, proxy: process.env.MORPH_PROXY });
     await sleep(2000 + getRandom(0, 5) * 1000);
+    return buffer;
+}
+// Calculates a hash of the content of a PDF document (used to determine whether the document has
+// changed since it was last parsed).
+function getPdfHash(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+// Creates a rejected application for a development application whose number collides with that of
+// a different application (so that it can be quarantined for review).  The elements from which
+// the application was parsed are no longer available, so the parsed fields are recorded instead
+// (and the application cannot be parsed again, see reparseQuarantinedApplications).
+function getConflictingApplication(developmentApplication) {
+    let fields = {};
+    for (let fieldName of FixtureFieldNames.concat(["decisionDate", "decision"]))
+        fields[fieldName] = developmentApplication[fieldName];
+    return {
+        pageNumber: developmentApplication.pageNumber,
+        groupNumber: developmentApplication.groupNumber,
+        reason: "Conflicting application number",
+        fields: fields,
+        startElement: null,
+        elements: []
+    };
+}
+// Finds the application numbers that are missing from the sequential numbering of the specified
+// applications (application numbers are sequential within each year, so only the gaps between
+// the lowest and highest numbers of each year can be found).
+function findMissingApplications(applications) {
+    let years = {};
+    for (let application of applications) {
+        let match = /^([0-9]+)\/([0-9]{4})$/.exec(application.applicationNumber);
+        if (match !== null)
+            (years[match[2]] = years[match[2]] || []).push({ sequenceNumber: Number(match[1]), application: application });
+    }
+    let missingApplications = [];
+    for (let year of Object.keys(years).sort()) {
+        let numbers = years[year].sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+        for (let index = 1; index < numbers.length; index++)
+            for (let sequenceNumber = numbers[index - 1].sequenceNumber + 1; sequenceNumber < numbers[index].sequenceNumber; sequenceNumber++)
+                missingApplications.push({ applicationNumber: `${sequenceNumber}/${year}`, previousApplication: numbers[index - 1].application, nextApplication: numbers[index].application });
+    }
+    return missingApplications;
+}
+// Describes where a missing application is likely to be found (based on the applications either
+// side of it).  The document is only mentioned when the gap spans two documents.
+function getLikelyLocation(missingApplication) {
+    let previous = missingApplication.previousApplication;
+    let next = missingApplication.nextApplication;
+    let formatPage = (application) => (application.pageNumber === null || application.pageNumber === undefined) ? "an unknown page" : `page ${application.pageNumber}`;
+    if (previous.informationUrl !== next.informationUrl)
+        return `after ${formatPage(previous)} of ${previous.informationUrl} or before ${formatPage(next)} of ${next.informationUrl}`;
+    else if (previous.pageNumber === next.pageNumber)
+        return `probably ${formatPage(previous)}`;
+    else if (typeof previous.pageNumber === "number" && typeof next.pageNumber === "number" && next.pageNumber - previous.pageNumber > 1)
+        return `probably pages ${previous.pageNumber} to ${next.pageNumber}`;
+    else
+        return `probably ${formatPage(previous)} or ${formatPage(next)}`;
+}
+// Formats missing applications (one line each) as lines of a report.  Long runs of consecutive
+// missing application numbers (for example, a document that was never parsed) are shown as a
+// single range.  If quarantined applications are specified (by application number) then any
+// missing application that was quarantined is shown with the reason that it was quarantined
+// (including a quarantined application within a range, which is listed below that range).
+function formatMissingApplications(missingApplications, quarantinedApplications = {}) {
+    let lines = [];
+    for (let index = 0; index < missingApplications.length;) {
+        let missingApplication = missingApplications[index];
+        let runLength = 1;
+        while (index + runLength < missingApplications.length && missingApplications[index + runLength].previousApplication === missingApplication.previousApplication)
+            runLength++;
+        let between = `between ${missingApplication.previousApplication.applicationNumber} and ${missingApplication.nextApplication.applicationNumber}`;
+        if (runLength > 3) {
+            let lastMissingApplication = missingApplications[index + runLength - 1];
+            lines.push(`${missingApplication.applicationNumber} to ${lastMissingApplication.applicationNumber} (${runLength} applications ${between}; ${getLikelyLocation(missingApplication)})`);
+            for (let runIndex = 0; runIndex < runLength; runIndex++, index++) {
+                let applicationNumber = missingApplications[index].applicationNumber;
+                let quarantinedApplication = quarantinedApplications[applicationNumber];
+                if (quarantinedApplication !== undefined)
+                    lines.push(`    ${applicationNumber} (quarantined on page ${quarantinedApplication.pageNumber}: ${quarantinedApplication.reason})`);
+            }
+            continue;
+        }
+        for (let runIndex = 0; runIndex < runLength; runIndex++, index++) {
+            let applicationNumber = missingApplications[index].applicationNumber;
+            let quarantinedApplication = quarantinedApplications[applicationNumber];
+            if (quarantinedApplication !== undefined)
+                lines.push(`${applicationNumber} (quarantined on page ${quarantinedApplication.pageNumber}: ${quarantinedApplication.reason})`);
+            else
+                lines.push(`${applicationNumber} (${between}; ${getLikelyLocation(missingApplications[index])})`);
+        }
+    }
+    return lines;
+}
+// The colours used to draw each region of an application in a debug overlay.
+const DebugRegionColours = {
+    start: "red",
+    middle: "blue",
+    applicationNumber: "magenta",
+    receivedDate: "orange",
+    decisionDate: "darkorange",
+    description: "green",
+    address: "teal",
+    legalDescription: "olive"
+};
+// Encodes an image (from a PDF document) as a PNG "data:" URL for a debug overlay, rotated so that
+// it is upright in the same way as when its text is recognised (see parseImage).
+async function getDebugImage(image, bounds, rotation) {
+    let jimpImage = convertToJimpImage(image);
+    if (rotation !== 0)
+        jimpImage.rotate(rotation);
+    let buffer = await new Promise((resolve, reject) => jimpImage.getBuffer(jimp.MIME_PNG, (error, buffer) => error ? reject(error) : resolve(buffer)));
+    return { bounds: bounds, dataUrl: `data:image/png;base64,${buffer.toString("base64")}` };
+}
+// Writes an HTML file (containing an SVG image) for a page of a PDF that shows the scanned images
+// of the page overlaid with the bounding box of every element, the start element of each
+// application and the regions chosen for the fields of each application.  Hover over a box to see
+// its text and OCR confidence.  The overlay is enlarged beyond the page size if necessary so that
+// it contains every image and element (image elements are in the co-ordinates of the image
+// pixels rather than the co-ordinates of the page).
+function writeDebugOverlay(debugDirectory, url, pageNumber, width, height, elements, debugGroups, debugImages) {
+    if (!fs.existsSync(debugDirectory))
+        fs.mkdirSync(debugDirectory);
+    for (let rectangle of elements.concat(debugImages.map(debugImage => debugImage.bounds))) {
+        width = Math.max(width, rectangle.x + rectangle.width);
+        height = Math.max(height, rectangle.y + rectangle.height);
+    }
+    let formatNumber = (value) => (Math.round(value * 100) / 100).toString();
+    let drawRectangle = (element, colour, strokeWidth, fillOpacity) => `    <rect x="${formatNumber(element.x)}" y="${formatNumber(element.y)}" width="${formatNumber(element.width)}" height="${formatNumber(element.height)}" stroke="${colour}" stroke-width="${strokeWidth}" fill="${colour}" fill-opacity="${fillOpacity}"><title>${escapeXml(`${element.text}${(element.confidence === undefined) ? "" : " (confidence " + element.confidence + ")"}`)}</title></rect>`;
+    let lines = [];
+    for (let debugImage of debugImages)
+        lines.push(`    <image x="${formatNumber(debugImage.bounds.x)}" y="${formatNumber(debugImage.bounds.y)}" width="${formatNumber(debugImage.bounds.width)}" height="${formatNumber(debugImage.bounds.height)}" preserveAspectRatio="none" opacity="0.5" href="${debugImage.dataUrl}" />`);
+    for (let element of elements) {
+        lines.push(drawRectangle(element, "silver", 0.5, 0));
+        lines.push(`    <text x="${formatNumber(element.x)}" y="${formatNumber(element.y + element.height)}" font-size="${formatNumber(Math.max(2, element.height * 0.8))}" fill="gray">${escapeXml(element.text)}</text>`);
+    }
+    for (let debugGroup of debugGroups) {
+        for (let region of debugGroup.regions)
+            for (let element of region.elements)
+                lines.push(drawRectangle(element, DebugRegionColours[region.name] || "black", 1, 0.15));
+        lines.push(drawRectangle(debugGroup.startElement, DebugRegionColours.start, 2, 0.15));
+        lines.push(`    <text x="${formatNumber(debugGroup.startElement.x)}" y="${formatNumber(debugGroup.startElement.y - 2)}" font-size="8" fill="${DebugRegionColours.start}">${escapeXml(debugGroup.label)}</text>`);
+    }
+    let legend = Object.keys(DebugRegionColours).map(name => `<span style="color: ${DebugRegionColours[name]}">&#9632; ${name}</span>`).join(" ");
+    let html = [
+        "<!DOCTYPE html>",
+        "<html>",
+        "<head>",
+        "    <meta charset=\"utf-8\">",
+        `    <title>${escapeXml(`${url} page ${pageNumber}`)}</title>`,
+        "</head>",
+        "<body>",
+        `<p>${escapeXml(url)} page ${pageNumber}: ${elements.length} element(s) and ${debugGroups.length} application group(s).<br>${legend}</p>`,
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(Math.min(width * 2, 2000))}" height="${formatNumber(Math.min(width * 2, 2000) * height / width)}" viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}" style="border: 1px solid black">`
+    ].concat(lines).concat(["</svg>", "</body>", "</html>"]).join("\n") + "\n";
+    let fileName = path.basename(decodeURIComponent(url)).replace(/\.pdf$/i, "").replace(/[^A-Za-z0-9]+/g, " ").trim();
+    let debugFilePath = path.join(debugDirectory, `${fileName} page ${("00" + pageNumber).slice(-3)}.html`);
+    fs.writeFileSync(debugFilePath, html);
+    console.log(`    Wrote debug overlay: ${debugFilePath}`);
+}
+// Determines the bounds of an image on a page (in the same units as the image pixels) from the
+// transform that maps the unit square onto the image (in unrotated page co-ordinates).  Also
+// determines the clockwise rotation (0, 90, 180 or 270 degrees) that turns the image upright,
+// allowing for both the rotation of the page and any rotation in the transform itself.
+function getImageBounds(image, imageTransform, viewport) {
+    // Map the unit square into viewport co-ordinates (which are upright and have Y increasing
+    // downwards).  The rows of the image run along the first column of the transform.
+    let transform = pdfjs.Util.transform(viewport.transform, imageTransform);
+    let rotation;
+    if (Math.abs(transform[0]) >= Math.abs(transform[1]))
+        rotation = (transform[0] >= 0) ? 0 : 180;
+    else
+        rotation = (transform[1] >= 0) ? 90 : 270;
+    // The scale is the number of image pixels per viewport unit (measured down the columns of
+    // the image, as the height of an unrotated image).
+    let scale = image.height / Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+    let xs = [transform[4], transform[4] + transform[0], transform[4] + transform[2], transform[4] + transform[0] + transform[2]];
+    let ys = [transform[5], transform[5] + transform[1], transform[5] + transform[3], transform[5] + transform[1] + transform[3]];
+    let isSideways = (rotation === 90 || rotation === 270);
+    let bounds = {
+        x: Math.min(...xs) * scale,
+        y: Math.min(...ys) * scale,
+        width: isSideways ? image.height : image.width,
+        height: isSideways ? image.width : image.height
+    };
+    return { bounds: bounds, rotation: rotation, scale: scale };
+}
+// Parses a PDF document.  If an applicationElementGroupHandler is specified then it is called
+// for each group of elements that is parsed (along with the resulting development application,
+// which is undefined if the group of elements could not be parsed).  If a debug directory is
+// specified then a debug overlay is written to that directory for each page.
+async function parsePdf(url, buffer, applicationElementGroupHandler, debugDirectory) {
+    let parsedApplications = [];
+    let developmentApplications = [];
+    let rejectedApplications = [];
+    let recordCount = -1;
+    // The layout profile is selected using the first page on which a profile matches (the first
+    // configured profile is used until then).
+    let isLayoutProfileSelected = false;
+    CurrentLayoutProfile = Configuration.layoutProfiles[0];
     // Parse the PDF.  Each page has the details of multiple applications.  Note that the PDF is
     // re-parsed on each iteration of the loop (ie. once for each page).  This then avoids large
     // memory usage by the PDF (just calling page._destroy() on each iteration of the loop appears
@@ -733,61 +2538,57 @@ async function parsePdf(url) {
         console.log(`    Found ${textElements.length} text element(s).`);
         // Find all image elements.
         let imageElements = [];
+        let debugImages = [];
         let operators = await page.getOperatorList();
-        if (page.rotate !== 0) {
-            // Ignore rotated pages when parsing images.
-            console.log(`Ignoring images in page ${pageIndex + 1} because it is rotated ${page.rotate}°.`);
-        }
-        else {
-            // Find and parse any images in the current PDF page.
-            let isFirstImage = true;
-            for (let index = 0; index < operators.fnArray.length; index++) {
-                if (operators.fnArray[index] !== pdfjs.OPS.paintImageXObject && operators.fnArray[index] !== pdfjs.OPS.paintImageMaskXObject)
-                    continue;
-                // The operator either contains the name of an image or an actual image.
-                let image = operators.argsArray[index][0];
-                if (typeof image === "string")
-                    image = page.objs.get(image); // get the actual image using its name
-                else
-                    operators.argsArray[index][0] = undefined; // attempt to release memory used by the image
-                // Obtain the transform that applies to the image.  Note that the first image in the
-                // PDF typically has a pdfjs.OPS.dependency element in the fnArray between it and its
-                // transform (pdfjs.OPS.transform).
-                let transform = undefined;
-                if (index - 1 >= 0 && operators.fnArray[index - 1] === pdfjs.OPS.transform)
-                    transform = operators.argsArray[index - 1];
-                else if (index - 2 >= 0 && operators.fnArray[index - 1] === pdfjs.OPS.dependency && operators.fnArray[index - 2] === pdfjs.OPS.transform)
-                    transform = operators.argsArray[index - 2];
-                else
-                    continue;
-                // Use the transform to translate the X and Y co-ordinates, but assume that the width
-                // and height are consistent between all images and do not need to be scaled.  This is
-                // almost always the case; only the first image is sometimes an exception (with a
-                // scale factor of 2.083333 instead of 4.166666).
-                let bounds = {
-                    x: (transform[4] * image.height) / transform[3],
-                    y: ((viewport.height - transform[5] - transform[3]) * image.height) / transform[3],
-                    width: image.width,
-                    height: image.height
-                };
-                // Ignore the first image on the page as this is typically a white mask over the
-                // entire page.  And because it is typically at a different scale (2.083333 instead
-                // of 4.166666) then any text which is accidentally parsed will be set to the wrong
-                // X and Y co-ordinates.  It is easier just to ignore this first image.  In one case
-                // the text "HI:" was parsed and interfered with the "Dev App No." text resulting in
-                // an application being missed (see page 21 of the May 2018 PDF).
-                //
-                // Note that some PDFs have just one image with a scale of 2.777777 (and this should
-                // be parsed).
-                let scaleY = image.height / transform[3];
-                if (scaleY < 2.5 && isFirstImage && image.height >= 1000 && image.width >= 1000)
-                    continue;
-                isFirstImage = false;
-                // Parse the text from the image.
-                imageElements = imageElements.concat(await parseImage(image, bounds));
-                if (global.gc)
-                    global.gc();
-            }
+        // Find and parse any images in the current PDF page.  Note that the viewport allows for any
+        // rotation of the page, so the text elements above are already upright and each image is
+        // rotated so that it is also upright (see getImageBounds).
+        if (page.rotate !== 0)
+            console.log(`    The page is rotated ${page.rotate}°.`);
+        let isFirstImage = true;
+        for (let index = 0; index < operators.fnArray.length; index++) {
+            if (operators.fnArray[index] !== pdfjs.OPS.paintImageXObject && operators.fnArray[index] !== pdfjs.OPS.paintImageMaskXObject)
+                continue;
+            // The operator either contains the name of an image or an actual image.
+            let image = operators.argsArray[index][0];
+            if (typeof image === "string")
+                image = page.objs.get(image); // get the actual image using its name
+            else
+                operators.argsArray[index][0] = undefined; // attempt to release memory used by the image
+            // Obtain the transform that applies to the image.  Note that the first image in the
+            // PDF typically has a pdfjs.OPS.dependency element in the fnArray between it and its
+            // transform (pdfjs.OPS.transform).
+            let transform = undefined;
+            if (index - 1 >= 0 && operators.fnArray[index - 1] === pdfjs.OPS.transform)
+                transform = operators.argsArray[index - 1];
+            else if (index - 2 >= 0 && operators.fnArray[index - 1] === pdfjs.OPS.dependency && operators.fnArray[index - 2] === pdfjs.OPS.transform)
+                transform = operators.argsArray[index - 2];
+            else
+                continue;
+            // Use the transform to translate the X and Y co-ordinates, but assume that the width
+            // and height are consistent between all images and do not need to be scaled.  This is
+            // almost always the case; only the first image is sometimes an exception (with a
+            // scale factor of 2.083333 instead of 4.166666).
+            let { bounds, rotation, scale } = getImageBounds(image, transform, viewport);
+            // Ignore the first image on the page as this is typically a white mask over the
+            // entire page.  And because it is typically at a different scale (2.083333 instead
+            // of 4.166666) then any text which is accidentally parsed will be set to the wrong
+            // X and Y co-ordinates.  It is easier just to ignore this first image.  In one case
+            // the text "HI:" was parsed and interfered with the "Dev App No." text resulting in
+            // an application being missed (see page 21 of the May 2018 PDF).
+            //
+            // Note that some PDFs have just one image with a scale of 2.777777 (and this should
+            // be parsed).
+            if (scale < 2.5 && isFirstImage && image.height >= 1000 && image.width >= 1000)
+                continue;
+            isFirstImage = false;
+            // Parse the text from the image (keeping a copy of the image to draw under the debug
+            // overlay if one is being written).
+            if (debugDirectory !== undefined)
+                debugImages.push(await getDebugImage(image, bounds, rotation));
+            imageElements = imageElements.concat(await parseImage(image, bounds, rotation));
+            if (global.gc)
+                global.gc();
         }
         console.log(`    Found ${imageElements.length} image element(s).`);
         // Merge the elements extracted from the text on the current page with the elements
@@ -812,6 +2613,14 @@ async function parsePdf(url) {
         // any other element the "Dev App No." elements line up with horizontally with a margin
         // of error equal to about the height of the "Dev App No." text; this is done in order
         // to capture the lodged date, which may be higher up than the "Dev App No." text).
+        if (!isLayoutProfileSelected) {
+            let layoutProfile = selectLayoutProfile(elements);
+            if (layoutProfile !== undefined) {
+                CurrentLayoutProfile = layoutProfile;
+                isLayoutProfileSelected = true;
+                console.log(`    Selected the "${layoutProfile.name}" layout profile.`);
+            }
+        }
         let applicationElementGroups = [];
         let startElements = findStartElements(elements);
         if (startElements.length === 0) {
@@ -828,7 +2637,7 @@ async function parsePdf(url) {
                 text: startElement.text,
                 confidence: startElement.confidence,
                 x: startElement.x,
-                y: startElement.y - 3 * startElement.height,
+                y: startElement.y - CurrentLayoutProfile.groupLeeway * startElement.height,
                 width: startElement.width,
                 height: startElement.height
             };
@@ -844,21 +2653,65 @@ async function parsePdf(url) {
             recordCount = getRecordCount(elements, startElements[0]);
         // Parse the development application from each group of elements (ie. a section of the
         // current page of the PDF document).  If the same application number is encountered a
-        // second time in the same document then this likely indicates the parsing of the images
-        // has incorrectly recognised some of the digits in the application number.  In this case
-        // add a suffix to the application number so it is unique (and so will be inserted into
-        // the database later instead of being ignored).
-        for (let applicationElementGroup of applicationElementGroups) {
-            let developmentApplication = parseApplicationElements(applicationElementGroup.elements, applicationElementGroup.startElement, url);
-            if (developmentApplication !== undefined) {
-                let suffix = 0;
-                let applicationNumber = developmentApplication.applicationNumber;
-                while (developmentApplications.some(otherDevelopmentApplication => otherDevelopmentApplication.applicationNumber === developmentApplication.applicationNumber))
-                    developmentApplication.applicationNumber = `${applicationNumber} (${++suffix})`; // add a unique suffix
-                developmentApplications.push(developmentApplication);
-            }
+        // second time in the same document then either the same application appears twice or
+        // the parsing of the images has incorrectly recognised some of the digits in the
+        // application number.  The two applications are reconciled later (see below).
+        // Any development application that is ignored is recorded (so that it can be quarantined
+        // and parsed again later; for example, after the parser has been improved).
+        let debugGroups = [];
+        for (let groupIndex = 0; groupIndex < applicationElementGroups.length; groupIndex++) {
+            let applicationElementGroup = applicationElementGroups[groupIndex];
+            let debugGroup = { startElement: applicationElementGroup.startElement, label: "", regions: [] };
+            debugGroups.push(debugGroup);
+            let developmentApplication = parseApplicationElements(applicationElementGroup.elements, applicationElementGroup.startElement, url, (reason, fields) => {
+                debugGroup.label = reason;
+                rejectedApplications.push({
+                    pageNumber: pageIndex + 1,
+                    groupNumber: groupIndex + 1,
+                    reason: reason,
+                    fields: fields,
+                    startElement: applicationElementGroup.startElement,
+                    elements: applicationElementGroup.elements
+                });
+            }, (regionName, regionElements) => debugGroup.regions.push({ name: regionName, elements: regionElements }));
+            if (developmentApplication !== undefined)
+                debugGroup.label = developmentApplication.applicationNumber;
+            if (applicationElementGroupHandler !== undefined)
+                applicationElementGroupHandler(applicationElementGroup, pageIndex + 1, developmentApplication);
+            if (developmentApplication !== undefined)
+                parsedApplications.push(Object.assign(developmentApplication, { pageNumber: pageIndex + 1, groupNumber: groupIndex + 1 })); // the elements are not kept (to limit memory usage)
+        }
+        if (debugDirectory !== undefined)
+            writeDebugOverlay(debugDirectory, url, pageIndex + 1, viewport.width, viewport.height, elements, debugGroups, debugImages);
+    }
+    // Reconcile any development applications that have the same application number (merging
+    // them if they appear to be the same application, otherwise re-numbering the later one or,
+    // if it cannot be re-numbered, quarantining it).
+    let reconciliations = [];
+    let usedApplicationNumbers = new Set(parsedApplications.map(developmentApplication => developmentApplication.applicationNumber));
+    let neighbourApplicationNumbers = parsedApplications.map(developmentApplication => developmentApplication.applicationNumber);
+    for (let developmentApplication of parsedApplications) {
+        let otherApplication = developmentApplications.find(otherDevelopmentApplication => otherDevelopmentApplication.applicationNumber === developmentApplication.applicationNumber);
+        if (otherApplication === undefined) {
+            developmentApplications.push(developmentApplication);
+            continue;
+        }
+        let reconciliation = reconcileApplication(developmentApplication, otherApplication, usedApplicationNumbers, neighbourApplicationNumbers);
+        reconciliations.push({ applicationNumber: developmentApplication.applicationNumber, informationUrl: url, otherInformationUrl: url, decision: reconciliation.decision, newApplicationNumber: reconciliation.applicationNumber, similarity: reconciliation.similarity });
+        console.log(`Application number ${developmentApplication.applicationNumber} on page ${developmentApplication.pageNumber} was encountered a second time in the same document (similarity ${(reconciliation.similarity === undefined) ? "unknown" : reconciliation.similarity.toFixed(2)}): ${reconciliation.decision}${(reconciliation.decision === "renumbered") ? " as " + reconciliation.applicationNumber : ""}.`);
+        if (reconciliation.decision === "merged")
+            mergeApplications(otherApplication, developmentApplication);
+        else if (reconciliation.decision === "renumbered") {
+            developmentApplication.applicationNumber = reconciliation.applicationNumber;
+            developmentApplication.applicationNumberStatus = "renumbered";
+            usedApplicationNumbers.add(reconciliation.applicationNumber);
+            developmentApplications.push(developmentApplication);
         }
+        else
+            rejectedApplications.push(getConflictingApplication(developmentApplication));
     }
+    // Release the memory used by the OCR workers.
+    terminateOcrWorkers();
     // Check whether the expected number of development applications have been encountered.
     if (recordCount !== -1) {
         let recordCountDiscrepancy = recordCount - developmentApplications.length;
@@ -871,7 +2724,15 @@ async function parsePdf(url) {
         else if (recordCountDiscrepancy >= 2)
             console.log(`Warning: ${recordCountDiscrepancy} records were not extracted from the PDF (record count at start of PDF: ${recordCount}; extracted application count: ${developmentApplications.length}).`);
     }
-    return developmentApplications;
+    // Report the specific application numbers that appear to be missing from the document (based
+    // on the sequential numbering of the applications that were extracted).
+    let missingApplications = findMissingApplications(developmentApplications.map(developmentApplication => ({ applicationNumber: developmentApplication.applicationNumber, informationUrl: url, pageNumber: developmentApplication.pageNumber })));
+    if (missingApplications.length > 0) {
+        console.log(`Warning: ${missingApplications.length} application number(s) are missing from the sequence of extracted application numbers:`);
+        for (let line of formatMissingApplications(missingApplications))
+            console.log(`    ${line}`);
+    }
+    return { developmentApplications: developmentApplications, rejectedApplications: rejectedApplications, reconciliations: reconciliations, recordCount: recordCount };
 }
 // Gets a random integer in the specified range: [minimum, maximum).
 function getRandom(minimum, maximum) {
@@ -881,13 +2742,396 @@ function getRandom(minimum, maximum) {
 function sleep(milliseconds) {
     return new Promise(resolve => setTimeout(resolve, milliseconds));
 }
-// Parses the development applications.
-async function main() {
-    // Ensure that the database exists.
-    let database = await initializeDatabase();
-    // Read all street, street suffix, suburb, state and post code information.
-    readAddressInformation();
-    // Retrieve the pages that contain the links to the PDFs.
+// The fields of a development application that are compared when testing the parser against
+// fixtures (the remaining fields, such as the scrape date, do not depend on the parsing).
+const FixtureFieldNames = ["applicationNumber", "address", "description", "receivedDate", "legalDescription"];
+// The names of the numeric fields that are recorded in new fixtures and compared only when present
+// in the expected result of a fixture (so that older fixtures without these fields still pass).
+const OptionalFixtureFieldNames = ["developmentCost", "totalArea"];
+// Writes each group of elements parsed from the specified PDFs to a JSON fixture file in the
+// specified directory.  The development application currently parsed from each group of elements
+// is recorded as the expected result (this should be reviewed and corrected by hand so that the
+// fixture captures the correct result).  An expected result of null indicates that the group of
+// elements is expected to be ignored.
+async function dumpFixtures(pdfUrls, fixturesDirectory) {
+    if (!fs.existsSync(fixturesDirectory))
+        fs.mkdirSync(fixturesDirectory);
+    for (let pdfUrl of pdfUrls) {
+        console.log(`Dumping fixtures from document: ${pdfUrl}`);
+        let fileName = path.basename(getFilePath(pdfUrl)).replace(/\.pdf$/i, "").replace(/[^A-Za-z0-9]+/g, " ").trim();
+        let groupCounts = {};
+        await parsePdf(pdfUrl, await readPdf(pdfUrl), (applicationElementGroup, pageNumber, developmentApplication) => {
+            groupCounts[pageNumber] = (groupCounts[pageNumber] || 0) + 1;
+            let expected = null;
+            if (developmentApplication !== undefined) {
+                expected = {};
+                for (let fieldName of FixtureFieldNames.concat(OptionalFixtureFieldNames))
+                    expected[fieldName] = developmentApplication[fieldName];
+            }
+            let fixture = {
+                source: path.basename(getFilePath(pdfUrl)),
+                pageNumber: pageNumber,
+                informationUrl: pdfUrl,
+                startElement: applicationElementGroup.startElement,
+                elements: applicationElementGroup.elements,
+                expected: expected
+            };
+            let fixtureFilePath = path.join(fixturesDirectory, `${fileName} page ${("00" + pageNumber).slice(-3)} group ${groupCounts[pageNumber]}.json`);
+            fs.writeFileSync(fixtureFilePath, JSON.stringify(fixture, null, 4) + "\n");
+            console.log(`    Wrote fixture: ${fixtureFilePath}`);
+        });
+    }
+}
+// Parses the groups of elements in all JSON fixture files in the specified directory and compares
+// the results with the expected development applications.  The accuracy of each field is reported
+// and the returned value indicates whether all fields of all fixtures matched (a missing or empty
+// fixtures directory is a failure, so that the tests never silently check nothing).
+function testFixtures(fixturesDirectory) {
+    let fixtureFileNames = fs.existsSync(fixturesDirectory) ? fs.readdirSync(fixturesDirectory).filter(fileName => fileName.toLowerCase().endsWith(".json")).sort() : [];
+    if (fixtureFileNames.length === 0) {
+        console.log(`Error: no fixtures were found in the "${fixturesDirectory}" directory.`);
+        return false;
+    }
+    let matchCounts = {};
+    let totalCounts = {};
+    for (let fieldName of ["application"].concat(FixtureFieldNames, OptionalFixtureFieldNames)) {
+        matchCounts[fieldName] = 0;
+        totalCounts[fieldName] = 0;
+    }
+    for (let fixtureFileName of fixtureFileNames) {
+        let fixture = JSON.parse(fs.readFileSync(path.join(fixturesDirectory, fixtureFileName)).toString());
+        CurrentLayoutProfile = selectLayoutProfile(fixture.elements) || Configuration.layoutProfiles[0];
+        let developmentApplication = parseApplicationElements(fixture.elements, fixture.startElement, fixture.informationUrl);
+        let fieldNames = FixtureFieldNames.concat(OptionalFixtureFieldNames.filter(fieldName => fixture.expected !== null && fieldName in fixture.expected));
+        // Check whether the application was parsed (or ignored) as expected.
+        totalCounts["application"]++;
+        if ((developmentApplication === undefined) !== (fixture.expected === null)) {
+            console.log(`${fixtureFileName}: expected the application to be ${(fixture.expected === null) ? "ignored" : "parsed"} but it was ${(developmentApplication === undefined) ? "ignored" : "parsed"}.`);
+            if (fixture.expected !== null)
+                for (let fieldName of fieldNames)
+                    totalCounts[fieldName]++; // count the fields as mismatched
+            continue;
+        }
+        matchCounts["application"]++;
+        if (fixture.expected === null)
+            continue;
+        // Compare each field of the application.
+        for (let fieldName of fieldNames) {
+            totalCounts[fieldName]++;
+            if (developmentApplication[fieldName] === fixture.expected[fieldName])
+                matchCounts[fieldName]++;
+            else
+                console.log(`${fixtureFileName}: expected ${fieldName} "${fixture.expected[fieldName]}" but parsed "${developmentApplication[fieldName]}".`);
+        }
+    }
+    // Report the accuracy of each field.
+    let isSuccess = true;
+    console.log(`Tested ${fixtureFileNames.length} fixture(s).`);
+    for (let fieldName of ["application"].concat(FixtureFieldNames, OptionalFixtureFieldNames)) {
+        let accuracy = (totalCounts[fieldName] === 0) ? 100 : (100 * matchCounts[fieldName]) / totalCounts[fieldName];
+        console.log(`    ${fieldName}: ${matchCounts[fieldName]} of ${totalCounts[fieldName]} correct (${accuracy.toFixed(1)}%)`);
+        if (matchCounts[fieldName] !== totalCounts[fieldName])
+            isSuccess = false;
+    }
+    return isSuccess;
+}
+// Summarises the development applications parsed from a PDF: the number of applications parsed
+// and rejected and the mean confidence of each field.
+function summarizeParseResult(result) {
+    let meanConfidences = {};
+    for (let fieldName of FixtureFieldNames) {
+        let confidences = result.developmentApplications.map(developmentApplication => developmentApplication.confidences[fieldName]).filter(confidence => confidence !== null && confidence !== undefined);
+        meanConfidences[fieldName] = (confidences.length === 0) ? null : Math.round(10 * confidences.reduce((total, confidence) => total + confidence, 0) / confidences.length) / 10;
+    }
+    return `${result.developmentApplications.length} parsed, ${result.rejectedApplications.length} rejected; mean confidence: ${FixtureFieldNames.map(fieldName => `${fieldName} ${meanConfidences[fieldName]}`).join(", ")}`;
+}
+// Parses local PDF documents without any preprocessing, with each of the specified preprocessing
+// steps alone and with all of the specified steps together, and then reports how the parsed
+// applications differ from those parsed without preprocessing (so that the effect of each step
+// on the OCR output can be seen).  Nothing is written to the database.
+async function comparePreprocessing(pdfUrls, steps) {
+    for (let step of steps)
+        if (!PreprocessingSteps.includes(step))
+            throw new Error(`Unknown preprocessing step "${step}" (expected one of: ${PreprocessingSteps.join(", ")}).`);
+    let variants = [[]].concat(steps.map(step => [step]));
+    if (steps.length > 1)
+        variants.push(steps);
+    let originalSteps = Configuration.preprocessingSteps;
+    try {
+        for (let pdfUrl of pdfUrls) {
+            let buffer = await readPdf(pdfUrl);
+            let baselineApplications = undefined;
+            let summaries = [];
+            for (let variant of variants) {
+                let variantName = (variant.length === 0) ? "no preprocessing" : variant.join(", ");
+                console.log(`Parsing document with ${variantName}: ${pdfUrl}`);
+                Configuration.preprocessingSteps = variant;
+                let result = await parsePdf(pdfUrl, buffer);
+                summaries.push(`    ${variantName}: ${summarizeParseResult(result)}`);
+                if (baselineApplications === undefined) {
+                    baselineApplications = result.developmentApplications;
+                    continue;
+                }
+                // Report each field that differs from the application parsed (from the same group
+                // of elements) without preprocessing.
+                let differences = [];
+                for (let developmentApplication of result.developmentApplications) {
+                    let baselineApplication = baselineApplications.find(otherApplication => otherApplication.pageNumber === developmentApplication.pageNumber && otherApplication.groupNumber === developmentApplication.groupNumber);
+                    if (baselineApplication === undefined) {
+                        differences.push(`    page ${developmentApplication.pageNumber} group ${developmentApplication.groupNumber}: only parsed with ${variantName} (\"${developmentApplication.applicationNumber}\")`);
+                        continue;
+                    }
+                    for (let fieldName of FixtureFieldNames)
+                        if (developmentApplication[fieldName] !== baselineApplication[fieldName])
+                            differences.push(`    page ${developmentApplication.pageNumber} group ${developmentApplication.groupNumber} ${fieldName}: \"${baselineApplication[fieldName]}\" became \"${developmentApplication[fieldName]}\"`);
+                }
+                for (let baselineApplication of baselineApplications)
+                    if (!result.developmentApplications.some(developmentApplication => developmentApplication.pageNumber === baselineApplication.pageNumber && developmentApplication.groupNumber === baselineApplication.groupNumber))
+                        differences.push(`    page ${baselineApplication.pageNumber} group ${baselineApplication.groupNumber}: no longer parsed with ${variantName} (\"${baselineApplication.applicationNumber}\")`);
+                console.log(`Differences with ${variantName} (${differences.length}):`);
+                for (let difference of differences)
+                    console.log(difference);
+            }
+            console.log(`Summary of ${pdfUrl}:`);
+            for (let summary of summaries)
+                console.log(summary);
+        }
+    }
+    finally {
+        Configuration.preprocessingSteps = originalSteps;
+    }
+}
+// Parses CSV text (with a header row) into an array of objects keyed by the column names.  Quoted
+// values (which may contain commas, new lines and doubled quotes) are supported.
+function parseCsv(text) {
+    let rows = [];
+    let row = [];
+    let value = "";
+    let isQuoted = false;
+    for (let index = 0; index < text.length; index++) {
+        let character = text.charAt(index);
+        if (isQuoted) {
+            if (character === "\"" && text.charAt(index + 1) === "\"") {
+                value += "\"";
+                index++;
+            }
+            else if (character === "\"")
+                isQuoted = false;
+            else
+                value += character;
+        }
+        else if (character === "\"")
+            isQuoted = true;
+        else if (character === ",") {
+            row.push(value);
+            value = "";
+        }
+        else if (character === "\n") {
+            row.push(value.replace(/\r$/, ""));
+            rows.push(row);
+            row = [];
+            value = "";
+        }
+        else
+            value += character;
+    }
+    if (value !== "" || row.length > 0) {
+        row.push(value.replace(/\r$/, ""));
+        rows.push(row);
+    }
+    let columnNames = (rows.shift() || []).map(columnName => columnName.replace(/^\uFEFF/, "").trim()); // ignore any byte order mark
+    return rows.filter(row => row.some(value => value.trim() !== "")).map(row => {
+        let record = {};
+        columnNames.forEach((columnName, index) => record[columnName] = (row[index] === undefined) ? "" : row[index].trim());
+        return record;
+    });
+}
+// Reads the features from a gazetteer extract, which may be a CSV file (with a header row) or a
+// GeoJSON file.  Each feature consists of its properties (the columns of a CSV file) and its
+// co-ordinates as [ longitude, latitude ] (from the geometry of a GeoJSON feature, using the
+// average of the positions for a line or polygon, or from the latitude and longitude columns of
+// a CSV file).  Co-ordinates that are not a valid latitude and longitude (such as the eastings and
+// northings of a projected grid) are ignored.
+function readGazetteerFeatures(filePath) {
+    let text = fs.readFileSync(filePath).toString();
+    if (/\.(geo)?json$/i.test(filePath)) {
+        return (JSON.parse(text).features || []).map(feature => {
+            let positions = [];
+            let addPositions = coordinates => (typeof coordinates[0] === "number") ? positions.push(coordinates) : coordinates.forEach(addPositions);
+            if (feature.geometry && feature.geometry.coordinates)
+                addPositions(feature.geometry.coordinates);
+            let coordinates = (positions.length === 0) ? undefined : [
+                positions.reduce((total, position) => total + position[0], 0) / positions.length,
+                positions.reduce((total, position) => total + position[1], 0) / positions.length
+            ];
+            return { properties: feature.properties || {}, coordinates: (coordinates === undefined || !isValidCoordinate(coordinates[1], coordinates[0])) ? undefined : coordinates };
+        });
+    }
+    return parseCsv(text).map(record => {
+        let latitude = parseFloat(getGazetteerValue(record, GazetteerFieldNames.latitude));
+        let longitude = parseFloat(getGazetteerValue(record, GazetteerFieldNames.longitude));
+        return { properties: record, coordinates: isValidCoordinate(latitude, longitude) ? [longitude, latitude] : undefined };
+    });
+}
+// Determines whether a latitude and longitude are numbers within the valid ranges (-90 to 90 and
+// -180 to 180).
+function isValidCoordinate(latitude, longitude) {
+    return !isNaN(latitude) && !isNaN(longitude) && latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
+// Reads the records (that is, the properties of the features) from a gazetteer extract.
+function readGazetteerRecords(filePath) {
+    return readGazetteerFeatures(filePath).map(feature => feature.properties);
+}
+// Gets the value of a field from a gazetteer record, using the first of the candidate field names
+// that is present in the record (field names are matched ignoring case).
+function getGazetteerValue(record, candidateFieldNames) {
+    for (let candidateFieldName of candidateFieldNames) {
+        let fieldName = Object.keys(record).find(fieldName => fieldName.toLowerCase() === candidateFieldName.toLowerCase());
+        if (fieldName !== undefined && record[fieldName] !== null && record[fieldName] !== undefined)
+            return record[fieldName].toString().trim();
+    }
+    return "";
+}
+// Converts text to title case (for example, "MURRAY BRIDGE-MANNUM ROAD" to "Murray Bridge-Mannum
+// Road").
+function toTitleCase(text) {
+    return text.toLowerCase().replace(/(^|[\s\-'(])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+// Compares two lines of a gazetteer file (sorting by the first field and then the second field).
+function compareGazetteerLines(line1, line2) {
+    let fields1 = line1.split(",");
+    let fields2 = line2.split(",");
+    return (fields1[0] > fields2[0]) ? 1 : ((fields1[0] < fields2[0]) ? -1 : ((fields1[1] > fields2[1]) ? 1 : ((fields1[1] < fields2[1]) ? -1 : 0)));
+}
+// Writes the lines of a gazetteer file (such as "streetnames.txt"), reporting the lines that are
+// added and removed (the file is not changed if isDryRun is true).
+function writeGazetteerFile(filePath, lines, isDryRun) {
+    let existingLines = fs.existsSync(filePath) ? fs.readFileSync(filePath).toString().replace(/\r/g, "").trim().split("\n").filter(line => line.trim() !== "") : [];
+    let addedLines = lines.filter(line => !existingLines.includes(line));
+    let removedLines = existingLines.filter(line => !lines.includes(line));
+    console.log(`${filePath}: ${addedLines.length} added and ${removedLines.length} removed (${lines.length} in total).`);
+    for (let line of addedLines)
+        console.log(`    + ${line}`);
+    for (let line of removedLines)
+        console.log(`    - ${line}`);
+    if (!isDryRun && (addedLines.length > 0 || removedLines.length > 0))
+        fs.writeFileSync(filePath, lines.join("\n") + "\n");
+}
+// Rebuilds "streetnames.txt" and "suburbnames.txt" from a local gazetteer extract of road names
+// (and, optionally, a gazetteer extract of localities and their post codes).  Only records within
+// the specified council area are used: a record without a council value is ignored, and nothing
+// is rebuilt if an extract has no council field at all (so that a statewide extract never adds
+// the streets of every council area).  Field names are
+// matched against common names used in state datasets unless specified in the options (for
+// example, "--street-name-field=ROADNAME").
+function rebuildGazetteer(roadsFilePath, localitiesFilePath, options) {
+    let streetNameFields = options["street-name-field"] ? [options["street-name-field"]] : GazetteerFieldNames.streetName;
+    let streetTypeFields = options["street-type-field"] ? [options["street-type-field"]] : GazetteerFieldNames.streetType;
+    let streetSuffixFields = options["street-suffix-field"] ? [options["street-suffix-field"]] : GazetteerFieldNames.streetSuffix;
+    let suburbFields = options["suburb-field"] ? [options["suburb-field"]] : GazetteerFieldNames.suburb;
+    let postcodeFields = options["postcode-field"] ? [options["postcode-field"]] : GazetteerFieldNames.postcode;
+    let councilFields = options["council-field"] ? [options["council-field"]] : GazetteerFieldNames.council;
+    let council = (options["council"] || "MURRAY BRIDGE").toUpperCase();
+    let isWithinCouncil = record => { let recordCouncil = getGazetteerValue(record, councilFields); return recordCouncil !== "" && recordCouncil.toUpperCase().includes(council); };
+    // Determine the post code of each locality (from the localities extract, the roads extract
+    // and the existing suburb names).
+    let postcodes = {};
+    for (let suburbName of Object.keys(SuburbNames)) {
+        let postcodeMatch = /([0-9]{4})$/.exec(SuburbNames[suburbName]);
+        if (postcodeMatch !== null)
+            postcodes[suburbName.toUpperCase()] = postcodeMatch[1];
+    }
+    let suburbs = {};
+    let allRoadRecords = readGazetteerRecords(roadsFilePath);
+    let allLocalityRecords = (localitiesFilePath === undefined) ? [] : readGazetteerRecords(localitiesFilePath);
+    for (let { filePath, records } of [{ filePath: roadsFilePath, records: allRoadRecords }, { filePath: localitiesFilePath, records: allLocalityRecords }]) {
+        if (records.length > 0 && !records.some(record => getGazetteerValue(record, councilFields) !== "")) {
+            console.log(`No council field (${councilFields.join(", ")}) was found in "${filePath}", so its records cannot be limited to the "${council}" council area (specify the field with "--council-field"; the files have not been changed).`);
+            return;
+        }
+    }
+    let roadRecords = allRoadRecords.filter(isWithinCouncil);
+    let localityRecords = allLocalityRecords.filter(isWithinCouncil);
+    for (let record of localityRecords.concat(roadRecords)) {
+        let suburb = getGazetteerValue(record, suburbFields).toUpperCase().replace(/\s\s+/g, " ");
+        let postcode = getGazetteerValue(record, postcodeFields);
+        if (suburb === "")
+            continue;
+        suburbs[suburb] = true;
+        if (/^[0-9]{4}$/.test(postcode))
+            postcodes[suburb] = postcode;
+    }
+    // Construct the suburb names (for example, "MURRAY BRIDGE,MURRAY BRIDGE SA 5253").
+    let suburbLines = [];
+    for (let suburb of Object.keys(suburbs)) {
+        if (postcodes[suburb] === undefined)
+            console.log(`Ignoring the locality "${suburb}" because its post code is not known.`);
+        else
+            suburbLines.push(`${suburb},${suburb} SA ${postcodes[suburb]}`);
+    }
+    suburbLines.sort(compareGazetteerLines);
+    // Construct the street names (for example, "Adelaide Road,MURRAY BRIDGE SA 5253"), expanding
+    // any abbreviated street types (for example, "RD" to "Road").
+    let streetLines = [];
+    for (let record of roadRecords) {
+        let streetName = getGazetteerValue(record, streetNameFields);
+        let streetType = getGazetteerValue(record, streetTypeFields);
+        let streetSuffix = getGazetteerValue(record, streetSuffixFields);
+        let suburb = getGazetteerValue(record, suburbFields).toUpperCase().replace(/\s\s+/g, " ");
+        if (streetName === "" || suburb === "" || postcodes[suburb] === undefined)
+            continue;
+        streetType = StreetSuffixes[streetType.toLowerCase()] || streetType;
+        let line = `${toTitleCase([streetName, streetType, streetSuffix].join(" ").trim().replace(/\s\s+/g, " "))},${suburb} SA ${postcodes[suburb]}`;
+        if (!streetLines.includes(line))
+            streetLines.push(line);
+    }
+    streetLines.sort(compareGazetteerLines);
+    if (streetLines.length === 0 || suburbLines.length === 0) {
+        console.log(`No street names or suburb names were found for the "${council}" council area (the files have not been changed).`);
+        return;
+    }
+    let isDryRun = (options["dry-run"] !== undefined);
+    writeGazetteerFile("streetnames.txt", streetLines, isDryRun);
+    writeGazetteerFile("suburbnames.txt", suburbLines, isDryRun);
+    if (isDryRun)
+        console.log("The files have not been changed because the \"--dry-run\" option was specified.");
+}
+// Parses the command line arguments into a command (the first argument that is not an option),
+// the remaining arguments and any options.  Options are specified as "--name=value" (or just as
+// "--name", which is equivalent to "--name=true").
+function parseCommandLine(commandLineArguments) {
+    let positionalArguments = [];
+    let options = {};
+    for (let commandLineArgument of commandLineArguments) {
+        let optionMatch = /^--([^=]+)(=(.*))?$/.exec(commandLineArgument);
+        if (optionMatch === null)
+            positionalArguments.push(commandLineArgument);
+        else
+            options[optionMatch[1]] = (optionMatch[3] === undefined) ? "true" : optionMatch[3];
+    }
+    return { command: positionalArguments.shift(), arguments: positionalArguments, options: options };
+}
+// Gets the "file:" URLs of the local PDF documents at the specified paths (each path may be a
+// PDF document or a directory containing PDF documents).
+function getLocalPdfUrls(filePaths) {
+    let pdfUrls = [];
+    for (let filePath of filePaths) {
+        if (!fs.existsSync(filePath))
+            throw new Error(`The file or directory "${filePath}" does not exist.`);
+        let pdfFilePaths = [filePath];
+        if (fs.statSync(filePath).isDirectory())
+            pdfFilePaths = fs.readdirSync(filePath).filter(fileName => fileName.toLowerCase().endsWith(".pdf")).sort().map(fileName => path.join(filePath, fileName));
+        for (let pdfFilePath of pdfFilePaths) {
+            let pdfUrl = getFileUrl(pdfFilePath);
+            if (!pdfUrls.some(url => url === pdfUrl)) // avoid duplicates
+                pdfUrls.push(pdfUrl);
+        }
+    }
+    return pdfUrls;
+}
+// Retrieves the URLs of the PDFs from the pages of the council web site that contain the links
+// to the PDFs.
+async function getPdfUrls() {
     let pdfUrls = [];
     for (let index = 1; index <= 10; index++) { // search up to 10 pages
         let url = DevelopmentApplicationsUrl.replace(/\{0\}/g, index.toString());
@@ -903,32 +3147,536 @@ async function main() {
                     pdfUrls.push(pdfUrl.href);
         }
     }
+    return pdfUrls;
+}
+// Parses the development applications from the specified PDF and inserts them into the database.
+async function parsePdfAndInsertRows(database, pdfUrl, buffer, debugDirectory) {
+    console.log(`Parsing document: ${pdfUrl}`);
+    let result = await parsePdf(pdfUrl, buffer, undefined, debugDirectory);
+    console.log(`Parsed ${result.developmentApplications.length} development application(s) from document: ${pdfUrl}`);
+    // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the current
+    // process being terminated by morph.io).
+    if (global.gc)
+        global.gc();
+    console.log(`Inserting development applications into the database.`);
+    for (let reconciliation of result.reconciliations)
+        await logReconciliation(database, reconciliation);
+    let usedApplicationNumbers = new Set((await getRows(database, "select [council_reference] from [data]", [])).map(row => row.council_reference));
+    let neighbourApplicationNumbers = result.developmentApplications.map(developmentApplication => developmentApplication.applicationNumber);
+    for (let developmentApplication of result.developmentApplications)
+        usedApplicationNumbers.add(developmentApplication.applicationNumber);
+    for (let developmentApplication of result.developmentApplications) {
+        if (await reconcileAndInsertRow(database, developmentApplication, usedApplicationNumbers, neighbourApplicationNumbers))
+            await updateReviewQueue(database, developmentApplication);
+        else
+            result.rejectedApplications.push(getConflictingApplication(developmentApplication));
+    }
+    await quarantineApplications(database, pdfUrl, result.rejectedApplications);
+    return result;
+}
+// Lists the quarantined applications (that is, the applications that were rejected by the parser).
+async function listQuarantinedApplications(database) {
+    let rows = await getRows(database, "select [rowid], * from [quarantine] order by [info_url], [page_number], [group_number]", []);
+    for (let row of rows) {
+        let fields = JSON.parse(row.fields);
+        let fieldSummary = Object.keys(fields).map(fieldName => `${fieldName}: "${fields[fieldName]}"`).join(", ");
+        console.log(`[${row.rowid}] ${row.info_url} page ${row.page_number} group ${row.group_number}: ${row.reason} (quarantined ${row.date_quarantined})${(fieldSummary === "") ? "" : "; " + fieldSummary}`);
+    }
+    console.log(`Found ${rows.length} quarantined application(s).`);
+}
+// Parses the quarantined applications again (for example, after the parser has been improved).
+// Any application that is now successfully parsed is inserted into the database and removed
+// from the quarantine.  If an identifier is specified then only that application is parsed.
+async function reparseQuarantinedApplications(database, id) {
+    let rows = (id === undefined) ?
+        await getRows(database, "select [rowid], * from [quarantine] order by [info_url], [page_number], [group_number]", []) :
+        await getRows(database, "select [rowid], * from [quarantine] where [rowid] = ?", [id]);
+    let parsedCount = 0;
+    for (let row of rows) {
+        console.log(`Parsing quarantined application [${row.rowid}] from ${row.info_url} page ${row.page_number} group ${row.group_number}.`);
+        let rejection = undefined;
+        let elements = JSON.parse(row.elements);
+        if (elements.length === 0) {
+            console.log(`    The application cannot be parsed again because its elements were not recorded (review it by hand).`);
+            continue;
+        }
+        CurrentLayoutProfile = selectLayoutProfile(elements) || Configuration.layoutProfiles[0];
+        let developmentApplication = parseApplicationElements(elements, JSON.parse(row.start_element), row.info_url, (reason, fields) => rejection = { reason: reason, fields: fields });
+        if (developmentApplication === undefined) {
+            await runStatement(database, "update [quarantine] set [reason] = ?, [fields] = ?, [application_number] = ? where [rowid] = ?", [rejection.reason, JSON.stringify(rejection.fields), rejection.fields.applicationNumber || null, row.rowid]);
+            continue;
+        }
+        Object.assign(developmentApplication, { pageNumber: row.page_number });
+        let usedApplicationNumbers = new Set((await getRows(database, "select [council_reference] from [data]", [])).map(row => row.council_reference));
+        let neighbourApplicationNumbers = (await getRows(database, "select [council_reference] from [data] where [info_url] = ?", [row.info_url])).map(row => row.council_reference);
+        if (!await reconcileAndInsertRow(database, developmentApplication, usedApplicationNumbers, neighbourApplicationNumbers)) {
+            await runStatement(database, "update [quarantine] set [reason] = ? where [rowid] = ?", ["Conflicting application number", row.rowid]);
+            continue;
+        }
+        await updateReviewQueue(database, developmentApplication);
+        await runStatement(database, "delete from [quarantine] where [rowid] = ?", [row.rowid]);
+        parsedCount++;
+    }
+    console.log(`Parsed ${parsedCount} of ${rows.length} quarantined application(s).`);
+}
+// Formats rows as CSV text (with a header row of the specified column names).
+function formatCsv(columnNames, rows) {
+    let formatValue = value => {
+        let text = (value === null || value === undefined) ? "" : value.toString();
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+    };
+    return [columnNames.map(formatValue).join(",")].concat(rows.map(row => columnNames.map(columnName => formatValue(row[columnName])).join(","))).map(line => line + "\n").join("");
+}
+// Gets the applications in the review queue (along with their parsed fields), lowest confidence
+// first.
+async function getReviewQueue(database) {
+    return await getRows(database, "select [review_queue].[field_name], [review_queue].[confidence], [review_queue].[date_queued], [data].* from [review_queue] inner join [data] on [data].[council_reference] = [review_queue].[council_reference] order by [review_queue].[confidence], [review_queue].[council_reference]", []);
+}
+// Lists the applications in the review queue or exports them to a CSV file.
+async function reviewApplications(database, subcommand, outputFilePath) {
+    let rows = await getReviewQueue(database);
+    if (subcommand === "export") {
+        let columnNames = ["council_reference", "field_name", "confidence", "address", "description", "date_received", "legal_description", "application_number_confidence", "address_confidence", "description_confidence", "date_received_confidence", "legal_description_confidence", "info_url", "date_queued"];
+        fs.writeFileSync(outputFilePath, formatCsv(columnNames, rows));
+        console.log(`Exported ${rows.length} application(s) in the review queue to: ${outputFilePath}`);
+        return;
+    }
+    for (let row of rows)
+        console.log(`${row.council_reference}: ${row.field_name} confidence ${row.confidence} (address \"${row.address}\", description \"${row.description}\", received date \"${row.date_received}\") from ${row.info_url}`);
+    console.log(`Found ${rows.length} application(s) in the review queue.`);
+}
+// Gets the rows of the [data] table that match the specified filters: a range of received dates
+// (inclusive; in "YYYY-MM-DD" format), a suburb (ignoring case) and text that must appear in the
+// description (ignoring case).
+async function getFilteredRows(database, filters) {
+    let filterClause = getFilterClause(filters);
+    return await getRows(database, `select * from [data]${filterClause.sql} order by [date_received], [council_reference]`, filterClause.parameters);
+}
+// Gets the SQL "where" clause (and its parameters) for the specified filters (see getFilteredRows).
+function getFilterClause(filters) {
+    let conditions = [];
+    let parameters = [];
+    if (filters.from !== undefined) {
+        conditions.push("[date_received] >= ?");
+        parameters.push(filters.from);
+    }
+    if (filters.to !== undefined) {
+        conditions.push("[date_received] <= ?");
+        parameters.push(filters.to);
+    }
+    if (filters.suburb !== undefined) {
+        conditions.push("upper([suburb]) = upper(?)");
+        parameters.push(filters.suburb);
+    }
+    if (filters.search !== undefined) {
+        conditions.push("[description] like ?");
+        parameters.push(`%${filters.search}%`);
+    }
+    return { sql: (conditions.length === 0) ? "" : " where " + conditions.join(" and "), parameters: parameters };
+}
+// Formats rows as a GeoJSON feature collection.  Each row is located using its latitude and
+// longitude or otherwise the centroid of its suburb (rows that cannot be located are omitted).
+function formatGeoJson(rows) {
+    let features = [];
+    for (let row of rows) {
+        let coordinates = (row.lat !== null && row.lng !== null) ? { latitude: row.lat, longitude: row.lng } : ((row.suburb !== null && row.suburb !== "") ? SuburbCoordinates[getGeocodingKey(row.suburb)] : undefined);
+        if (coordinates === undefined)
+            continue;
+        let properties = Object.assign({}, row);
+        delete properties.lat;
+        delete properties.lng;
+        features.push({
+            type: "Feature",
+            geometry: { type: "Point", coordinates: [coordinates.longitude, coordinates.latitude] },
+            properties: properties
+        });
+    }
+    return { text: JSON.stringify({ type: "FeatureCollection", features: features }, null, 4) + "\n", featureCount: features.length };
+}
+// Exports the [data] table (optionally filtered) to a CSV, JSON Lines or GeoJSON file.
+async function exportApplications(database, format, outputFilePath, filters) {
+    let rows = await getFilteredRows(database, filters);
+    if (format === "csv") {
+        let columnNames = (await getRows(database, "pragma table_info([data])", [])).map(row => row.name);
+        fs.writeFileSync(outputFilePath, formatCsv(columnNames, rows));
+    }
+    else if (format === "jsonl")
+        fs.writeFileSync(outputFilePath, rows.map(row => JSON.stringify(row) + "\n").join(""));
+    else if (format === "geojson") {
+        let geoJson = formatGeoJson(rows);
+        fs.writeFileSync(outputFilePath, geoJson.text);
+        if (geoJson.featureCount < rows.length)
+            console.log(`Omitted ${rows.length - geoJson.featureCount} application(s) that have no coordinates and no suburb centroid (configure addressPointsFile or suburbCentroidsFile in config.json).`);
+        rows = rows.slice(0, geoJson.featureCount);
+    }
+    else
+        throw new Error(`Unknown export format "${format}" (expected "csv", "jsonl" or "geojson").`);
+    console.log(`Exported ${rows.length} application(s) to: ${outputFilePath}`);
+}
+// Escapes text for inclusion in XML.
+function escapeXml(text) {
+    return (text || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+// Formats the most recently scraped applications as an Atom feed.
+function formatAtomFeed(rows, baseUrl) {
+    let updated = (rows.length === 0) ? moment() : moment(rows[0].date_first_scraped, "YYYY-MM-DD");
+    let entries = rows.map(row => [
+        "    <entry>",
+        `        <id>${escapeXml(`${baseUrl}/applications/${encodeURIComponent(row.council_reference)}`)}</id>`,
+        `        <title>${escapeXml(`${row.council_reference}: ${row.address}`)}</title>`,
+        `        <link href="${escapeXml(row.info_url)}"/>`,
+        `        <updated>${moment(row.date_first_scraped, "YYYY-MM-DD").format("YYYY-MM-DDTHH:mm:ssZ")}</updated>`,
+        `        <summary>${escapeXml(`${row.description} (received ${row.date_received})`)}</summary>`,
+        "    </entry>"
+    ].join("\n"));
+    return [
+        "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+        "<feed xmlns=\"http://www.w3.org/2005/Atom\">",
+        "    <title>The Rural City of Murray Bridge Development Applications</title>",
+        `    <id>${escapeXml(`${baseUrl}/feed.atom`)}</id>`,
+        `    <link rel="self" href="${escapeXml(`${baseUrl}/feed.atom`)}"/>`,
+        `    <updated>${updated.format("YYYY-MM-DDTHH:mm:ssZ")}</updated>`,
+        "    <author><name>The Rural City of Murray Bridge</name></author>"
+    ].concat(entries).concat(["</feed>"]).join("\n") + "\n";
+}
+// Handles a request to the read-only HTTP API.  The supported paths are "/applications" (a page
+// of applications, optionally filtered by suburb, received date range and description keyword;
+// for example, "/applications?page=2&per_page=50&suburb=Murray Bridge&from=2016-01-01"),
+// "/applications/<council_reference>" (a single application; for example,
+// "/applications/123/2015") and "/feed.atom" (the most recently scraped applications).
+async function handleApiRequest(database, request, response, baseUrl) {
+    let writeJson = (statusCode, value) => {
+        response.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8" });
+        response.end(JSON.stringify(value, null, 4) + "\n");
+    };
+    // Malformed percent-encoding in the path (for example, "/applications/%E0") and a repeated
+    // query parameter (for example, "?suburb=a&suburb=b", which is parsed as an array) are client
+    // errors rather than internal errors.
+    let parsedUrl = urlparser.parse(request.url, true);
+    let pathName;
+    try {
+        pathName = decodeURIComponent(parsedUrl.pathname).replace(/\/+$/, "");
+    }
+    catch (error) {
+        pathName = undefined;
+    }
+    let query = parsedUrl.query;
+    let repeatedParameterName = Object.keys(query).find(name => Array.isArray(query[name]));
+    if (request.method !== "GET") {
+        writeJson(405, { error: `Method ${request.method} is not allowed.` });
+    }
+    else if (pathName === undefined) {
+        writeJson(400, { error: `Path "${parsedUrl.pathname}" is not correctly encoded.` });
+    }
+    else if (repeatedParameterName !== undefined) {
+        writeJson(400, { error: `Query parameter "${repeatedParameterName}" must not be repeated.` });
+    }
+    else if (pathName === "/applications") {
+        let page = Math.max(1, Number(query.page) || 1);
+        let perPage = Math.min(500, Math.max(1, Number(query.per_page) || 100));
+        let filterClause = getFilterClause({ from: query.from, to: query.to, suburb: query.suburb, search: query.search });
+        let total = (await getRows(database, `select count(*) as [count] from [data]${filterClause.sql}`, filterClause.parameters))[0].count;
+        let rows = await getRows(database, `select * from [data]${filterClause.sql} order by [date_received] desc, [council_reference] limit ? offset ?`, filterClause.parameters.concat([perPage, (page - 1) * perPage]));
+        writeJson(200, { page: page, perPage: perPage, total: total, applications: rows });
+    }
+    else if (pathName.startsWith("/applications/")) {
+        let councilReference = pathName.substring("/applications/".length);
+        let row = (await getRows(database, "select * from [data] where [council_reference] = ?", [councilReference]))[0];
+        if (row === undefined)
+            writeJson(404, { error: `Application "${councilReference}" was not found.` });
+        else
+            writeJson(200, row);
+    }
+    else if (pathName === "/feed.atom") {
+        let rows = await getRows(database, "select * from [data] order by coalesce([date_first_scraped], [date_scraped]) desc, [council_reference] desc limit 50", []);
+        for (let row of rows)
+            row.date_first_scraped = row.date_first_scraped || row.date_scraped;
+        response.writeHead(200, { "Content-Type": "application/atom+xml; charset=utf-8" });
+        response.end(formatAtomFeed(rows, baseUrl));
+    }
+    else
+        writeJson(404, { error: `Path "${pathName}" was not found.` });
+}
+// Starts a read-only HTTP API over the scraped applications.  The database is opened with a
+// separate read-only connection (which waits for the scraper to finish any write in progress).
+async function serveApplications(port) {
+    let database = await new Promise((resolve, reject) => {
+        let database = new sqlite3.Database("data.sqlite", sqlite3.OPEN_READONLY, error => error ? reject(error) : resolve(database));
+    });
+    database.configure("busyTimeout", 5000);
+    let baseUrl = `http://localhost:${port}`;
+    let server = http.createServer((request, response) => {
+        handleApiRequest(database, request, response, baseUrl).catch(error => {
+            console.error(error);
+            if (!response.headersSent)
+                response.writeHead(500, { "Content-Type": "application/json; charset=utf-8" });
+            response.end(JSON.stringify({ error: "An internal error occurred." }) + "\n");
+        });
+    });
+    await new Promise((resolve, reject) => server.listen(port, resolve).on("error", reject));
+    console.log(`Serving applications at ${baseUrl}/applications (press Ctrl+C to stop).`);
+    await new Promise(resolve => server.on("close", resolve));
+}
+// Calculates the distance in metres between two points (using the haversine formula).
+function getDistance(latitude1, longitude1, latitude2, longitude2) {
+    let toRadians = (degrees) => degrees * Math.PI / 180;
+    let a = Math.pow(Math.sin(toRadians(latitude2 - latitude1) / 2), 2) + Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.pow(Math.sin(toRadians(longitude2 - longitude1) / 2), 2);
+    return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+// Determines whether a development application is in a watch zone (that is, whether it matches
+// any of the suburbs, streets or description keywords of the zone or is within the radius of the
+// point of the zone).
+function isInWatchZone(developmentApplication, watchZone) {
+    let isSame = (text1, text2) => (text1 || "").trim().toUpperCase() === (text2 || "").trim().toUpperCase();
+    let street = `${developmentApplication.streetName || ""} ${developmentApplication.streetType || ""}`;
+    if ((watchZone.suburbs || []).some(suburb => isSame(suburb, developmentApplication.suburb)))
+        return true;
+    if ((watchZone.streets || []).some(streetName => isSame(streetName, street) || isSame(streetName, developmentApplication.streetName)))
+        return true;
+    if ((watchZone.keywords || []).some(keyword => (developmentApplication.description || "").toUpperCase().includes(keyword.toUpperCase())))
+        return true;
+    return watchZone.point !== undefined && watchZone.radius !== undefined && developmentApplication.latitude !== null && developmentApplication.longitude !== null &&
+        getDistance(watchZone.point.latitude, watchZone.point.longitude, developmentApplication.latitude, developmentApplication.longitude) <= watchZone.radius;
+}
+// Formats a digest of the development applications in a watch zone as text or HTML.
+function formatDigest(watchZone, developmentApplications, format) {
+    let title = `${developmentApplications.length} new development application(s) in ${watchZone.name}`;
+    if (format === "html") {
+        let items = developmentApplications.map(developmentApplication => `        <li><a href="${escapeXml(developmentApplication.informationUrl)}">${escapeXml(developmentApplication.applicationNumber)}</a>: ${escapeXml(developmentApplication.address)}<br>${escapeXml(developmentApplication.description)} (received ${escapeXml(developmentApplication.receivedDate)})</li>`);
+        return ["<!DOCTYPE html>", "<html>", "<head>", "    <meta charset=\"utf-8\">", `    <title>${escapeXml(title)}</title>`, "</head>", "<body>", `    <h1>${escapeXml(title)}</h1>`, "    <ul>"].concat(items).concat(["    </ul>", "</body>", "</html>"]).join("\n") + "\n";
+    }
+    return [title, ""].concat(developmentApplications.map(developmentApplication => `${developmentApplication.applicationNumber}: ${developmentApplication.address}\n    ${developmentApplication.description} (received ${developmentApplication.receivedDate})\n    ${developmentApplication.informationUrl}`)).join("\n") + "\n";
+}
+// Writes a digest for each watch zone that contains any of the development applications first seen
+// in the current run (and sends each digest by email if an SMTP server is configured).
+async function writeWatchZoneDigests(developmentApplications) {
+    if (Configuration.watchZones.length === 0 || developmentApplications.length === 0)
+        return;
+    if (IsDatabaseInitiallyEmpty) {
+        console.log(`Not writing the watch zone digests because the database was empty at the start of the run (so all ${developmentApplications.length} application(s) are new).`);
+        return;
+    }
+    if (!fs.existsSync(Configuration.digestDirectory))
+        fs.mkdirSync(Configuration.digestDirectory);
+    let transport = (Configuration.smtp === null) ? undefined : nodemailer.createTransport({
+        host: Configuration.smtp.host,
+        port: Configuration.smtp.port,
+        secure: Configuration.smtp.secure,
+        auth: (process.env.MORPH_SMTP_USER === undefined) ? undefined : { user: process.env.MORPH_SMTP_USER, pass: process.env.MORPH_SMTP_PASSWORD }
+    });
+    let format = (Configuration.digestFormat === "html") ? "html" : "text";
+    for (let watchZone of Configuration.watchZones) {
+        let matchingApplications = developmentApplications.filter(developmentApplication => isInWatchZone(developmentApplication, watchZone));
+        if (matchingApplications.length === 0) {
+            console.log(`No new development applications were found in watch zone "${watchZone.name}".`);
+            continue;
+        }
+        let digest = formatDigest(watchZone, matchingApplications, format);
+        let digestFilePath = path.join(Configuration.digestDirectory, `${moment().format("YYYY-MM-DD")} ${watchZone.name.replace(/[^A-Za-z0-9]+/g, " ").trim()}.${(format === "html") ? "html" : "txt"}`);
+        fs.writeFileSync(digestFilePath, digest);
+        console.log(`Wrote a digest of ${matchingApplications.length} new development application(s) in watch zone "${watchZone.name}" to: ${digestFilePath}`);
+        if (transport !== undefined) {
+            // A failure to send one digest (for example, a rejected recipient) is logged and does
+            // not prevent the digests of the remaining watch zones from being sent (the digest
+            // file has already been written so it can still be sent by hand).
+            let recipients = watchZone.recipients || Configuration.smtp.to;
+            try {
+                await transport.sendMail({
+                    from: Configuration.smtp.from,
+                    to: recipients,
+                    subject: `${matchingApplications.length} new development application(s) in ${watchZone.name}`,
+                    text: (format === "text") ? digest : undefined,
+                    html: (format === "html") ? digest : undefined
+                });
+                console.log(`Sent the digest for watch zone "${watchZone.name}" to: ${[].concat(recipients).join(", ")}`);
+            }
+            catch (error) {
+                console.log(`Could not send the digest for watch zone "${watchZone.name}" to ${[].concat(recipients).join(", ")}: ${error.message}`);
+            }
+        }
+    }
+}
+// Orders the PDF URLs so that the most recent PDF (the first PDF on the council web site) is always
+// checked first, followed by the PDFs that have never been checked (in the order that they appear
+// on the council web site) and then the PDFs that were checked longest ago.  This ensures that new
+// applications are found promptly and that all PDFs are eventually checked within a predictable
+// number of runs.  Note that a failed check is recorded as a check so that a PDF that cannot be
+// read or parsed does not hold up the remaining PDFs.
+async function schedulePdfUrls(database, pdfUrls) {
+    let dateCheckedByUrl = {};
+    for (let row of await getRows(database, "select [url], [date_checked] from [documents]", []))
+        dateCheckedByUrl[row.url] = row.date_checked;
+    let olderPdfUrls = pdfUrls.slice(1);
+    let newPdfUrls = olderPdfUrls.filter(pdfUrl => !dateCheckedByUrl[pdfUrl]);
+    let checkedPdfUrls = olderPdfUrls.filter(pdfUrl => dateCheckedByUrl[pdfUrl]);
+    let dateComparer = (a, b) => (dateCheckedByUrl[a] > dateCheckedByUrl[b]) ? 1 : ((dateCheckedByUrl[a] < dateCheckedByUrl[b]) ? -1 : (pdfUrls.indexOf(a) - pdfUrls.indexOf(b)));
+    checkedPdfUrls.sort(dateComparer);
+    return pdfUrls.slice(0, 1).concat(newPdfUrls, checkedPdfUrls);
+}
+// Parses the development applications.
+async function main() {
+    let commandLine = parseCommandLine(process.argv.slice(2));
+    if (commandLine.command !== undefined && !["parse", "dump-fixtures", "test-fixtures", "quarantine", "rebuild-gazetteer", "review", "history", "missing", "export", "serve", "compare-preprocessing"].includes(commandLine.command))
+        throw new Error(`Unknown command "${commandLine.command}".`);
+    // Read the configuration.
+    readConfiguration();
+    // Read all street, street suffix, suburb, state and post code information.
+    readAddressInformation();
+    // Read the address points and suburb centroids used to geocode addresses (if configured).
+    if (Configuration.addressPointsFile || Configuration.suburbCentroidsFile)
+        readGeocodingInformation(Configuration.addressPointsFile, Configuration.suburbCentroidsFile);
+    // Rebuild the street names and suburb names from a gazetteer extract (for example, "node
+    // scraper.js rebuild-gazetteer Roads.csv Localities.geojson --dry-run").
+    if (commandLine.command === "rebuild-gazetteer") {
+        if (commandLine.arguments.length === 0)
+            throw new Error("Specify the gazetteer extract of road names (and, optionally, the gazetteer extract of localities).");
+        rebuildGazetteer(commandLine.arguments[0], commandLine.arguments[1], commandLine.options);
+        return;
+    }
+    // Dump the groups of elements parsed from local PDF documents to fixture files (for example,
+    // "node scraper.js dump-fixtures Registers/DevAppMay2016.pdf --output=fixtures") or test the
+    // parser against those fixture files (for example, "node scraper.js test-fixtures fixtures").
+    if (commandLine.command === "dump-fixtures") {
+        await dumpFixtures(getLocalPdfUrls(commandLine.arguments), commandLine.options["output"] || "fixtures");
+        return;
+    }
+    else if (commandLine.command === "test-fixtures") {
+        if (!testFixtures(commandLine.arguments[0] || "fixtures"))
+            process.exitCode = 1;
+        return;
+    }
+    // Compare the OCR results of local PDF documents with and without each preprocessing step (for
+    // example, "node scraper.js compare-preprocessing Registers/DevAppMay2016.pdf" or "node
+    // scraper.js compare-preprocessing Registers --steps=deskew,binarize").
+    if (commandLine.command === "compare-preprocessing") {
+        await comparePreprocessing(getLocalPdfUrls(commandLine.arguments), (commandLine.options["steps"] === undefined) ? PreprocessingSteps : commandLine.options["steps"].split(","));
+        return;
+    }
+    // Serve the applications over a read-only HTTP API (for example, "node scraper.js serve
+    // --port=8080").  This is done before the database is set up so that serving the applications
+    // never modifies the database.
+    if (commandLine.command === "serve") {
+        await serveApplications(Number(commandLine.options["port"] || 8080));
+        return;
+    }
+    // Ensure that the database exists.
+    let database = await initializeDatabase();
+    // List the quarantined applications (for example, "node scraper.js quarantine list") or parse
+    // them again (for example, "node scraper.js quarantine reparse" or "node scraper.js quarantine
+    // reparse --id=12").
+    if (commandLine.command === "quarantine") {
+        if (commandLine.arguments[0] === undefined || commandLine.arguments[0] === "list")
+            await listQuarantinedApplications(database);
+        else if (commandLine.arguments[0] === "reparse") {
+            await reparseQuarantinedApplications(database, (commandLine.options["id"] === undefined) ? undefined : Number(commandLine.options["id"]));
+            await writeWatchZoneDigests(NewApplications);
+        }
+        else
+            throw new Error(`Unknown quarantine command "${commandLine.arguments[0]}".`);
+        return;
+    }
+    // List the applications that have a field with a low confidence (for example, "node scraper.js
+    // review list") or export them for review (for example, "node scraper.js review export
+    // --output=review.csv").
+    if (commandLine.command === "review") {
+        if (commandLine.arguments[0] !== undefined && commandLine.arguments[0] !== "list" && commandLine.arguments[0] !== "export")
+            throw new Error(`Unknown review command "${commandLine.arguments[0]}".`);
+        await reviewApplications(database, commandLine.arguments[0], commandLine.options["output"] || "review.csv");
+        return;
+    }
+    // Show the history of changes to an application (for example, "node scraper.js history
+    // 123/2015").
+    if (commandLine.command === "history") {
+        if (commandLine.arguments[0] === undefined)
+            throw new Error("An application number must be specified.");
+        await showHistory(database, commandLine.arguments[0]);
+        return;
+    }
+    // Report the applications that appear to be missing from the parsed documents (for example,
+    // "node scraper.js missing" or "node scraper.js missing Registers/DevAppMay2016.pdf").
+    if (commandLine.command === "missing") {
+        let documentUrl = commandLine.arguments[0];
+        if (documentUrl !== undefined && !/^(https?|file):/i.test(documentUrl))
+            documentUrl = getFileUrl(documentUrl);
+        await reportMissingApplications(database, documentUrl);
+        return;
+    }
+    // Export the applications to a file (for example, "node scraper.js export --format=geojson
+    // --output=applications.geojson --from=2016-01-01 --to=2016-12-31 --suburb=Murray Bridge
+    // --search=dwelling").
+    if (commandLine.command === "export") {
+        let format = commandLine.options["format"] || "csv";
+        await exportApplications(database, format, commandLine.options["output"] || `applications.${format}`, {
+            from: commandLine.options["from"],
+            to: commandLine.options["to"],
+            suburb: commandLine.options["suburb"],
+            search: commandLine.options["search"]
+        });
+        return;
+    }
+    // Parse local PDF documents (instead of the PDFs on the council web site) if requested.  For
+    // example, "node scraper.js parse Registers/DevAppMay2016.pdf" or "node scraper.js parse
+    // Registers".  Specify "--debug" (or, for example, "--debug=overlays") to write a debug overlay
+    // of each page to the "debug" directory (or the specified directory).
+    let debugDirectory = (commandLine.options["debug"] === "true") ? "debug" : commandLine.options["debug"];
+    if (commandLine.command === "parse") {
+        let pdfUrls = getLocalPdfUrls(commandLine.arguments);
+        if (pdfUrls.length === 0) {
+            console.log("No local PDF files were specified or found.");
+            return;
+        }
+        console.log(`Found ${pdfUrls.length} local PDF file(s).`);
+        for (let pdfUrl of pdfUrls)
+            await parsePdfAndInsertRows(database, pdfUrl, await readPdf(pdfUrl), debugDirectory);
+        await writeWatchZoneDigests(NewApplications);
+        return;
+    }
+    // Retrieve the pages that contain the links to the PDFs.
+    let pdfUrls = await getPdfUrls();
     if (pdfUrls.length === 0) {
         console.log("No PDF URLs were found on the page.");
         return;
     }
     console.log(`Found ${pdfUrls.length} PDF URL(s).`);
-    // Select the most recent PDF.  And randomly select one other PDF (avoid processing all PDFs
-    // at once because this may use too much memory, resulting in morph.io terminating the current
-    // process).
-    let selectedPdfUrls = [];
-    selectedPdfUrls.push(pdfUrls.shift());
-    if (pdfUrls.length > 0)
-        selectedPdfUrls.push(pdfUrls[getRandom(0, pdfUrls.length)]);
-    if (getRandom(0, 2) === 0)
-        selectedPdfUrls.reverse();
-    for (let pdfUrl of selectedPdfUrls) {
-        console.log(`Parsing document: ${pdfUrl}`);
-        let developmentApplications = await parsePdf(pdfUrl);
-        console.log(`Parsed ${developmentApplications.length} development application(s) from document: ${pdfUrl}`);
-        // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the
-        // current process being terminated by morph.io).
-        if (global.gc)
-            global.gc();
-        console.log(`Inserting development applications into the database.`);
-        for (let developmentApplication of developmentApplications)
-            await insertRow(database, developmentApplication);
+    // Check the PDFs in the scheduled order, parsing any PDF that is new or that has changed since
+    // it was last parsed (as determined by a hash of its content).  Unchanged PDFs are skipped
+    // unless the "--force" option is specified (or the "--debug" option, because a debug overlay
+    // is only written when a PDF is parsed).  Limit the number of PDFs that are parsed (to avoid
+    // using too much memory) and checked (to avoid downloading every PDF on every run).  Each PDF
+    // is parsed as soon as it is found to have changed, so only one PDF is held in memory at a
+    // time, and checking stops once the parse limit is reached (any other changed PDFs are found
+    // on a later run).  A PDF that cannot be read or parsed is recorded as checked so that it does
+    // not stay at the front of the schedule on every run.
+    let hashByUrl = {};
+    for (let row of await getRows(database, "select [url], [hash] from [documents]", []))
+        hashByUrl[row.url] = row.hash;
+    let parsedPdfCount = 0;
+    let checkedPdfCount = 0;
+    for (let pdfUrl of await schedulePdfUrls(database, pdfUrls)) {
+        if (parsedPdfCount >= MaximumParsedPdfCount || checkedPdfCount >= MaximumCheckedPdfCount)
+            break;
+        console.log(`Checking document: ${pdfUrl}`);
+        checkedPdfCount++;
+        let hash = null;
+        try {
+            let buffer = await readPdf(pdfUrl);
+            hash = getPdfHash(buffer);
+            if (hashByUrl[pdfUrl] === hash && commandLine.options["force"] === undefined && debugDirectory === undefined) {
+                console.log(`Skipping document because it has not changed since it was last parsed: ${pdfUrl}`);
+                await updateDocument(database, pdfUrl, hash, false);
+                continue;
+            }
+            parsedPdfCount++;
+            let result = await parsePdfAndInsertRows(database, pdfUrl, buffer, debugDirectory);
+            await updateDocument(database, pdfUrl, hash, true, result.developmentApplications.length, result.recordCount);
+        }
+        catch (error) {
+            console.log(`Could not ${(hash === null) ? "read" : "parse"} document ${pdfUrl}: ${error.message}`);
+            await updateDocument(database, pdfUrl, hash, false);
+        }
     }
+    // Write a digest of the new applications in each watch zone.
+    await writeWatchZoneDigests(NewApplications);
 }
-main().then(() => console.log("Complete.")).catch(error => console.error(error));
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsa0dBQWtHO0FBQ2xHLHNDQUFzQztBQUN0QyxFQUFFO0FBQ0YsZUFBZTtBQUNmLG1CQUFtQjtBQUVuQixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBRXpCLCtGQUErRjtBQUMvRixpR0FBaUc7QUFDakcsNkZBQTZGO0FBRTdGLElBQUksSUFBSSxHQUFHLEVBQUUsQ0FBQyxZQUFZLENBQUMseUNBQXlDLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsc0VBQXNFLEVBQUUsTUFBTSxDQUFDLENBQUM7QUFDekssRUFBRSxDQUFDLGFBQWEsQ0FBQyx5Q0FBeUMsRUFBRSxJQUFJLENBQUMsQ0FBQztBQUVsRSxtQ0FBbUM7QUFDbkMsa0RBQWtEO0FBQ2xELG1DQUFtQztBQUNuQyxpQ0FBaUM7QUFDakMsaUNBQWlDO0FBQ2pDLG9DQUFvQztBQUNwQywwQ0FBMEM7QUFDMUMsNkJBQTZCO0FBQzdCLDBDQUEwQztBQUUxQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7QUFFbEIsTUFBTSwwQkFBMEIsR0FBRyxvSkFBb0osQ0FBQztBQUN4TCxNQUFNLFVBQVUsR0FBRyx1Q0FBdUMsQ0FBQztBQUszRCxxQ0FBcUM7QUFFckMsSUFBSSxXQUFXLEdBQUcsSUFBSSxDQUFDO0FBQ3ZCLElBQUksY0FBYyxHQUFHLElBQUksQ0FBQztBQUMxQixJQUFJLFdBQVcsR0FBRyxJQUFJLENBQUM7QUFFdkIsOEJBQThCO0FBRTlCLEtBQUssVUFBVSxrQkFBa0I7SUFDN0IsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNuQyxJQUFJLFFBQVEsR0FBRyxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsYUFBYSxDQUFDLENBQUM7UUFDbkQsUUFBUSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUU7WUFDcEIsUUFBUSxDQUFDLEdBQUcsQ0FBQyx3TkFBd04sQ0FBQyxDQUFDO1lBQ3ZPLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUN0QixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELDhEQUE4RDtBQUU5RCxLQUFLLFVBQVUsU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0I7SUFDckQsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNuQyxJQUFJLFlBQVksR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLCtEQUErRCxDQUFDLENBQUM7UUFDckcsWUFBWSxDQUFDLEdBQUcsQ0FBQztZQUNiLHNCQUFzQixDQUFDLGlCQUFpQjtZQUN4QyxzQkFBc0IsQ0FBQyxPQUFPO1lBQzlCLHNCQUFzQixDQUFDLFdBQVc7WUFDbEMsc0JBQXNCLENBQUMsY0FBYztZQUNyQyxzQkFBc0IsQ0FBQyxVQUFVO1lBQ2pDLHNCQUFzQixDQUFDLFVBQVU7WUFDakMsc0JBQXNCLENBQUMsWUFBWTtZQUNuQyxzQkFBc0IsQ0FBQyxnQkFBZ0I7U0FDMUMsRUFBRSxVQUFTLEtBQUssRUFBRSxHQUFHO1lBQ2xCLElBQUksS0FBSyxFQUFFO2dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNqQjtpQkFBTTtnQkFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLDJCQUEyQixzQkFBc0IsQ0FBQyxpQkFBaUIscUJBQXFCLHNCQUFzQixDQUFDLE9BQU8scUJBQXFCLHNCQUFzQixDQUFDLFdBQVcsMkJBQTJCLHNCQUFzQixDQUFDLGdCQUFnQiwwQkFBMEIsc0JBQXNCLENBQUMsWUFBWSxxQkFBcUIsQ0FBQyxDQUFDO2dCQUMvVSxZQUFZLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBRSxxQkFBcUI7Z0JBQy9DLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNoQjtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBa0JELDhGQUE4RjtBQUM5RixrR0FBa0c7QUFDbEcsK0ZBQStGO0FBQy9GLDREQUE0RDtBQUU1RCxTQUFTLFNBQVMsQ0FBQyxRQUFtQixFQUFFLFlBQXFCO0lBQ3pELElBQUksR0FBRyxHQUFHLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFDekIsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRO1FBQ3hCLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxHQUFHLFlBQVksQ0FBQyxDQUFDLEVBQUcsb0JBQW9CO1lBQ3RILElBQUksNEJBQTRCLENBQUMsWUFBWSxFQUFFLE9BQU8sQ0FBQyxHQUFHLEVBQUUsRUFBRyxpQ0FBaUM7Z0JBQzVGLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxHQUFHO29CQUNmLEdBQUcsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDO0lBQ2hDLE9BQU8sR0FBRyxDQUFDO0FBQ2YsQ0FBQztBQUVELG9GQUFvRjtBQUVwRixTQUFTLFNBQVMsQ0FBQyxVQUFxQixFQUFFLFVBQXFCO0lBQzNELElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDOUMsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM5QyxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssRUFBRSxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNwRixJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLE1BQU0sRUFBRSxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN0RixJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUU7UUFDcEIsT0FBTyxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsRUFBRSxHQUFHLEVBQUUsRUFBRSxNQUFNLEVBQUUsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDOztRQUV6RCxPQUFPLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDO0FBQ25ELENBQUM7QUFFRCxzQ0FBc0M7QUFFdEMsU0FBUyxPQUFPLENBQUMsU0FBb0I7SUFDakMsT0FBTyxTQUFTLENBQUMsS0FBSyxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUM7QUFDOUMsQ0FBQztBQUVELHdFQUF3RTtBQUV4RSxTQUFTLGlCQUFpQixDQUFDLFFBQWlCLEVBQUUsUUFBaUI7SUFDM0QsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7SUFDckYsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO0lBQ3BFLElBQUksTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxFQUFHLDBHQUEwRztRQUNySixPQUFPLE1BQU0sQ0FBQyxTQUFTLENBQUM7SUFDNUIsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ3pHLENBQUM7QUFFRCxxRUFBcUU7QUFFckUsU0FBUyxpQkFBaUIsQ0FBQyxRQUFpQixFQUFFLFFBQWlCO0lBQzNELE9BQU8sUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLElBQUksUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUM7QUFDbEcsQ0FBQztBQUVELGlHQUFpRztBQUNqRyw2RkFBNkY7QUFDN0YsMkJBQTJCO0FBRTNCLFNBQVMsNEJBQTRCLENBQUMsUUFBaUIsRUFBRSxRQUFpQjtJQUN0RSxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzFDLElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQzlFLE9BQU8sQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxHQUFHLEVBQUUsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQztBQUNqRSxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLHdDQUF3QztBQUV4QyxTQUFTLGVBQWUsQ0FBQyxRQUFtQixFQUFFLE9BQWdCO0lBQzFELElBQUksY0FBYyxHQUFZLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsU0FBUyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsU0FBUyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDO0lBQ2hJLEtBQUssSUFBSSxZQUFZLElBQUksUUFBUTtRQUM3QixJQUFJLGlCQUFpQixDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsSUFBSyxzREFBc0Q7WUFDbkcsNEJBQTRCLENBQUMsT0FBTyxFQUFFLFlBQVksQ0FBQyxHQUFHLEVBQUUsSUFBSyw4REFBOEQ7WUFDM0gsQ0FBQyxZQUFZLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsSUFBSyw4REFBOEQ7WUFDbkgsQ0FBQyxZQUFZLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUssMEdBQTBHO1lBQ2xLLGlCQUFpQixDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsR0FBRyxpQkFBaUIsQ0FBQyxPQUFPLEVBQUUsY0FBYyxDQUFDLEVBQUcsc0RBQXNEO1lBQzlJLGNBQWMsR0FBRyxZQUFZLENBQUM7SUFDdEMsT0FBTyxDQUFDLGNBQWMsQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDO0FBQzVFLENBQUM7QUFFRCwyRkFBMkY7QUFDM0YsOEZBQThGO0FBQzlGLDBGQUEwRjtBQUMxRiwyRkFBMkY7QUFFM0YsU0FBUyxlQUFlLENBQUMsUUFBbUIsRUFBRSxZQUFxQixFQUFFLGFBQXNCO0lBQ3ZGLElBQUksV0FBVyxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FDeEMsT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxLQUFLO1FBQy9DLE9BQU8sQ0FBQyxDQUFDLEdBQUcsYUFBYSxDQUFDLENBQUMsR0FBRyxHQUFHLEdBQUcsYUFBYSxDQUFDLEtBQUs7UUFDdkQsNEJBQTRCLENBQUMsT0FBTyxFQUFFLFlBQVksQ0FBQyxHQUFHLEVBQUUsQ0FDM0QsQ0FBQztJQUVGLHdEQUF3RDtJQUV4RCxJQUFJLFNBQVMsR0FBRyxDQUFDLENBQVUsRUFBRSxDQUFVLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDckYsV0FBVyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUM1QixPQUFPLFdBQVcsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUM7QUFDNUYsQ0FBQztBQUVELHlEQUF5RDtBQUV6RCxTQUFTLHNCQUFzQjtJQUMzQixXQUFXLEdBQUcsRUFBRSxDQUFBO0lBQ2hCLEtBQUssSUFBSSxJQUFJLElBQUksRUFBRSxDQUFDLFlBQVksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFO1FBQ2xHLElBQUksZ0JBQWdCLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN2QyxJQUFJLFVBQVUsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUM1QyxJQUFJLFVBQVUsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUM1QyxJQUFJLFdBQVcsQ0FBQyxVQUFVLENBQUMsS0FBSyxTQUFTO1lBQ3JDLFdBQVcsQ0FBQyxVQUFVLENBQUMsR0FBRyxFQUFFLENBQUM7UUFDakMsV0FBVyxDQUFDLFVBQVUsQ0FBQyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFFLHFEQUFxRDtLQUNuRztJQUVELGNBQWMsR0FBRyxFQUFFLENBQUM7SUFDcEIsS0FBSyxJQUFJLElBQUksSUFBSSxFQUFFLENBQUMsWUFBWSxDQUFDLG9CQUFvQixDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDckcsSUFBSSxrQkFBa0IsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3pDLGNBQWMsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxHQUFHLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0tBQzdGO0lBRUQsV0FBVyxHQUFHLEVBQUUsQ0FBQztJQUNqQixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNsRyxJQUFJLFlBQVksR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ25DLElBQUksVUFBVSxHQUFHLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQztRQUN0RCxJQUFJLHNCQUFzQixHQUFHLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUNwRCxXQUFXLENBQUMsVUFBVSxDQUFDLEdBQUcsc0JBQXNCLENBQUM7S0FDcEQ7QUFDTCxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0YsMERBQTBEO0FBRTFELFNBQVMsZ0JBQWdCLENBQUMsUUFBbUIsRUFBRSxXQUFvQixFQUFFLFlBQXFCLEVBQUUsYUFBc0I7SUFDOUcsMEZBQTBGO0lBQzFGLDhGQUE4RjtJQUM5RixvQkFBb0I7SUFFcEIsSUFBSSxlQUFlLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUM1QyxPQUFPLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLE1BQU07UUFDaEQsT0FBTyxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUMsQ0FBQyxHQUFHLEdBQUcsR0FBRyxhQUFhLENBQUMsS0FBSztRQUN2RCxPQUFPLENBQUMsQ0FBQyxHQUFHLFdBQVcsQ0FBQyxDQUFDLEdBQUcsV0FBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUUsbUVBQW1FO0lBRXpILDBGQUEwRjtJQUMxRiw0RkFBNEY7SUFDNUYsMkZBQTJGO0lBQzNGLDJGQUEyRjtJQUMzRiwwQkFBMEI7SUFFMUIsSUFBSSxvQkFBb0IsR0FBRyxlQUFlLENBQUMsTUFBTSxDQUFDLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsYUFBYSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLFFBQVEsS0FBSyxTQUFTLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUM7SUFDcE0sSUFBSSxvQkFBb0IsS0FBSyxTQUFTO1FBQ2xDLE9BQU8sRUFBRSxDQUFDO0lBRWQsd0VBQXdFO0lBRXhFLGVBQWUsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQ3hDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsTUFBTTtRQUNoRCxPQUFPLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQyxDQUFDLEdBQUcsR0FBRyxHQUFHLGFBQWEsQ0FBQyxLQUFLO1FBQ3ZELE9BQU8sQ0FBQyxDQUFDLEdBQUcsV0FBVyxDQUFDLENBQUMsR0FBRyxXQUFXLENBQUMsTUFBTSxJQUFNLG1FQUFtRTtRQUN2SCxPQUFPLENBQUMsQ0FBQyxJQUFJLG9CQUFvQixDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsb0JBQW9CLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztJQUVqRyxxRkFBcUY7SUFDckYsNEZBQTRGO0lBRTVGLElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNoTCxlQUFlLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO0lBRXRDLDZGQUE2RjtJQUM3Riw0RkFBNEY7SUFDNUYsa0VBQWtFO0lBRWxFLGVBQWUsR0FBRyxlQUFlLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQy9DLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUNqQyxPQUFPLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSyxzRUFBc0U7UUFDdkgsT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUM7UUFDcEIsT0FBTyxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsWUFBWSxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLEdBQUcsR0FBRyxDQUNyRSxDQUNKLENBQUM7SUFFRiwyRkFBMkY7SUFDM0Ysd0ZBQXdGO0lBQ3hGLDhGQUE4RjtJQUU5RixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsZUFBZSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUN6RCxJQUFJLGVBQWUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxlQUFlLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxlQUFlLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsRUFBRSxFQUFHLDZCQUE2QjtZQUNuSSxJQUFJLGVBQWUsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsVUFBVSxJQUFJLEVBQUUsSUFBSSxlQUFlLENBQUMsS0FBSyxDQUFDLENBQUMsVUFBVSxJQUFJLEVBQUUsRUFBRSxFQUFHLHdFQUF3RTtnQkFDbkssZUFBZSxDQUFDLE1BQU0sR0FBRyxLQUFLLENBQUMsQ0FBRSw4RUFBOEU7Z0JBQy9HLE1BQU07YUFDVDtTQUNKO0tBQ0o7SUFFRCxPQUFPLGVBQWUsQ0FBQztBQUMzQixDQUFDO0FBRUQsbURBQW1EO0FBRW5ELFNBQVMsc0JBQXNCLENBQUMsUUFBbUIsRUFBRSxZQUFxQixFQUFFLGFBQXNCO0lBQzlGLHlGQUF5RjtJQUN6Riw2RkFBNkY7SUFDN0Ysd0ZBQXdGO0lBRXhGLElBQUksWUFBWSxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLGFBQWEsQ0FBQyxDQUFDO1FBQ3RFLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxZQUFZLENBQUMsTUFBTTtRQUNyRSxPQUFPLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLFlBQVksQ0FBQyxNQUFNO1FBQ3BELE1BQU0sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxFQUFFLFdBQVcsRUFBRSxJQUFJLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0lBRTlELDRGQUE0RjtJQUU1RixJQUFJLG1CQUFtQixHQUFHLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxLQUFLLFNBQVMsSUFBSSxRQUFRLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztJQUMzSixPQUFPLG1CQUFtQixDQUFDO0FBQy9CLENBQUM7QUFFRCx3QkFBd0I7QUFFeEIsU0FBUyxjQUFjLENBQUMsUUFBbUIsRUFBRSxZQUFxQixFQUFFLGFBQXNCLEVBQUUsbUJBQTRCO0lBQ3BILG9FQUFvRTtJQUVwRSxJQUFJLHNCQUFzQixHQUFHLENBQUMsbUJBQW1CLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsbUJBQW1CLENBQUMsQ0FBQyxHQUFHLG1CQUFtQixDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBRXpJLDRFQUE0RTtJQUU1RSxJQUFJLDRCQUE0QixHQUFHLGFBQWEsQ0FBQztJQUVqRCxnQ0FBZ0M7SUFFaEMsSUFBSSxtQkFBbUIsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxzQkFBc0I7UUFDbkYsT0FBTyxDQUFDLENBQUMsR0FBRyw0QkFBNEIsQ0FBQyxDQUFDO1FBQzFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsNEJBQTRCLENBQUMsQ0FBQyxHQUFHLEdBQUcsR0FBRyw0QkFBNEIsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUUzRix5RkFBeUY7SUFDekYsMkZBQTJGO0lBQzNGLGtFQUFrRTtJQUVsRSxJQUFJLGVBQWUsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDcE0sbUJBQW1CLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO0lBRTFDLDJEQUEyRDtJQUUzRCxPQUFPLG1CQUFtQixDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUM7QUFDNUksQ0FBQztBQUVELHFDQUFxQztBQUVyQyxTQUFTLGFBQWEsQ0FBQyxPQUFlO0lBQ2xDLE9BQU8sR0FBRyxPQUFPLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDekIsSUFBSSxPQUFPLEtBQUssRUFBRTtRQUNkLE9BQU8sRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxDQUFDO0lBRTVELHdGQUF3RjtJQUN4RixxRkFBcUY7SUFDckYsZ0ZBQWdGO0lBRWhGLE9BQU8sR0FBRyxPQUFPO1NBQ1osT0FBTyxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUM7U0FDMUIsT0FBTyxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUM7U0FDMUIsT0FBTyxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUM7U0FDMUIsT0FBTyxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUM7U0FDMUIsT0FBTyxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUM7U0FDMUIsT0FBTyxDQUFDLHdCQUF3QixFQUFFLE1BQU0sQ0FBQztTQUN6QyxPQUFPLENBQUMsd0JBQXdCLEVBQUUsTUFBTSxDQUFDO1NBQ3pDLE9BQU8sQ0FBQyx1QkFBdUIsRUFBRSxNQUFNLENBQUM7U0FDeEMsT0FBTyxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUM7U0FDekIsT0FBTyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUM7U0FDakMsT0FBTyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUM7U0FDakMsT0FBTyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUM7U0FDakMsT0FBTyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUM7U0FDakMsT0FBTyxDQUFDLGFBQWEsRUFBRSxhQUFhLENBQUM7U0FDckMsT0FBTyxDQUFDLGNBQWMsRUFBRSxlQUFlLENBQUMsQ0FBQztJQUU5QyxJQUFJLE1BQU0sR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBRWhDLDBGQUEwRjtJQUMxRiwwRkFBMEY7SUFDMUYsOEVBQThFO0lBRTlFLElBQUksUUFBUSxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3pDLElBQUksWUFBWSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxRQUFRLEtBQUssR0FBRyxJQUFJLFFBQVEsS0FBSyxHQUFHLElBQUksUUFBUSxLQUFLLEdBQUcsSUFBSSxRQUFRLEtBQUssSUFBSSxJQUFJLFFBQVEsS0FBSyxJQUFJO1FBQ2pJLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQztJQUVqQiw4RkFBOEY7SUFFOUYsSUFBSSxLQUFLLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDdEMsSUFBSSxVQUFVLENBQUMsS0FBSyxFQUFFLENBQUUsSUFBSSxDQUFFLEVBQUUsRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxxQkFBcUIsRUFBRSxhQUFhLEVBQUUsZUFBZSxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLEtBQUssSUFBSTtRQUMvSixNQUFNLENBQUMsR0FBRyxFQUFFLENBQUM7SUFFakIsMEZBQTBGO0lBQzFGLDhCQUE4QjtJQUU5QixJQUFJLFVBQVUsR0FBRyxJQUFJLENBQUM7SUFDdEIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUNyQyxJQUFJLGVBQWUsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZOLElBQUksZUFBZSxLQUFLLElBQUksRUFBRTtZQUMxQixVQUFVLEdBQUcsV0FBVyxDQUFDLGVBQWUsQ0FBQyxDQUFDO1lBQzFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBRSx1REFBdUQ7WUFDdEYsTUFBTTtTQUNUO0tBQ0o7SUFFRCxJQUFJLFVBQVUsS0FBSyxJQUFJLEVBQUcsNENBQTRDO1FBQ2xFLE9BQU8sRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxDQUFDO0lBRWpFLDRFQUE0RTtJQUU1RSxJQUFJLHdCQUF3QixHQUFHLE1BQU0sQ0FBQyxHQUFHLEVBQUUsSUFBSSxFQUFFLENBQUM7SUFDbEQsSUFBSSxZQUFZLEdBQUcsY0FBYyxDQUFDLHdCQUF3QixDQUFDLFdBQVcsRUFBRSxDQUFDLElBQUksd0JBQXdCLENBQUM7SUFFdEcsdUZBQXVGO0lBRXZGLElBQUksVUFBVSxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxHQUFHLEdBQUcsWUFBWSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDaEUsSUFBSSxlQUFlLEdBQUcsVUFBVSxDQUFDLFVBQVUsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQ25NLElBQUksZUFBZSxLQUFLLElBQUk7UUFDeEIsVUFBVSxHQUFHLGVBQWUsQ0FBQztJQUVqQyxPQUFPLEVBQUUsSUFBSSxFQUFFLENBQUMsVUFBVSxHQUFHLENBQUMsQ0FBQyxVQUFVLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsVUFBVSxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsQ0FBQyxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUM7QUFDL0ksQ0FBQztBQUVELGdDQUFnQztBQUVoQyxTQUFTLG1CQUFtQixDQUFDLFFBQW1CO0lBQzVDLE9BQU8sUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDO0FBQzlVLENBQUM7QUFFRCxTQUFTLFNBQVMsQ0FBQyxPQUFlO0lBQzlCLE9BQU8sT0FBTyxLQUFLLEVBQUUsSUFBSSxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUUsK0hBQStIO0FBQ3JULENBQUM7QUFFRCxTQUFTLGtCQUFrQixDQUFDLE9BQWU7SUFDdkMsT0FBTyxPQUFPLEtBQUssRUFBRSxJQUFJLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxPQUFPLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxJQUFJLE9BQU8sQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLElBQUksT0FBTyxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsSUFBSyxPQUFPLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7QUFDN0ssQ0FBQztBQUVELFNBQVMsVUFBVSxDQUFDLFFBQW1CLEVBQUUsdUJBQWdDLEVBQUUsYUFBc0I7SUFDN0YsOENBQThDO0lBRTlDLElBQUksb0JBQW9CLEdBQUcsZ0JBQWdCLENBQUMsUUFBUSxFQUFFLHVCQUF1QixFQUFFLHVCQUF1QixFQUFFLGFBQWEsQ0FBQyxDQUFDO0lBQ3ZILElBQUksWUFBWSxHQUFHLG1CQUFtQixDQUFDLG9CQUFvQixDQUFDLENBQUE7SUFDNUQsSUFBSSxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUM7UUFDeEIsT0FBTyxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsZ0JBQWdCLEVBQUUsU0FBUyxFQUFFLENBQUM7SUFFL0QsSUFBSSxvQkFBb0IsR0FBRyxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsdUJBQXVCLEVBQUUsb0JBQW9CLENBQUMsQ0FBQyxDQUFDLEVBQUUsYUFBYSxDQUFDLENBQUM7SUFDdkgsSUFBSSxZQUFZLEdBQUcsbUJBQW1CLENBQUMsb0JBQW9CLENBQUMsQ0FBQTtJQUM1RCxZQUFZLEdBQUcsU0FBUyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztJQUUzRCxJQUFJLG9CQUFvQixHQUFHLFNBQVMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsZ0JBQWdCLENBQUMsUUFBUSxFQUFFLHVCQUF1QixFQUFFLG9CQUFvQixDQUFDLENBQUMsQ0FBQyxFQUFFLGFBQWEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7SUFDdEosSUFBSSxZQUFZLEdBQUcsbUJBQW1CLENBQUMsb0JBQW9CLENBQUMsQ0FBQTtJQUM1RCxZQUFZLEdBQUcsU0FBUyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztJQUUzRCwwRkFBMEY7SUFDMUYsdUZBQXVGO0lBQ3ZGLGlDQUFpQztJQUVqQyxJQUFJLGdCQUFnQixHQUFHLGFBQWEsQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUNuRCxJQUFJLENBQUMsZ0JBQWdCLENBQUMsU0FBUyxJQUFJLFNBQVMsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLGtCQUFrQixDQUFDLFlBQVksQ0FBQztRQUMzRixnQkFBZ0IsR0FBRyxhQUFhLENBQUMsWUFBWSxHQUFHLEdBQUcsR0FBRyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUVqRixnRkFBZ0Y7SUFFaEYsSUFBSSxnQkFBZ0IsR0FBRyxFQUFFLENBQUM7SUFDMUIsSUFBSSxrQkFBa0IsQ0FBQyxZQUFZLENBQUM7UUFDaEMsZ0JBQWdCLElBQUksQ0FBQyxDQUFDLGdCQUFnQixLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLFlBQVksQ0FBQztJQUM5RSxJQUFJLGtCQUFrQixDQUFDLFlBQVksQ0FBQztRQUNoQyxnQkFBZ0IsSUFBSSxDQUFDLENBQUMsZ0JBQWdCLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsWUFBWSxDQUFDO0lBQzlFLElBQUksa0JBQWtCLENBQUMsWUFBWSxDQUFDO1FBQ2hDLGdCQUFnQixJQUFJLENBQUMsQ0FBQyxnQkFBZ0IsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxZQUFZLENBQUM7SUFFOUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxnQkFBZ0IsQ0FBQyxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsZ0JBQWdCLEVBQUUsQ0FBQztBQUNsRixDQUFDO0FBRUQseUZBQXlGO0FBRXpGLFNBQVMsd0JBQXdCLENBQUMsUUFBbUIsRUFBRSxZQUFxQixFQUFFLGNBQXNCO0lBQ2hHLG9EQUFvRDtJQUVwRCxvRkFBb0Y7SUFFcEYsSUFBSSx1QkFBdUIsR0FBRyxXQUFXLENBQUMsUUFBUSxFQUFFLFdBQVcsRUFBRSxLQUFLLENBQUMsQ0FBQztJQUN4RSxJQUFJLHVCQUF1QixLQUFLLFNBQVM7UUFDckMsdUJBQXVCLEdBQUcsV0FBVyxDQUFDLFFBQVEsRUFBRSxZQUFZLEVBQUUsS0FBSyxDQUFDLENBQUM7SUFDekUsSUFBSSx1QkFBdUIsS0FBSyxTQUFTO1FBQ3JDLHVCQUF1QixHQUFHLFdBQVcsQ0FBQyxRQUFRLEVBQUUsbUJBQW1CLEVBQUUsS0FBSyxDQUFDLENBQUM7SUFDaEYsSUFBSSx1QkFBdUIsS0FBSyxTQUFTLEVBQUU7UUFDdkMsSUFBSSxjQUFjLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksT0FBTyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzNFLE9BQU8sQ0FBQyxHQUFHLENBQUMsb01BQW9NLGNBQWMsRUFBRSxDQUFDLENBQUM7UUFDbE8sT0FBTyxTQUFTLENBQUM7S0FDcEI7SUFFRCx3REFBd0Q7SUFFeEQsSUFBSSxnQkFBZ0IsR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQzNDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUM7UUFDMUIsVUFBVSxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsQ0FBRSxXQUFXLENBQUUsRUFBRSxFQUFFLGFBQWEsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsS0FBSyxJQUFJLENBQUMsQ0FBQztJQUVuTCxzREFBc0Q7SUFFdEQsSUFBSSxjQUFjLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUN6QyxPQUFPLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDO1FBQzFCLFVBQVUsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLENBQUUsU0FBUyxDQUFFLEVBQUUsRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxxQkFBcUIsRUFBRSxhQUFhLEVBQUUsZUFBZSxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUM7SUFFakwsMEZBQTBGO0lBQzFGLDBGQUEwRjtJQUMxRixrQ0FBa0M7SUFFbEMsSUFBSSxhQUFhLEdBQUcsQ0FBQyxnQkFBZ0IsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQztJQUN6RixJQUFJLGFBQWEsS0FBSyxTQUFTLEVBQUU7UUFDN0IsSUFBSSxjQUFjLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksT0FBTyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzNFLE9BQU8sQ0FBQyxHQUFHLENBQUMsMEtBQTBLLGNBQWMsRUFBRSxDQUFDLENBQUM7UUFDeE0sT0FBTyxTQUFTLENBQUM7S0FDcEI7SUFFRCw0RUFBNEU7SUFFNUUsSUFBSSxpQkFBaUIsR0FBRyxlQUFlLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxhQUFhLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQ3pHLGlCQUFpQixHQUFHLGlCQUFpQixDQUFDLE9BQU8sQ0FBQyx5QkFBeUIsRUFBRSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFFLCtDQUErQztJQUM1UCxJQUFJLGlCQUFpQixDQUFDLE1BQU0sSUFBSSxDQUFDLElBQUksZ0JBQWdCLENBQUMsSUFBSSxDQUFDLGlCQUFpQixDQUFDO1FBQ3pFLGlCQUFpQixHQUFHLGlCQUFpQixDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsaUJBQWlCLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLEdBQUcsR0FBRyxpQkFBaUIsQ0FBQyxTQUFTLENBQUMsaUJBQWlCLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUUsaURBQWlEO0lBRTFNLElBQUksaUJBQWlCLEtBQUssRUFBRSxFQUFFO1FBQzFCLElBQUksY0FBYyxHQUFHLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUMzRSxPQUFPLENBQUMsR0FBRyxDQUFDLDJKQUEySixjQUFjLEVBQUUsQ0FBQyxDQUFDO1FBQ3pMLE9BQU8sU0FBUyxDQUFDO0tBQ3BCO0lBRUQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxlQUFlLGlCQUFpQixLQUFLLENBQUMsQ0FBQztJQUVuRCx5QkFBeUI7SUFFekIsSUFBSSxZQUFZLEdBQWtCLFNBQVMsQ0FBQztJQUM1QyxJQUFJLG1CQUFtQixHQUFHLHNCQUFzQixDQUFDLFFBQVEsRUFBRSxZQUFZLEVBQUUsYUFBYSxDQUFDLENBQUM7SUFDeEYsSUFBSSxtQkFBbUIsS0FBSyxTQUFTO1FBQ2pDLFlBQVksR0FBRyxNQUFNLENBQUMsbUJBQW1CLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxFQUFFLFdBQVcsRUFBRSxJQUFJLENBQUMsQ0FBQztJQUU5RSx1QkFBdUI7SUFFdkIsSUFBSSxXQUFXLEdBQUcsY0FBYyxDQUFDLFFBQVEsRUFBRSxZQUFZLEVBQUUsYUFBYSxFQUFFLG1CQUFtQixDQUFDLENBQUM7SUFFN0YsbUJBQW1CO0lBRW5CLElBQUksRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLEVBQUUsR0FBRyxVQUFVLENBQUMsUUFBUSxFQUFFLHVCQUF1QixFQUFFLGFBQWEsQ0FBQyxDQUFDO0lBQ2pHLElBQUksT0FBTyxLQUFLLFNBQVMsRUFBRTtRQUN2QixJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDM0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsaUJBQWlCLGdKQUFnSixjQUFjLEVBQUUsQ0FBQyxDQUFDO1FBQ3JOLE9BQU8sU0FBUyxDQUFDO0tBQ3BCO0lBRUQsT0FBTztRQUNILGlCQUFpQixFQUFFLGlCQUFpQjtRQUNwQyxPQUFPLEVBQUUsT0FBTztRQUNoQixXQUFXLEVBQUUsQ0FBQyxDQUFDLFdBQVcsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMseUJBQXlCLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQztRQUM3RSxjQUFjLEVBQUUsY0FBYztRQUM5QixVQUFVLEVBQUUsVUFBVTtRQUN0QixVQUFVLEVBQUUsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQztRQUN6QyxZQUFZLEVBQUUsQ0FBQyxZQUFZLEtBQUssU0FBUyxJQUFJLFlBQVksQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFO1FBQzdHLGdCQUFnQixFQUFFLGdCQUFnQjtLQUNyQyxDQUFDO0FBQ04sQ0FBQztBQUVELGtHQUFrRztBQUNsRyxpR0FBaUc7QUFDakcsZ0dBQWdHO0FBQ2hHLDRCQUE0QjtBQUU1QixTQUFTLFlBQVksQ0FBQyxTQUFjO0lBQ2hDLElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsU0FBUyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQztJQUU1Riw4RkFBOEY7SUFDOUYsd0RBQXdEO0lBRXhELElBQUksU0FBUyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsR0FBRyxHQUFHLEdBQUc7UUFDNUQsT0FBTyxDQUFDLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztJQUVsRCwwQ0FBMEM7SUFFMUMsSUFBSSxVQUFVLEdBQWdCLEVBQUUsQ0FBQztJQUNqQyxJQUFJLG9CQUFvQixHQUFnQixFQUFFLENBQUM7SUFDM0MsSUFBSSxrQkFBa0IsR0FBRyxzQkFBc0IsQ0FBQyxTQUFTLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDbkUsS0FBSyxJQUFJLGlCQUFpQixJQUFJLGtCQUFrQjtRQUM1QyxvQkFBb0IsR0FBRyxvQkFBb0IsQ0FBQyxNQUFNLENBQUMsd0JBQXdCLENBQUMsU0FBUyxFQUFFLGlCQUFpQixDQUFDLENBQUMsQ0FBQztJQUMvRyxLQUFLLElBQUksbUJBQW1CLElBQUksb0JBQW9CO1FBQ2hELFVBQVUsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLHNCQUFzQixDQUFDLFNBQVMsRUFBRSxtQkFBbUIsQ0FBQyxDQUFDLENBQUMsQ0FBRSwyR0FBMkc7SUFFeE0sZ0RBQWdEO0lBRWhELElBQUksUUFBUSxHQUF5QyxFQUFFLENBQUM7SUFDeEQsS0FBSyxJQUFJLFNBQVMsSUFBSSxVQUFVLEVBQUU7UUFDOUIsSUFBSSxnQkFBZ0IsR0FBUyxJQUFLLElBQVksQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNsRixnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxLQUFLLEVBQUUsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3BHLFFBQVEsQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsZ0JBQWdCLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxDQUFDLENBQUM7S0FDakU7SUFDRCxPQUFPLFFBQVEsQ0FBQztBQUNwQixDQUFDO0FBRUQsd0ZBQXdGO0FBQ3hGLDJEQUEyRDtBQUUzRCxTQUFTLHNCQUFzQixDQUFDLFNBQWMsRUFBRSxNQUFpQjtJQUM3RCxJQUFJLFdBQVcsR0FBRyxFQUFFLENBQUM7SUFFckIsSUFBSSxtQkFBbUIsR0FBRyxLQUFLLENBQUM7SUFDaEMsS0FBSyxJQUFJLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxFQUFFLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7UUFDdEQsdUVBQXVFO1FBRXZFLElBQUksVUFBVSxHQUFHLENBQUMsQ0FBQztRQUNuQixLQUFLLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLEVBQUUsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUNyRCxJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsYUFBYSxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztZQUMxQyxJQUFJLEtBQUssS0FBSyxVQUFVLEVBQUcsc0VBQXNFO2dCQUM3RixVQUFVLEVBQUUsQ0FBQztpQkFDWjtnQkFDRCxJQUFJLEtBQUssR0FBSSxJQUFZLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUMzQyxJQUFJLEtBQUssQ0FBQyxDQUFDLEdBQUcsR0FBRyxJQUFJLEtBQUssQ0FBQyxDQUFDLEdBQUcsR0FBRyxJQUFJLEtBQUssQ0FBQyxDQUFDLEdBQUcsR0FBRyxFQUFHLDBCQUEwQjtvQkFDNUUsVUFBVSxFQUFFLENBQUM7YUFDcEI7U0FDSjtRQUVELHlFQUF5RTtRQUV6RSxJQUFJLFdBQVcsR0FBRyxDQUFDLFVBQVUsSUFBSSxNQUFNLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUUsbUNBQW1DO1FBRXhGLElBQUksV0FBVyxFQUFFO1lBQ2IsSUFBSSxtQkFBbUI7Z0JBQ25CLFdBQVcsQ0FBQyxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUUsa0RBQWtEOztnQkFFakcsV0FBVyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBRSxvQkFBb0I7U0FDbkU7UUFFRCxtQkFBbUIsR0FBRyxXQUFXLENBQUM7S0FDckM7SUFFRCwrRkFBK0Y7SUFFL0YsV0FBVyxHQUFHLFdBQVcsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsTUFBTSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBRXhFLDZFQUE2RTtJQUU3RSxJQUFJLFVBQVUsR0FBRyxFQUFFLENBQUM7SUFDcEIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxJQUFJLFdBQVcsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDdEQsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsV0FBVyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUM5RixJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUMsS0FBSyxLQUFLLFdBQVcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN0RyxJQUFJLE1BQU0sR0FBRyxDQUFDO1lBQ1YsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUM7S0FDbkY7SUFFRCxPQUFPLFVBQVUsQ0FBQztBQUN0QixDQUFDO0FBRUQsMEZBQTBGO0FBQzFGLHlEQUF5RDtBQUV6RCxTQUFTLHdCQUF3QixDQUFDLFNBQWMsRUFBRSxNQUFpQjtJQUMvRCxJQUFJLFdBQVcsR0FBRyxFQUFFLENBQUM7SUFFckIsSUFBSSxtQkFBbUIsR0FBRyxLQUFLLENBQUM7SUFDaEMsS0FBSyxJQUFJLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxFQUFFLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUU7UUFDckQscUVBQXFFO1FBRXJFLElBQUksVUFBVSxHQUFHLENBQUMsQ0FBQztRQUNuQixLQUFLLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLEVBQUUsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLE1BQU0sRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUN0RCxJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsYUFBYSxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztZQUMxQyxJQUFJLEtBQUssS0FBSyxVQUFVLEVBQUcsc0VBQXNFO2dCQUM3RixVQUFVLEVBQUUsQ0FBQztpQkFDWjtnQkFDRCxJQUFJLEtBQUssR0FBSSxJQUFZLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUMzQyxJQUFJLEtBQUssQ0FBQyxDQUFDLEdBQUcsR0FBRyxJQUFJLEtBQUssQ0FBQyxDQUFDLEdBQUcsR0FBRyxJQUFJLEtBQUssQ0FBQyxDQUFDLEdBQUcsR0FBRyxFQUFHLDBCQUEwQjtvQkFDNUUsVUFBVSxFQUFFLENBQUM7YUFDcEI7U0FDSjtRQUVELHlFQUF5RTtRQUV6RSxJQUFJLFdBQVcsR0FBRyxDQUFDLFVBQVUsSUFBSSxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUUsbUNBQW1DO1FBRXpGLElBQUksV0FBVyxFQUFFO1lBQ2IsSUFBSSxtQkFBbUI7Z0JBQ25CLFdBQVcsQ0FBQyxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUUsa0RBQWtEOztnQkFFaEcsV0FBVyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBRSxvQkFBb0I7U0FDbEU7UUFFRCxtQkFBbUIsR0FBRyxXQUFXLENBQUM7S0FDckM7SUFFRCwrRkFBK0Y7SUFFL0YsV0FBVyxHQUFHLFdBQVcsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsS0FBSyxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBRXZFLDJGQUEyRjtJQUUzRixJQUFJLFVBQVUsR0FBRyxFQUFFLENBQUM7SUFDcEIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxJQUFJLFdBQVcsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDdEQsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsV0FBVyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUM3RixJQUFJLEtBQUssR0FBRyxDQUFDLENBQUMsS0FBSyxLQUFLLFdBQVcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNwRyxJQUFJLEtBQUssR0FBRyxDQUFDO1lBQ1QsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsTUFBTSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUM7S0FDbkY7SUFFRCxPQUFPLFVBQVUsQ0FBQztBQUN0QixDQUFDO0FBRUQsb0RBQW9EO0FBRXBELFNBQVMsY0FBYyxDQUFDLFFBQW1CLEVBQUUsWUFBcUI7SUFDOUQsSUFBSSxRQUFRLEdBQUcsQ0FBQyxZQUFZLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFFaEYsMERBQTBEO0lBRTFELElBQUksY0FBYyxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FDeEMsT0FBTyxDQUFDLENBQUMsR0FBRyxRQUFRO1FBQ3BCLFVBQVUsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLENBQUUsU0FBUyxDQUFFLEVBQUUsRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLFVBQVUsRUFBRSxxQkFBcUIsRUFBRSxhQUFhLEVBQUUsZUFBZSxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLEtBQUssSUFBSSxDQUNoTCxDQUFDO0lBRUYsNENBQTRDO0lBRTVDLElBQUksY0FBYyxLQUFLLFNBQVMsRUFBRTtRQUM5QixJQUFJLG1CQUFtQixHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FDOUMsT0FBTyxDQUFDLENBQUMsR0FBRyxjQUFjLENBQUMsQ0FBQyxHQUFHLGNBQWMsQ0FBQyxLQUFLO1lBQ25ELDRCQUE0QixDQUFDLE9BQU8sRUFBRSxjQUFjLENBQUMsR0FBRyxFQUFFLENBQzdELENBQUM7UUFFRixJQUFJLG1CQUFtQixLQUFLLFNBQVMsRUFBRTtZQUNuQyxJQUFJLFdBQVcsR0FBRyxNQUFNLENBQUMsbUJBQW1CLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBRSx5QkFBeUI7WUFDOUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUM7Z0JBQ25CLE9BQU8sV0FBVyxDQUFDO1NBQzFCO0tBQ0o7SUFFRCxPQUFPLENBQUMsQ0FBQyxDQUFDO0FBQ2QsQ0FBQztBQUVELDZGQUE2RjtBQUM3Riw2RkFBNkY7QUFDN0YsaURBQWlEO0FBRWpELFNBQVMsaUJBQWlCLENBQUMsUUFBbUI7SUFDMUMsbUVBQW1FO0lBRW5FLElBQUksYUFBYSxHQUFjLEVBQUUsQ0FBQztJQUNsQyxLQUFLLElBQUksT0FBTyxJQUFJLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFO1FBQy9GLHdGQUF3RjtRQUN4Rix3RkFBd0Y7UUFDeEYsc0ZBQXNGO1FBQ3RGLGlDQUFpQztRQUVqQyxJQUFJLFlBQVksR0FBRyxPQUFPLENBQUM7UUFDM0IsSUFBSSxhQUFhLEdBQWMsRUFBRSxDQUFDO1FBQ2xDLElBQUksT0FBTyxHQUFHLEVBQUUsQ0FBQztRQUVqQixHQUFHO1lBQ0MsYUFBYSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQztZQUVqQyxtREFBbUQ7WUFFbkQsSUFBSSxJQUFJLEdBQUcsYUFBYSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLFdBQVcsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztZQUNwTyxJQUFJLElBQUksQ0FBQyxNQUFNLElBQUksRUFBRSxFQUFHLGlDQUFpQztnQkFDckQsTUFBTTtZQUNWLElBQUksSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLEVBQUUsRUFBRyxnREFBZ0Q7Z0JBQ3JFLElBQUksSUFBSSxLQUFLLFVBQVUsSUFBSSxJQUFJLEtBQUssV0FBVztvQkFDM0MsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLE9BQU8sRUFBRSxZQUFZLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztxQkFDakUsSUFBSSxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUUsVUFBVSxFQUFFLFdBQVcsQ0FBRSxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxLQUFLLElBQUk7b0JBQ3ZMLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxPQUFPLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7cUJBQ2pFLElBQUksVUFBVSxDQUFDLElBQUksRUFBRSxDQUFFLFVBQVUsRUFBRSxXQUFXLENBQUUsRUFBRSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsS0FBSyxJQUFJO29CQUN2TCxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsT0FBTyxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO2FBQ3pFO1lBRUQsWUFBWSxHQUFHLGVBQWUsQ0FBQyxRQUFRLEVBQUUsWUFBWSxDQUFDLENBQUM7U0FDMUQsUUFBUSxZQUFZLEtBQUssU0FBUyxJQUFJLGFBQWEsQ0FBQyxNQUFNLEdBQUcsRUFBRSxFQUFFO1FBRWxFLG9EQUFvRDtRQUVwRCxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ3BCLElBQUksU0FBUyxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLEVBQUUsQ0FDakQsQ0FBQyxRQUFRLEtBQUssU0FBUztnQkFDdkIsT0FBTyxDQUFDLFNBQVMsR0FBRyxRQUFRLENBQUMsU0FBUztnQkFDdEMsQ0FBQyxPQUFPLENBQUMsU0FBUyxLQUFLLFFBQVEsQ0FBQyxTQUFTLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLE1BQU0sR0FBRyxXQUFXLENBQUMsTUFBTSxDQUFDLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLE1BQU0sR0FBRyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztZQUM1TSxhQUFhLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLENBQUMsQ0FBQztTQUN6QztLQUNKO0lBRUQsa0ZBQWtGO0lBRWxGLElBQUksU0FBUyxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNuRSxhQUFhLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQzlCLE9BQU8sYUFBYSxDQUFDO0FBQ3pCLENBQUM7QUFFRCxrRUFBa0U7QUFFbEUsU0FBUyxXQUFXLENBQUMsUUFBbUIsRUFBRSxJQUFZLEVBQUUsNEJBQXFDO0lBQ3pGLDJGQUEyRjtJQUMzRixRQUFRO0lBRVIsSUFBSSxhQUFhLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDaEUsSUFBSSxjQUFjLEdBQUcsYUFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUU3QyxJQUFJLE9BQU8sR0FBRyxFQUFFLENBQUM7SUFDakIsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxVQUFVLENBQUMsY0FBYyxDQUFDLENBQUMsRUFBRTtRQUMxRyx1RkFBdUY7UUFDdkYseUZBQXlGO1FBQ3pGLDBFQUEwRTtRQUUxRSxJQUFJLFlBQVksR0FBRyxPQUFPLENBQUM7UUFDM0IsSUFBSSxhQUFhLEdBQWMsRUFBRSxDQUFDO1FBRWxDLEdBQUc7WUFDQyxhQUFhLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDO1lBRWpDLElBQUksV0FBVyxHQUFHLGFBQWEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7WUFFN0csSUFBSSxXQUFXLENBQUMsTUFBTSxHQUFHLGFBQWEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFHLGlDQUFpQztnQkFDakYsTUFBTTtZQUNWLElBQUksV0FBVyxDQUFDLE1BQU0sSUFBSSxhQUFhLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxFQUFHLGdEQUFnRDtnQkFDbkcsSUFBSSxXQUFXLEtBQUssYUFBYTtvQkFDN0IsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLFdBQVcsRUFBRSxhQUFhLENBQUMsQ0FBQyxDQUFDLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLElBQUksRUFBRSxXQUFXLEVBQUUsQ0FBQyxDQUFDO3FCQUM1RyxJQUFJLFVBQVUsQ0FBQyxXQUFXLEVBQUUsQ0FBRSxhQUFhLENBQUUsRUFBRSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsS0FBSyxJQUFJO29CQUNwTCxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsV0FBVyxFQUFFLGFBQWEsQ0FBQyxDQUFDLENBQUMsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsSUFBSSxFQUFFLFdBQVcsRUFBRSxDQUFDLENBQUM7cUJBQzVHLElBQUksVUFBVSxDQUFDLFdBQVcsRUFBRSxDQUFFLGFBQWEsQ0FBRSxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxLQUFLLElBQUk7b0JBQ3BMLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxXQUFXLEVBQUUsYUFBYSxDQUFDLENBQUMsQ0FBQyxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLENBQUMsQ0FBQzthQUNwSDtZQUVELFlBQVksR0FBRyxlQUFlLENBQUMsUUFBUSxFQUFFLFlBQVksQ0FBQyxDQUFDO1NBQzFELFFBQVEsWUFBWSxLQUFLLFNBQVMsSUFBSSxhQUFhLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFFLG1CQUFtQjtLQUN6RjtJQUVELDZGQUE2RjtJQUM3Riw0RkFBNEY7SUFDNUYsdUZBQXVGO0lBQ3ZGLDRGQUE0RjtJQUM1RixFQUFFO0lBQ0YsNEZBQTRGO0lBQzVGLDBGQUEwRjtJQUMxRiwwREFBMEQ7SUFFMUQsSUFBSSxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtRQUNwQixJQUFJLFNBQVMsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxFQUFFLENBQ2pELENBQUMsUUFBUSxLQUFLLFNBQVM7WUFDdkIsT0FBTyxDQUFDLFNBQVMsR0FBRyxRQUFRLENBQUMsU0FBUztZQUN0QyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEtBQUssUUFBUSxDQUFDLFNBQVMsSUFBSSxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsTUFBTSxHQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsTUFBTSxHQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBQy9NLE9BQU8sNEJBQTRCLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxXQUFXLENBQUM7S0FDeEY7SUFFRCxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBRUQsMkRBQTJEO0FBRTNELFNBQVMsa0JBQWtCLENBQUMsS0FBVTtJQUNsQyxJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEtBQUssR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDdkUsSUFBSSxTQUFTLEdBQUcsSUFBSSxDQUFDO0lBRXJCLElBQUksU0FBUyxLQUFLLENBQUMsRUFBRTtRQUNqQiwwQ0FBMEM7UUFFMUMsU0FBUyxHQUFHLElBQUssSUFBWSxDQUFDLEtBQUssQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3pELEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFFO1lBQ2xDLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFO2dCQUNuQyxJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDO2dCQUNsQyxJQUFJLFFBQVEsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUNyQixJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUM7Z0JBQ25DLEtBQUssSUFBSSxTQUFTLENBQUM7Z0JBQ25CLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQztnQkFDakIsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLElBQUksUUFBUSxDQUFDLENBQUMsS0FBSyxDQUFDO29CQUM3QyxLQUFLLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFFLGNBQWM7O29CQUVyRCxLQUFLLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFFLGNBQWM7Z0JBQy9ELFNBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQzthQUN4QztTQUNKO0tBQ0o7U0FBTTtRQUNILG9EQUFvRDtRQUVwRCxTQUFTLEdBQUcsSUFBSyxJQUFZLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDekQsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDbEMsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7Z0JBQ25DLElBQUksS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7Z0JBQzVDLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDakcsU0FBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2FBQ3hDO1NBQ0o7S0FDSjtJQUVELE9BQU8sU0FBUyxDQUFDO0FBQ3JCLENBQUM7QUFFRCx5Q0FBeUM7QUFFekMsS0FBSyxVQUFVLFVBQVUsQ0FBQyxLQUFVLEVBQUUsTUFBaUI7SUFDbkQsMkZBQTJGO0lBQzNGLDRCQUE0QjtJQUU1QixJQUFJLFFBQVEsR0FBRyxZQUFZLENBQUMsa0JBQWtCLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztJQUN2RCxJQUFJLE1BQU0sQ0FBQyxFQUFFO1FBQ1QsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDO0lBRWhCLElBQUksUUFBUSxHQUFjLEVBQUUsQ0FBQztJQUM3QixLQUFLLElBQUksT0FBTyxJQUFJLFFBQVEsRUFBRTtRQUMxQix1RUFBdUU7UUFFdkUsSUFBSSxXQUFXLEdBQUcsR0FBRyxDQUFDO1FBQ3RCLElBQUksT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsSUFBSSxHQUFHLElBQUksRUFBRTtZQUM1RCxXQUFXLEdBQUcsR0FBRyxDQUFDO1lBQ2xCLE9BQU8sQ0FBQyxHQUFHLENBQUMsOEJBQThCLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSyxJQUFJLE9BQU8sQ0FBQyxNQUFNLENBQUMsTUFBTSxRQUFRLFdBQVcsMEJBQTBCLENBQUMsQ0FBQztZQUN0SSxPQUFPLENBQUMsS0FBSyxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRSxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUM7U0FDeEU7UUFFRCxJQUFJLFdBQVcsR0FBRyxNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzdKLE9BQU8sQ0FBQyxLQUFLLEdBQUcsU0FBUyxDQUFDLENBQUUsNEJBQTRCO1FBRXhELDZFQUE2RTtRQUU3RSxJQUFJLFdBQVcsR0FBRyxPQUFPLENBQUMsV0FBVyxFQUFFLENBQUM7UUFDeEMsSUFBSSxXQUFXLENBQUMsR0FBRyxHQUFHLEdBQUcsR0FBRyxJQUFJLEdBQUcsSUFBSSxFQUFHLFNBQVM7WUFDL0MsT0FBTyxDQUFDLEdBQUcsQ0FBQywwQkFBMEIsSUFBSSxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsR0FBRyxHQUFHLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQyxDQUFDLG1CQUFtQixJQUFJLENBQUMsS0FBSyxDQUFDLFdBQVcsQ0FBQyxTQUFTLEdBQUcsQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDLENBQUMsa0JBQWtCLElBQUksQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDLFFBQVEsR0FBRyxDQUFDLElBQUksR0FBRyxJQUFJLENBQUMsQ0FBQyxrQkFBa0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsUUFBUSxHQUFHLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3BTLElBQUksT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsR0FBRyxHQUFHLEdBQUc7WUFDeEQsT0FBTyxDQUFDLEdBQUcsQ0FBQyw4Q0FBOEMsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxRQUFRLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsWUFBWSxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLGFBQWEsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUUvTixzRkFBc0Y7UUFDdEYsa0RBQWtEO1FBRWxELElBQUksTUFBTSxHQUFRLE1BQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUUsR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLFdBQVcsRUFBRSxFQUFFLHFCQUFxQixFQUFFLEdBQUcsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVMsTUFBTSxJQUFJLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFBLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDM0ssU0FBUyxDQUFDLFNBQVMsRUFBRSxDQUFDO1FBQ3RCLElBQUksTUFBTSxDQUFDLEVBQUU7WUFDVCxNQUFNLENBQUMsRUFBRSxFQUFFLENBQUM7UUFFaEIsaUZBQWlGO1FBRWpGLElBQUksTUFBTSxJQUFJLE1BQU0sQ0FBQyxNQUFNLElBQUksTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNO1lBQy9DLEtBQUssSUFBSSxLQUFLLElBQUksTUFBTSxDQUFDLE1BQU07Z0JBQzNCLEtBQUssSUFBSSxTQUFTLElBQUksS0FBSyxDQUFDLFVBQVU7b0JBQ2xDLEtBQUssSUFBSSxJQUFJLElBQUksU0FBUyxDQUFDLEtBQUs7d0JBQzVCLFFBQVEsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFOzRCQUM3QyxPQUFPO2dDQUNILElBQUksRUFBRSxJQUFJLENBQUMsSUFBSTtnQ0FDZixVQUFVLEVBQUUsSUFBSSxDQUFDLFVBQVU7Z0NBQzNCLFdBQVcsRUFBRSxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU07Z0NBQ2hDLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLFdBQVc7Z0NBQzNELENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLFdBQVc7Z0NBQzNELEtBQUssRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEdBQUcsV0FBVztnQ0FDbEQsTUFBTSxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsR0FBRyxXQUFXOzZCQUN0RCxDQUFDO3dCQUNOLENBQUMsQ0FBQyxDQUFDLENBQUM7S0FDdkI7SUFFRCxPQUFPLFFBQVEsQ0FBQztBQUNwQixDQUFDO0FBRUQseUJBQXlCO0FBRXpCLEtBQUssVUFBVSxRQUFRLENBQUMsR0FBVztJQUMvQixJQUFJLHVCQUF1QixHQUFHLEVBQUUsQ0FBQztJQUNqQyxJQUFJLFdBQVcsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUVyQixnQkFBZ0I7SUFFaEIsSUFBSSxNQUFNLEdBQUcsTUFBTSxPQUFPLENBQUMsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztJQUN6RixNQUFNLEtBQUssQ0FBQyxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztJQUUzQyw0RkFBNEY7SUFDNUYsNEZBQTRGO0lBQzVGLDhGQUE4RjtJQUM5RixtRUFBbUU7SUFFbkUsS0FBSyxJQUFJLFNBQVMsR0FBRyxDQUFDLEVBQUUsU0FBUyxHQUFHLEdBQUcsRUFBRSxTQUFTLEVBQUUsRUFBRSxFQUFHLDBGQUEwRjtRQUMvSSxJQUFJLEdBQUcsR0FBRyxNQUFNLEtBQUssQ0FBQyxXQUFXLENBQUMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLGVBQWUsRUFBRSxJQUFJLEVBQUUsWUFBWSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7UUFDL0YsSUFBSSxTQUFTLElBQUksR0FBRyxDQUFDLFFBQVE7WUFDekIsTUFBTTtRQUVWLE9BQU8sQ0FBQyxHQUFHLENBQUMsOENBQThDLFNBQVMsR0FBRyxDQUFDLE9BQU8sR0FBRyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7UUFDL0YsSUFBSSxJQUFJLEdBQUcsTUFBTSxHQUFHLENBQUMsT0FBTyxDQUFDLFNBQVMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUU1QyxnRkFBZ0Y7UUFFaEYsSUFBSSxXQUFXLEdBQUcsTUFBTSxJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7UUFDOUMsSUFBSSxRQUFRLEdBQUcsTUFBTSxJQUFJLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBRTNDLElBQUksWUFBWSxHQUFjLFdBQVcsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQ3ZELElBQUksU0FBUyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1lBRXpFLG1GQUFtRjtZQUNuRixvRkFBb0Y7WUFDcEYsbUZBQW1GO1lBQ25GLGlDQUFpQztZQUVqQyxJQUFJLGdCQUFnQixHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFFNUYsSUFBSSxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3JCLElBQUksQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNyQixJQUFJLEtBQUssR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDO1lBQ3ZCLElBQUksTUFBTSxHQUFHLGdCQUFnQixDQUFDO1lBRTlCLE9BQU8sRUFBRSxJQUFJLEVBQUUsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLENBQUM7UUFDeEUsQ0FBQyxDQUFDLENBQUM7UUFDSCxPQUFPLENBQUMsR0FBRyxDQUFDLGFBQWEsWUFBWSxDQUFDLE1BQU0sbUJBQW1CLENBQUMsQ0FBQTtRQUVoRSwyQkFBMkI7UUFFM0IsSUFBSSxhQUFhLEdBQWMsRUFBRSxDQUFDO1FBQ2xDLElBQUksU0FBUyxHQUFHLE1BQU0sSUFBSSxDQUFDLGVBQWUsRUFBRSxDQUFDO1FBRTdDLElBQUksSUFBSSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7WUFDbkIsNENBQTRDO1lBRTVDLE9BQU8sQ0FBQyxHQUFHLENBQUMsMkJBQTJCLFNBQVMsR0FBRyxDQUFDLDBCQUEwQixJQUFJLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQztTQUNsRzthQUFNO1lBQ0gscURBQXFEO1lBRXJELElBQUksWUFBWSxHQUFHLElBQUksQ0FBQztZQUV4QixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsU0FBUyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7Z0JBQzNELElBQUksU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxLQUFLLENBQUMsR0FBRyxDQUFDLGlCQUFpQixJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUI7b0JBQ3hILFNBQVM7Z0JBRWIsd0VBQXdFO2dCQUV4RSxJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUMxQyxJQUFJLE9BQU8sS0FBSyxLQUFLLFFBQVE7b0JBQ3pCLEtBQUssR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFFLHNDQUFzQzs7b0JBRXJFLFNBQVMsQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUUsOENBQThDO2dCQUU5RixvRkFBb0Y7Z0JBQ3BGLHFGQUFxRjtnQkFDckYsbUNBQW1DO2dCQUVuQyxJQUFJLFNBQVMsR0FBRyxTQUFTLENBQUM7Z0JBQzFCLElBQUksS0FBSyxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxTQUFTO29CQUN0RSxTQUFTLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7cUJBQzFDLElBQUksS0FBSyxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxVQUFVLElBQUksU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxTQUFTO29CQUNwSSxTQUFTLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7O29CQUUzQyxTQUFTO2dCQUViLHFGQUFxRjtnQkFDckYsc0ZBQXNGO2dCQUN0RixpRkFBaUY7Z0JBQ2pGLGlEQUFpRDtnQkFFakQsSUFBSSxNQUFNLEdBQWM7b0JBQ3BCLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQztvQkFDL0MsQ0FBQyxFQUFFLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQztvQkFDbEYsS0FBSyxFQUFFLEtBQUssQ0FBQyxLQUFLO29CQUNsQixNQUFNLEVBQUUsS0FBSyxDQUFDLE1BQU07aUJBQ3ZCLENBQUM7Z0JBRUYsZ0ZBQWdGO2dCQUNoRixtRkFBbUY7Z0JBQ25GLG1GQUFtRjtnQkFDbkYsb0ZBQW9GO2dCQUNwRixvRkFBb0Y7Z0JBQ3BGLGlFQUFpRTtnQkFDakUsRUFBRTtnQkFDRixvRkFBb0Y7Z0JBQ3BGLGNBQWM7Z0JBRWQsSUFBSSxNQUFNLEdBQUcsS0FBSyxDQUFDLE1BQU0sR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7Z0JBQ3pDLElBQUksTUFBTSxHQUFHLEdBQUcsSUFBSSxZQUFZLElBQUksS0FBSyxDQUFDLE1BQU0sSUFBSSxJQUFJLElBQUksS0FBSyxDQUFDLEtBQUssSUFBSSxJQUFJO29CQUMzRSxTQUFTO2dCQUNiLFlBQVksR0FBRyxLQUFLLENBQUM7Z0JBRXJCLGlDQUFpQztnQkFFakMsYUFBYSxHQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUMsTUFBTSxVQUFVLENBQUMsS0FBSyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7Z0JBQ3RFLElBQUksTUFBTSxDQUFDLEVBQUU7b0JBQ1QsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDO2FBQ25CO1NBQ0o7UUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLGFBQWEsYUFBYSxDQUFDLE1BQU0sb0JBQW9CLENBQUMsQ0FBQTtRQUVsRSxtRkFBbUY7UUFDbkYsaURBQWlEO1FBRWpELElBQUksUUFBUSxHQUFjLEVBQUUsQ0FBQztRQUM3QixRQUFRLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsQ0FBQztRQUN6QyxRQUFRLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxhQUFhLENBQUMsQ0FBQztRQUMxQyxPQUFPLENBQUMsR0FBRyxDQUFDLHdCQUF3QixRQUFRLENBQUMsTUFBTSxpREFBaUQsQ0FBQyxDQUFBO1FBRXJHLG1GQUFtRjtRQUNuRixrRUFBa0U7UUFFbEUsTUFBTSxHQUFHLENBQUMsT0FBTyxFQUFFLENBQUM7UUFDcEIsSUFBSSxNQUFNLENBQUMsRUFBRTtZQUNULE1BQU0sQ0FBQyxFQUFFLEVBQUUsQ0FBQztRQUVoQixvRkFBb0Y7UUFDcEYsdUZBQXVGO1FBQ3ZGLGtGQUFrRjtRQUVsRixRQUFRLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFFMUQsZ0VBQWdFO1FBRWhFLElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2xILFFBQVEsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUM7UUFFL0IscUZBQXFGO1FBQ3JGLHVGQUF1RjtRQUN2RixzRkFBc0Y7UUFDdEYsbUZBQW1GO1FBRW5GLElBQUksd0JBQXdCLEdBQUcsRUFBRSxDQUFDO1FBQ2xDLElBQUksYUFBYSxHQUFHLGlCQUFpQixDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQ2hELElBQUksYUFBYSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7WUFDNUIsSUFBSSxjQUFjLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksT0FBTyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQzNFLE9BQU8sQ0FBQyxHQUFHLENBQUMsNkNBQTZDLGNBQWMsRUFBRSxDQUFDLENBQUM7U0FDOUU7UUFFRCxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsYUFBYSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsRUFBRTtZQUN2RCxxRkFBcUY7WUFDckYsbUZBQW1GO1lBQ25GLG9GQUFvRjtZQUNwRixvREFBb0Q7WUFFcEQsSUFBSSxZQUFZLEdBQUcsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ3hDLElBQUksa0JBQWtCLEdBQVk7Z0JBQzlCLElBQUksRUFBRSxZQUFZLENBQUMsSUFBSTtnQkFDdkIsVUFBVSxFQUFFLFlBQVksQ0FBQyxVQUFVO2dCQUNuQyxDQUFDLEVBQUUsWUFBWSxDQUFDLENBQUM7Z0JBQ2pCLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxZQUFZLENBQUMsTUFBTTtnQkFDM0MsS0FBSyxFQUFFLFlBQVksQ0FBQyxLQUFLO2dCQUN6QixNQUFNLEVBQUUsWUFBWSxDQUFDLE1BQU07YUFBRSxDQUFDO1lBQ2xDLElBQUksTUFBTSxHQUFHLFNBQVMsQ0FBQyxRQUFRLEVBQUUsa0JBQWtCLENBQUMsQ0FBQztZQUNyRCxJQUFJLFVBQVUsR0FBRyxDQUFDLEtBQUssR0FBRyxDQUFDLEdBQUcsYUFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsUUFBUSxFQUFFLGFBQWEsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQztZQUV2SCw2Q0FBNkM7WUFFN0Msd0JBQXdCLENBQUMsSUFBSSxDQUFDLEVBQUUsWUFBWSxFQUFFLGFBQWEsQ0FBQyxLQUFLLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDLElBQUksTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUMsRUFBRSxDQUFDLENBQUM7U0FDL0s7UUFFRCxvRkFBb0Y7UUFDcEYsbUZBQW1GO1FBQ25GLDBCQUEwQjtRQUUxQixJQUFJLFNBQVMsS0FBSyxDQUFDLElBQUksYUFBYSxDQUFDLE1BQU0sSUFBSSxDQUFDLEVBQUcsYUFBYTtZQUM1RCxXQUFXLEdBQUcsY0FBYyxDQUFDLFFBQVEsRUFBRSxhQUFhLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUU3RCxzRkFBc0Y7UUFDdEYsc0ZBQXNGO1FBQ3RGLHdGQUF3RjtRQUN4Rix5RkFBeUY7UUFDekYsdUZBQXVGO1FBQ3ZGLGdEQUFnRDtRQUVoRCxLQUFLLElBQUksdUJBQXVCLElBQUksd0JBQXdCLEVBQUU7WUFDMUQsSUFBSSxzQkFBc0IsR0FBRyx3QkFBd0IsQ0FBQyx1QkFBdUIsQ0FBQyxRQUFRLEVBQUUsdUJBQXVCLENBQUMsWUFBWSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQ25JLElBQUksc0JBQXNCLEtBQUssU0FBUyxFQUFFO2dCQUN0QyxJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUM7Z0JBQ2YsSUFBSSxpQkFBaUIsR0FBRyxzQkFBc0IsQ0FBQyxpQkFBaUIsQ0FBQztnQkFDakUsT0FBTyx1QkFBdUIsQ0FBQyxJQUFJLENBQUMsMkJBQTJCLENBQUMsRUFBRSxDQUFDLDJCQUEyQixDQUFDLGlCQUFpQixLQUFLLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDO29CQUMxSixzQkFBc0IsQ0FBQyxpQkFBaUIsR0FBRyxHQUFHLGlCQUFpQixLQUFLLEVBQUUsTUFBTSxHQUFHLENBQUMsQ0FBRSxzQkFBc0I7Z0JBQzVHLHVCQUF1QixDQUFDLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDO2FBQ3hEO1NBQ0o7S0FDSjtJQUVELHVGQUF1RjtJQUV2RixJQUFJLFdBQVcsS0FBSyxDQUFDLENBQUMsRUFBRTtRQUNwQixJQUFJLHNCQUFzQixHQUFHLFdBQVcsR0FBRyx1QkFBdUIsQ0FBQyxNQUFNLENBQUM7UUFDMUUsSUFBSSxzQkFBc0IsSUFBSSxDQUFDLENBQUM7WUFDNUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsc0JBQXNCLDZFQUE2RSxXQUFXLGtDQUFrQyx1QkFBdUIsQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDO2FBQzVNLElBQUksc0JBQXNCLElBQUksQ0FBQyxDQUFDO1lBQ2pDLE9BQU8sQ0FBQyxHQUFHLENBQUMscUZBQXFGLFdBQVcsa0NBQWtDLHVCQUF1QixDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUM7YUFDakwsSUFBSSxzQkFBc0IsSUFBSSxDQUFDO1lBQ2hDLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUZBQW1GLFdBQVcsa0NBQWtDLHVCQUF1QixDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUM7YUFDL0ssSUFBSSxzQkFBc0IsSUFBSSxDQUFDO1lBQ2hDLE9BQU8sQ0FBQyxHQUFHLENBQUMsWUFBWSxzQkFBc0IsMkVBQTJFLFdBQVcsa0NBQWtDLHVCQUF1QixDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUM7S0FDak47SUFFRCxPQUFPLHVCQUF1QixDQUFDO0FBQ25DLENBQUM7QUFFRCxvRUFBb0U7QUFFcEUsU0FBUyxTQUFTLENBQUMsT0FBZSxFQUFFLE9BQWU7SUFDL0MsT0FBTyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztBQUN2RyxDQUFDO0FBRUQsbURBQW1EO0FBRW5ELFNBQVMsS0FBSyxDQUFDLFlBQW9CO0lBQy9CLE9BQU8sSUFBSSxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsT0FBTyxFQUFFLFlBQVksQ0FBQyxDQUFDLENBQUM7QUFDckUsQ0FBQztBQUVELHVDQUF1QztBQUV2QyxLQUFLLFVBQVUsSUFBSTtJQUNmLG1DQUFtQztJQUVuQyxJQUFJLFFBQVEsR0FBRyxNQUFNLGtCQUFrQixFQUFFLENBQUM7SUFFMUMsMkVBQTJFO0lBRTNFLHNCQUFzQixFQUFFLENBQUM7SUFFekIseURBQXlEO0lBRXpELElBQUksT0FBTyxHQUFhLEVBQUUsQ0FBQztJQUMzQixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUksRUFBRSxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUcsd0JBQXdCO1FBQ2pFLElBQUksR0FBRyxHQUFHLDBCQUEwQixDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7UUFDekUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsR0FBRyxFQUFFLENBQUMsQ0FBQztRQUV2QyxJQUFJLElBQUksR0FBRyxNQUFNLE9BQU8sQ0FBQyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsS0FBSyxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztRQUN2RSxNQUFNLEtBQUssQ0FBQyxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztRQUMzQyxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBRTNCLEtBQUssSUFBSSxPQUFPLElBQUksQ0FBQyxDQUFDLDBCQUEwQixDQUFDLENBQUMsR0FBRyxFQUFFLEVBQUU7WUFDckQsSUFBSSxNQUFNLEdBQUcsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLDBCQUEwQixDQUFDLENBQUM7WUFDakYsTUFBTSxDQUFDLFFBQVEsR0FBRyxNQUFNLENBQUMsQ0FBRSxxQ0FBcUM7WUFDaEUsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUM7Z0JBQzFDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRyxtQkFBbUI7b0JBQy9ELE9BQU8sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQ3JDO0tBQ0o7SUFFRCxJQUFJLE9BQU8sQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO1FBQ3RCLE9BQU8sQ0FBQyxHQUFHLENBQUMscUNBQXFDLENBQUMsQ0FBQztRQUNuRCxPQUFPO0tBQ1Y7SUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsT0FBTyxDQUFDLE1BQU0sY0FBYyxDQUFDLENBQUM7SUFFbkQsNEZBQTRGO0lBQzVGLDhGQUE4RjtJQUM5RixZQUFZO0lBRVosSUFBSSxlQUFlLEdBQWEsRUFBRSxDQUFDO0lBQ25DLGVBQWUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUM7SUFDdEMsSUFBSSxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUM7UUFDbEIsZUFBZSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2hFLElBQUksU0FBUyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDO1FBQ3JCLGVBQWUsQ0FBQyxPQUFPLEVBQUUsQ0FBQztJQUU5QixLQUFLLElBQUksTUFBTSxJQUFJLGVBQWUsRUFBRTtRQUNoQyxPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBQzNDLElBQUksdUJBQXVCLEdBQUcsTUFBTSxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDckQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLHVCQUF1QixDQUFDLE1BQU0sOENBQThDLE1BQU0sRUFBRSxDQUFDLENBQUM7UUFFNUcsbUZBQW1GO1FBQ25GLGlEQUFpRDtRQUVqRCxJQUFJLE1BQU0sQ0FBQyxFQUFFO1lBQ1QsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDO1FBRWhCLE9BQU8sQ0FBQyxHQUFHLENBQUMsdURBQXVELENBQUMsQ0FBQztRQUNyRSxLQUFLLElBQUksc0JBQXNCLElBQUksdUJBQXVCO1lBQ3RELE1BQU0sU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsQ0FBQyxDQUFDO0tBQ3pEO0FBQ0wsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDIn0=
+main().then(() => console.log("Complete.")).catch(error => console.error(error)).finally(() => terminateOcrWorkers());
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsa0dBQWtHO0FBQ2xHLHNDQUFzQztBQUN0QyxFQUFFO0FBQ0YsZUFBZTtBQUNmLG1CQUFtQjtBQUVuQixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUM3QixpQ0FBaUM7QUFDakMsNkJBQTZCO0FBQzdCLDhDQUE4QztBQUM5QyxxQ0FBcUM7QUFDckMsbUNBQW1DO0FBQ25DLGtEQUFrRDtBQUNsRCxtQ0FBbUM7QUFDbkMsaUNBQWlDO0FBQ2pDLGlDQUFpQztBQUNqQyxvQ0FBb0M7QUFDcEMsMENBQTBDO0FBQzFDLDZCQUE2QjtBQUM3QiwwQ0FBMEM7QUFDMUMseUNBQXlDO0FBRXpDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztBQUVsQixNQUFNLDBCQUEwQixHQUFHLG9KQUFvSixDQUFDO0FBQ3hMLE1BQU0sVUFBVSxHQUFHLHVDQUF1QyxDQUFDO0FBRTNELDhGQUE4RjtBQUU5RixNQUFNLGtCQUFrQixHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxDQUFDO0FBRXhSLHNGQUFzRjtBQUV0RixNQUFNLFNBQVMsR0FBRyxDQUFFLFVBQVUsRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFLFVBQVUsQ0FBRSxDQUFDO0FBRXZHLGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0YsK0ZBQStGO0FBQy9GLGlEQUFpRDtBQUVqRCxNQUFNLHFCQUFxQixHQUFHLENBQUMsQ0FBQztBQUNoQyxNQUFNLHNCQUFzQixHQUFHLEVBQUUsQ0FBQztBQUVsQyxpR0FBaUc7QUFDakcsOERBQThEO0FBRTlELE1BQU0saUJBQWlCLEdBQUcsVUFBVSxDQUFDO0FBS3JDLCtGQUErRjtBQUMvRiw4RkFBOEY7QUFDOUYsc0VBQXNFO0FBRXRFLE1BQU0sbUJBQW1CLEdBQUc7SUFDeEIsWUFBWSxFQUFFLENBQUUsY0FBYyxFQUFFLGFBQWEsRUFBRSxVQUFVLEVBQUUsZUFBZSxFQUFFLGNBQWMsRUFBRSxRQUFRLENBQUU7SUFDdEcsVUFBVSxFQUFFLENBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRSxhQUFhLEVBQUUsWUFBWSxDQUFFO0lBQ3BFLFVBQVUsRUFBRSxDQUFFLFdBQVcsRUFBRSxVQUFVLEVBQUUsYUFBYSxFQUFFLFlBQVksQ0FBRTtJQUNwRSxZQUFZLEVBQUUsQ0FBRSxhQUFhLEVBQUUsWUFBWSxFQUFFLGVBQWUsRUFBRSxRQUFRLENBQUU7SUFDeEUsTUFBTSxFQUFFLENBQUUsVUFBVSxFQUFFLGVBQWUsRUFBRSxRQUFRLEVBQUUsYUFBYSxFQUFFLFlBQVksQ0FBRTtJQUM5RSxRQUFRLEVBQUUsQ0FBRSxVQUFVLEVBQUUsV0FBVyxFQUFFLE9BQU8sQ0FBRTtJQUM5QyxPQUFPLEVBQUUsQ0FBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsY0FBYyxDQUFFO0lBQ3BFLFFBQVEsRUFBRSxDQUFFLFVBQVUsRUFBRSxLQUFLLENBQUU7SUFDL0IsU0FBUyxFQUFFLENBQUUsV0FBVyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsS0FBSyxDQUFFO0NBQ25ELENBQUM7QUErQkYsbUdBQW1HO0FBQ25HLGdHQUFnRztBQUNoRyxrR0FBa0c7QUFDbEcseUZBQXlGO0FBRXpGLE1BQU0sb0JBQW9CLEdBQWtCO0lBQ3hDLElBQUksRUFBRSxnQkFBZ0I7SUFDdEIsV0FBVyxFQUFFLENBQUUsWUFBWSxFQUFFLGFBQWEsQ0FBRTtJQUM1QyxtQkFBbUIsRUFBRSxDQUFDO0lBQ3RCLHFCQUFxQixFQUFFLENBQUUsQ0FBRSxJQUFJLEVBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxJQUFJLEVBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxLQUFLLEVBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxLQUFLLEVBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxLQUFLLEVBQUUsSUFBSSxDQUFFLEVBQUUsQ0FBRSxJQUFJLEVBQUUsSUFBSSxDQUFFLENBQUU7SUFDNUgsZ0JBQWdCLEVBQUUsQ0FBRSxXQUFXLEVBQUUsWUFBWSxFQUFFLG1CQUFtQixDQUFFO0lBQ3BFLHdCQUF3QixFQUFFLENBQUM7SUFDM0IsY0FBYyxFQUFFLFdBQVc7SUFDM0IsWUFBWSxFQUFFLFNBQVM7SUFDdkIsb0JBQW9CLEVBQUUsQ0FBQztJQUN2QixZQUFZLEVBQUUsU0FBUztJQUN2QixxQkFBcUIsRUFBRSxDQUFDO0lBQ3hCLFVBQVUsRUFBRSxXQUFXO0lBQ3ZCLFlBQVksRUFBRSxHQUFHO0lBQ2pCLFdBQVcsRUFBRSxDQUFDO0lBQ2QsV0FBVyxFQUFFLENBQUM7SUFDZCxTQUFTLEVBQUUsRUFBRTtDQUNoQixDQUFDO0FBRUYsK0ZBQStGO0FBQy9GLG1HQUFtRztBQUNuRyx5RkFBeUY7QUFDekYsZ0dBQWdHO0FBQ2hHLGlHQUFpRztBQUNqRyxvR0FBb0c7QUFDcEcsb0ZBQW9GO0FBQ3BGLHFHQUFxRztBQUNyRyxtR0FBbUc7QUFDbkcsbUdBQW1HO0FBQ25HLGtDQUFrQztBQUNsQyxpR0FBaUc7QUFDakcsdUZBQXVGO0FBRXZGLE1BQU0sb0JBQW9CLEdBQUc7SUFDekIsVUFBVSxFQUFFLGNBQWM7SUFDMUIsYUFBYSxFQUFFLFdBQVc7SUFDMUIsY0FBYyxFQUFFLENBQUM7SUFDakIsZUFBZSxFQUFFLEdBQUc7SUFDcEIsaUJBQWlCLEVBQUUsRUFBRTtJQUNyQixrQkFBa0IsRUFBRSxFQUFFO0lBRXRCLDhGQUE4RjtJQUM5Riw4RkFBOEY7SUFDOUYseUZBQXlGO0lBQ3pGLHdGQUF3RjtJQUV4RixxQkFBcUIsRUFBRSxLQUFLO0lBQzVCLDhCQUE4QixFQUFFLEVBQUU7SUFFbEMsaUJBQWlCLEVBQUUsSUFBSTtJQUN2QixtQkFBbUIsRUFBRSxJQUFJO0lBQ3pCLFVBQVUsRUFBRSxNQUFNO0lBQ2xCLHlCQUF5QixFQUFFLEVBQUU7SUFDN0IsaUNBQWlDLEVBQUUsSUFBSTtJQUN2QyxVQUFVLEVBQUUsRUFBRTtJQUNkLGVBQWUsRUFBRSxTQUFTO0lBQzFCLFlBQVksRUFBRSxNQUFNO0lBQ3BCLElBQUksRUFBRSxJQUFJO0lBQ1YsY0FBYyxFQUFFLENBQUUsb0JBQW9CLENBQUU7Q0FDM0MsQ0FBQztBQUVGLElBQUksYUFBYSxHQUFHLElBQUksQ0FBQztBQUV6Qix1RkFBdUY7QUFFdkYsSUFBSSxvQkFBb0IsR0FBa0Isb0JBQW9CLENBQUM7QUFjL0Qsa0dBQWtHO0FBQ2xHLDhGQUE4RjtBQUM5Rix1RkFBdUY7QUFFdkYsSUFBSSxlQUFlLEdBQUcsRUFBRSxDQUFDO0FBQ3pCLElBQUksd0JBQXdCLEdBQUcsS0FBSyxDQUFDO0FBYXJDLDJFQUEyRTtBQUUzRSxJQUFJLGlCQUFpQixHQUFlLFNBQVMsQ0FBQztBQVc5QyxrRkFBa0Y7QUFFbEYsSUFBSSxVQUFVLEdBQWdCLEVBQUUsQ0FBQztBQUNqQyxJQUFJLGdCQUFnQixHQUFtQixFQUFFLENBQUM7QUFFMUMsZ0dBQWdHO0FBQ2hHLHVDQUF1QztBQUV2QyxJQUFJLGtCQUFrQixHQUFHLENBQUMsQ0FBQztBQUMzQixJQUFJLGtCQUFrQixHQUFtQixFQUFFLENBQUM7QUFFNUMscUNBQXFDO0FBRXJDLElBQUksV0FBVyxHQUFHLElBQUksQ0FBQztBQUN2QixJQUFJLGNBQWMsR0FBRyxJQUFJLENBQUM7QUFDMUIsSUFBSSxXQUFXLEdBQUcsSUFBSSxDQUFDO0FBRXZCLDBGQUEwRjtBQUMxRiwyRkFBMkY7QUFFM0YsSUFBSSx1QkFBdUIsR0FBRyxFQUFFLENBQUM7QUFDakMsSUFBSSxpQkFBaUIsR0FBRyxFQUFFLENBQUM7QUFDM0IsSUFBSSxpQkFBaUIsR0FBRyxFQUFFLENBQUM7QUFFM0IsNEZBQTRGO0FBQzVGLDZGQUE2RjtBQUM3RixvQ0FBb0M7QUFFcEMsTUFBTSxrQkFBa0IsR0FBRyxDQUFFLFNBQVMsRUFBRSxhQUFhLEVBQUUsZUFBZSxFQUFFLG1CQUFtQixFQUFFLGVBQWUsRUFBRSxNQUFNLEVBQUUsYUFBYSxFQUFFLGFBQWEsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLGNBQWMsRUFBRSxVQUFVLEVBQUUsa0JBQWtCLEVBQUUsWUFBWSxFQUFFLFdBQVcsRUFBRSxTQUFTLENBQUUsQ0FBQztBQUV4Uiw2RkFBNkY7QUFDN0YsK0RBQStEO0FBRS9ELE1BQU0scUJBQXFCLEdBQUc7SUFDMUIsRUFBRSxJQUFJLEVBQUUsZUFBZSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDdkMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDOUIsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDckMsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDckMsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDaEMsRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDL0IsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDbEMsRUFBRSxJQUFJLEVBQUUsbUJBQW1CLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUMzQyxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUN0QyxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUM3QixFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUM3QixFQUFFLElBQUksRUFBRSxtQkFBbUIsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQzNDLEVBQUUsSUFBSSxFQUFFLGNBQWMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ3RDLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ2xDLEVBQUUsSUFBSSxFQUFFLGtCQUFrQixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDMUMsRUFBRSxJQUFJLEVBQUUsWUFBWSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDcEMsRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDbkMsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDakMsRUFBRSxJQUFJLEVBQUUsK0JBQStCLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUN2RCxFQUFFLElBQUksRUFBRSxvQkFBb0IsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQzVDLEVBQUUsSUFBSSxFQUFFLHdCQUF3QixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDaEQsRUFBRSxJQUFJLEVBQUUsMEJBQTBCLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUNsRCxFQUFFLElBQUksRUFBRSw4QkFBOEIsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ3RELEVBQUUsSUFBSSxFQUFFLDJCQUEyQixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDbkQsRUFBRSxJQUFJLEVBQUUsb0JBQW9CLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUM1QyxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRTtDQUMzQyxDQUFDO0FBRUYsOEJBQThCO0FBRTlCLEtBQUssVUFBVSxrQkFBa0I7SUFDN0IsSUFBSSxRQUFRLEdBQVEsTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUN0RCxJQUFJLFFBQVEsR0FBRyxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsYUFBYSxDQUFDLENBQUM7UUFDbkQsUUFBUSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUU7WUFDcEIsUUFBUSxDQUFDLEdBQUcsQ0FBQyx3TkFBd04sQ0FBQyxDQUFDO1lBQ3ZPLFFBQVEsQ0FBQyxHQUFHLENBQUMsNFJBQTRSLENBQUMsQ0FBQztZQUMzUyxRQUFRLENBQUMsR0FBRyxDQUFDLDZKQUE2SixDQUFDLENBQUM7WUFDNUssUUFBUSxDQUFDLEdBQUcsQ0FBQyw0S0FBNEssQ0FBQyxDQUFDO1lBQzNMLFFBQVEsQ0FBQyxHQUFHLENBQUMsOEtBQThLLENBQUMsQ0FBQztZQUM3TCxRQUFRLENBQUMsR0FBRyxDQUFDLDhNQUE4TSxDQUFDLENBQUM7WUFDN04sUUFBUSxDQUFDLEdBQUcsQ0FBQyx3RkFBd0YsQ0FBQyxDQUFDO1lBQ3ZHLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUN0QixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0lBRUgsNkZBQTZGO0lBQzdGLDBGQUEwRjtJQUUxRixJQUFJLFdBQVcsR0FBRyxDQUFDLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSwyQkFBMkIsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNsRyxLQUFLLElBQUksTUFBTSxJQUFJLHFCQUFxQixFQUFFO1FBQ3RDLElBQUksQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRTtZQUNwQyxNQUFNLFlBQVksQ0FBQyxRQUFRLEVBQUUsa0NBQWtDLE1BQU0sQ0FBQyxJQUFJLEtBQUssTUFBTSxDQUFDLElBQUksRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBQ2xHLE1BQU0sWUFBWSxDQUFDLFFBQVEsRUFBRSxxREFBcUQsRUFBRSxDQUFFLE1BQU0sQ0FBQyxJQUFJLEVBQUUsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFFLENBQUMsQ0FBQztTQUN2STtLQUNKO0lBRUQsOEZBQThGO0lBQzlGLHdGQUF3RjtJQUN4RixrQkFBa0I7SUFFbEIsSUFBSSxxQkFBcUIsR0FBRyxDQUFDLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSxpQ0FBaUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNsSCxJQUFJLENBQUMscUJBQXFCLENBQUMsUUFBUSxDQUFDLG9CQUFvQixDQUFDO1FBQ3JELE1BQU0sWUFBWSxDQUFDLFFBQVEsRUFBRSwrREFBK0QsRUFBRSxFQUFFLENBQUMsQ0FBQztJQUV0RywyRkFBMkY7SUFDM0Ysb0VBQW9FO0lBRXBFLElBQUkseUJBQXlCLEdBQUcsQ0FBQyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUseUNBQXlDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDOUgsSUFBSSxDQUFDLHlCQUF5QixDQUFDLFFBQVEsQ0FBQyx1QkFBdUIsQ0FBQztRQUM1RCxNQUFNLFlBQVksQ0FBQyxRQUFRLEVBQUUsMEVBQTBFLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFFakgsd0JBQXdCLEdBQUcsQ0FBQyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsOEJBQThCLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDO0lBQ3RHLE9BQU8sUUFBUSxDQUFDO0FBQ3BCLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsaUdBQWlHO0FBQ2pHLDZGQUE2RjtBQUM3RixrRUFBa0U7QUFFbEUsS0FBSyxVQUFVLFNBQVMsQ0FBQyxRQUFRLEVBQUUsc0JBQXNCLEVBQUUsV0FBWTtJQUNuRSxJQUFJLFlBQVksR0FBRztRQUNmLEVBQUUsSUFBSSxFQUFFLG1CQUFtQixFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxpQkFBaUIsRUFBRTtRQUM5RSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLE9BQU8sRUFBRTtRQUMxRCxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLFdBQVcsRUFBRTtRQUNsRSxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLGNBQWMsRUFBRTtRQUNsRSxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLFVBQVUsRUFBRTtRQUNqRSxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLFVBQVUsRUFBRTtRQUNsRSxFQUFFLElBQUksRUFBRSxlQUFlLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLFlBQVksRUFBRTtRQUNyRSxFQUFFLElBQUksRUFBRSxtQkFBbUIsRUFBRSxLQUFLLEVBQUUsc0JBQXNCLENBQUMsZ0JBQWdCLEVBQUU7UUFDN0UsRUFBRSxJQUFJLEVBQUUsZUFBZSxFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxZQUFZLEVBQUU7UUFDckUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxJQUFJLEVBQUU7UUFDcEQsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxVQUFVLEVBQUU7UUFDakUsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxVQUFVLEVBQUU7UUFDakUsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxNQUFNLEVBQUU7UUFDeEQsRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxLQUFLLEVBQUU7UUFDdEQsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxRQUFRLEVBQUU7UUFDNUQsRUFBRSxJQUFJLEVBQUUsbUJBQW1CLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLGVBQWUsRUFBRTtRQUM1RSxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLFdBQVcsRUFBRTtRQUNuRSxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLFFBQVEsRUFBRTtRQUN2RCxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLFNBQVMsRUFBRTtRQUN4RCxFQUFFLElBQUksRUFBRSxtQkFBbUIsRUFBRSxLQUFLLEVBQUUsc0JBQXNCLENBQUMsZ0JBQWdCLEVBQUU7UUFDN0UsRUFBRSxJQUFJLEVBQUUsY0FBYyxFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxZQUFZLEVBQUU7UUFDcEUsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxRQUFRLEVBQUU7UUFDNUQsRUFBRSxJQUFJLEVBQUUsa0JBQWtCLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLGVBQWUsRUFBRTtRQUMzRSxFQUFFLElBQUksRUFBRSxZQUFZLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLFNBQVMsRUFBRTtRQUMvRCxFQUFFLElBQUksRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLFNBQVMsRUFBRTtRQUM5RCxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLE9BQU8sRUFBRTtRQUMxRCxFQUFFLElBQUksRUFBRSwrQkFBK0IsRUFBRSxLQUFLLEVBQUUsc0JBQXNCLENBQUMsV0FBVyxDQUFDLGlCQUFpQixFQUFFO1FBQ3RHLEVBQUUsSUFBSSxFQUFFLG9CQUFvQixFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsT0FBTyxFQUFFO1FBQ2pGLEVBQUUsSUFBSSxFQUFFLHdCQUF3QixFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsV0FBVyxFQUFFO1FBQ3pGLEVBQUUsSUFBSSxFQUFFLDBCQUEwQixFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsWUFBWSxFQUFFO1FBQzVGLEVBQUUsSUFBSSxFQUFFLDhCQUE4QixFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsZ0JBQWdCLEVBQUU7UUFDcEcsRUFBRSxJQUFJLEVBQUUsMkJBQTJCLEVBQUUsS0FBSyxFQUFFLHNCQUFzQixDQUFDLHVCQUF1QixFQUFFO1FBQzVGLEVBQUUsSUFBSSxFQUFFLG9CQUFvQixFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxVQUFVLEVBQUU7UUFDeEUsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxzQkFBc0IsQ0FBQyxVQUFVLEVBQUU7S0FDcEUsQ0FBQztJQUNGLElBQUksV0FBVyxLQUFLLFNBQVM7UUFDekIsS0FBSyxJQUFJLFdBQVcsSUFBSSxZQUFZO1lBQ2hDLElBQUksQ0FBQyxXQUFXLENBQUMsS0FBSyxLQUFLLFNBQVMsSUFBSSxXQUFXLENBQUMsS0FBSyxLQUFLLElBQUksSUFBSSxXQUFXLENBQUMsS0FBSyxLQUFLLEVBQUUsQ0FBQyxJQUFJLFdBQVcsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLEtBQUssU0FBUztnQkFDMUksV0FBVyxDQUFDLEtBQUssR0FBRyxXQUFXLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxDQUFDO0lBRTlELDRGQUE0RjtJQUM1Rix1RUFBdUU7SUFFdkUsSUFBSSxXQUFXLEdBQUcsQ0FBQyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsb0RBQW9ELEVBQUUsQ0FBRSxzQkFBc0IsQ0FBQyxpQkFBaUIsQ0FBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNuSixJQUFJLFdBQVcsS0FBSyxTQUFTLEVBQUU7UUFDM0IsWUFBWSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDLFdBQVcsQ0FBQyxJQUFJLEtBQUssb0JBQW9CLENBQUMsQ0FBQyxLQUFLLEdBQUcsV0FBVyxDQUFDLGtCQUFrQixJQUFJLFdBQVcsQ0FBQyxZQUFZLENBQUM7UUFDL0ksTUFBTSxhQUFhLENBQUMsUUFBUSxFQUFFLFdBQVcsRUFBRSxZQUFZLEVBQUUsc0JBQXNCLENBQUMsVUFBVSxDQUFDLENBQUM7S0FDL0Y7SUFFRCxPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ25DLElBQUksWUFBWSxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsa0NBQWtDLFlBQVksQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxJQUFJLFdBQVcsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsYUFBYSxZQUFZLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUMxTSxZQUFZLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsS0FBSyxDQUFDLEVBQUUsVUFBUyxLQUFLLEVBQUUsR0FBRztZQUNwRixJQUFJLEtBQUssRUFBRTtnQkFDUCxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNyQixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDakI7aUJBQU07Z0JBQ0gsSUFBSSxXQUFXLEtBQUssU0FBUztvQkFDekIsZUFBZSxDQUFDLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDLENBQUUsbUNBQW1DO2dCQUN0RixPQUFPLENBQUMsR0FBRyxDQUFDLDJCQUEyQixzQkFBc0IsQ0FBQyxpQkFBaUIscUJBQXFCLHNCQUFzQixDQUFDLE9BQU8scUJBQXFCLHNCQUFzQixDQUFDLFdBQVcsMkJBQTJCLHNCQUFzQixDQUFDLGdCQUFnQix1QkFBdUIsc0JBQXNCLENBQUMsWUFBWSxrQkFBa0Isc0JBQXNCLENBQUMsUUFBUSwwQkFBMEIsc0JBQXNCLENBQUMsWUFBWSxxQkFBcUIsQ0FBQyxDQUFDO2dCQUMxYixZQUFZLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBRSxxQkFBcUI7Z0JBQy9DLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNoQjtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLG1HQUFtRztBQUNuRyxpR0FBaUc7QUFDakcsaUdBQWlHO0FBRWpHLEtBQUssVUFBVSxhQUFhLENBQUMsUUFBUSxFQUFFLFdBQVcsRUFBRSxZQUE0QyxFQUFFLFVBQWtCO0lBQ2hILElBQUksV0FBVyxHQUFHLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxLQUFLLEtBQUssU0FBUyxJQUFJLEtBQUssS0FBSyxJQUFJLElBQUksS0FBSyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUM3RyxJQUFJLHFCQUFxQixHQUFHLEVBQUUsQ0FBQztJQUMvQixLQUFLLElBQUksR0FBRyxJQUFJLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSxpREFBaUQsRUFBRSxFQUFFLENBQUM7UUFDMUYscUJBQXFCLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxHQUFHLEdBQUcsQ0FBQyxVQUFVLENBQUM7SUFFckQsSUFBSSxjQUFjLEdBQUcsWUFBWSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDLFdBQVcsQ0FBQyxJQUFJLEtBQUssVUFBVSxDQUFDLENBQUMsS0FBSyxDQUFDO0lBQzdGLEtBQUssSUFBSSxXQUFXLElBQUksWUFBWSxFQUFFO1FBQ2xDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLFdBQVcsQ0FBQyxXQUFXLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssV0FBVyxDQUFDLFdBQVcsQ0FBQyxLQUFLLENBQUM7WUFDL0gsU0FBUztRQUNiLElBQUksU0FBUyxHQUFHLHFCQUFxQixDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN4RCxJQUFJLFdBQVcsQ0FBQyxXQUFXLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxDQUFDLEtBQUssSUFBSSxJQUFJLFNBQVMsS0FBSyxTQUFTLElBQUksV0FBVyxDQUFDLFlBQVksSUFBSSxTQUFTO1lBQ3ZILFNBQVM7UUFDYixNQUFNLFlBQVksQ0FBQyxRQUFRLEVBQUUsb0RBQW9ELEVBQUU7WUFDL0UsV0FBVyxDQUFDLGlCQUFpQjtZQUM3QixXQUFXLENBQUMsSUFBSTtZQUNoQixXQUFXLENBQUMsV0FBVyxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUMxQyxXQUFXLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQztZQUM5QixXQUFXLENBQUMsUUFBUTtZQUNwQixjQUFjO1lBQ2QsVUFBVTtTQUNiLENBQUMsQ0FBQztRQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMsZ0NBQWdDLFdBQVcsQ0FBQyxJQUFJLHFCQUFxQixXQUFXLENBQUMsaUJBQWlCLGFBQWEsV0FBVyxDQUFDLFdBQVcsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLENBQUMsV0FBVyxXQUFXLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztLQUN4TjtBQUNMLENBQUM7QUFFRCx5RkFBeUY7QUFDekYsa0dBQWtHO0FBQ2xHLDZGQUE2RjtBQUU3RixLQUFLLFVBQVUsV0FBVyxDQUFDLFFBQVEsRUFBRSxpQkFBeUI7SUFDMUQsSUFBSSxHQUFHLEdBQUcsQ0FBQyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsb0RBQW9ELEVBQUUsQ0FBRSxpQkFBaUIsQ0FBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNwSCxJQUFJLEdBQUcsS0FBSyxTQUFTLEVBQUU7UUFDbkIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsaUJBQWlCLG1CQUFtQixDQUFDLENBQUM7UUFDbkUsT0FBTztLQUNWO0lBRUQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsaUJBQWlCLGlCQUFpQixHQUFHLENBQUMsT0FBTyxxQkFBcUIsR0FBRyxDQUFDLFdBQVcsdUJBQXVCLEdBQUcsQ0FBQyxhQUFhLFlBQVksR0FBRyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7SUFDbEwsSUFBSSxXQUFXLEdBQUcsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLGlGQUFpRixFQUFFLENBQUUsaUJBQWlCLENBQUUsQ0FBQyxDQUFDO0lBQ3BKLEtBQUssSUFBSSxVQUFVLElBQUksV0FBVyxFQUFFO1FBQ2hDLElBQUksTUFBTSxHQUFHLENBQUMsVUFBVSxDQUFDLFlBQVksS0FBSyxVQUFVLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLGlCQUFpQixVQUFVLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLFlBQVksT0FBTyxVQUFVLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDakssT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLFVBQVUsQ0FBQyxZQUFZLEtBQUssVUFBVSxDQUFDLEtBQUssbUJBQW1CLFVBQVUsQ0FBQyxTQUFTLFdBQVcsVUFBVSxDQUFDLFNBQVMsT0FBTyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0tBQzFKO0lBQ0QsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLFdBQVcsQ0FBQyxNQUFNLGFBQWEsQ0FBQyxDQUFDO0FBQzFELENBQUM7QUFFRCxpR0FBaUc7QUFDakcsOEZBQThGO0FBQzlGLDJGQUEyRjtBQUMzRiwrRkFBK0Y7QUFDL0YsZUFBZTtBQUVmLEtBQUssVUFBVSx5QkFBeUIsQ0FBQyxRQUFRLEVBQUUsV0FBb0I7SUFDbkUsSUFBSSxJQUFJLEdBQUcsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLG1FQUFtRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQzVHLElBQUksWUFBWSxHQUF5QixJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLGlCQUFpQixFQUFFLEdBQUcsQ0FBQyxpQkFBaUIsRUFBRSxjQUFjLEVBQUUsR0FBRyxDQUFDLFFBQVEsRUFBRSxVQUFVLEVBQUUsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUVwSyw0RkFBNEY7SUFDNUYsb0JBQW9CO0lBRXBCLElBQUksdUJBQXVCLEdBQTRFLEVBQUUsQ0FBQztJQUMxRyxLQUFLLElBQUksR0FBRyxJQUFJLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSxrRkFBa0YsRUFBRSxFQUFFLENBQUMsRUFBRTtRQUM3SCxJQUFJLGlCQUFpQixHQUFHLEdBQUcsQ0FBQyxrQkFBa0IsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxNQUFNLElBQUksSUFBSSxDQUFDLENBQUMsaUJBQWlCLENBQUM7UUFDbkcsSUFBSSxpQkFBaUI7WUFDakIsdUJBQXVCLENBQUMsaUJBQWlCLENBQUMsR0FBRyxFQUFFLE1BQU0sRUFBRSxHQUFHLENBQUMsTUFBTSxFQUFFLFVBQVUsRUFBRSxHQUFHLENBQUMsV0FBVyxFQUFFLENBQUM7S0FDeEc7SUFFRCwyRkFBMkY7SUFDM0YsOEZBQThGO0lBQzlGLG1CQUFtQjtJQUVuQixJQUFJLFlBQVksR0FBRyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsMEVBQTBFLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFDM0gsSUFBSSxXQUFXLEtBQUssU0FBUyxFQUFFO1FBQzNCLElBQUksb0JBQW9CLEdBQUcsWUFBWSxDQUFDLE1BQU0sQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDLFdBQVcsQ0FBQyxHQUFHLEtBQUssV0FBVyxDQUFDLENBQUM7UUFDL0YsSUFBSSxvQkFBb0IsQ0FBQyxNQUFNLEtBQUssQ0FBQztZQUNqQyxvQkFBb0IsR0FBRyxZQUFZLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsY0FBYyxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsS0FBSyxjQUFjLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQztRQUMvSCxZQUFZLEdBQUcsb0JBQW9CLENBQUM7S0FDdkM7SUFDRCxJQUFJLFdBQVcsS0FBSyxTQUFTLElBQUksWUFBWSxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7UUFDeEQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxjQUFjLFdBQVcseUJBQXlCLENBQUMsQ0FBQztRQUNoRSxPQUFPO0tBQ1Y7SUFFRCxJQUFJLFlBQVksR0FBRyxDQUFDLENBQUM7SUFDckIsS0FBSyxJQUFJLFdBQVcsSUFBSSxZQUFZLEVBQUU7UUFDbEMsSUFBSSxtQkFBbUIsR0FBRyx1QkFBdUIsQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLGNBQWMsS0FBSyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUN0SSxJQUFJLHNCQUFzQixHQUFHLENBQUMsV0FBVyxDQUFDLFlBQVksS0FBSyxJQUFJLElBQUksV0FBVyxDQUFDLFlBQVksS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxZQUFZLEdBQUcsV0FBVyxDQUFDLGlCQUFpQixDQUFDO1FBQ25LLElBQUksbUJBQW1CLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxzQkFBc0IsSUFBSSxDQUFDO1lBQy9ELFNBQVM7UUFFYixJQUFJLGtCQUFrQixHQUFHLENBQUMsV0FBVyxDQUFDLFlBQVksS0FBSyxJQUFJLElBQUksV0FBVyxDQUFDLFlBQVksS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsR0FBRyxXQUFXLENBQUMsWUFBWSxlQUFlLFdBQVcsQ0FBQyxpQkFBaUIsWUFBWSxDQUFDO1FBQzFNLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxXQUFXLENBQUMsR0FBRyxLQUFLLGtCQUFrQixNQUFNLG1CQUFtQixDQUFDLE1BQU0saUNBQWlDLENBQUMsQ0FBQztRQUN4SCxLQUFLLElBQUksSUFBSSxJQUFJLHlCQUF5QixDQUFDLG1CQUFtQixFQUFFLHVCQUF1QixDQUFDO1lBQ3BGLE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBRS9CLHFGQUFxRjtRQUNyRixnRUFBZ0U7UUFFaEUsSUFBSSxzQkFBc0IsR0FBRyxtQkFBbUIsQ0FBQyxNQUFNO1lBQ25ELE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxzQkFBc0IsR0FBRyxtQkFBbUIsQ0FBQyxNQUFNLG9GQUFvRixDQUFDLENBQUM7UUFDaEssWUFBWSxJQUFJLG1CQUFtQixDQUFDLE1BQU0sQ0FBQztLQUM5QztJQUVELElBQUksV0FBVyxLQUFLLFNBQVMsRUFBRTtRQUMzQixPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsWUFBWSxpQ0FBaUMsQ0FBQyxDQUFDO1FBQ3BFLE9BQU87S0FDVjtJQUVELDBGQUEwRjtJQUUxRixJQUFJLGdDQUFnQyxHQUFHLHVCQUF1QixDQUFDLFlBQVksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxrQkFBa0IsQ0FBQyxFQUFFLENBQUMsa0JBQWtCLENBQUMsbUJBQW1CLENBQUMsY0FBYyxLQUFLLGtCQUFrQixDQUFDLGVBQWUsQ0FBQyxjQUFjLENBQUMsQ0FBQztJQUN2TixJQUFJLGdDQUFnQyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7UUFDN0MsT0FBTyxDQUFDLEdBQUcsQ0FBQyx3QkFBd0IsZ0NBQWdDLENBQUMsTUFBTSxtREFBbUQsQ0FBQyxDQUFDO1FBQ2hJLEtBQUssSUFBSSxJQUFJLElBQUkseUJBQXlCLENBQUMsZ0NBQWdDLEVBQUUsdUJBQXVCLENBQUM7WUFDakcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLElBQUksRUFBRSxDQUFDLENBQUM7S0FDbEM7SUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsWUFBWSxHQUFHLGdDQUFnQyxDQUFDLE1BQU0saUNBQWlDLENBQUMsQ0FBQztBQUNsSCxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLGdHQUFnRztBQUNoRyw4RkFBOEY7QUFDOUYsa0dBQWtHO0FBQ2xHLDRGQUE0RjtBQUM1Riw4RkFBOEY7QUFDOUYsMkJBQTJCO0FBRTNCLEtBQUssVUFBVSxxQkFBcUIsQ0FBQyxRQUFRLEVBQUUsc0JBQXNCLEVBQUUsc0JBQW1DLEVBQUUsMkJBQXFDO0lBQzdJLElBQUksV0FBVyxHQUFHLENBQUMsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLG9EQUFvRCxFQUFFLENBQUUsc0JBQXNCLENBQUMsaUJBQWlCLENBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDbkosSUFBSSxXQUFXLEtBQUssU0FBUyxJQUFJLFdBQVcsQ0FBQyxRQUFRLEtBQUssc0JBQXNCLENBQUMsY0FBYyxFQUFFO1FBQzdGLE1BQU0sU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsQ0FBQyxDQUFDO1FBQ2xELE9BQU8sSUFBSSxDQUFDO0tBQ2Y7SUFFRCxxRkFBcUY7SUFDckYsMkZBQTJGO0lBQzNGLCtFQUErRTtJQUUvRSxJQUFJLFdBQVcsS0FBSyxTQUFTLEVBQUU7UUFDM0IsSUFBSSwrQkFBK0IsR0FBRyxrQ0FBa0MsQ0FBQyxzQkFBc0IsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1FBQ25ILElBQUksaUJBQWlCLEdBQUcsQ0FBQywrQkFBK0IsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLHNEQUFzRCwrQkFBK0IsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyx1QkFBdUIsRUFBRSwrQkFBK0IsQ0FBQyxNQUFNLENBQUMsQ0FBRSxzQkFBc0IsQ0FBQyxjQUFjLENBQUUsQ0FBQyxDQUFDLENBQUM7UUFDalUsSUFBSSxPQUFPLEdBQUcsU0FBUyxDQUFDO1FBQ3hCLElBQUksY0FBYyxHQUFXLFNBQVMsQ0FBQztRQUN2QyxLQUFLLElBQUksZ0JBQWdCLElBQUksaUJBQWlCLEVBQUU7WUFDNUMsSUFBSSxVQUFVLEdBQUcsd0JBQXdCLENBQUMsc0JBQXNCLEVBQUUsRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLFlBQVksRUFBRSxnQkFBZ0IsQ0FBQyxhQUFhLEVBQUUsV0FBVyxFQUFFLGdCQUFnQixDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7WUFDbE0sSUFBSSxVQUFVLEtBQUssU0FBUyxJQUFJLFVBQVUsSUFBSSxhQUFhLENBQUMsaUNBQWlDLElBQUksQ0FBQyxjQUFjLEtBQUssU0FBUyxJQUFJLFVBQVUsR0FBRyxjQUFjLENBQUMsRUFBRTtnQkFDNUosT0FBTyxHQUFHLGdCQUFnQixDQUFDO2dCQUMzQixjQUFjLEdBQUcsVUFBVSxDQUFDO2FBQy9CO1NBQ0o7UUFDRCxJQUFJLE9BQU8sS0FBSyxTQUFTLEVBQUU7WUFDdkIsTUFBTSxTQUFTLENBQUMsUUFBUSxFQUFFLHNCQUFzQixDQUFDLENBQUM7WUFDbEQsT0FBTyxJQUFJLENBQUM7U0FDZjtRQUVELE1BQU0saUJBQWlCLENBQUMsUUFBUSxFQUFFLEVBQUUsaUJBQWlCLEVBQUUsc0JBQXNCLENBQUMsaUJBQWlCLEVBQUUsY0FBYyxFQUFFLHNCQUFzQixDQUFDLGNBQWMsRUFBRSxtQkFBbUIsRUFBRSxPQUFPLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsb0JBQW9CLEVBQUUsT0FBTyxDQUFDLGlCQUFpQixFQUFFLFVBQVUsRUFBRSxjQUFjLEVBQUUsQ0FBQyxDQUFDO1FBQ2xTLE9BQU8sQ0FBQyxHQUFHLENBQUMsMEJBQTBCLHNCQUFzQixDQUFDLGlCQUFpQiw0Q0FBNEMsT0FBTyxDQUFDLGlCQUFpQiwyQkFBMkIsT0FBTyxDQUFDLFFBQVEsZ0JBQWdCLGNBQWMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLGdCQUFnQixPQUFPLENBQUMsaUJBQWlCLEdBQUcsQ0FBQyxDQUFDO1FBQ3JSLHNCQUFzQixDQUFDLGlCQUFpQixHQUFHLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQztRQUNyRSxNQUFNLFNBQVMsQ0FBQyxRQUFRLEVBQUUsc0JBQXNCLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDM0QsT0FBTyxJQUFJLENBQUM7S0FDZjtJQUVELElBQUksY0FBYyxHQUFHLG9CQUFvQixDQUFDLHNCQUFzQixFQUFFLEVBQUUsT0FBTyxFQUFFLFdBQVcsQ0FBQyxPQUFPLEVBQUUsWUFBWSxFQUFFLFdBQVcsQ0FBQyxhQUFhLEVBQUUsV0FBVyxFQUFFLFdBQVcsQ0FBQyxXQUFXLEVBQUUsRUFBRSxzQkFBc0IsRUFBRSwyQkFBMkIsQ0FBQyxDQUFDO0lBQ3hPLE1BQU0saUJBQWlCLENBQUMsUUFBUSxFQUFFLEVBQUUsaUJBQWlCLEVBQUUsc0JBQXNCLENBQUMsaUJBQWlCLEVBQUUsY0FBYyxFQUFFLHNCQUFzQixDQUFDLGNBQWMsRUFBRSxtQkFBbUIsRUFBRSxXQUFXLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxjQUFjLENBQUMsUUFBUSxFQUFFLG9CQUFvQixFQUFFLGNBQWMsQ0FBQyxpQkFBaUIsRUFBRSxVQUFVLEVBQUUsY0FBYyxDQUFDLFVBQVUsRUFBRSxDQUFDLENBQUM7SUFDdlUsT0FBTyxDQUFDLEdBQUcsQ0FBQywwQkFBMEIsc0JBQXNCLENBQUMsaUJBQWlCLCtCQUErQixXQUFXLENBQUMsUUFBUSxnQkFBZ0IsQ0FBQyxjQUFjLENBQUMsVUFBVSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxjQUFjLENBQUMsUUFBUSxLQUFLLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEdBQUcsY0FBYyxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO0lBQzdXLElBQUksY0FBYyxDQUFDLFFBQVEsS0FBSyxVQUFVO1FBQ3RDLE9BQU8sS0FBSyxDQUFDO0lBRWpCLElBQUksY0FBYyxDQUFDLFFBQVEsS0FBSyxRQUFRO1FBQ3BDLE1BQU0sU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsRUFBRSxXQUFXLENBQUMsQ0FBQztTQUM5RDtRQUNELHNCQUFzQixDQUFDLGlCQUFpQixHQUFHLGNBQWMsQ0FBQyxpQkFBaUIsQ0FBQztRQUM1RSxzQkFBc0IsQ0FBQyx1QkFBdUIsR0FBRyxZQUFZLENBQUM7UUFDOUQsc0JBQXNCLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1FBQzdELE1BQU0sU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsQ0FBQyxDQUFDO0tBQ3JEO0lBQ0QsT0FBTyxJQUFJLENBQUM7QUFDaEIsQ0FBQztBQUVELGdEQUFnRDtBQUVoRCxLQUFLLFVBQVUsaUJBQWlCLENBQUMsUUFBUSxFQUFFLGNBQThCO0lBQ3JFLE1BQU0sWUFBWSxDQUFDLFFBQVEsRUFBRSx5TEFBeUwsRUFBRTtRQUNwTixjQUFjLENBQUMsaUJBQWlCO1FBQ2hDLGNBQWMsQ0FBQyxjQUFjO1FBQzdCLGNBQWMsQ0FBQyxtQkFBbUI7UUFDbEMsY0FBYyxDQUFDLFFBQVE7UUFDdkIsQ0FBQyxjQUFjLENBQUMsb0JBQW9CLEtBQUssY0FBYyxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDLG9CQUFvQjtRQUN2SCxDQUFDLGNBQWMsQ0FBQyxVQUFVLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxjQUFjLENBQUMsVUFBVSxHQUFHLEdBQUcsQ0FBQyxHQUFHLEdBQUc7UUFDcEcsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQztLQUNoQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLDRGQUE0RjtBQUM1RiwwRkFBMEY7QUFFMUYsS0FBSyxVQUFVLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxzQkFBc0I7SUFDN0QsSUFBSSxlQUFlLEdBQUcsU0FBUyxDQUFDO0lBQ2hDLEtBQUssSUFBSSxTQUFTLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxXQUFXLENBQUM7UUFDakUsSUFBSSxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLEtBQUssSUFBSSxJQUFJLENBQUMsZUFBZSxLQUFLLFNBQVMsSUFBSSxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLEdBQUcsc0JBQXNCLENBQUMsV0FBVyxDQUFDLGVBQWUsQ0FBQyxDQUFDO1lBQ2hNLGVBQWUsR0FBRyxTQUFTLENBQUM7SUFFcEMsSUFBSSxlQUFlLEtBQUssU0FBUyxJQUFJLHNCQUFzQixDQUFDLFdBQVcsQ0FBQyxlQUFlLENBQUMsR0FBRyxhQUFhLENBQUMseUJBQXlCLEVBQUU7UUFDaEksTUFBTSxZQUFZLENBQUMsUUFBUSxFQUFFLDhEQUE4RCxFQUFFLENBQUUsc0JBQXNCLENBQUMsaUJBQWlCLEVBQUUsc0JBQXNCLENBQUMsY0FBYyxFQUFFLGVBQWUsRUFBRSxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsZUFBZSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFFLENBQUMsQ0FBQztRQUN2UixPQUFPLENBQUMsR0FBRyxDQUFDLDRCQUE0QixzQkFBc0IsQ0FBQyxpQkFBaUIsK0NBQStDLGVBQWUsYUFBYSxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0tBQ3ROOztRQUNHLE1BQU0sWUFBWSxDQUFDLFFBQVEsRUFBRSwwREFBMEQsRUFBRSxDQUFFLHNCQUFzQixDQUFDLGlCQUFpQixDQUFFLENBQUMsQ0FBQztBQUMvSSxDQUFDO0FBRUQsMkRBQTJEO0FBRTNELEtBQUssVUFBVSxZQUFZLENBQUMsUUFBUSxFQUFFLEdBQVcsRUFBRSxVQUFpQjtJQUNoRSxPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ25DLFFBQVEsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLFVBQVUsRUFBRSxVQUFTLEtBQUs7WUFDeEMsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCOztnQkFDRyxPQUFPLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzlCLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsd0RBQXdEO0FBRXhELEtBQUssVUFBVSxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQVcsRUFBRSxVQUFpQjtJQUMzRCxPQUFPLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ25DLFFBQVEsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLFVBQVUsRUFBRSxDQUFDLEtBQUssRUFBRSxJQUFJLEVBQUUsRUFBRTtZQUMxQyxJQUFJLEtBQUssRUFBRTtnQkFDUCxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNyQixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDakI7O2dCQUNHLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN0QixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELDBGQUEwRjtBQUMxRiw2RkFBNkY7QUFFN0YsS0FBSyxVQUFVLGNBQWMsQ0FBQyxRQUFRLEVBQUUsR0FBVyxFQUFFLElBQVksRUFBRSxRQUFpQixFQUFFLGdCQUF5QixFQUFFLFdBQW9CO0lBQ2pJLElBQUksSUFBSSxHQUFHLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDO0lBQ2xELE1BQU0sWUFBWSxDQUFDLFFBQVEsRUFBRSxzREFBc0QsRUFBRSxDQUFFLEdBQUcsQ0FBRSxDQUFDLENBQUM7SUFDOUYsSUFBSSxRQUFRO1FBQ1IsTUFBTSxZQUFZLENBQUMsUUFBUSxFQUFFLHVJQUF1SSxFQUFFLENBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsV0FBVyxFQUFFLEdBQUcsQ0FBRSxDQUFDLENBQUM7O1FBRWhPLE1BQU0sWUFBWSxDQUFDLFFBQVEsRUFBRSwyREFBMkQsRUFBRSxDQUFFLElBQUksRUFBRSxHQUFHLENBQUUsQ0FBQyxDQUFDO0FBQ2pILENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsZ0dBQWdHO0FBQ2hHLDhGQUE4RjtBQUM5RiwyRUFBMkU7QUFDM0UsOEJBQThCO0FBRTlCLEtBQUssVUFBVSxzQkFBc0IsQ0FBQyxRQUFRLEVBQUUsR0FBVyxFQUFFLG9CQUEyQztJQUNwRyxNQUFNLFlBQVksQ0FBQyxRQUFRLEVBQUUsK0NBQStDLEVBQUUsQ0FBRSxHQUFHLENBQUUsQ0FBQyxDQUFDO0lBQ3ZGLEtBQUssSUFBSSxtQkFBbUIsSUFBSSxvQkFBb0IsRUFBRTtRQUNsRCxNQUFNLFlBQVksQ0FBQyxRQUFRLEVBQUUsK01BQStNLEVBQUU7WUFDMU8sR0FBRztZQUNILG1CQUFtQixDQUFDLFVBQVU7WUFDOUIsbUJBQW1CLENBQUMsV0FBVztZQUMvQixtQkFBbUIsQ0FBQyxNQUFNO1lBQzFCLElBQUksQ0FBQyxTQUFTLENBQUMsbUJBQW1CLENBQUMsTUFBTSxDQUFDO1lBQzFDLElBQUksQ0FBQyxTQUFTLENBQUMsbUJBQW1CLENBQUMsWUFBWSxDQUFDO1lBQ2hELElBQUksQ0FBQyxTQUFTLENBQUMsbUJBQW1CLENBQUMsUUFBUSxDQUFDO1lBQzVDLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUM7WUFDN0IsbUJBQW1CLENBQUMsTUFBTSxDQUFDLGlCQUFpQixJQUFJLElBQUk7U0FDdkQsQ0FBQyxDQUFDO0tBQ047SUFDRCxJQUFJLG9CQUFvQixDQUFDLE1BQU0sR0FBRyxDQUFDO1FBQy9CLE9BQU8sQ0FBQyxHQUFHLENBQUMsbUJBQW1CLG9CQUFvQixDQUFDLE1BQU0sMkNBQTJDLENBQUMsQ0FBQztBQUMvRyxDQUFDO0FBaURELDhGQUE4RjtBQUM5RixrR0FBa0c7QUFDbEcsK0ZBQStGO0FBQy9GLDREQUE0RDtBQUU1RCxTQUFTLFNBQVMsQ0FBQyxRQUFtQixFQUFFLFlBQXFCO0lBQ3pELElBQUksR0FBRyxHQUFHLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFDekIsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRO1FBQ3hCLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxHQUFHLFlBQVksQ0FBQyxDQUFDLEVBQUcsb0JBQW9CO1lBQ3RILElBQUksNEJBQTRCLENBQUMsWUFBWSxFQUFFLE9BQU8sQ0FBQyxHQUFHLEVBQUUsRUFBRyxpQ0FBaUM7Z0JBQzVGLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxHQUFHO29CQUNmLEdBQUcsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDO0lBQ2hDLE9BQU8sR0FBRyxDQUFDO0FBQ2YsQ0FBQztBQUVELG9GQUFvRjtBQUVwRixTQUFTLFNBQVMsQ0FBQyxVQUFxQixFQUFFLFVBQXFCO0lBQzNELElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDOUMsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUM5QyxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLEtBQUssRUFBRSxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNwRixJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLEdBQUcsVUFBVSxDQUFDLE1BQU0sRUFBRSxVQUFVLENBQUMsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN0RixJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUU7UUFDcEIsT0FBTyxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsRUFBRSxHQUFHLEVBQUUsRUFBRSxNQUFNLEVBQUUsRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDOztRQUV6RCxPQUFPLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDO0FBQ25ELENBQUM7QUFFRCxzQ0FBc0M7QUFFdEMsU0FBUyxPQUFPLENBQUMsU0FBb0I7SUFDakMsT0FBTyxTQUFTLENBQUMsS0FBSyxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUM7QUFDOUMsQ0FBQztBQUVELHdFQUF3RTtBQUV4RSxTQUFTLGlCQUFpQixDQUFDLFFBQWlCLEVBQUUsUUFBaUI7SUFDM0QsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUM7SUFDckYsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFDO0lBQ3BFLElBQUksTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxFQUFHLDBHQUEwRztRQUNySixPQUFPLE1BQU0sQ0FBQyxTQUFTLENBQUM7SUFDNUIsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ3pHLENBQUM7QUFFRCxxRUFBcUU7QUFFckUsU0FBUyxpQkFBaUIsQ0FBQyxRQUFpQixFQUFFLFFBQWlCO0lBQzNELE9BQU8sUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLElBQUksUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUM7QUFDbEcsQ0FBQztBQUVELGlHQUFpRztBQUNqRyw2RkFBNkY7QUFDN0YsMkJBQTJCO0FBRTNCLFNBQVMsNEJBQTRCLENBQUMsUUFBaUIsRUFBRSxRQUFpQjtJQUN0RSxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzFDLElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQzlFLE9BQU8sQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxHQUFHLEVBQUUsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQztBQUNqRSxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLHdDQUF3QztBQUV4QyxTQUFTLGVBQWUsQ0FBQyxRQUFtQixFQUFFLE9BQWdCO0lBQzFELElBQUksY0FBYyxHQUFZLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsU0FBUyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsU0FBUyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDO0lBQ2hJLEtBQUssSUFBSSxZQUFZLElBQUksUUFBUTtRQUM3QixJQUFJLGlCQUFpQixDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsSUFBSyxzREFBc0Q7WUFDbkcsNEJBQTRCLENBQUMsT0FBTyxFQUFFLFlBQVksQ0FBQyxHQUFHLEVBQUUsSUFBSyw4REFBOEQ7WUFDM0gsQ0FBQyxZQUFZLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsSUFBSyw4REFBOEQ7WUFDbkgsQ0FBQyxZQUFZLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUssMEdBQTBHO1lBQ2xLLGlCQUFpQixDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsR0FBRyxpQkFBaUIsQ0FBQyxPQUFPLEVBQUUsY0FBYyxDQUFDLEVBQUcsc0RBQXNEO1lBQzlJLGNBQWMsR0FBRyxZQUFZLENBQUM7SUFDdEMsT0FBTyxDQUFDLGNBQWMsQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDO0FBQzVFLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsOEZBQThGO0FBQzlGLDBGQUEwRjtBQUMxRiwyRkFBMkY7QUFFM0YsU0FBUyxtQkFBbUIsQ0FBQyxRQUFtQixFQUFFLFlBQXFCLEVBQUUsYUFBc0I7SUFDM0YsSUFBSSxXQUFXLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUN4QyxPQUFPLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLEtBQUs7UUFDL0MsT0FBTyxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUMsQ0FBQyxHQUFHLG9CQUFvQixDQUFDLFlBQVksR0FBRyxhQUFhLENBQUMsS0FBSztRQUNyRiw0QkFBNEIsQ0FBQyxPQUFPLEVBQUUsWUFBWSxDQUFDLEdBQUcsRUFBRSxDQUMzRCxDQUFDO0lBRUYscUJBQXFCO0lBRXJCLElBQUksU0FBUyxHQUFHLENBQUMsQ0FBVSxFQUFFLENBQVUsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNyRixXQUFXLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0lBQzVCLE9BQU8sV0FBVyxDQUFDO0FBQ3ZCLENBQUM7QUFFRCwyRkFBMkY7QUFDM0YscURBQXFEO0FBRXJELFNBQVMsZUFBZSxDQUFDLFFBQW1CLEVBQUUsWUFBcUIsRUFBRSxhQUFzQjtJQUN2RixPQUFPLG1CQUFtQixDQUFDLFFBQVEsRUFBRSxZQUFZLEVBQUUsYUFBYSxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDO0FBQzNJLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsK0ZBQStGO0FBQy9GLCtGQUErRjtBQUMvRixrRUFBa0U7QUFFbEUsU0FBUyx3QkFBd0IsQ0FBQyxRQUFtQixFQUFFLFlBQXFCLEVBQUUsYUFBc0I7SUFDaEcsSUFBSSxvQkFBNEIsQ0FBQztJQUNqQyxJQUFJLGFBQWEsS0FBSyxTQUFTLEVBQUU7UUFDN0IsSUFBSSxXQUFXLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUN4QyxPQUFPLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLEtBQUs7WUFDL0MsNEJBQTRCLENBQUMsT0FBTyxFQUFFLFlBQVksQ0FBQyxHQUFHLEVBQUU7WUFDeEQsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsRUFBRSxvQkFBb0IsQ0FBQyxVQUFVLEVBQUUsSUFBSSxDQUFDLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUNuRixXQUFXLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3JFLG9CQUFvQixHQUFHLENBQUMsV0FBVyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0tBQ2hGOztRQUNHLG9CQUFvQixHQUFHLGVBQWUsQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLGFBQWEsQ0FBQyxDQUFDO0lBRWxGLElBQUksaUJBQWlCLEdBQUcsb0JBQW9CLENBQUMsSUFBSSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMseUJBQXlCLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBRSwrQ0FBK0M7SUFDN1IsSUFBSSxpQkFBaUIsQ0FBQyxNQUFNLElBQUksQ0FBQyxJQUFJLGdCQUFnQixDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQztRQUN6RSxpQkFBaUIsR0FBRyxpQkFBaUIsQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLGlCQUFpQixDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsR0FBRyxHQUFHLEdBQUcsaUJBQWlCLENBQUMsU0FBUyxDQUFDLGlCQUFpQixDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFFLGlEQUFpRDtJQUMxTSxPQUFPLGlCQUFpQixDQUFDO0FBQzdCLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsMkJBQTJCO0FBRTNCLFNBQVMsaUJBQWlCO0lBQ3RCLGFBQWEsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsRUFBRSxvQkFBb0IsQ0FBQyxDQUFDO0lBQ3hELElBQUksRUFBRSxDQUFDLFVBQVUsQ0FBQyxhQUFhLENBQUM7UUFDNUIsTUFBTSxDQUFDLE1BQU0sQ0FBQyxhQUFhLEVBQUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLGFBQWEsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUN4RixhQUFhLENBQUMsY0FBYyxHQUFHLGFBQWEsQ0FBQyxjQUFjLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLEVBQUUsb0JBQW9CLEVBQUUsYUFBYSxDQUFDLENBQUMsQ0FBQztJQUN6SSxJQUFJLENBQUMsYUFBYSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLEVBQUUsQ0FBQyxhQUFhLENBQUMsSUFBSSxLQUFLLG9CQUFvQixDQUFDLElBQUksQ0FBQztRQUNyRyxhQUFhLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxvQkFBb0IsQ0FBQyxDQUFDO0lBQzVELElBQUksYUFBYSxDQUFDLFVBQVUsS0FBSyxNQUFNLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLG9CQUFvQjtRQUN4RSxNQUFNLElBQUksS0FBSyxDQUFDLHlJQUF5SSxDQUFDLENBQUM7QUFDbkssQ0FBQztBQUVELGlHQUFpRztBQUNqRyxnR0FBZ0c7QUFDaEcsK0ZBQStGO0FBQy9GLG1DQUFtQztBQUVuQyxTQUFTLG1CQUFtQixDQUFDLFFBQW1CO0lBQzVDLElBQUksaUJBQWlCLEdBQWtCLFNBQVMsQ0FBQztJQUNqRCxJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUM7SUFDbEIsS0FBSyxJQUFJLGFBQWEsSUFBSSxhQUFhLENBQUMsY0FBaUMsRUFBRTtRQUN2RSxJQUFJLEtBQUssR0FBRyxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsYUFBYSxDQUFDLENBQUMsTUFBTSxDQUFDO1FBQzlELElBQUksS0FBSyxLQUFLLENBQUM7WUFDWCxTQUFTO1FBQ2IsSUFBSSxhQUFhLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLFFBQVEsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLGFBQWEsQ0FBQyx3QkFBd0IsQ0FBQyxLQUFLLFNBQVMsQ0FBQztZQUN2SSxLQUFLLEVBQUUsQ0FBQztRQUNaLElBQUksUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLGFBQWEsQ0FBQyxjQUFjLEVBQUUsYUFBYSxDQUFDLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsYUFBYSxDQUFDLFlBQVksRUFBRSxhQUFhLENBQUMsQ0FBQztZQUNoSyxLQUFLLEVBQUUsQ0FBQztRQUNaLElBQUksS0FBSyxHQUFHLFNBQVMsRUFBRTtZQUNuQixpQkFBaUIsR0FBRyxhQUFhLENBQUM7WUFDbEMsU0FBUyxHQUFHLEtBQUssQ0FBQztTQUNyQjtLQUNKO0lBQ0QsT0FBTyxpQkFBaUIsQ0FBQztBQUM3QixDQUFDO0FBRUQsZ0dBQWdHO0FBRWhHLFNBQVMsWUFBWSxDQUFDLE1BQWdCO0lBQ2xDLElBQUksWUFBWSxHQUFHLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLEtBQUssR0FBRyxDQUFDLENBQUM7SUFDckQsT0FBTyxDQUFDLFlBQVksQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sWUFBWSxDQUFDLFlBQVksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQztBQUN0SixDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLHNEQUFzRDtBQUV0RCxTQUFTLE9BQU8sQ0FBQyxJQUFZLEVBQUUsS0FBYSxFQUFFLGFBQTRCO0lBQ3RFLE9BQU8sVUFBVSxDQUFDLElBQUksRUFBRSxDQUFFLEtBQUssQ0FBRSxFQUFFLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsYUFBYSxDQUFDLG9CQUFvQixFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxLQUFLLElBQUksQ0FBQztBQUM1TSxDQUFDO0FBRUQseURBQXlEO0FBRXpELFNBQVMsc0JBQXNCO0lBQzNCLFdBQVcsR0FBRyxFQUFFLENBQUE7SUFDaEIsS0FBSyxJQUFJLElBQUksSUFBSSxFQUFFLENBQUMsWUFBWSxDQUFDLGlCQUFpQixDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDbEcsSUFBSSxnQkFBZ0IsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3ZDLElBQUksVUFBVSxHQUFHLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1FBQzVDLElBQUksVUFBVSxHQUFHLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1FBQzVDLElBQUksV0FBVyxDQUFDLFVBQVUsQ0FBQyxLQUFLLFNBQVM7WUFDckMsV0FBVyxDQUFDLFVBQVUsQ0FBQyxHQUFHLEVBQUUsQ0FBQztRQUNqQyxXQUFXLENBQUMsVUFBVSxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUUscURBQXFEO0tBQ25HO0lBRUQsY0FBYyxHQUFHLEVBQUUsQ0FBQztJQUNwQixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsb0JBQW9CLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNyRyxJQUFJLGtCQUFrQixHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDekMsY0FBYyxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLEdBQUcsa0JBQWtCLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7S0FDN0Y7SUFFRCxXQUFXLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLEtBQUssSUFBSSxJQUFJLElBQUksRUFBRSxDQUFDLFlBQVksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFO1FBQ2xHLElBQUksWUFBWSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDbkMsSUFBSSxVQUFVLEdBQUcsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDO1FBQ3RELElBQUksc0JBQXNCLEdBQUcsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO1FBQ3BELFdBQVcsQ0FBQyxVQUFVLENBQUMsR0FBRyxzQkFBc0IsQ0FBQztLQUNwRDtBQUNMLENBQUM7QUFFRCw4RkFBOEY7QUFDOUYsZ0ZBQWdGO0FBRWhGLFNBQVMsZUFBZSxDQUFDLEdBQUcsS0FBZTtJQUN2QyxPQUFPLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsY0FBYyxDQUFDLEtBQUssQ0FBQyxXQUFXLEVBQUUsQ0FBQyxJQUFJLEtBQUssQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0FBQ3RKLENBQUM7QUFFRCwwRkFBMEY7QUFFMUYsU0FBUyxhQUFhLENBQUMsU0FBYyxFQUFFLEdBQVcsRUFBRSxRQUFnQixFQUFFLFNBQWlCO0lBQ25GLElBQUksUUFBUSxHQUFHLFNBQVMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUM1RixRQUFRLENBQUMsUUFBUSxJQUFJLFFBQVEsQ0FBQztJQUM5QixRQUFRLENBQUMsU0FBUyxJQUFJLFNBQVMsQ0FBQztJQUNoQyxRQUFRLENBQUMsS0FBSyxFQUFFLENBQUM7QUFDckIsQ0FBQztBQUVELDhGQUE4RjtBQUM5Riw4RkFBOEY7QUFDOUYsc0VBQXNFO0FBRXRFLFNBQVMsd0JBQXdCLENBQUMscUJBQTZCLEVBQUUsdUJBQStCO0lBQzVGLHVCQUF1QixHQUFHLEVBQUUsQ0FBQztJQUM3QixJQUFJLGVBQWUsR0FBRyxFQUFFLENBQUM7SUFDekIsSUFBSSxlQUFlLEdBQUcsRUFBRSxDQUFDO0lBRXpCLElBQUkscUJBQXFCLEVBQUU7UUFDdkIsS0FBSyxJQUFJLE9BQU8sSUFBSSxxQkFBcUIsQ0FBQyxxQkFBcUIsQ0FBQyxFQUFFO1lBQzlELElBQUksT0FBTyxDQUFDLFdBQVcsS0FBSyxTQUFTO2dCQUNqQyxTQUFTO1lBQ2IsSUFBSSxDQUFFLFNBQVMsRUFBRSxRQUFRLENBQUUsR0FBRyxPQUFPLENBQUMsV0FBVyxDQUFDO1lBQ2xELElBQUksWUFBWSxHQUFHLGlCQUFpQixDQUFDLE9BQU8sQ0FBQyxVQUFVLEVBQUUsbUJBQW1CLENBQUMsWUFBWSxDQUFDLENBQUM7WUFDM0YsSUFBSSxNQUFNLEdBQUcsQ0FBRSxpQkFBaUIsQ0FBQyxPQUFPLENBQUMsVUFBVSxFQUFFLG1CQUFtQixDQUFDLFVBQVUsQ0FBQyxFQUFFLGlCQUFpQixDQUFDLE9BQU8sQ0FBQyxVQUFVLEVBQUUsbUJBQW1CLENBQUMsVUFBVSxDQUFDLEVBQUUsaUJBQWlCLENBQUMsT0FBTyxDQUFDLFVBQVUsRUFBRSxtQkFBbUIsQ0FBQyxZQUFZLENBQUMsQ0FBRSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUNqUCxJQUFJLE1BQU0sR0FBRyxpQkFBaUIsQ0FBQyxPQUFPLENBQUMsVUFBVSxFQUFFLG1CQUFtQixDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQy9FLElBQUksTUFBTSxLQUFLLEVBQUU7Z0JBQ2IsU0FBUztZQUNiLElBQUksTUFBTSxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsRUFBRTtnQkFDdEIsSUFBSSxZQUFZLEtBQUssRUFBRTtvQkFDbkIsdUJBQXVCLENBQUMsZUFBZSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxDQUFDO2dCQUMxSCxhQUFhLENBQUMsZUFBZSxFQUFFLGVBQWUsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLEVBQUUsUUFBUSxFQUFFLFNBQVMsQ0FBQyxDQUFDO2FBQ3hGO1lBQ0QsYUFBYSxDQUFDLGVBQWUsRUFBRSxlQUFlLENBQUMsTUFBTSxDQUFDLEVBQUUsUUFBUSxFQUFFLFNBQVMsQ0FBQyxDQUFDO1NBQ2hGO0tBQ0o7SUFFRCxJQUFJLHVCQUF1QixFQUFFO1FBQ3pCLElBQUksdUJBQXVCLEdBQUcsRUFBRSxDQUFDO1FBQ2pDLEtBQUssSUFBSSxPQUFPLElBQUkscUJBQXFCLENBQUMsdUJBQXVCLENBQUMsRUFBRTtZQUNoRSxJQUFJLE1BQU0sR0FBRyxpQkFBaUIsQ0FBQyxPQUFPLENBQUMsVUFBVSxFQUFFLG1CQUFtQixDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQy9FLElBQUksT0FBTyxDQUFDLFdBQVcsS0FBSyxTQUFTLElBQUksTUFBTSxLQUFLLEVBQUU7Z0JBQ2xELGFBQWEsQ0FBQyx1QkFBdUIsRUFBRSxlQUFlLENBQUMsTUFBTSxDQUFDLEVBQUUsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7U0FDdkg7UUFDRCxNQUFNLENBQUMsTUFBTSxDQUFDLGVBQWUsRUFBRSx1QkFBdUIsQ0FBQyxDQUFDO0tBQzNEO0lBRUQsSUFBSSxVQUFVLEdBQUcsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDLEVBQUUsUUFBUSxFQUFFLFFBQVEsQ0FBQyxRQUFRLEdBQUcsUUFBUSxDQUFDLEtBQUssRUFBRSxTQUFTLEVBQUUsUUFBUSxDQUFDLFNBQVMsR0FBRyxRQUFRLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUNoSSxpQkFBaUIsR0FBRyxFQUFFLENBQUM7SUFDdkIsS0FBSyxJQUFJLEdBQUcsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQztRQUN4QyxpQkFBaUIsQ0FBQyxHQUFHLENBQUMsR0FBRyxVQUFVLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDOUQsaUJBQWlCLEdBQUcsRUFBRSxDQUFDO0lBQ3ZCLEtBQUssSUFBSSxHQUFHLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUM7UUFDeEMsaUJBQWlCLENBQUMsR0FBRyxDQUFDLEdBQUcsVUFBVSxDQUFDLGVBQWUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBRTlELE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxNQUFNLENBQUMsSUFBSSxDQUFDLHVCQUF1QixDQUFDLENBQUMsTUFBTSxzQkFBc0IsTUFBTSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLE1BQU0sa0JBQWtCLE1BQU0sQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxNQUFNLDJCQUEyQixDQUFDLENBQUM7QUFDbE4sQ0FBQztBQUVELGlHQUFpRztBQUNqRyxnR0FBZ0c7QUFDaEcsK0ZBQStGO0FBQy9GLDBEQUEwRDtBQUUxRCxTQUFTLGdCQUFnQixDQUFDLFFBQW1CLEVBQUUsV0FBb0IsRUFBRSxZQUFxQixFQUFFLGFBQXNCO0lBQzlHLDBGQUEwRjtJQUMxRiw4RkFBOEY7SUFDOUYsb0JBQW9CO0lBRXBCLElBQUksZUFBZSxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FDNUMsT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxNQUFNO1FBQ2hELE9BQU8sQ0FBQyxDQUFDLEdBQUcsYUFBYSxDQUFDLENBQUMsR0FBRyxvQkFBb0IsQ0FBQyxZQUFZLEdBQUcsYUFBYSxDQUFDLEtBQUs7UUFDckYsT0FBTyxDQUFDLENBQUMsR0FBRyxXQUFXLENBQUMsQ0FBQyxHQUFHLFdBQVcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFFLG1FQUFtRTtJQUV6SCwwRkFBMEY7SUFDMUYsNEZBQTRGO0lBQzVGLDJGQUEyRjtJQUMzRiwyRkFBMkY7SUFDM0YsMEJBQTBCO0lBRTFCLElBQUksb0JBQW9CLEdBQUcsZUFBZSxDQUFDLE1BQU0sQ0FBQyxDQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxRQUFRLEtBQUssU0FBUyxJQUFJLE9BQU8sQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO0lBQ3BNLElBQUksb0JBQW9CLEtBQUssU0FBUztRQUNsQyxPQUFPLEVBQUUsQ0FBQztJQUVkLHdFQUF3RTtJQUV4RSxlQUFlLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUN4QyxPQUFPLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLE1BQU07UUFDaEQsT0FBTyxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUMsQ0FBQyxHQUFHLG9CQUFvQixDQUFDLFlBQVksR0FBRyxhQUFhLENBQUMsS0FBSztRQUNyRixPQUFPLENBQUMsQ0FBQyxHQUFHLFdBQVcsQ0FBQyxDQUFDLEdBQUcsV0FBVyxDQUFDLE1BQU0sSUFBTSxtRUFBbUU7UUFDdkgsT0FBTyxDQUFDLENBQUMsSUFBSSxvQkFBb0IsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLG9CQUFvQixDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFFakcscUZBQXFGO0lBQ3JGLDRGQUE0RjtJQUU1RixJQUFJLGVBQWUsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDaEwsZUFBZSxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQztJQUV0Qyw2RkFBNkY7SUFDN0YsNEZBQTRGO0lBQzVGLGtFQUFrRTtJQUVsRSxlQUFlLEdBQUcsZUFBZSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUMvQyxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLEVBQUUsQ0FDakMsT0FBTyxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLElBQUssc0VBQXNFO1FBQ3ZILE9BQU8sQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDO1FBQ3BCLE9BQU8sQ0FBQyxTQUFTLENBQUMsT0FBTyxFQUFFLFlBQVksQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLE9BQU8sQ0FBQyxHQUFHLEdBQUcsQ0FDckUsQ0FDSixDQUFDO0lBRUYsMkZBQTJGO0lBQzNGLHdGQUF3RjtJQUN4Riw4RkFBOEY7SUFFOUYsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLGVBQWUsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDekQsSUFBSSxlQUFlLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsZUFBZSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsZUFBZSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsR0FBRyxvQkFBb0IsQ0FBQyxTQUFTLEVBQUUsRUFBRyx3Q0FBd0M7WUFDMUssSUFBSSxlQUFlLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLFVBQVUsSUFBSSxFQUFFLElBQUksZUFBZSxDQUFDLEtBQUssQ0FBQyxDQUFDLFVBQVUsSUFBSSxFQUFFLEVBQUUsRUFBRyx3RUFBd0U7Z0JBQ25LLGVBQWUsQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDLENBQUUsOEVBQThFO2dCQUMvRyxNQUFNO2FBQ1Q7U0FDSjtLQUNKO0lBRUQsT0FBTyxlQUFlLENBQUM7QUFDM0IsQ0FBQztBQUVELDZFQUE2RTtBQUU3RSxTQUFTLGVBQWUsQ0FBQyxRQUFtQixFQUFFLFlBQXFCLEVBQUUsYUFBc0I7SUFDdkYsOEZBQThGO0lBQzlGLDZGQUE2RjtJQUM3Rix3RUFBd0U7SUFFeEUsT0FBTyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxhQUFhLENBQUMsQ0FBQztRQUMxRCxPQUFPLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxNQUFNLEdBQUcsWUFBWSxDQUFDLENBQUMsR0FBRyxvQkFBb0IsQ0FBQyxXQUFXLEdBQUcsWUFBWSxDQUFDLE1BQU07UUFDcEcsT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLG9CQUFvQixDQUFDLFdBQVcsR0FBRyxZQUFZLENBQUMsTUFBTTtRQUNuRixNQUFNLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsRUFBRSxvQkFBb0IsQ0FBQyxVQUFVLEVBQUUsSUFBSSxDQUFDLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztBQUN0RixDQUFDO0FBRUQsbURBQW1EO0FBRW5ELFNBQVMsc0JBQXNCLENBQUMsUUFBbUIsRUFBRSxZQUFxQixFQUFFLGFBQXNCO0lBQzlGLElBQUksWUFBWSxHQUFHLGVBQWUsQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLGFBQWEsQ0FBQyxDQUFDO0lBRTFFLDRGQUE0RjtJQUU1RixJQUFJLG1CQUFtQixHQUFHLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxLQUFLLFNBQVMsSUFBSSxRQUFRLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztJQUMzSixPQUFPLG1CQUFtQixDQUFDO0FBQy9CLENBQUM7QUFFRCxpR0FBaUc7QUFDakcseUJBQXlCO0FBRXpCLFNBQVMsc0JBQXNCLENBQUMsUUFBbUIsRUFBRSxZQUFxQixFQUFFLGFBQXNCLEVBQUUsbUJBQTRCO0lBQzVILElBQUksbUJBQW1CLEtBQUssU0FBUztRQUNqQyxPQUFPLFNBQVMsQ0FBQztJQUVyQixJQUFJLFlBQVksR0FBRyxlQUFlLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxhQUFhLENBQUMsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLG1CQUFtQixDQUFDLENBQUMsR0FBRyxtQkFBbUIsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUMzSixPQUFPLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxLQUFLLFNBQVMsSUFBSSxRQUFRLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztBQUM1SSxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLDBGQUEwRjtBQUMxRix5RkFBeUY7QUFDekYsZ0dBQWdHO0FBRWhHLFNBQVMsV0FBVyxDQUFDLFFBQW1CLEVBQUUsbUJBQTRCLEVBQUUsbUJBQTRCO0lBQ2hHLElBQUksZ0JBQWdCLEdBQUcsQ0FBQyxtQkFBbUIsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsbUJBQW1CLENBQUMsQ0FBQyxDQUFDLG1CQUFtQixDQUFDO0lBQ3ZHLElBQUksZ0JBQWdCLEtBQUssU0FBUztRQUM5QixPQUFPLEVBQUUsQ0FBQztJQUVkLElBQUksV0FBVyxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FDeEMsT0FBTyxDQUFDLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLEdBQUcsZ0JBQWdCLENBQUMsS0FBSyxHQUFHLENBQUM7UUFDM0QsNEJBQTRCLENBQUMsT0FBTyxFQUFFLGdCQUFnQixDQUFDLEdBQUcsRUFBRTtRQUM1RCxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxFQUFFLG9CQUFvQixDQUFDLFVBQVUsRUFBRSxJQUFJLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0lBQ25GLElBQUksZUFBZSxHQUFHLFdBQVcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsUUFBUSxLQUFLLFNBQVMsSUFBSSxPQUFPLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztJQUN0SixJQUFJLGVBQWUsS0FBSyxTQUFTLElBQUksZUFBZSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxNQUFNLEdBQUcsQ0FBQztRQUN2RSxPQUFPLEVBQUUsQ0FBQztJQUVkLElBQUksUUFBUSxHQUFHLFVBQVUsQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxFQUFFLFNBQVMsRUFBRSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUM5TCxPQUFPLENBQUMsUUFBUSxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztBQUMvQyxDQUFDO0FBRUQsNEVBQTRFO0FBRTVFLFNBQVMsc0JBQXNCLENBQUMsUUFBbUIsRUFBRSxZQUFxQixFQUFFLGFBQXNCLEVBQUUsbUJBQTRCO0lBQzVILG9FQUFvRTtJQUVwRSxJQUFJLHNCQUFzQixHQUFHLENBQUMsbUJBQW1CLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsbUJBQW1CLENBQUMsQ0FBQyxHQUFHLG1CQUFtQixDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBRXpJLDRFQUE0RTtJQUU1RSxJQUFJLDRCQUE0QixHQUFHLGFBQWEsQ0FBQztJQUVqRCxnQ0FBZ0M7SUFFaEMsSUFBSSxtQkFBbUIsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxzQkFBc0I7UUFDbkYsT0FBTyxDQUFDLENBQUMsR0FBRyw0QkFBNEIsQ0FBQyxDQUFDO1FBQzFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsNEJBQTRCLENBQUMsQ0FBQyxHQUFHLG9CQUFvQixDQUFDLFlBQVksR0FBRyw0QkFBNEIsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUV6SCx5RkFBeUY7SUFDekYsMkZBQTJGO0lBQzNGLGtFQUFrRTtJQUVsRSxJQUFJLGVBQWUsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDcE0sbUJBQW1CLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxDQUFDO0lBQzFDLE9BQU8sbUJBQW1CLENBQUM7QUFDL0IsQ0FBQztBQUVELHdCQUF3QjtBQUV4QixTQUFTLGNBQWMsQ0FBQyxRQUFtQixFQUFFLFlBQXFCLEVBQUUsYUFBc0IsRUFBRSxtQkFBNEI7SUFDcEgsMkRBQTJEO0lBRTNELE9BQU8sc0JBQXNCLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxhQUFhLEVBQUUsbUJBQW1CLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDO0FBQzNNLENBQUM7QUFpQkQscUNBQXFDO0FBRXJDLFNBQVMsYUFBYSxDQUFDLE9BQWU7SUFDbEMsSUFBSSxVQUFVLEdBQXNCLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLFVBQVUsRUFBRSxFQUFFLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFLEtBQUssRUFBRSxFQUFFLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxlQUFlLEVBQUUsTUFBTSxFQUFFLFdBQVcsRUFBRSxNQUFNLEVBQUUsQ0FBQztJQUV0TCxPQUFPLEdBQUcsT0FBTyxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ3pCLElBQUksT0FBTyxLQUFLLEVBQUU7UUFDZCxPQUFPLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxDQUFDO0lBRXBGLHdGQUF3RjtJQUN4RixxRkFBcUY7SUFDckYsZ0ZBQWdGO0lBRWhGLE9BQU8sR0FBRyxPQUFPO1NBQ1osT0FBTyxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUM7U0FDMUIsT0FBTyxDQUFDLFFBQVEsRUFBRSxPQUFPLENBQUM7U0FDMUIsT0FBTyxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUM7U0FDMUIsT0FBTyxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUM7U0FDMUIsT0FBTyxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUM7U0FDMUIsT0FBTyxDQUFDLHdCQUF3QixFQUFFLE1BQU0sQ0FBQztTQUN6QyxPQUFPLENBQUMsd0JBQXdCLEVBQUUsTUFBTSxDQUFDO1NBQ3pDLE9BQU8sQ0FBQyx1QkFBdUIsRUFBRSxNQUFNLENBQUM7U0FDeEMsT0FBTyxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUM7U0FDekIsT0FBTyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUM7U0FDakMsT0FBTyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUM7U0FDakMsT0FBTyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUM7U0FDakMsT0FBTyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUM7U0FDakMsT0FBTyxDQUFDLGFBQWEsRUFBRSxhQUFhLENBQUM7U0FDckMsT0FBTyxDQUFDLGNBQWMsRUFBRSxlQUFlLENBQUMsQ0FBQztJQUU5QyxJQUFJLE1BQU0sR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBRWhDLDBGQUEwRjtJQUMxRiwwRkFBMEY7SUFDMUYsOEVBQThFO0lBRTlFLElBQUksUUFBUSxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3pDLElBQUksWUFBWSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxRQUFRLEtBQUssR0FBRyxJQUFJLFFBQVEsS0FBSyxHQUFHLElBQUksUUFBUSxLQUFLLEdBQUcsSUFBSSxRQUFRLEtBQUssSUFBSSxJQUFJLFFBQVEsS0FBSyxJQUFJO1FBQ2pJLE1BQU0sQ0FBQyxHQUFHLEVBQUUsQ0FBQztJQUVqQiw4RkFBOEY7SUFFOUYsSUFBSSxLQUFLLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDdEMsSUFBSSxVQUFVLENBQUMsS0FBSyxFQUFFLENBQUUsSUFBSSxDQUFFLEVBQUUsRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxxQkFBcUIsRUFBRSxhQUFhLEVBQUUsZUFBZSxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLEtBQUssSUFBSTtRQUMvSixNQUFNLENBQUMsR0FBRyxFQUFFLENBQUM7SUFFakIsMEZBQTBGO0lBQzFGLDhCQUE4QjtJQUU5QixJQUFJLFVBQVUsR0FBRyxJQUFJLENBQUM7SUFDdEIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUNyQyxJQUFJLGNBQWMsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3BELElBQUksZUFBZSxHQUFHLFVBQVUsQ0FBQyxjQUFjLEVBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsRUFBRSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUN2TSxJQUFJLGVBQWUsS0FBSyxJQUFJLEVBQUU7WUFDMUIsVUFBVSxHQUFHLFdBQVcsQ0FBQyxlQUFlLENBQUMsQ0FBQztZQUMxQyxVQUFVLENBQUMsV0FBVyxHQUFHLENBQUMsY0FBYyxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxLQUFLLGVBQWUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQztZQUN2RyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUUsdURBQXVEO1lBQ3RGLE1BQU07U0FDVDtLQUNKO0lBRUQsSUFBSSxVQUFVLEtBQUssSUFBSSxFQUFHLDRDQUE0QztRQUNsRSxPQUFPLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxDQUFDO0lBRXpGLDZGQUE2RjtJQUM3RixVQUFVO0lBRVYsSUFBSSxZQUFZLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUN6QyxVQUFVLENBQUMsUUFBUSxHQUFHLFlBQVksQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLFlBQVksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7SUFDekcsVUFBVSxDQUFDLEtBQUssR0FBRyxDQUFDLFlBQVksQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO0lBQ3hFLFVBQVUsQ0FBQyxNQUFNLEdBQUcsWUFBWSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUUzQywyRkFBMkY7SUFDM0Ysd0ZBQXdGO0lBRXhGLElBQUksTUFBTSxDQUFDLE1BQU0sSUFBSSxDQUFDLElBQUksdUJBQXVCLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLG1CQUFtQixDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUN0RyxVQUFVLENBQUMsSUFBSSxHQUFHLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM1QixNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztLQUN2QjtJQUNELElBQUksaUJBQWlCLEdBQUcsQ0FBQyxNQUFNLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxrRUFBa0UsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUN6SSxJQUFJLGlCQUFpQixLQUFLLElBQUksRUFBRTtRQUM1QixJQUFJLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxLQUFLLFNBQVM7WUFDbEMsVUFBVSxDQUFDLElBQUksR0FBRyxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUMzQyxVQUFVLENBQUMsWUFBWSxHQUFHLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQy9DLE1BQU0sQ0FBQyxLQUFLLEVBQUUsQ0FBQztLQUNsQjtJQUVELDRFQUE0RTtJQUU1RSxJQUFJLHdCQUF3QixHQUFHLE1BQU0sQ0FBQyxHQUFHLEVBQUUsSUFBSSxFQUFFLENBQUM7SUFDbEQsSUFBSSxZQUFZLEdBQUcsY0FBYyxDQUFDLHdCQUF3QixDQUFDLFdBQVcsRUFBRSxDQUFDLElBQUksd0JBQXdCLENBQUM7SUFFdEcsdUZBQXVGO0lBRXZGLElBQUksVUFBVSxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxHQUFHLEdBQUcsWUFBWSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDaEUsSUFBSSxlQUFlLEdBQUcsVUFBVSxDQUFDLFVBQVUsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQ25NLElBQUksZUFBZSxLQUFLLElBQUksRUFBRTtRQUMxQixVQUFVLENBQUMsZUFBZSxHQUFHLENBQUMsVUFBVSxDQUFDLFdBQVcsRUFBRSxLQUFLLGVBQWUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQztRQUM5RyxVQUFVLEdBQUcsZUFBZSxDQUFDO0tBQ2hDO0lBRUQseUZBQXlGO0lBRXpGLElBQUksZ0JBQWdCLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUM3QyxJQUFJLFdBQVcsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0lBQzlHLElBQUksZ0JBQWdCLENBQUMsTUFBTSxJQUFJLENBQUMsSUFBSSxXQUFXLENBQUMsUUFBUSxDQUFDLGdCQUFnQixDQUFDLGdCQUFnQixDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztRQUNqSCxVQUFVLENBQUMsVUFBVSxHQUFHLGdCQUFnQixDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ25ELFVBQVUsQ0FBQyxVQUFVLEdBQUcsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBRW5ELDZGQUE2RjtJQUU3RixJQUFJLFlBQVksR0FBRyxDQUFDLENBQUMsVUFBVSxDQUFDLElBQUksS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsSUFBSSxHQUFHLEdBQUcsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxZQUFZLENBQUM7SUFDckcsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDLFlBQVksS0FBSyxFQUFFLElBQUksVUFBVSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFlBQVksR0FBRyxHQUFHLENBQUMsR0FBRyxVQUFVLENBQUM7SUFDakcsT0FBTyxFQUFFLElBQUksRUFBRSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsTUFBTSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLFVBQVUsQ0FBQyxDQUFDLElBQUksRUFBRSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLENBQUMsVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLENBQUM7QUFDL0osQ0FBQztBQUVELCtGQUErRjtBQUMvRiwrRkFBK0Y7QUFDL0YsNEZBQTRGO0FBRTVGLFNBQVMsY0FBYyxDQUFDLFVBQTZCO0lBQ2pELElBQUksTUFBTSxHQUFHLENBQUMsVUFBVSxDQUFDLFVBQVUsR0FBRyxHQUFHLEdBQUcsVUFBVSxDQUFDLFVBQVUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0lBQzFFLElBQUksWUFBWSxHQUFHLFVBQVUsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUUsa0NBQWtDO0lBRTdGLElBQUksV0FBVyxHQUFHLFNBQVMsQ0FBQztJQUM1QixJQUFJLFNBQVMsR0FBRyxNQUFNLENBQUM7SUFDdkIsSUFBSSxNQUFNLEtBQUssRUFBRSxJQUFJLFlBQVksS0FBSyxFQUFFLElBQUksQ0FBQyxXQUFXLEdBQUcsdUJBQXVCLENBQUMsZUFBZSxDQUFDLFlBQVksRUFBRSxNQUFNLEVBQUUsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxTQUFTO1FBQ3ZKLFNBQVMsR0FBRyxTQUFTLENBQUM7U0FDckIsSUFBSSxNQUFNLEtBQUssRUFBRSxJQUFJLENBQUMsV0FBVyxHQUFHLGlCQUFpQixDQUFDLGVBQWUsQ0FBQyxNQUFNLEVBQUUsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxTQUFTO1FBQ2pILFNBQVMsR0FBRyxRQUFRLENBQUM7U0FDcEIsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLEVBQUUsSUFBSSxDQUFDLFdBQVcsR0FBRyxpQkFBaUIsQ0FBQyxlQUFlLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxTQUFTO1FBQ3BILFNBQVMsR0FBRyxRQUFRLENBQUM7SUFFekIsT0FBTztRQUNILFFBQVEsRUFBRSxDQUFDLFdBQVcsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLFdBQVcsQ0FBQyxRQUFRLEdBQUcsT0FBTyxDQUFDLEdBQUcsT0FBTztRQUNuRyxTQUFTLEVBQUUsQ0FBQyxXQUFXLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsU0FBUyxHQUFHLE9BQU8sQ0FBQyxHQUFHLE9BQU87UUFDckcsU0FBUyxFQUFFLFNBQVM7S0FDdkIsQ0FBQztBQUNOLENBQUM7QUFFRCxtR0FBbUc7QUFDbkcsNEZBQTRGO0FBQzVGLGlHQUFpRztBQUNqRyxnR0FBZ0c7QUFDaEcsa0VBQWtFO0FBRWxFLFNBQVMsbUJBQW1CLENBQUMsUUFBbUI7SUFDNUMsT0FBTyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLDJCQUEyQixFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQywyQkFBMkIsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDO0FBQzFYLENBQUM7QUFFRCxTQUFTLFNBQVMsQ0FBQyxPQUFlO0lBQzlCLE9BQU8sT0FBTyxLQUFLLEVBQUUsSUFBSSxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUUsK0hBQStIO0FBQ3JULENBQUM7QUFFRCxTQUFTLGtCQUFrQixDQUFDLE9BQWU7SUFDdkMsT0FBTyxPQUFPLEtBQUssRUFBRSxJQUFJLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxPQUFPLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxJQUFJLE9BQU8sQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLElBQUksT0FBTyxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsSUFBSyxPQUFPLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7QUFDN0ssQ0FBQztBQUVELGdHQUFnRztBQUNoRyxnR0FBZ0c7QUFDaEcsa0ZBQWtGO0FBRWxGLFNBQVMsY0FBYyxDQUFDLElBQVk7SUFDaEMsSUFBSSxXQUFXLEdBQUcsNENBQTRDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsV0FBVyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDMUcsSUFBSSxXQUFXLEtBQUssSUFBSSxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDckQsT0FBTyxJQUFJLENBQUM7SUFFaEIsSUFBSSxNQUFNLEdBQUcsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ2hLLE9BQU8sS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztBQUN6QyxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLDJDQUEyQztBQUUzQyxTQUFTLFlBQVksQ0FBQyxRQUFtQixFQUFFLGFBQXNCO0lBQzdELElBQUksWUFBWSxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLGFBQWEsQ0FBQyxDQUFDLEdBQUcsb0JBQW9CLENBQUMsWUFBWSxHQUFHLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNySSxJQUFJLFNBQVMsR0FBRyxDQUFDLENBQVUsRUFBRSxDQUFVLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDckYsWUFBWSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUU3QixJQUFJLEtBQUssR0FBZ0IsRUFBRSxDQUFDO0lBQzVCLEtBQUssSUFBSSxPQUFPLElBQUksWUFBWSxFQUFFO1FBQzlCLElBQUksSUFBSSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyw0QkFBNEIsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUM7UUFDbkYsSUFBSSxJQUFJLEtBQUssU0FBUztZQUNsQixLQUFLLENBQUMsSUFBSSxDQUFDLENBQUUsT0FBTyxDQUFFLENBQUMsQ0FBQzs7WUFFeEIsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztLQUMxQjtJQUVELElBQUksU0FBUyxHQUFHLENBQUMsQ0FBVSxFQUFFLENBQVUsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNyRixPQUFPLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDO0FBQ3hILENBQUM7QUFFRCwrRkFBK0Y7QUFDL0Ysa0VBQWtFO0FBRWxFLFNBQVMsYUFBYSxDQUFDLFFBQW1CLEVBQUUsWUFBcUI7SUFDN0QsSUFBSSxZQUFZLEtBQUssU0FBUztRQUMxQixPQUFPLEVBQUUsQ0FBQztJQUVkLElBQUksYUFBYSxHQUFHLFFBQVEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FDMUMsT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxLQUFLLEdBQUcsQ0FBQztRQUNuRCw0QkFBNEIsQ0FBQyxZQUFZLEVBQUUsT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUM7SUFDOUQsSUFBSSxTQUFTLEdBQUcsQ0FBQyxDQUFVLEVBQUUsQ0FBVSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3JGLGFBQWEsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7SUFFOUIsSUFBSSxlQUFlLEdBQUcsWUFBWSxDQUFDO0lBQ25DLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxhQUFhLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3ZELElBQUksYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLGVBQWUsQ0FBQyxDQUFDLEdBQUcsZUFBZSxDQUFDLEtBQUssQ0FBQyxHQUFHLG9CQUFvQixDQUFDLFNBQVMsRUFBRSxFQUFHLHdDQUF3QztZQUNsSixhQUFhLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQztZQUM3QixNQUFNO1NBQ1Q7UUFDRCxlQUFlLEdBQUcsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDO0tBQzFDO0lBRUQsT0FBTyxhQUFhLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxhQUFhLEVBQUUsRUFBRSxDQUFDLENBQUM7QUFDekgsQ0FBQztBQUVELGlHQUFpRztBQUNqRyxpQ0FBaUM7QUFFakMsU0FBUyxhQUFhLENBQUMsSUFBWTtJQUMvQixPQUFPLG1UQUFtVCxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztBQUMxVSxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLGdHQUFnRztBQUNoRyw4RkFBOEY7QUFDOUYsNkJBQTZCO0FBRTdCLFNBQVMsZUFBZSxDQUFDLElBQVk7SUFDakMsSUFBSSxJQUFJLEtBQUssRUFBRTtRQUNYLE9BQU8sRUFBRSxDQUFDO0lBQ2QsUUFBUSxhQUFhLENBQUMsVUFBVSxFQUFFO1FBQzlCLEtBQUssT0FBTztZQUNSLE9BQU8sSUFBSSxDQUFDO1FBQ2hCLEtBQUssTUFBTTtZQUNQLE9BQU8sTUFBTSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsR0FBRyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUN4SSxLQUFLLFdBQVc7WUFDWixPQUFPLGFBQWEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFDM0M7WUFDSSxPQUFPLEVBQUUsQ0FBQztLQUNqQjtBQUNMLENBQUM7QUFFRCw2RkFBNkY7QUFDN0YsK0ZBQStGO0FBQy9GLCtGQUErRjtBQUMvRixpR0FBaUc7QUFDakcsZ0dBQWdHO0FBQ2hHLFNBQVM7QUFFVCxTQUFTLGNBQWMsQ0FBQyxRQUFtQixFQUFFLGFBQXNCO0lBQy9ELElBQUksZUFBZSxHQUFHLElBQUksQ0FBQztJQUMzQixJQUFJLFNBQVMsR0FBRyxJQUFJLENBQUM7SUFDckIsS0FBSyxJQUFJLElBQUksSUFBSSxZQUFZLENBQUMsUUFBUSxFQUFFLGFBQWEsQ0FBQyxFQUFFO1FBQ3BELElBQUksU0FBUyxHQUFHLGVBQWUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDM0MsSUFBSSxlQUFlLEtBQUssSUFBSSxJQUFJLFNBQVMsS0FBSyxJQUFJLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxJQUFJLHNDQUFzQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUN6SixlQUFlLEdBQUcsY0FBYyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLEtBQUssR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUU1RixJQUFJLFNBQVMsR0FBRywyQkFBMkIsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDdkQsSUFBSSxTQUFTLEtBQUssSUFBSSxJQUFJLFNBQVMsS0FBSyxJQUFJO1lBQ3hDLFNBQVMsR0FBRyxjQUFjLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsS0FBSyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO0tBQ3pGO0lBQ0QsT0FBTyxFQUFFLGVBQWUsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxDQUFDO0FBQ3RFLENBQUM7QUFFRCxTQUFTLFVBQVUsQ0FBQyxRQUFtQixFQUFFLHVCQUFnQyxFQUFFLGFBQXNCO0lBQzdGLDhDQUE4QztJQUU5QyxJQUFJLG9CQUFvQixHQUFHLGdCQUFnQixDQUFDLFFBQVEsRUFBRSx1QkFBdUIsRUFBRSx1QkFBdUIsRUFBRSxhQUFhLENBQUMsQ0FBQztJQUN2SCxJQUFJLFlBQVksR0FBRyxtQkFBbUIsQ0FBQyxvQkFBb0IsQ0FBQyxDQUFBO0lBQzVELElBQUksQ0FBQyxTQUFTLENBQUMsWUFBWSxDQUFDO1FBQ3hCLE9BQU8sRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFFLGdCQUFnQixFQUFFLFNBQVMsRUFBRSxpQkFBaUIsRUFBRSxTQUFTLEVBQUUsZUFBZSxFQUFFLFNBQVMsRUFBRSx3QkFBd0IsRUFBRSxTQUFTLEVBQUUsQ0FBQztJQUU5SixJQUFJLG9CQUFvQixHQUFHLGdCQUFnQixDQUFDLFFBQVEsRUFBRSx1QkFBdUIsRUFBRSxvQkFBb0IsQ0FBQyxDQUFDLENBQUMsRUFBRSxhQUFhLENBQUMsQ0FBQztJQUN2SCxJQUFJLFlBQVksR0FBRyxtQkFBbUIsQ0FBQyxvQkFBb0IsQ0FBQyxDQUFBO0lBQzVELFlBQVksR0FBRyxTQUFTLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO0lBRTNELElBQUksb0JBQW9CLEdBQUcsU0FBUyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsdUJBQXVCLEVBQUUsb0JBQW9CLENBQUMsQ0FBQyxDQUFDLEVBQUUsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztJQUN0SixJQUFJLFlBQVksR0FBRyxtQkFBbUIsQ0FBQyxvQkFBb0IsQ0FBQyxDQUFBO0lBQzVELFlBQVksR0FBRyxTQUFTLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO0lBRTNELDBGQUEwRjtJQUMxRix1RkFBdUY7SUFDdkYsaUNBQWlDO0lBRWpDLElBQUksZ0JBQWdCLEdBQUcsYUFBYSxDQUFDLFlBQVksQ0FBQyxDQUFDO0lBQ25ELElBQUksZUFBZSxHQUFHLG9CQUFvQixDQUFDO0lBQzNDLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxTQUFTLElBQUksU0FBUyxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsa0JBQWtCLENBQUMsWUFBWSxDQUFDLEVBQUU7UUFDN0YsZ0JBQWdCLEdBQUcsYUFBYSxDQUFDLFlBQVksR0FBRyxHQUFHLEdBQUcsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDN0UsZUFBZSxHQUFHLG9CQUFvQixDQUFDLE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQyxDQUFDO0tBQ3ZFO0lBRUQsZ0ZBQWdGO0lBRWhGLElBQUksZ0JBQWdCLEdBQUcsRUFBRSxDQUFDO0lBQzFCLElBQUksd0JBQXdCLEdBQWMsRUFBRSxDQUFDO0lBQzdDLElBQUksa0JBQWtCLENBQUMsWUFBWSxDQUFDLEVBQUU7UUFDbEMsZ0JBQWdCLElBQUksQ0FBQyxDQUFDLGdCQUFnQixLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLFlBQVksQ0FBQztRQUMxRSx3QkFBd0IsR0FBRyx3QkFBd0IsQ0FBQyxNQUFNLENBQUMsb0JBQW9CLENBQUMsQ0FBQztLQUNwRjtJQUNELElBQUksa0JBQWtCLENBQUMsWUFBWSxDQUFDLEVBQUU7UUFDbEMsZ0JBQWdCLElBQUksQ0FBQyxDQUFDLGdCQUFnQixLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLFlBQVksQ0FBQztRQUMxRSx3QkFBd0IsR0FBRyx3QkFBd0IsQ0FBQyxNQUFNLENBQUMsb0JBQW9CLENBQUMsQ0FBQztLQUNwRjtJQUNELElBQUksa0JBQWtCLENBQUMsWUFBWSxDQUFDLEVBQUU7UUFDbEMsZ0JBQWdCLElBQUksQ0FBQyxDQUFDLGdCQUFnQixLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLFlBQVksQ0FBQztRQUMxRSx3QkFBd0IsR0FBRyx3QkFBd0IsQ0FBQyxNQUFNLENBQUMsb0JBQW9CLENBQUMsQ0FBQztLQUNwRjtJQUVELE9BQU8sRUFBRSxPQUFPLEVBQUUsZ0JBQWdCLENBQUMsSUFBSSxFQUFFLGdCQUFnQixFQUFFLGdCQUFnQixFQUFFLGlCQUFpQixFQUFFLGdCQUFnQixDQUFDLFVBQVUsRUFBRSxlQUFlLEVBQUUsZUFBZSxFQUFFLHdCQUF3QixFQUFFLHdCQUF3QixFQUFFLENBQUM7QUFDeE4sQ0FBQztBQUVELGdHQUFnRztBQUNoRyw4RkFBOEY7QUFDOUYsOEZBQThGO0FBQzlGLGdHQUFnRztBQUNoRyxpRkFBaUY7QUFFakYsU0FBUyxrQkFBa0IsQ0FBQyxRQUFtQixFQUFFLGdCQUF3QjtJQUNyRSxJQUFJLFlBQVksR0FBRyxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQztJQUMxRyxJQUFJLFlBQVksQ0FBQyxNQUFNLEtBQUssQ0FBQztRQUN6QixPQUFPLElBQUksQ0FBQztJQUVoQixJQUFJLFdBQVcsR0FBRyxDQUFDLENBQUM7SUFDcEIsSUFBSSxlQUFlLEdBQUcsQ0FBQyxDQUFDO0lBQ3hCLEtBQUssSUFBSSxPQUFPLElBQUksWUFBWSxFQUFFO1FBQzlCLElBQUksTUFBTSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsTUFBTSxDQUFDO1FBQ3hDLGVBQWUsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDLE9BQU8sT0FBTyxDQUFDLFVBQVUsS0FBSyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDbEcsV0FBVyxJQUFJLE1BQU0sQ0FBQztLQUN6QjtJQUNELE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsR0FBRyxnQkFBZ0IsR0FBRyxlQUFlLENBQUMsR0FBRyxXQUFXLENBQUMsR0FBRyxFQUFFLENBQUM7QUFDcEYsQ0FBQztBQUVELGtHQUFrRztBQUNsRyx1RkFBdUY7QUFFdkYsU0FBUywwQkFBMEIsQ0FBQyxpQkFBb0M7SUFDcEUsSUFBSSxTQUFTLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLENBQUMsS0FBSyxLQUFLLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLEtBQUssT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDakcsT0FBTyxTQUFTLENBQUMsaUJBQWlCLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLFVBQVUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsaUJBQWlCLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQztBQUNuSixDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLCtFQUErRTtBQUUvRSxTQUFTLGVBQWUsQ0FBQyxHQUFXO0lBQ2hDLElBQUksVUFBVSxHQUFHLHFGQUFxRixDQUFDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3JJLElBQUksVUFBVSxLQUFLLElBQUk7UUFDbkIsT0FBTyxTQUFTLENBQUM7SUFDckIsSUFBSSxZQUFZLEdBQUcsTUFBTSxDQUFDLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQyxJQUFJLFVBQVUsQ0FBQyxDQUFDLENBQUMsRUFBRSxFQUFFLFVBQVUsQ0FBQyxDQUFDO0lBQzNFLE9BQU8sWUFBWSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztBQUM3RCxDQUFDO0FBRUQsMEZBQTBGO0FBQzFGLGdHQUFnRztBQUNoRyw4Q0FBOEM7QUFFOUMsU0FBUyxpQkFBaUIsQ0FBQyxZQUEyQixFQUFFLFlBQTJCO0lBQy9FLElBQUksS0FBSyxHQUFhLEVBQUUsQ0FBQztJQUN6QixJQUFJLFlBQVksS0FBSyxTQUFTO1FBQzFCLEtBQUssQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLElBQUksRUFBRSxFQUFFLFlBQVksQ0FBQyxJQUFJLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUM3RCxJQUFJLFlBQVksS0FBSyxTQUFTLElBQUksWUFBWSxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxZQUFZLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDNUYsS0FBSyxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUNwQyxJQUFJLEtBQUssQ0FBQyxNQUFNLEtBQUssQ0FBQztRQUNsQixLQUFLLElBQUksSUFBSSxHQUFHLE1BQU0sRUFBRSxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsRUFBRSxJQUFJLElBQUksSUFBSSxFQUFFLElBQUksRUFBRTtZQUNyRCxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ3pCLE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7QUFFRCwwRkFBMEY7QUFDMUYsaUdBQWlHO0FBQ2pHLGdHQUFnRztBQUNoRyw2RkFBNkY7QUFDN0YsOEZBQThGO0FBQzlGLGtHQUFrRztBQUNsRyxnR0FBZ0c7QUFDaEcsMEJBQTBCO0FBRTFCLFNBQVMseUJBQXlCLENBQUMsaUJBQXlCLEVBQUUsWUFBMkIsRUFBRSxZQUEyQjtJQUNsSCxJQUFJLGNBQWMsR0FBRyxpQkFBaUIsQ0FBQyxZQUFZLEVBQUUsWUFBWSxDQUFDLENBQUM7SUFDbkUsSUFBSSxhQUFhLEdBQUcsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3RDLElBQUksWUFBWSxHQUFHLENBQUMsSUFBWSxFQUFFLEVBQUUsR0FBRyxJQUFJLEtBQUssR0FBRyw0QkFBNEIsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxPQUFPLEtBQUssS0FBSyxJQUFJLElBQUksTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxJQUFJLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxNQUFNLEVBQUUsQ0FBQyxJQUFJLEVBQUUsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDcE4sSUFBSSxZQUFZLENBQUMsaUJBQWlCLENBQUM7UUFDL0IsT0FBTyxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsaUJBQWlCLEVBQUUsaUJBQWlCLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxDQUFDO0lBRXJGLHFGQUFxRjtJQUVyRixJQUFJLGdCQUFnQixHQUFHLGlCQUFpQixDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEVBQUU7UUFDL0QsSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQztZQUN2QixPQUFPLENBQUUsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLEVBQUUsQ0FBRSxDQUFDO2FBQ3ZDLElBQUksU0FBUyxLQUFLLEdBQUc7WUFDdEIsT0FBTyxDQUFFLEVBQUUsSUFBSSxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsQ0FBQyxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxDQUFDLEVBQUUsQ0FBRSxDQUFDLENBQUUsK0RBQStEO2FBQzFILElBQUksa0JBQWtCLENBQUMsU0FBUyxDQUFDLEtBQUssU0FBUztZQUNoRCxPQUFPLENBQUUsRUFBRSxJQUFJLEVBQUUsa0JBQWtCLENBQUMsU0FBUyxDQUFDLEVBQUUsSUFBSSxFQUFFLENBQUMsRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsQ0FBQyxFQUFFLENBQUUsQ0FBQzthQUNuRixJQUFJLFlBQVksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDO1lBQ2pDLE9BQU8sQ0FBRSxFQUFFLElBQUksRUFBRSxHQUFHLEVBQUUsSUFBSSxFQUFFLENBQUMsRUFBRSxDQUFFLENBQUM7O1lBRWxDLE9BQU8sQ0FBRSxFQUFFLElBQUksRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLENBQUMsRUFBRSxDQUFFLENBQUMsQ0FBRSw2QkFBNkI7SUFDeEUsQ0FBQyxDQUFDLENBQUM7SUFDSCxJQUFJLGdCQUFnQixDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxHQUFHLEVBQUUsRUFBRyw0Q0FBNEM7UUFDakgsT0FBTyxFQUFFLE1BQU0sRUFBRSxZQUFZLEVBQUUsaUJBQWlCLEVBQUUsaUJBQWlCLEVBQUUsVUFBVSxFQUFFLEVBQUUsRUFBRSxDQUFDO0lBRTFGLElBQUksUUFBUSxHQUFHLENBQUUsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxDQUFDLEVBQUUsQ0FBRSxDQUFDO0lBQ3pDLEtBQUssSUFBSSxPQUFPLElBQUksZ0JBQWdCLEVBQUU7UUFDbEMsSUFBSSxZQUFZLEdBQUcsRUFBRSxDQUFDO1FBQ3RCLEtBQUssSUFBSSxPQUFPLElBQUksUUFBUTtZQUN4QixLQUFLLElBQUksTUFBTSxJQUFJLE9BQU87Z0JBQ3RCLFlBQVksQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsT0FBTyxDQUFDLElBQUksR0FBRyxNQUFNLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxPQUFPLENBQUMsSUFBSSxHQUFHLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQ2xHLFFBQVEsR0FBRyxZQUFZLENBQUM7S0FDM0I7SUFFRCwyRkFBMkY7SUFDM0Ysa0VBQWtFO0lBRWxFLElBQUksVUFBVSxHQUFrRCxFQUFFLENBQUM7SUFDbkUsSUFBSSxZQUFZLEdBQUcsQ0FBQyxJQUFZLEVBQUUsSUFBWSxFQUFFLEVBQUU7UUFDOUMsSUFBSSxpQkFBaUIsR0FBRyxVQUFVLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLGlCQUFpQixLQUFLLElBQUksQ0FBQyxDQUFDO1FBQzNGLElBQUksaUJBQWlCLEtBQUssU0FBUztZQUMvQixVQUFVLENBQUMsSUFBSSxDQUFDLEVBQUUsaUJBQWlCLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDOztZQUV6RCxpQkFBaUIsQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUM7SUFDeEUsQ0FBQyxDQUFDO0lBQ0YsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLEVBQUU7UUFDMUIsSUFBSSxJQUFJLEdBQUcsT0FBTyxDQUFDLElBQUksQ0FBQztRQUN4QixJQUFJLElBQUksR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDO1FBQ3hCLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxJQUFJLGNBQWMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDbEQsSUFBSSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLEdBQUcsR0FBRyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztZQUNsRixJQUFJLEVBQUUsQ0FBQztTQUNWO1FBRUQsSUFBSSxLQUFLLEdBQUcsNEJBQTRCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3BELElBQUksS0FBSyxLQUFLLElBQUksSUFBSSxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQztZQUN4QyxTQUFTO1FBQ2IsSUFBSSxjQUFjLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN6QyxZQUFZLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDO2FBQ3hCO1lBQ0QsSUFBSSxZQUFZLENBQUMsSUFBSSxDQUFDO2dCQUNsQixZQUFZLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUUsZ0RBQWdEO1lBQy9FLEtBQUssSUFBSSxJQUFJLElBQUksY0FBYyxFQUFFO2dCQUM3QixJQUFJLGVBQWUsR0FBRyxJQUFJLENBQUMsUUFBUSxFQUFFLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssS0FBSyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO2dCQUNsSCxJQUFJLGVBQWUsS0FBSyxDQUFDO29CQUNyQixZQUFZLENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxFQUFFLEVBQUUsSUFBSSxHQUFHLENBQUMsQ0FBQyxDQUFDO2FBQ3JEO1NBQ0o7S0FDSjtJQUVELDZGQUE2RjtJQUU3RixJQUFJLGVBQWUsR0FBRyxDQUFDLFNBQXNELEVBQUUsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxpQkFBaUIsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxhQUFhLENBQUMsQ0FBQztJQUM5SixVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGVBQWUsQ0FBQyxDQUFDLENBQUMsS0FBSyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLEdBQUcsZUFBZSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGlCQUFpQixHQUFHLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsR0FBRyxDQUFDLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN4USxVQUFVLEdBQUcsVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFFcEMsa0ZBQWtGO0lBRWxGLElBQUksVUFBVSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7UUFDeEgsT0FBTyxFQUFFLE1BQU0sRUFBRSxXQUFXLEVBQUUsaUJBQWlCLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLGlCQUFpQixFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsQ0FBQztJQUMvRyxPQUFPLEVBQUUsTUFBTSxFQUFFLFlBQVksRUFBRSxpQkFBaUIsRUFBRSxpQkFBaUIsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLENBQUM7QUFDbEcsQ0FBQztBQUVELGdHQUFnRztBQUNoRyxvRUFBb0U7QUFFcEUsU0FBUyxpQkFBaUIsQ0FBQyxLQUFhLEVBQUUsS0FBYTtJQUNuRCxJQUFJLFNBQVMsR0FBRyxDQUFDLElBQVksRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLElBQUksRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsT0FBTyxDQUFDLFlBQVksRUFBRSxFQUFFLENBQUMsQ0FBQztJQUN2RixJQUFJLENBQUMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDekIsSUFBSSxDQUFDLEdBQUcsU0FBUyxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3pCLElBQUksQ0FBQyxDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQ2hDLE9BQU8sQ0FBQyxDQUFDO0lBRWIsSUFBSSxXQUFXLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFLE1BQU0sRUFBRSxDQUFDLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxFQUFFLENBQUMsS0FBSyxFQUFFLEtBQUssRUFBRSxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDaEYsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7UUFDaEMsSUFBSSxVQUFVLEdBQUcsQ0FBRSxDQUFDLENBQUUsQ0FBQztRQUN2QixLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLE1BQU0sRUFBRSxDQUFDLEVBQUU7WUFDOUIsVUFBVSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsVUFBVSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsV0FBVyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDL0ksV0FBVyxHQUFHLFVBQVUsQ0FBQztLQUM1QjtJQUNELE9BQU8sQ0FBQyxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQztBQUNwRSxDQUFDO0FBRUQsNkZBQTZGO0FBQzdGLCtGQUErRjtBQUMvRixxRUFBcUU7QUFFckUsU0FBUyx3QkFBd0IsQ0FBQyxZQUE0RSxFQUFFLFlBQTRFO0lBQ3hMLElBQUksU0FBUyxHQUFHLENBQUMsS0FBYSxFQUFFLEVBQUUsQ0FBQyxLQUFLLEtBQUssU0FBUyxJQUFJLEtBQUssS0FBSyxJQUFJLElBQUksS0FBSyxLQUFLLEVBQUUsQ0FBQztJQUN6RixJQUFJLFdBQVcsR0FBRztRQUNkLEVBQUUsTUFBTSxFQUFFLEdBQUcsRUFBRSxNQUFNLEVBQUUsWUFBWSxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsWUFBWSxDQUFDLE9BQU8sRUFBRSxhQUFhLEVBQUUsaUJBQWlCLEVBQUU7UUFDN0csRUFBRSxNQUFNLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsWUFBWSxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsWUFBWSxFQUFFLGFBQWEsRUFBRSxDQUFDLE1BQU0sRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLENBQUMsTUFBTSxLQUFLLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTtRQUNySixFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsTUFBTSxFQUFFLFlBQVksQ0FBQyxXQUFXLEVBQUUsTUFBTSxFQUFFLFlBQVksQ0FBQyxXQUFXLEVBQUUsYUFBYSxFQUFFLGlCQUFpQixFQUFFO0tBQ3hILENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsSUFBSSxTQUFTLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDckYsSUFBSSxXQUFXLEdBQUcsV0FBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxVQUFVLEVBQUUsRUFBRSxDQUFDLEtBQUssR0FBRyxVQUFVLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQzFGLElBQUksV0FBVyxLQUFLLENBQUM7UUFDakIsT0FBTyxTQUFTLENBQUM7SUFDckIsT0FBTyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLFVBQVUsRUFBRSxFQUFFLENBQUMsS0FBSyxHQUFHLFVBQVUsQ0FBQyxNQUFNLEdBQUcsVUFBVSxDQUFDLGFBQWEsQ0FBQyxVQUFVLENBQUMsTUFBTSxFQUFFLFVBQVUsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxXQUFXLENBQUM7QUFDbEssQ0FBQztBQUVELDZGQUE2RjtBQUM3Riw4RkFBOEY7QUFDOUYsZ0JBQWdCO0FBRWhCLE1BQU0scUJBQXFCLEdBQUcsRUFBRSxHQUFHLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLE1BQU0sRUFBRSxHQUFHLEVBQUUsS0FBSyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsR0FBRyxFQUFFLE9BQU8sRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLENBQUM7QUFFekosNkZBQTZGO0FBQzdGLDJGQUEyRjtBQUUzRixTQUFTLGtDQUFrQyxDQUFDLGlCQUF5QjtJQUNqRSxJQUFJLEtBQUssR0FBRyx3QkFBd0IsQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUM3RCxJQUFJLEtBQUssS0FBSyxJQUFJO1FBQ2QsT0FBTyxFQUFFLENBQUM7SUFFZCxJQUFJLCtCQUErQixHQUFhLEVBQUUsQ0FBQztJQUNuRCxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUU7UUFDaEQsS0FBSyxJQUFJLEtBQUssSUFBSSxDQUFDLHFCQUFxQixDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsRUFBRTtZQUNyRSxJQUFJLGNBQWMsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLEdBQUcsS0FBSyxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDbEcsSUFBSSw4QkFBOEIsR0FBRyxHQUFHLGNBQWMsSUFBSSxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztZQUNyRSxJQUFJLGNBQWMsS0FBSyxDQUFDLElBQUksOEJBQThCLEtBQUssaUJBQWlCLElBQUksQ0FBQywrQkFBK0IsQ0FBQyxRQUFRLENBQUMsOEJBQThCLENBQUM7Z0JBQ3pKLCtCQUErQixDQUFDLElBQUksQ0FBQyw4QkFBOEIsQ0FBQyxDQUFDO1NBQzVFO0lBQ0wsT0FBTywrQkFBK0IsQ0FBQztBQUMzQyxDQUFDO0FBRUQseUZBQXlGO0FBQ3pGLGdHQUFnRztBQUNoRyxnR0FBZ0c7QUFDaEcsZ0dBQWdHO0FBRWhHLFNBQVMsK0JBQStCLENBQUMsaUJBQXlCLEVBQUUsc0JBQW1DLEVBQUUsMkJBQXFDO0lBQzFJLElBQUksS0FBSyxHQUFHLHdCQUF3QixDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO0lBQzdELElBQUksS0FBSyxLQUFLLElBQUk7UUFDZCxPQUFPLFNBQVMsQ0FBQztJQUVyQixJQUFJLGVBQWUsR0FBRywyQkFBMkI7U0FDNUMsR0FBRyxDQUFDLDBCQUEwQixDQUFDLEVBQUUsQ0FBQyx3QkFBd0IsQ0FBQyxJQUFJLENBQUMsMEJBQTBCLENBQUMsQ0FBQztTQUM1RixNQUFNLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxjQUFjLEtBQUssSUFBSSxJQUFJLGNBQWMsQ0FBQyxDQUFDLENBQUMsS0FBSyxLQUFLLENBQUMsQ0FBQyxDQUFDLElBQUksY0FBYyxDQUFDLENBQUMsQ0FBQyxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUNySCxHQUFHLENBQUMsY0FBYyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN0RCxJQUFJLGVBQWUsQ0FBQyxNQUFNLEtBQUssQ0FBQztRQUM1QixPQUFPLFNBQVMsQ0FBQztJQUVyQixJQUFJLFVBQVUsR0FBc0QsRUFBRSxDQUFDO0lBQ3ZFLEtBQUssSUFBSSxTQUFTLElBQUksa0NBQWtDLENBQUMsaUJBQWlCLENBQUMsRUFBRTtRQUN6RSxJQUFJLHNCQUFzQixDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUM7WUFDckMsU0FBUztRQUNiLElBQUksY0FBYyxHQUFHLE1BQU0sQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDckQsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLE1BQU0sR0FBRyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDN0YsSUFBSSxRQUFRLElBQUksRUFBRTtZQUNkLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxpQkFBaUIsRUFBRSxTQUFTLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxDQUFDLENBQUM7S0FDN0U7SUFFRCxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDbkQsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNLElBQUksQ0FBQyxJQUFJLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLEtBQUssVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztRQUN4RyxPQUFPLFNBQVMsQ0FBQztJQUNyQixPQUFPLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQztBQUMzQyxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLCtGQUErRjtBQUMvRiw4RkFBOEY7QUFDOUYsdUZBQXVGO0FBQ3ZGLGtHQUFrRztBQUNsRyxnR0FBZ0c7QUFDaEcsd0VBQXdFO0FBRXhFLFNBQVMsb0JBQW9CLENBQUMsc0JBQXNCLEVBQUUsZ0JBQWdGLEVBQUUsc0JBQW1DLEVBQUUsMkJBQXFDO0lBQzlNLElBQUksVUFBVSxHQUFHLHdCQUF3QixDQUFDLHNCQUFzQixFQUFFLGdCQUFnQixDQUFDLENBQUM7SUFDcEYsSUFBSSxVQUFVLEtBQUssU0FBUztRQUN4QixPQUFPLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRSxpQkFBaUIsRUFBRSxzQkFBc0IsQ0FBQyxpQkFBaUIsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLENBQUM7SUFDekgsSUFBSSxVQUFVLElBQUksYUFBYSxDQUFDLGlDQUFpQztRQUM3RCxPQUFPLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxpQkFBaUIsRUFBRSxzQkFBc0IsQ0FBQyxpQkFBaUIsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLENBQUM7SUFFdkgsSUFBSSw0QkFBNEIsR0FBRywrQkFBK0IsQ0FBQyxzQkFBc0IsQ0FBQyxpQkFBaUIsRUFBRSxzQkFBc0IsRUFBRSwyQkFBMkIsQ0FBQyxDQUFDO0lBQ2xLLElBQUksNEJBQTRCLEtBQUssU0FBUztRQUMxQyxPQUFPLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRSxpQkFBaUIsRUFBRSxzQkFBc0IsQ0FBQyxpQkFBaUIsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLENBQUM7SUFDekgsT0FBTyxFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUUsaUJBQWlCLEVBQUUsNEJBQTRCLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxDQUFDO0FBQy9HLENBQUM7QUFFRCwyRkFBMkY7QUFDM0YsK0ZBQStGO0FBRS9GLFNBQVMsaUJBQWlCLENBQUMsa0JBQWtCLEVBQUUsb0JBQW9CO0lBQy9ELEtBQUssSUFBSSxTQUFTLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxvQkFBb0IsQ0FBQztRQUNuRCxJQUFJLGtCQUFrQixDQUFDLFNBQVMsQ0FBQyxLQUFLLFNBQVMsSUFBSSxrQkFBa0IsQ0FBQyxTQUFTLENBQUMsS0FBSyxJQUFJLElBQUksa0JBQWtCLENBQUMsU0FBUyxDQUFDLEtBQUssRUFBRTtZQUM3SCxrQkFBa0IsQ0FBQyxTQUFTLENBQUMsR0FBRyxvQkFBb0IsQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUN4RSxPQUFPLGtCQUFrQixDQUFDO0FBQzlCLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsK0ZBQStGO0FBQy9GLCtDQUErQztBQUUvQyxTQUFTLHdCQUF3QixDQUFDLFFBQW1CLEVBQUUsWUFBcUIsRUFBRSxjQUFzQixFQUFFLGdCQUFvRixFQUFFLGFBQXVFO0lBQy9QLElBQUksWUFBWSxHQUFHLENBQUMsVUFBa0IsRUFBRSxjQUF5QixFQUFFLEVBQUU7UUFDakUsSUFBSSxhQUFhLEtBQUssU0FBUztZQUMzQixhQUFhLENBQUMsVUFBVSxFQUFFLGNBQWMsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQztJQUMzRixDQUFDLENBQUM7SUFFRiw0RkFBNEY7SUFDNUYsNkJBQTZCO0lBRTdCLG9GQUFvRjtJQUVwRixJQUFJLHVCQUF1QixHQUFZLFNBQVMsQ0FBQztJQUNqRCxLQUFLLElBQUksS0FBSyxJQUFJLG9CQUFvQixDQUFDLGdCQUFnQjtRQUNuRCxJQUFJLHVCQUF1QixLQUFLLFNBQVM7WUFDckMsdUJBQXVCLEdBQUcsV0FBVyxDQUFDLFFBQVEsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLG9CQUFvQixDQUFDLHdCQUF3QixDQUFDLENBQUM7SUFDckgsSUFBSSx1QkFBdUIsS0FBSyxTQUFTLEVBQUU7UUFDdkMsSUFBSSxjQUFjLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksT0FBTyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzNFLE9BQU8sQ0FBQyxHQUFHLENBQUMsc0JBQXNCLFlBQVksQ0FBQyxvQkFBb0IsQ0FBQyxnQkFBZ0IsQ0FBQywySEFBMkgsY0FBYyxFQUFFLENBQUMsQ0FBQztRQUNsTyxJQUFJLGdCQUFnQixLQUFLLFNBQVM7WUFDOUIsZ0JBQWdCLENBQUMsNkJBQTZCLEVBQUUsRUFBRSxpQkFBaUIsRUFBRSx3QkFBd0IsQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUN4SSxPQUFPLFNBQVMsQ0FBQztLQUNwQjtJQUVELHdEQUF3RDtJQUV4RCxJQUFJLGdCQUFnQixHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FDM0MsT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQztRQUMxQixPQUFPLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxvQkFBb0IsQ0FBQyxjQUFjLEVBQUUsb0JBQW9CLENBQUMsQ0FBQyxDQUFDO0lBRXRGLHNEQUFzRDtJQUV0RCxJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQ3pDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUM7UUFDMUIsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsb0JBQW9CLENBQUMsWUFBWSxFQUFFLG9CQUFvQixDQUFDLENBQUMsQ0FBQztJQUVwRiwwRkFBMEY7SUFDMUYsMEZBQTBGO0lBQzFGLGtDQUFrQztJQUVsQyxJQUFJLGFBQWEsR0FBRyxDQUFDLGdCQUFnQixLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLGdCQUFnQixDQUFDO0lBQ3pGLElBQUksYUFBYSxLQUFLLFNBQVMsRUFBRTtRQUM3QixJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDM0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsWUFBWSxDQUFDLENBQUUsb0JBQW9CLENBQUMsY0FBYyxFQUFFLG9CQUFvQixDQUFDLFlBQVksQ0FBRSxDQUFDLDJIQUEySCxjQUFjLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZRLElBQUksZ0JBQWdCLEtBQUssU0FBUztZQUM5QixnQkFBZ0IsQ0FBQyxnQ0FBZ0MsRUFBRSxFQUFFLGlCQUFpQixFQUFFLHdCQUF3QixDQUFDLFFBQVEsRUFBRSxZQUFZLEVBQUUsU0FBUyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzNJLE9BQU8sU0FBUyxDQUFDO0tBQ3BCO0lBQ0QsWUFBWSxDQUFDLFFBQVEsRUFBRSxDQUFFLGFBQWEsQ0FBRSxDQUFDLENBQUM7SUFFMUMsNEVBQTRFO0lBRTVFLElBQUkseUJBQXlCLEdBQUcsbUJBQW1CLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxhQUFhLENBQUMsQ0FBQztJQUMzRixZQUFZLENBQUMsbUJBQW1CLEVBQUUseUJBQXlCLENBQUMsQ0FBQztJQUM3RCxJQUFJLG9CQUFvQixHQUFHLGVBQWUsQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLGFBQWEsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFDNUcsSUFBSSxpQkFBaUIsR0FBRyx3QkFBd0IsQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLGFBQWEsQ0FBQyxDQUFDO0lBRXhGLElBQUksaUJBQWlCLEtBQUssRUFBRSxFQUFFO1FBQzFCLElBQUksY0FBYyxHQUFHLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUMzRSxPQUFPLENBQUMsR0FBRyxDQUFDLDJKQUEySixjQUFjLEVBQUUsQ0FBQyxDQUFDO1FBQ3pMLElBQUksZ0JBQWdCLEtBQUssU0FBUztZQUM5QixnQkFBZ0IsQ0FBQyw4QkFBOEIsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUN6RCxPQUFPLFNBQVMsQ0FBQztLQUNwQjtJQUVELE9BQU8sQ0FBQyxHQUFHLENBQUMsZUFBZSxpQkFBaUIsS0FBSyxDQUFDLENBQUM7SUFFbkQseUJBQXlCO0lBRXpCLElBQUksWUFBWSxHQUFrQixTQUFTLENBQUM7SUFDNUMsSUFBSSxtQkFBbUIsR0FBRyxzQkFBc0IsQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLGFBQWEsQ0FBQyxDQUFDO0lBQ3hGLElBQUksbUJBQW1CLEtBQUssU0FBUztRQUNqQyxZQUFZLEdBQUcsTUFBTSxDQUFDLG1CQUFtQixDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsRUFBRSxvQkFBb0IsQ0FBQyxVQUFVLEVBQUUsSUFBSSxDQUFDLENBQUM7SUFDbEcsWUFBWSxDQUFDLGNBQWMsRUFBRSxDQUFFLG1CQUFtQixDQUFFLENBQUMsQ0FBQztJQUV0RCw0RkFBNEY7SUFDNUYsMEZBQTBGO0lBQzFGLDBGQUEwRjtJQUMxRix1Q0FBdUM7SUFFdkMsSUFBSSxVQUFVLEdBQUcseUJBQXlCLENBQUMsaUJBQWlCLEVBQUUsZUFBZSxDQUFDLGNBQWMsQ0FBQyxFQUFFLFlBQVksQ0FBQyxDQUFDO0lBQzdHLElBQUksVUFBVSxDQUFDLE1BQU0sS0FBSyxZQUFZLEVBQUU7UUFDcEMsSUFBSSxnQkFBZ0IsR0FBRyxVQUFVLENBQUMsVUFBVSxDQUFDLEdBQUcsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN0RyxPQUFPLENBQUMsR0FBRyxDQUFDLHNCQUFzQixpQkFBaUIsMkVBQTJFLENBQUMsZ0JBQWdCLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsZ0JBQWdCLEdBQUcsZ0JBQWdCLEdBQUcsR0FBRyxHQUFHLENBQUMsQ0FBQztRQUM3TSxJQUFJLGdCQUFnQixLQUFLLFNBQVM7WUFDOUIsZ0JBQWdCLENBQUMsNEJBQTRCLEVBQUUsRUFBRSxpQkFBaUIsRUFBRSxpQkFBaUIsRUFBRSxVQUFVLEVBQUUsZ0JBQWdCLEVBQUUsQ0FBQyxDQUFDO1FBQzNILE9BQU8sU0FBUyxDQUFDO0tBQ3BCO1NBQU0sSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLFdBQVcsRUFBRTtRQUMxQyxPQUFPLENBQUMsR0FBRyxDQUFDLHNDQUFzQyxpQkFBaUIsV0FBVyxVQUFVLENBQUMsaUJBQWlCLEtBQUssQ0FBQyxDQUFDO1FBQ2pILGlCQUFpQixHQUFHLFVBQVUsQ0FBQyxpQkFBaUIsQ0FBQztLQUNwRDtJQUVELGdGQUFnRjtJQUVoRixJQUFJLFlBQVksR0FBa0IsU0FBUyxDQUFDO0lBQzVDLElBQUksbUJBQW1CLEdBQUcsc0JBQXNCLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxhQUFhLEVBQUUsbUJBQW1CLENBQUMsQ0FBQztJQUM3RyxJQUFJLG1CQUFtQixLQUFLLFNBQVM7UUFDakMsWUFBWSxHQUFHLE1BQU0sQ0FBQyxtQkFBbUIsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEVBQUUsb0JBQW9CLENBQUMsVUFBVSxFQUFFLElBQUksQ0FBQyxDQUFDO0lBQ2xHLElBQUksUUFBUSxHQUFHLFdBQVcsQ0FBQyxRQUFRLEVBQUUsbUJBQW1CLEVBQUUsbUJBQW1CLENBQUMsQ0FBQztJQUMvRSxZQUFZLENBQUMsY0FBYyxFQUFFLENBQUUsbUJBQW1CLENBQUUsQ0FBQyxDQUFDO0lBRXRELHVCQUF1QjtJQUV2QixJQUFJLFdBQVcsR0FBRyxjQUFjLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxhQUFhLEVBQUUsbUJBQW1CLENBQUMsQ0FBQztJQUM3RixZQUFZLENBQUMsYUFBYSxFQUFFLHNCQUFzQixDQUFDLFFBQVEsRUFBRSxZQUFZLEVBQUUsYUFBYSxFQUFFLG1CQUFtQixDQUFDLENBQUMsQ0FBQztJQUVoSCxtQkFBbUI7SUFFbkIsSUFBSSxFQUFFLE9BQU8sRUFBRSxnQkFBZ0IsRUFBRSxpQkFBaUIsRUFBRSxlQUFlLEVBQUUsd0JBQXdCLEVBQUUsR0FBRyxVQUFVLENBQUMsUUFBUSxFQUFFLHVCQUF1QixFQUFFLGFBQWEsQ0FBQyxDQUFDO0lBQy9KLFlBQVksQ0FBQyxTQUFTLEVBQUUsZUFBZSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQy9DLFlBQVksQ0FBQyxrQkFBa0IsRUFBRSx3QkFBd0IsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUNqRSxJQUFJLE9BQU8sS0FBSyxTQUFTLEVBQUU7UUFDdkIsSUFBSSxjQUFjLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLElBQUksT0FBTyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzNFLE9BQU8sQ0FBQyxHQUFHLENBQUMsc0JBQXNCLGlCQUFpQiw2RkFBNkYsdUJBQXVCLENBQUMsSUFBSSx3QkFBd0IsY0FBYyxFQUFFLENBQUMsQ0FBQztRQUN0TixJQUFJLGdCQUFnQixLQUFLLFNBQVM7WUFDOUIsZ0JBQWdCLENBQUMsbUJBQW1CLEVBQUUsRUFBRSxpQkFBaUIsRUFBRSxpQkFBaUIsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLFlBQVksRUFBRSxDQUFDLFlBQVksS0FBSyxTQUFTLElBQUksWUFBWSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDN04sT0FBTyxTQUFTLENBQUM7S0FDcEI7SUFFRCw0RkFBNEY7SUFFNUYsSUFBSSxTQUFTLEdBQUcsZUFBZSxDQUFDLGFBQWEsQ0FBQyxRQUFRLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQyxDQUFDO0lBQzNFLElBQUksT0FBTyxHQUFHLGVBQWUsQ0FBQyxhQUFhLENBQUMsUUFBUSxFQUFFLGNBQWMsQ0FBQyxDQUFDLENBQUM7SUFFdkUsd0RBQXdEO0lBRXhELElBQUksRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLEdBQUcsY0FBYyxDQUFDLFFBQVEsRUFBRSxhQUFhLENBQUMsQ0FBQztJQUU3RSwyRkFBMkY7SUFDM0YsNkRBQTZEO0lBRTdELElBQUksV0FBVyxHQUFHO1FBQ2QsaUJBQWlCLEVBQUUsa0JBQWtCLENBQUMseUJBQXlCLEVBQUUsQ0FBQyxVQUFVLENBQUMsTUFBTSxLQUFLLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsS0FBSyxvQkFBb0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3hLLE9BQU8sRUFBRSxrQkFBa0IsQ0FBQyxlQUFlLEVBQUUsMEJBQTBCLENBQUMsaUJBQWlCLENBQUMsQ0FBQztRQUMzRixXQUFXLEVBQUUsa0JBQWtCLENBQUMsc0JBQXNCLENBQUMsUUFBUSxFQUFFLFlBQVksRUFBRSxhQUFhLEVBQUUsbUJBQW1CLENBQUMsRUFBRSxHQUFHLENBQUM7UUFDeEgsWUFBWSxFQUFFLGtCQUFrQixDQUFDLENBQUMsbUJBQW1CLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBRSxtQkFBbUIsQ0FBRSxFQUFFLEdBQUcsQ0FBQztRQUN6RyxnQkFBZ0IsRUFBRSxrQkFBa0IsQ0FBQyx3QkFBd0IsRUFBRSxHQUFHLENBQUM7S0FDdEUsQ0FBQztJQUVGLHlFQUF5RTtJQUV6RSxJQUFJLE9BQU8sR0FBRyxjQUFjLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUVoRCxPQUFPO1FBQ0gsaUJBQWlCLEVBQUUsaUJBQWlCO1FBQ3BDLHVCQUF1QixFQUFFLFVBQVUsQ0FBQyxNQUFNO1FBQzFDLE9BQU8sRUFBRSxPQUFPO1FBQ2hCLFdBQVcsRUFBRSxDQUFDLENBQUMsV0FBVyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyx5QkFBeUIsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDO1FBQzdFLGNBQWMsRUFBRSxjQUFjO1FBQzlCLFVBQVUsRUFBRSxVQUFVO1FBQ3RCLFVBQVUsRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDO1FBQ3pDLFlBQVksRUFBRSxDQUFDLFlBQVksS0FBSyxTQUFTLElBQUksWUFBWSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUU7UUFDN0csZ0JBQWdCLEVBQUUsZ0JBQWdCO1FBQ2xDLFlBQVksRUFBRSxDQUFDLFlBQVksS0FBSyxTQUFTLElBQUksWUFBWSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUU7UUFDN0csUUFBUSxFQUFFLFFBQVE7UUFDbEIsZUFBZSxFQUFFLGVBQWU7UUFDaEMsU0FBUyxFQUFFLFNBQVM7UUFDcEIsU0FBUyxFQUFFLFNBQVM7UUFDcEIsT0FBTyxFQUFFLE9BQU87UUFDaEIsWUFBWSxFQUFFLGlCQUFpQixDQUFDLFlBQVk7UUFDNUMsSUFBSSxFQUFFLGlCQUFpQixDQUFDLElBQUk7UUFDNUIsVUFBVSxFQUFFLGlCQUFpQixDQUFDLFVBQVU7UUFDeEMsVUFBVSxFQUFFLGlCQUFpQixDQUFDLFVBQVU7UUFDeEMsTUFBTSxFQUFFLGlCQUFpQixDQUFDLE1BQU07UUFDaEMsS0FBSyxFQUFFLGlCQUFpQixDQUFDLEtBQUs7UUFDOUIsUUFBUSxFQUFFLGlCQUFpQixDQUFDLFFBQVE7UUFDcEMsZUFBZSxFQUFFLGlCQUFpQixDQUFDLGVBQWU7UUFDbEQsV0FBVyxFQUFFLGlCQUFpQixDQUFDLFdBQVc7UUFDMUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxRQUFRO1FBQzFCLFNBQVMsRUFBRSxPQUFPLENBQUMsU0FBUztRQUM1QixnQkFBZ0IsRUFBRSxPQUFPLENBQUMsU0FBUztRQUNuQyxXQUFXLEVBQUUsV0FBVztLQUMzQixDQUFDO0FBQ04sQ0FBQztBQUVELGtHQUFrRztBQUNsRyxpR0FBaUc7QUFDakcsZ0dBQWdHO0FBQ2hHLDhGQUE4RjtBQUM5RixzRUFBc0U7QUFFdEUsU0FBUyxZQUFZLENBQUMsU0FBYztJQUNoQyxJQUFJLE1BQU0sR0FBRyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxLQUFLLEVBQUUsU0FBUyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLFNBQVMsQ0FBQyxNQUFNLENBQUMsTUFBTSxFQUFFLENBQUM7SUFFNUYsOEZBQThGO0lBQzlGLHdEQUF3RDtJQUV4RCxJQUFJLFNBQVMsQ0FBQyxNQUFNLENBQUMsS0FBSyxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsTUFBTSxHQUFHLEdBQUcsR0FBRyxHQUFHO1FBQzVELE9BQU8sQ0FBRSxNQUFNLENBQUUsQ0FBQztJQUV0QiwwQ0FBMEM7SUFFMUMsSUFBSSxVQUFVLEdBQWdCLEVBQUUsQ0FBQztJQUNqQyxJQUFJLG9CQUFvQixHQUFnQixFQUFFLENBQUM7SUFDM0MsSUFBSSxrQkFBa0IsR0FBRyxzQkFBc0IsQ0FBQyxTQUFTLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDbkUsS0FBSyxJQUFJLGlCQUFpQixJQUFJLGtCQUFrQjtRQUM1QyxvQkFBb0IsR0FBRyxvQkFBb0IsQ0FBQyxNQUFNLENBQUMsd0JBQXdCLENBQUMsU0FBUyxFQUFFLGlCQUFpQixDQUFDLENBQUMsQ0FBQztJQUMvRyxLQUFLLElBQUksbUJBQW1CLElBQUksb0JBQW9CO1FBQ2hELFVBQVUsR0FBRyxVQUFVLENBQUMsTUFBTSxDQUFDLHNCQUFzQixDQUFDLFNBQVMsRUFBRSxtQkFBbUIsQ0FBQyxDQUFDLENBQUMsQ0FBRSwyR0FBMkc7SUFFeE0sT0FBTyxVQUFVLENBQUM7QUFDdEIsQ0FBQztBQUVELCtGQUErRjtBQUUvRixTQUFTLGVBQWUsQ0FBQyxTQUFjLEVBQUUsU0FBb0I7SUFDekQsSUFBSSxnQkFBZ0IsR0FBUyxJQUFLLElBQVksQ0FBQyxTQUFTLENBQUMsS0FBSyxFQUFFLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUNsRixnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxLQUFLLEVBQUUsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ3BHLE9BQU8sZ0JBQWdCLENBQUM7QUFDNUIsQ0FBQztBQUVELHdGQUF3RjtBQUN4RiwyREFBMkQ7QUFFM0QsU0FBUyxzQkFBc0IsQ0FBQyxTQUFjLEVBQUUsTUFBaUI7SUFDN0QsSUFBSSxXQUFXLEdBQUcsRUFBRSxDQUFDO0lBRXJCLElBQUksbUJBQW1CLEdBQUcsS0FBSyxDQUFDO0lBQ2hDLEtBQUssSUFBSSxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsRUFBRSxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQ3RELHVFQUF1RTtRQUV2RSxJQUFJLFVBQVUsR0FBRyxDQUFDLENBQUM7UUFDbkIsS0FBSyxJQUFJLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxFQUFFLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDckQsSUFBSSxLQUFLLEdBQUcsU0FBUyxDQUFDLGFBQWEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDMUMsSUFBSSxLQUFLLEtBQUssVUFBVSxFQUFHLHNFQUFzRTtnQkFDN0YsVUFBVSxFQUFFLENBQUM7aUJBQ1o7Z0JBQ0QsSUFBSSxLQUFLLEdBQUksSUFBWSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDM0MsSUFBSSxLQUFLLENBQUMsQ0FBQyxHQUFHLEdBQUcsSUFBSSxLQUFLLENBQUMsQ0FBQyxHQUFHLEdBQUcsSUFBSSxLQUFLLENBQUMsQ0FBQyxHQUFHLEdBQUcsRUFBRywwQkFBMEI7b0JBQzVFLFVBQVUsRUFBRSxDQUFDO2FBQ3BCO1NBQ0o7UUFFRCx5RUFBeUU7UUFFekUsSUFBSSxXQUFXLEdBQUcsQ0FBQyxVQUFVLElBQUksTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFFLG1DQUFtQztRQUV4RixJQUFJLFdBQVcsRUFBRTtZQUNiLElBQUksbUJBQW1CO2dCQUNuQixXQUFXLENBQUMsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFFLGtEQUFrRDs7Z0JBRWpHLFdBQVcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLE1BQU0sRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUUsb0JBQW9CO1NBQ25FO1FBRUQsbUJBQW1CLEdBQUcsV0FBVyxDQUFDO0tBQ3JDO0lBRUQsK0ZBQStGO0lBRS9GLFdBQVcsR0FBRyxXQUFXLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLE1BQU0sSUFBSSxFQUFFLENBQUMsQ0FBQztJQUV4RSw2RUFBNkU7SUFFN0UsSUFBSSxVQUFVLEdBQUcsRUFBRSxDQUFDO0lBQ3BCLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssSUFBSSxXQUFXLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3RELElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLFdBQVcsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDOUYsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDLEtBQUssS0FBSyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDdEcsSUFBSSxNQUFNLEdBQUcsQ0FBQztZQUNWLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxNQUFNLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO0tBQ25GO0lBRUQsT0FBTyxVQUFVLENBQUM7QUFDdEIsQ0FBQztBQUVELDBGQUEwRjtBQUMxRix5REFBeUQ7QUFFekQsU0FBUyx3QkFBd0IsQ0FBQyxTQUFjLEVBQUUsTUFBaUI7SUFDL0QsSUFBSSxXQUFXLEdBQUcsRUFBRSxDQUFDO0lBRXJCLElBQUksbUJBQW1CLEdBQUcsS0FBSyxDQUFDO0lBQ2hDLEtBQUssSUFBSSxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsRUFBRSxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQ3JELHFFQUFxRTtRQUVyRSxJQUFJLFVBQVUsR0FBRyxDQUFDLENBQUM7UUFDbkIsS0FBSyxJQUFJLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxFQUFFLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDdEQsSUFBSSxLQUFLLEdBQUcsU0FBUyxDQUFDLGFBQWEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDMUMsSUFBSSxLQUFLLEtBQUssVUFBVSxFQUFHLHNFQUFzRTtnQkFDN0YsVUFBVSxFQUFFLENBQUM7aUJBQ1o7Z0JBQ0QsSUFBSSxLQUFLLEdBQUksSUFBWSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDM0MsSUFBSSxLQUFLLENBQUMsQ0FBQyxHQUFHLEdBQUcsSUFBSSxLQUFLLENBQUMsQ0FBQyxHQUFHLEdBQUcsSUFBSSxLQUFLLENBQUMsQ0FBQyxHQUFHLEdBQUcsRUFBRywwQkFBMEI7b0JBQzVFLFVBQVUsRUFBRSxDQUFDO2FBQ3BCO1NBQ0o7UUFFRCx5RUFBeUU7UUFFekUsSUFBSSxXQUFXLEdBQUcsQ0FBQyxVQUFVLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFFLG1DQUFtQztRQUV6RixJQUFJLFdBQVcsRUFBRTtZQUNiLElBQUksbUJBQW1CO2dCQUNuQixXQUFXLENBQUMsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFFLGtEQUFrRDs7Z0JBRWhHLFdBQVcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUUsb0JBQW9CO1NBQ2xFO1FBRUQsbUJBQW1CLEdBQUcsV0FBVyxDQUFDO0tBQ3JDO0lBRUQsK0ZBQStGO0lBRS9GLFdBQVcsR0FBRyxXQUFXLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLEtBQUssSUFBSSxFQUFFLENBQUMsQ0FBQztJQUV2RSwyRkFBMkY7SUFFM0YsSUFBSSxVQUFVLEdBQUcsRUFBRSxDQUFDO0lBQ3BCLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssSUFBSSxXQUFXLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3RELElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLFdBQVcsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDN0YsSUFBSSxLQUFLLEdBQUcsQ0FBQyxDQUFDLEtBQUssS0FBSyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDcEcsSUFBSSxLQUFLLEdBQUcsQ0FBQztZQUNULFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDO0tBQ25GO0lBRUQsT0FBTyxVQUFVLENBQUM7QUFDdEIsQ0FBQztBQUVELG9EQUFvRDtBQUVwRCxTQUFTLGNBQWMsQ0FBQyxRQUFtQixFQUFFLFlBQXFCO0lBQzlELElBQUksUUFBUSxHQUFHLENBQUMsWUFBWSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDO0lBRWhGLDBEQUEwRDtJQUUxRCxJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQ3hDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsUUFBUTtRQUNwQixVQUFVLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxDQUFFLG9CQUFvQixDQUFDLFlBQVksQ0FBRSxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsb0JBQW9CLENBQUMscUJBQXFCLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLEtBQUssSUFBSSxDQUNqUCxDQUFDO0lBRUYsNENBQTRDO0lBRTVDLElBQUksY0FBYyxLQUFLLFNBQVMsRUFBRTtRQUM5QixJQUFJLG1CQUFtQixHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FDOUMsT0FBTyxDQUFDLENBQUMsR0FBRyxjQUFjLENBQUMsQ0FBQyxHQUFHLGNBQWMsQ0FBQyxLQUFLO1lBQ25ELDRCQUE0QixDQUFDLE9BQU8sRUFBRSxjQUFjLENBQUMsR0FBRyxFQUFFLENBQzdELENBQUM7UUFFRixJQUFJLG1CQUFtQixLQUFLLFNBQVMsRUFBRTtZQUNuQyxJQUFJLFdBQVcsR0FBRyxNQUFNLENBQUMsbUJBQW1CLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBRSx5QkFBeUI7WUFDOUUsSUFBSSxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUM7Z0JBQ25CLE9BQU8sV0FBVyxDQUFDO1NBQzFCO0tBQ0o7SUFFRCxPQUFPLENBQUMsQ0FBQyxDQUFDO0FBQ2QsQ0FBQztBQUVELDZGQUE2RjtBQUM3Riw2RkFBNkY7QUFDN0YsMkZBQTJGO0FBRTNGLFNBQVMsaUJBQWlCLENBQUMsUUFBbUIsRUFBRSxnQkFBK0Isb0JBQW9CO0lBQy9GLElBQUksZUFBZSxHQUFHLGFBQWEsQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztJQUMzRyxJQUFJLGVBQWUsR0FBRyxlQUFlLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3BFLElBQUksY0FBYyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxlQUFlLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDN0UsSUFBSSxhQUFhLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLGVBQWUsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztJQUM1RSxJQUFJLGVBQWUsR0FBRyxlQUFlLENBQUMsZUFBZSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7SUFFekUsNkZBQTZGO0lBQzdGLG9CQUFvQjtJQUVwQixJQUFJLGFBQWEsR0FBYyxFQUFFLENBQUM7SUFDbEMsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsZUFBZSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUU7UUFDbkgsd0ZBQXdGO1FBQ3hGLHdGQUF3RjtRQUN4RixzRkFBc0Y7UUFDdEYsaUNBQWlDO1FBRWpDLElBQUksWUFBWSxHQUFHLE9BQU8sQ0FBQztRQUMzQixJQUFJLGFBQWEsR0FBYyxFQUFFLENBQUM7UUFDbEMsSUFBSSxPQUFPLEdBQUcsRUFBRSxDQUFDO1FBRWpCLEdBQUc7WUFDQyxhQUFhLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDO1lBRWpDLDZEQUE2RDtZQUU3RCxJQUFJLElBQUksR0FBRyxhQUFhLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsV0FBVyxFQUFFLEVBQUUsQ0FBQyxDQUFDO1lBQ3hGLEtBQUssSUFBSSxVQUFVLElBQUksYUFBYSxDQUFDLHFCQUFxQjtnQkFDdEQsSUFBSSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3pELElBQUksR0FBRyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUM7WUFDMUIsSUFBSSxJQUFJLENBQUMsTUFBTSxJQUFJLGFBQWEsR0FBRyxhQUFhLENBQUMsbUJBQW1CLEVBQUcsaUNBQWlDO2dCQUNwRyxNQUFNO1lBQ1YsSUFBSSxJQUFJLENBQUMsTUFBTSxJQUFJLGNBQWMsR0FBRyxDQUFDLEVBQUUsRUFBRyxnREFBZ0Q7Z0JBQ3RGLEtBQUssSUFBSSxTQUFTLEdBQUcsQ0FBQyxFQUFFLFNBQVMsSUFBSSxhQUFhLENBQUMsbUJBQW1CLEVBQUUsU0FBUyxFQUFFLEVBQUU7b0JBQ2pGLElBQUksQ0FBQyxTQUFTLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLGVBQWUsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLElBQUksRUFBRSxlQUFlLEVBQUUsRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLFVBQVUsRUFBRSxxQkFBcUIsRUFBRSxhQUFhLEVBQUUsZUFBZSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxDQUFDLEtBQUssSUFBSSxDQUFDLEVBQUU7d0JBQ3ZPLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBRSxPQUFPLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7d0JBQzFFLE1BQU07cUJBQ1Q7aUJBQ0o7YUFDSjtZQUVELFlBQVksR0FBRyxlQUFlLENBQUMsUUFBUSxFQUFFLFlBQVksQ0FBQyxDQUFDO1NBQzFELFFBQVEsWUFBWSxLQUFLLFNBQVMsSUFBSSxhQUFhLENBQUMsTUFBTSxHQUFHLEVBQUUsRUFBRTtRQUVsRSxvREFBb0Q7UUFFcEQsSUFBSSxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtZQUNwQixJQUFJLFNBQVMsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxFQUFFLENBQ2pELENBQUMsUUFBUSxLQUFLLFNBQVM7Z0JBQ3ZCLE9BQU8sQ0FBQyxTQUFTLEdBQUcsUUFBUSxDQUFDLFNBQVM7Z0JBQ3RDLENBQUMsT0FBTyxDQUFDLFNBQVMsS0FBSyxRQUFRLENBQUMsU0FBUyxJQUFJLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxNQUFNLEdBQUcsZUFBZSxDQUFDLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLE1BQU0sR0FBRyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1lBQ3RNLGFBQWEsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxDQUFDO1NBQ3pDO0tBQ0o7SUFFRCxrRkFBa0Y7SUFFbEYsSUFBSSxTQUFTLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ25FLGFBQWEsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDOUIsT0FBTyxhQUFhLENBQUM7QUFDekIsQ0FBQztBQUVELGtFQUFrRTtBQUVsRSxTQUFTLFdBQVcsQ0FBQyxRQUFtQixFQUFFLElBQVksRUFBRSw0QkFBcUMsRUFBRSxZQUFvQixDQUFDO0lBQ2hILDJGQUEyRjtJQUMzRixRQUFRO0lBRVIsSUFBSSxhQUFhLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDaEUsSUFBSSxjQUFjLEdBQUcsYUFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUU3QyxJQUFJLE9BQU8sR0FBRyxFQUFFLENBQUM7SUFDakIsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxVQUFVLENBQUMsY0FBYyxDQUFDLENBQUMsRUFBRTtRQUMxRyx1RkFBdUY7UUFDdkYseUZBQXlGO1FBQ3pGLDBFQUEwRTtRQUUxRSxJQUFJLFlBQVksR0FBRyxPQUFPLENBQUM7UUFDM0IsSUFBSSxhQUFhLEdBQWMsRUFBRSxDQUFDO1FBRWxDLEdBQUc7WUFDQyxhQUFhLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDO1lBRWpDLElBQUksV0FBVyxHQUFHLGFBQWEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7WUFFN0csSUFBSSxXQUFXLENBQUMsTUFBTSxHQUFHLGFBQWEsQ0FBQyxNQUFNLEdBQUcsU0FBUyxFQUFHLGlDQUFpQztnQkFDekYsTUFBTTtZQUNWLElBQUksV0FBVyxDQUFDLE1BQU0sSUFBSSxhQUFhLENBQUMsTUFBTSxHQUFHLFNBQVMsRUFBRSxFQUFHLGdEQUFnRDtnQkFDM0csS0FBSyxJQUFJLFNBQVMsR0FBRyxDQUFDLEVBQUUsU0FBUyxJQUFJLFNBQVMsRUFBRSxTQUFTLEVBQUUsRUFBRTtvQkFDekQsSUFBSSxDQUFDLFNBQVMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEtBQUssYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLFdBQVcsRUFBRSxDQUFFLGFBQWEsQ0FBRSxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxLQUFLLElBQUksQ0FBQyxFQUFFO3dCQUNqUCxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsV0FBVyxFQUFFLGFBQWEsQ0FBQyxDQUFDLENBQUMsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLFdBQVcsRUFBRSxDQUFDLENBQUM7d0JBQ3JILE1BQU07cUJBQ1Q7aUJBQ0o7YUFDSjtZQUVELFlBQVksR0FBRyxlQUFlLENBQUMsUUFBUSxFQUFFLFlBQVksQ0FBQyxDQUFDO1NBQzFELFFBQVEsWUFBWSxLQUFLLFNBQVMsSUFBSSxhQUFhLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRSxDQUFFLG1CQUFtQjtLQUN6RjtJQUVELDZGQUE2RjtJQUM3Riw0RkFBNEY7SUFDNUYsdUZBQXVGO0lBQ3ZGLDRGQUE0RjtJQUM1RixFQUFFO0lBQ0YsNEZBQTRGO0lBQzVGLDBGQUEwRjtJQUMxRiwwREFBMEQ7SUFFMUQsSUFBSSxPQUFPLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtRQUNwQixJQUFJLFNBQVMsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSxFQUFFLENBQ2pELENBQUMsUUFBUSxLQUFLLFNBQVM7WUFDdkIsT0FBTyxDQUFDLFNBQVMsR0FBRyxRQUFRLENBQUMsU0FBUztZQUN0QyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEtBQUssUUFBUSxDQUFDLFNBQVMsSUFBSSxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsTUFBTSxHQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsTUFBTSxHQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDO1FBQy9NLE9BQU8sNEJBQTRCLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxXQUFXLENBQUM7S0FDeEY7SUFFRCxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBRUQsMkRBQTJEO0FBRTNELFNBQVMsa0JBQWtCLENBQUMsS0FBVTtJQUNsQyxJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEtBQUssR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDdkUsSUFBSSxTQUFTLEdBQUcsSUFBSSxDQUFDO0lBRXJCLElBQUksU0FBUyxLQUFLLENBQUMsRUFBRTtRQUNqQiwwQ0FBMEM7UUFFMUMsU0FBUyxHQUFHLElBQUssSUFBWSxDQUFDLEtBQUssQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3pELEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFFO1lBQ2xDLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFO2dCQUNuQyxJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDO2dCQUNsQyxJQUFJLFFBQVEsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUNyQixJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUM7Z0JBQ25DLEtBQUssSUFBSSxTQUFTLENBQUM7Z0JBQ25CLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQztnQkFDakIsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLElBQUksUUFBUSxDQUFDLENBQUMsS0FBSyxDQUFDO29CQUM3QyxLQUFLLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFFLGNBQWM7O29CQUVyRCxLQUFLLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFFLGNBQWM7Z0JBQy9ELFNBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQzthQUN4QztTQUNKO0tBQ0o7U0FBTTtRQUNILG9EQUFvRDtRQUVwRCxTQUFTLEdBQUcsSUFBSyxJQUFZLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDekQsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDbEMsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7Z0JBQ25DLElBQUksS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7Z0JBQzVDLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQztnQkFDakcsU0FBUyxDQUFDLGFBQWEsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2FBQ3hDO1NBQ0o7S0FDSjtJQUVELE9BQU8sU0FBUyxDQUFDO0FBQ3JCLENBQUM7QUFFRCxrR0FBa0c7QUFDbEcsZ0dBQWdHO0FBRWhHLE1BQU0sa0JBQWtCLEdBQUcsQ0FBRSxRQUFRLEVBQUUsVUFBVSxFQUFFLFdBQVcsRUFBRSxhQUFhLEVBQUUsU0FBUyxDQUFFLENBQUM7QUFFM0YsK0VBQStFO0FBRS9FLFNBQVMsYUFBYSxDQUFDLFNBQWM7SUFDakMsSUFBSSxJQUFJLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUM7SUFDakMsSUFBSSxNQUFNLEdBQUcsSUFBSSxVQUFVLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUM5RSxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsTUFBTSxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUU7UUFDOUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssR0FBRyxJQUFJLENBQUMsS0FBSyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3BILE9BQU8sTUFBTSxDQUFDO0FBQ2xCLENBQUM7QUFFRCw0RUFBNEU7QUFFNUUsU0FBUyxhQUFhLENBQUMsU0FBYyxFQUFFLE1BQWtCO0lBQ3JELElBQUksSUFBSSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDO0lBQ2pDLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxNQUFNLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ2hELElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEtBQUssR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQzVFLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLEdBQUcsQ0FBQztLQUM3QjtBQUNMLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsZ0dBQWdHO0FBQ2hHLGtHQUFrRztBQUNsRyx3Q0FBd0M7QUFFeEMsU0FBUyxXQUFXLENBQUMsU0FBYztJQUMvQixJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQztJQUNuQyxJQUFJLE1BQU0sR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQztJQUNyQyxJQUFJLE1BQU0sR0FBRyxhQUFhLENBQUMsU0FBUyxDQUFDLENBQUM7SUFFdEMsSUFBSSxTQUFTLEdBQUcsQ0FBQyxDQUFDO0lBQ2xCLElBQUksU0FBUyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ25CLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsRUFBRSxLQUFLLElBQUksSUFBSSxFQUFFO1FBQzVDLElBQUksT0FBTyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQyxFQUFFLEdBQUcsR0FBRyxDQUFDLENBQUM7UUFDOUMsSUFBSSxNQUFNLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxHQUFHLEtBQUssQ0FBQyxDQUFDO1FBQ2xELElBQUksU0FBUyxHQUFHLElBQUksWUFBWSxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQzFELEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxNQUFNLEVBQUUsQ0FBQyxJQUFJLENBQUMsRUFBRyxpREFBaUQ7WUFDbEYsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssRUFBRSxDQUFDLElBQUksQ0FBQztnQkFDN0IsSUFBSSxNQUFNLENBQUMsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxHQUFHO29CQUMzQixTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxHQUFHLE1BQU0sQ0FBQyxFQUFFLENBQUM7UUFDOUQsSUFBSSxLQUFLLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssR0FBRyxLQUFLLEdBQUcsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDO1FBQ3pFLElBQUksS0FBSyxHQUFHLFNBQVMsSUFBSSxDQUFDLEtBQUssS0FBSyxTQUFTLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUU7WUFDckYsU0FBUyxHQUFHLEtBQUssQ0FBQztZQUNsQixTQUFTLEdBQUcsS0FBSyxDQUFDO1NBQ3JCO0tBQ0o7SUFFRCxJQUFJLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLEdBQUcsSUFBSTtRQUMxQixPQUFPLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLENBQUM7SUFDMUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyw2QkFBNkIsU0FBUyxJQUFJLENBQUMsQ0FBQztJQUN4RCxPQUFPLEVBQUUsS0FBSyxFQUFFLFNBQVMsQ0FBQyxVQUFVLENBQUMsVUFBVSxDQUFDLENBQUMsTUFBTSxDQUFDLFNBQVMsRUFBRSxLQUFLLENBQUMsRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLENBQUM7QUFDbEcsQ0FBQztBQUVELGdHQUFnRztBQUNoRyxnR0FBZ0c7QUFDaEcsNkZBQTZGO0FBRTdGLFNBQVMsYUFBYSxDQUFDLEtBQStCLEVBQUUsS0FBYSxFQUFFLEtBQWEsRUFBRSxNQUFjO0lBQ2hHLElBQUksT0FBTyxHQUFHLEtBQUssR0FBRyxJQUFJLENBQUMsRUFBRSxHQUFHLEdBQUcsQ0FBQztJQUNwQyxJQUFJLE1BQU0sR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQy9CLElBQUksSUFBSSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDN0IsSUFBSSxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQyxDQUFDO0lBQzVCLElBQUksQ0FBQyxHQUFHLE1BQU0sR0FBRyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFFLGdEQUFnRDtJQUMvRSxPQUFPLEVBQUUsQ0FBQyxFQUFFLEtBQUssR0FBRyxDQUFDLEdBQUcsTUFBTSxHQUFHLENBQUMsR0FBRyxJQUFJLEdBQUcsQ0FBQyxFQUFFLENBQUMsRUFBRSxNQUFNLEdBQUcsQ0FBQyxHQUFHLENBQUMsSUFBSSxHQUFHLENBQUMsR0FBRyxNQUFNLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQztBQUM3RixDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLDZGQUE2RjtBQUM3Rix1REFBdUQ7QUFFdkQsU0FBUyxhQUFhLENBQUMsU0FBYztJQUNqQyxJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQztJQUNuQyxJQUFJLE1BQU0sR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQztJQUNyQyxJQUFJLE1BQU0sR0FBRyxhQUFhLENBQUMsU0FBUyxDQUFDLENBQUM7SUFFdEMseUZBQXlGO0lBQ3pGLGtFQUFrRTtJQUVsRSxJQUFJLFFBQVEsR0FBRyxJQUFJLFlBQVksQ0FBQyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzVELEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7UUFDN0IsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDO1FBQ2YsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUM1QixNQUFNLElBQUksTUFBTSxDQUFDLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDaEMsUUFBUSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxHQUFHLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUM7U0FDeEY7S0FDSjtJQUVELElBQUksTUFBTSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEVBQUUsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUNuRSxJQUFJLFlBQVksR0FBRyxJQUFJLFVBQVUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDakQsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLE1BQU0sRUFBRSxDQUFDLEVBQUUsRUFBRTtRQUM3QixLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFFO1lBQzVCLElBQUksRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsR0FBRyxNQUFNLENBQUMsRUFBRSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxHQUFHLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztZQUN2RSxJQUFJLEVBQUUsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEdBQUcsTUFBTSxDQUFDLEVBQUUsRUFBRSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxFQUFFLENBQUMsR0FBRyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDeEUsSUFBSSxHQUFHLEdBQUcsUUFBUSxDQUFDLEVBQUUsR0FBRyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxFQUFFLENBQUMsR0FBRyxRQUFRLENBQUMsRUFBRSxHQUFHLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsRUFBRSxDQUFDLEdBQUcsUUFBUSxDQUFDLEVBQUUsR0FBRyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQztZQUNoSixJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsR0FBRyxFQUFFLENBQUMsR0FBRyxDQUFDLEVBQUUsR0FBRyxFQUFFLENBQUMsQ0FBQztZQUNsQyxZQUFZLENBQUMsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLEtBQUssR0FBRyxHQUFHLEdBQUcsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUUsb0NBQW9DO1NBQzlIO0tBQ0o7SUFDRCxhQUFhLENBQUMsU0FBUyxFQUFFLFlBQVksQ0FBQyxDQUFDO0lBQ3ZDLE9BQU8sU0FBUyxDQUFDO0FBQ3JCLENBQUM7QUFFRCxrRkFBa0Y7QUFFbEYsU0FBUyxjQUFjLENBQUMsU0FBYztJQUNsQyxJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQztJQUNuQyxJQUFJLE1BQU0sR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQztJQUNyQyxJQUFJLE1BQU0sR0FBRyxhQUFhLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDdEMsSUFBSSxnQkFBZ0IsR0FBRyxVQUFVLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQy9DLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7UUFDN0IsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUM1QixJQUFJLE1BQU0sQ0FBQyxDQUFDLEdBQUcsS0FBSyxHQUFHLENBQUMsQ0FBQyxJQUFJLEdBQUc7Z0JBQzVCLFNBQVM7WUFDYixJQUFJLGtCQUFrQixHQUFHLENBQUMsQ0FBQztZQUMzQixLQUFLLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQyxFQUFFLEVBQUUsSUFBSSxDQUFDLEVBQUUsRUFBRSxFQUFFO2dCQUMzQixLQUFLLElBQUksRUFBRSxHQUFHLENBQUMsQ0FBQyxFQUFFLEVBQUUsSUFBSSxDQUFDLEVBQUUsRUFBRSxFQUFFO29CQUMzQixJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsR0FBRyxLQUFLLElBQUksQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsR0FBRyxNQUFNLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLEdBQUcsR0FBRzt3QkFDcEksa0JBQWtCLEVBQUUsQ0FBQztZQUNqQyxJQUFJLGtCQUFrQixJQUFJLENBQUM7Z0JBQ3ZCLGdCQUFnQixDQUFDLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDO1NBQzdDO0tBQ0o7SUFDRCxhQUFhLENBQUMsU0FBUyxFQUFFLGdCQUFnQixDQUFDLENBQUM7SUFDM0MsT0FBTyxTQUFTLENBQUM7QUFDckIsQ0FBQztBQUVELDhGQUE4RjtBQUM5RiwwQ0FBMEM7QUFFMUMsU0FBUyxlQUFlLENBQUMsU0FBYztJQUNuQyxJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQztJQUNuQyxJQUFJLE1BQU0sR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQztJQUNyQyxJQUFJLE1BQU0sR0FBRyxhQUFhLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDdEMsSUFBSSxhQUFhLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUM1QyxJQUFJLHVCQUF1QixHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxFQUFFLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDbEUsSUFBSSxxQkFBcUIsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBRWpFLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxNQUFNLEVBQUUsQ0FBQyxFQUFFLEVBQUU7UUFDN0IsSUFBSSxRQUFRLEdBQUcsQ0FBQyxDQUFDO1FBQ2pCLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDN0IsSUFBSSxDQUFDLEdBQUcsS0FBSyxJQUFJLE1BQU0sQ0FBQyxDQUFDLEdBQUcsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLEdBQUc7Z0JBQ3hDLFNBQVM7WUFDYixJQUFJLENBQUMsR0FBRyxRQUFRLElBQUksdUJBQXVCO2dCQUN2QyxhQUFhLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLEdBQUcsS0FBSyxHQUFHLFFBQVEsRUFBRSxDQUFDLEdBQUcsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQ2pFLFFBQVEsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1NBQ3BCO0tBQ0o7SUFFRCxLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFFO1FBQzVCLElBQUksUUFBUSxHQUFHLENBQUMsQ0FBQztRQUNqQixLQUFLLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLElBQUksTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFO1lBQzlCLElBQUksQ0FBQyxHQUFHLE1BQU0sSUFBSSxNQUFNLENBQUMsQ0FBQyxHQUFHLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxHQUFHO2dCQUN6QyxTQUFTO1lBQ2IsSUFBSSxDQUFDLEdBQUcsUUFBUSxJQUFJLHFCQUFxQjtnQkFDckMsS0FBSyxJQUFJLElBQUksR0FBRyxRQUFRLEVBQUUsSUFBSSxHQUFHLENBQUMsRUFBRSxJQUFJLEVBQUU7b0JBQ3RDLGFBQWEsQ0FBQyxJQUFJLEdBQUcsS0FBSyxHQUFHLENBQUMsQ0FBQyxHQUFHLEdBQUcsQ0FBQztZQUM5QyxRQUFRLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQztTQUNwQjtLQUNKO0lBRUQsYUFBYSxDQUFDLFNBQVMsRUFBRSxhQUFhLENBQUMsQ0FBQztJQUN4QyxPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLDZGQUE2RjtBQUM3RiwrRkFBK0Y7QUFDL0YsaUdBQWlHO0FBQ2pHLGdDQUFnQztBQUVoQyxTQUFTLGVBQWUsQ0FBQyxTQUFjLEVBQUUsS0FBZTtJQUNwRCxJQUFJLGFBQWEsR0FBc0UsRUFBRSxDQUFDO0lBQzFGLEtBQUssSUFBSSxJQUFJLElBQUksS0FBSyxFQUFFO1FBQ3BCLElBQUksSUFBSSxLQUFLLFFBQVEsRUFBRTtZQUNuQixJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQztZQUNuQyxJQUFJLE1BQU0sR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQztZQUNyQyxJQUFJLGFBQWEsR0FBRyxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUM7WUFDM0MsU0FBUyxHQUFHLGFBQWEsQ0FBQyxLQUFLLENBQUM7WUFDaEMsSUFBSSxhQUFhLENBQUMsS0FBSyxLQUFLLENBQUM7Z0JBQ3pCLGFBQWEsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxhQUFhLENBQUMsS0FBSyxFQUFFLGFBQWEsQ0FBQyxLQUFLLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7U0FDN0Y7YUFBTSxJQUFJLElBQUksS0FBSyxVQUFVO1lBQzFCLFNBQVMsR0FBRyxhQUFhLENBQUMsU0FBUyxDQUFDLENBQUM7YUFDcEMsSUFBSSxJQUFJLEtBQUssV0FBVztZQUN6QixTQUFTLEdBQUcsY0FBYyxDQUFDLFNBQVMsQ0FBQyxDQUFDO2FBQ3JDLElBQUksSUFBSSxLQUFLLGFBQWE7WUFDM0IsU0FBUyxHQUFHLGVBQWUsQ0FBQyxTQUFTLENBQUMsQ0FBQzthQUN0QyxJQUFJLElBQUksS0FBSyxTQUFTLEVBQUU7WUFDekIsSUFBSSxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxTQUFTLENBQUMsTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksSUFBSSxHQUFHLElBQUksRUFBRTtnQkFDckUsU0FBUyxHQUFHLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQztnQkFDbkQsYUFBYSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO2FBQ3JFO1NBQ0o7O1lBQ0csTUFBTSxJQUFJLEtBQUssQ0FBQywrQkFBK0IsSUFBSSx1QkFBdUIsa0JBQWtCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztLQUNwSDtJQUNELE9BQU8sRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRSxDQUFDLEtBQStCLEVBQUUsRUFBRSxDQUFDLGFBQWEsQ0FBQyxXQUFXLENBQUMsQ0FBQyxXQUFXLEVBQUUsWUFBWSxFQUFFLEVBQUUsQ0FBQyxZQUFZLENBQUMsV0FBVyxDQUFDLEVBQUUsS0FBSyxDQUFDLEVBQUUsQ0FBQztBQUMzSyxDQUFDO0FBV0QsaUdBQWlHO0FBQ2pHLGlHQUFpRztBQUNqRyxpRkFBaUY7QUFFakYsU0FBUyxjQUFjLENBQUMsU0FBYyxFQUFFLFdBQWdCO0lBQ3BELE9BQU8sTUFBTSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUM7U0FDN0IsTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxLQUFLLEVBQUUsU0FBUyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLFNBQVMsQ0FBQyxNQUFNLENBQUMsTUFBTSxFQUFFLFFBQVEsRUFBRSxXQUFXLEVBQUUsQ0FBQyxDQUFDO1NBQ2pILE1BQU0sQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQztTQUM3QixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7QUFDdkIsQ0FBQztBQUVELGlHQUFpRztBQUNqRyxVQUFVO0FBRVYsU0FBUyxZQUFZLENBQUMsUUFBZ0I7SUFDbEMsSUFBSSxhQUFhLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsRUFBRSxHQUFHLFFBQVEsT0FBTyxDQUFDLENBQUM7SUFDckUsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsYUFBYSxDQUFDO1FBQzdCLE9BQU8sU0FBUyxDQUFDO0lBQ3JCLElBQUk7UUFDQSxPQUFPLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxhQUFhLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO0tBQ2hFO0lBQUMsT0FBTyxLQUFLLEVBQUU7UUFDWixPQUFPLENBQUMsR0FBRyxDQUFDLDJDQUEyQyxhQUFhLEVBQUUsQ0FBQyxDQUFDO1FBQ3hFLE9BQU8sU0FBUyxDQUFDO0tBQ3BCO0FBQ0wsQ0FBQztBQUVELDZEQUE2RDtBQUU3RCxTQUFTLGFBQWEsQ0FBQyxRQUFnQixFQUFFLEtBQWdCO0lBQ3JELElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLGlCQUFpQixDQUFDO1FBQ2pDLEVBQUUsQ0FBQyxTQUFTLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUNwQyxFQUFFLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsR0FBRyxRQUFRLE9BQU8sQ0FBQyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztBQUM5RixDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLGlHQUFpRztBQUNqRyxrR0FBa0c7QUFDbEcseUZBQXlGO0FBRXpGLEtBQUssVUFBVSxnQkFBZ0I7SUFDM0IsT0FBTyxJQUFJLEVBQUU7UUFDVCxJQUFJLE1BQU0sR0FBRyxVQUFVLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQzVELElBQUksV0FBVyxHQUFHLE9BQU8sQ0FBQyxXQUFXLEVBQUUsQ0FBQztRQUN4QyxJQUFJLENBQUMsTUFBTSxJQUFJLFdBQVcsQ0FBQyxHQUFHLElBQUksYUFBYSxDQUFDLGVBQWUsR0FBRyxJQUFJLEdBQUcsSUFBSSxFQUFFO1lBQzNFLElBQUksU0FBUyxHQUFHLFVBQVUsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUNoRSxJQUFJLFNBQVMsS0FBSyxTQUFTLElBQUksVUFBVSxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxhQUFhLENBQUMsY0FBYyxDQUFDLEVBQUU7Z0JBQzFGLFNBQVMsR0FBRyxFQUFFLE1BQU0sRUFBRSxhQUFhLEVBQUUsQ0FBQyxZQUFZLEVBQUUsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxDQUFDLEVBQUUsQ0FBQztnQkFDbkYsVUFBVSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQzthQUM5QjtZQUNELElBQUksU0FBUyxLQUFLLFNBQVMsRUFBRTtnQkFDekIsU0FBUyxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUM7Z0JBQ3hCLE9BQU8sU0FBUyxDQUFDO2FBQ3BCO1NBQ0o7YUFBTTtZQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMseUVBQXlFLElBQUksQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDLEdBQUcsR0FBRyxDQUFDLElBQUksR0FBRyxJQUFJLENBQUMsQ0FBQywrQkFBK0IsYUFBYSxDQUFDLGVBQWUsTUFBTSxDQUFDLENBQUM7WUFDcE0sSUFBSSxNQUFNLENBQUMsRUFBRTtnQkFDVCxNQUFNLENBQUMsRUFBRSxFQUFFLENBQUM7U0FDbkI7UUFDRCxNQUFNLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7S0FDaEU7QUFDTCxDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLGdHQUFnRztBQUNoRyx5RkFBeUY7QUFFekYsS0FBSyxVQUFVLGtCQUFrQjtJQUM3QixPQUFPLGtCQUFrQixJQUFJLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLGFBQWEsQ0FBQyxjQUFjLENBQUM7UUFDbEUsTUFBTSxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLGtCQUFrQixDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDO0lBQ25FLGtCQUFrQixFQUFFLENBQUM7QUFDekIsQ0FBQztBQUVELDJGQUEyRjtBQUUzRixTQUFTLGtCQUFrQjtJQUN2QixrQkFBa0IsRUFBRSxDQUFDO0lBQ3JCLElBQUksTUFBTSxHQUFHLGtCQUFrQixDQUFDLEtBQUssRUFBRSxDQUFDO0lBQ3hDLElBQUksTUFBTSxLQUFLLFNBQVM7UUFDcEIsTUFBTSxFQUFFLENBQUM7QUFDakIsQ0FBQztBQUVELDRGQUE0RjtBQUM1Riw2RkFBNkY7QUFFN0YsU0FBUyxnQkFBZ0IsQ0FBQyxTQUFvQjtJQUMxQyxTQUFTLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQztJQUN6QixJQUFJLEVBQUUsU0FBUyxDQUFDLFFBQVEsSUFBSSxhQUFhLENBQUMsaUJBQWlCLEVBQUU7UUFDekQsYUFBYSxFQUFFLENBQUMsZUFBZSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNsRCxTQUFTLENBQUMsTUFBTSxHQUFHLGFBQWEsRUFBRSxDQUFDLFlBQVksRUFBRSxDQUFDO1FBQ2xELFNBQVMsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO1FBQ3ZCLElBQUksTUFBTSxDQUFDLEVBQUU7WUFDVCxNQUFNLENBQUMsRUFBRSxFQUFFLENBQUM7S0FDbkI7SUFFRCxJQUFJLE9BQU8sR0FBRyxnQkFBZ0IsQ0FBQztJQUMvQixnQkFBZ0IsR0FBRyxFQUFFLENBQUM7SUFDdEIsS0FBSyxJQUFJLE1BQU0sSUFBSSxPQUFPO1FBQ3RCLE1BQU0sRUFBRSxDQUFDO0FBQ2pCLENBQUM7QUFFRCw2RUFBNkU7QUFFN0UsU0FBUyxtQkFBbUI7SUFDeEIsS0FBSyxJQUFJLFNBQVMsSUFBSSxVQUFVO1FBQzVCLGFBQWEsRUFBRSxDQUFDLGVBQWUsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDdEQsVUFBVSxHQUFHLEVBQUUsQ0FBQztJQUNoQixJQUFJLE1BQU0sQ0FBQyxFQUFFO1FBQ1QsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDO0FBQ3BCLENBQUM7QUFFRCxnRkFBZ0Y7QUFFaEYsS0FBSyxVQUFVLGNBQWMsQ0FBQyxXQUFXLEVBQUUsV0FBZ0I7SUFDdkQsSUFBSSxTQUFTLEdBQUcsTUFBTSxnQkFBZ0IsRUFBRSxDQUFDO0lBQ3pDLElBQUk7UUFDQSxPQUFPLE1BQU0sYUFBYSxFQUFFLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEVBQUUsV0FBVyxFQUFFLFdBQVcsQ0FBQyxDQUFDO0tBQ3RGO1lBQVM7UUFDTixnQkFBZ0IsQ0FBQyxTQUFTLENBQUMsQ0FBQztLQUMvQjtBQUNMLENBQUM7QUFFRCw2RkFBNkY7QUFDN0YsK0JBQStCO0FBRS9CLFNBQVMsYUFBYTtJQUNsQixJQUFJLGlCQUFpQixLQUFLLFNBQVMsRUFBRTtRQUNqQyxJQUFJLGFBQWEsQ0FBQyxVQUFVLEtBQUssY0FBYztZQUMzQyxpQkFBaUIsR0FBRyx3QkFBd0IsRUFBRSxDQUFDO2FBQzlDLElBQUksYUFBYSxDQUFDLFVBQVUsS0FBSyxXQUFXO1lBQzdDLGlCQUFpQixHQUFHLDRCQUE0QixDQUFDLGFBQWEsQ0FBQyxhQUFhLENBQUMsQ0FBQzs7WUFFOUUsTUFBTSxJQUFJLEtBQUssQ0FBQyx3QkFBd0IsYUFBYSxDQUFDLFVBQVUsNkNBQTZDLENBQUMsQ0FBQztRQUNuSCxPQUFPLENBQUMsR0FBRyxDQUFDLGFBQWEsaUJBQWlCLENBQUMsSUFBSSxlQUFlLENBQUMsQ0FBQztLQUNuRTtJQUNELE9BQU8saUJBQWlCLENBQUM7QUFDN0IsQ0FBQztBQUVELHFGQUFxRjtBQUVyRixTQUFTLHdCQUF3QjtJQUM3QixtRkFBbUY7SUFDbkYsK0RBQStEO0lBRS9ELElBQUksT0FBTyxHQUFHLE9BQU8sQ0FBQywyQkFBMkIsQ0FBQyxDQUFDLE9BQU8sQ0FBQztJQUUzRCxnR0FBZ0c7SUFDaEcsK0ZBQStGO0lBQy9GLDRGQUE0RjtJQUM1Rix5RkFBeUY7SUFDekYsNEJBQTRCO0lBQzVCLEVBQUU7SUFDRiwrRkFBK0Y7SUFDL0YsOEZBQThGO0lBQzlGLDJGQUEyRjtJQUMzRiw2RkFBNkY7SUFDN0YsMkZBQTJGO0lBQzNGLDBCQUEwQjtJQUUxQixJQUFJLE9BQVksQ0FBQztJQUNqQixJQUFJO1FBQ0EsT0FBTyxHQUFHLE9BQU8sQ0FBQyxnQ0FBZ0MsQ0FBQyxDQUFDO0tBQ3ZEO0lBQUMsT0FBTyxLQUFLLEVBQUU7UUFDWixPQUFPLEdBQUcsRUFBRSxDQUFDO0tBQ2hCO0lBQ0QsSUFBSSxPQUFPLE9BQU8sQ0FBQyxXQUFXLEtBQUssVUFBVTtRQUN6QyxPQUFPLENBQUMsR0FBRyxDQUFDLHlFQUF5RSxPQUFPLDJFQUEyRSxDQUFDLENBQUM7U0FDeEs7UUFDRCxPQUFPLENBQUMsV0FBVyxHQUFHLENBQUMsUUFBUSxFQUFFLGFBQWEsRUFBRSxFQUFFO1lBQzlDLElBQUksTUFBTSxHQUFHLFlBQVksQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLFVBQVUsRUFBRSxFQUFFLEVBQUUsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztZQUMvRSxNQUFNLENBQUMsRUFBRSxDQUFDLFNBQVMsRUFBRSxNQUFNLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztZQUN2RCxRQUFRLENBQUMsZUFBZSxDQUFDLEVBQUUsS0FBSyxFQUFFLE1BQU0sQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxNQUFNLEVBQUUsSUFBSSxDQUFDLEVBQUUsR0FBRyxJQUFJLENBQUMsdUJBQXVCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQztnQkFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDdkksUUFBUSxDQUFDLGVBQWUsQ0FBQyxFQUFFLEtBQUssRUFBRSxNQUFNLENBQUMsTUFBTSxFQUFFLENBQUMsQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxFQUFFLEdBQUcsSUFBSSxDQUFDLHVCQUF1QixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUM7Z0JBQUUsT0FBTyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3pJLE9BQU8sTUFBTSxDQUFDO1FBQ2xCLENBQUMsQ0FBQztLQUNMO0lBRUQsT0FBTztRQUNILElBQUksRUFBRSxnQkFBZ0IsT0FBTyxFQUFFO1FBQy9CLFlBQVksRUFBRSxHQUFHLEVBQUUsQ0FBQyxTQUFTLENBQUMsTUFBTSxFQUFFO1FBQ3RDLGVBQWUsRUFBRSxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxTQUFTLEVBQUU7UUFDN0MsU0FBUyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxFQUFFO1lBQ2xELElBQUksTUFBTSxHQUFHLE1BQU0sSUFBSSxPQUFPLENBQU0sQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUUsR0FBRyxNQUFNLENBQUMsU0FBUyxDQUFDLFdBQVcsRUFBRSxXQUFXLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUUsS0FBSyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBRWxLLGlGQUFpRjtZQUVqRixJQUFJLEtBQUssR0FBYyxFQUFFLENBQUM7WUFDMUIsSUFBSSxNQUFNLElBQUksTUFBTSxDQUFDLE1BQU0sSUFBSSxNQUFNLENBQUMsTUFBTSxDQUFDLE1BQU07Z0JBQy9DLEtBQUssSUFBSSxLQUFLLElBQUksTUFBTSxDQUFDLE1BQU07b0JBQzNCLEtBQUssSUFBSSxTQUFTLElBQUksS0FBSyxDQUFDLFVBQVU7d0JBQ2xDLEtBQUssSUFBSSxJQUFJLElBQUksU0FBUyxDQUFDLEtBQUs7NEJBQzVCLEtBQUssR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFO2dDQUN2QyxPQUFPO29DQUNILElBQUksRUFBRSxJQUFJLENBQUMsSUFBSTtvQ0FDZixVQUFVLEVBQUUsSUFBSSxDQUFDLFVBQVU7b0NBQzNCLFdBQVcsRUFBRSxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU07b0NBQ2hDLElBQUksRUFBRSxFQUFFLEVBQUUsRUFBRSxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFBRSxFQUFFLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFBRTtpQ0FDbkYsQ0FBQzs0QkFDTixDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3BCLE9BQU8sS0FBSyxDQUFDO1FBQ2pCLENBQUM7S0FDSixDQUFDO0FBQ04sQ0FBQztBQUVELGdHQUFnRztBQUNoRyxrR0FBa0c7QUFFbEcsU0FBUyw0QkFBNEIsQ0FBQyxhQUFxQjtJQUN2RCxJQUFJLE9BQWUsQ0FBQztJQUNwQixJQUFJO1FBQ0EsT0FBTyxHQUFHLFlBQVksQ0FBQyxZQUFZLENBQUMsYUFBYSxFQUFFLENBQUUsV0FBVyxDQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsQ0FBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBRSxFQUFFLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7S0FDako7SUFBQyxPQUFPLEtBQUssRUFBRTtRQUNaLE1BQU0sSUFBSSxLQUFLLENBQUMsdUNBQXVDLGFBQWEsZ0VBQWdFLEtBQUssQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0tBQ3hKO0lBRUQsT0FBTztRQUNILElBQUksRUFBRSxPQUFPLENBQUMsVUFBVSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLGFBQWEsT0FBTyxFQUFFO1FBQ3hFLFlBQVksRUFBRSxHQUFHLEVBQUUsQ0FBQyxDQUFDLEVBQUUsQ0FBQztRQUN4QixlQUFlLEVBQUUsTUFBTSxDQUFDLEVBQUUsR0FBRSxDQUFDO1FBQzdCLFNBQVMsRUFBRSxDQUFDLE1BQU0sRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLEVBQUUsQ0FBQyxJQUFJLE9BQU8sQ0FBWSxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtZQUN4RixJQUFJLGdCQUFnQixHQUFHLEVBQUUsQ0FBQztZQUMxQixLQUFLLElBQUksSUFBSSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDO2dCQUNyQyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEdBQUcsSUFBSSxJQUFJLFdBQVcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDaEUsSUFBSSxLQUFLLEdBQUcsWUFBWSxDQUFDLFFBQVEsQ0FBQyxhQUFhLEVBQUUsQ0FBRSxPQUFPLEVBQUUsUUFBUSxDQUFFLENBQUMsTUFBTSxDQUFDLGdCQUFnQixDQUFDLENBQUMsTUFBTSxDQUFDLENBQUUsS0FBSyxDQUFFLENBQUMsRUFBRSxFQUFFLFNBQVMsRUFBRSxFQUFFLEdBQUcsSUFBSSxHQUFHLElBQUksRUFBRSxFQUFFLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxFQUFFO2dCQUNsSyxJQUFJLEtBQUs7b0JBQ0wsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDOztvQkFFZCxPQUFPLENBQUMsaUJBQWlCLENBQUMsTUFBTSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUMsQ0FBQztZQUN0RCxDQUFDLENBQUMsQ0FBQztZQUNILEtBQUssQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxHQUFHLEVBQUUsR0FBRSxDQUFDLENBQUMsQ0FBQyxDQUFFLCtDQUErQztZQUNuRixLQUFLLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsQ0FBQztRQUNqQyxDQUFDLENBQUM7S0FDTCxDQUFDO0FBQ04sQ0FBQztBQUVELGlHQUFpRztBQUNqRyxpREFBaUQ7QUFFakQsU0FBUyxpQkFBaUIsQ0FBQyxHQUFXO0lBQ2xDLElBQUksS0FBSyxHQUFjLEVBQUUsQ0FBQztJQUMxQixJQUFJLEtBQUssR0FBRyxHQUFHLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDL0MsSUFBSSxXQUFXLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN2QyxJQUFJLFFBQVEsR0FBRyxDQUFDLE1BQWdCLEVBQUUsVUFBa0IsRUFBRSxFQUFFLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQztJQUNqRyxLQUFLLElBQUksSUFBSSxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUU7UUFDN0IsSUFBSSxNQUFNLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUM5QixJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsV0FBVyxDQUFDLE1BQU0sSUFBSSxRQUFRLENBQUMsTUFBTSxFQUFFLE9BQU8sQ0FBQyxLQUFLLEdBQUc7WUFDdkUsU0FBUztRQUNiLElBQUksSUFBSSxHQUFHLFFBQVEsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLENBQUM7UUFDcEMsSUFBSSxVQUFVLEdBQUcsTUFBTSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUNsRCxJQUFJLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksVUFBVSxHQUFHLENBQUM7WUFDcEMsU0FBUztRQUNiLElBQUksSUFBSSxHQUFHLE1BQU0sQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7UUFDNUMsSUFBSSxHQUFHLEdBQUcsTUFBTSxDQUFDLFFBQVEsQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUMxQyxLQUFLLENBQUMsSUFBSSxDQUFDO1lBQ1AsSUFBSSxFQUFFLElBQUk7WUFDVixVQUFVLEVBQUUsVUFBVTtZQUN0QixXQUFXLEVBQUUsQ0FBQztZQUNkLElBQUksRUFBRSxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsRUFBRSxFQUFFLEdBQUcsRUFBRSxFQUFFLEVBQUUsSUFBSSxHQUFHLE1BQU0sQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFLE9BQU8sQ0FBQyxDQUFDLEVBQUUsRUFBRSxFQUFFLEdBQUcsR0FBRyxNQUFNLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQyxFQUFFO1NBQzFILENBQUMsQ0FBQztLQUNOO0lBQ0QsT0FBTyxLQUFLLENBQUM7QUFDakIsQ0FBQztBQUVELGdHQUFnRztBQUNoRyw0RkFBNEY7QUFDNUYseUNBQXlDO0FBRXpDLEtBQUssVUFBVSxVQUFVLENBQUMsS0FBVSxFQUFFLE1BQWlCLEVBQUUsV0FBbUIsQ0FBQztJQUN6RSxpRUFBaUU7SUFFakUsSUFBSSxTQUFTLEdBQUcsa0JBQWtCLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDMUMsSUFBSSxRQUFRLEtBQUssQ0FBQztRQUNkLFNBQVMsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBRSw4Q0FBOEM7SUFDL0UsSUFBSSxRQUFRLEdBQUcsTUFBTSxjQUFjLENBQUMsU0FBUyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUUsMkNBQTJDO0lBQ3BHLElBQUksQ0FBQyxhQUFhLENBQUMscUJBQXFCO1FBQ3BDLE9BQU8sUUFBUSxDQUFDO0lBRXBCLDBGQUEwRjtJQUMxRiwwRkFBMEY7SUFDMUYseUZBQXlGO0lBQ3pGLDBGQUEwRjtJQUMxRiw4RkFBOEY7SUFDOUYsbUVBQW1FO0lBRW5FLElBQUksY0FBYyxHQUFHLGtCQUFrQixDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQztJQUN2RCxJQUFJLGNBQWMsS0FBSyxJQUFJLElBQUksY0FBYyxJQUFJLGFBQWEsQ0FBQyw4QkFBOEI7UUFDekYsT0FBTyxRQUFRLENBQUM7SUFFcEIsSUFBSSxZQUFZLEdBQUcsQ0FBQyxDQUFDO0lBQ3JCLElBQUksU0FBUyxHQUFHLG1CQUFtQixDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQzlDLEtBQUssSUFBSSxhQUFhLElBQUksQ0FBRSxHQUFHLEVBQUUsRUFBRSxFQUFFLEdBQUcsQ0FBRSxFQUFFO1FBQ3hDLElBQUksZ0JBQWdCLEdBQUcsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDLE1BQU0sQ0FBQyxhQUFhLENBQUMsQ0FBQztRQUMvRCxJQUFJLGFBQWEsR0FBYyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsS0FBSyxFQUFFLE1BQU0sRUFBRSxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDMUksSUFBSSxlQUFlLEdBQUcsTUFBTSxjQUFjLENBQUMsZ0JBQWdCLEVBQUUsYUFBYSxDQUFDLENBQUM7UUFDNUUsSUFBSSxLQUFLLEdBQUcsbUJBQW1CLENBQUMsZUFBZSxDQUFDLENBQUM7UUFDakQsSUFBSSxLQUFLLEdBQUcsU0FBUyxFQUFFO1lBQ25CLFlBQVksR0FBRyxhQUFhLENBQUM7WUFDN0IsU0FBUyxHQUFHLEtBQUssQ0FBQztZQUNsQixRQUFRLEdBQUcsZUFBZSxDQUFDO1NBQzlCO1FBQ0QsSUFBSSxNQUFNLENBQUMsRUFBRTtZQUNULE1BQU0sQ0FBQyxFQUFFLEVBQUUsQ0FBQztRQUNoQixJQUFJLHFCQUFxQixHQUFHLGtCQUFrQixDQUFDLGVBQWUsRUFBRSxHQUFHLENBQUMsQ0FBQztRQUNyRSxJQUFJLEtBQUssS0FBSyxTQUFTLElBQUkscUJBQXFCLEtBQUssSUFBSSxJQUFJLHFCQUFxQixJQUFJLGFBQWEsQ0FBQyw4QkFBOEI7WUFDOUgsTUFBTTtLQUNiO0lBRUQsSUFBSSxZQUFZLEtBQUssQ0FBQztRQUNsQixPQUFPLENBQUMsR0FBRyxDQUFDLGtDQUFrQyxZQUFZLHNGQUFzRixDQUFDLENBQUM7SUFDdEosT0FBTyxRQUFRLENBQUM7QUFDcEIsQ0FBQztBQUVELDRGQUE0RjtBQUM1Rix1REFBdUQ7QUFFdkQsU0FBUyxtQkFBbUIsQ0FBQyxRQUFtQjtJQUM1QyxJQUFJLEtBQUssR0FBRyxDQUFDLENBQUM7SUFDZCxLQUFLLElBQUksT0FBTyxJQUFJLFFBQVE7UUFDeEIsSUFBSSxPQUFPLENBQUMsVUFBVSxJQUFJLGFBQWEsQ0FBQyw4QkFBOEI7WUFDbEUsS0FBSyxJQUFJLE9BQU8sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLGVBQWUsRUFBRSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUM7SUFDbEUsT0FBTyxLQUFLLENBQUM7QUFDakIsQ0FBQztBQUVELDBGQUEwRjtBQUUxRixLQUFLLFVBQVUsY0FBYyxDQUFDLFNBQWMsRUFBRSxNQUFpQjtJQUMzRCw4Q0FBOEM7SUFFOUMsSUFBSSxpQkFBaUIsR0FBRyxZQUFZLENBQUMsU0FBUyxDQUFDLENBQUM7SUFFaEQsNkZBQTZGO0lBQzdGLDJDQUEyQztJQUUzQyxJQUFJLFdBQVcsR0FBRyxFQUFFLHFCQUFxQixFQUFFLEdBQUcsRUFBRSxDQUFDO0lBRWpELHNGQUFzRjtJQUN0Riw0RkFBNEY7SUFDNUYsNkZBQTZGO0lBQzdGLCtCQUErQjtJQUUvQixJQUFJLGVBQWUsR0FBZ0IsTUFBTSxPQUFPLENBQUMsR0FBRyxDQUFDLGlCQUFpQixDQUFDLEdBQUcsQ0FBQyxLQUFLLEVBQUMsZ0JBQWdCLEVBQUMsRUFBRTtRQUNoRyxNQUFNLGtCQUFrQixFQUFFLENBQUM7UUFDM0IsSUFBSTtZQUNBLE9BQU8sTUFBTSxZQUFZLENBQUMsU0FBUyxFQUFFLGdCQUFnQixFQUFFLE1BQU0sRUFBRSxXQUFXLENBQUMsQ0FBQztTQUMvRTtnQkFBUztZQUNOLGtCQUFrQixFQUFFLENBQUM7U0FDeEI7SUFDTCxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBRUosSUFBSSxRQUFRLEdBQWMsRUFBRSxDQUFDO0lBQzdCLEtBQUssSUFBSSxpQkFBaUIsSUFBSSxlQUFlO1FBQ3pDLFFBQVEsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLGlCQUFpQixDQUFDLENBQUM7SUFDbEQsT0FBTyxRQUFRLENBQUM7QUFDcEIsQ0FBQztBQUVELDhGQUE4RjtBQUU5RixLQUFLLFVBQVUsWUFBWSxDQUFDLFNBQWMsRUFBRSxnQkFBMkIsRUFBRSxNQUFpQixFQUFFLFdBQWdCO0lBQ3hHLElBQUksT0FBTyxHQUFHLEVBQUUsS0FBSyxFQUFFLGVBQWUsQ0FBQyxTQUFTLEVBQUUsZ0JBQWdCLENBQUMsRUFBRSxNQUFNLEVBQUUsZ0JBQWdCLEVBQUUsQ0FBQztJQUVoRyx1RUFBdUU7SUFFdkUsSUFBSSxXQUFXLEdBQUcsR0FBRyxDQUFDO0lBQ3RCLElBQUksT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsSUFBSSxHQUFHLElBQUksRUFBRTtRQUM1RCxXQUFXLEdBQUcsR0FBRyxDQUFDO1FBQ2xCLE9BQU8sQ0FBQyxHQUFHLENBQUMsOEJBQThCLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSyxJQUFJLE9BQU8sQ0FBQyxNQUFNLENBQUMsTUFBTSxRQUFRLFdBQVcsMEJBQTBCLENBQUMsQ0FBQztRQUN0SSxPQUFPLENBQUMsS0FBSyxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRSxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUM7S0FDeEU7SUFFRCx1RkFBdUY7SUFFdkYsSUFBSSxrQkFBa0IsR0FBYSxhQUFhLENBQUMsa0JBQWtCLENBQUM7SUFDcEUsSUFBSSxRQUFRLEdBQUcsY0FBYyxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxNQUFNLEVBQUUsYUFBYSxFQUFFLENBQUMsSUFBSSxFQUFFLFFBQVEsRUFBRSxXQUFXLEVBQUUsYUFBYSxFQUFFLGtCQUFrQixFQUFFLENBQUMsQ0FBQztJQUN6SSxJQUFJLEtBQUssR0FBRyxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDbkMsSUFBSSxLQUFLLEtBQUssU0FBUyxFQUFFO1FBQ3JCLGlGQUFpRjtRQUNqRixxRkFBcUY7UUFDckYsa0ZBQWtGO1FBRWxGLElBQUksaUJBQWlCLEdBQUcsZUFBZSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsa0JBQWtCLENBQUMsQ0FBQztRQUMzRSxPQUFPLENBQUMsS0FBSyxHQUFHLGlCQUFpQixDQUFDLEtBQUssQ0FBQztRQUV4QyxJQUFJLFdBQVcsR0FBRyxNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQzdKLE9BQU8sQ0FBQyxLQUFLLEdBQUcsU0FBUyxDQUFDLENBQUUsNEJBQTRCO1FBRXhELDZFQUE2RTtRQUU3RSxJQUFJLFdBQVcsR0FBRyxPQUFPLENBQUMsV0FBVyxFQUFFLENBQUM7UUFDeEMsSUFBSSxXQUFXLENBQUMsR0FBRyxHQUFHLEdBQUcsR0FBRyxJQUFJLEdBQUcsSUFBSSxFQUFHLFNBQVM7WUFDL0MsT0FBTyxDQUFDLEdBQUcsQ0FBQywwQkFBMEIsSUFBSSxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsR0FBRyxHQUFHLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQyxDQUFDLG1CQUFtQixJQUFJLENBQUMsS0FBSyxDQUFDLFdBQVcsQ0FBQyxTQUFTLEdBQUcsQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDLENBQUMsa0JBQWtCLElBQUksQ0FBQyxLQUFLLENBQUMsV0FBVyxDQUFDLFFBQVEsR0FBRyxDQUFDLElBQUksR0FBRyxJQUFJLENBQUMsQ0FBQyxrQkFBa0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsUUFBUSxHQUFHLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ3BTLElBQUksT0FBTyxDQUFDLE1BQU0sQ0FBQyxLQUFLLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsR0FBRyxHQUFHLEdBQUc7WUFDeEQsT0FBTyxDQUFDLEdBQUcsQ0FBQyw4Q0FBOEMsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxRQUFRLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsWUFBWSxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLGFBQWEsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUUvTixLQUFLLEdBQUcsTUFBTSxjQUFjLENBQUMsV0FBVyxFQUFFLFdBQVcsQ0FBQyxDQUFDO1FBQ3ZELFdBQVcsR0FBRyxTQUFTLENBQUMsQ0FBRSw0QkFBNEI7UUFFdEQsaUZBQWlGO1FBQ2pGLHFGQUFxRjtRQUNyRix3RkFBd0Y7UUFDeEYsUUFBUTtRQUVSLEtBQUssR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFO1lBQ3JCLElBQUksT0FBTyxHQUFHLENBQUUsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxFQUFFLEVBQUUsRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxFQUFFLENBQUUsQ0FBQyxHQUFHLENBQUMsaUJBQWlCLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDek0sT0FBTztnQkFDSCxJQUFJLEVBQUUsSUFBSSxDQUFDLElBQUk7Z0JBQ2YsVUFBVSxFQUFFLElBQUksQ0FBQyxVQUFVO2dCQUMzQixXQUFXLEVBQUUsSUFBSSxDQUFDLFdBQVc7Z0JBQzdCLElBQUksRUFBRTtvQkFDRixFQUFFLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7b0JBQ2hELEVBQUUsRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQztvQkFDaEQsRUFBRSxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO29CQUNoRCxFQUFFLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7aUJBQ25EO2FBQ0osQ0FBQztRQUNOLENBQUMsQ0FBQyxDQUFDO1FBQ0gsYUFBYSxDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsQ0FBQztLQUNsQzs7UUFDRyxPQUFPLENBQUMsS0FBSyxHQUFHLFNBQVMsQ0FBQyxDQUFFLDRCQUE0QjtJQUU1RCxPQUFPLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDcEIsT0FBTztZQUNILElBQUksRUFBRSxJQUFJLENBQUMsSUFBSTtZQUNmLFVBQVUsRUFBRSxJQUFJLENBQUMsVUFBVTtZQUMzQixXQUFXLEVBQUUsSUFBSSxDQUFDLFdBQVc7WUFDN0IsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLEdBQUcsV0FBVztZQUMzRCxDQUFDLEVBQUUsTUFBTSxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxXQUFXO1lBQzNELEtBQUssRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEdBQUcsV0FBVztZQUNsRCxNQUFNLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxHQUFHLFdBQVc7U0FDdEQsQ0FBQztJQUNOLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELGlHQUFpRztBQUNqRywrRkFBK0Y7QUFFL0YsU0FBUyxVQUFVLENBQUMsUUFBZ0I7SUFDaEMsSUFBSSxZQUFZLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEdBQUcsQ0FBQyxDQUFDO0lBQzlELE9BQU8sU0FBUyxDQUFDLFNBQVMsR0FBRyxDQUFDLFlBQVksQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsWUFBWSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDO0FBQ3RJLENBQUM7QUFFRCw4RkFBOEY7QUFDOUYsK0NBQStDO0FBRS9DLFNBQVMsY0FBYyxDQUFDLEdBQVc7SUFDL0IsT0FBTyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztBQUNsRyxDQUFDO0FBRUQsb0RBQW9EO0FBRXBELFNBQVMsV0FBVyxDQUFDLE9BQWU7SUFDaEMsSUFBSSxRQUFRLEdBQUcsa0JBQWtCLENBQUMsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ3ZFLE9BQU8sY0FBYyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUUsd0VBQXdFO0FBQ3RKLENBQUM7QUFFRCwyRkFBMkY7QUFFM0YsS0FBSyxVQUFVLE9BQU8sQ0FBQyxHQUFXO0lBQzlCLElBQUksR0FBRyxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUM7UUFDdkIsT0FBTyxFQUFFLENBQUMsWUFBWSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBRTdDLElBQUksTUFBTSxHQUFHLE1BQU0sT0FBTyxDQUFDLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7SUFDekYsTUFBTSxLQUFLLENBQUMsSUFBSSxHQUFHLFNBQVMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7SUFDM0MsT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQztBQUVELGlHQUFpRztBQUNqRyxxQ0FBcUM7QUFFckMsU0FBUyxVQUFVLENBQUMsTUFBYztJQUM5QixPQUFPLE1BQU0sQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztBQUNwRSxDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLCtGQUErRjtBQUMvRixnR0FBZ0c7QUFDaEcsb0ZBQW9GO0FBRXBGLFNBQVMseUJBQXlCLENBQUMsc0JBQXNCO0lBQ3JELElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQztJQUNoQixLQUFLLElBQUksU0FBUyxJQUFJLGlCQUFpQixDQUFDLE1BQU0sQ0FBQyxDQUFFLGNBQWMsRUFBRSxVQUFVLENBQUUsQ0FBQztRQUMxRSxNQUFNLENBQUMsU0FBUyxDQUFDLEdBQUcsc0JBQXNCLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDMUQsT0FBTztRQUNILFVBQVUsRUFBRSxzQkFBc0IsQ0FBQyxVQUFVO1FBQzdDLFdBQVcsRUFBRSxzQkFBc0IsQ0FBQyxXQUFXO1FBQy9DLE1BQU0sRUFBRSxnQ0FBZ0M7UUFDeEMsTUFBTSxFQUFFLE1BQU07UUFDZCxZQUFZLEVBQUUsSUFBSTtRQUNsQixRQUFRLEVBQUUsRUFBRTtLQUNmLENBQUM7QUFDTixDQUFDO0FBcUJELGdHQUFnRztBQUNoRyw4RkFBOEY7QUFDOUYsNkRBQTZEO0FBRTdELFNBQVMsdUJBQXVCLENBQUMsWUFBa0M7SUFDL0QsSUFBSSxLQUFLLEdBQXNGLEVBQUUsQ0FBQztJQUNsRyxLQUFLLElBQUksV0FBVyxJQUFJLFlBQVksRUFBRTtRQUNsQyxJQUFJLEtBQUssR0FBRyx3QkFBd0IsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLGlCQUFpQixDQUFDLENBQUM7UUFDekUsSUFBSSxLQUFLLEtBQUssSUFBSTtZQUNkLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxjQUFjLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsQ0FBQyxDQUFDO0tBQ3RIO0lBRUQsSUFBSSxtQkFBbUIsR0FBeUIsRUFBRSxDQUFDO0lBQ25ELEtBQUssSUFBSSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLEVBQUUsRUFBRTtRQUN4QyxJQUFJLE9BQU8sR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLGNBQWMsR0FBRyxDQUFDLENBQUMsY0FBYyxDQUFDLENBQUM7UUFDOUUsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLE9BQU8sQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFO1lBQy9DLEtBQUssSUFBSSxjQUFjLEdBQUcsT0FBTyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxjQUFjLEdBQUcsQ0FBQyxFQUFFLGNBQWMsR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsY0FBYyxFQUFFLGNBQWMsRUFBRTtnQkFDN0gsbUJBQW1CLENBQUMsSUFBSSxDQUFDLEVBQUUsaUJBQWlCLEVBQUUsR0FBRyxjQUFjLElBQUksSUFBSSxFQUFFLEVBQUUsbUJBQW1CLEVBQUUsT0FBTyxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsZUFBZSxFQUFFLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0tBQzFMO0lBQ0QsT0FBTyxtQkFBbUIsQ0FBQztBQUMvQixDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLGlGQUFpRjtBQUVqRixTQUFTLGlCQUFpQixDQUFDLGtCQUFzQztJQUM3RCxJQUFJLFFBQVEsR0FBRyxrQkFBa0IsQ0FBQyxtQkFBbUIsQ0FBQztJQUN0RCxJQUFJLElBQUksR0FBRyxrQkFBa0IsQ0FBQyxlQUFlLENBQUM7SUFDOUMsSUFBSSxVQUFVLEdBQUcsQ0FBQyxXQUErQixFQUFFLEVBQUUsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxVQUFVLEtBQUssSUFBSSxJQUFJLFdBQVcsQ0FBQyxVQUFVLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxRQUFRLFdBQVcsQ0FBQyxVQUFVLEVBQUUsQ0FBQztJQUN2TCxJQUFJLFFBQVEsQ0FBQyxjQUFjLEtBQUssSUFBSSxDQUFDLGNBQWM7UUFDL0MsT0FBTyxTQUFTLFVBQVUsQ0FBQyxRQUFRLENBQUMsT0FBTyxRQUFRLENBQUMsY0FBYyxjQUFjLFVBQVUsQ0FBQyxJQUFJLENBQUMsT0FBTyxJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7U0FDNUgsSUFBSSxRQUFRLENBQUMsVUFBVSxLQUFLLElBQUksQ0FBQyxVQUFVO1FBQzVDLE9BQU8sWUFBWSxVQUFVLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQztTQUN6QyxJQUFJLE9BQU8sUUFBUSxDQUFDLFVBQVUsS0FBSyxRQUFRLElBQUksT0FBTyxJQUFJLENBQUMsVUFBVSxLQUFLLFFBQVEsSUFBSSxJQUFJLENBQUMsVUFBVSxHQUFHLFFBQVEsQ0FBQyxVQUFVLEdBQUcsQ0FBQztRQUNoSSxPQUFPLGtCQUFrQixRQUFRLENBQUMsVUFBVSxPQUFPLElBQUksQ0FBQyxVQUFVLEVBQUUsQ0FBQzs7UUFFckUsT0FBTyxZQUFZLFVBQVUsQ0FBQyxRQUFRLENBQUMsT0FBTyxVQUFVLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQztBQUN6RSxDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLDZGQUE2RjtBQUM3Riw0RkFBNEY7QUFDNUYsNEZBQTRGO0FBQzVGLDBGQUEwRjtBQUUxRixTQUFTLHlCQUF5QixDQUFDLG1CQUF5QyxFQUFFLDBCQUFtRyxFQUFFO0lBQy9LLElBQUksS0FBSyxHQUFhLEVBQUUsQ0FBQztJQUN6QixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsbUJBQW1CLENBQUMsTUFBTSxHQUFJO1FBQ3RELElBQUksa0JBQWtCLEdBQUcsbUJBQW1CLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDcEQsSUFBSSxTQUFTLEdBQUcsQ0FBQyxDQUFDO1FBQ2xCLE9BQU8sS0FBSyxHQUFHLFNBQVMsR0FBRyxtQkFBbUIsQ0FBQyxNQUFNLElBQUksbUJBQW1CLENBQUMsS0FBSyxHQUFHLFNBQVMsQ0FBQyxDQUFDLG1CQUFtQixLQUFLLGtCQUFrQixDQUFDLG1CQUFtQjtZQUMxSixTQUFTLEVBQUUsQ0FBQztRQUVoQixJQUFJLE9BQU8sR0FBRyxXQUFXLGtCQUFrQixDQUFDLG1CQUFtQixDQUFDLGlCQUFpQixRQUFRLGtCQUFrQixDQUFDLGVBQWUsQ0FBQyxpQkFBaUIsRUFBRSxDQUFDO1FBQ2hKLElBQUksU0FBUyxHQUFHLENBQUMsRUFBRTtZQUNmLElBQUksc0JBQXNCLEdBQUcsbUJBQW1CLENBQUMsS0FBSyxHQUFHLFNBQVMsR0FBRyxDQUFDLENBQUMsQ0FBQztZQUN4RSxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsa0JBQWtCLENBQUMsaUJBQWlCLE9BQU8sc0JBQXNCLENBQUMsaUJBQWlCLEtBQUssU0FBUyxpQkFBaUIsT0FBTyxLQUFLLGlCQUFpQixDQUFDLGtCQUFrQixDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ3RMLEtBQUssSUFBSSxRQUFRLEdBQUcsQ0FBQyxFQUFFLFFBQVEsR0FBRyxTQUFTLEVBQUUsUUFBUSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUU7Z0JBQzlELElBQUksaUJBQWlCLEdBQUcsbUJBQW1CLENBQUMsS0FBSyxDQUFDLENBQUMsaUJBQWlCLENBQUM7Z0JBQ3JFLElBQUksc0JBQXNCLEdBQUcsdUJBQXVCLENBQUMsaUJBQWlCLENBQUMsQ0FBQztnQkFDeEUsSUFBSSxzQkFBc0IsS0FBSyxTQUFTO29CQUNwQyxLQUFLLENBQUMsSUFBSSxDQUFDLE9BQU8saUJBQWlCLHlCQUF5QixzQkFBc0IsQ0FBQyxVQUFVLEtBQUssc0JBQXNCLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQzthQUMzSTtZQUNELFNBQVM7U0FDWjtRQUVELEtBQUssSUFBSSxRQUFRLEdBQUcsQ0FBQyxFQUFFLFFBQVEsR0FBRyxTQUFTLEVBQUUsUUFBUSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUU7WUFDOUQsSUFBSSxpQkFBaUIsR0FBRyxtQkFBbUIsQ0FBQyxLQUFLLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQztZQUNyRSxJQUFJLHNCQUFzQixHQUFHLHVCQUF1QixDQUFDLGlCQUFpQixDQUFDLENBQUM7WUFDeEUsSUFBSSxzQkFBc0IsS0FBSyxTQUFTO2dCQUNwQyxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsaUJBQWlCLHlCQUF5QixzQkFBc0IsQ0FBQyxVQUFVLEtBQUssc0JBQXNCLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQzs7Z0JBRWhJLEtBQUssQ0FBQyxJQUFJLENBQUMsR0FBRyxpQkFBaUIsS0FBSyxPQUFPLEtBQUssaUJBQWlCLENBQUMsbUJBQW1CLENBQUMsS0FBSyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDekc7S0FDSjtJQUNELE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7QUFFRCw2RUFBNkU7QUFFN0UsTUFBTSxrQkFBa0IsR0FBRztJQUN2QixLQUFLLEVBQUUsS0FBSztJQUNaLE1BQU0sRUFBRSxNQUFNO0lBQ2QsaUJBQWlCLEVBQUUsU0FBUztJQUM1QixZQUFZLEVBQUUsUUFBUTtJQUN0QixZQUFZLEVBQUUsWUFBWTtJQUMxQixXQUFXLEVBQUUsT0FBTztJQUNwQixPQUFPLEVBQUUsTUFBTTtJQUNmLGdCQUFnQixFQUFFLE9BQU87Q0FDNUIsQ0FBQztBQWtCRixtR0FBbUc7QUFDbkcsaUZBQWlGO0FBRWpGLEtBQUssVUFBVSxhQUFhLENBQUMsS0FBVSxFQUFFLE1BQWlCLEVBQUUsUUFBZ0I7SUFDeEUsSUFBSSxTQUFTLEdBQUcsa0JBQWtCLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDMUMsSUFBSSxRQUFRLEtBQUssQ0FBQztRQUNkLFNBQVMsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDL0IsSUFBSSxNQUFNLEdBQVcsTUFBTSxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzVKLE9BQU8sRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSx5QkFBeUIsTUFBTSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsRUFBRSxFQUFFLENBQUM7QUFDN0YsQ0FBQztBQUVELGtHQUFrRztBQUNsRyx5RkFBeUY7QUFDekYsa0dBQWtHO0FBQ2xHLGtHQUFrRztBQUNsRywyRkFBMkY7QUFDM0Ysb0RBQW9EO0FBRXBELFNBQVMsaUJBQWlCLENBQUMsY0FBc0IsRUFBRSxHQUFXLEVBQUUsVUFBa0IsRUFBRSxLQUFhLEVBQUUsTUFBYyxFQUFFLFFBQW1CLEVBQUUsV0FBeUIsRUFBRSxXQUF5QjtJQUN4TCxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxjQUFjLENBQUM7UUFDOUIsRUFBRSxDQUFDLFNBQVMsQ0FBQyxjQUFjLENBQUMsQ0FBQztJQUVqQyxLQUFLLElBQUksU0FBUyxJQUFLLFFBQXdCLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRTtRQUN0RyxLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEVBQUUsU0FBUyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDdkQsTUFBTSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxFQUFFLFNBQVMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQzdEO0lBRUQsSUFBSSxZQUFZLEdBQUcsQ0FBQyxLQUFhLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLEdBQUcsR0FBRyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDakYsSUFBSSxhQUFhLEdBQUcsQ0FBQyxPQUFnQixFQUFFLE1BQWMsRUFBRSxXQUFtQixFQUFFLFdBQW1CLEVBQUUsRUFBRSxDQUMvRixnQkFBZ0IsWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsUUFBUSxZQUFZLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxZQUFZLFlBQVksQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLGFBQWEsWUFBWSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsYUFBYSxNQUFNLG1CQUFtQixXQUFXLFdBQVcsTUFBTSxtQkFBbUIsV0FBVyxZQUFZLFNBQVMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxJQUFJLEdBQUcsQ0FBQyxPQUFPLENBQUMsVUFBVSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLGVBQWUsR0FBRyxPQUFPLENBQUMsVUFBVSxHQUFHLEdBQUcsRUFBRSxDQUFDLGlCQUFpQixDQUFDO0lBRTNZLElBQUksS0FBSyxHQUFhLEVBQUUsQ0FBQztJQUN6QixLQUFLLElBQUksVUFBVSxJQUFJLFdBQVc7UUFDOUIsS0FBSyxDQUFDLElBQUksQ0FBQyxpQkFBaUIsWUFBWSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLFFBQVEsWUFBWSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLFlBQVksWUFBWSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLGFBQWEsWUFBWSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLG9EQUFvRCxVQUFVLENBQUMsT0FBTyxNQUFNLENBQUMsQ0FBQztJQUM1UixLQUFLLElBQUksT0FBTyxJQUFJLFFBQVEsRUFBRTtRQUMxQixLQUFLLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxPQUFPLEVBQUUsUUFBUSxFQUFFLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3JELEtBQUssQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLFlBQVksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFFBQVEsWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQyxnQkFBZ0IsWUFBWSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxNQUFNLEdBQUcsR0FBRyxDQUFDLENBQUMsaUJBQWlCLFNBQVMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO0tBQ3ZOO0lBQ0QsS0FBSyxJQUFJLFVBQVUsSUFBSSxXQUFXLEVBQUU7UUFDaEMsS0FBSyxJQUFJLE1BQU0sSUFBSSxVQUFVLENBQUMsT0FBTztZQUNqQyxLQUFLLElBQUksT0FBTyxJQUFJLE1BQU0sQ0FBQyxRQUFRO2dCQUMvQixLQUFLLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxPQUFPLEVBQUUsa0JBQWtCLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLE9BQU8sRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUNoRyxLQUFLLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxVQUFVLENBQUMsWUFBWSxFQUFFLGtCQUFrQixDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUN0RixLQUFLLENBQUMsSUFBSSxDQUFDLGdCQUFnQixZQUFZLENBQUMsVUFBVSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsUUFBUSxZQUFZLENBQUMsVUFBVSxDQUFDLFlBQVksQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLHlCQUF5QixrQkFBa0IsQ0FBQyxLQUFLLEtBQUssU0FBUyxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLENBQUM7S0FDcE47SUFFRCxJQUFJLE1BQU0sR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLGtCQUFrQixDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsdUJBQXVCLGtCQUFrQixDQUFDLElBQUksQ0FBQyxhQUFhLElBQUksU0FBUyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzlJLElBQUksSUFBSSxHQUFHO1FBQ1AsaUJBQWlCO1FBQ2pCLFFBQVE7UUFDUixRQUFRO1FBQ1IsOEJBQThCO1FBQzlCLGNBQWMsU0FBUyxDQUFDLEdBQUcsR0FBRyxTQUFTLFVBQVUsRUFBRSxDQUFDLFVBQVU7UUFDOUQsU0FBUztRQUNULFFBQVE7UUFDUixNQUFNLFNBQVMsQ0FBQyxHQUFHLENBQUMsU0FBUyxVQUFVLEtBQUssUUFBUSxDQUFDLE1BQU0sbUJBQW1CLFdBQVcsQ0FBQyxNQUFNLDZCQUE2QixNQUFNLE1BQU07UUFDekksa0RBQWtELFlBQVksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssR0FBRyxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUMsYUFBYSxZQUFZLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxFQUFFLElBQUksQ0FBQyxHQUFHLE1BQU0sR0FBRyxLQUFLLENBQUMsa0JBQWtCLFlBQVksQ0FBQyxLQUFLLENBQUMsSUFBSSxZQUFZLENBQUMsTUFBTSxDQUFDLG9DQUFvQztLQUNsUSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBRSxRQUFRLEVBQUUsU0FBUyxFQUFFLFNBQVMsQ0FBRSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQztJQUU3RSxJQUFJLFFBQVEsR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLGtCQUFrQixDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsZ0JBQWdCLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDbkgsSUFBSSxhQUFhLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxjQUFjLEVBQUUsR0FBRyxRQUFRLFNBQVMsQ0FBQyxJQUFJLEdBQUcsVUFBVSxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ3hHLEVBQUUsQ0FBQyxhQUFhLENBQUMsYUFBYSxFQUFFLElBQUksQ0FBQyxDQUFDO0lBQ3RDLE9BQU8sQ0FBQyxHQUFHLENBQUMsNEJBQTRCLGFBQWEsRUFBRSxDQUFDLENBQUM7QUFDN0QsQ0FBQztBQUVELCtGQUErRjtBQUMvRiw2RkFBNkY7QUFDN0YsOEZBQThGO0FBQzlGLHVGQUF1RjtBQUV2RixTQUFTLGNBQWMsQ0FBQyxLQUFVLEVBQUUsY0FBd0IsRUFBRSxRQUFhO0lBQ3ZFLDBGQUEwRjtJQUMxRixrRkFBa0Y7SUFFbEYsSUFBSSxTQUFTLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLFNBQVMsRUFBRSxjQUFjLENBQUMsQ0FBQztJQUN6RSxJQUFJLFFBQWdCLENBQUM7SUFDckIsSUFBSSxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2hELFFBQVEsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUM7O1FBRXpDLFFBQVEsR0FBRyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUM7SUFFOUMsMEZBQTBGO0lBQzFGLG1EQUFtRDtJQUVuRCxJQUFJLEtBQUssR0FBRyxLQUFLLENBQUMsTUFBTSxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDaEcsSUFBSSxFQUFFLEdBQUcsQ0FBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFFLENBQUM7SUFDaEksSUFBSSxFQUFFLEdBQUcsQ0FBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLEVBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFFLENBQUM7SUFDaEksSUFBSSxVQUFVLEdBQUcsQ0FBQyxRQUFRLEtBQUssRUFBRSxJQUFJLFFBQVEsS0FBSyxHQUFHLENBQUMsQ0FBQztJQUV2RCxJQUFJLE1BQU0sR0FBYztRQUNwQixDQUFDLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxHQUFHLEtBQUs7UUFDMUIsQ0FBQyxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsR0FBRyxLQUFLO1FBQzFCLEtBQUssRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxLQUFLO1FBQzlDLE1BQU0sRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxNQUFNO0tBQ2xELENBQUM7SUFDRixPQUFPLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQztBQUNoRSxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLCtGQUErRjtBQUMvRiw2RkFBNkY7QUFDN0YsNkVBQTZFO0FBRTdFLEtBQUssVUFBVSxRQUFRLENBQUMsR0FBVyxFQUFFLE1BQWMsRUFBRSw4QkFBdUksRUFBRSxjQUF1QjtJQUNqTixJQUFJLGtCQUFrQixHQUFHLEVBQUUsQ0FBQztJQUM1QixJQUFJLHVCQUF1QixHQUFHLEVBQUUsQ0FBQztJQUNqQyxJQUFJLG9CQUFvQixHQUEwQixFQUFFLENBQUM7SUFDckQsSUFBSSxXQUFXLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFFckIsNEZBQTRGO0lBQzVGLDBDQUEwQztJQUUxQyxJQUFJLHVCQUF1QixHQUFHLEtBQUssQ0FBQztJQUNwQyxvQkFBb0IsR0FBRyxhQUFhLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBRXZELDRGQUE0RjtJQUM1Riw0RkFBNEY7SUFDNUYsOEZBQThGO0lBQzlGLG1FQUFtRTtJQUVuRSxLQUFLLElBQUksU0FBUyxHQUFHLENBQUMsRUFBRSxTQUFTLEdBQUcsR0FBRyxFQUFFLFNBQVMsRUFBRSxFQUFFLEVBQUcsMEZBQTBGO1FBQy9JLElBQUksR0FBRyxHQUFHLE1BQU0sS0FBSyxDQUFDLFdBQVcsQ0FBQyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsZUFBZSxFQUFFLElBQUksRUFBRSxZQUFZLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUMvRixJQUFJLFNBQVMsSUFBSSxHQUFHLENBQUMsUUFBUTtZQUN6QixNQUFNO1FBRVYsT0FBTyxDQUFDLEdBQUcsQ0FBQyw4Q0FBOEMsU0FBUyxHQUFHLENBQUMsT0FBTyxHQUFHLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztRQUMvRixJQUFJLElBQUksR0FBRyxNQUFNLEdBQUcsQ0FBQyxPQUFPLENBQUMsU0FBUyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBRTVDLGdGQUFnRjtRQUVoRixJQUFJLFdBQVcsR0FBRyxNQUFNLElBQUksQ0FBQyxjQUFjLEVBQUUsQ0FBQztRQUM5QyxJQUFJLFFBQVEsR0FBRyxNQUFNLElBQUksQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLENBQUM7UUFFM0MsSUFBSSxZQUFZLEdBQWMsV0FBVyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDdkQsSUFBSSxTQUFTLEdBQUcsS0FBSyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7WUFFekUsbUZBQW1GO1lBQ25GLG9GQUFvRjtZQUNwRixtRkFBbUY7WUFDbkYsaUNBQWlDO1lBRWpDLElBQUksZ0JBQWdCLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUU1RixJQUFJLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDckIsSUFBSSxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3JCLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUM7WUFDdkIsSUFBSSxNQUFNLEdBQUcsZ0JBQWdCLENBQUM7WUFFOUIsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsQ0FBQztRQUN4RSxDQUFDLENBQUMsQ0FBQztRQUNILE9BQU8sQ0FBQyxHQUFHLENBQUMsYUFBYSxZQUFZLENBQUMsTUFBTSxtQkFBbUIsQ0FBQyxDQUFBO1FBRWhFLDJCQUEyQjtRQUUzQixJQUFJLGFBQWEsR0FBYyxFQUFFLENBQUM7UUFDbEMsSUFBSSxXQUFXLEdBQWlCLEVBQUUsQ0FBQztRQUNuQyxJQUFJLFNBQVMsR0FBRyxNQUFNLElBQUksQ0FBQyxlQUFlLEVBQUUsQ0FBQztRQUU3Qyw0RkFBNEY7UUFDNUYseUZBQXlGO1FBQ3pGLDJEQUEyRDtRQUUzRCxJQUFJLElBQUksQ0FBQyxNQUFNLEtBQUssQ0FBQztZQUNqQixPQUFPLENBQUMsR0FBRyxDQUFDLDJCQUEyQixJQUFJLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQztRQUU1RCxJQUFJLFlBQVksR0FBRyxJQUFJLENBQUM7UUFFeEIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLFNBQVMsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1lBQzNELElBQUksU0FBUyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxLQUFLLENBQUMsR0FBRyxDQUFDLGlCQUFpQixJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssS0FBSyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUI7Z0JBQ3hILFNBQVM7WUFFYix3RUFBd0U7WUFFeEUsSUFBSSxLQUFLLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUMxQyxJQUFJLE9BQU8sS0FBSyxLQUFLLFFBQVE7Z0JBQ3pCLEtBQUssR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFFLHNDQUFzQzs7Z0JBRXJFLFNBQVMsQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUUsOENBQThDO1lBRTlGLG9GQUFvRjtZQUNwRixxRkFBcUY7WUFDckYsbUNBQW1DO1lBRW5DLElBQUksU0FBUyxHQUFHLFNBQVMsQ0FBQztZQUMxQixJQUFJLEtBQUssR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxLQUFLLEtBQUssQ0FBQyxHQUFHLENBQUMsU0FBUztnQkFDdEUsU0FBUyxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDO2lCQUMxQyxJQUFJLEtBQUssR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxLQUFLLEtBQUssQ0FBQyxHQUFHLENBQUMsVUFBVSxJQUFJLFNBQVMsQ0FBQyxPQUFPLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxLQUFLLEtBQUssQ0FBQyxHQUFHLENBQUMsU0FBUztnQkFDcEksU0FBUyxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDOztnQkFFM0MsU0FBUztZQUViLHFGQUFxRjtZQUNyRixzRkFBc0Y7WUFDdEYsaUZBQWlGO1lBQ2pGLGlEQUFpRDtZQUVqRCxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsR0FBRyxjQUFjLENBQUMsS0FBSyxFQUFFLFNBQVMsRUFBRSxRQUFRLENBQUMsQ0FBQztZQUU3RSxnRkFBZ0Y7WUFDaEYsbUZBQW1GO1lBQ25GLG1GQUFtRjtZQUNuRixvRkFBb0Y7WUFDcEYsb0ZBQW9GO1lBQ3BGLGlFQUFpRTtZQUNqRSxFQUFFO1lBQ0Ysb0ZBQW9GO1lBQ3BGLGNBQWM7WUFFZCxJQUFJLEtBQUssR0FBRyxHQUFHLElBQUksWUFBWSxJQUFJLEtBQUssQ0FBQyxNQUFNLElBQUksSUFBSSxJQUFJLEtBQUssQ0FBQyxLQUFLLElBQUksSUFBSTtnQkFDMUUsU0FBUztZQUNiLFlBQVksR0FBRyxLQUFLLENBQUM7WUFFckIscUZBQXFGO1lBQ3JGLG9DQUFvQztZQUVwQyxJQUFJLGNBQWMsS0FBSyxTQUFTO2dCQUM1QixXQUFXLENBQUMsSUFBSSxDQUFDLE1BQU0sYUFBYSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQztZQUNuRSxhQUFhLEdBQUcsYUFBYSxDQUFDLE1BQU0sQ0FBQyxNQUFNLFVBQVUsQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7WUFDaEYsSUFBSSxNQUFNLENBQUMsRUFBRTtnQkFDVCxNQUFNLENBQUMsRUFBRSxFQUFFLENBQUM7U0FDbkI7UUFDRCxPQUFPLENBQUMsR0FBRyxDQUFDLGFBQWEsYUFBYSxDQUFDLE1BQU0sb0JBQW9CLENBQUMsQ0FBQTtRQUVsRSxtRkFBbUY7UUFDbkYsaURBQWlEO1FBRWpELElBQUksUUFBUSxHQUFjLEVBQUUsQ0FBQztRQUM3QixRQUFRLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsQ0FBQztRQUN6QyxRQUFRLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxhQUFhLENBQUMsQ0FBQztRQUMxQyxPQUFPLENBQUMsR0FBRyxDQUFDLHdCQUF3QixRQUFRLENBQUMsTUFBTSxpREFBaUQsQ0FBQyxDQUFBO1FBRXJHLG1GQUFtRjtRQUNuRixrRUFBa0U7UUFFbEUsTUFBTSxHQUFHLENBQUMsT0FBTyxFQUFFLENBQUM7UUFDcEIsSUFBSSxNQUFNLENBQUMsRUFBRTtZQUNULE1BQU0sQ0FBQyxFQUFFLEVBQUUsQ0FBQztRQUVoQixvRkFBb0Y7UUFDcEYsdUZBQXVGO1FBQ3ZGLGtGQUFrRjtRQUVsRixRQUFRLEdBQUcsUUFBUSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFFMUQsZ0VBQWdFO1FBRWhFLElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2xILFFBQVEsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUM7UUFFL0IscUZBQXFGO1FBQ3JGLHVGQUF1RjtRQUN2RixzRkFBc0Y7UUFDdEYsbUZBQW1GO1FBRW5GLElBQUksQ0FBQyx1QkFBdUIsRUFBRTtZQUMxQixJQUFJLGFBQWEsR0FBRyxtQkFBbUIsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUNsRCxJQUFJLGFBQWEsS0FBSyxTQUFTLEVBQUU7Z0JBQzdCLG9CQUFvQixHQUFHLGFBQWEsQ0FBQztnQkFDckMsdUJBQXVCLEdBQUcsSUFBSSxDQUFDO2dCQUMvQixPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixhQUFhLENBQUMsSUFBSSxtQkFBbUIsQ0FBQyxDQUFDO2FBQzNFO1NBQ0o7UUFFRCxJQUFJLHdCQUF3QixHQUE4QixFQUFFLENBQUM7UUFDN0QsSUFBSSxhQUFhLEdBQUcsaUJBQWlCLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDaEQsSUFBSSxhQUFhLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUM1QixJQUFJLGNBQWMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsSUFBSSxPQUFPLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDM0UsT0FBTyxDQUFDLEdBQUcsQ0FBQyw2Q0FBNkMsY0FBYyxFQUFFLENBQUMsQ0FBQztTQUM5RTtRQUVELEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxhQUFhLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1lBQ3ZELHFGQUFxRjtZQUNyRixtRkFBbUY7WUFDbkYsb0ZBQW9GO1lBQ3BGLG9EQUFvRDtZQUVwRCxJQUFJLFlBQVksR0FBRyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDeEMsSUFBSSxrQkFBa0IsR0FBWTtnQkFDOUIsSUFBSSxFQUFFLFlBQVksQ0FBQyxJQUFJO2dCQUN2QixVQUFVLEVBQUUsWUFBWSxDQUFDLFVBQVU7Z0JBQ25DLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBQztnQkFDakIsQ0FBQyxFQUFFLFlBQVksQ0FBQyxDQUFDLEdBQUcsb0JBQW9CLENBQUMsV0FBVyxHQUFHLFlBQVksQ0FBQyxNQUFNO2dCQUMxRSxLQUFLLEVBQUUsWUFBWSxDQUFDLEtBQUs7Z0JBQ3pCLE1BQU0sRUFBRSxZQUFZLENBQUMsTUFBTTthQUFFLENBQUM7WUFDbEMsSUFBSSxNQUFNLEdBQUcsU0FBUyxDQUFDLFFBQVEsRUFBRSxrQkFBa0IsQ0FBQyxDQUFDO1lBQ3JELElBQUksVUFBVSxHQUFHLENBQUMsS0FBSyxHQUFHLENBQUMsR0FBRyxhQUFhLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxRQUFRLEVBQUUsYUFBYSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDO1lBRXZILDZDQUE2QztZQUU3Qyx3QkFBd0IsQ0FBQyxJQUFJLENBQUMsRUFBRSxZQUFZLEVBQUUsYUFBYSxDQUFDLEtBQUssQ0FBQyxFQUFFLFFBQVEsRUFBRSxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxNQUFNLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxHQUFHLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQztTQUMvSztRQUVELG9GQUFvRjtRQUNwRixtRkFBbUY7UUFDbkYsMEJBQTBCO1FBRTFCLElBQUksU0FBUyxLQUFLLENBQUMsSUFBSSxhQUFhLENBQUMsTUFBTSxJQUFJLENBQUMsRUFBRyxhQUFhO1lBQzVELFdBQVcsR0FBRyxjQUFjLENBQUMsUUFBUSxFQUFFLGFBQWEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBRTdELHNGQUFzRjtRQUN0RixzRkFBc0Y7UUFDdEYscUZBQXFGO1FBQ3JGLGlGQUFpRjtRQUNqRiw4RUFBOEU7UUFFOUUseUZBQXlGO1FBQ3pGLDRFQUE0RTtRQUU1RSxJQUFJLFdBQVcsR0FBaUIsRUFBRSxDQUFDO1FBQ25DLEtBQUssSUFBSSxVQUFVLEdBQUcsQ0FBQyxFQUFFLFVBQVUsR0FBRyx3QkFBd0IsQ0FBQyxNQUFNLEVBQUUsVUFBVSxFQUFFLEVBQUU7WUFDakYsSUFBSSx1QkFBdUIsR0FBRyx3QkFBd0IsQ0FBQyxVQUFVLENBQUMsQ0FBQztZQUNuRSxJQUFJLFVBQVUsR0FBZSxFQUFFLFlBQVksRUFBRSx1QkFBdUIsQ0FBQyxZQUFZLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxPQUFPLEVBQUUsRUFBRSxFQUFFLENBQUM7WUFDNUcsV0FBVyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztZQUM3QixJQUFJLHNCQUFzQixHQUFHLHdCQUF3QixDQUFDLHVCQUF1QixDQUFDLFFBQVEsRUFBRSx1QkFBdUIsQ0FBQyxZQUFZLEVBQUUsR0FBRyxFQUFFLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxFQUFFO2dCQUNsSixVQUFVLENBQUMsS0FBSyxHQUFHLE1BQU0sQ0FBQztnQkFDMUIsb0JBQW9CLENBQUMsSUFBSSxDQUFDO29CQUN0QixVQUFVLEVBQUUsU0FBUyxHQUFHLENBQUM7b0JBQ3pCLFdBQVcsRUFBRSxVQUFVLEdBQUcsQ0FBQztvQkFDM0IsTUFBTSxFQUFFLE1BQU07b0JBQ2QsTUFBTSxFQUFFLE1BQU07b0JBQ2QsWUFBWSxFQUFFLHVCQUF1QixDQUFDLFlBQVk7b0JBQ2xELFFBQVEsRUFBRSx1QkFBdUIsQ0FBQyxRQUFRO2lCQUM3QyxDQUFDLENBQUM7WUFDUCxDQUFDLEVBQUUsQ0FBQyxVQUFVLEVBQUUsY0FBYyxFQUFFLEVBQUUsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsUUFBUSxFQUFFLGNBQWMsRUFBRSxDQUFDLENBQUMsQ0FBQztZQUM1RyxJQUFJLHNCQUFzQixLQUFLLFNBQVM7Z0JBQ3BDLFVBQVUsQ0FBQyxLQUFLLEdBQUcsc0JBQXNCLENBQUMsaUJBQWlCLENBQUM7WUFDaEUsSUFBSSw4QkFBOEIsS0FBSyxTQUFTO2dCQUM1Qyw4QkFBOEIsQ0FBQyx1QkFBdUIsRUFBRSxTQUFTLEdBQUcsQ0FBQyxFQUFFLHNCQUFzQixDQUFDLENBQUM7WUFDbkcsSUFBSSxzQkFBc0IsS0FBSyxTQUFTO2dCQUNwQyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxzQkFBc0IsRUFBRSxFQUFFLFVBQVUsRUFBRSxTQUFTLEdBQUcsQ0FBQyxFQUFFLFdBQVcsRUFBRSxVQUFVLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUUsb0RBQW9EO1NBQ3hMO1FBRUQsSUFBSSxjQUFjLEtBQUssU0FBUztZQUM1QixpQkFBaUIsQ0FBQyxjQUFjLEVBQUUsR0FBRyxFQUFFLFNBQVMsR0FBRyxDQUFDLEVBQUUsUUFBUSxDQUFDLEtBQUssRUFBRSxRQUFRLENBQUMsTUFBTSxFQUFFLFFBQVEsRUFBRSxXQUFXLEVBQUUsV0FBVyxDQUFDLENBQUM7S0FDbEk7SUFFRCx3RkFBd0Y7SUFDeEYsMkZBQTJGO0lBQzNGLGlEQUFpRDtJQUVqRCxJQUFJLGVBQWUsR0FBcUIsRUFBRSxDQUFDO0lBQzNDLElBQUksc0JBQXNCLEdBQUcsSUFBSSxHQUFHLENBQVMsa0JBQWtCLENBQUMsR0FBRyxDQUFDLHNCQUFzQixDQUFDLEVBQUUsQ0FBQyxzQkFBc0IsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUM7SUFDekksSUFBSSwyQkFBMkIsR0FBRyxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsc0JBQXNCLENBQUMsRUFBRSxDQUFDLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUM7SUFDN0gsS0FBSyxJQUFJLHNCQUFzQixJQUFJLGtCQUFrQixFQUFFO1FBQ25ELElBQUksZ0JBQWdCLEdBQUcsdUJBQXVCLENBQUMsSUFBSSxDQUFDLDJCQUEyQixDQUFDLEVBQUUsQ0FBQywyQkFBMkIsQ0FBQyxpQkFBaUIsS0FBSyxzQkFBc0IsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1FBQy9LLElBQUksZ0JBQWdCLEtBQUssU0FBUyxFQUFFO1lBQ2hDLHVCQUF1QixDQUFDLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDO1lBQ3JELFNBQVM7U0FDWjtRQUVELElBQUksY0FBYyxHQUFHLG9CQUFvQixDQUFDLHNCQUFzQixFQUFFLGdCQUFnQixFQUFFLHNCQUFzQixFQUFFLDJCQUEyQixDQUFDLENBQUM7UUFDekksZUFBZSxDQUFDLElBQUksQ0FBQyxFQUFFLGlCQUFpQixFQUFFLHNCQUFzQixDQUFDLGlCQUFpQixFQUFFLGNBQWMsRUFBRSxHQUFHLEVBQUUsbUJBQW1CLEVBQUUsR0FBRyxFQUFFLFFBQVEsRUFBRSxjQUFjLENBQUMsUUFBUSxFQUFFLG9CQUFvQixFQUFFLGNBQWMsQ0FBQyxpQkFBaUIsRUFBRSxVQUFVLEVBQUUsY0FBYyxDQUFDLFVBQVUsRUFBRSxDQUFDLENBQUM7UUFDdlEsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzQkFBc0Isc0JBQXNCLENBQUMsaUJBQWlCLFlBQVksc0JBQXNCLENBQUMsVUFBVSxtRUFBbUUsQ0FBQyxjQUFjLENBQUMsVUFBVSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLGNBQWMsQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEdBQUcsQ0FBQyxjQUFjLENBQUMsUUFBUSxLQUFLLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEdBQUcsY0FBYyxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQ3RaLElBQUksY0FBYyxDQUFDLFFBQVEsS0FBSyxRQUFRO1lBQ3BDLGlCQUFpQixDQUFDLGdCQUFnQixFQUFFLHNCQUFzQixDQUFDLENBQUM7YUFDM0QsSUFBSSxjQUFjLENBQUMsUUFBUSxLQUFLLFlBQVksRUFBRTtZQUMvQyxzQkFBc0IsQ0FBQyxpQkFBaUIsR0FBRyxjQUFjLENBQUMsaUJBQWlCLENBQUM7WUFDNUUsc0JBQXNCLENBQUMsdUJBQXVCLEdBQUcsWUFBWSxDQUFDO1lBQzlELHNCQUFzQixDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUMsaUJBQWlCLENBQUMsQ0FBQztZQUM3RCx1QkFBdUIsQ0FBQyxJQUFJLENBQUMsc0JBQXNCLENBQUMsQ0FBQztTQUN4RDs7WUFDRyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMseUJBQXlCLENBQUMsc0JBQXNCLENBQUMsQ0FBQyxDQUFDO0tBQ3BGO0lBRUQsOENBQThDO0lBRTlDLG1CQUFtQixFQUFFLENBQUM7SUFFdEIsdUZBQXVGO0lBRXZGLElBQUksV0FBVyxLQUFLLENBQUMsQ0FBQyxFQUFFO1FBQ3BCLElBQUksc0JBQXNCLEdBQUcsV0FBVyxHQUFHLHVCQUF1QixDQUFDLE1BQU0sQ0FBQztRQUMxRSxJQUFJLHNCQUFzQixJQUFJLENBQUMsQ0FBQztZQUM1QixPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksQ0FBQyxzQkFBc0IsNkVBQTZFLFdBQVcsa0NBQWtDLHVCQUF1QixDQUFDLE1BQU0sSUFBSSxDQUFDLENBQUM7YUFDNU0sSUFBSSxzQkFBc0IsSUFBSSxDQUFDLENBQUM7WUFDakMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxRkFBcUYsV0FBVyxrQ0FBa0MsdUJBQXVCLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQzthQUNqTCxJQUFJLHNCQUFzQixJQUFJLENBQUM7WUFDaEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtRkFBbUYsV0FBVyxrQ0FBa0MsdUJBQXVCLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQzthQUMvSyxJQUFJLHNCQUFzQixJQUFJLENBQUM7WUFDaEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLHNCQUFzQiwyRUFBMkUsV0FBVyxrQ0FBa0MsdUJBQXVCLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQztLQUNqTjtJQUVELDZGQUE2RjtJQUM3Rix3RUFBd0U7SUFFeEUsSUFBSSxtQkFBbUIsR0FBRyx1QkFBdUIsQ0FBQyx1QkFBdUIsQ0FBQyxHQUFHLENBQUMsc0JBQXNCLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxpQkFBaUIsRUFBRSxzQkFBc0IsQ0FBQyxpQkFBaUIsRUFBRSxjQUFjLEVBQUUsR0FBRyxFQUFFLFVBQVUsRUFBRSxzQkFBc0IsQ0FBQyxVQUFVLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNoUCxJQUFJLG1CQUFtQixDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7UUFDaEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLG1CQUFtQixDQUFDLE1BQU0sd0ZBQXdGLENBQUMsQ0FBQztRQUM1SSxLQUFLLElBQUksSUFBSSxJQUFJLHlCQUF5QixDQUFDLG1CQUFtQixDQUFDO1lBQzNELE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxJQUFJLEVBQUUsQ0FBQyxDQUFDO0tBQ2xDO0lBRUQsT0FBTyxFQUFFLHVCQUF1QixFQUFFLHVCQUF1QixFQUFFLG9CQUFvQixFQUFFLG9CQUFvQixFQUFFLGVBQWUsRUFBRSxlQUFlLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxDQUFDO0FBQ3hLLENBQUM7QUFFRCxvRUFBb0U7QUFFcEUsU0FBUyxTQUFTLENBQUMsT0FBZSxFQUFFLE9BQWU7SUFDL0MsT0FBTyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQztBQUN2RyxDQUFDO0FBRUQsbURBQW1EO0FBRW5ELFNBQVMsS0FBSyxDQUFDLFlBQW9CO0lBQy9CLE9BQU8sSUFBSSxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsT0FBTyxFQUFFLFlBQVksQ0FBQyxDQUFDLENBQUM7QUFDckUsQ0FBQztBQUVELDRGQUE0RjtBQUM1RiwwRkFBMEY7QUFFMUYsTUFBTSxpQkFBaUIsR0FBRyxDQUFFLG1CQUFtQixFQUFFLFNBQVMsRUFBRSxhQUFhLEVBQUUsY0FBYyxFQUFFLGtCQUFrQixDQUFFLENBQUM7QUFFaEgsbUdBQW1HO0FBQ25HLGdHQUFnRztBQUVoRyxNQUFNLHlCQUF5QixHQUFHLENBQUUsaUJBQWlCLEVBQUUsV0FBVyxDQUFFLENBQUM7QUFFckUsNkZBQTZGO0FBQzdGLGlHQUFpRztBQUNqRyxnR0FBZ0c7QUFDaEcsZ0dBQWdHO0FBQ2hHLHNDQUFzQztBQUV0QyxLQUFLLFVBQVUsWUFBWSxDQUFDLE9BQWlCLEVBQUUsaUJBQXlCO0lBQ3BFLElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLGlCQUFpQixDQUFDO1FBQ2pDLEVBQUUsQ0FBQyxTQUFTLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUVwQyxLQUFLLElBQUksTUFBTSxJQUFJLE9BQU8sRUFBRTtRQUN4QixPQUFPLENBQUMsR0FBRyxDQUFDLG1DQUFtQyxNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBQ3pELElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsZ0JBQWdCLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDL0csSUFBSSxXQUFXLEdBQUcsRUFBRSxDQUFDO1FBRXJCLE1BQU0sUUFBUSxDQUFDLE1BQU0sRUFBRSxNQUFNLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLHVCQUF1QixFQUFFLFVBQVUsRUFBRSxzQkFBc0IsRUFBRSxFQUFFO1lBQzFHLFdBQVcsQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUM7WUFDN0QsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDO1lBQ3BCLElBQUksc0JBQXNCLEtBQUssU0FBUyxFQUFFO2dCQUN0QyxRQUFRLEdBQUcsRUFBRSxDQUFDO2dCQUNkLEtBQUssSUFBSSxTQUFTLElBQUksaUJBQWlCLENBQUMsTUFBTSxDQUFDLHlCQUF5QixDQUFDO29CQUNyRSxRQUFRLENBQUMsU0FBUyxDQUFDLEdBQUcsc0JBQXNCLENBQUMsU0FBUyxDQUFDLENBQUM7YUFDL0Q7WUFFRCxJQUFJLE9BQU8sR0FBRztnQkFDVixNQUFNLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUM7Z0JBQzFDLFVBQVUsRUFBRSxVQUFVO2dCQUN0QixjQUFjLEVBQUUsTUFBTTtnQkFDdEIsWUFBWSxFQUFFLHVCQUF1QixDQUFDLFlBQVk7Z0JBQ2xELFFBQVEsRUFBRSx1QkFBdUIsQ0FBQyxRQUFRO2dCQUMxQyxRQUFRLEVBQUUsUUFBUTthQUNyQixDQUFDO1lBQ0YsSUFBSSxlQUFlLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsRUFBRSxHQUFHLFFBQVEsU0FBUyxDQUFDLElBQUksR0FBRyxVQUFVLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxXQUFXLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1lBQzlJLEVBQUUsQ0FBQyxhQUFhLENBQUMsZUFBZSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztZQUMzRSxPQUFPLENBQUMsR0FBRyxDQUFDLHNCQUFzQixlQUFlLEVBQUUsQ0FBQyxDQUFDO1FBQ3pELENBQUMsQ0FBQyxDQUFDO0tBQ047QUFDTCxDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLGtHQUFrRztBQUNsRyxrR0FBa0c7QUFDbEcsb0ZBQW9GO0FBRXBGLFNBQVMsWUFBWSxDQUFDLGlCQUF5QjtJQUMzQyxJQUFJLGdCQUFnQixHQUFHLEVBQUUsQ0FBQyxVQUFVLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLFdBQVcsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO0lBQ3JLLElBQUksZ0JBQWdCLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtRQUMvQixPQUFPLENBQUMsR0FBRyxDQUFDLHlDQUF5QyxpQkFBaUIsY0FBYyxDQUFDLENBQUM7UUFDdEYsT0FBTyxLQUFLLENBQUM7S0FDaEI7SUFFRCxJQUFJLFdBQVcsR0FBRyxFQUFFLENBQUM7SUFDckIsSUFBSSxXQUFXLEdBQUcsRUFBRSxDQUFDO0lBQ3JCLEtBQUssSUFBSSxTQUFTLElBQUksQ0FBRSxhQUFhLENBQUUsQ0FBQyxNQUFNLENBQUMsaUJBQWlCLEVBQUUseUJBQXlCLENBQUMsRUFBRTtRQUMxRixXQUFXLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzNCLFdBQVcsQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUM7S0FDOUI7SUFFRCxLQUFLLElBQUksZUFBZSxJQUFJLGdCQUFnQixFQUFFO1FBQzFDLElBQUksT0FBTyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGlCQUFpQixFQUFFLGVBQWUsQ0FBQyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztRQUNwRyxvQkFBb0IsR0FBRyxtQkFBbUIsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLElBQUksYUFBYSxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNoRyxJQUFJLHNCQUFzQixHQUFHLHdCQUF3QixDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLFlBQVksRUFBRSxPQUFPLENBQUMsY0FBYyxDQUFDLENBQUM7UUFDdEgsSUFBSSxVQUFVLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxDQUFDLHlCQUF5QixDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEtBQUssSUFBSSxJQUFJLFNBQVMsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztRQUVySixxRUFBcUU7UUFFckUsV0FBVyxDQUFDLGFBQWEsQ0FBQyxFQUFFLENBQUM7UUFDN0IsSUFBSSxDQUFDLHNCQUFzQixLQUFLLFNBQVMsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLFFBQVEsS0FBSyxJQUFJLENBQUMsRUFBRTtZQUN4RSxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsZUFBZSxvQ0FBb0MsQ0FBQyxPQUFPLENBQUMsUUFBUSxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLFFBQVEsZUFBZSxDQUFDLHNCQUFzQixLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7WUFDck0sSUFBSSxPQUFPLENBQUMsUUFBUSxLQUFLLElBQUk7Z0JBQ3pCLEtBQUssSUFBSSxTQUFTLElBQUksVUFBVTtvQkFDNUIsV0FBVyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBRSxpQ0FBaUM7WUFDcEUsU0FBUztTQUNaO1FBQ0QsV0FBVyxDQUFDLGFBQWEsQ0FBQyxFQUFFLENBQUM7UUFDN0IsSUFBSSxPQUFPLENBQUMsUUFBUSxLQUFLLElBQUk7WUFDekIsU0FBUztRQUViLHlDQUF5QztRQUV6QyxLQUFLLElBQUksU0FBUyxJQUFJLFVBQVUsRUFBRTtZQUM5QixXQUFXLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQztZQUN6QixJQUFJLHNCQUFzQixDQUFDLFNBQVMsQ0FBQyxLQUFLLE9BQU8sQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDO2dCQUNqRSxXQUFXLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQzs7Z0JBRXpCLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxlQUFlLGNBQWMsU0FBUyxLQUFLLE9BQU8sQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLGlCQUFpQixzQkFBc0IsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDcEo7S0FDSjtJQUVELHFDQUFxQztJQUVyQyxJQUFJLFNBQVMsR0FBRyxJQUFJLENBQUM7SUFDckIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLGdCQUFnQixDQUFDLE1BQU0sY0FBYyxDQUFDLENBQUM7SUFDN0QsS0FBSyxJQUFJLFNBQVMsSUFBSSxDQUFFLGFBQWEsQ0FBRSxDQUFDLE1BQU0sQ0FBQyxpQkFBaUIsRUFBRSx5QkFBeUIsQ0FBQyxFQUFFO1FBQzFGLElBQUksUUFBUSxHQUFHLENBQUMsV0FBVyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxHQUFHLFdBQVcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxHQUFHLFdBQVcsQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUM5RyxPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sU0FBUyxLQUFLLFdBQVcsQ0FBQyxTQUFTLENBQUMsT0FBTyxXQUFXLENBQUMsU0FBUyxDQUFDLGFBQWEsUUFBUSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDMUgsSUFBSSxXQUFXLENBQUMsU0FBUyxDQUFDLEtBQUssV0FBVyxDQUFDLFNBQVMsQ0FBQztZQUNqRCxTQUFTLEdBQUcsS0FBSyxDQUFDO0tBQ3pCO0lBQ0QsT0FBTyxTQUFTLENBQUM7QUFDckIsQ0FBQztBQUVELCtGQUErRjtBQUMvRixzREFBc0Q7QUFFdEQsU0FBUyxvQkFBb0IsQ0FBQyxNQUF1RjtJQUNqSCxJQUFJLGVBQWUsR0FBRyxFQUFFLENBQUM7SUFDekIsS0FBSyxJQUFJLFNBQVMsSUFBSSxpQkFBaUIsRUFBRTtRQUNyQyxJQUFJLFdBQVcsR0FBRyxNQUFNLENBQUMsdUJBQXVCLENBQUMsR0FBRyxDQUFDLHNCQUFzQixDQUFDLEVBQUUsQ0FBQyxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxVQUFVLEtBQUssSUFBSSxJQUFJLFVBQVUsS0FBSyxTQUFTLENBQUMsQ0FBQztRQUNwTSxlQUFlLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxHQUFHLFdBQVcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsVUFBVSxFQUFFLEVBQUUsQ0FBQyxLQUFLLEdBQUcsVUFBVSxFQUFFLENBQUMsQ0FBQyxHQUFHLFdBQVcsQ0FBQyxNQUFNLENBQUMsR0FBRyxFQUFFLENBQUM7S0FDaEw7SUFDRCxPQUFPLEdBQUcsTUFBTSxDQUFDLHVCQUF1QixDQUFDLE1BQU0sWUFBWSxNQUFNLENBQUMsb0JBQW9CLENBQUMsTUFBTSwrQkFBK0IsaUJBQWlCLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsR0FBRyxTQUFTLElBQUksZUFBZSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQztBQUM5TixDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLDRGQUE0RjtBQUM1RiwrRkFBK0Y7QUFDL0YsdUVBQXVFO0FBRXZFLEtBQUssVUFBVSxvQkFBb0IsQ0FBQyxPQUFpQixFQUFFLEtBQWU7SUFDbEUsS0FBSyxJQUFJLElBQUksSUFBSSxLQUFLO1FBQ2xCLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDO1lBQ2xDLE1BQU0sSUFBSSxLQUFLLENBQUMsK0JBQStCLElBQUksdUJBQXVCLGtCQUFrQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFFckgsSUFBSSxRQUFRLEdBQWUsQ0FBRSxFQUFFLENBQUUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUUsSUFBSSxDQUFFLENBQUMsQ0FBQyxDQUFDO0lBQ3RFLElBQUksS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDO1FBQ2hCLFFBQVEsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7SUFFekIsSUFBSSxhQUFhLEdBQUcsYUFBYSxDQUFDLGtCQUFrQixDQUFDO0lBQ3JELElBQUk7UUFDQSxLQUFLLElBQUksTUFBTSxJQUFJLE9BQU8sRUFBRTtZQUN4QixJQUFJLE1BQU0sR0FBRyxNQUFNLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUNuQyxJQUFJLG9CQUFvQixHQUFHLFNBQVMsQ0FBQztZQUNyQyxJQUFJLFNBQVMsR0FBYSxFQUFFLENBQUM7WUFDN0IsS0FBSyxJQUFJLE9BQU8sSUFBSSxRQUFRLEVBQUU7Z0JBQzFCLElBQUksV0FBVyxHQUFHLENBQUMsT0FBTyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQ25GLE9BQU8sQ0FBQyxHQUFHLENBQUMseUJBQXlCLFdBQVcsS0FBSyxNQUFNLEVBQUUsQ0FBQyxDQUFDO2dCQUMvRCxhQUFhLENBQUMsa0JBQWtCLEdBQUcsT0FBTyxDQUFDO2dCQUMzQyxJQUFJLE1BQU0sR0FBRyxNQUFNLFFBQVEsQ0FBQyxNQUFNLEVBQUUsTUFBTSxDQUFDLENBQUM7Z0JBQzVDLFNBQVMsQ0FBQyxJQUFJLENBQUMsT0FBTyxXQUFXLEtBQUssb0JBQW9CLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDO2dCQUN0RSxJQUFJLG9CQUFvQixLQUFLLFNBQVMsRUFBRTtvQkFDcEMsb0JBQW9CLEdBQUcsTUFBTSxDQUFDLHVCQUF1QixDQUFDO29CQUN0RCxTQUFTO2lCQUNaO2dCQUVELGtGQUFrRjtnQkFDbEYsc0NBQXNDO2dCQUV0QyxJQUFJLFdBQVcsR0FBYSxFQUFFLENBQUM7Z0JBQy9CLEtBQUssSUFBSSxzQkFBc0IsSUFBSSxNQUFNLENBQUMsdUJBQXVCLEVBQUU7b0JBQy9ELElBQUksbUJBQW1CLEdBQUcsb0JBQW9CLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxVQUFVLEtBQUssc0JBQXNCLENBQUMsVUFBVSxJQUFJLGdCQUFnQixDQUFDLFdBQVcsS0FBSyxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsQ0FBQztvQkFDbE4sSUFBSSxtQkFBbUIsS0FBSyxTQUFTLEVBQUU7d0JBQ25DLFdBQVcsQ0FBQyxJQUFJLENBQUMsWUFBWSxzQkFBc0IsQ0FBQyxVQUFVLFVBQVUsc0JBQXNCLENBQUMsV0FBVyxzQkFBc0IsV0FBVyxPQUFPLHNCQUFzQixDQUFDLGlCQUFpQixLQUFLLENBQUMsQ0FBQzt3QkFDak0sU0FBUztxQkFDWjtvQkFDRCxLQUFLLElBQUksU0FBUyxJQUFJLGlCQUFpQjt3QkFDbkMsSUFBSSxzQkFBc0IsQ0FBQyxTQUFTLENBQUMsS0FBSyxtQkFBbUIsQ0FBQyxTQUFTLENBQUM7NEJBQ3BFLFdBQVcsQ0FBQyxJQUFJLENBQUMsWUFBWSxzQkFBc0IsQ0FBQyxVQUFVLFVBQVUsc0JBQXNCLENBQUMsV0FBVyxJQUFJLFNBQVMsT0FBTyxtQkFBbUIsQ0FBQyxTQUFTLENBQUMsZUFBZSxzQkFBc0IsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7aUJBQzdOO2dCQUNELEtBQUssSUFBSSxtQkFBbUIsSUFBSSxvQkFBb0I7b0JBQ2hELElBQUksQ0FBQyxNQUFNLENBQUMsdUJBQXVCLENBQUMsSUFBSSxDQUFDLHNCQUFzQixDQUFDLEVBQUUsQ0FBQyxzQkFBc0IsQ0FBQyxVQUFVLEtBQUssbUJBQW1CLENBQUMsVUFBVSxJQUFJLHNCQUFzQixDQUFDLFdBQVcsS0FBSyxtQkFBbUIsQ0FBQyxXQUFXLENBQUM7d0JBQzlNLFdBQVcsQ0FBQyxJQUFJLENBQUMsWUFBWSxtQkFBbUIsQ0FBQyxVQUFVLFVBQVUsbUJBQW1CLENBQUMsV0FBVywyQkFBMkIsV0FBVyxPQUFPLG1CQUFtQixDQUFDLGlCQUFpQixLQUFLLENBQUMsQ0FBQztnQkFDck0sT0FBTyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsV0FBVyxLQUFLLFdBQVcsQ0FBQyxNQUFNLElBQUksQ0FBQyxDQUFDO2dCQUN4RSxLQUFLLElBQUksVUFBVSxJQUFJLFdBQVc7b0JBQzlCLE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUM7YUFDL0I7WUFFRCxPQUFPLENBQUMsR0FBRyxDQUFDLGNBQWMsTUFBTSxHQUFHLENBQUMsQ0FBQztZQUNyQyxLQUFLLElBQUksT0FBTyxJQUFJLFNBQVM7Z0JBQ3pCLE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDNUI7S0FDSjtZQUFTO1FBQ04sYUFBYSxDQUFDLGtCQUFrQixHQUFHLGFBQWEsQ0FBQztLQUNwRDtBQUNMLENBQUM7QUFFRCxrR0FBa0c7QUFDbEcsaUZBQWlGO0FBRWpGLFNBQVMsUUFBUSxDQUFDLElBQVk7SUFDMUIsSUFBSSxJQUFJLEdBQWUsRUFBRSxDQUFDO0lBQzFCLElBQUksR0FBRyxHQUFhLEVBQUUsQ0FBQztJQUN2QixJQUFJLEtBQUssR0FBRyxFQUFFLENBQUM7SUFDZixJQUFJLFFBQVEsR0FBRyxLQUFLLENBQUM7SUFDckIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLElBQUksQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDOUMsSUFBSSxTQUFTLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUNuQyxJQUFJLFFBQVEsRUFBRTtZQUNWLElBQUksU0FBUyxLQUFLLElBQUksSUFBSSxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsS0FBSyxJQUFJLEVBQUU7Z0JBQ3ZELEtBQUssSUFBSSxJQUFJLENBQUM7Z0JBQ2QsS0FBSyxFQUFFLENBQUM7YUFDWDtpQkFBTSxJQUFJLFNBQVMsS0FBSyxJQUFJO2dCQUN6QixRQUFRLEdBQUcsS0FBSyxDQUFDOztnQkFFakIsS0FBSyxJQUFJLFNBQVMsQ0FBQztTQUMxQjthQUFNLElBQUksU0FBUyxLQUFLLElBQUk7WUFDekIsUUFBUSxHQUFHLElBQUksQ0FBQzthQUNmLElBQUksU0FBUyxLQUFLLEdBQUcsRUFBRTtZQUN4QixHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ2hCLEtBQUssR0FBRyxFQUFFLENBQUM7U0FDZDthQUFNLElBQUksU0FBUyxLQUFLLElBQUksRUFBRTtZQUMzQixHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDbkMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUNmLEdBQUcsR0FBRyxFQUFFLENBQUM7WUFDVCxLQUFLLEdBQUcsRUFBRSxDQUFDO1NBQ2Q7O1lBQ0csS0FBSyxJQUFJLFNBQVMsQ0FBQztLQUMxQjtJQUNELElBQUksS0FBSyxLQUFLLEVBQUUsSUFBSSxHQUFHLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtRQUNoQyxHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUM7UUFDbkMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztLQUNsQjtJQUVELElBQUksV0FBVyxHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBRSw2QkFBNkI7SUFDbEksT0FBTyxJQUFJLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRTtRQUN4RSxJQUFJLE1BQU0sR0FBRyxFQUFFLENBQUM7UUFDaEIsV0FBVyxDQUFDLE9BQU8sQ0FBQyxDQUFDLFVBQVUsRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLE1BQU0sQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUNySCxPQUFPLE1BQU0sQ0FBQztJQUNsQixDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsNkZBQTZGO0FBQzdGLDZGQUE2RjtBQUM3RixnR0FBZ0c7QUFDaEcsbUdBQW1HO0FBQ25HLDhDQUE4QztBQUU5QyxTQUFTLHFCQUFxQixDQUFDLFFBQWdCO0lBQzNDLElBQUksSUFBSSxHQUFHLEVBQUUsQ0FBQyxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDaEQsSUFBSSxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEVBQUU7UUFDakMsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUMsUUFBUSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRTtZQUNuRCxJQUFJLFNBQVMsR0FBRyxFQUFFLENBQUM7WUFDbkIsSUFBSSxZQUFZLEdBQUcsV0FBVyxDQUFDLEVBQUUsQ0FBQyxDQUFDLE9BQU8sV0FBVyxDQUFDLENBQUMsQ0FBQyxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxDQUFDO1lBQ3pJLElBQUksT0FBTyxDQUFDLFFBQVEsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLFdBQVc7Z0JBQ2hELFlBQVksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxDQUFDO1lBQy9DLElBQUksV0FBVyxHQUFHLENBQUMsU0FBUyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztnQkFDckQsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxRQUFRLEVBQUUsRUFBRSxDQUFDLEtBQUssR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLE1BQU07Z0JBQ2hGLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsUUFBUSxFQUFFLEVBQUUsQ0FBQyxLQUFLLEdBQUcsUUFBUSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxNQUFNO2FBQ25GLENBQUM7WUFDRixPQUFPLEVBQUUsVUFBVSxFQUFFLE9BQU8sQ0FBQyxVQUFVLElBQUksRUFBRSxFQUFFLFdBQVcsRUFBRSxDQUFDLFdBQVcsS0FBSyxTQUFTLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLEVBQUUsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztRQUM5SyxDQUFDLENBQUMsQ0FBQztLQUNOO0lBRUQsT0FBTyxRQUFRLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFO1FBQy9CLElBQUksUUFBUSxHQUFHLFVBQVUsQ0FBQyxpQkFBaUIsQ0FBQyxNQUFNLEVBQUUsbUJBQW1CLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztRQUNuRixJQUFJLFNBQVMsR0FBRyxVQUFVLENBQUMsaUJBQWlCLENBQUMsTUFBTSxFQUFFLG1CQUFtQixDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7UUFDckYsT0FBTyxFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFFLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBRSxTQUFTLEVBQUUsUUFBUSxDQUFFLENBQUMsQ0FBQyxDQUFDLFNBQVMsRUFBRSxDQUFDO0lBQzdILENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELGlHQUFpRztBQUNqRyxnQkFBZ0I7QUFFaEIsU0FBUyxpQkFBaUIsQ0FBQyxRQUFnQixFQUFFLFNBQWlCO0lBQzFELE9BQU8sQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLElBQUksUUFBUSxJQUFJLENBQUMsRUFBRSxJQUFJLFFBQVEsSUFBSSxFQUFFLElBQUksU0FBUyxJQUFJLENBQUMsR0FBRyxJQUFJLFNBQVMsSUFBSSxHQUFHLENBQUM7QUFDL0gsQ0FBQztBQUVELHdGQUF3RjtBQUV4RixTQUFTLG9CQUFvQixDQUFDLFFBQWdCO0lBQzFDLE9BQU8scUJBQXFCLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxDQUFDO0FBQzlFLENBQUM7QUFFRCxrR0FBa0c7QUFDbEcseUVBQXlFO0FBRXpFLFNBQVMsaUJBQWlCLENBQUMsTUFBVyxFQUFFLG1CQUE2QjtJQUNqRSxLQUFLLElBQUksa0JBQWtCLElBQUksbUJBQW1CLEVBQUU7UUFDaEQsSUFBSSxTQUFTLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsV0FBVyxFQUFFLEtBQUssa0JBQWtCLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztRQUNwSCxJQUFJLFNBQVMsS0FBSyxTQUFTLElBQUksTUFBTSxDQUFDLFNBQVMsQ0FBQyxLQUFLLElBQUksSUFBSSxNQUFNLENBQUMsU0FBUyxDQUFDLEtBQUssU0FBUztZQUN4RixPQUFPLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQztLQUNsRDtJQUNELE9BQU8sRUFBRSxDQUFDO0FBQ2QsQ0FBQztBQUVELGlHQUFpRztBQUNqRyxVQUFVO0FBRVYsU0FBUyxXQUFXLENBQUMsSUFBWTtJQUM3QixPQUFPLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxPQUFPLENBQUMsc0JBQXNCLEVBQUUsQ0FBQyxLQUFLLEVBQUUsU0FBUyxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsU0FBUyxHQUFHLE1BQU0sQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0FBQzlILENBQUM7QUFFRCxpR0FBaUc7QUFFakcsU0FBUyxxQkFBcUIsQ0FBQyxLQUFhLEVBQUUsS0FBYTtJQUN2RCxJQUFJLE9BQU8sR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQy9CLElBQUksT0FBTyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDL0IsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ3JKLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsbUVBQW1FO0FBRW5FLFNBQVMsa0JBQWtCLENBQUMsUUFBZ0IsRUFBRSxLQUFlLEVBQUUsUUFBaUI7SUFDNUUsSUFBSSxhQUFhLEdBQUcsRUFBRSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztJQUNqSyxJQUFJLFVBQVUsR0FBRyxLQUFLLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7SUFDckUsSUFBSSxZQUFZLEdBQUcsYUFBYSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBRXZFLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxRQUFRLEtBQUssVUFBVSxDQUFDLE1BQU0sY0FBYyxZQUFZLENBQUMsTUFBTSxhQUFhLEtBQUssQ0FBQyxNQUFNLGFBQWEsQ0FBQyxDQUFDO0lBQ3RILEtBQUssSUFBSSxJQUFJLElBQUksVUFBVTtRQUN2QixPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUNqQyxLQUFLLElBQUksSUFBSSxJQUFJLFlBQVk7UUFDekIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLElBQUksRUFBRSxDQUFDLENBQUM7SUFFakMsSUFBSSxDQUFDLFFBQVEsSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxJQUFJLFlBQVksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO1FBQy9ELEVBQUUsQ0FBQyxhQUFhLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7QUFDNUQsQ0FBQztBQUVELGdHQUFnRztBQUNoRyxrR0FBa0c7QUFDbEcsZ0dBQWdHO0FBQ2hHLCtGQUErRjtBQUMvRix1REFBdUQ7QUFDdkQsMkZBQTJGO0FBQzNGLDRDQUE0QztBQUU1QyxTQUFTLGdCQUFnQixDQUFDLGFBQXFCLEVBQUUsa0JBQTBCLEVBQUUsT0FBbUM7SUFDNUcsSUFBSSxnQkFBZ0IsR0FBRyxPQUFPLENBQUMsbUJBQW1CLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBRSxPQUFPLENBQUMsbUJBQW1CLENBQUMsQ0FBRSxDQUFDLENBQUMsQ0FBQyxtQkFBbUIsQ0FBQyxVQUFVLENBQUM7SUFDeEgsSUFBSSxnQkFBZ0IsR0FBRyxPQUFPLENBQUMsbUJBQW1CLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBRSxPQUFPLENBQUMsbUJBQW1CLENBQUMsQ0FBRSxDQUFDLENBQUMsQ0FBQyxtQkFBbUIsQ0FBQyxVQUFVLENBQUM7SUFDeEgsSUFBSSxrQkFBa0IsR0FBRyxPQUFPLENBQUMscUJBQXFCLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBRSxPQUFPLENBQUMscUJBQXFCLENBQUMsQ0FBRSxDQUFDLENBQUMsQ0FBQyxtQkFBbUIsQ0FBQyxZQUFZLENBQUM7SUFDaEksSUFBSSxZQUFZLEdBQUcsT0FBTyxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFFLE9BQU8sQ0FBQyxjQUFjLENBQUMsQ0FBRSxDQUFDLENBQUMsQ0FBQyxtQkFBbUIsQ0FBQyxNQUFNLENBQUM7SUFDdEcsSUFBSSxjQUFjLEdBQUcsT0FBTyxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUUsT0FBTyxDQUFDLGdCQUFnQixDQUFDLENBQUUsQ0FBQyxDQUFDLENBQUMsbUJBQW1CLENBQUMsUUFBUSxDQUFDO0lBQzlHLElBQUksYUFBYSxHQUFHLE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBRSxPQUFPLENBQUMsZUFBZSxDQUFDLENBQUUsQ0FBQyxDQUFDLENBQUMsbUJBQW1CLENBQUMsT0FBTyxDQUFDO0lBQzFHLElBQUksT0FBTyxHQUFHLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxJQUFJLGVBQWUsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQ3BFLElBQUksZUFBZSxHQUFHLE1BQU0sQ0FBQyxFQUFFLEdBQUcsSUFBSSxhQUFhLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxFQUFFLGFBQWEsQ0FBQyxDQUFDLENBQUMsT0FBTyxhQUFhLEtBQUssRUFBRSxJQUFJLGFBQWEsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFaEwsMkZBQTJGO0lBQzNGLGtDQUFrQztJQUVsQyxJQUFJLFNBQVMsR0FBRyxFQUFFLENBQUM7SUFDbkIsS0FBSyxJQUFJLFVBQVUsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxFQUFFO1FBQzdDLElBQUksYUFBYSxHQUFHLGFBQWEsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7UUFDaEUsSUFBSSxhQUFhLEtBQUssSUFBSTtZQUN0QixTQUFTLENBQUMsVUFBVSxDQUFDLFdBQVcsRUFBRSxDQUFDLEdBQUcsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQzlEO0lBRUQsSUFBSSxPQUFPLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLElBQUksY0FBYyxHQUFHLG9CQUFvQixDQUFDLGFBQWEsQ0FBQyxDQUFDO0lBQ3pELElBQUksa0JBQWtCLEdBQUcsQ0FBQyxrQkFBa0IsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxvQkFBb0IsQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDO0lBQzVHLEtBQUssSUFBSSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsSUFBSSxDQUFFLEVBQUUsUUFBUSxFQUFFLGFBQWEsRUFBRSxPQUFPLEVBQUUsY0FBYyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsa0JBQWtCLEVBQUUsT0FBTyxFQUFFLGtCQUFrQixFQUFFLENBQUUsRUFBRTtRQUN2SixJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLGlCQUFpQixDQUFDLE1BQU0sRUFBRSxhQUFhLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRTtZQUNoRyxPQUFPLENBQUMsR0FBRyxDQUFDLHFCQUFxQixhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxtQkFBbUIsUUFBUSwrQ0FBK0MsT0FBTyw2RkFBNkYsQ0FBQyxDQUFDO1lBQ3pPLE9BQU87U0FDVjtLQUNKO0lBQ0QsSUFBSSxXQUFXLEdBQUcsY0FBYyxDQUFDLE1BQU0sQ0FBQyxlQUFlLENBQUMsQ0FBQztJQUN6RCxJQUFJLGVBQWUsR0FBRyxrQkFBa0IsQ0FBQyxNQUFNLENBQUMsZUFBZSxDQUFDLENBQUM7SUFDakUsS0FBSyxJQUFJLE1BQU0sSUFBSSxlQUFlLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxFQUFFO1FBQ3BELElBQUksTUFBTSxHQUFHLGlCQUFpQixDQUFDLE1BQU0sRUFBRSxZQUFZLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQzFGLElBQUksUUFBUSxHQUFHLGlCQUFpQixDQUFDLE1BQU0sRUFBRSxjQUFjLENBQUMsQ0FBQztRQUN6RCxJQUFJLE1BQU0sS0FBSyxFQUFFO1lBQ2IsU0FBUztRQUNiLE9BQU8sQ0FBQyxNQUFNLENBQUMsR0FBRyxJQUFJLENBQUM7UUFDdkIsSUFBSSxZQUFZLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQztZQUMzQixTQUFTLENBQUMsTUFBTSxDQUFDLEdBQUcsUUFBUSxDQUFDO0tBQ3BDO0lBRUQsbUZBQW1GO0lBRW5GLElBQUksV0FBVyxHQUFhLEVBQUUsQ0FBQztJQUMvQixLQUFLLElBQUksTUFBTSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUU7UUFDckMsSUFBSSxTQUFTLENBQUMsTUFBTSxDQUFDLEtBQUssU0FBUztZQUMvQixPQUFPLENBQUMsR0FBRyxDQUFDLDBCQUEwQixNQUFNLHVDQUF1QyxDQUFDLENBQUM7O1lBRXJGLFdBQVcsQ0FBQyxJQUFJLENBQUMsR0FBRyxNQUFNLElBQUksTUFBTSxPQUFPLFNBQVMsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLENBQUM7S0FDdkU7SUFDRCxXQUFXLENBQUMsSUFBSSxDQUFDLHFCQUFxQixDQUFDLENBQUM7SUFFeEMsNkZBQTZGO0lBQzdGLDhEQUE4RDtJQUU5RCxJQUFJLFdBQVcsR0FBYSxFQUFFLENBQUM7SUFDL0IsS0FBSyxJQUFJLE1BQU0sSUFBSSxXQUFXLEVBQUU7UUFDNUIsSUFBSSxVQUFVLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxFQUFFLGdCQUFnQixDQUFDLENBQUM7UUFDN0QsSUFBSSxVQUFVLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxFQUFFLGdCQUFnQixDQUFDLENBQUM7UUFDN0QsSUFBSSxZQUFZLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxFQUFFLGtCQUFrQixDQUFDLENBQUM7UUFDakUsSUFBSSxNQUFNLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxFQUFFLFlBQVksQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUM7UUFDMUYsSUFBSSxVQUFVLEtBQUssRUFBRSxJQUFJLE1BQU0sS0FBSyxFQUFFLElBQUksU0FBUyxDQUFDLE1BQU0sQ0FBQyxLQUFLLFNBQVM7WUFDckUsU0FBUztRQUViLFVBQVUsR0FBRyxjQUFjLENBQUMsVUFBVSxDQUFDLFdBQVcsRUFBRSxDQUFDLElBQUksVUFBVSxDQUFDO1FBQ3BFLElBQUksSUFBSSxHQUFHLEdBQUcsV0FBVyxDQUFDLENBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxZQUFZLENBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLE1BQU0sT0FBTyxTQUFTLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQztRQUNoSixJQUFJLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUM7WUFDM0IsV0FBVyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztLQUM5QjtJQUNELFdBQVcsQ0FBQyxJQUFJLENBQUMscUJBQXFCLENBQUMsQ0FBQztJQUV4QyxJQUFJLFdBQVcsQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLFdBQVcsQ0FBQyxNQUFNLEtBQUssQ0FBQyxFQUFFO1FBQ3RELE9BQU8sQ0FBQyxHQUFHLENBQUMsdURBQXVELE9BQU8sbURBQW1ELENBQUMsQ0FBQztRQUMvSCxPQUFPO0tBQ1Y7SUFFRCxJQUFJLFFBQVEsR0FBRyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsS0FBSyxTQUFTLENBQUMsQ0FBQztJQUNsRCxrQkFBa0IsQ0FBQyxpQkFBaUIsRUFBRSxXQUFXLEVBQUUsUUFBUSxDQUFDLENBQUM7SUFDN0Qsa0JBQWtCLENBQUMsaUJBQWlCLEVBQUUsV0FBVyxFQUFFLFFBQVEsQ0FBQyxDQUFDO0lBQzdELElBQUksUUFBUTtRQUNSLE9BQU8sQ0FBQyxHQUFHLENBQUMsaUZBQWlGLENBQUMsQ0FBQztBQUN2RyxDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLGdHQUFnRztBQUNoRyxtREFBbUQ7QUFFbkQsU0FBUyxnQkFBZ0IsQ0FBQyxvQkFBOEI7SUFDcEQsSUFBSSxtQkFBbUIsR0FBYSxFQUFFLENBQUM7SUFDdkMsSUFBSSxPQUFPLEdBQStCLEVBQUUsQ0FBQztJQUM3QyxLQUFLLElBQUksbUJBQW1CLElBQUksb0JBQW9CLEVBQUU7UUFDbEQsSUFBSSxXQUFXLEdBQUcscUJBQXFCLENBQUMsSUFBSSxDQUFDLG1CQUFtQixDQUFDLENBQUM7UUFDbEUsSUFBSSxXQUFXLEtBQUssSUFBSTtZQUNwQixtQkFBbUIsQ0FBQyxJQUFJLENBQUMsbUJBQW1CLENBQUMsQ0FBQzs7WUFFOUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQztLQUMxRjtJQUNELE9BQU8sRUFBRSxPQUFPLEVBQUUsbUJBQW1CLENBQUMsS0FBSyxFQUFFLEVBQUUsU0FBUyxFQUFFLG1CQUFtQixFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsQ0FBQztBQUN0RyxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLHlEQUF5RDtBQUV6RCxTQUFTLGVBQWUsQ0FBQyxTQUFtQjtJQUN4QyxJQUFJLE9BQU8sR0FBYSxFQUFFLENBQUM7SUFDM0IsS0FBSyxJQUFJLFFBQVEsSUFBSSxTQUFTLEVBQUU7UUFDNUIsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDO1lBQ3hCLE1BQU0sSUFBSSxLQUFLLENBQUMsMEJBQTBCLFFBQVEsbUJBQW1CLENBQUMsQ0FBQztRQUUzRSxJQUFJLFlBQVksR0FBRyxDQUFFLFFBQVEsQ0FBRSxDQUFDO1FBQ2hDLElBQUksRUFBRSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxXQUFXLEVBQUU7WUFDbkMsWUFBWSxHQUFHLEVBQUUsQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLFdBQVcsRUFBRSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEdBQUcsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7UUFFOUosS0FBSyxJQUFJLFdBQVcsSUFBSSxZQUFZLEVBQUU7WUFDbEMsSUFBSSxNQUFNLEdBQUcsVUFBVSxDQUFDLFdBQVcsQ0FBQyxDQUFDO1lBQ3JDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxLQUFLLE1BQU0sQ0FBQyxFQUFHLG1CQUFtQjtnQkFDMUQsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztTQUM1QjtLQUNKO0lBQ0QsT0FBTyxPQUFPLENBQUM7QUFDbkIsQ0FBQztBQUVELCtGQUErRjtBQUMvRixlQUFlO0FBRWYsS0FBSyxVQUFVLFVBQVU7SUFDckIsSUFBSSxPQUFPLEdBQWEsRUFBRSxDQUFDO0lBQzNCLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssSUFBSSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRyx3QkFBd0I7UUFDakUsSUFBSSxHQUFHLEdBQUcsMEJBQTBCLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztRQUN6RSxPQUFPLENBQUMsR0FBRyxDQUFDLG9CQUFvQixHQUFHLEVBQUUsQ0FBQyxDQUFDO1FBRXZDLElBQUksSUFBSSxHQUFHLE1BQU0sT0FBTyxDQUFDLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZFLE1BQU0sS0FBSyxDQUFDLElBQUksR0FBRyxTQUFTLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO1FBQzNDLElBQUksQ0FBQyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7UUFFM0IsS0FBSyxJQUFJLE9BQU8sSUFBSSxDQUFDLENBQUMsMEJBQTBCLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRTtZQUNyRCxJQUFJLE1BQU0sR0FBRyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsMEJBQTBCLENBQUMsQ0FBQztZQUNqRixNQUFNLENBQUMsUUFBUSxHQUFHLE1BQU0sQ0FBQyxDQUFFLHFDQUFxQztZQUNoRSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQztnQkFDMUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLEtBQUssTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFHLG1CQUFtQjtvQkFDL0QsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDckM7S0FDSjtJQUNELE9BQU8sT0FBTyxDQUFDO0FBQ25CLENBQUM7QUFFRCxpR0FBaUc7QUFFakcsS0FBSyxVQUFVLHFCQUFxQixDQUFDLFFBQVEsRUFBRSxNQUFjLEVBQUUsTUFBYyxFQUFFLGNBQXVCO0lBQ2xHLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXFCLE1BQU0sRUFBRSxDQUFDLENBQUM7SUFDM0MsSUFBSSxNQUFNLEdBQUcsTUFBTSxRQUFRLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUUsY0FBYyxDQUFDLENBQUM7SUFDdkUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLE1BQU0sQ0FBQyx1QkFBdUIsQ0FBQyxNQUFNLDhDQUE4QyxNQUFNLEVBQUUsQ0FBQyxDQUFDO0lBRW5ILDJGQUEyRjtJQUMzRix5Q0FBeUM7SUFFekMsSUFBSSxNQUFNLENBQUMsRUFBRTtRQUNULE1BQU0sQ0FBQyxFQUFFLEVBQUUsQ0FBQztJQUVoQixPQUFPLENBQUMsR0FBRyxDQUFDLHVEQUF1RCxDQUFDLENBQUM7SUFDckUsS0FBSyxJQUFJLGNBQWMsSUFBSSxNQUFNLENBQUMsZUFBZTtRQUM3QyxNQUFNLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxjQUFjLENBQUMsQ0FBQztJQUV0RCxJQUFJLHNCQUFzQixHQUFHLElBQUksR0FBRyxDQUFTLENBQUMsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLHdDQUF3QyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQztJQUN4SixJQUFJLDJCQUEyQixHQUFHLE1BQU0sQ0FBQyx1QkFBdUIsQ0FBQyxHQUFHLENBQUMsc0JBQXNCLENBQUMsRUFBRSxDQUFDLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUM7SUFDekksS0FBSyxJQUFJLHNCQUFzQixJQUFJLE1BQU0sQ0FBQyx1QkFBdUI7UUFDN0Qsc0JBQXNCLENBQUMsR0FBRyxDQUFDLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUM7SUFDekUsS0FBSyxJQUFJLHNCQUFzQixJQUFJLE1BQU0sQ0FBQyx1QkFBdUIsRUFBRTtRQUMvRCxJQUFJLE1BQU0scUJBQXFCLENBQUMsUUFBUSxFQUFFLHNCQUFzQixFQUFFLHNCQUFzQixFQUFFLDJCQUEyQixDQUFDO1lBQ2xILE1BQU0saUJBQWlCLENBQUMsUUFBUSxFQUFFLHNCQUFzQixDQUFDLENBQUM7O1lBRTFELE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMseUJBQXlCLENBQUMsc0JBQXNCLENBQUMsQ0FBQyxDQUFDO0tBQzNGO0lBQ0QsTUFBTSxzQkFBc0IsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBQyxvQkFBb0IsQ0FBQyxDQUFDO0lBQzVFLE9BQU8sTUFBTSxDQUFDO0FBQ2xCLENBQUM7QUFFRCxtR0FBbUc7QUFFbkcsS0FBSyxVQUFVLDJCQUEyQixDQUFDLFFBQVE7SUFDL0MsSUFBSSxJQUFJLEdBQUcsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLHdGQUF3RixFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQ2pJLEtBQUssSUFBSSxHQUFHLElBQUksSUFBSSxFQUFFO1FBQ2xCLElBQUksTUFBTSxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3BDLElBQUksWUFBWSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsR0FBRyxTQUFTLE1BQU0sTUFBTSxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDM0csT0FBTyxDQUFDLEdBQUcsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxLQUFLLEtBQUssR0FBRyxDQUFDLFFBQVEsU0FBUyxHQUFHLENBQUMsV0FBVyxVQUFVLEdBQUcsQ0FBQyxZQUFZLEtBQUssR0FBRyxDQUFDLE1BQU0saUJBQWlCLEdBQUcsQ0FBQyxnQkFBZ0IsSUFBSSxDQUFDLFlBQVksS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLEdBQUcsWUFBWSxFQUFFLENBQUMsQ0FBQztLQUMzTTtJQUNELE9BQU8sQ0FBQyxHQUFHLENBQUMsU0FBUyxJQUFJLENBQUMsTUFBTSw4QkFBOEIsQ0FBQyxDQUFDO0FBQ3BFLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsNEZBQTRGO0FBQzVGLDRGQUE0RjtBQUU1RixLQUFLLFVBQVUsOEJBQThCLENBQUMsUUFBUSxFQUFFLEVBQVc7SUFDL0QsSUFBSSxJQUFJLEdBQUcsQ0FBQyxFQUFFLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQztRQUMzQixNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsd0ZBQXdGLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUN2SCxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsdURBQXVELEVBQUUsQ0FBRSxFQUFFLENBQUUsQ0FBQyxDQUFDO0lBRTdGLElBQUksV0FBVyxHQUFHLENBQUMsQ0FBQztJQUNwQixLQUFLLElBQUksR0FBRyxJQUFJLElBQUksRUFBRTtRQUNsQixPQUFPLENBQUMsR0FBRyxDQUFDLG9DQUFvQyxHQUFHLENBQUMsS0FBSyxVQUFVLEdBQUcsQ0FBQyxRQUFRLFNBQVMsR0FBRyxDQUFDLFdBQVcsVUFBVSxHQUFHLENBQUMsWUFBWSxHQUFHLENBQUMsQ0FBQztRQUN0SSxJQUFJLFNBQVMsR0FBRyxTQUFTLENBQUM7UUFDMUIsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDeEMsSUFBSSxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUN2QixPQUFPLENBQUMsR0FBRyxDQUFDLHdHQUF3RyxDQUFDLENBQUM7WUFDdEgsU0FBUztTQUNaO1FBQ0Qsb0JBQW9CLEdBQUcsbUJBQW1CLENBQUMsUUFBUSxDQUFDLElBQUksYUFBYSxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN4RixJQUFJLHNCQUFzQixHQUFHLHdCQUF3QixDQUFDLFFBQVEsRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxhQUFhLENBQUMsRUFBRSxHQUFHLENBQUMsUUFBUSxFQUFFLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsU0FBUyxHQUFHLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLENBQUMsQ0FBQztRQUNqTCxJQUFJLHNCQUFzQixLQUFLLFNBQVMsRUFBRTtZQUN0QyxNQUFNLFlBQVksQ0FBQyxRQUFRLEVBQUUsZ0dBQWdHLEVBQUUsQ0FBRSxTQUFTLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxFQUFFLFNBQVMsQ0FBQyxNQUFNLENBQUMsaUJBQWlCLElBQUksSUFBSSxFQUFFLEdBQUcsQ0FBQyxLQUFLLENBQUUsQ0FBQyxDQUFDO1lBQzlPLFNBQVM7U0FDWjtRQUVELE1BQU0sQ0FBQyxNQUFNLENBQUMsc0JBQXNCLEVBQUUsRUFBRSxVQUFVLEVBQUUsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7UUFDdkUsSUFBSSxzQkFBc0IsR0FBRyxJQUFJLEdBQUcsQ0FBUyxDQUFDLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSx3Q0FBd0MsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUM7UUFDeEosSUFBSSwyQkFBMkIsR0FBRyxDQUFDLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSw2REFBNkQsRUFBRSxDQUFFLEdBQUcsQ0FBQyxRQUFRLENBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLGlCQUFpQixDQUFDLENBQUM7UUFDL0ssSUFBSSxDQUFDLE1BQU0scUJBQXFCLENBQUMsUUFBUSxFQUFFLHNCQUFzQixFQUFFLHNCQUFzQixFQUFFLDJCQUEyQixDQUFDLEVBQUU7WUFDckgsTUFBTSxZQUFZLENBQUMsUUFBUSxFQUFFLHdEQUF3RCxFQUFFLENBQUUsZ0NBQWdDLEVBQUUsR0FBRyxDQUFDLEtBQUssQ0FBRSxDQUFDLENBQUM7WUFDeEksU0FBUztTQUNaO1FBQ0QsTUFBTSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsc0JBQXNCLENBQUMsQ0FBQztRQUMxRCxNQUFNLFlBQVksQ0FBQyxRQUFRLEVBQUUsNENBQTRDLEVBQUUsQ0FBRSxHQUFHLENBQUMsS0FBSyxDQUFFLENBQUMsQ0FBQztRQUMxRixXQUFXLEVBQUUsQ0FBQztLQUNqQjtJQUNELE9BQU8sQ0FBQyxHQUFHLENBQUMsVUFBVSxXQUFXLE9BQU8sSUFBSSxDQUFDLE1BQU0sOEJBQThCLENBQUMsQ0FBQztBQUN2RixDQUFDO0FBRUQsOEVBQThFO0FBRTlFLFNBQVMsU0FBUyxDQUFDLFdBQXFCLEVBQUUsSUFBVztJQUNqRCxJQUFJLFdBQVcsR0FBRyxLQUFLLENBQUMsRUFBRTtRQUN0QixJQUFJLElBQUksR0FBRyxDQUFDLEtBQUssS0FBSyxJQUFJLElBQUksS0FBSyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUMzRSxPQUFPLFVBQVUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQzVFLENBQUMsQ0FBQztJQUNGLE9BQU8sQ0FBRSxXQUFXLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztBQUN2TCxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLFNBQVM7QUFFVCxLQUFLLFVBQVUsY0FBYyxDQUFDLFFBQVE7SUFDbEMsT0FBTyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsMlJBQTJSLEVBQUUsRUFBRSxDQUFDLENBQUM7QUFDcFUsQ0FBQztBQUVELDRFQUE0RTtBQUU1RSxLQUFLLFVBQVUsa0JBQWtCLENBQUMsUUFBUSxFQUFFLFVBQWtCLEVBQUUsY0FBc0I7SUFDbEYsSUFBSSxJQUFJLEdBQUcsTUFBTSxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDMUMsSUFBSSxVQUFVLEtBQUssUUFBUSxFQUFFO1FBQ3pCLElBQUksV0FBVyxHQUFHLENBQUUsbUJBQW1CLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxTQUFTLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxtQkFBbUIsRUFBRSwrQkFBK0IsRUFBRSxvQkFBb0IsRUFBRSx3QkFBd0IsRUFBRSwwQkFBMEIsRUFBRSw4QkFBOEIsRUFBRSxVQUFVLEVBQUUsYUFBYSxDQUFFLENBQUM7UUFDOVMsRUFBRSxDQUFDLGFBQWEsQ0FBQyxjQUFjLEVBQUUsU0FBUyxDQUFDLFdBQVcsRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQy9ELE9BQU8sQ0FBQyxHQUFHLENBQUMsWUFBWSxJQUFJLENBQUMsTUFBTSwyQ0FBMkMsY0FBYyxFQUFFLENBQUMsQ0FBQztRQUNoRyxPQUFPO0tBQ1Y7SUFFRCxLQUFLLElBQUksR0FBRyxJQUFJLElBQUk7UUFDaEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxpQkFBaUIsS0FBSyxHQUFHLENBQUMsVUFBVSxlQUFlLEdBQUcsQ0FBQyxVQUFVLGVBQWUsR0FBRyxDQUFDLE9BQU8scUJBQXFCLEdBQUcsQ0FBQyxXQUFXLHVCQUF1QixHQUFHLENBQUMsYUFBYSxZQUFZLEdBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO0lBQzFOLE9BQU8sQ0FBQyxHQUFHLENBQUMsU0FBUyxJQUFJLENBQUMsTUFBTSxzQ0FBc0MsQ0FBQyxDQUFDO0FBQzVFLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsaUdBQWlHO0FBQ2pHLCtCQUErQjtBQUUvQixLQUFLLFVBQVUsZUFBZSxDQUFDLFFBQVEsRUFBRSxPQUF5RTtJQUM5RyxJQUFJLFlBQVksR0FBRyxlQUFlLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDNUMsT0FBTyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsdUJBQXVCLFlBQVksQ0FBQyxHQUFHLGdEQUFnRCxFQUFFLFlBQVksQ0FBQyxVQUFVLENBQUMsQ0FBQztBQUNySixDQUFDO0FBRUQsb0dBQW9HO0FBRXBHLFNBQVMsZUFBZSxDQUFDLE9BQXlFO0lBQzlGLElBQUksVUFBVSxHQUFhLEVBQUUsQ0FBQztJQUM5QixJQUFJLFVBQVUsR0FBVSxFQUFFLENBQUM7SUFDM0IsSUFBSSxPQUFPLENBQUMsSUFBSSxLQUFLLFNBQVMsRUFBRTtRQUM1QixVQUFVLENBQUMsSUFBSSxDQUFDLHNCQUFzQixDQUFDLENBQUM7UUFDeEMsVUFBVSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7S0FDakM7SUFDRCxJQUFJLE9BQU8sQ0FBQyxFQUFFLEtBQUssU0FBUyxFQUFFO1FBQzFCLFVBQVUsQ0FBQyxJQUFJLENBQUMsc0JBQXNCLENBQUMsQ0FBQztRQUN4QyxVQUFVLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsQ0FBQztLQUMvQjtJQUNELElBQUksT0FBTyxDQUFDLE1BQU0sS0FBSyxTQUFTLEVBQUU7UUFDOUIsVUFBVSxDQUFDLElBQUksQ0FBQyw0QkFBNEIsQ0FBQyxDQUFDO1FBQzlDLFVBQVUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO0tBQ25DO0lBQ0QsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLFNBQVMsRUFBRTtRQUM5QixVQUFVLENBQUMsSUFBSSxDQUFDLHNCQUFzQixDQUFDLENBQUM7UUFDeEMsVUFBVSxDQUFDLElBQUksQ0FBQyxJQUFJLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0tBQzFDO0lBQ0QsT0FBTyxFQUFFLEdBQUcsRUFBRSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsU0FBUyxHQUFHLFVBQVUsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSxDQUFDO0FBQ2xILENBQUM7QUFFRCw0RkFBNEY7QUFDNUYsK0ZBQStGO0FBRS9GLFNBQVMsYUFBYSxDQUFDLElBQVc7SUFDOUIsSUFBSSxRQUFRLEdBQUcsRUFBRSxDQUFDO0lBQ2xCLEtBQUssSUFBSSxHQUFHLElBQUksSUFBSSxFQUFFO1FBQ2xCLElBQUksV0FBVyxHQUFHLENBQUMsR0FBRyxDQUFDLEdBQUcsS0FBSyxJQUFJLElBQUksR0FBRyxDQUFDLEdBQUcsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsR0FBRyxDQUFDLEdBQUcsRUFBRSxTQUFTLEVBQUUsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLE1BQU0sS0FBSyxJQUFJLElBQUksR0FBRyxDQUFDLE1BQU0sS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsaUJBQWlCLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUNqTixJQUFJLFdBQVcsS0FBSyxTQUFTO1lBQ3pCLFNBQVM7UUFDYixJQUFJLFVBQVUsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsRUFBRSxHQUFHLENBQUMsQ0FBQztRQUN4QyxPQUFPLFVBQVUsQ0FBQyxHQUFHLENBQUM7UUFDdEIsT0FBTyxVQUFVLENBQUMsR0FBRyxDQUFDO1FBQ3RCLFFBQVEsQ0FBQyxJQUFJLENBQUM7WUFDVixJQUFJLEVBQUUsU0FBUztZQUNmLFFBQVEsRUFBRSxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsV0FBVyxFQUFFLENBQUUsV0FBVyxDQUFDLFNBQVMsRUFBRSxXQUFXLENBQUMsUUFBUSxDQUFFLEVBQUU7WUFDekYsVUFBVSxFQUFFLFVBQVU7U0FDekIsQ0FBQyxDQUFDO0tBQ047SUFDRCxPQUFPLEVBQUUsSUFBSSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsRUFBRSxJQUFJLEVBQUUsbUJBQW1CLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLEVBQUUsWUFBWSxFQUFFLFFBQVEsQ0FBQyxNQUFNLEVBQUUsQ0FBQztBQUN0SSxDQUFDO0FBRUQsdUZBQXVGO0FBRXZGLEtBQUssVUFBVSxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsTUFBYyxFQUFFLGNBQXNCLEVBQUUsT0FBeUU7SUFDekosSUFBSSxJQUFJLEdBQUcsTUFBTSxlQUFlLENBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQ3BELElBQUksTUFBTSxLQUFLLEtBQUssRUFBRTtRQUNsQixJQUFJLFdBQVcsR0FBRyxDQUFDLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSwyQkFBMkIsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNsRyxFQUFFLENBQUMsYUFBYSxDQUFDLGNBQWMsRUFBRSxTQUFTLENBQUMsV0FBVyxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUM7S0FDbEU7U0FBTSxJQUFJLE1BQU0sS0FBSyxPQUFPO1FBQ3pCLEVBQUUsQ0FBQyxhQUFhLENBQUMsY0FBYyxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDO1NBQ3RGLElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtRQUMzQixJQUFJLE9BQU8sR0FBRyxhQUFhLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDbEMsRUFBRSxDQUFDLGFBQWEsQ0FBQyxjQUFjLEVBQUUsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQy9DLElBQUksT0FBTyxDQUFDLFlBQVksR0FBRyxJQUFJLENBQUMsTUFBTTtZQUNsQyxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsSUFBSSxDQUFDLE1BQU0sR0FBRyxPQUFPLENBQUMsWUFBWSxzSUFBc0ksQ0FBQyxDQUFDO1FBQ3JNLElBQUksR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxPQUFPLENBQUMsWUFBWSxDQUFDLENBQUM7S0FDOUM7O1FBQ0csTUFBTSxJQUFJLEtBQUssQ0FBQywwQkFBMEIsTUFBTSwyQ0FBMkMsQ0FBQyxDQUFDO0lBQ2pHLE9BQU8sQ0FBQyxHQUFHLENBQUMsWUFBWSxJQUFJLENBQUMsTUFBTSx1QkFBdUIsY0FBYyxFQUFFLENBQUMsQ0FBQztBQUNoRixDQUFDO0FBRUQscUNBQXFDO0FBRXJDLFNBQVMsU0FBUyxDQUFDLElBQVk7SUFDM0IsT0FBTyxDQUFDLElBQUksSUFBSSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxDQUFDO0FBQ25ILENBQUM7QUFFRCxrRUFBa0U7QUFFbEUsU0FBUyxjQUFjLENBQUMsSUFBVyxFQUFFLE9BQWU7SUFDaEQsSUFBSSxPQUFPLEdBQUcsQ0FBQyxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxrQkFBa0IsRUFBRSxZQUFZLENBQUMsQ0FBQztJQUNoRyxJQUFJLE9BQU8sR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUM7UUFDMUIsYUFBYTtRQUNiLGVBQWUsU0FBUyxDQUFDLEdBQUcsT0FBTyxpQkFBaUIsa0JBQWtCLENBQUMsR0FBRyxDQUFDLGlCQUFpQixDQUFDLEVBQUUsQ0FBQyxPQUFPO1FBQ3ZHLGtCQUFrQixTQUFTLENBQUMsR0FBRyxHQUFHLENBQUMsaUJBQWlCLEtBQUssR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFDLFVBQVU7UUFDakYsdUJBQXVCLFNBQVMsQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLEtBQUs7UUFDbkQsb0JBQW9CLE1BQU0sQ0FBQyxHQUFHLENBQUMsa0JBQWtCLEVBQUUsWUFBWSxDQUFDLENBQUMsTUFBTSxDQUFDLHNCQUFzQixDQUFDLFlBQVk7UUFDM0csb0JBQW9CLFNBQVMsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxXQUFXLGNBQWMsR0FBRyxDQUFDLGFBQWEsR0FBRyxDQUFDLFlBQVk7UUFDL0YsY0FBYztLQUNqQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBQ2QsT0FBTztRQUNILDRDQUE0QztRQUM1Qyw4Q0FBOEM7UUFDOUMsNkVBQTZFO1FBQzdFLFdBQVcsU0FBUyxDQUFDLEdBQUcsT0FBTyxZQUFZLENBQUMsT0FBTztRQUNuRCw4QkFBOEIsU0FBUyxDQUFDLEdBQUcsT0FBTyxZQUFZLENBQUMsS0FBSztRQUNwRSxnQkFBZ0IsT0FBTyxDQUFDLE1BQU0sQ0FBQyxzQkFBc0IsQ0FBQyxZQUFZO1FBQ2xFLG1FQUFtRTtLQUN0RSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBRSxTQUFTLENBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUM7QUFDOUQsQ0FBQztBQUVELGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0YseUZBQXlGO0FBQ3pGLDBFQUEwRTtBQUMxRSx1RkFBdUY7QUFFdkYsS0FBSyxVQUFVLGdCQUFnQixDQUFDLFFBQVEsRUFBRSxPQUE2QixFQUFFLFFBQTZCLEVBQUUsT0FBZTtJQUNuSCxJQUFJLFNBQVMsR0FBRyxDQUFDLFVBQWtCLEVBQUUsS0FBVSxFQUFFLEVBQUU7UUFDL0MsUUFBUSxDQUFDLFNBQVMsQ0FBQyxVQUFVLEVBQUUsRUFBRSxjQUFjLEVBQUUsaUNBQWlDLEVBQUUsQ0FBQyxDQUFDO1FBQ3RGLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxLQUFLLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO0lBQ3hELENBQUMsQ0FBQztJQUVGLDJGQUEyRjtJQUMzRiw4RkFBOEY7SUFDOUYsc0NBQXNDO0lBRXRDLElBQUksU0FBUyxHQUFHLFNBQVMsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxJQUFJLENBQUMsQ0FBQztJQUNuRCxJQUFJLFFBQWdCLENBQUM7SUFDckIsSUFBSTtRQUNBLFFBQVEsR0FBRyxrQkFBa0IsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRSxFQUFFLENBQUMsQ0FBQztLQUN6RTtJQUFDLE9BQU8sS0FBSyxFQUFFO1FBQ1osUUFBUSxHQUFHLFNBQVMsQ0FBQztLQUN4QjtJQUNELElBQUksS0FBSyxHQUFRLFNBQVMsQ0FBQyxLQUFLLENBQUM7SUFDakMsSUFBSSxxQkFBcUIsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN4RixJQUFJLE9BQU8sQ0FBQyxNQUFNLEtBQUssS0FBSyxFQUFFO1FBQzFCLFNBQVMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxLQUFLLEVBQUUsVUFBVSxPQUFPLENBQUMsTUFBTSxrQkFBa0IsRUFBRSxDQUFDLENBQUM7S0FDekU7U0FBTSxJQUFJLFFBQVEsS0FBSyxTQUFTLEVBQUU7UUFDL0IsU0FBUyxDQUFDLEdBQUcsRUFBRSxFQUFFLEtBQUssRUFBRSxTQUFTLFNBQVMsQ0FBQyxRQUFRLDZCQUE2QixFQUFFLENBQUMsQ0FBQztLQUN2RjtTQUFNLElBQUkscUJBQXFCLEtBQUssU0FBUyxFQUFFO1FBQzVDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxLQUFLLEVBQUUsb0JBQW9CLHFCQUFxQix5QkFBeUIsRUFBRSxDQUFDLENBQUM7S0FDakc7U0FBTSxJQUFJLFFBQVEsS0FBSyxlQUFlLEVBQUU7UUFDckMsSUFBSSxJQUFJLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQztRQUNoRCxJQUFJLE9BQU8sR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxNQUFNLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDeEUsSUFBSSxZQUFZLEdBQUcsZUFBZSxDQUFDLEVBQUUsSUFBSSxFQUFFLEtBQUssQ0FBQyxJQUFJLEVBQUUsRUFBRSxFQUFFLEtBQUssQ0FBQyxFQUFFLEVBQUUsTUFBTSxFQUFFLEtBQUssQ0FBQyxNQUFNLEVBQUUsTUFBTSxFQUFFLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDO1FBQ25ILElBQUksS0FBSyxHQUFHLENBQUMsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLHlDQUF5QyxZQUFZLENBQUMsR0FBRyxFQUFFLEVBQUUsWUFBWSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDO1FBQ3JJLElBQUksSUFBSSxHQUFHLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSx1QkFBdUIsWUFBWSxDQUFDLEdBQUcsc0VBQXNFLEVBQUUsWUFBWSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBRSxPQUFPLEVBQUUsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFFLENBQUMsQ0FBQyxDQUFDO1FBQ3JOLFNBQVMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxZQUFZLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztLQUN0RjtTQUFNLElBQUksUUFBUSxDQUFDLFVBQVUsQ0FBQyxnQkFBZ0IsQ0FBQyxFQUFFO1FBQzlDLElBQUksZ0JBQWdCLEdBQUcsUUFBUSxDQUFDLFNBQVMsQ0FBQyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUNuRSxJQUFJLEdBQUcsR0FBRyxDQUFDLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSxvREFBb0QsRUFBRSxDQUFFLGdCQUFnQixDQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ25ILElBQUksR0FBRyxLQUFLLFNBQVM7WUFDakIsU0FBUyxDQUFDLEdBQUcsRUFBRSxFQUFFLEtBQUssRUFBRSxnQkFBZ0IsZ0JBQWdCLGtCQUFrQixFQUFFLENBQUMsQ0FBQzs7WUFFOUUsU0FBUyxDQUFDLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQztLQUMzQjtTQUFNLElBQUksUUFBUSxLQUFLLFlBQVksRUFBRTtRQUNsQyxJQUFJLElBQUksR0FBRyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsc0hBQXNILEVBQUUsRUFBRSxDQUFDLENBQUM7UUFDL0osS0FBSyxJQUFJLEdBQUcsSUFBSSxJQUFJO1lBQ2hCLEdBQUcsQ0FBQyxrQkFBa0IsR0FBRyxHQUFHLENBQUMsa0JBQWtCLElBQUksR0FBRyxDQUFDLFlBQVksQ0FBQztRQUN4RSxRQUFRLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRSxFQUFFLGNBQWMsRUFBRSxxQ0FBcUMsRUFBRSxDQUFDLENBQUM7UUFDbkYsUUFBUSxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7S0FDL0M7O1FBQ0csU0FBUyxDQUFDLEdBQUcsRUFBRSxFQUFFLEtBQUssRUFBRSxTQUFTLFFBQVEsa0JBQWtCLEVBQUUsQ0FBQyxDQUFDO0FBQ3ZFLENBQUM7QUFFRCw0RkFBNEY7QUFDNUYsK0ZBQStGO0FBRS9GLEtBQUssVUFBVSxpQkFBaUIsQ0FBQyxJQUFZO0lBQ3pDLElBQUksUUFBUSxHQUFHLE1BQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDakQsSUFBSSxRQUFRLEdBQUcsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLGFBQWEsRUFBRSxPQUFPLENBQUMsYUFBYSxFQUFFLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBQ2xJLENBQUMsQ0FBQyxDQUFDO0lBQ0YsUUFBZ0IsQ0FBQyxTQUFTLENBQUMsYUFBYSxFQUFFLElBQUksQ0FBQyxDQUFDO0lBRWpELElBQUksT0FBTyxHQUFHLG9CQUFvQixJQUFJLEVBQUUsQ0FBQztJQUN6QyxJQUFJLE1BQU0sR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsT0FBTyxFQUFFLFFBQVEsRUFBRSxFQUFFO1FBQ2pELGdCQUFnQixDQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLE9BQU8sQ0FBQyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUNqRSxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ3JCLElBQUksQ0FBQyxRQUFRLENBQUMsV0FBVztnQkFDckIsUUFBUSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsRUFBRSxjQUFjLEVBQUUsaUNBQWlDLEVBQUUsQ0FBQyxDQUFDO1lBQ25GLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLEtBQUssRUFBRSw2QkFBNkIsRUFBRSxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7UUFDbEYsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztJQUNILE1BQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUUsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksRUFBRSxPQUFPLENBQUMsQ0FBQyxFQUFFLENBQUMsT0FBTyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDekYsT0FBTyxDQUFDLEdBQUcsQ0FBQywyQkFBMkIsT0FBTyx1Q0FBdUMsQ0FBQyxDQUFDO0lBQ3ZGLE1BQU0sSUFBSSxPQUFPLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDO0FBQzlELENBQUM7QUFFRCxzRkFBc0Y7QUFFdEYsU0FBUyxXQUFXLENBQUMsU0FBaUIsRUFBRSxVQUFrQixFQUFFLFNBQWlCLEVBQUUsVUFBa0I7SUFDN0YsSUFBSSxTQUFTLEdBQUcsQ0FBQyxPQUFlLEVBQUUsRUFBRSxDQUFDLE9BQU8sR0FBRyxJQUFJLENBQUMsRUFBRSxHQUFHLEdBQUcsQ0FBQztJQUM3RCxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLFNBQVMsR0FBRyxTQUFTLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsQ0FBQyxVQUFVLEdBQUcsVUFBVSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDdE0sT0FBTyxDQUFDLEdBQUcsT0FBTyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ2pELENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsaUdBQWlHO0FBQ2pHLHNCQUFzQjtBQUV0QixTQUFTLGFBQWEsQ0FBQyxzQkFBc0IsRUFBRSxTQUFvQjtJQUMvRCxJQUFJLE1BQU0sR0FBRyxDQUFDLEtBQWEsRUFBRSxLQUFhLEVBQUUsRUFBRSxDQUFDLENBQUMsS0FBSyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxLQUFLLENBQUMsS0FBSyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQ3pILElBQUksTUFBTSxHQUFHLEdBQUcsc0JBQXNCLENBQUMsVUFBVSxJQUFJLEVBQUUsSUFBSSxzQkFBc0IsQ0FBQyxVQUFVLElBQUksRUFBRSxFQUFFLENBQUM7SUFDckcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLE1BQU0sRUFBRSxzQkFBc0IsQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUN2RixPQUFPLElBQUksQ0FBQztJQUNoQixJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsVUFBVSxFQUFFLE1BQU0sQ0FBQyxJQUFJLE1BQU0sQ0FBQyxVQUFVLEVBQUUsc0JBQXNCLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDakksT0FBTyxJQUFJLENBQUM7SUFDaEIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsQ0FBQyxzQkFBc0IsQ0FBQyxXQUFXLElBQUksRUFBRSxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO1FBQ3BJLE9BQU8sSUFBSSxDQUFDO0lBQ2hCLE9BQU8sU0FBUyxDQUFDLEtBQUssS0FBSyxTQUFTLElBQUksU0FBUyxDQUFDLE1BQU0sS0FBSyxTQUFTLElBQUksc0JBQXNCLENBQUMsUUFBUSxLQUFLLElBQUksSUFBSSxzQkFBc0IsQ0FBQyxTQUFTLEtBQUssSUFBSTtRQUMzSixXQUFXLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxRQUFRLEVBQUUsU0FBUyxDQUFDLEtBQUssQ0FBQyxTQUFTLEVBQUUsc0JBQXNCLENBQUMsUUFBUSxFQUFFLHNCQUFzQixDQUFDLFNBQVMsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxNQUFNLENBQUM7QUFDaEssQ0FBQztBQUVELG9GQUFvRjtBQUVwRixTQUFTLFlBQVksQ0FBQyxTQUFvQixFQUFFLHVCQUE4QixFQUFFLE1BQWM7SUFDdEYsSUFBSSxLQUFLLEdBQUcsR0FBRyx1QkFBdUIsQ0FBQyxNQUFNLHNDQUFzQyxTQUFTLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDcEcsSUFBSSxNQUFNLEtBQUssTUFBTSxFQUFFO1FBQ25CLElBQUksS0FBSyxHQUFHLHVCQUF1QixDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsQ0FBQyxFQUFFLENBQzdELHdCQUF3QixTQUFTLENBQUMsc0JBQXNCLENBQUMsY0FBYyxDQUFDLEtBQUssU0FBUyxDQUFDLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLFNBQVMsU0FBUyxDQUFDLHNCQUFzQixDQUFDLE9BQU8sQ0FBQyxPQUFPLFNBQVMsQ0FBQyxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsY0FBYyxTQUFTLENBQUMsc0JBQXNCLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQ2hULE9BQU8sQ0FBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLDhCQUE4QixFQUFFLGNBQWMsU0FBUyxDQUFDLEtBQUssQ0FBQyxVQUFVLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRSxXQUFXLFNBQVMsQ0FBQyxLQUFLLENBQUMsT0FBTyxFQUFFLFVBQVUsQ0FBRSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBRSxXQUFXLEVBQUUsU0FBUyxFQUFFLFNBQVMsQ0FBRSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQztLQUNqUjtJQUNELE9BQU8sQ0FBRSxLQUFLLEVBQUUsRUFBRSxDQUFFLENBQUMsTUFBTSxDQUFDLHVCQUF1QixDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsQ0FBQyxFQUFFLENBQzdFLEdBQUcsc0JBQXNCLENBQUMsaUJBQWlCLEtBQUssc0JBQXNCLENBQUMsT0FBTyxTQUFTLHNCQUFzQixDQUFDLFdBQVcsY0FBYyxzQkFBc0IsQ0FBQyxZQUFZLFVBQVUsc0JBQXNCLENBQUMsY0FBYyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUM7QUFDeFAsQ0FBQztBQUVELG1HQUFtRztBQUNuRyx1RkFBdUY7QUFFdkYsS0FBSyxVQUFVLHFCQUFxQixDQUFDLHVCQUE4QjtJQUMvRCxJQUFJLGFBQWEsQ0FBQyxVQUFVLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSx1QkFBdUIsQ0FBQyxNQUFNLEtBQUssQ0FBQztRQUM3RSxPQUFPO0lBQ1gsSUFBSSx3QkFBd0IsRUFBRTtRQUMxQixPQUFPLENBQUMsR0FBRyxDQUFDLHFHQUFxRyx1QkFBdUIsQ0FBQyxNQUFNLDJCQUEyQixDQUFDLENBQUM7UUFDNUssT0FBTztLQUNWO0lBQ0QsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsYUFBYSxDQUFDLGVBQWUsQ0FBQztRQUM3QyxFQUFFLENBQUMsU0FBUyxDQUFDLGFBQWEsQ0FBQyxlQUFlLENBQUMsQ0FBQztJQUVoRCxJQUFJLFNBQVMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLGVBQWUsQ0FBQztRQUNuRixJQUFJLEVBQUUsYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJO1FBQzdCLElBQUksRUFBRSxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUk7UUFDN0IsTUFBTSxFQUFFLGFBQWEsQ0FBQyxJQUFJLENBQUMsTUFBTTtRQUNqQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLGVBQWUsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLGVBQWUsRUFBRSxJQUFJLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsRUFBRTtLQUMvSSxDQUFDLENBQUM7SUFFSCxJQUFJLE1BQU0sR0FBRyxDQUFDLGFBQWEsQ0FBQyxZQUFZLEtBQUssTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDO0lBQ3ZFLEtBQUssSUFBSSxTQUFTLElBQUksYUFBYSxDQUFDLFVBQXlCLEVBQUU7UUFDM0QsSUFBSSxvQkFBb0IsR0FBRyx1QkFBdUIsQ0FBQyxNQUFNLENBQUMsc0JBQXNCLENBQUMsRUFBRSxDQUFDLGFBQWEsQ0FBQyxzQkFBc0IsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDO1FBQ3RJLElBQUksb0JBQW9CLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUNuQyxPQUFPLENBQUMsR0FBRyxDQUFDLDZEQUE2RCxTQUFTLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQztZQUM3RixTQUFTO1NBQ1o7UUFFRCxJQUFJLE1BQU0sR0FBRyxZQUFZLENBQUMsU0FBUyxFQUFFLG9CQUFvQixFQUFFLE1BQU0sQ0FBQyxDQUFDO1FBQ25FLElBQUksY0FBYyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLGVBQWUsRUFBRSxHQUFHLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsSUFBSSxTQUFTLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsRUFBRSxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLE1BQU0sS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDO1FBQ2xNLEVBQUUsQ0FBQyxhQUFhLENBQUMsY0FBYyxFQUFFLE1BQU0sQ0FBQyxDQUFDO1FBQ3pDLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXFCLG9CQUFvQixDQUFDLE1BQU0sa0RBQWtELFNBQVMsQ0FBQyxJQUFJLFNBQVMsY0FBYyxFQUFFLENBQUMsQ0FBQztRQUV2SixJQUFJLFNBQVMsS0FBSyxTQUFTLEVBQUU7WUFDekIsc0ZBQXNGO1lBQ3RGLG1GQUFtRjtZQUNuRixrRUFBa0U7WUFFbEUsSUFBSSxVQUFVLEdBQUcsU0FBUyxDQUFDLFVBQVUsSUFBSSxhQUFhLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQztZQUMvRCxJQUFJO2dCQUNBLE1BQU0sU0FBUyxDQUFDLFFBQVEsQ0FBQztvQkFDckIsSUFBSSxFQUFFLGFBQWEsQ0FBQyxJQUFJLENBQUMsSUFBSTtvQkFDN0IsRUFBRSxFQUFFLFVBQVU7b0JBQ2QsT0FBTyxFQUFFLEdBQUcsb0JBQW9CLENBQUMsTUFBTSxzQ0FBc0MsU0FBUyxDQUFDLElBQUksRUFBRTtvQkFDN0YsSUFBSSxFQUFFLENBQUMsTUFBTSxLQUFLLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLFNBQVM7b0JBQzlDLElBQUksRUFBRSxDQUFDLE1BQU0sS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxTQUFTO2lCQUNqRCxDQUFDLENBQUM7Z0JBQ0gsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQ0FBbUMsU0FBUyxDQUFDLElBQUksU0FBUyxFQUFFLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLENBQUM7YUFDN0c7WUFBQyxPQUFPLEtBQUssRUFBRTtnQkFDWixPQUFPLENBQUMsR0FBRyxDQUFDLDZDQUE2QyxTQUFTLENBQUMsSUFBSSxRQUFRLEVBQUUsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEtBQUssQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO2FBQ3hJO1NBQ0o7S0FDSjtBQUNMLENBQUM7QUFFRCxvR0FBb0c7QUFDcEcsa0dBQWtHO0FBQ2xHLG1HQUFtRztBQUNuRyxnR0FBZ0c7QUFDaEcsZ0dBQWdHO0FBQ2hHLHNEQUFzRDtBQUV0RCxLQUFLLFVBQVUsZUFBZSxDQUFDLFFBQVEsRUFBRSxPQUFpQjtJQUN0RCxJQUFJLGdCQUFnQixHQUFHLEVBQUUsQ0FBQztJQUMxQixLQUFLLElBQUksR0FBRyxJQUFJLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSwrQ0FBK0MsRUFBRSxFQUFFLENBQUM7UUFDeEYsZ0JBQWdCLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxZQUFZLENBQUM7SUFFakQsSUFBSSxZQUFZLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNwQyxJQUFJLFVBQVUsR0FBRyxZQUFZLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBQzFFLElBQUksY0FBYyxHQUFHLFlBQVksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBQzdFLElBQUksWUFBWSxHQUFHLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsR0FBRyxnQkFBZ0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzlLLGNBQWMsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUM7SUFDbEMsT0FBTyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsVUFBVSxFQUFFLGNBQWMsQ0FBQyxDQUFDO0FBQ2xFLENBQUM7QUFFRCx1Q0FBdUM7QUFFdkMsS0FBSyxVQUFVLElBQUk7SUFDZixJQUFJLFdBQVcsR0FBRyxnQkFBZ0IsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQzFELElBQUksV0FBVyxDQUFDLE9BQU8sS0FBSyxTQUFTLElBQUksQ0FBQyxDQUFFLE9BQU8sRUFBRSxlQUFlLEVBQUUsZUFBZSxFQUFFLFlBQVksRUFBRSxtQkFBbUIsRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLHVCQUF1QixDQUFFLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUM7UUFDaE8sTUFBTSxJQUFJLEtBQUssQ0FBQyxvQkFBb0IsV0FBVyxDQUFDLE9BQU8sSUFBSSxDQUFDLENBQUM7SUFFakUsMEJBQTBCO0lBRTFCLGlCQUFpQixFQUFFLENBQUM7SUFFcEIsMkVBQTJFO0lBRTNFLHNCQUFzQixFQUFFLENBQUM7SUFFekIsMEZBQTBGO0lBRTFGLElBQUksYUFBYSxDQUFDLGlCQUFpQixJQUFJLGFBQWEsQ0FBQyxtQkFBbUI7UUFDcEUsd0JBQXdCLENBQUMsYUFBYSxDQUFDLGlCQUFpQixFQUFFLGFBQWEsQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDO0lBRWpHLHlGQUF5RjtJQUN6Rix5RUFBeUU7SUFFekUsSUFBSSxXQUFXLENBQUMsT0FBTyxLQUFLLG1CQUFtQixFQUFFO1FBQzdDLElBQUksV0FBVyxDQUFDLFNBQVMsQ0FBQyxNQUFNLEtBQUssQ0FBQztZQUNsQyxNQUFNLElBQUksS0FBSyxDQUFDLHFHQUFxRyxDQUFDLENBQUM7UUFDM0gsZ0JBQWdCLENBQUMsV0FBVyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLFdBQVcsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUMxRixPQUFPO0tBQ1Y7SUFFRCw2RkFBNkY7SUFDN0YsNkZBQTZGO0lBQzdGLDhGQUE4RjtJQUU5RixJQUFJLFdBQVcsQ0FBQyxPQUFPLEtBQUssZUFBZSxFQUFFO1FBQ3pDLE1BQU0sWUFBWSxDQUFDLGVBQWUsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLEVBQUUsV0FBVyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsSUFBSSxVQUFVLENBQUMsQ0FBQztRQUN4RyxPQUFPO0tBQ1Y7U0FBTSxJQUFJLFdBQVcsQ0FBQyxPQUFPLEtBQUssZUFBZSxFQUFFO1FBQ2hELElBQUksQ0FBQyxZQUFZLENBQUMsV0FBVyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxVQUFVLENBQUM7WUFDckQsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7UUFDekIsT0FBTztLQUNWO0lBRUQsK0ZBQStGO0lBQy9GLHdGQUF3RjtJQUN4Rix3RUFBd0U7SUFFeEUsSUFBSSxXQUFXLENBQUMsT0FBTyxLQUFLLHVCQUF1QixFQUFFO1FBQ2pELE1BQU0sb0JBQW9CLENBQUMsZUFBZSxDQUFDLFdBQVcsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ2hMLE9BQU87S0FDVjtJQUVELHdGQUF3RjtJQUN4Riw4RkFBOEY7SUFDOUYsK0JBQStCO0lBRS9CLElBQUksV0FBVyxDQUFDLE9BQU8sS0FBSyxPQUFPLEVBQUU7UUFDakMsTUFBTSxpQkFBaUIsQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ3JFLE9BQU87S0FDVjtJQUVELG1DQUFtQztJQUVuQyxJQUFJLFFBQVEsR0FBRyxNQUFNLGtCQUFrQixFQUFFLENBQUM7SUFFMUMsOEZBQThGO0lBQzlGLCtGQUErRjtJQUMvRixxQkFBcUI7SUFFckIsSUFBSSxXQUFXLENBQUMsT0FBTyxLQUFLLFlBQVksRUFBRTtRQUN0QyxJQUFJLFdBQVcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEtBQUssU0FBUyxJQUFJLFdBQVcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEtBQUssTUFBTTtZQUM3RSxNQUFNLDJCQUEyQixDQUFDLFFBQVEsQ0FBQyxDQUFDO2FBQzNDLElBQUksV0FBVyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsS0FBSyxTQUFTLEVBQUU7WUFDN0MsTUFBTSw4QkFBOEIsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxXQUFXLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUMxSSxNQUFNLHFCQUFxQixDQUFDLGVBQWUsQ0FBQyxDQUFDO1NBQ2hEOztZQUNHLE1BQU0sSUFBSSxLQUFLLENBQUMsK0JBQStCLFdBQVcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ2pGLE9BQU87S0FDVjtJQUVELCtGQUErRjtJQUMvRix1RkFBdUY7SUFDdkYseUJBQXlCO0lBRXpCLElBQUksV0FBVyxDQUFDLE9BQU8sS0FBSyxRQUFRLEVBQUU7UUFDbEMsSUFBSSxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFLLFNBQVMsSUFBSSxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFLLE1BQU0sSUFBSSxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxLQUFLLFFBQVE7WUFDdEgsTUFBTSxJQUFJLEtBQUssQ0FBQywyQkFBMkIsV0FBVyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDN0UsTUFBTSxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsV0FBVyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxXQUFXLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxJQUFJLFlBQVksQ0FBQyxDQUFDO1FBQzVHLE9BQU87S0FDVjtJQUVELHVGQUF1RjtJQUN2RixjQUFjO0lBRWQsSUFBSSxXQUFXLENBQUMsT0FBTyxLQUFLLFNBQVMsRUFBRTtRQUNuQyxJQUFJLFdBQVcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLEtBQUssU0FBUztZQUN0QyxNQUFNLElBQUksS0FBSyxDQUFDLDBDQUEwQyxDQUFDLENBQUM7UUFDaEUsTUFBTSxXQUFXLENBQUMsUUFBUSxFQUFFLFdBQVcsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN0RCxPQUFPO0tBQ1Y7SUFFRCw0RkFBNEY7SUFDNUYsdUZBQXVGO0lBRXZGLElBQUksV0FBVyxDQUFDLE9BQU8sS0FBSyxTQUFTLEVBQUU7UUFDbkMsSUFBSSxXQUFXLEdBQUcsV0FBVyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUMzQyxJQUFJLFdBQVcsS0FBSyxTQUFTLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDO1lBQ2xFLFdBQVcsR0FBRyxVQUFVLENBQUMsV0FBVyxDQUFDLENBQUM7UUFDMUMsTUFBTSx5QkFBeUIsQ0FBQyxRQUFRLEVBQUUsV0FBVyxDQUFDLENBQUM7UUFDdkQsT0FBTztLQUNWO0lBRUQsMkZBQTJGO0lBQzNGLHlGQUF5RjtJQUN6Rix1QkFBdUI7SUFFdkIsSUFBSSxXQUFXLENBQUMsT0FBTyxLQUFLLFFBQVEsRUFBRTtRQUNsQyxJQUFJLE1BQU0sR0FBRyxXQUFXLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxJQUFJLEtBQUssQ0FBQztRQUNwRCxNQUFNLGtCQUFrQixDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsV0FBVyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsSUFBSSxnQkFBZ0IsTUFBTSxFQUFFLEVBQUU7WUFDbEcsSUFBSSxFQUFFLFdBQVcsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDO1lBQ2pDLEVBQUUsRUFBRSxXQUFXLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQztZQUM3QixNQUFNLEVBQUUsV0FBVyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUM7WUFDckMsTUFBTSxFQUFFLFdBQVcsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDO1NBQ3hDLENBQUMsQ0FBQztRQUNILE9BQU87S0FDVjtJQUVELDZGQUE2RjtJQUM3Rix5RkFBeUY7SUFDekYsZ0dBQWdHO0lBQ2hHLHNFQUFzRTtJQUV0RSxJQUFJLGNBQWMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLEtBQUssTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsQ0FBQztJQUN4RyxJQUFJLFdBQVcsQ0FBQyxPQUFPLEtBQUssT0FBTyxFQUFFO1FBQ2pDLElBQUksT0FBTyxHQUFHLGVBQWUsQ0FBQyxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDckQsSUFBSSxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRTtZQUN0QixPQUFPLENBQUMsR0FBRyxDQUFDLDZDQUE2QyxDQUFDLENBQUM7WUFDM0QsT0FBTztTQUNWO1FBQ0QsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLE9BQU8sQ0FBQyxNQUFNLHFCQUFxQixDQUFDLENBQUM7UUFDMUQsS0FBSyxJQUFJLE1BQU0sSUFBSSxPQUFPO1lBQ3RCLE1BQU0scUJBQXFCLENBQUMsUUFBUSxFQUFFLE1BQU0sRUFBRSxNQUFNLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRSxjQUFjLENBQUMsQ0FBQztRQUN6RixNQUFNLHFCQUFxQixDQUFDLGVBQWUsQ0FBQyxDQUFDO1FBQzdDLE9BQU87S0FDVjtJQUVELHlEQUF5RDtJQUV6RCxJQUFJLE9BQU8sR0FBRyxNQUFNLFVBQVUsRUFBRSxDQUFDO0lBQ2pDLElBQUksT0FBTyxDQUFDLE1BQU0sS0FBSyxDQUFDLEVBQUU7UUFDdEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQ0FBcUMsQ0FBQyxDQUFDO1FBQ25ELE9BQU87S0FDVjtJQUNELE9BQU8sQ0FBQyxHQUFHLENBQUMsU0FBUyxPQUFPLENBQUMsTUFBTSxjQUFjLENBQUMsQ0FBQztJQUVuRCwrRkFBK0Y7SUFDL0YsMkZBQTJGO0lBQzNGLDZGQUE2RjtJQUM3Riw2RkFBNkY7SUFDN0YsOEZBQThGO0lBQzlGLDJGQUEyRjtJQUMzRiw2RkFBNkY7SUFDN0YsK0ZBQStGO0lBQy9GLHNEQUFzRDtJQUV0RCxJQUFJLFNBQVMsR0FBRyxFQUFFLENBQUM7SUFDbkIsS0FBSyxJQUFJLEdBQUcsSUFBSSxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsdUNBQXVDLEVBQUUsRUFBRSxDQUFDO1FBQ2hGLFNBQVMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEdBQUcsR0FBRyxDQUFDLElBQUksQ0FBQztJQUVsQyxJQUFJLGNBQWMsR0FBRyxDQUFDLENBQUM7SUFDdkIsSUFBSSxlQUFlLEdBQUcsQ0FBQyxDQUFDO0lBQ3hCLEtBQUssSUFBSSxNQUFNLElBQUksTUFBTSxlQUFlLENBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQyxFQUFFO1FBQ3pELElBQUksY0FBYyxJQUFJLHFCQUFxQixJQUFJLGVBQWUsSUFBSSxzQkFBc0I7WUFDcEYsTUFBTTtRQUVWLE9BQU8sQ0FBQyxHQUFHLENBQUMsc0JBQXNCLE1BQU0sRUFBRSxDQUFDLENBQUM7UUFDNUMsZUFBZSxFQUFFLENBQUM7UUFDbEIsSUFBSSxJQUFJLEdBQVcsSUFBSSxDQUFDO1FBQ3hCLElBQUk7WUFDQSxJQUFJLE1BQU0sR0FBRyxNQUFNLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUNuQyxJQUFJLEdBQUcsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQzFCLElBQUksU0FBUyxDQUFDLE1BQU0sQ0FBQyxLQUFLLElBQUksSUFBSSxXQUFXLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLFNBQVMsSUFBSSxjQUFjLEtBQUssU0FBUyxFQUFFO2dCQUMxRyxPQUFPLENBQUMsR0FBRyxDQUFDLDBFQUEwRSxNQUFNLEVBQUUsQ0FBQyxDQUFDO2dCQUNoRyxNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxLQUFLLENBQUMsQ0FBQztnQkFDcEQsU0FBUzthQUNaO1lBRUQsY0FBYyxFQUFFLENBQUM7WUFDakIsSUFBSSxNQUFNLEdBQUcsTUFBTSxxQkFBcUIsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxjQUFjLENBQUMsQ0FBQztZQUNuRixNQUFNLGNBQWMsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsTUFBTSxDQUFDLHVCQUF1QixDQUFDLE1BQU0sRUFBRSxNQUFNLENBQUMsV0FBVyxDQUFDLENBQUM7U0FDakg7UUFBQyxPQUFPLEtBQUssRUFBRTtZQUNaLE9BQU8sQ0FBQyxHQUFHLENBQUMsYUFBYSxDQUFDLElBQUksS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxPQUFPLGFBQWEsTUFBTSxLQUFLLEtBQUssQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO1lBQ3BHLE1BQU0sY0FBYyxDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLEtBQUssQ0FBQyxDQUFDO1NBQ3ZEO0tBQ0o7SUFFRCw2REFBNkQ7SUFFN0QsTUFBTSxxQkFBcUIsQ0FBQyxlQUFlLENBQUMsQ0FBQztBQUNqRCxDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLEdBQUcsRUFBRSxDQUFDLG1CQUFtQixFQUFFLENBQUMsQ0FBQyJ9
\ No newline at end of file
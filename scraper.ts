@@ -7,14 +7,11 @@
 "use strict";
 
 import * as fs from "fs";
-
-// Suppress the "pre-main prep time" messages generated by tesseract.js (there is no other easy
-// way to suppress these messages because it appears that the code runs in a separate process and
-// so, for example, overriding console.log in the current process appears to have no effect).
-
-let text = fs.readFileSync("node_modules/tesseract.js-core/index.js").toString().replace(/Module.\$a\("pre-main prep time\: "\+\(Date\.now\(\)\-tj\)\+" ms"\)/g, "true");
-fs.writeFileSync("node_modules/tesseract.js-core/index.js", text);
-
+import * as path from "path";
+import * as crypto from "crypto";
+import * as http from "http";
+import * as childprocess from "child_process";
+import * as readline from "readline";
 import * as cheerio from "cheerio";
 import * as request from "request-promise-native";
 import * as sqlite3 from "sqlite3";
@@ -24,53 +21,372 @@ import * as pdfjs from "pdfjs-dist";
 import * as tesseract from "tesseract.js";
 import * as jimp from "jimp";
 import * as didyoumean from "didyoumean2";
+import * as nodemailer from "nodemailer";
 
 sqlite3.verbose();
 
 const DevelopmentApplicationsUrl = "https://www.murraybridge.sa.gov.au/services/develop-plan-build/developmentandplanning/development-assessment-register?result_57806_result_page={0}";
 const CommentUrl = "mailto:council@murraybridge.sa.gov.au";
 
+// Characters that OCR commonly recognises instead of digits (along with the intended digits).
+
+const OcrDigitConfusions = { "O": "0", "o": "0", "D": "0", "Q": "0", "U": "0", "I": "1", "i": "1", "l": "1", "|": "1", "!": "1", "L": "1", "Z": "2", "z": "2", "E": "3", "A": "4", "S": "5", "s": "5", "$": "5", "G": "6", "b": "6", "T": "7", "B": "8", "&": "8", "g": "9", "q": "9" };
+
+// The decisions (or statuses) that may appear against an application in the register.
+
+const Decisions = [ "Approved", "Refused", "Withdrawn", "Cancelled", "Lapsed", "Granted", "Deferred" ];
+
+// The maximum number of PDFs that are parsed in a single run (avoid processing all PDFs at once
+// because this may use too much memory, resulting in morph.io terminating the current process)
+// and the maximum number of PDFs that are downloaded in a single run in order to check whether
+// they have changed since they were last parsed.
+
+const MaximumParsedPdfCount = 2;
+const MaximumCheckedPdfCount = 10;
+
+// The directory in which the words recognised in each image segment are cached (so that OCR does
+// not have to be repeated when the same PDF is parsed again).
+
+const OcrCacheDirectory = "ocrcache";
+
 declare const global: any;
 declare const process: any;
 
+// The field names commonly used for each kind of value in gazetteer extracts (such as the road
+// names, localities and address points published in state datasets).  Field names are matched
+// ignoring case and the first field name present in a record is used.
+
+const GazetteerFieldNames = {
+    streetNumber: [ "HOUSE_NUMBER", "HOUSENUMBER", "HOUSE_NO", "STREET_NUMBER", "STREETNUMBER", "NUMBER" ],
+    streetName: [ "ROAD_NAME", "ROADNAME", "STREET_NAME", "STREETNAME" ],
+    streetType: [ "ROAD_TYPE", "ROADTYPE", "STREET_TYPE", "STREETTYPE" ],
+    streetSuffix: [ "ROAD_SUFFIX", "ROADSUFFIX", "STREET_SUFFIX", "SUFFIX" ],
+    suburb: [ "LOCALITY", "LOCALITY_NAME", "SUBURB", "SUBURB_NAME", "SUBURBNAME" ],
+    postcode: [ "POSTCODE", "POST_CODE", "PCODE" ],
+    council: [ "LGA", "LGA_NAME", "LGANAME", "COUNCIL", "COUNCIL_NAME" ],
+    latitude: [ "LATITUDE", "LAT" ],
+    longitude: [ "LONGITUDE", "LONG", "LNG", "LON" ]
+};
+
+// A layout profile describes a register template: the anchor labels used to find each application
+// and its fields (along with the edit distance tolerated when matching each label, allowing for
+// OCR errors) and the parameters of the field regions relative to those anchors.  The corrections
+// are applied to the condensed start label text before matching (for example, "n0" to "no").  The
+// middle margin is the fraction of the width of the "Applicant" (or "Builder") anchor by which
+// the left hand column ends before that anchor.  The date row span is the number of lines above
+// and below the start label that are searched for dates and decisions.  The group leeway is the
+// number of lines above the start label that are included in each application group.  The column
+// gap is the horizontal gap (in pixels) that ends the address or a labelled value.
+
+interface LayoutProfile {
+    name: string,
+    startLabels: string[],
+    startLabelTolerance: number,
+    startLabelCorrections: string[][],
+    assessmentLabels: string[],
+    assessmentLabelTolerance: number,
+    applicantLabel: string,
+    builderLabel: string,
+    middleLabelTolerance: number,
+    recordsLabel: string,
+    recordsLabelTolerance: number,
+    dateFormat: string,
+    middleMargin: number,
+    dateRowSpan: number,
+    groupLeeway: number,
+    columnGap: number
+}
+
+// The layout profile of the Crystal Report registers published by the council since 2015.  This is
+// the only definition of the default profile: it is always available (config.json only needs to
+// list additional profiles, or a profile with the same name to override some of its settings) and
+// it is also used for any setting that a layout profile in config.json does not specify.
+
+const DefaultLayoutProfile: LayoutProfile = {
+    name: "Crystal Report",
+    startLabels: [ "Dev App No", "Dev App No." ],
+    startLabelTolerance: 2,
+    startLabelCorrections: [ [ "n0", "no" ], [ "n°", "no" ], [ "\"o", "no" ], [ "\"0", "no" ], [ "\"°", "no" ], [ "“°", "no" ] ],
+    assessmentLabels: [ "Asses Num", "Assess Num", "Assessment Number" ],
+    assessmentLabelTolerance: 2,
+    applicantLabel: "Applicant",
+    builderLabel: "Builder",
+    middleLabelTolerance: 3,
+    recordsLabel: "Records",
+    recordsLabelTolerance: 2,
+    dateFormat: "D/MM/YYYY",
+    middleMargin: 0.2,
+    dateRowSpan: 4,
+    groupLeeway: 3,
+    columnGap: 50
+};
+
+// The default configuration (any of these settings may be overridden in config.json).  The OCR
+// memory budget is in megabytes (and is compared with the resident set size of the process).  Each
+// watch zone has a name and any of "suburbs", "streets", "keywords" (matched against the
+// description) and a "point" ({ "latitude": ..., "longitude": ... }) with a "radius" in metres.
+// Digests are sent by email only if "smtp" is configured (as { "host", "port", "secure", "from",
+// "to" }; a zone may override "to" with its own "recipients").  The SMTP user name and password are
+// never read from config.json (which is committed) but from the MORPH_SMTP_USER and
+// MORPH_SMTP_PASSWORD environment variables (in the same way as MORPH_PROXY).  Two applications with
+// the same (or a near-identical) application number are treated as the same application when their
+// similarity (from 0 to 1, see getApplicationSimilarity) is at least the reconciliation similarity
+// threshold.  Similarly, the salt
+// used when the name policy is "hash" is read from the MORPH_NAME_HASH_SALT environment variable
+// (a salt that is published alongside the hashes would allow the names to be guessed).
+
+const DefaultConfiguration = {
+    ocrBackend: "tesseract.js",
+    tesseractPath: "tesseract",
+    ocrWorkerCount: 2,
+    ocrMemoryBudget: 400,
+    ocrWorkerJobLimit: 50,
+    preprocessingSteps: [],
+
+    // If detecting the scan orientation is enabled then a scanned image whose recognised text has
+    // a mean OCR confidence below the orientation confidence threshold is recognised again at the
+    // other orientations (in case the scan is upside down or sideways).  This is disabled by
+    // default because faint but upright scans are common and each retry is a full OCR pass.
+
+    detectScanOrientation: false,
+    orientationConfidenceThreshold: 60,
+
+    addressPointsFile: null,
+    suburbCentroidsFile: null,
+    namePolicy: "none",
+    reviewConfidenceThreshold: 70,
+    reconciliationSimilarityThreshold: 0.75,
+    watchZones: [],
+    digestDirectory: "digests",
+    digestFormat: "text",
+    smtp: null,
+    layoutProfiles: [ DefaultLayoutProfile ]
+};
+
+let Configuration = null;
+
+// The layout profile of the document currently being parsed (see selectLayoutProfile).
+
+let CurrentLayoutProfile: LayoutProfile = DefaultLayoutProfile;
+
+// A watch zone (see DefaultConfiguration).
+
+interface WatchZone {
+    name: string,
+    suburbs?: string[],
+    streets?: string[],
+    keywords?: string[],
+    point?: { latitude: number, longitude: number },
+    radius?: number,
+    recipients?: string[]
+}
+
+// The development applications that were first seen in the current run (these are matched against
+// the watch zones at the end of the run).  When the database is empty at the start of the run
+// (for example, on the first run) every application is new, so no digests are written.
+
+let NewApplications = [];
+let IsDatabaseInitiallyEmpty = false;
+
+// An OCR engine that recognises the words in an image.  The name (including the version) of the
+// engine is part of the key under which recognised words are cached.  A worker is whatever the
+// engine needs in order to run one job at a time (for example, a tesseract.js worker process).
+
+interface OcrBackend {
+    name: string,
+    createWorker: () => any,
+    terminateWorker: (worker: any) => void,
+    recognize: (worker: any, imageBuffer: Buffer, ocrSettings: any) => Promise<OcrWord[]>
+}
+
+// The OCR backend selected by the configuration (created when first used).
+
+let CurrentOcrBackend: OcrBackend = undefined;
+
+// An OCR worker (for tesseract.js each worker runs in a separate process) along with the number
+// of jobs that it has completed.
+
+interface OcrWorker {
+    worker: any,
+    isBusy: boolean,
+    jobCount: number
+}
+
+// The pool of OCR workers and the callbacks of any OCR jobs waiting for a worker.
+
+let OcrWorkers: OcrWorker[] = [];
+let OcrWorkerWaiters: (() => void)[] = [];
+
+// The number of image segments currently being parsed and the callbacks of any segments waiting
+// for a slot (see acquireSegmentSlot).
+
+let ActiveSegmentCount = 0;
+let SegmentSlotWaiters: (() => void)[] = [];
+
 // All valid street and suburb names.
 
 let SuburbNames = null;
 let StreetSuffixes = null;
 let StreetNames = null;
 
+// The co-ordinates of address points, streets (the centroid of the address points or road
+// segments on each street) and suburbs, keyed by the normalised address, street or suburb.
+
+let AddressPointCoordinates = {};
+let StreetCoordinates = {};
+let SuburbCoordinates = {};
+
+// The columns of the [data] table whose changes are recorded in the [history] table when an
+// application is scraped again (confidences and scrape details are excluded because they are
+// expected to change between runs).
+
+const HistoryColumnNames = [ "address", "description", "date_received", "legal_description", "street_number", "unit", "street_name", "street_type", "suburb", "state", "postcode", "lat", "lng", "date_decided", "decision", "development_cost", "total_area", "applicant", "builder" ];
+
+// The columns that have been added to the [data] table since it was first created (these are
+// added to any existing database when the database is set up).
+
+const AdditionalDataColumns = [
+    { name: "street_number", type: "text" },
+    { name: "unit", type: "text" },
+    { name: "street_name", type: "text" },
+    { name: "street_type", type: "text" },
+    { name: "suburb", type: "text" },
+    { name: "state", type: "text" },
+    { name: "postcode", type: "text" },
+    { name: "street_name_match", type: "text" },
+    { name: "suburb_match", type: "text" },
+    { name: "lat", type: "real" },
+    { name: "lng", type: "real" },
+    { name: "geocode_precision", type: "text" },
+    { name: "date_decided", type: "text" },
+    { name: "decision", type: "text" },
+    { name: "development_cost", type: "real" },
+    { name: "total_area", type: "real" },
+    { name: "applicant", type: "text" },
+    { name: "builder", type: "text" },
+    { name: "application_number_confidence", type: "real" },
+    { name: "address_confidence", type: "real" },
+    { name: "description_confidence", type: "real" },
+    { name: "date_received_confidence", type: "real" },
+    { name: "legal_description_confidence", type: "real" },
+    { name: "application_number_status", type: "text" },
+    { name: "date_first_scraped", type: "text" },
+    { name: "page_number", type: "integer" }
+];
+
 // Sets up an sqlite database.
 
 async function initializeDatabase() {
-    return new Promise((resolve, reject) => {
+    let database: any = await new Promise((resolve, reject) => {
         let database = new sqlite3.Database("data.sqlite");
         database.serialize(() => {
             database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [legal_description] text)");
+            database.run("create table if not exists [quarantine] ([info_url] text, [page_number] integer, [group_number] integer, [reason] text, [fields] text, [start_element] text, [elements] text, [date_quarantined] text, [application_number] text, primary key ([info_url], [page_number], [group_number]))");
+            database.run("create table if not exists [review_queue] ([council_reference] text primary key, [info_url] text, [field_name] text, [confidence] real, [date_queued] text)");
+            database.run("create table if not exists [documents] ([url] text primary key, [hash] text, [date_checked] text, [date_parsed] text, [application_count] integer, [record_count] integer)");
+            database.run("create table if not exists [history] ([council_reference] text, [field] text, [old_value] text, [new_value] text, [old_info_url] text, [info_url] text, [date_scraped] text)");
+            database.run("create table if not exists [reconciliation_log] ([council_reference] text, [info_url] text, [other_info_url] text, [decision] text, [new_council_reference] text, [similarity] real, [date_reconciled] text)");
+            database.run("create table if not exists [data_columns] ([name] text primary key, [date_added] text)");
             resolve(database);
         });
     });
+
+    // Add any columns that are missing from an existing [data] table (recording when each column
+    // was added so that the history of changes can ignore the empty values of existing rows).
+
+    let columnNames = (await getRows(database, "pragma table_info([data])", [])).map(row => row.name);
+    for (let column of AdditionalDataColumns) {
+        if (!columnNames.includes(column.name)) {
+            await runStatement(database, `alter table [data] add column [${column.name}] ${column.type}`, []);
+            await runStatement(database, "insert or replace into [data_columns] values (?, ?)", [ column.name, moment().format("YYYY-MM-DD") ]);
+        }
+    }
+
+    // Add the application number column to an existing [quarantine] table (applications that were
+    // quarantined before this column was added fall back to any application number in their
+    // parsed fields).
+
+    let quarantineColumnNames = (await getRows(database, "pragma table_info([quarantine])", [])).map(row => row.name);
+    if (!quarantineColumnNames.includes("application_number"))
+        await runStatement(database, "alter table [quarantine] add column [application_number] text", []);
+
+    // Add the column that records the application number under which a re-numbered (or merged)
+    // application was stored to an existing [reconciliation_log] table.
+
+    let reconciliationColumnNames = (await getRows(database, "pragma table_info([reconciliation_log])", [])).map(row => row.name);
+    if (!reconciliationColumnNames.includes("new_council_reference"))
+        await runStatement(database, "alter table [reconciliation_log] add column [new_council_reference] text", []);
+
+    IsDatabaseInitiallyEmpty = (await getRows(database, "select 1 from [data] limit 1", [])).length === 0;
+    return database;
 }
 
-// Inserts a row in the database if it does not already exist.
+// Inserts a row in the database if it does not already exist.  If an existing row is specified
+// (because the development application was merged with that row) then any value missing from the
+// development application is taken from the existing row.  Any change to the values of a row
+// that was previously scraped is recorded in the [history] table.
+
+async function insertRow(database, developmentApplication, existingRow?) {
+    let columnValues = [
+        { name: "council_reference", value: developmentApplication.applicationNumber },
+        { name: "address", value: developmentApplication.address },
+        { name: "description", value: developmentApplication.description },
+        { name: "info_url", value: developmentApplication.informationUrl },
+        { name: "comment_url", value: developmentApplication.commentUrl },
+        { name: "date_scraped", value: developmentApplication.scrapeDate },
+        { name: "date_received", value: developmentApplication.receivedDate },
+        { name: "legal_description", value: developmentApplication.legalDescription },
+        { name: "street_number", value: developmentApplication.streetNumber },
+        { name: "unit", value: developmentApplication.unit },
+        { name: "street_name", value: developmentApplication.streetName },
+        { name: "street_type", value: developmentApplication.streetType },
+        { name: "suburb", value: developmentApplication.suburb },
+        { name: "state", value: developmentApplication.state },
+        { name: "postcode", value: developmentApplication.postcode },
+        { name: "street_name_match", value: developmentApplication.streetNameMatch },
+        { name: "suburb_match", value: developmentApplication.suburbMatch },
+        { name: "lat", value: developmentApplication.latitude },
+        { name: "lng", value: developmentApplication.longitude },
+        { name: "geocode_precision", value: developmentApplication.geocodePrecision },
+        { name: "date_decided", value: developmentApplication.decisionDate },
+        { name: "decision", value: developmentApplication.decision },
+        { name: "development_cost", value: developmentApplication.developmentCost },
+        { name: "total_area", value: developmentApplication.totalArea },
+        { name: "applicant", value: developmentApplication.applicant },
+        { name: "builder", value: developmentApplication.builder },
+        { name: "application_number_confidence", value: developmentApplication.confidences.applicationNumber },
+        { name: "address_confidence", value: developmentApplication.confidences.address },
+        { name: "description_confidence", value: developmentApplication.confidences.description },
+        { name: "date_received_confidence", value: developmentApplication.confidences.receivedDate },
+        { name: "legal_description_confidence", value: developmentApplication.confidences.legalDescription },
+        { name: "application_number_status", value: developmentApplication.applicationNumberStatus },
+        { name: "date_first_scraped", value: developmentApplication.scrapeDate },
+        { name: "page_number", value: developmentApplication.pageNumber }
+    ];
+    if (existingRow !== undefined)
+        for (let columnValue of columnValues)
+            if ((columnValue.value === undefined || columnValue.value === null || columnValue.value === "") && existingRow[columnValue.name] !== undefined)
+                columnValue.value = existingRow[columnValue.name];
+
+    // Preserve the date on which the application was first scraped (rows saved before this date
+    // was recorded fall back to the date on which they were last scraped).
+
+    let previousRow = (await getRows(database, "select * from [data] where [council_reference] = ?", [ developmentApplication.applicationNumber ]))[0];
+    if (previousRow !== undefined) {
+        columnValues.find(columnValue => columnValue.name === "date_first_scraped").value = previousRow.date_first_scraped || previousRow.date_scraped;
+        await recordHistory(database, previousRow, columnValues, developmentApplication.scrapeDate);
+    }
 
-async function insertRow(database, developmentApplication) {
     return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?, ?)");
-        sqlStatement.run([
-            developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
-            developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
-            developmentApplication.scrapeDate,
-            developmentApplication.receivedDate,
-            developmentApplication.legalDescription
-        ], function(error, row) {
+        let sqlStatement = database.prepare(`insert or replace into [data] (${columnValues.map(columnValue => `[${columnValue.name}]`).join(", ")}) values (${columnValues.map(columnValue => "?").join(", ")})`);
+        sqlStatement.run(columnValues.map(columnValue => columnValue.value), function(error, row) {
             if (error) {
                 console.error(error);
                 reject(error);
             } else {
-                console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\", legal description \"${developmentApplication.legalDescription}\" and received date \"${developmentApplication.receivedDate}\" to the database.`);
+                if (previousRow === undefined)
+                    NewApplications.push(developmentApplication);  // only once the row has been saved
+                console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\", legal description \"${developmentApplication.legalDescription}\", received date \"${developmentApplication.receivedDate}\", decision \"${developmentApplication.decision}\" and decision date \"${developmentApplication.decisionDate}\" to the database.`);
                 sqlStatement.finalize();  // releases any locks
                 resolve(row);
             }
@@ -78,6 +394,285 @@ async function insertRow(database, developmentApplication) {
     });
 }
 
+// Records the old and new values of any fields that changed when a previously scraped application
+// was scraped again (along with the source PDF of each value).  A missing value and an empty value
+// are treated as the same value.  A missing value in a column that was added to the [data] table
+// after the application was last scraped is not a change (the column simply did not exist then).
+
+async function recordHistory(database, previousRow, columnValues: { name: string, value: any }[], scrapeDate: string) {
+    let formatValue = value => (value === undefined || value === null || value === "") ? null : value.toString();
+    let dateAddedByColumnName = {};
+    for (let row of await getRows(database, "select [name], [date_added] from [data_columns]", []))
+        dateAddedByColumnName[row.name] = row.date_added;
+
+    let informationUrl = columnValues.find(columnValue => columnValue.name === "info_url").value;
+    for (let columnValue of columnValues) {
+        if (!HistoryColumnNames.includes(columnValue.name) || formatValue(previousRow[columnValue.name]) === formatValue(columnValue.value))
+            continue;
+        let dateAdded = dateAddedByColumnName[columnValue.name];
+        if (formatValue(previousRow[columnValue.name]) === null && dateAdded !== undefined && previousRow.date_scraped <= dateAdded)
+            continue;
+        await runStatement(database, "insert into [history] values (?, ?, ?, ?, ?, ?, ?)", [
+            previousRow.council_reference,
+            columnValue.name,
+            formatValue(previousRow[columnValue.name]),
+            formatValue(columnValue.value),
+            previousRow.info_url,
+            informationUrl,
+            scrapeDate
+        ]);
+        console.log(`    Recorded a change to the ${columnValue.name} of application \"${previousRow.council_reference}\" from \"${formatValue(previousRow[columnValue.name])}\" to \"${formatValue(columnValue.value)}\".`);
+    }
+}
+
+// Displays the history of changes to the fields of an application.  A change between two
+// different PDFs is more likely to be a real amendment on the register, whereas a change when the
+// same PDF is parsed again is more likely to be OCR noise (or an improvement to the parser).
+
+async function showHistory(database, applicationNumber: string) {
+    let row = (await getRows(database, "select * from [data] where [council_reference] = ?", [ applicationNumber ]))[0];
+    if (row === undefined) {
+        console.log(`Application \"${applicationNumber}\" was not found.`);
+        return;
+    }
+
+    console.log(`Application \"${applicationNumber}\" (address \"${row.address}\", description \"${row.description}\", received date \"${row.date_received}\") from ${row.info_url}`);
+    let historyRows = await getRows(database, "select [rowid], * from [history] where [council_reference] = ? order by [rowid]", [ applicationNumber ]);
+    for (let historyRow of historyRows) {
+        let source = (historyRow.old_info_url === historyRow.info_url) ? `same document ${historyRow.info_url}` : `${historyRow.old_info_url} to ${historyRow.info_url}`;
+        console.log(`    ${historyRow.date_scraped}: ${historyRow.field} changed from \"${historyRow.old_value}\" to \"${historyRow.new_value}\" (${source})`);
+    }
+    console.log(`Found ${historyRows.length} change(s).`);
+}
+
+// Reports the applications that appear to be missing from each parsed document (from gaps in the
+// sequential application numbers and from any discrepancy between the record count printed in
+// the document and the number of applications extracted from it) and then the gaps between
+// documents across the whole database.  If a document URL is specified then only that document
+// is reported.
+
+async function reportMissingApplications(database, documentUrl?: string) {
+    let rows = await getRows(database, "select [council_reference], [info_url], [page_number] from [data]", []);
+    let applications: LocatedApplication[] = rows.map(row => ({ applicationNumber: row.council_reference, informationUrl: row.info_url, pageNumber: row.page_number }));
+
+    // Applications that were quarantined often account for gaps (when their application numbers
+    // could be parsed).
+
+    let quarantinedApplications: { [applicationNumber: string]: { reason: string, pageNumber: number } } = {};
+    for (let row of await getRows(database, "select [page_number], [reason], [fields], [application_number] from [quarantine]", [])) {
+        let applicationNumber = row.application_number || JSON.parse(row.fields || "{}").applicationNumber;
+        if (applicationNumber)
+            quarantinedApplications[applicationNumber] = { reason: row.reason, pageNumber: row.page_number };
+    }
+
+    // A document may be specified by a local file (for example, "Registers/DevAppMay2016.pdf")
+    // even though it was parsed from the council web site, so fall back to matching the file name
+    // of the document.
+
+    let documentRows = await getRows(database, "select * from [documents] where [date_parsed] is not null order by [url]", []);
+    if (documentUrl !== undefined) {
+        let matchingDocumentRows = documentRows.filter(documentRow => documentRow.url === documentUrl);
+        if (matchingDocumentRows.length === 0)
+            matchingDocumentRows = documentRows.filter(documentRow => getUrlFileName(documentRow.url) === getUrlFileName(documentUrl));
+        documentRows = matchingDocumentRows;
+    }
+    if (documentUrl !== undefined && documentRows.length === 0) {
+        console.log(`Document \"${documentUrl}\" has not been parsed.`);
+        return;
+    }
+
+    let missingCount = 0;
+    for (let documentRow of documentRows) {
+        let missingApplications = findMissingApplications(applications.filter(application => application.informationUrl === documentRow.url));
+        let recordCountDiscrepancy = (documentRow.record_count === null || documentRow.record_count === -1) ? 0 : documentRow.record_count - documentRow.application_count;
+        if (missingApplications.length === 0 && recordCountDiscrepancy <= 0)
+            continue;
+
+        let recordCountSummary = (documentRow.record_count === null || documentRow.record_count === -1) ? "no record count" : `${documentRow.record_count} record(s), ${documentRow.application_count} extracted`;
+        console.log(`${documentRow.url} (${recordCountSummary}): ${missingApplications.length} missing application number(s).`);
+        for (let line of formatMissingApplications(missingApplications, quarantinedApplications))
+            console.log(`    ${line}`);
+
+        // Records that are not accounted for by gaps are probably at the start or end of the
+        // sequence (or have application numbers from a different year).
+
+        if (recordCountDiscrepancy > missingApplications.length)
+            console.log(`    ${recordCountDiscrepancy - missingApplications.length} record(s) not extracted are not accounted for by gaps in the application numbers.`);
+        missingCount += missingApplications.length;
+    }
+
+    if (documentUrl !== undefined) {
+        console.log(`Found ${missingCount} missing application number(s).`);
+        return;
+    }
+
+    // Gaps that span two documents are not found when each document is considered on its own.
+
+    let crossDocumentMissingApplications = findMissingApplications(applications).filter(missingApplication => missingApplication.previousApplication.informationUrl !== missingApplication.nextApplication.informationUrl);
+    if (crossDocumentMissingApplications.length > 0) {
+        console.log(`Across the database: ${crossDocumentMissingApplications.length} missing application number(s) between documents.`);
+        for (let line of formatMissingApplications(crossDocumentMissingApplications, quarantinedApplications))
+            console.log(`    ${line}`);
+    }
+    console.log(`Found ${missingCount + crossDocumentMissingApplications.length} missing application number(s).`);
+}
+
+// Inserts a row in the database, first reconciling the development application with any existing
+// row that has the same application number but was parsed from a different document (instead of
+// silently overwriting that row) or that has a near-identical application number (in case OCR
+// misread a digit in one of the two documents).  Each reconciliation decision is logged.  Returns
+// false if the application number conflicts with a different application and no alternative
+// number could be determined (in which case nothing is inserted and the application should be
+// quarantined for review).
+
+async function reconcileAndInsertRow(database, developmentApplication, usedApplicationNumbers: Set<string>, neighbourApplicationNumbers: string[]) {
+    let existingRow = (await getRows(database, "select * from [data] where [council_reference] = ?", [ developmentApplication.applicationNumber ]))[0];
+    if (existingRow !== undefined && existingRow.info_url === developmentApplication.informationUrl) {
+        await insertRow(database, developmentApplication);
+        return true;
+    }
+
+    // An application from another document with a near-identical number that is the same
+    // application is merged into that application (keeping the number under which it was first
+    // stored).  Any other near-identical number is simply a different application.
+
+    if (existingRow === undefined) {
+        let nearIdenticalApplicationNumbers = getNearIdenticalApplicationNumbers(developmentApplication.applicationNumber);
+        let nearIdenticalRows = (nearIdenticalApplicationNumbers.length === 0) ? [] : await getRows(database, `select * from [data] where [council_reference] in (${nearIdenticalApplicationNumbers.map(() => "?").join(", ")}) and [info_url] <> ?`, nearIdenticalApplicationNumbers.concat([ developmentApplication.informationUrl ]));
+        let bestRow = undefined;
+        let bestSimilarity: number = undefined;
+        for (let nearIdenticalRow of nearIdenticalRows) {
+            let similarity = getApplicationSimilarity(developmentApplication, { address: nearIdenticalRow.address, receivedDate: nearIdenticalRow.date_received, description: nearIdenticalRow.description });
+            if (similarity !== undefined && similarity >= Configuration.reconciliationSimilarityThreshold && (bestSimilarity === undefined || similarity > bestSimilarity)) {
+                bestRow = nearIdenticalRow;
+                bestSimilarity = similarity;
+            }
+        }
+        if (bestRow === undefined) {
+            await insertRow(database, developmentApplication);
+            return true;
+        }
+
+        await logReconciliation(database, { applicationNumber: developmentApplication.applicationNumber, informationUrl: developmentApplication.informationUrl, otherInformationUrl: bestRow.info_url, decision: "merged", newApplicationNumber: bestRow.council_reference, similarity: bestSimilarity });
+        console.log(`    Application number ${developmentApplication.applicationNumber} is near-identical to application number ${bestRow.council_reference} previously parsed from ${bestRow.info_url} (similarity ${bestSimilarity.toFixed(2)}): merged as ${bestRow.council_reference}.`);
+        developmentApplication.applicationNumber = bestRow.council_reference;
+        await insertRow(database, developmentApplication, bestRow);
+        return true;
+    }
+
+    let reconciliation = reconcileApplication(developmentApplication, { address: existingRow.address, receivedDate: existingRow.date_received, description: existingRow.description }, usedApplicationNumbers, neighbourApplicationNumbers);
+    await logReconciliation(database, { applicationNumber: developmentApplication.applicationNumber, informationUrl: developmentApplication.informationUrl, otherInformationUrl: existingRow.info_url, decision: reconciliation.decision, newApplicationNumber: reconciliation.applicationNumber, similarity: reconciliation.similarity });
+    console.log(`    Application number ${developmentApplication.applicationNumber} was previously parsed from ${existingRow.info_url} (similarity ${(reconciliation.similarity === undefined) ? "unknown" : reconciliation.similarity.toFixed(2)}): ${reconciliation.decision}${(reconciliation.decision === "renumbered") ? " as " + reconciliation.applicationNumber : ""}.`);
+    if (reconciliation.decision === "conflict")
+        return false;
+
+    if (reconciliation.decision === "merged")
+        await insertRow(database, developmentApplication, existingRow);
+    else {
+        developmentApplication.applicationNumber = reconciliation.applicationNumber;
+        developmentApplication.applicationNumberStatus = "renumbered";
+        usedApplicationNumbers.add(reconciliation.applicationNumber);
+        await insertRow(database, developmentApplication);
+    }
+    return true;
+}
+
+// Records a reconciliation decision in the log.
+
+async function logReconciliation(database, reconciliation: Reconciliation) {
+    await runStatement(database, "insert into [reconciliation_log] ([council_reference], [info_url], [other_info_url], [decision], [new_council_reference], [similarity], [date_reconciled]) values (?, ?, ?, ?, ?, ?, ?)", [
+        reconciliation.applicationNumber,
+        reconciliation.informationUrl,
+        reconciliation.otherInformationUrl,
+        reconciliation.decision,
+        (reconciliation.newApplicationNumber === reconciliation.applicationNumber) ? null : reconciliation.newApplicationNumber,
+        (reconciliation.similarity === undefined) ? null : Math.round(reconciliation.similarity * 100) / 100,
+        moment().format("YYYY-MM-DD")
+    ]);
+}
+
+// Adds a development application to the review queue if the confidence of any of its fields is
+// below the configured threshold (or removes it from the review queue if all fields are now
+// above the threshold; for example, after a PDF is parsed again with an improved parser).
+
+async function updateReviewQueue(database, developmentApplication) {
+    let lowestFieldName = undefined;
+    for (let fieldName of Object.keys(developmentApplication.confidences))
+        if (developmentApplication.confidences[fieldName] !== null && (lowestFieldName === undefined || developmentApplication.confidences[fieldName] < developmentApplication.confidences[lowestFieldName]))
+            lowestFieldName = fieldName;
+
+    if (lowestFieldName !== undefined && developmentApplication.confidences[lowestFieldName] < Configuration.reviewConfidenceThreshold) {
+        await runStatement(database, "insert or replace into [review_queue] values (?, ?, ?, ?, ?)", [ developmentApplication.applicationNumber, developmentApplication.informationUrl, lowestFieldName, developmentApplication.confidences[lowestFieldName], moment().format("YYYY-MM-DD") ]);
+        console.log(`    Queued application \"${developmentApplication.applicationNumber}\" for review because the confidence of the ${lowestFieldName} field is ${developmentApplication.confidences[lowestFieldName]}.`);
+    } else
+        await runStatement(database, "delete from [review_queue] where [council_reference] = ?", [ developmentApplication.applicationNumber ]);
+}
+
+// Executes an SQL statement that does not return any rows.
+
+async function runStatement(database, sql: string, parameters: any[]) {
+    return new Promise((resolve, reject) => {
+        database.run(sql, parameters, function(error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(this.changes);
+        });
+    });
+}
+
+// Executes an SQL query and returns all resulting rows.
+
+async function getRows(database, sql: string, parameters: any[]): Promise<any[]> {
+    return new Promise((resolve, reject) => {
+        database.all(sql, parameters, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Records the outcome of checking (and possibly parsing) a PDF in the ledger of processed
+// documents.  The application count and record count are only updated if the PDF was parsed.
+
+async function updateDocument(database, url: string, hash: string, isParsed: boolean, applicationCount?: number, recordCount?: number) {
+    let date = moment().format("YYYY-MM-DD HH:mm:ss");
+    await runStatement(database, "insert or ignore into [documents] ([url]) values (?)", [ url ]);
+    if (isParsed)
+        await runStatement(database, "update [documents] set [hash] = ?, [date_checked] = ?, [date_parsed] = ?, [application_count] = ?, [record_count] = ? where [url] = ?", [ hash, date, date, applicationCount, recordCount, url ]);
+    else
+        await runStatement(database, "update [documents] set [date_checked] = ? where [url] = ?", [ date, url ]);
+}
+
+// Replaces any applications previously quarantined from the specified PDF with the applications
+// that were rejected by the parser in the latest parse of that PDF.  The application number (as
+// parsed, if it could be read at all) is stored with each application so that the quarantined
+// applications can be matched against gaps in the application numbers (see
+// reportMissingApplications).
+
+async function quarantineApplications(database, url: string, rejectedApplications: RejectedApplication[]) {
+    await runStatement(database, "delete from [quarantine] where [info_url] = ?", [ url ]);
+    for (let rejectedApplication of rejectedApplications) {
+        await runStatement(database, "insert or replace into [quarantine] ([info_url], [page_number], [group_number], [reason], [fields], [start_element], [elements], [date_quarantined], [application_number]) values (?, ?, ?, ?, ?, ?, ?, ?, ?)", [
+            url,
+            rejectedApplication.pageNumber,
+            rejectedApplication.groupNumber,
+            rejectedApplication.reason,
+            JSON.stringify(rejectedApplication.fields),
+            JSON.stringify(rejectedApplication.startElement),
+            JSON.stringify(rejectedApplication.elements),
+            moment().format("YYYY-MM-DD"),
+            rejectedApplication.fields.applicationNumber || null
+        ]);
+    }
+    if (rejectedApplications.length > 0)
+        console.log(`    Quarantined ${rejectedApplications.length} application(s) that could not be parsed.`);
+}
+
 // A bounding rectangle.
 
 interface Rectangle {
@@ -94,6 +689,37 @@ interface Element extends Rectangle {
     confidence: number
 }
 
+// A group of elements on a PDF page associated with a single development application (beginning
+// with the "Dev App No." start element).
+
+interface ApplicationElementGroup {
+    startElement: Element,
+    elements: Element[]
+}
+
+// A development application that was rejected by the parser (along with the fields that had been
+// parsed before the application was rejected and the elements from which it was parsed).
+
+interface RejectedApplication {
+    pageNumber: number,
+    groupNumber: number,
+    reason: string,
+    fields: { [fieldName: string]: string },
+    startElement: Element,
+    elements: Element[]
+}
+
+// A decision made when reconciling two development applications with the same application number.
+
+interface Reconciliation {
+    applicationNumber: string,
+    informationUrl: string,
+    otherInformationUrl: string,
+    decision: string,
+    newApplicationNumber: string,
+    similarity: number
+}
+
 // Gets the highest Y co-ordinate of all elements that are considered to be in the same row as
 // the specified element.  Take care to avoid extremely tall elements (because these may otherwise
 // be considered as part of all rows and effectively force the return value of this function to
@@ -169,23 +795,105 @@ function getRightElement(elements: Element[], element: Element) {
     return (closestElement.text === undefined) ? undefined : closestElement;
 }
 
-// Gets the text to the right of the specified startElement up to the left hand side of the
+// Gets the elements to the right of the specified startElement up to the left hand side of the
 // specified middleElement (adjusted left by 20% of the width of the middleElement as a safety
 // precaution).  Only elements that overlap 50% or more in the vertical direction with the
 // specified startElement are considered (ie. elements on the same "row" and not too tall).
 
-function getRightRowText(elements: Element[], startElement: Element, middleElement: Element) {
+function getRightRowElements(elements: Element[], startElement: Element, middleElement: Element) {
     let rowElements = elements.filter(element =>
         element.x > startElement.x + startElement.width &&
-        element.x < middleElement.x - 0.2 * middleElement.width &&
+        element.x < middleElement.x - CurrentLayoutProfile.middleMargin * middleElement.width &&
         getVerticalOverlapPercentage(element, startElement) > 50
     );
 
-    // Sort and then join the elements into a single string.
+    // Sort the elements.
 
     let xComparer = (a: Element, b: Element) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
     rowElements.sort(xComparer);
-    return rowElements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ");
+    return rowElements;
+}
+
+// Gets the text to the right of the specified startElement up to the left hand side of the
+// specified middleElement (see getRightRowElements).
+
+function getRightRowText(elements: Element[], startElement: Element, middleElement: Element) {
+    return getRightRowElements(elements, startElement, middleElement).map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ");
+}
+
+// Gets the application number to the right of the specified startElement (allowing for a lot of
+// common parsing errors).  If the middleElement is not known (because the application is being
+// rejected) then only the first element to the right of the startElement that is not a date is
+// used, so that the rejected application can still be identified.
+
+function getApplicationNumberText(elements: Element[], startElement: Element, middleElement: Element) {
+    let rawApplicationNumber: string;
+    if (middleElement === undefined) {
+        let rowElements = elements.filter(element =>
+            element.x > startElement.x + startElement.width &&
+            getVerticalOverlapPercentage(element, startElement) > 50 &&
+            !moment(element.text.trim(), CurrentLayoutProfile.dateFormat, true).isValid());
+        rowElements.sort((a, b) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0));
+        rawApplicationNumber = (rowElements.length === 0) ? "" : rowElements[0].text;
+    } else
+        rawApplicationNumber = getRightRowText(elements, startElement, middleElement);
+
+    let applicationNumber = rawApplicationNumber.trim().replace(/\s/g, "").replace(/[IlL\[\]\|’,!\(\)\{\}]/g, "/").replace(/°/g, "0").replace(/'\//g, "1").replace(/\/\//g, "1/").replace(/201\?/g, "2017").replace(/‘/g, "").replace(/'/g, "");  // for example, converts "17I2017" to "17/2017"
+    if (applicationNumber.length >= 6 && /120[0-9][0-9]$/.test(applicationNumber))
+        applicationNumber = applicationNumber.substring(0, applicationNumber.length - 5) + "/" + applicationNumber.substring(applicationNumber.length - 4);  // for example, converts "35612015" to "356/2015"
+    return applicationNumber;
+}
+
+// Reads the configuration from config.json (using the default value of any setting that is not
+// specified in that file).
+
+function readConfiguration() {
+    Configuration = Object.assign({}, DefaultConfiguration);
+    if (fs.existsSync("config.json"))
+        Object.assign(Configuration, JSON.parse(fs.readFileSync("config.json").toString()));
+    Configuration.layoutProfiles = Configuration.layoutProfiles.map(layoutProfile => Object.assign({}, DefaultLayoutProfile, layoutProfile));
+    if (!Configuration.layoutProfiles.some(layoutProfile => layoutProfile.name === DefaultLayoutProfile.name))
+        Configuration.layoutProfiles.push(DefaultLayoutProfile);
+    if (Configuration.namePolicy === "hash" && !process.env.MORPH_NAME_HASH_SALT)
+        throw new Error("The name policy is \"hash\" but no salt was specified (set the MORPH_NAME_HASH_SALT environment variable to a secret, non-empty value).");
+}
+
+// Selects the layout profile that best matches the specified elements (for example, the elements
+// of the first page of a document): the profile whose start label is found the most times (with
+// a bonus if its assessment label and its applicant or builder label are also found).  Returns
+// undefined if no profile matches.
+
+function selectLayoutProfile(elements: Element[]) {
+    let bestLayoutProfile: LayoutProfile = undefined;
+    let bestScore = 0;
+    for (let layoutProfile of Configuration.layoutProfiles as LayoutProfile[]) {
+        let score = findStartElements(elements, layoutProfile).length;
+        if (score === 0)
+            continue;
+        if (layoutProfile.assessmentLabels.some(label => findElement(elements, label, false, layoutProfile.assessmentLabelTolerance) !== undefined))
+            score++;
+        if (elements.some(element => isLabel(element.text, layoutProfile.applicantLabel, layoutProfile) || isLabel(element.text, layoutProfile.builderLabel, layoutProfile)))
+            score++;
+        if (score > bestScore) {
+            bestLayoutProfile = layoutProfile;
+            bestScore = score;
+        }
+    }
+    return bestLayoutProfile;
+}
+
+// Formats the labels of a layout profile for a message (for example, "Applicant" or "Builder").
+
+function formatLabels(labels: string[]) {
+    let quotedLabels = labels.map(label => `"${label}"`);
+    return (quotedLabels.length <= 1) ? quotedLabels.join("") : `${quotedLabels.slice(0, -1).join(", ")} or ${quotedLabels[quotedLabels.length - 1]}`;
+}
+
+// Determines whether the text of an element matches the specified "Applicant" or "Builder" label
+// of a layout profile (allowing for spelling errors).
+
+function isLabel(text: string, label: string, layoutProfile: LayoutProfile) {
+    return didyoumean(text, [ label ], { caseSensitive: true, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: layoutProfile.middleLabelTolerance, trimSpace: true }) !== null;
 }
 
 // Reads all the address information into global objects.
@@ -216,6 +924,71 @@ function readAddressInformation() {
     }
 }
 
+// Normalises a street number, street name or suburb name so that it can be used as a key when
+// looking up co-ordinates (for example, "Adelaide RD" becomes "ADELAIDE ROAD").
+
+function getGeocodingKey(...texts: string[]) {
+    return texts.map(text => text.trim().split(/\s+/).map(token => (StreetSuffixes[token.toLowerCase()] || token).toUpperCase()).join(" ")).join("|");
+}
+
+// Adds a point to the running total used to calculate the centroid of a street or suburb.
+
+function addToCentroid(centroids: any, key: string, latitude: number, longitude: number) {
+    let centroid = centroids[key] || (centroids[key] = { latitude: 0, longitude: 0, count: 0 });
+    centroid.latitude += latitude;
+    centroid.longitude += longitude;
+    centroid.count++;
+}
+
+// Reads the address points (or road segments) and suburb centroids used for offline geocoding
+// into global objects.  Street and suburb co-ordinates are averaged from all points found for
+// each street and suburb (explicit suburb centroids take precedence).
+
+function readGeocodingInformation(addressPointsFilePath: string, suburbCentroidsFilePath: string) {
+    AddressPointCoordinates = {};
+    let streetCentroids = {};
+    let suburbCentroids = {};
+
+    if (addressPointsFilePath) {
+        for (let feature of readGazetteerFeatures(addressPointsFilePath)) {
+            if (feature.coordinates === undefined)
+                continue;
+            let [ longitude, latitude ] = feature.coordinates;
+            let streetNumber = getGazetteerValue(feature.properties, GazetteerFieldNames.streetNumber);
+            let street = [ getGazetteerValue(feature.properties, GazetteerFieldNames.streetName), getGazetteerValue(feature.properties, GazetteerFieldNames.streetType), getGazetteerValue(feature.properties, GazetteerFieldNames.streetSuffix) ].join(" ");
+            let suburb = getGazetteerValue(feature.properties, GazetteerFieldNames.suburb);
+            if (suburb === "")
+                continue;
+            if (street.trim() !== "") {
+                if (streetNumber !== "")
+                    AddressPointCoordinates[getGeocodingKey(streetNumber, street, suburb)] = { latitude: latitude, longitude: longitude };
+                addToCentroid(streetCentroids, getGeocodingKey(street, suburb), latitude, longitude);
+            }
+            addToCentroid(suburbCentroids, getGeocodingKey(suburb), latitude, longitude);
+        }
+    }
+
+    if (suburbCentroidsFilePath) {
+        let explicitSuburbCentroids = {};
+        for (let feature of readGazetteerFeatures(suburbCentroidsFilePath)) {
+            let suburb = getGazetteerValue(feature.properties, GazetteerFieldNames.suburb);
+            if (feature.coordinates !== undefined && suburb !== "")
+                addToCentroid(explicitSuburbCentroids, getGeocodingKey(suburb), feature.coordinates[1], feature.coordinates[0]);
+        }
+        Object.assign(suburbCentroids, explicitSuburbCentroids);
+    }
+
+    let getAverage = centroid => ({ latitude: centroid.latitude / centroid.count, longitude: centroid.longitude / centroid.count });
+    StreetCoordinates = {};
+    for (let key of Object.keys(streetCentroids))
+        StreetCoordinates[key] = getAverage(streetCentroids[key]);
+    SuburbCoordinates = {};
+    for (let key of Object.keys(suburbCentroids))
+        SuburbCoordinates[key] = getAverage(suburbCentroids[key]);
+
+    console.log(`Read ${Object.keys(AddressPointCoordinates).length} address point(s), ${Object.keys(StreetCoordinates).length} street(s) and ${Object.keys(SuburbCoordinates).length} suburb(s) for geocoding.`);
+}
+
 // Gets the elements on the line above (typically an address line).  Note that the left hand side
 // of the leftElement is used to limit how far left the search for elements is performed (and so
 // avoids artefacts created at the very left hand side edge of the page being included as valid
@@ -228,7 +1001,7 @@ function getAboveElements(elements: Element[], leftElement: Element, belowElemen
 
     let addressElements = elements.filter(element =>
         element.y < belowElement.y - belowElement.height &&
-        element.x < middleElement.x - 0.2 * middleElement.width &&
+        element.x < middleElement.x - CurrentLayoutProfile.middleMargin * middleElement.width &&
         element.x > leftElement.x - leftElement.height);  // use height rather than width purposely (to avoid too much width)
         
     // Find the lowest address element (this is assumed to form part of the single line of the
@@ -245,7 +1018,7 @@ function getAboveElements(elements: Element[], leftElement: Element, belowElemen
 
     addressElements = elements.filter(element =>
         element.y < belowElement.y - belowElement.height &&
-        element.x < middleElement.x - 0.2 * middleElement.width &&
+        element.x < middleElement.x - CurrentLayoutProfile.middleMargin * middleElement.width &&
         element.x > leftElement.x - leftElement.height &&   // use height rather than width purposely (to avoid too much width)
         element.y >= addressBottomElement.y - Math.max(element.height, addressBottomElement.height));
 
@@ -272,7 +1045,7 @@ function getAboveElements(elements: Element[], leftElement: Element, belowElemen
     // moved to the left, closer to the address (see "Crystal Report - DevAppSeptember 2015.pdf").
 
     for (let index = 1; index < addressElements.length; index++) {
-        if (addressElements[index].x - (addressElements[index - 1].x + addressElements[index - 1].width) > 50) {  // gap greater than 50 pixels
+        if (addressElements[index].x - (addressElements[index - 1].x + addressElements[index - 1].width) > CurrentLayoutProfile.columnGap) {  // a sizeable gap (50 pixels by default)
             if (addressElements[index - 1].confidence >= 60 && addressElements[index].confidence >= 60) {  // avoid random marks and the edge of the paper being recognised as text
                 addressElements.length = index;  // remove the element and all following elements that appear after a large gap
                 break;
@@ -283,17 +1056,23 @@ function getAboveElements(elements: Element[], leftElement: Element, belowElemen
     return addressElements;
 }
 
+// Gets the elements containing dates to the right of the "Dev App No." text.
+
+function getDateElements(elements: Element[], startElement: Element, middleElement: Element) {
+    // Search to the right of "Dev App No." for the dates (including some leeway up and down a few
+    // "lines" from the "Dev App No." text because sometimes the dates are offset vertically by a
+    // fair amount; in some cases offset up and in other cases offset down).
+
+    return elements.filter(element => element.x >= middleElement.x &&
+        element.y + element.height > startElement.y - CurrentLayoutProfile.dateRowSpan * startElement.height &&
+        element.y < startElement.y + CurrentLayoutProfile.dateRowSpan * startElement.height &&
+        moment(element.text.trim(), CurrentLayoutProfile.dateFormat, true).isValid());
+}
+
 // Gets the element containining the received date.
 
 function getReceivedDateElement(elements: Element[], startElement: Element, middleElement: Element) {
-    // Search to the right of "Dev App No." for the lodged date (including some leeway up and
-    // down a few "lines" from the "Dev App No." text because sometimes the lodged date is offset
-    // vertically by a fair amount; in some cases offset up and in other cases offset down).
-
-    let dateElements = elements.filter(element => element.x >= middleElement.x &&
-        element.y + element.height > startElement.y - 4 * startElement.height &&
-        element.y < startElement.y + 4 * startElement.height &&
-        moment(element.text.trim(), "D/MM/YYYY", true).isValid());
+    let dateElements = getDateElements(elements, startElement, middleElement);
 
     // Select the left most date (ie. favour the "lodged" date over the "final descision" date).
 
@@ -301,9 +1080,42 @@ function getReceivedDateElement(elements: Element[], startElement: Element, midd
     return receivedDateElement;
 }
 
-// Gets the description.
+// Gets the element containing the decision date (the right most date, which must be to the right
+// of the received date).
 
-function getDescription(elements: Element[], startElement: Element, middleElement: Element, receivedDateElement: Element) {
+function getDecisionDateElement(elements: Element[], startElement: Element, middleElement: Element, receivedDateElement: Element) {
+    if (receivedDateElement === undefined)
+        return undefined;
+
+    let dateElements = getDateElements(elements, startElement, middleElement).filter(element => element.x > receivedDateElement.x + receivedDateElement.width);
+    return dateElements.reduce((previous, current) => ((previous === undefined || previous.x < current.x) ? current : previous), undefined);
+}
+
+// Gets the decision (or status) of the application, such as "Approved" or "Refused", from the
+// decision column: the first text (other than a date) on the same row to the right of the
+// decision date (or of the received date when there is no decision date).  Only a single
+// character may differ (allowing for OCR errors) so that other text is not taken as a decision.
+
+function getDecision(elements: Element[], receivedDateElement: Element, decisionDateElement: Element) {
+    let referenceElement = (decisionDateElement === undefined) ? receivedDateElement : decisionDateElement;
+    if (referenceElement === undefined)
+        return "";
+
+    let rowElements = elements.filter(element =>
+        element.x > referenceElement.x + referenceElement.width - 3 &&
+        getVerticalOverlapPercentage(element, referenceElement) > 50 &&
+        !moment(element.text.trim(), CurrentLayoutProfile.dateFormat, true).isValid());
+    let decisionElement = rowElements.reduce((previous, current) => ((previous === undefined || current.x < previous.x) ? current : previous), undefined);
+    if (decisionElement === undefined || decisionElement.text.trim().length < 5)
+        return "";
+
+    let decision = didyoumean(decisionElement.text.trim(), Decisions, { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true });
+    return (decision === null) ? "" : decision;
+}
+
+// Gets the elements that make up the description (sorted in reading order).
+
+function getDescriptionElements(elements: Element[], startElement: Element, middleElement: Element, receivedDateElement: Element) {
     // Set the element which delineates the top of the description text.
 
     let descriptionTopElementY = (receivedDateElement === undefined) ? startElement.y : (receivedDateElement.y + receivedDateElement.height);
@@ -316,7 +1128,7 @@ function getDescription(elements: Element[], startElement: Element, middleElemen
     
     let descriptionElements = elements.filter(element => element.y > descriptionTopElementY &&
         element.y < descriptionBottomLeftElement.y &&
-        element.x > descriptionBottomLeftElement.x - 0.2 * descriptionBottomLeftElement.width);
+        element.x > descriptionBottomLeftElement.x - CurrentLayoutProfile.middleMargin * descriptionBottomLeftElement.width);
     
     // Sort the description elements by Y co-ordinate and then by X co-ordinate (the Math.max
     // expressions exist to allow for the Y co-ordinates of elements to be not exactly aligned;
@@ -324,18 +1136,40 @@ function getDescription(elements: Element[], startElement: Element, middleElemen
     
     let elementComparer = (a, b) => (a.y > b.y + (Math.max(a.height, b.height) * 2) / 3) ? 1 : ((a.y < b.y - (Math.max(a.height, b.height) * 2) / 3) ? -1 : ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)));
     descriptionElements.sort(elementComparer);
+    return descriptionElements;
+}
+
+// Gets the description.
 
+function getDescription(elements: Element[], startElement: Element, middleElement: Element, receivedDateElement: Element) {
     // Construct the description from the description elements.
 
-    return descriptionElements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ").replace(/ﬁ/g, "fi").replace(/ﬂ/g, "fl");
+    return getDescriptionElements(elements, startElement, middleElement, receivedDateElement).map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ").replace(/ﬁ/g, "fi").replace(/ﬂ/g, "fl");
+}
+
+// The components of an address (along with whether the street name and suburb were matched
+// exactly or fuzzily against the known street names and suburb names, or not matched at all).
+
+interface AddressComponents {
+    streetNumber: string,
+    unit: string,
+    streetName: string,
+    streetType: string,
+    suburb: string,
+    state: string,
+    postcode: string,
+    streetNameMatch: string,
+    suburbMatch: string
 }
 
 // Formats (and corrects) an address.
 
 function formatAddress(address: string) {
+    let components: AddressComponents = { streetNumber: "", unit: "", streetName: "", streetType: "", suburb: "", state: "", postcode: "", streetNameMatch: "none", suburbMatch: "none" };
+
     address = address.trim();
     if (address === "")
-        return { text: "", hasSuburb: false, hasStreet: false };
+        return { text: "", hasSuburb: false, hasStreet: false, components: components };
 
     // Correct one case where "T CE" was parsed instead of "TCE" (in the May 2016 PDF).  And
     // also correct several other special cases.  Only the first instance of the match is
@@ -379,16 +1213,41 @@ function formatAddress(address: string) {
 
     let suburbName = null;
     for (let index = 1; index <= 4; index++) {
-        let suburbNameMatch = didyoumean(tokens.slice(-index).join(" "), Object.keys(SuburbNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
+        let suburbNameText = tokens.slice(-index).join(" ");
+        let suburbNameMatch = didyoumean(suburbNameText, Object.keys(SuburbNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
         if (suburbNameMatch !== null) {
             suburbName = SuburbNames[suburbNameMatch];
+            components.suburbMatch = (suburbNameText.trim().toLowerCase() === suburbNameMatch) ? "exact" : "fuzzy";
             tokens.splice(-index, index);  // remove elements from the end of the array           
             break;
         }
     }
 
     if (suburbName === null)  // suburb name not found (or not recognised)
-        return { text: address, hasSuburb: false, hasStreet: false };
+        return { text: address, hasSuburb: false, hasStreet: false, components: components };
+
+    // Split the suburb name into the suburb, state and post code (for example, "MURRAY BRIDGE SA
+    // 5253").
+
+    let suburbTokens = suburbName.split(" ");
+    components.postcode = /^[0-9]{4}$/.test(suburbTokens[suburbTokens.length - 1]) ? suburbTokens.pop() : "";
+    components.state = (suburbTokens.length >= 2) ? suburbTokens.pop() : "";
+    components.suburb = suburbTokens.join(" ");
+
+    // Extract any unit number and street number (or range of street numbers) from the start of
+    // the address.  For example, "Unit 3 12 Smith ST", "3/12 Smith ST" or "12-14 Smith ST".
+
+    if (tokens.length >= 3 && /^(unit|u|shop|flat)$/i.test(tokens[0]) && /^[0-9]+[A-Za-z]?$/.test(tokens[1])) {
+        components.unit = tokens[1];
+        tokens.splice(0, 2);
+    }
+    let streetNumberMatch = (tokens.length >= 2) ? /^(?:([0-9]+[A-Za-z]?)\/)?([0-9]+[A-Za-z]?(?:-[0-9]+[A-Za-z]?)?)$/.exec(tokens[0]) : null;
+    if (streetNumberMatch !== null) {
+        if (streetNumberMatch[1] !== undefined)
+            components.unit = streetNumberMatch[1];
+        components.streetNumber = streetNumberMatch[2];
+        tokens.shift();
+    }
 
     // Expand an abbreviated street suffix.  For example, expand "RD" to "Road".
 
@@ -399,16 +1258,58 @@ function formatAddress(address: string) {
 
     let streetName = (tokens.join(" ") + " " + streetSuffix).trim();
     let streetNameMatch = didyoumean(streetName, Object.keys(StreetNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true });
-    if (streetNameMatch !== null)
+    if (streetNameMatch !== null) {
+        components.streetNameMatch = (streetName.toLowerCase() === streetNameMatch.toLowerCase()) ? "exact" : "fuzzy";
         streetName = streetNameMatch;
+    }
+
+    // Split the street name into the name and the type (for example, "Adelaide" and "Road").
+
+    let streetNameTokens = streetName.split(" ");
+    let streetTypes = Object.keys(StreetSuffixes).map(streetSuffix => StreetSuffixes[streetSuffix].toLowerCase());
+    if (streetNameTokens.length >= 2 && streetTypes.includes(streetNameTokens[streetNameTokens.length - 1].toLowerCase()))
+        components.streetType = streetNameTokens.pop();
+    components.streetName = streetNameTokens.join(" ");
+
+    // Construct the formatted address (for example, "3/12 Smith Street, MURRAY BRIDGE SA 5253").
+
+    let streetNumber = ((components.unit === "") ? "" : components.unit + "/") + components.streetNumber;
+    let street = ((streetNumber === "" || streetName === "") ? "" : streetNumber + " ") + streetName;
+    return { text: (street + ((street === "") ? "" : ", ") + suburbName).trim(), hasSuburb: true, hasStreet: (streetName.length > 0), components: components };
+}
 
-    return { text: (streetName + ((streetName === "") ? "" : ", ") + suburbName).trim(), hasSuburb: true, hasStreet: (streetName.length > 0) };
+// Determines the co-ordinates of an address (without using any online service) by matching the
+// address against the address points, then the street centroids and then the suburb centroids.
+// The precision indicates which of these matched ("address", "street", "suburb" or "none").
+
+function geocodeAddress(components: AddressComponents) {
+    let street = (components.streetName + " " + components.streetType).trim();
+    let streetNumber = components.streetNumber.split("-")[0];  // use the first number of a range
+
+    let coordinates = undefined;
+    let precision = "none";
+    if (street !== "" && streetNumber !== "" && (coordinates = AddressPointCoordinates[getGeocodingKey(streetNumber, street, components.suburb)]) !== undefined)
+        precision = "address";
+    else if (street !== "" && (coordinates = StreetCoordinates[getGeocodingKey(street, components.suburb)]) !== undefined)
+        precision = "street";
+    else if (components.suburb !== "" && (coordinates = SuburbCoordinates[getGeocodingKey(components.suburb)]) !== undefined)
+        precision = "suburb";
+
+    return {
+        latitude: (coordinates === undefined) ? null : Math.round(coordinates.latitude * 1000000) / 1000000,
+        longitude: (coordinates === undefined) ? null : Math.round(coordinates.longitude * 1000000) / 1000000,
+        precision: precision
+    };
 }
 
-// Gets and formats the address.
+// Gets and formats the address.  Hyphens and slashes are removed (as they always have been) except
+// between digits, where they are kept so that the street number and unit can be parsed (for
+// example, "12-14 Smith Street" and "3/12 Smith Street" were previously formatted as "1214 Smith
+// Street" and "312 Smith Street").  Note that this changes the formatted address of an existing
+// application with such a street number when it is scraped again.
 
 function joinAddressElements(elements: Element[]) {
-    return elements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ").replace(/ﬁ/g, "fi").replace(/ﬂ/g, "fl").replace(/\\\//g, "V").replace(/‘/g, "").replace(/’/g, "").replace(/“/g, "").replace(/”/g, "").replace(/—/g, "").replace(/_/g, "").replace(/\./g, "").replace(/\-/g, "").replace(/\//g, "").replace(/!/g, "");
+    return elements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ").replace(/ﬁ/g, "fi").replace(/ﬂ/g, "fl").replace(/\\\//g, "V").replace(/‘/g, "").replace(/’/g, "").replace(/“/g, "").replace(/”/g, "").replace(/—/g, "").replace(/_/g, "").replace(/\./g, "").replace(/(?<![0-9])\-|\-(?![0-9])/g, "").replace(/(?<![0-9])\/|\/(?![0-9])/g, "").replace(/!/g, "");
 }
 
 function isAddress(address: string) {
@@ -419,13 +1320,121 @@ function isLegalDescription(address: string) {
     return address !== "" && (address.startsWith("HD") || address.startsWith("LOT") || address.startsWith("PCE") || address.startsWith("PLT")  || address.startsWith("SIT"));
 }
 
+// Parses a number from the start of the specified text, allowing for common OCR errors (such as
+// "O" instead of "0" and "l" instead of "1") and for spaces and commas between the digits.  For
+// example, "$1 5O,000 " is parsed as 150000.  Returns null if there is no number.
+
+function parseOcrNumber(text: string) {
+    let numberMatch = /^[0-9OoIlSB|]([0-9OoIlSB|,.]|\s(?=[0-9]))*/.exec(text.trim().replace(/^[:;$\s]+/, ""));
+    if (numberMatch === null || !/[0-9]/.test(numberMatch[0]))
+        return null;
+
+    let number = Number(numberMatch[0].replace(/[Oo]/g, "0").replace(/[Il|]/g, "1").replace(/S/g, "5").replace(/B/g, "8").replace(/[\s,]/g, "").replace(/\.$/, ""));
+    return isNaN(number) ? null : number;
+}
+
+// Gets the text of each line of elements to the left of the middleElement (where the address,
+// development cost and total area appear).
+
+function getLeftLines(elements: Element[], middleElement: Element) {
+    let leftElements = elements.filter(element => element.x < middleElement.x - CurrentLayoutProfile.middleMargin * middleElement.width);
+    let yComparer = (a: Element, b: Element) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : 0);
+    leftElements.sort(yComparer);
+
+    let lines: Element[][] = [];
+    for (let element of leftElements) {
+        let line = lines.find(line => getVerticalOverlapPercentage(line[0], element) > 50);
+        if (line === undefined)
+            lines.push([ element ]);
+        else
+            line.push(element);
+    }
+
+    let xComparer = (a: Element, b: Element) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
+    return lines.map(line => line.sort(xComparer).map(element => element.text).join(" ").trim().replace(/\s\s+/g, " "));
+}
+
+// Gets the text to the right of a label (such as "Applicant") on the same row, stopping at any
+// sizeable gap (which indicates the start of a different column).
+
+function getLabelValue(elements: Element[], labelElement: Element) {
+    if (labelElement === undefined)
+        return "";
+
+    let valueElements = elements.filter(element =>
+        element.x > labelElement.x + labelElement.width - 3 &&
+        getVerticalOverlapPercentage(labelElement, element) > 50);
+    let xComparer = (a: Element, b: Element) => (a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0);
+    valueElements.sort(xComparer);
+
+    let previousElement = labelElement;
+    for (let index = 0; index < valueElements.length; index++) {
+        if (valueElements[index].x - (previousElement.x + previousElement.width) > CurrentLayoutProfile.columnGap) {  // a sizeable gap (50 pixels by default)
+            valueElements.length = index;
+            break;
+        }
+        previousElement = valueElements[index];
+    }
+
+    return valueElements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " ").replace(/^[:;.\-\s]+/, "");
+}
+
+// Determines whether a name appears to be the name of a company or organisation (rather than the
+// name of a private individual).
+
+function isCompanyName(name: string) {
+    return /\b(pty|ltd|limited|inc|corp|corporation|company|co|homes|builders?|building|constructions?|developments?|group|trust|council|department|government|services|association|church|club|school|plumbing|electrical|solar|designs?|holdings|investments|enterprises|industries|sheds?|pools?|architects?|australia)\b/i.test(name);
+}
+
+// Applies the configured policy to an applicant or builder name: "none" (names are not stored),
+// "store" (names are stored as is), "hash" (a salted hash of each name is stored, so that names
+// can be compared without being stored) or "companies" (only the names of companies and other
+// organisations are stored).
+
+function applyNamePolicy(name: string) {
+    if (name === "")
+        return "";
+    switch (Configuration.namePolicy) {
+        case "store":
+            return name;
+        case "hash":
+            return crypto.createHash("sha256").update(process.env.MORPH_NAME_HASH_SALT + name.toUpperCase().replace(/\s+/g, " ")).digest("hex");
+        case "companies":
+            return isCompanyName(name) ? name : "";
+        default:
+            return "";
+    }
+}
+
+// Gets the development cost and total area (in square metres) from the lines that start with
+// "Dev Cost" and "Total Area".  Allow for OCR errors; for example, "my Cost: $150,000" (really
+// "Dev Cost: $150,000") found in "Crystal Report - DevApp November 2015.pdf".  The word "cost"
+// may also appear in a description (for example, "Low cost 2 sheds"), so a cost is only accepted
+// from a line that contains a dollar sign or in which the word follows a "Dev" or "Development"
+// label.
+
+function getCostAndArea(elements: Element[], middleElement: Element) {
+    let developmentCost = null;
+    let totalArea = null;
+    for (let line of getLeftLines(elements, middleElement)) {
+        let costMatch = /c[o0]s[tl]\b/i.exec(line);
+        if (developmentCost === null && costMatch !== null && (line.includes("$") || /\bd[e3]v(\.|[e3]l[o0]pm[e3]nt)?\s*$/i.test(line.substring(0, costMatch.index))))
+            developmentCost = parseOcrNumber(line.substring(costMatch.index + costMatch[0].length));
+
+        let areaMatch = /t[o0]ta[l1I]\s*ar[e3]a\b/i.exec(line);
+        if (totalArea === null && areaMatch !== null)
+            totalArea = parseOcrNumber(line.substring(areaMatch.index + areaMatch[0].length));
+    }
+    return { developmentCost: developmentCost, totalArea: totalArea };
+}
+
 function getAddress(elements: Element[], assessmentNumberElement: Element, middleElement: Element) {
     // Allow for up to three lines in the address.
 
     let addressLine3Elements = getAboveElements(elements, assessmentNumberElement, assessmentNumberElement, middleElement);
     let addressLine3 = joinAddressElements(addressLine3Elements)
     if (!isAddress(addressLine3))
-        return { address: undefined, legalDescription: undefined };
+        return { address: undefined, legalDescription: undefined, addressComponents: undefined, addressElements: undefined, legalDescriptionElements: undefined };
 
     let addressLine2Elements = getAboveElements(elements, assessmentNumberElement, addressLine3Elements[0], middleElement);
     let addressLine2 = joinAddressElements(addressLine2Elements)
@@ -440,51 +1449,342 @@ function getAddress(elements: Element[], assessmentNumberElement: Element, middl
     // street name on the line above.
 
     let formattedAddress = formatAddress(addressLine3);
-    if (!formattedAddress.hasStreet && isAddress(addressLine2) && !isLegalDescription(addressLine2))
+    let addressElements = addressLine3Elements;
+    if (!formattedAddress.hasStreet && isAddress(addressLine2) && !isLegalDescription(addressLine2)) {
         formattedAddress = formatAddress(addressLine2 + " " + formattedAddress.text);
+        addressElements = addressLine2Elements.concat(addressLine3Elements);
+    }
 
     // Attempt to extract any legal description (eg. a hundred name and lot number).
 
     let legalDescription = "";
-    if (isLegalDescription(addressLine1))
+    let legalDescriptionElements: Element[] = [];
+    if (isLegalDescription(addressLine1)) {
         legalDescription += ((legalDescription === "") ? "" : " ") + addressLine1;
-    if (isLegalDescription(addressLine2))
+        legalDescriptionElements = legalDescriptionElements.concat(addressLine1Elements);
+    }
+    if (isLegalDescription(addressLine2)) {
         legalDescription += ((legalDescription === "") ? "" : " ") + addressLine2;
-    if (isLegalDescription(addressLine3))
+        legalDescriptionElements = legalDescriptionElements.concat(addressLine2Elements);
+    }
+    if (isLegalDescription(addressLine3)) {
         legalDescription += ((legalDescription === "") ? "" : " ") + addressLine3;
+        legalDescriptionElements = legalDescriptionElements.concat(addressLine3Elements);
+    }
 
-    return { address: formattedAddress.text, legalDescription: legalDescription };
+    return { address: formattedAddress.text, legalDescription: legalDescription, addressComponents: formattedAddress.components, addressElements: addressElements, legalDescriptionElements: legalDescriptionElements };
 }
 
-// Parses the details from the elements associated with a single development application.
+// Calculates the confidence (from 0 to 100) of a field from the OCR confidences of the elements
+// that make up the field (weighted by the length of the text of each element).  Elements from
+// the text layer of the PDF have no OCR confidence and so are treated as 100% confident.  The
+// result is multiplied by the specified correction factor (which is less than one when the text
+// of the field had to be corrected).  Returns null if the field has no elements.
+
+function getFieldConfidence(elements: Element[], correctionFactor: number) {
+    let textElements = (elements === undefined) ? [] : elements.filter(element => element.text.trim() !== "");
+    if (textElements.length === 0)
+        return null;
+
+    let totalWeight = 0;
+    let totalConfidence = 0;
+    for (let element of textElements) {
+        let weight = element.text.trim().length;
+        totalConfidence += weight * ((typeof element.confidence === "number") ? element.confidence : 100);
+        totalWeight += weight;
+    }
+    return Math.round((10 * correctionFactor * totalConfidence) / totalWeight) / 10;
+}
 
-function parseApplicationElements(elements: Element[], startElement: Element, informationUrl: string) {
-    // Find the "Assessment Number" or "Asses Num" text.
+// Gets the factor by which the confidence of an address is reduced when its street name or suburb
+// was matched fuzzily (that is, spelling errors were corrected) or not matched at all.
 
-    // let assessmentNumberElement = getAssessmentNumberElement(elements, startElement);
+function getAddressCorrectionFactor(addressComponents: AddressComponents) {
+    let getFactor = (match: string) => (match === "exact") ? 1.0 : ((match === "fuzzy") ? 0.9 : 0.8);
+    return getFactor(addressComponents.suburbMatch) * ((addressComponents.streetName === "") ? 1.0 : getFactor(addressComponents.streetNameMatch));
+}
 
-    let assessmentNumberElement = findElement(elements, "Asses Num", false);
-    if (assessmentNumberElement === undefined)
-        assessmentNumberElement = findElement(elements, "Assess Num", false);
-    if (assessmentNumberElement === undefined)
-        assessmentNumberElement = findElement(elements, "Assessment Number", false);
-    if (assessmentNumberElement === undefined) {
-        let elementSummary = elements.map(element => `[${element.text}]`).join("");
-        console.log(`Could not find the \"Assessment Number\", \"Assess Num\" or \"Asses Num\" text on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
-        return undefined;
-    }
+// Gets the month of a register PDF from its URL (for example, "Crystal Report - DevApp November
+// 2015.pdf").  Returns undefined if the URL does not contain a month and year.
 
-    // Find the "Applicant" text (a useful reference point).
+function getDocumentDate(url: string) {
+    let monthMatch = /(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*[^a-z0-9]*((19|20)[0-9]{2})/i.exec(decodeURIComponent(url));
+    if (monthMatch === null)
+        return undefined;
+    let documentDate = moment(`${monthMatch[1]} ${monthMatch[2]}`, "MMM YYYY");
+    return documentDate.isValid() ? documentDate : undefined;
+}
 
-    let applicantElement = elements.find(element =>
-        element.y > startElement.y &&
-        didyoumean(element.text, [ "Applicant" ], { caseSensitive: true, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 3, trimSpace: true }) !== null);
+// Gets the plausible years of an application number: the year of the register PDF and the
+// previous year (applications lodged late in the previous year may still appear) along with the
+// year in which the application was received.
+
+function getPlausibleYears(documentDate: moment.Moment, receivedDate: moment.Moment) {
+    let years: number[] = [];
+    if (documentDate !== undefined)
+        years.push(documentDate.year(), documentDate.year() - 1);
+    if (receivedDate !== undefined && receivedDate.isValid() && !years.includes(receivedDate.year()))
+        years.push(receivedDate.year());
+    if (years.length === 0)
+        for (let year = moment().year() + 1; year >= 1990; year--)
+            years.push(year);
+    return years;
+}
 
-    // Find the "Builder" text (a useful reference point).
+// Validates an application number against the council's "NNN/YYYY" format.  A well-formed
+// application number is always kept as it is (even if its year is older than the register, since
+// a register may list applications lodged several years earlier).  If the application number is
+// malformed then ranked candidate corrections are generated by replacing characters that OCR
+// commonly confuses with digits, replacing other separators with "/", inserting a missing "/"
+// before the year and correcting a single digit of an implausible year (each such correction adds
+// to the cost of a candidate).  The status is "valid", "corrected" (a single best candidate was
+// found) or "unresolved".
+
+function validateApplicationNumber(applicationNumber: string, documentDate: moment.Moment, receivedDate: moment.Moment) {
+    let plausibleYears = getPlausibleYears(documentDate, receivedDate);
+    let preferredYear = plausibleYears[0];
+    let isWellFormed = (text: string) => { let match = /^([0-9]{1,4})\/([0-9]{4})$/.exec(text); return match !== null && Number(match[1]) > 0 && Number(match[2]) >= 1990 && Number(match[2]) <= moment().year() + 1; };
+    if (isWellFormed(applicationNumber))
+        return { status: "valid", applicationNumber: applicationNumber, candidates: [] };
+
+    // Generate the alternative readings of each character (along with the cost of each).
+
+    let characterOptions = applicationNumber.split("").map(character => {
+        if (/[0-9]/.test(character))
+            return [ { text: character, cost: 0 } ];
+        else if (character === "/")
+            return [ { text: "/", cost: 0 }, { text: "1", cost: 1 } ];  // a "1" is often recognised as "l", which was converted to "/"
+        else if (OcrDigitConfusions[character] !== undefined)
+            return [ { text: OcrDigitConfusions[character], cost: 1 }, { text: "/", cost: 1 } ];
+        else if (/[\\\-_.:;]/.test(character))
+            return [ { text: "/", cost: 1 } ];
+        else
+            return [ { text: "", cost: 1 } ];  // ignore any other character
+    });
+    if (characterOptions.filter(options => options.length > 1).length > 12)  // avoid an excessive number of combinations
+        return { status: "unresolved", applicationNumber: applicationNumber, candidates: [] };
+
+    let readings = [ { text: "", cost: 0 } ];
+    for (let options of characterOptions) {
+        let nextReadings = [];
+        for (let reading of readings)
+            for (let option of options)
+                nextReadings.push({ text: reading.text + option.text, cost: reading.cost + option.cost });
+        readings = nextReadings;
+    }
 
-    let builderElement = elements.find(element =>
-        element.y > startElement.y &&
-        didyoumean(element.text, [ "Builder" ], { caseSensitive: true, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 3, trimSpace: true }) !== null);
+    // Convert each reading to a candidate application number (inserting any missing "/" before
+    // the year and correcting a single digit of an implausible year).
+
+    let candidates: { applicationNumber: string, cost: number }[] = [];
+    let addCandidate = (text: string, cost: number) => {
+        let existingCandidate = candidates.find(candidate => candidate.applicationNumber === text);
+        if (existingCandidate === undefined)
+            candidates.push({ applicationNumber: text, cost: cost });
+        else
+            existingCandidate.cost = Math.min(existingCandidate.cost, cost);
+    };
+    for (let reading of readings) {
+        let text = reading.text;
+        let cost = reading.cost;
+        if (!text.includes("/") && /^[0-9]{5,8}$/.test(text)) {
+            text = text.substring(0, text.length - 4) + "/" + text.substring(text.length - 4);
+            cost++;
+        }
+
+        let match = /^([0-9]{1,4})\/([0-9]{4})$/.exec(text);
+        if (match === null || Number(match[1]) === 0)
+            continue;
+        if (plausibleYears.includes(Number(match[2])))
+            addCandidate(text, cost);
+        else {
+            if (isWellFormed(text))
+                addCandidate(text, cost);  // an older year that is not itself an OCR error
+            for (let year of plausibleYears) {
+                let differenceCount = year.toString().split("").filter((digit, index) => digit !== match[2].charAt(index)).length;
+                if (differenceCount === 1)
+                    addCandidate(`${match[1]}/${year}`, cost + 1);
+            }
+        }
+    }
+
+    // Rank the candidates by cost and then by how close the year is to the year of the document.
+
+    let getYearDistance = (candidate: { applicationNumber: string, cost: number }) => Math.abs(Number(candidate.applicationNumber.split("/")[1]) - preferredYear);
+    candidates.sort((a, b) => (a.cost !== b.cost) ? (a.cost - b.cost) : ((getYearDistance(a) !== getYearDistance(b)) ? (getYearDistance(a) - getYearDistance(b)) : (a.applicationNumber > b.applicationNumber ? 1 : (a.applicationNumber < b.applicationNumber ? -1 : 0))));
+    candidates = candidates.slice(0, 5);
+
+    // Accept the best candidate only if it is clearly better than the next candidate.
+
+    if (candidates.length > 0 && candidates[0].cost <= 3 && (candidates.length === 1 || candidates[0].cost < candidates[1].cost))
+        return { status: "corrected", applicationNumber: candidates[0].applicationNumber, candidates: candidates };
+    return { status: "unresolved", applicationNumber: applicationNumber, candidates: candidates };
+}
+
+// Calculates the similarity (from 0 to 1) of two strings based on the Levenshtein edit distance
+// (ignoring case and any characters other than letters and digits).
+
+function getTextSimilarity(text1: string, text2: string) {
+    let normalize = (text: string) => (text || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+    let a = normalize(text1);
+    let b = normalize(text2);
+    if (a.length === 0 && b.length === 0)
+        return 1;
+
+    let previousRow = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let currentRow = [ i ];
+        for (let j = 1; j <= b.length; j++)
+            currentRow.push(Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + ((a.charAt(i - 1) === b.charAt(j - 1)) ? 0 : 1)));
+        previousRow = currentRow;
+    }
+    return 1 - previousRow[b.length] / Math.max(a.length, b.length);
+}
+
+// Calculates the similarity (from 0 to 1) of two development applications by comparing their
+// addresses, received dates and descriptions.  Fields that are missing from either application
+// are ignored (returns undefined if there are no fields to compare).
+
+function getApplicationSimilarity(application1: { address: string, receivedDate: string, description: string }, application2: { address: string, receivedDate: string, description: string }) {
+    let isPresent = (value: string) => value !== undefined && value !== null && value !== "";
+    let comparisons = [
+        { weight: 0.4, value1: application1.address, value2: application2.address, getSimilarity: getTextSimilarity },
+        { weight: 0.3, value1: application1.receivedDate, value2: application2.receivedDate, getSimilarity: (value1, value2) => (value1 === value2) ? 1 : 0 },
+        { weight: 0.3, value1: application1.description, value2: application2.description, getSimilarity: getTextSimilarity }
+    ].filter(comparison => isPresent(comparison.value1) && isPresent(comparison.value2));
+    let totalWeight = comparisons.reduce((total, comparison) => total + comparison.weight, 0);
+    if (totalWeight === 0)
+        return undefined;
+    return comparisons.reduce((total, comparison) => total + comparison.weight * comparison.getSimilarity(comparison.value1, comparison.value2), 0) / totalWeight;
+}
+
+// Digits that OCR commonly confuses with each other (used to find near-identical application
+// numbers and when re-numbering an application whose number collides with that of a different
+// application).
+
+const OcrDigitSubstitutions = { "0": "869", "1": "74", "2": "7", "3": "859", "4": "19", "5": "6398", "6": "580", "7": "12", "8": "36095", "9": "85403" };
+
+// Gets the application numbers that differ from the specified application number by a single
+// commonly confused digit in the sequence number (for example, "358/2015" for "356/2015").
+
+function getNearIdenticalApplicationNumbers(applicationNumber: string) {
+    let match = /^([0-9]+)\/([0-9]{4})$/.exec(applicationNumber);
+    if (match === null)
+        return [];
+
+    let nearIdenticalApplicationNumbers: string[] = [];
+    for (let index = 0; index < match[1].length; index++)
+        for (let digit of (OcrDigitSubstitutions[match[1].charAt(index)] || "")) {
+            let sequenceNumber = Number(match[1].substring(0, index) + digit + match[1].substring(index + 1));
+            let nearIdenticalApplicationNumber = `${sequenceNumber}/${match[2]}`;
+            if (sequenceNumber !== 0 && nearIdenticalApplicationNumber !== applicationNumber && !nearIdenticalApplicationNumbers.includes(nearIdenticalApplicationNumber))
+                nearIdenticalApplicationNumbers.push(nearIdenticalApplicationNumber);
+        }
+    return nearIdenticalApplicationNumbers;
+}
+
+// Gets the best alternative for an application number that collides with the number of a
+// different application (assuming that OCR misread a single digit of the sequence number).  The
+// alternative must not already be in use and must be close to the sequence numbers of the other
+// applications in the same document.  Returns undefined if there is no single best alternative.
+
+function getAlternativeApplicationNumber(applicationNumber: string, usedApplicationNumbers: Set<string>, neighbourApplicationNumbers: string[]) {
+    let match = /^([0-9]+)\/([0-9]{4})$/.exec(applicationNumber);
+    if (match === null)
+        return undefined;
+
+    let sequenceNumbers = neighbourApplicationNumbers
+        .map(neighbourApplicationNumber => /^([0-9]+)\/([0-9]{4})$/.exec(neighbourApplicationNumber))
+        .filter(neighbourMatch => neighbourMatch !== null && neighbourMatch[2] === match[2] && neighbourMatch[1] !== match[1])
+        .map(neighbourMatch => Number(neighbourMatch[1]));
+    if (sequenceNumbers.length === 0)
+        return undefined;
+
+    let candidates: { applicationNumber: string, distance: number }[] = [];
+    for (let candidate of getNearIdenticalApplicationNumbers(applicationNumber)) {
+        if (usedApplicationNumbers.has(candidate))
+            continue;
+        let sequenceNumber = Number(candidate.split("/")[0]);
+        let distance = Math.min(...sequenceNumbers.map(number => Math.abs(number - sequenceNumber)));
+        if (distance <= 10)
+            candidates.push({ applicationNumber: candidate, distance: distance });
+    }
+
+    candidates.sort((a, b) => a.distance - b.distance);
+    if (candidates.length === 0 || (candidates.length >= 2 && candidates[0].distance === candidates[1].distance))
+        return undefined;
+    return candidates[0].applicationNumber;
+}
+
+// Reconciles a development application with a previously encountered application that has the
+// same application number.  If the two applications are similar enough (see the reconciliation
+// similarity threshold in DefaultConfiguration) then they are treated as the same application
+// ("merged"), otherwise the application is assumed to be an OCR misread of a different
+// application number and is given an alternative number ("renumbered").  If the applications have
+// no fields in common to compare, or no alternative number can be determined, then the decision
+// is "conflict" (and the application should be quarantined for review).
+
+function reconcileApplication(developmentApplication, otherApplication: { address: string, receivedDate: string, description: string }, usedApplicationNumbers: Set<string>, neighbourApplicationNumbers: string[]) {
+    let similarity = getApplicationSimilarity(developmentApplication, otherApplication);
+    if (similarity === undefined)
+        return { decision: "conflict", applicationNumber: developmentApplication.applicationNumber, similarity: similarity };
+    if (similarity >= Configuration.reconciliationSimilarityThreshold)
+        return { decision: "merged", applicationNumber: developmentApplication.applicationNumber, similarity: similarity };
+
+    let alternativeApplicationNumber = getAlternativeApplicationNumber(developmentApplication.applicationNumber, usedApplicationNumbers, neighbourApplicationNumbers);
+    if (alternativeApplicationNumber === undefined)
+        return { decision: "conflict", applicationNumber: developmentApplication.applicationNumber, similarity: similarity };
+    return { decision: "renumbered", applicationNumber: alternativeApplicationNumber, similarity: similarity };
+}
+
+// Merges two development applications that were determined to be the same application (any
+// field that is missing from the primary application is taken from the secondary application).
+
+function mergeApplications(primaryApplication, secondaryApplication) {
+    for (let fieldName of Object.keys(secondaryApplication))
+        if (primaryApplication[fieldName] === undefined || primaryApplication[fieldName] === null || primaryApplication[fieldName] === "")
+            primaryApplication[fieldName] = secondaryApplication[fieldName];
+    return primaryApplication;
+}
+
+// Parses the details from the elements associated with a single development application.  If a
+// rejectionHandler is specified then it is called with the reason and any fields parsed so far
+// when the development application is ignored.
+
+function parseApplicationElements(elements: Element[], startElement: Element, informationUrl: string, rejectionHandler?: (reason: string, fields: { [fieldName: string]: string }) => void, regionHandler?: (regionName: string, regionElements: Element[]) => void) {
+    let reportRegion = (regionName: string, regionElements: Element[]) => {
+        if (regionHandler !== undefined)
+            regionHandler(regionName, regionElements.filter(element => element !== undefined));
+    };
+
+    // Find the "Assessment Number" or "Asses Num" text (or the assessment labels of the current
+    // layout profile, in order).
+
+    // let assessmentNumberElement = getAssessmentNumberElement(elements, startElement);
+
+    let assessmentNumberElement: Element = undefined;
+    for (let label of CurrentLayoutProfile.assessmentLabels)
+        if (assessmentNumberElement === undefined)
+            assessmentNumberElement = findElement(elements, label, false, CurrentLayoutProfile.assessmentLabelTolerance);
+    if (assessmentNumberElement === undefined) {
+        let elementSummary = elements.map(element => `[${element.text}]`).join("");
+        console.log(`Could not find the ${formatLabels(CurrentLayoutProfile.assessmentLabels)} text on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        if (rejectionHandler !== undefined)
+            rejectionHandler("Assessment Number not found", { applicationNumber: getApplicationNumberText(elements, startElement, undefined) });
+        return undefined;
+    }
+
+    // Find the "Applicant" text (a useful reference point).
+
+    let applicantElement = elements.find(element =>
+        element.y > startElement.y &&
+        isLabel(element.text, CurrentLayoutProfile.applicantLabel, CurrentLayoutProfile));
+
+    // Find the "Builder" text (a useful reference point).
+
+    let builderElement = elements.find(element =>
+        element.y > startElement.y &&
+        isLabel(element.text, CurrentLayoutProfile.builderLabel, CurrentLayoutProfile));
 
     // One of either the applicant or builder elements is required in order to determine where
     // the description text starts on the X axis (and where the development application number
@@ -493,20 +1793,25 @@ function parseApplicationElements(elements: Element[], startElement: Element, in
     let middleElement = (applicantElement === undefined) ? builderElement : applicantElement;
     if (middleElement === undefined) {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
-        console.log(`Could not find the \"Applicant\" or \"Builder\" text on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        console.log(`Could not find the ${formatLabels([ CurrentLayoutProfile.applicantLabel, CurrentLayoutProfile.builderLabel ])} text on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        if (rejectionHandler !== undefined)
+            rejectionHandler("Applicant or Builder not found", { applicationNumber: getApplicationNumberText(elements, startElement, undefined) });
         return undefined;
     }
+    reportRegion("middle", [ middleElement ]);
 
     // Get the application number (allowing for a lot of common parsing errors).
 
-    let applicationNumber = getRightRowText(elements, startElement, middleElement).trim().replace(/\s/g, "");
-    applicationNumber = applicationNumber.replace(/[IlL\[\]\|’,!\(\)\{\}]/g, "/").replace(/°/g, "0").replace(/'\//g, "1").replace(/\/\//g, "1/").replace(/201\?/g, "2017").replace(/‘/g, "").replace(/'/g, "");  // for example, converts "17I2017" to "17/2017"
-    if (applicationNumber.length >= 6 && /120[0-9][0-9]$/.test(applicationNumber))
-        applicationNumber = applicationNumber.substring(0, applicationNumber.length - 5) + "/" + applicationNumber.substring(applicationNumber.length - 4);  // for example, converts "35612015" to "356/2015"
+    let applicationNumberElements = getRightRowElements(elements, startElement, middleElement);
+    reportRegion("applicationNumber", applicationNumberElements);
+    let rawApplicationNumber = getRightRowText(elements, startElement, middleElement).trim().replace(/\s/g, "");
+    let applicationNumber = getApplicationNumberText(elements, startElement, middleElement);
 
     if (applicationNumber === "") {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
         console.log(`Could not find the application number on the PDF page for the current development application.  The development application will be ignored.  Elements: ${elementSummary}`);
+        if (rejectionHandler !== undefined)
+            rejectionHandler("Application number not found", {});
         return undefined;
     }
 
@@ -517,37 +1822,114 @@ function parseApplicationElements(elements: Element[], startElement: Element, in
     let receivedDate: moment.Moment = undefined;
     let receivedDateElement = getReceivedDateElement(elements, startElement, middleElement);
     if (receivedDateElement !== undefined)
-        receivedDate = moment(receivedDateElement.text.trim(), "D/MM/YYYY", true);
+        receivedDate = moment(receivedDateElement.text.trim(), CurrentLayoutProfile.dateFormat, true);
+    reportRegion("receivedDate", [ receivedDateElement ]);
+
+    // Validate the application number against the "NNN/YYYY" format (and a plausible year based
+    // on the month of the PDF and the received date), correcting it if there is a single best
+    // candidate correction.  An application number that cannot be resolved is flagged (rather
+    // than being used as the primary key).
+
+    let validation = validateApplicationNumber(applicationNumber, getDocumentDate(informationUrl), receivedDate);
+    if (validation.status === "unresolved") {
+        let candidateSummary = validation.candidates.map(candidate => candidate.applicationNumber).join(", ");
+        console.log(`Application number ${applicationNumber} will be ignored because it is not a valid "NNN/YYYY" application number${(candidateSummary === "") ? "" : " (candidates: " + candidateSummary + ")"}.`);
+        if (rejectionHandler !== undefined)
+            rejectionHandler("Invalid application number", { applicationNumber: applicationNumber, candidates: candidateSummary });
+        return undefined;
+    } else if (validation.status === "corrected") {
+        console.log(`    Corrected application number \"${applicationNumber}\" to \"${validation.applicationNumber}\".`);
+        applicationNumber = validation.applicationNumber;
+    }
+
+    // Get the decision date and the decision (if the application has been decided).
+
+    let decisionDate: moment.Moment = undefined;
+    let decisionDateElement = getDecisionDateElement(elements, startElement, middleElement, receivedDateElement);
+    if (decisionDateElement !== undefined)
+        decisionDate = moment(decisionDateElement.text.trim(), CurrentLayoutProfile.dateFormat, true);
+    let decision = getDecision(elements, receivedDateElement, decisionDateElement);
+    reportRegion("decisionDate", [ decisionDateElement ]);
 
     // Get the description.
 
     let description = getDescription(elements, startElement, middleElement, receivedDateElement);
+    reportRegion("description", getDescriptionElements(elements, startElement, middleElement, receivedDateElement));
 
     // Get the address.
 
-    let { address, legalDescription } = getAddress(elements, assessmentNumberElement, middleElement);
+    let { address, legalDescription, addressComponents, addressElements, legalDescriptionElements } = getAddress(elements, assessmentNumberElement, middleElement);
+    reportRegion("address", addressElements || []);
+    reportRegion("legalDescription", legalDescriptionElements || []);
     if (address === undefined) {
         let elementSummary = elements.map(element => `[${element.text}]`).join("");
-        console.log(`Application number ${applicationNumber} will be ignored because an address was not found or parsed (searching upwards from the "Assessment Number" or "Asses Num" text).  Elements: ${elementSummary}`);
+        console.log(`Application number ${applicationNumber} will be ignored because an address was not found or parsed (searching upwards from the \"${assessmentNumberElement.text}\" text).  Elements: ${elementSummary}`);
+        if (rejectionHandler !== undefined)
+            rejectionHandler("Address not found", { applicationNumber: applicationNumber, description: description, receivedDate: (receivedDate !== undefined && receivedDate.isValid()) ? receivedDate.format("YYYY-MM-DD") : "" });
         return undefined;
     }
 
+    // Get the applicant and builder names (subject to the configured policy for storing names).
+
+    let applicant = applyNamePolicy(getLabelValue(elements, applicantElement));
+    let builder = applyNamePolicy(getLabelValue(elements, builderElement));
+
+    // Get the development cost and total area (if present).
+
+    let { developmentCost, totalArea } = getCostAndArea(elements, middleElement);
+
+    // Determine the confidence of each field (based on the OCR confidence of the elements that
+    // make up the field and on how much correction was applied).
+
+    let confidences = {
+        applicationNumber: getFieldConfidence(applicationNumberElements, (validation.status === "corrected") ? 0.8 : ((applicationNumber === rawApplicationNumber) ? 1.0 : 0.9)),
+        address: getFieldConfidence(addressElements, getAddressCorrectionFactor(addressComponents)),
+        description: getFieldConfidence(getDescriptionElements(elements, startElement, middleElement, receivedDateElement), 1.0),
+        receivedDate: getFieldConfidence((receivedDateElement === undefined) ? [] : [ receivedDateElement ], 1.0),
+        legalDescription: getFieldConfidence(legalDescriptionElements, 1.0)
+    };
+
+    // Geocode the address (using local address points and suburb centroids).
+
+    let geocode = geocodeAddress(addressComponents);
+
     return {
         applicationNumber: applicationNumber,
+        applicationNumberStatus: validation.status,
         address: address,
         description: ((description === "") ? "No description provided" : description),
         informationUrl: informationUrl,
         commentUrl: CommentUrl,
         scrapeDate: moment().format("YYYY-MM-DD"),
         receivedDate: (receivedDate !== undefined && receivedDate.isValid()) ? receivedDate.format("YYYY-MM-DD") : "",
-        legalDescription: legalDescription
+        legalDescription: legalDescription,
+        decisionDate: (decisionDate !== undefined && decisionDate.isValid()) ? decisionDate.format("YYYY-MM-DD") : "",
+        decision: decision,
+        developmentCost: developmentCost,
+        totalArea: totalArea,
+        applicant: applicant,
+        builder: builder,
+        streetNumber: addressComponents.streetNumber,
+        unit: addressComponents.unit,
+        streetName: addressComponents.streetName,
+        streetType: addressComponents.streetType,
+        suburb: addressComponents.suburb,
+        state: addressComponents.state,
+        postcode: addressComponents.postcode,
+        streetNameMatch: addressComponents.streetNameMatch,
+        suburbMatch: addressComponents.suburbMatch,
+        latitude: geocode.latitude,
+        longitude: geocode.longitude,
+        geocodePrecision: geocode.precision,
+        confidences: confidences
     };
 }
 
 // Segments an image vertically and horizontally based on blocks of white (or almost white) pixels
 // in order to avoid using too much memory.  Very often a large image will be mostly white space.
 // A very simple horizontal and then vertical search is performed for consecutive lines of white
-// (or mostly white) pixels.
+// (or mostly white) pixels.  Returns the bounds of the segments (the image of each segment is
+// only extracted when it is about to be parsed, see getSegmentImage).
 
 function segmentImage(jimpImage: any) {
     let bounds = { x: 0, y: 0, width: jimpImage.bitmap.width, height: jimpImage.bitmap.height };
@@ -556,7 +1938,7 @@ function segmentImage(jimpImage: any) {
     // that they will not cause too much memory to be used).
 
     if (jimpImage.bitmap.width * jimpImage.bitmap.height < 400 * 400)
-        return [{ image: jimpImage, bounds: bounds }];
+        return [ bounds ];
        
     // Segment the image based on white space.
 
@@ -568,15 +1950,15 @@ function segmentImage(jimpImage: any) {
     for (let horizontalRectangle of horizontalRectangles)
         rectangles = rectangles.concat(segmentImageVertically(jimpImage, horizontalRectangle));  // repeat the segmentation vertically on the sub-images (because this may then produce even smaller images)
 
-    // Extract images delineated by the white space.
+    return rectangles;
+}
 
-    let segments: { image: jimp, bounds: Rectangle }[] = [];
-    for (let rectangle of rectangles) {
-        let croppedJimpImage: jimp = new (jimp as any)(rectangle.width, rectangle.height);
-        croppedJimpImage.blit(jimpImage, 0, 0, rectangle.x, rectangle.y, rectangle.width, rectangle.height);            
-        segments.push({ image: croppedJimpImage, bounds: rectangle });
-    }
-    return segments;
+// Extracts the image of a segment (delineated by white space, see segmentImage) from an image.
+
+function getSegmentImage(jimpImage: any, rectangle: Rectangle) {
+    let croppedJimpImage: jimp = new (jimp as any)(rectangle.width, rectangle.height);
+    croppedJimpImage.blit(jimpImage, 0, 0, rectangle.x, rectangle.y, rectangle.width, rectangle.height);            
+    return croppedJimpImage;
 }
 
 // Segments an image vertically (within the specified bounds) by searching for blocks of
@@ -694,7 +2076,7 @@ function getRecordCount(elements: Element[], startElement: Element) {
 
     let recordsElement = elements.find(element =>
          element.y < topmostY &&
-         didyoumean(element.text, [ "Records" ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true }) !== null
+         didyoumean(element.text, [ CurrentLayoutProfile.recordsLabel ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: CurrentLayoutProfile.recordsLabelTolerance, trimSpace: true }) !== null
     );
 
     // Get the number to the right of "Records".
@@ -717,13 +2099,20 @@ function getRecordCount(elements: Element[], startElement: Element) {
 
 // Finds the start element of each development application on the current PDF page (there are
 // typically three development applications on a single page and each development application
-// typically begins with the text "Dev App No.").
+// typically begins with the text "Dev App No.", or the start label of the layout profile).
+
+function findStartElements(elements: Element[], layoutProfile: LayoutProfile = CurrentLayoutProfile) {
+    let condensedLabels = layoutProfile.startLabels.map(label => label.replace(/[\s,\-_]/g, "").toLowerCase());
+    let firstCharacters = condensedLabels.map(label => label.charAt(0));
+    let shortestLength = Math.min(...condensedLabels.map(label => label.length));
+    let longestLength = Math.max(...condensedLabels.map(label => label.length));
+    let preferredLength = condensedLabels[condensedLabels.length - 1].length;
 
-function findStartElements(elements: Element[]) {
-    // Examine all the elements on the page that being with "D" or "d".
+    // Examine all the elements on the page that begin with "D" or "d" (or the first character of
+    // any start label).
     
     let startElements: Element[] = [];
-    for (let element of elements.filter(element => element.text.trim().toLowerCase().startsWith("d"))) {
+    for (let element of elements.filter(element => firstCharacters.includes(element.text.trim().toLowerCase().charAt(0)))) {
         // Extract up to 10 elements to the right of the element that has text starting with the
         // letter "d" (and so may be the start of the "Dev App No" or "Dev App No." text).  Join
         // together the elements to the right in an attempt to find the best match to the text
@@ -736,18 +2125,21 @@ function findStartElements(elements: Element[]) {
         do {
             rightElements.push(rightElement);
         
-            // Allow for common misspellings of the "no." text.
+            // Allow for common misspellings (such as of the "no." text).
 
-            let text = rightElements.map(element => element.text).join("").replace(/[\s,\-_]/g, "").replace(/n0/g, "no").replace(/n°/g, "no").replace(/"o/g, "no").replace(/"0/g, "no").replace(/"°/g, "no").replace(/“°/g, "no").toLowerCase();
-            if (text.length >= 11)  // stop once the text is too long
+            let text = rightElements.map(element => element.text).join("").replace(/[\s,\-_]/g, "");
+            for (let correction of layoutProfile.startLabelCorrections)
+                text = text.split(correction[0]).join(correction[1]);
+            text = text.toLowerCase();
+            if (text.length >= longestLength + layoutProfile.startLabelTolerance)  // stop once the text is too long
                 break;
-            if (text.length >= 7) {  // ignore until the text is close to long enough
-                if (text === "devappno" || text === "devappno.")
-                    matches.push({ element: rightElement, threshold: 0, text: text });
-                else if (didyoumean(text, [ "DevAppNo", "DevAppNo." ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true }) !== null)
-                    matches.push({ element: rightElement, threshold: 1, text: text });
-                else if (didyoumean(text, [ "DevAppNo", "DevAppNo." ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true }) !== null)
-                    matches.push({ element: rightElement, threshold: 2, text: text });
+            if (text.length >= shortestLength - 1) {  // ignore until the text is close to long enough
+                for (let threshold = 0; threshold <= layoutProfile.startLabelTolerance; threshold++) {
+                    if ((threshold === 0) ? condensedLabels.includes(text) : (didyoumean(text, condensedLabels, { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: threshold, trimSpace: true }) !== null)) {
+                        matches.push({ element: rightElement, threshold: threshold, text: text });
+                        break;
+                    }
+                }
             }
 
             rightElement = getRightElement(elements, rightElement);
@@ -759,7 +2151,7 @@ function findStartElements(elements: Element[]) {
             let bestMatch = matches.reduce((previous, current) =>
                 (previous === undefined ||
                 current.threshold < previous.threshold ||
-                (current.threshold === previous.threshold && Math.abs(current.text.trim().length - "DevAppNo.".length) <= Math.abs(previous.text.trim().length - "DevAppNo.".length)) ? current : previous), undefined);
+                (current.threshold === previous.threshold && Math.abs(current.text.trim().length - preferredLength) <= Math.abs(previous.text.trim().length - preferredLength)) ? current : previous), undefined);
             startElements.push(bestMatch.element);
         }
     }
@@ -773,7 +2165,7 @@ function findStartElements(elements: Element[]) {
 
 // Finds the element that most closely matches the specified text.
 
-function findElement(elements: Element[], text: string, shouldSelectRightmostElement: boolean) {
+function findElement(elements: Element[], text: string, shouldSelectRightmostElement: boolean, tolerance: number = 2) {
     // Examine all the elements on the page that being with the same character as the requested
     // text.
     
@@ -794,15 +2186,15 @@ function findElement(elements: Element[], text: string, shouldSelectRightmostEle
 
             let currentText = rightElements.map(element => element.text).join("").replace(/[\s,\-_]/g, "").toLowerCase();
 
-            if (currentText.length > condensedText.length + 2)  // stop once the text is too long
+            if (currentText.length > condensedText.length + tolerance)  // stop once the text is too long
                 break;
-            if (currentText.length >= condensedText.length - 2) {  // ignore until the text is close to long enough
-                if (currentText === condensedText)
-                    matches.push({ leftElement: rightElements[0], rightElement: rightElement, threshold: 0, text: currentText });
-                else if (didyoumean(currentText, [ condensedText ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true }) !== null)
-                    matches.push({ leftElement: rightElements[0], rightElement: rightElement, threshold: 1, text: currentText });
-                else if (didyoumean(currentText, [ condensedText ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 2, trimSpace: true }) !== null)
-                    matches.push({ leftElement: rightElements[0], rightElement: rightElement, threshold: 2, text: currentText });
+            if (currentText.length >= condensedText.length - tolerance) {  // ignore until the text is close to long enough
+                for (let threshold = 0; threshold <= tolerance; threshold++) {
+                    if ((threshold === 0) ? (currentText === condensedText) : (didyoumean(currentText, [ condensedText ], { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: threshold, trimSpace: true }) !== null)) {
+                        matches.push({ leftElement: rightElements[0], rightElement: rightElement, threshold: threshold, text: currentText });
+                        break;
+                    }
+                }
             }
 
             rightElement = getRightElement(elements, rightElement);
@@ -869,240 +2261,1115 @@ function convertToJimpImage(image: any) {
     return jimpImage;
 }
 
-// Parses an image (from a PDF document).
+// The image preprocessing steps that may be listed (in the order in which they are to be applied)
+// in the "preprocessingSteps" setting.  Each step is applied to every image segment before OCR.
 
-async function parseImage(image: any, bounds: Rectangle) {
-    // Convert the image data into a format that can be used by jimp and then segment the image
-    // based on blocks of white.
+const PreprocessingSteps = [ "deskew", "binarize", "despeckle", "removeRules", "upscale" ];
 
-    let segments = segmentImage(convertToJimpImage(image));
-    if (global.gc)
-        global.gc();
+// Gets the grey level (0 is black and 255 is white) of each pixel of an image.
 
-    let elements: Element[] = [];
-    for (let segment of segments) {
-        // Attempt to avoid using too much memory by scaling down large images.
-
-        let scaleFactor = 1.0;
-        if (segment.bounds.width * segment.bounds.height > 1000 * 1000) {
-            scaleFactor = 0.5;
-            console.log(`    Scaling a large image (${segment.bounds.width}×${segment.bounds.height}) by ${scaleFactor} to reduce memory usage.`);
-            segment.image = segment.image.scale(scaleFactor, jimp.RESIZE_BEZIER);
+function getGreyLevels(jimpImage: any) {
+    let data = jimpImage.bitmap.data;
+    let levels = new Uint8Array(jimpImage.bitmap.width * jimpImage.bitmap.height);
+    for (let index = 0; index < levels.length; index++)
+        levels[index] = Math.round(0.299 * data[index * 4] + 0.587 * data[index * 4 + 1] + 0.114 * data[index * 4 + 2]);
+    return levels;
+}
+
+// Sets the pixels of an image to the specified grey levels (one per pixel).
+
+function setGreyLevels(jimpImage: any, levels: Uint8Array) {
+    let data = jimpImage.bitmap.data;
+    for (let index = 0; index < levels.length; index++) {
+        data[index * 4] = data[index * 4 + 1] = data[index * 4 + 2] = levels[index];
+        data[index * 4 + 3] = 255;
+    }
+}
+
+// Straightens a slightly rotated scan.  The skew angle (up to 3 degrees either way) is the angle
+// at which the dark pixels project onto the sharpest horizontal profile (ie. the angle at which
+// the rows of text line up).  Returns the straightened image along with the angle by which it was
+// rotated (zero if it was not rotated).
+
+function deskewImage(jimpImage: any) {
+    let width = jimpImage.bitmap.width;
+    let height = jimpImage.bitmap.height;
+    let levels = getGreyLevels(jimpImage);
+
+    let bestAngle = 0;
+    let bestScore = -1;
+    for (let angle = -3; angle <= 3; angle += 0.25) {
+        let tangent = Math.tan(angle * Math.PI / 180);
+        let offset = Math.ceil(Math.abs(tangent) * width);
+        let rowCounts = new Float64Array(height + 2 * offset + 1);
+        for (let y = 0; y < height; y += 2)  // sample every second row and column (for speed)
+            for (let x = 0; x < width; x += 2)
+                if (levels[y * width + x] < 128)
+                    rowCounts[Math.round(y + x * tangent) + offset]++;
+        let score = rowCounts.reduce((total, count) => total + count * count, 0);
+        if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(bestAngle))) {
+            bestAngle = angle;
+            bestScore = score;
         }
+    }
 
-        let imageBuffer = await new Promise((resolve, reject) => segment.image.getBuffer(jimp.MIME_PNG, (error, buffer) => error ? reject(error) : resolve(buffer)));
-        segment.image = undefined;  // attempt to release memory
+    if (Math.abs(bestAngle) < 0.25)
+        return { image: jimpImage, angle: 0 };
+    console.log(`    Deskewing an image by ${bestAngle}°.`);
+    return { image: jimpImage.background(0xffffffff).rotate(bestAngle, false), angle: bestAngle };
+}
 
-        // Report larger memory usage and larger images for troubleshooting purposes.
+// Maps a point in an image that was rotated (anticlockwise, by the specified number of degrees,
+// about its centre and without resizing it) back to the corresponding point in the image before
+// it was rotated.  This is the same mapping that jimp uses to find the source of each pixel.
+
+function unrotatePoint(point: { x: number, y: number }, angle: number, width: number, height: number) {
+    let radians = angle * Math.PI / 180;
+    let cosine = Math.cos(radians);
+    let sine = Math.sin(radians);
+    let x = point.x - width / 2;
+    let y = height / 2 - point.y;  // cartesian co-ordinates (Y increasing upwards)
+    return { x: width / 2 + cosine * x - sine * y, y: height / 2 - (sine * x + cosine * y) };
+}
 
-        let memoryUsage = process.memoryUsage();
-        if (memoryUsage.rss > 200 * 1024 * 1024)  // 200 MB
-            console.log(`    Memory Usage: rss: ${Math.round(memoryUsage.rss / (1024 * 1024))} MB, heapTotal: ${Math.round(memoryUsage.heapTotal / (1024 * 1024))} MB, heapUsed: ${Math.round(memoryUsage.heapUsed / (1024 * 1024))} MB, external: ${Math.round(memoryUsage.external / (1024 * 1024))} MB`);
-        if (segment.bounds.width * segment.bounds.height > 700 * 700)
-            console.log(`    Parsing a large image with bounds { x: ${Math.round(segment.bounds.x)}, y: ${Math.round(segment.bounds.y)}, width: ${Math.round(segment.bounds.width)}, height: ${Math.round(segment.bounds.height)} }.`);
+// Converts an image to black and white using an adaptive threshold (each pixel is compared with
+// the mean grey level of the surrounding window, so that uneven lighting and faint scans are
+// handled better than with a single global threshold).
 
-        // Note that textord_old_baselines is set to 0 so that text that is offset by half the
-        // height of the the font is correctly recognised.
+function binarizeImage(jimpImage: any) {
+    let width = jimpImage.bitmap.width;
+    let height = jimpImage.bitmap.height;
+    let levels = getGreyLevels(jimpImage);
 
-        let result: any = await new Promise((resolve, reject) => { tesseract.recognize(imageBuffer, { textord_old_baselines: "0" }).then(function(result) { resolve(result); }) });
-        tesseract.terminate();
-        if (global.gc)
-            global.gc();
+    // Calculate the integral image (the sum of the grey levels above and to the left of each
+    // pixel) so that the sum of any window can be calculated quickly.
 
-        // Simplify the lines (remove most of the information generated by tesseract.js).
-
-        if (result && result.blocks && result.blocks.length)
-            for (let block of result.blocks)
-                for (let paragraph of block.paragraphs)
-                    for (let line of paragraph.lines)
-                        elements = elements.concat(line.words.map(word => {
-                            return {
-                                text: word.text,
-                                confidence: word.confidence,
-                                choiceCount: word.choices.length,
-                                x: bounds.x + segment.bounds.x + word.bbox.x0 / scaleFactor,
-                                y: bounds.y + segment.bounds.y + word.bbox.y0 / scaleFactor,
-                                width: (word.bbox.x1 - word.bbox.x0) / scaleFactor,
-                                height: (word.bbox.y1 - word.bbox.y0) / scaleFactor
-                            };
-                        }));
+    let integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += levels[y * width + x];
+            integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
     }
 
-    return elements;
+    let radius = Math.max(7, Math.round(Math.min(width, height) / 16));
+    let binaryLevels = new Uint8Array(levels.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+            let y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+            let sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+            let count = (x1 - x0) * (y1 - y0);
+            binaryLevels[y * width + x] = (levels[y * width + x] * count < sum * 0.85) ? 0 : 255;  // darker than 85% of the local mean
+        }
+    }
+    setGreyLevels(jimpImage, binaryLevels);
+    return jimpImage;
 }
 
-// Parses a PDF document.
+// Removes isolated dark pixels (specks with at most one dark neighbouring pixel).
+
+function despeckleImage(jimpImage: any) {
+    let width = jimpImage.bitmap.width;
+    let height = jimpImage.bitmap.height;
+    let levels = getGreyLevels(jimpImage);
+    let despeckledLevels = Uint8Array.from(levels);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (levels[y * width + x] >= 128)
+                continue;
+            let darkNeighbourCount = 0;
+            for (let dy = -1; dy <= 1; dy++)
+                for (let dx = -1; dx <= 1; dx++)
+                    if ((dx !== 0 || dy !== 0) && x + dx >= 0 && x + dx < width && y + dy >= 0 && y + dy < height && levels[(y + dy) * width + x + dx] < 128)
+                        darkNeighbourCount++;
+            if (darkNeighbourCount <= 1)
+                despeckledLevels[y * width + x] = 255;
+        }
+    }
+    setGreyLevels(jimpImage, despeckledLevels);
+    return jimpImage;
+}
 
-async function parsePdf(url: string) {
-    let developmentApplications = [];
-    let recordCount = -1;
+// Removes the horizontal and vertical rule lines of tables (runs of dark pixels that are much
+// longer than any stroke of a character).
+
+function removeRuleLines(jimpImage: any) {
+    let width = jimpImage.bitmap.width;
+    let height = jimpImage.bitmap.height;
+    let levels = getGreyLevels(jimpImage);
+    let cleanedLevels = Uint8Array.from(levels);
+    let minimumHorizontalLength = Math.max(50, Math.round(width / 4));
+    let minimumVerticalLength = Math.max(50, Math.round(height / 4));
+
+    for (let y = 0; y < height; y++) {
+        let runStart = 0;
+        for (let x = 0; x <= width; x++) {
+            if (x < width && levels[y * width + x] < 128)
+                continue;
+            if (x - runStart >= minimumHorizontalLength)
+                cleanedLevels.fill(255, y * width + runStart, y * width + x);
+            runStart = x + 1;
+        }
+    }
 
-    // Read the PDF.
+    for (let x = 0; x < width; x++) {
+        let runStart = 0;
+        for (let y = 0; y <= height; y++) {
+            if (y < height && levels[y * width + x] < 128)
+                continue;
+            if (y - runStart >= minimumVerticalLength)
+                for (let runY = runStart; runY < y; runY++)
+                    cleanedLevels[runY * width + x] = 255;
+            runStart = y + 1;
+        }
+    }
 
-    let buffer = await request({ url: url, encoding: null, proxy: process.env.MORPH_PROXY });
-    await sleep(2000 + getRandom(0, 5) * 1000);
+    setGreyLevels(jimpImage, cleanedLevels);
+    return jimpImage;
+}
 
-    // Parse the PDF.  Each page has the details of multiple applications.  Note that the PDF is
-    // re-parsed on each iteration of the loop (ie. once for each page).  This then avoids large
-    // memory usage by the PDF (just calling page._destroy() on each iteration of the loop appears
-    // not to be enough to release all memory used by the PDF parsing).
+// Applies the specified preprocessing steps (see PreprocessingSteps) to an image.  Returns the
+// processed image along with a function that maps a point in the processed image back to the
+// original image (allowing for any deskewing and for upscaling, because upscaling small images
+// makes small text easier to recognise; the image is only upscaled if it remains small enough to
+// avoid using too much memory).
+
+function preprocessImage(jimpImage: any, steps: string[]) {
+    let pointMappings: ((point: { x: number, y: number }) => { x: number, y: number })[] = [];
+    for (let step of steps) {
+        if (step === "deskew") {
+            let width = jimpImage.bitmap.width;
+            let height = jimpImage.bitmap.height;
+            let deskewedImage = deskewImage(jimpImage);
+            jimpImage = deskewedImage.image;
+            if (deskewedImage.angle !== 0)
+                pointMappings.push(point => unrotatePoint(point, deskewedImage.angle, width, height));
+        } else if (step === "binarize")
+            jimpImage = binarizeImage(jimpImage);
+        else if (step === "despeckle")
+            jimpImage = despeckleImage(jimpImage);
+        else if (step === "removeRules")
+            jimpImage = removeRuleLines(jimpImage);
+        else if (step === "upscale") {
+            if (jimpImage.bitmap.width * jimpImage.bitmap.height * 4 <= 1000 * 1000) {
+                jimpImage = jimpImage.scale(2, jimp.RESIZE_BEZIER);
+                pointMappings.push(point => ({ x: point.x / 2, y: point.y / 2 }));
+            }
+        } else
+            throw new Error(`Unknown preprocessing step "${step}" (expected one of: ${PreprocessingSteps.join(", ")}).`);
+    }
+    return { image: jimpImage, mapPoint: (point: { x: number, y: number }) => pointMappings.reduceRight((mappedPoint, pointMapping) => pointMapping(mappedPoint), point) };
+}
 
-    for (let pageIndex = 0; pageIndex < 500; pageIndex++) {  // limit to an arbitrarily large number of pages (to avoid any chance of an infinite loop)
-        let pdf = await pdfjs.getDocument({ data: buffer, disableFontFace: true, ignoreErrors: true });
-        if (pageIndex >= pdf.numPages)
-            break;
+// A word recognised by OCR (with a bounding box relative to the image segment that was OCRed).
 
-        console.log(`Reading and parsing applications from page ${pageIndex + 1} of ${pdf.numPages}.`);
-        let page = await pdf.getPage(pageIndex + 1);
+interface OcrWord {
+    text: string,
+    confidence: number,
+    choiceCount: number,
+    bbox: { x0: number, y0: number, x1: number, y1: number }
+}
 
-        // Find all the text elements (because there may be text in addition to images).
+// Calculates the key under which the words recognised in an image are cached.  This is a hash of
+// the pixel data of the image and the settings used when recognising the words (so that changing
+// the OCR settings or the OCR engine does not result in stale words being used).
 
-        let textContent = await page.getTextContent();
-        let viewport = await page.getViewport(1.0);
+function getOcrCacheKey(jimpImage: any, ocrSettings: any) {
+    return crypto.createHash("sha256")
+        .update(JSON.stringify({ width: jimpImage.bitmap.width, height: jimpImage.bitmap.height, settings: ocrSettings }))
+        .update(jimpImage.bitmap.data)
+        .digest("hex");
+}
 
-        let textElements: Element[] = textContent.items.map(item => {
-            let transform = pdfjs.Util.transform(viewport.transform, item.transform);
+// Reads the cached words for the specified cache key (returning undefined if there are no cached
+// words).
 
-            // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
-            // exaggerated).  The problem seems to be that the height value is too large in some
-            // PDFs.  Provide an alternative, more accurate height value by using a calculation
-            // based on the transform matrix.
+function readOcrCache(cacheKey: string): OcrWord[] {
+    let cacheFilePath = path.join(OcrCacheDirectory, `${cacheKey}.json`);
+    if (!fs.existsSync(cacheFilePath))
+        return undefined;
+    try {
+        return JSON.parse(fs.readFileSync(cacheFilePath).toString());
+    } catch (error) {
+        console.log(`    Ignoring an invalid OCR cache file: ${cacheFilePath}`);
+        return undefined;
+    }
+}
 
-            let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+// Writes the words for the specified cache key to the cache.
 
-            let x = transform[4];
-            let y = transform[5];
-            let width = item.width;
-            let height = workaroundHeight;
+function writeOcrCache(cacheKey: string, words: OcrWord[]) {
+    if (!fs.existsSync(OcrCacheDirectory))
+        fs.mkdirSync(OcrCacheDirectory);
+    fs.writeFileSync(path.join(OcrCacheDirectory, `${cacheKey}.json`), JSON.stringify(words));
+}
 
-            return { text: item.str, x: x, y: y, width: width, height: height };
-        });
-        console.log(`    Found ${textElements.length} text element(s).`)
+// Waits for an OCR worker to become available.  A new worker is only started (or an idle worker
+// only used) if the memory usage is within the configured budget; otherwise the caller waits for
+// a running OCR job to complete.  Note that a job is always allowed to run when no other jobs are
+// running (so that OCR always progresses, even if the memory usage is above the budget).
 
-        // Find all image elements.
+async function acquireOcrWorker() {
+    while (true) {
+        let isBusy = OcrWorkers.some(ocrWorker => ocrWorker.isBusy);
+        let memoryUsage = process.memoryUsage();
+        if (!isBusy || memoryUsage.rss <= Configuration.ocrMemoryBudget * 1024 * 1024) {
+            let ocrWorker = OcrWorkers.find(ocrWorker => !ocrWorker.isBusy);
+            if (ocrWorker === undefined && OcrWorkers.length < Math.max(1, Configuration.ocrWorkerCount)) {
+                ocrWorker = { worker: getOcrBackend().createWorker(), isBusy: false, jobCount: 0 };
+                OcrWorkers.push(ocrWorker);
+            }
+            if (ocrWorker !== undefined) {
+                ocrWorker.isBusy = true;
+                return ocrWorker;
+            }
+        } else {
+            console.log(`    Waiting for an OCR job to complete because the memory usage (rss: ${Math.round(memoryUsage.rss / (1024 * 1024))} MB) is above the budget of ${Configuration.ocrMemoryBudget} MB.`);
+            if (global.gc)
+                global.gc();
+        }
+        await new Promise(resolve => OcrWorkerWaiters.push(resolve));
+    }
+}
 
-        let imageElements: Element[] = [];
-        let operators = await page.getOperatorList();
+// Waits for a slot in which to parse an image segment.  There is one slot per OCR worker, so that
+// the images of segments waiting for a worker are not all held in memory at the same time (each
+// segment image is only extracted, scaled, preprocessed and encoded once it has a slot).
+
+async function acquireSegmentSlot() {
+    while (ActiveSegmentCount >= Math.max(1, Configuration.ocrWorkerCount))
+        await new Promise(resolve => SegmentSlotWaiters.push(resolve));
+    ActiveSegmentCount++;
+}
 
-        if (page.rotate !== 0) {
-            // Ignore rotated pages when parsing images.
+// Releases a slot in which an image segment was parsed and wakes the next waiting segment.
 
-            console.log(`Ignoring images in page ${pageIndex + 1} because it is rotated ${page.rotate}°.`);
-        } else {
-            // Find and parse any images in the current PDF page.
+function releaseSegmentSlot() {
+    ActiveSegmentCount--;
+    let waiter = SegmentSlotWaiters.shift();
+    if (waiter !== undefined)
+        waiter();
+}
 
-            let isFirstImage = true;
+// Returns an OCR worker to the pool (restarting the worker if it has completed many jobs in
+// order to release the memory that tesseract.js accumulates) and wakes any waiting OCR jobs.
 
-            for (let index = 0; index < operators.fnArray.length; index++) {
-                if (operators.fnArray[index] !== pdfjs.OPS.paintImageXObject && operators.fnArray[index] !== pdfjs.OPS.paintImageMaskXObject)
-                    continue;
+function releaseOcrWorker(ocrWorker: OcrWorker) {
+    ocrWorker.isBusy = false;
+    if (++ocrWorker.jobCount >= Configuration.ocrWorkerJobLimit) {
+        getOcrBackend().terminateWorker(ocrWorker.worker);
+        ocrWorker.worker = getOcrBackend().createWorker();
+        ocrWorker.jobCount = 0;
+        if (global.gc)
+            global.gc();
+    }
 
-                // The operator either contains the name of an image or an actual image.
+    let waiters = OcrWorkerWaiters;
+    OcrWorkerWaiters = [];
+    for (let waiter of waiters)
+        waiter();
+}
 
-                let image = operators.argsArray[index][0];
-                if (typeof image === "string")
-                    image = page.objs.get(image);  // get the actual image using its name
-                else
-                    operators.argsArray[index][0] = undefined;  // attempt to release memory used by the image
+// Terminates all OCR workers (releasing the memory used by their processes).
 
-                // Obtain the transform that applies to the image.  Note that the first image in the
-                // PDF typically has a pdfjs.OPS.dependency element in the fnArray between it and its
-                // transform (pdfjs.OPS.transform).
+function terminateOcrWorkers() {
+    for (let ocrWorker of OcrWorkers)
+        getOcrBackend().terminateWorker(ocrWorker.worker);
+    OcrWorkers = [];
+    if (global.gc)
+        global.gc();
+}
 
-                let transform = undefined;
-                if (index - 1 >= 0 && operators.fnArray[index - 1] === pdfjs.OPS.transform)
-                    transform = operators.argsArray[index - 1];
-                else if (index - 2 >= 0 && operators.fnArray[index - 1] === pdfjs.OPS.dependency && operators.fnArray[index - 2] === pdfjs.OPS.transform)
-                    transform = operators.argsArray[index - 2];
-                else
-                    continue;
+// Recognises the words in an image using a worker from the pool of OCR workers.
 
-                // Use the transform to translate the X and Y co-ordinates, but assume that the width
-                // and height are consistent between all images and do not need to be scaled.  This is
-                // almost always the case; only the first image is sometimes an exception (with a
-                // scale factor of 2.083333 instead of 4.166666).
-
-                let bounds: Rectangle = {
-                    x: (transform[4] * image.height) / transform[3],
-                    y: ((viewport.height - transform[5] - transform[3]) * image.height) / transform[3],
-                    width: image.width,
-                    height: image.height
-                };
-
-                // Ignore the first image on the page as this is typically a white mask over the
-                // entire page.  And because it is typically at a different scale (2.083333 instead
-                // of 4.166666) then any text which is accidentally parsed will be set to the wrong
-                // X and Y co-ordinates.  It is easier just to ignore this first image.  In one case
-                // the text "HI:" was parsed and interfered with the "Dev App No." text resulting in
-                // an application being missed (see page 21 of the May 2018 PDF).
-                //
-                // Note that some PDFs have just one image with a scale of 2.777777 (and this should
-                // be parsed).
-
-                let scaleY = image.height / transform[3];
-                if (scaleY < 2.5 && isFirstImage && image.height >= 1000 && image.width >= 1000)
-                    continue;
-                isFirstImage = false;
-            
-                // Parse the text from the image.
+async function recognizeImage(imageBuffer, ocrSettings: any) {
+    let ocrWorker = await acquireOcrWorker();
+    try {
+        return await getOcrBackend().recognize(ocrWorker.worker, imageBuffer, ocrSettings);
+    } finally {
+        releaseOcrWorker(ocrWorker);
+    }
+}
 
-                imageElements = imageElements.concat(await parseImage(image, bounds));
-                if (global.gc)
-                    global.gc();
-            }
+// Gets the OCR backend selected by the "ocrBackend" setting ("tesseract.js" or "tesseract"),
+// creating it when first used.
+
+function getOcrBackend() {
+    if (CurrentOcrBackend === undefined) {
+        if (Configuration.ocrBackend === "tesseract.js")
+            CurrentOcrBackend = createTesseractJsBackend();
+        else if (Configuration.ocrBackend === "tesseract")
+            CurrentOcrBackend = createNativeTesseractBackend(Configuration.tesseractPath);
+        else
+            throw new Error(`Unknown OCR backend "${Configuration.ocrBackend}" (expected "tesseract.js" or "tesseract").`);
+        console.log(`Using the ${CurrentOcrBackend.name} OCR backend.`);
+    }
+    return CurrentOcrBackend;
+}
+
+// Creates an OCR backend that uses tesseract.js (each worker is a separate process).
+
+function createTesseractJsBackend(): OcrBackend {
+    // The tesseract.js module does not export its version, so the version is read from
+    // its package.json (the version is part of the OCR cache key).
+
+    let version = require("tesseract.js/package.json").version;
+
+    // Suppress the "pre-main prep time" messages that tesseract.js writes from its worker processes
+    // (overriding console.log in the current process has no effect on these messages).  Instead of
+    // inheriting the output of the current process, each worker is forked with its output piped
+    // back to the current process so that those messages can be dropped and any other output
+    // passed through unchanged.
+    //
+    // This replaces the rewrite of node_modules/tesseract.js-core/index.js that previously removed
+    // the messages at start up (which modified an installed package on every run).  Note that the
+    // Node adapter and its spawnWorker function are internals of tesseract.js (not part of its
+    // public interface) and are tied to the exact version pinned in package.json (1.0.19).  If a
+    // different version does not have them then the stock worker is used (and the messages are
+    // simply not suppressed).
+
+    let adapter: any;
+    try {
+        adapter = require("tesseract.js/src/node/index.js");
+    } catch (error) {
+        adapter = {};
+    }
+    if (typeof adapter.spawnWorker !== "function")
+        console.log(`Not suppressing the tesseract.js worker messages because tesseract.js ${version} has no Node adapter spawnWorker function (the pinned version is 1.0.19).`);
+    else {
+        adapter.spawnWorker = (instance, workerOptions) => {
+            let worker = childprocess.fork(workerOptions.workerPath, [], { silent: true });
+            worker.on("message", packet => instance._recv(packet));
+            readline.createInterface({ input: worker.stdout }).on("line", line => { if (!/^pre-main prep time: /.test(line)) console.log(line); });
+            readline.createInterface({ input: worker.stderr }).on("line", line => { if (!/^pre-main prep time: /.test(line)) console.error(line); });
+            return worker;
+        };
+    }
+
+    return {
+        name: `tesseract.js ${version}`,
+        createWorker: () => tesseract.create(),
+        terminateWorker: worker => worker.terminate(),
+        recognize: async (worker, imageBuffer, ocrSettings) => {
+            let result = await new Promise<any>((resolve, reject) => { worker.recognize(imageBuffer, ocrSettings).then(result => resolve(result), error => reject(error)); });
+
+            // Simplify the words (remove most of the information generated by tesseract.js).
+
+            let words: OcrWord[] = [];
+            if (result && result.blocks && result.blocks.length)
+                for (let block of result.blocks)
+                    for (let paragraph of block.paragraphs)
+                        for (let line of paragraph.lines)
+                            words = words.concat(line.words.map(word => {
+                                return {
+                                    text: word.text,
+                                    confidence: word.confidence,
+                                    choiceCount: word.choices.length,
+                                    bbox: { x0: word.bbox.x0, y0: word.bbox.y0, x1: word.bbox.x1, y1: word.bbox.y1 }
+                                };
+                            }));
+            return words;
         }
-        console.log(`    Found ${imageElements.length} image element(s).`)
+    };
+}
 
-        // Merge the elements extracted from the text on the current page with the elements
-        // extracted from the images on the current page.
+// Creates an OCR backend that runs a locally installed tesseract binary (one process per image)
+// and reads its TSV output.  Each OCR setting is passed to tesseract as a "-c name=value" option.
 
-        let elements: Element[] = [];
-        elements = elements.concat(textElements);
-        elements = elements.concat(imageElements);
-        console.log(`    Found a total of ${elements.length} text and image element(s) on the current page.`)
+function createNativeTesseractBackend(tesseractPath: string): OcrBackend {
+    let version: string;
+    try {
+        version = childprocess.execFileSync(tesseractPath, [ "--version" ], { stdio: [ "ignore", "pipe", "pipe" ] }).toString().split("\n")[0].trim();
+    } catch (error) {
+        throw new Error(`Could not run the tesseract binary "${tesseractPath}" (install tesseract or set "tesseractPath" in config.json): ${error.message}`);
+    }
 
-        // Release the memory used by the PDF now that it is no longer required (it will be
-        // re-parsed on the next iteration of the loop for the next page).
+    return {
+        name: version.startsWith("tesseract") ? version : `tesseract ${version}`,
+        createWorker: () => ({}),
+        terminateWorker: worker => {},
+        recognize: (worker, imageBuffer, ocrSettings) => new Promise<OcrWord[]>((resolve, reject) => {
+            let settingArguments = [];
+            for (let name of Object.keys(ocrSettings))
+                settingArguments.push("-c", `${name}=${ocrSettings[name]}`);
+            let child = childprocess.execFile(tesseractPath, [ "stdin", "stdout" ].concat(settingArguments).concat([ "tsv" ]), { maxBuffer: 64 * 1024 * 1024 }, (error, stdout) => {
+                if (error)
+                    reject(error);
+                else
+                    resolve(parseTesseractTsv(stdout.toString()));
+            });
+            child.stdin.on("error", () => {});  // any error is reported when the process exits
+            child.stdin.end(imageBuffer);
+        })
+    };
+}
 
-        await pdf.destroy();
+// Parses the words from the TSV output of tesseract (the rows at level 5 are words; words with a
+// confidence of -1 or with no text are ignored).
+
+function parseTesseractTsv(tsv: string) {
+    let words: OcrWord[] = [];
+    let lines = tsv.replace(/\r/g, "").split("\n");
+    let columnNames = lines[0].split("\t");
+    let getValue = (values: string[], columnName: string) => values[columnNames.indexOf(columnName)];
+    for (let line of lines.slice(1)) {
+        let values = line.split("\t");
+        if (values.length < columnNames.length || getValue(values, "level") !== "5")
+            continue;
+        let text = getValue(values, "text");
+        let confidence = Number(getValue(values, "conf"));
+        if (text.trim() === "" || confidence < 0)
+            continue;
+        let left = Number(getValue(values, "left"));
+        let top = Number(getValue(values, "top"));
+        words.push({
+            text: text,
+            confidence: confidence,
+            choiceCount: 1,
+            bbox: { x0: left, y0: top, x1: left + Number(getValue(values, "width")), y1: top + Number(getValue(values, "height")) }
+        });
+    }
+    return words;
+}
+
+// Parses an image (from a PDF document).  The image is first rotated clockwise by the specified
+// number of degrees (a multiple of 90) so that it is upright on the page, in which case the
+// bounds are those of the rotated image.
+
+async function parseImage(image: any, bounds: Rectangle, rotation: number = 0) {
+    // Convert the image data into a format that can be used by jimp.
+
+    let jimpImage = convertToJimpImage(image);
+    if (rotation !== 0)
+        jimpImage.rotate(rotation);  // swaps the width and height for 90° and 270°
+    let elements = await parseJimpImage(jimpImage, bounds);  // note that this does not modify the image
+    if (!Configuration.detectScanOrientation)
+        return elements;
+
+    // A scan that is upside down or sideways (within an otherwise upright page) is recognised
+    // as garbage with a low confidence.  In that case try the other orientations and keep the
+    // one that recognises the most text with a reasonable confidence (stopping as soon as an
+    // orientation is recognised with a mean confidence above the threshold, and trying upside
+    // down first because that is the most common case).  An image in which no text was recognised
+    // at all (for example, a logo or a blank area) is not tried again.
+
+    let meanConfidence = getFieldConfidence(elements, 1.0);
+    if (meanConfidence === null || meanConfidence >= Configuration.orientationConfidenceThreshold)
+        return elements;
+
+    let bestRotation = 0;
+    let bestScore = getOrientationScore(elements);
+    for (let extraRotation of [ 180, 90, 270 ]) {
+        let rotatedJimpImage = jimpImage.clone().rotate(extraRotation);
+        let rotatedBounds: Rectangle = { x: bounds.x, y: bounds.y, width: rotatedJimpImage.bitmap.width, height: rotatedJimpImage.bitmap.height };
+        let rotatedElements = await parseJimpImage(rotatedJimpImage, rotatedBounds);
+        let score = getOrientationScore(rotatedElements);
+        if (score > bestScore) {
+            bestRotation = extraRotation;
+            bestScore = score;
+            elements = rotatedElements;
+        }
         if (global.gc)
             global.gc();
+        let rotatedMeanConfidence = getFieldConfidence(rotatedElements, 1.0);
+        if (score === bestScore && rotatedMeanConfidence !== null && rotatedMeanConfidence >= Configuration.orientationConfidenceThreshold)
+            break;
+    }
 
-        // Ignore extremely low height elements (because these can be parsed as text but are
-        // very unlikely to actually be text; for example see the October 2016 PDF on page 19).
-        // In some rare cases they may be valid (such as a full stop far from other text).
+    if (bestRotation !== 0)
+        console.log(`    Rotated a scanned image by ${bestRotation}° because more text was recognised with a reasonable confidence at that orientation.`);
+    return elements;
+}
 
-        elements = elements.filter(element => element.height > 2);
+// Scores how well the text in an image was recognised at a given orientation (the number of
+// characters recognised with a reasonable confidence).
 
-        // Sort the elements by Y co-ordinate and then by X co-ordinate.
+function getOrientationScore(elements: Element[]) {
+    let score = 0;
+    for (let element of elements)
+        if (element.confidence >= Configuration.orientationConfidenceThreshold)
+            score += element.text.replace(/[^A-Za-z0-9]/g, "").length;
+    return score;
+}
 
-        let elementComparer = (a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)));
-        elements.sort(elementComparer);
+// Parses an image that has already been converted into a format that can be used by jimp.
 
-        // Group the elements into sections based on where the "Dev App No." text starts (and
-        // any other element the "Dev App No." elements line up with horizontally with a margin
-        // of error equal to about the height of the "Dev App No." text; this is done in order
-        // to capture the lodged date, which may be higher up than the "Dev App No." text).
+async function parseJimpImage(jimpImage: any, bounds: Rectangle) {
+    // Segment the image based on blocks of white.
 
-        let applicationElementGroups = [];
-        let startElements = findStartElements(elements);
-        if (startElements.length === 0) {
-            let elementSummary = elements.map(element => `[${element.text}]`).join("");
-            console.log(`    Could not find any start elements in: ${elementSummary}`);
+    let segmentRectangles = segmentImage(jimpImage);
+
+    // Note that textord_old_baselines is set to 0 so that text that is offset by half the height
+    // of the the font is correctly recognised.
+
+    let ocrSettings = { textord_old_baselines: "0" };
+
+    // Parse the segments in parallel (using the pool of OCR workers) and then combine the
+    // resulting elements in the original order of the segments.  The image of a segment is only
+    // extracted once the segment has a slot (so that at most one segment image per OCR worker is
+    // held in memory at any time).
+
+    let segmentElements: Element[][] = await Promise.all(segmentRectangles.map(async segmentRectangle => {
+        await acquireSegmentSlot();
+        try {
+            return await parseSegment(jimpImage, segmentRectangle, bounds, ocrSettings);
+        } finally {
+            releaseSegmentSlot();
         }
+    }));
 
-        for (let index = 0; index < startElements.length; index++) {
-            // Determine the highest Y co-ordinate of this row and the next row (or the bottom of
-            // the current page).  Allow some leeway vertically (add some extra height) because
-            // in some cases the lodged date is a fair bit higher up than the "Dev App No." text
-            // (see the similar leeway used in getReceivedDate).
-            
-            let startElement = startElements[index];
+    let elements: Element[] = [];
+    for (let elementsOfSegment of segmentElements)
+        elements = elements.concat(elementsOfSegment);
+    return elements;
+}
+
+// Parses a segment of an image (see segmentImage).  The bounds are those of the entire image.
+
+async function parseSegment(jimpImage: any, segmentRectangle: Rectangle, bounds: Rectangle, ocrSettings: any): Promise<Element[]> {
+    let segment = { image: getSegmentImage(jimpImage, segmentRectangle), bounds: segmentRectangle };
+
+    // Attempt to avoid using too much memory by scaling down large images.
+
+    let scaleFactor = 1.0;
+    if (segment.bounds.width * segment.bounds.height > 1000 * 1000) {
+        scaleFactor = 0.5;
+        console.log(`    Scaling a large image (${segment.bounds.width}×${segment.bounds.height}) by ${scaleFactor} to reduce memory usage.`);
+        segment.image = segment.image.scale(scaleFactor, jimp.RESIZE_BEZIER);
+    }
+
+    // Use any words previously recognised in an identical image (with identical settings).
+
+    let preprocessingSteps: string[] = Configuration.preprocessingSteps;
+    let cacheKey = getOcrCacheKey(segment.image, { engine: getOcrBackend().name, settings: ocrSettings, preprocessing: preprocessingSteps });
+    let words = readOcrCache(cacheKey);
+    if (words === undefined) {
+        // Preprocess the image (for example, deskewing it and converting it to black and
+        // white) before recognising the words.  Note that the words are cached under the key
+        // of the original image (so the preprocessing is skipped when the cache is used).
+
+        let preprocessedImage = preprocessImage(segment.image, preprocessingSteps);
+        segment.image = preprocessedImage.image;
+
+        let imageBuffer = await new Promise((resolve, reject) => segment.image.getBuffer(jimp.MIME_PNG, (error, buffer) => error ? reject(error) : resolve(buffer)));
+        segment.image = undefined;  // attempt to release memory
+
+        // Report larger memory usage and larger images for troubleshooting purposes.
+
+        let memoryUsage = process.memoryUsage();
+        if (memoryUsage.rss > 200 * 1024 * 1024)  // 200 MB
+            console.log(`    Memory Usage: rss: ${Math.round(memoryUsage.rss / (1024 * 1024))} MB, heapTotal: ${Math.round(memoryUsage.heapTotal / (1024 * 1024))} MB, heapUsed: ${Math.round(memoryUsage.heapUsed / (1024 * 1024))} MB, external: ${Math.round(memoryUsage.external / (1024 * 1024))} MB`);
+        if (segment.bounds.width * segment.bounds.height > 700 * 700)
+            console.log(`    Parsing a large image with bounds { x: ${Math.round(segment.bounds.x)}, y: ${Math.round(segment.bounds.y)}, width: ${Math.round(segment.bounds.width)}, height: ${Math.round(segment.bounds.height)} }.`);
+
+        words = await recognizeImage(imageBuffer, ocrSettings);
+        imageBuffer = undefined;  // attempt to release memory
+
+        // Convert the bounding boxes back to the co-ordinates of the image before it was
+        // preprocessed (allowing for deskewing and upscaling) and then cache the words.  The
+        // corners of a deskewed bounding box are rotated back, so the box that contains them is
+        // used.
+
+        words = words.map(word => {
+            let corners = [ { x: word.bbox.x0, y: word.bbox.y0 }, { x: word.bbox.x1, y: word.bbox.y0 }, { x: word.bbox.x0, y: word.bbox.y1 }, { x: word.bbox.x1, y: word.bbox.y1 } ].map(preprocessedImage.mapPoint);
+            return {
+                text: word.text,
+                confidence: word.confidence,
+                choiceCount: word.choiceCount,
+                bbox: {
+                    x0: Math.min(...corners.map(corner => corner.x)),
+                    y0: Math.min(...corners.map(corner => corner.y)),
+                    x1: Math.max(...corners.map(corner => corner.x)),
+                    y1: Math.max(...corners.map(corner => corner.y))
+                }
+            };
+        });
+        writeOcrCache(cacheKey, words);
+    } else
+        segment.image = undefined;  // attempt to release memory
+
+    return words.map(word => {
+        return {
+            text: word.text,
+            confidence: word.confidence,
+            choiceCount: word.choiceCount,
+            x: bounds.x + segment.bounds.x + word.bbox.x0 / scaleFactor,
+            y: bounds.y + segment.bounds.y + word.bbox.y0 / scaleFactor,
+            width: (word.bbox.x1 - word.bbox.x0) / scaleFactor,
+            height: (word.bbox.y1 - word.bbox.y0) / scaleFactor
+        };
+    });
+}
+
+// Converts a local file path to a "file:" URL (so that the origin of a local PDF document can be
+// recorded in the same way as the URL of a PDF document downloaded from the council web site).
+
+function getFileUrl(filePath: string) {
+    let absolutePath = path.resolve(filePath).replace(/\\/g, "/");
+    return encodeURI("file://" + (absolutePath.startsWith("/") ? "" : "/") + absolutePath).replace(/#/g, "%23").replace(/\?/g, "%3F");
+}
+
+// Gets the file name at the end of a URL (decoded and in lower case so that file names can be
+// compared; for example, "devappmay2016.pdf").
+
+function getUrlFileName(url: string) {
+    return decodeURIComponent(path.posix.basename(new urlparser.URL(url).pathname)).toLowerCase();
+}
+
+// Converts a "file:" URL back to a local file path.
+
+function getFilePath(fileUrl: string) {
+    let filePath = decodeURIComponent(new urlparser.URL(fileUrl).pathname);
+    return /^\/[A-Za-z]:/.test(filePath) ? filePath.substring(1) : filePath;  // allow for Windows drive letters, such as "/C:/Registers/May 2016.pdf"
+}
+
+// Reads a PDF document, either from a local file (for a "file:" URL) or by downloading it.
+
+async function readPdf(url: string) {
+    if (url.startsWith("file:"))
+        return fs.readFileSync(getFilePath(url));
+
+    let buffer = await request({ url: url, encoding: null, proxy: process.env.MORPH_PROXY });
+    await sleep(2000 + getRandom(0, 5) * 1000);
+    return buffer;
+}
+
+// Calculates a hash of the content of a PDF document (used to determine whether the document has
+// changed since it was last parsed).
+
+function getPdfHash(buffer: Buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// Creates a rejected application for a development application whose number collides with that of
+// a different application (so that it can be quarantined for review).  The elements from which
+// the application was parsed are no longer available, so the parsed fields are recorded instead
+// (and the application cannot be parsed again, see reparseQuarantinedApplications).
+
+function getConflictingApplication(developmentApplication): RejectedApplication {
+    let fields = {};
+    for (let fieldName of FixtureFieldNames.concat([ "decisionDate", "decision" ]))
+        fields[fieldName] = developmentApplication[fieldName];
+    return {
+        pageNumber: developmentApplication.pageNumber,
+        groupNumber: developmentApplication.groupNumber,
+        reason: "Conflicting application number",
+        fields: fields,
+        startElement: null,
+        elements: []
+    };
+}
+
+// An application (in a particular document and on a particular page) that is next to a gap in the
+// sequential "NNN/YYYY" application numbers.  The page number is unknown (null) for applications
+// saved before page numbers were recorded.
+
+interface LocatedApplication {
+    applicationNumber: string,
+    informationUrl: string,
+    pageNumber: number
+}
+
+// An application number that is missing from the sequential "NNN/YYYY" application numbers, along
+// with the applications either side of the gap (which indicate where it is likely to be found).
+
+interface MissingApplication {
+    applicationNumber: string,
+    previousApplication: LocatedApplication,
+    nextApplication: LocatedApplication
+}
+
+// Finds the application numbers that are missing from the sequential numbering of the specified
+// applications (application numbers are sequential within each year, so only the gaps between
+// the lowest and highest numbers of each year can be found).
+
+function findMissingApplications(applications: LocatedApplication[]) {
+    let years: { [year: string]: { sequenceNumber: number, application: LocatedApplication }[] } = {};
+    for (let application of applications) {
+        let match = /^([0-9]+)\/([0-9]{4})$/.exec(application.applicationNumber);
+        if (match !== null)
+            (years[match[2]] = years[match[2]] || []).push({ sequenceNumber: Number(match[1]), application: application });
+    }
+
+    let missingApplications: MissingApplication[] = [];
+    for (let year of Object.keys(years).sort()) {
+        let numbers = years[year].sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+        for (let index = 1; index < numbers.length; index++)
+            for (let sequenceNumber = numbers[index - 1].sequenceNumber + 1; sequenceNumber < numbers[index].sequenceNumber; sequenceNumber++)
+                missingApplications.push({ applicationNumber: `${sequenceNumber}/${year}`, previousApplication: numbers[index - 1].application, nextApplication: numbers[index].application });
+    }
+    return missingApplications;
+}
+
+// Describes where a missing application is likely to be found (based on the applications either
+// side of it).  The document is only mentioned when the gap spans two documents.
+
+function getLikelyLocation(missingApplication: MissingApplication) {
+    let previous = missingApplication.previousApplication;
+    let next = missingApplication.nextApplication;
+    let formatPage = (application: LocatedApplication) => (application.pageNumber === null || application.pageNumber === undefined) ? "an unknown page" : `page ${application.pageNumber}`;
+    if (previous.informationUrl !== next.informationUrl)
+        return `after ${formatPage(previous)} of ${previous.informationUrl} or before ${formatPage(next)} of ${next.informationUrl}`;
+    else if (previous.pageNumber === next.pageNumber)
+        return `probably ${formatPage(previous)}`;
+    else if (typeof previous.pageNumber === "number" && typeof next.pageNumber === "number" && next.pageNumber - previous.pageNumber > 1)
+        return `probably pages ${previous.pageNumber} to ${next.pageNumber}`;
+    else
+        return `probably ${formatPage(previous)} or ${formatPage(next)}`;
+}
+
+// Formats missing applications (one line each) as lines of a report.  Long runs of consecutive
+// missing application numbers (for example, a document that was never parsed) are shown as a
+// single range.  If quarantined applications are specified (by application number) then any
+// missing application that was quarantined is shown with the reason that it was quarantined
+// (including a quarantined application within a range, which is listed below that range).
+
+function formatMissingApplications(missingApplications: MissingApplication[], quarantinedApplications: { [applicationNumber: string]: { reason: string, pageNumber: number } } = {}) {
+    let lines: string[] = [];
+    for (let index = 0; index < missingApplications.length; ) {
+        let missingApplication = missingApplications[index];
+        let runLength = 1;
+        while (index + runLength < missingApplications.length && missingApplications[index + runLength].previousApplication === missingApplication.previousApplication)
+            runLength++;
+
+        let between = `between ${missingApplication.previousApplication.applicationNumber} and ${missingApplication.nextApplication.applicationNumber}`;
+        if (runLength > 3) {
+            let lastMissingApplication = missingApplications[index + runLength - 1];
+            lines.push(`${missingApplication.applicationNumber} to ${lastMissingApplication.applicationNumber} (${runLength} applications ${between}; ${getLikelyLocation(missingApplication)})`);
+            for (let runIndex = 0; runIndex < runLength; runIndex++, index++) {
+                let applicationNumber = missingApplications[index].applicationNumber;
+                let quarantinedApplication = quarantinedApplications[applicationNumber];
+                if (quarantinedApplication !== undefined)
+                    lines.push(`    ${applicationNumber} (quarantined on page ${quarantinedApplication.pageNumber}: ${quarantinedApplication.reason})`);
+            }
+            continue;
+        }
+
+        for (let runIndex = 0; runIndex < runLength; runIndex++, index++) {
+            let applicationNumber = missingApplications[index].applicationNumber;
+            let quarantinedApplication = quarantinedApplications[applicationNumber];
+            if (quarantinedApplication !== undefined)
+                lines.push(`${applicationNumber} (quarantined on page ${quarantinedApplication.pageNumber}: ${quarantinedApplication.reason})`);
+            else
+                lines.push(`${applicationNumber} (${between}; ${getLikelyLocation(missingApplications[index])})`);
+        }
+    }
+    return lines;
+}
+
+// The colours used to draw each region of an application in a debug overlay.
+
+const DebugRegionColours = {
+    start: "red",
+    middle: "blue",
+    applicationNumber: "magenta",
+    receivedDate: "orange",
+    decisionDate: "darkorange",
+    description: "green",
+    address: "teal",
+    legalDescription: "olive"
+};
+
+// The regions found when parsing a group of elements (drawn in a debug overlay).
+
+interface DebugGroup {
+    startElement: Element,
+    label: string,
+    regions: { name: string, elements: Element[] }[]
+}
+
+// An image of a page (in the same co-ordinates as the elements recognised in it) that is drawn
+// underneath the bounding boxes of a debug overlay.
+
+interface DebugImage {
+    bounds: Rectangle,
+    dataUrl: string
+}
+
+// Encodes an image (from a PDF document) as a PNG "data:" URL for a debug overlay, rotated so that
+// it is upright in the same way as when its text is recognised (see parseImage).
+
+async function getDebugImage(image: any, bounds: Rectangle, rotation: number): Promise<DebugImage> {
+    let jimpImage = convertToJimpImage(image);
+    if (rotation !== 0)
+        jimpImage.rotate(rotation);
+    let buffer: Buffer = await new Promise((resolve, reject) => jimpImage.getBuffer(jimp.MIME_PNG, (error, buffer) => error ? reject(error) : resolve(buffer)));
+    return { bounds: bounds, dataUrl: `data:image/png;base64,${buffer.toString("base64")}` };
+}
+
+// Writes an HTML file (containing an SVG image) for a page of a PDF that shows the scanned images
+// of the page overlaid with the bounding box of every element, the start element of each
+// application and the regions chosen for the fields of each application.  Hover over a box to see
+// its text and OCR confidence.  The overlay is enlarged beyond the page size if necessary so that
+// it contains every image and element (image elements are in the co-ordinates of the image
+// pixels rather than the co-ordinates of the page).
+
+function writeDebugOverlay(debugDirectory: string, url: string, pageNumber: number, width: number, height: number, elements: Element[], debugGroups: DebugGroup[], debugImages: DebugImage[]) {
+    if (!fs.existsSync(debugDirectory))
+        fs.mkdirSync(debugDirectory);
+
+    for (let rectangle of (elements as Rectangle[]).concat(debugImages.map(debugImage => debugImage.bounds))) {
+        width = Math.max(width, rectangle.x + rectangle.width);
+        height = Math.max(height, rectangle.y + rectangle.height);
+    }
+
+    let formatNumber = (value: number) => (Math.round(value * 100) / 100).toString();
+    let drawRectangle = (element: Element, colour: string, strokeWidth: number, fillOpacity: number) =>
+        `    <rect x="${formatNumber(element.x)}" y="${formatNumber(element.y)}" width="${formatNumber(element.width)}" height="${formatNumber(element.height)}" stroke="${colour}" stroke-width="${strokeWidth}" fill="${colour}" fill-opacity="${fillOpacity}"><title>${escapeXml(`${element.text}${(element.confidence === undefined) ? "" : " (confidence " + element.confidence + ")"}`)}</title></rect>`;
+
+    let lines: string[] = [];
+    for (let debugImage of debugImages)
+        lines.push(`    <image x="${formatNumber(debugImage.bounds.x)}" y="${formatNumber(debugImage.bounds.y)}" width="${formatNumber(debugImage.bounds.width)}" height="${formatNumber(debugImage.bounds.height)}" preserveAspectRatio="none" opacity="0.5" href="${debugImage.dataUrl}" />`);
+    for (let element of elements) {
+        lines.push(drawRectangle(element, "silver", 0.5, 0));
+        lines.push(`    <text x="${formatNumber(element.x)}" y="${formatNumber(element.y + element.height)}" font-size="${formatNumber(Math.max(2, element.height * 0.8))}" fill="gray">${escapeXml(element.text)}</text>`);
+    }
+    for (let debugGroup of debugGroups) {
+        for (let region of debugGroup.regions)
+            for (let element of region.elements)
+                lines.push(drawRectangle(element, DebugRegionColours[region.name] || "black", 1, 0.15));
+        lines.push(drawRectangle(debugGroup.startElement, DebugRegionColours.start, 2, 0.15));
+        lines.push(`    <text x="${formatNumber(debugGroup.startElement.x)}" y="${formatNumber(debugGroup.startElement.y - 2)}" font-size="8" fill="${DebugRegionColours.start}">${escapeXml(debugGroup.label)}</text>`);
+    }
+
+    let legend = Object.keys(DebugRegionColours).map(name => `<span style="color: ${DebugRegionColours[name]}">&#9632; ${name}</span>`).join(" ");
+    let html = [
+        "<!DOCTYPE html>",
+        "<html>",
+        "<head>",
+        "    <meta charset=\"utf-8\">",
+        `    <title>${escapeXml(`${url} page ${pageNumber}`)}</title>`,
+        "</head>",
+        "<body>",
+        `<p>${escapeXml(url)} page ${pageNumber}: ${elements.length} element(s) and ${debugGroups.length} application group(s).<br>${legend}</p>`,
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(Math.min(width * 2, 2000))}" height="${formatNumber(Math.min(width * 2, 2000) * height / width)}" viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}" style="border: 1px solid black">`
+    ].concat(lines).concat([ "</svg>", "</body>", "</html>" ]).join("\n") + "\n";
+
+    let fileName = path.basename(decodeURIComponent(url)).replace(/\.pdf$/i, "").replace(/[^A-Za-z0-9]+/g, " ").trim();
+    let debugFilePath = path.join(debugDirectory, `${fileName} page ${("00" + pageNumber).slice(-3)}.html`);
+    fs.writeFileSync(debugFilePath, html);
+    console.log(`    Wrote debug overlay: ${debugFilePath}`);
+}
+
+// Determines the bounds of an image on a page (in the same units as the image pixels) from the
+// transform that maps the unit square onto the image (in unrotated page co-ordinates).  Also
+// determines the clockwise rotation (0, 90, 180 or 270 degrees) that turns the image upright,
+// allowing for both the rotation of the page and any rotation in the transform itself.
+
+function getImageBounds(image: any, imageTransform: number[], viewport: any) {
+    // Map the unit square into viewport co-ordinates (which are upright and have Y increasing
+    // downwards).  The rows of the image run along the first column of the transform.
+
+    let transform = pdfjs.Util.transform(viewport.transform, imageTransform);
+    let rotation: number;
+    if (Math.abs(transform[0]) >= Math.abs(transform[1]))
+        rotation = (transform[0] >= 0) ? 0 : 180;
+    else
+        rotation = (transform[1] >= 0) ? 90 : 270;
+
+    // The scale is the number of image pixels per viewport unit (measured down the columns of
+    // the image, as the height of an unrotated image).
+
+    let scale = image.height / Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+    let xs = [ transform[4], transform[4] + transform[0], transform[4] + transform[2], transform[4] + transform[0] + transform[2] ];
+    let ys = [ transform[5], transform[5] + transform[1], transform[5] + transform[3], transform[5] + transform[1] + transform[3] ];
+    let isSideways = (rotation === 90 || rotation === 270);
+
+    let bounds: Rectangle = {
+        x: Math.min(...xs) * scale,
+        y: Math.min(...ys) * scale,
+        width: isSideways ? image.height : image.width,
+        height: isSideways ? image.width : image.height
+    };
+    return { bounds: bounds, rotation: rotation, scale: scale };
+}
+
+// Parses a PDF document.  If an applicationElementGroupHandler is specified then it is called
+// for each group of elements that is parsed (along with the resulting development application,
+// which is undefined if the group of elements could not be parsed).  If a debug directory is
+// specified then a debug overlay is written to that directory for each page.
+
+async function parsePdf(url: string, buffer: Buffer, applicationElementGroupHandler?: (applicationElementGroup: ApplicationElementGroup, pageNumber: number, developmentApplication) => void, debugDirectory?: string) {
+    let parsedApplications = [];
+    let developmentApplications = [];
+    let rejectedApplications: RejectedApplication[] = [];
+    let recordCount = -1;
+
+    // The layout profile is selected using the first page on which a profile matches (the first
+    // configured profile is used until then).
+
+    let isLayoutProfileSelected = false;
+    CurrentLayoutProfile = Configuration.layoutProfiles[0];
+
+    // Parse the PDF.  Each page has the details of multiple applications.  Note that the PDF is
+    // re-parsed on each iteration of the loop (ie. once for each page).  This then avoids large
+    // memory usage by the PDF (just calling page._destroy() on each iteration of the loop appears
+    // not to be enough to release all memory used by the PDF parsing).
+
+    for (let pageIndex = 0; pageIndex < 500; pageIndex++) {  // limit to an arbitrarily large number of pages (to avoid any chance of an infinite loop)
+        let pdf = await pdfjs.getDocument({ data: buffer, disableFontFace: true, ignoreErrors: true });
+        if (pageIndex >= pdf.numPages)
+            break;
+
+        console.log(`Reading and parsing applications from page ${pageIndex + 1} of ${pdf.numPages}.`);
+        let page = await pdf.getPage(pageIndex + 1);
+
+        // Find all the text elements (because there may be text in addition to images).
+
+        let textContent = await page.getTextContent();
+        let viewport = await page.getViewport(1.0);
+
+        let textElements: Element[] = textContent.items.map(item => {
+            let transform = pdfjs.Util.transform(viewport.transform, item.transform);
+
+            // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
+            // exaggerated).  The problem seems to be that the height value is too large in some
+            // PDFs.  Provide an alternative, more accurate height value by using a calculation
+            // based on the transform matrix.
+
+            let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+
+            let x = transform[4];
+            let y = transform[5];
+            let width = item.width;
+            let height = workaroundHeight;
+
+            return { text: item.str, x: x, y: y, width: width, height: height };
+        });
+        console.log(`    Found ${textElements.length} text element(s).`)
+
+        // Find all image elements.
+
+        let imageElements: Element[] = [];
+        let debugImages: DebugImage[] = [];
+        let operators = await page.getOperatorList();
+
+        // Find and parse any images in the current PDF page.  Note that the viewport allows for any
+        // rotation of the page, so the text elements above are already upright and each image is
+        // rotated so that it is also upright (see getImageBounds).
+
+        if (page.rotate !== 0)
+            console.log(`    The page is rotated ${page.rotate}°.`);
+
+        let isFirstImage = true;
+
+        for (let index = 0; index < operators.fnArray.length; index++) {
+            if (operators.fnArray[index] !== pdfjs.OPS.paintImageXObject && operators.fnArray[index] !== pdfjs.OPS.paintImageMaskXObject)
+                continue;
+
+            // The operator either contains the name of an image or an actual image.
+
+            let image = operators.argsArray[index][0];
+            if (typeof image === "string")
+                image = page.objs.get(image);  // get the actual image using its name
+            else
+                operators.argsArray[index][0] = undefined;  // attempt to release memory used by the image
+
+            // Obtain the transform that applies to the image.  Note that the first image in the
+            // PDF typically has a pdfjs.OPS.dependency element in the fnArray between it and its
+            // transform (pdfjs.OPS.transform).
+
+            let transform = undefined;
+            if (index - 1 >= 0 && operators.fnArray[index - 1] === pdfjs.OPS.transform)
+                transform = operators.argsArray[index - 1];
+            else if (index - 2 >= 0 && operators.fnArray[index - 1] === pdfjs.OPS.dependency && operators.fnArray[index - 2] === pdfjs.OPS.transform)
+                transform = operators.argsArray[index - 2];
+            else
+                continue;
+
+            // Use the transform to translate the X and Y co-ordinates, but assume that the width
+            // and height are consistent between all images and do not need to be scaled.  This is
+            // almost always the case; only the first image is sometimes an exception (with a
+            // scale factor of 2.083333 instead of 4.166666).
+
+            let { bounds, rotation, scale } = getImageBounds(image, transform, viewport);
+
+            // Ignore the first image on the page as this is typically a white mask over the
+            // entire page.  And because it is typically at a different scale (2.083333 instead
+            // of 4.166666) then any text which is accidentally parsed will be set to the wrong
+            // X and Y co-ordinates.  It is easier just to ignore this first image.  In one case
+            // the text "HI:" was parsed and interfered with the "Dev App No." text resulting in
+            // an application being missed (see page 21 of the May 2018 PDF).
+            //
+            // Note that some PDFs have just one image with a scale of 2.777777 (and this should
+            // be parsed).
+
+            if (scale < 2.5 && isFirstImage && image.height >= 1000 && image.width >= 1000)
+                continue;
+            isFirstImage = false;
+        
+            // Parse the text from the image (keeping a copy of the image to draw under the debug
+            // overlay if one is being written).
+
+            if (debugDirectory !== undefined)
+                debugImages.push(await getDebugImage(image, bounds, rotation));
+            imageElements = imageElements.concat(await parseImage(image, bounds, rotation));
+            if (global.gc)
+                global.gc();
+        }
+        console.log(`    Found ${imageElements.length} image element(s).`)
+
+        // Merge the elements extracted from the text on the current page with the elements
+        // extracted from the images on the current page.
+
+        let elements: Element[] = [];
+        elements = elements.concat(textElements);
+        elements = elements.concat(imageElements);
+        console.log(`    Found a total of ${elements.length} text and image element(s) on the current page.`)
+
+        // Release the memory used by the PDF now that it is no longer required (it will be
+        // re-parsed on the next iteration of the loop for the next page).
+
+        await pdf.destroy();
+        if (global.gc)
+            global.gc();
+
+        // Ignore extremely low height elements (because these can be parsed as text but are
+        // very unlikely to actually be text; for example see the October 2016 PDF on page 19).
+        // In some rare cases they may be valid (such as a full stop far from other text).
+
+        elements = elements.filter(element => element.height > 2);
+
+        // Sort the elements by Y co-ordinate and then by X co-ordinate.
+
+        let elementComparer = (a, b) => (a.y > b.y) ? 1 : ((a.y < b.y) ? -1 : ((a.x > b.x) ? 1 : ((a.x < b.x) ? -1 : 0)));
+        elements.sort(elementComparer);
+
+        // Group the elements into sections based on where the "Dev App No." text starts (and
+        // any other element the "Dev App No." elements line up with horizontally with a margin
+        // of error equal to about the height of the "Dev App No." text; this is done in order
+        // to capture the lodged date, which may be higher up than the "Dev App No." text).
+
+        if (!isLayoutProfileSelected) {
+            let layoutProfile = selectLayoutProfile(elements);
+            if (layoutProfile !== undefined) {
+                CurrentLayoutProfile = layoutProfile;
+                isLayoutProfileSelected = true;
+                console.log(`    Selected the "${layoutProfile.name}" layout profile.`);
+            }
+        }
+
+        let applicationElementGroups: ApplicationElementGroup[] = [];
+        let startElements = findStartElements(elements);
+        if (startElements.length === 0) {
+            let elementSummary = elements.map(element => `[${element.text}]`).join("");
+            console.log(`    Could not find any start elements in: ${elementSummary}`);
+        }
+
+        for (let index = 0; index < startElements.length; index++) {
+            // Determine the highest Y co-ordinate of this row and the next row (or the bottom of
+            // the current page).  Allow some leeway vertically (add some extra height) because
+            // in some cases the lodged date is a fair bit higher up than the "Dev App No." text
+            // (see the similar leeway used in getReceivedDate).
+            
+            let startElement = startElements[index];
             let raisedStartElement: Element = {
                 text: startElement.text,
                 confidence: startElement.confidence,
                 x: startElement.x,
-                y: startElement.y - 3 * startElement.height,  // leeway
+                y: startElement.y - CurrentLayoutProfile.groupLeeway * startElement.height,  // leeway
                 width: startElement.width,
                 height: startElement.height };
             let rowTop = getRowTop(elements, raisedStartElement);
@@ -1122,23 +3389,73 @@ async function parsePdf(url: string) {
 
         // Parse the development application from each group of elements (ie. a section of the
         // current page of the PDF document).  If the same application number is encountered a
-        // second time in the same document then this likely indicates the parsing of the images
-        // has incorrectly recognised some of the digits in the application number.  In this case
-        // add a suffix to the application number so it is unique (and so will be inserted into
-        // the database later instead of being ignored).
+        // second time in the same document then either the same application appears twice or
+        // the parsing of the images has incorrectly recognised some of the digits in the
+        // application number.  The two applications are reconciled later (see below).
+
+        // Any development application that is ignored is recorded (so that it can be quarantined
+        // and parsed again later; for example, after the parser has been improved).
+
+        let debugGroups: DebugGroup[] = [];
+        for (let groupIndex = 0; groupIndex < applicationElementGroups.length; groupIndex++) {
+            let applicationElementGroup = applicationElementGroups[groupIndex];
+            let debugGroup: DebugGroup = { startElement: applicationElementGroup.startElement, label: "", regions: [] };
+            debugGroups.push(debugGroup);
+            let developmentApplication = parseApplicationElements(applicationElementGroup.elements, applicationElementGroup.startElement, url, (reason, fields) => {
+                debugGroup.label = reason;
+                rejectedApplications.push({
+                    pageNumber: pageIndex + 1,
+                    groupNumber: groupIndex + 1,
+                    reason: reason,
+                    fields: fields,
+                    startElement: applicationElementGroup.startElement,
+                    elements: applicationElementGroup.elements
+                });
+            }, (regionName, regionElements) => debugGroup.regions.push({ name: regionName, elements: regionElements }));
+            if (developmentApplication !== undefined)
+                debugGroup.label = developmentApplication.applicationNumber;
+            if (applicationElementGroupHandler !== undefined)
+                applicationElementGroupHandler(applicationElementGroup, pageIndex + 1, developmentApplication);
+            if (developmentApplication !== undefined)
+                parsedApplications.push(Object.assign(developmentApplication, { pageNumber: pageIndex + 1, groupNumber: groupIndex + 1 }));  // the elements are not kept (to limit memory usage)
+        }
 
-        for (let applicationElementGroup of applicationElementGroups) {
-            let developmentApplication = parseApplicationElements(applicationElementGroup.elements, applicationElementGroup.startElement, url);
-            if (developmentApplication !== undefined) {
-                let suffix = 0;
-                let applicationNumber = developmentApplication.applicationNumber;
-                while (developmentApplications.some(otherDevelopmentApplication => otherDevelopmentApplication.applicationNumber === developmentApplication.applicationNumber))
-                    developmentApplication.applicationNumber = `${applicationNumber} (${++suffix})`;  // add a unique suffix
-                developmentApplications.push(developmentApplication);
-            }
+        if (debugDirectory !== undefined)
+            writeDebugOverlay(debugDirectory, url, pageIndex + 1, viewport.width, viewport.height, elements, debugGroups, debugImages);
+    }
+
+    // Reconcile any development applications that have the same application number (merging
+    // them if they appear to be the same application, otherwise re-numbering the later one or,
+    // if it cannot be re-numbered, quarantining it).
+
+    let reconciliations: Reconciliation[] = [];
+    let usedApplicationNumbers = new Set<string>(parsedApplications.map(developmentApplication => developmentApplication.applicationNumber));
+    let neighbourApplicationNumbers = parsedApplications.map(developmentApplication => developmentApplication.applicationNumber);
+    for (let developmentApplication of parsedApplications) {
+        let otherApplication = developmentApplications.find(otherDevelopmentApplication => otherDevelopmentApplication.applicationNumber === developmentApplication.applicationNumber);
+        if (otherApplication === undefined) {
+            developmentApplications.push(developmentApplication);
+            continue;
         }
+
+        let reconciliation = reconcileApplication(developmentApplication, otherApplication, usedApplicationNumbers, neighbourApplicationNumbers);
+        reconciliations.push({ applicationNumber: developmentApplication.applicationNumber, informationUrl: url, otherInformationUrl: url, decision: reconciliation.decision, newApplicationNumber: reconciliation.applicationNumber, similarity: reconciliation.similarity });
+        console.log(`Application number ${developmentApplication.applicationNumber} on page ${developmentApplication.pageNumber} was encountered a second time in the same document (similarity ${(reconciliation.similarity === undefined) ? "unknown" : reconciliation.similarity.toFixed(2)}): ${reconciliation.decision}${(reconciliation.decision === "renumbered") ? " as " + reconciliation.applicationNumber : ""}.`);
+        if (reconciliation.decision === "merged")
+            mergeApplications(otherApplication, developmentApplication);
+        else if (reconciliation.decision === "renumbered") {
+            developmentApplication.applicationNumber = reconciliation.applicationNumber;
+            developmentApplication.applicationNumberStatus = "renumbered";
+            usedApplicationNumbers.add(reconciliation.applicationNumber);
+            developmentApplications.push(developmentApplication);
+        } else
+            rejectedApplications.push(getConflictingApplication(developmentApplication));
     }
 
+    // Release the memory used by the OCR workers.
+
+    terminateOcrWorkers();
+
     // Check whether the expected number of development applications have been encountered.
 
     if (recordCount !== -1) {
@@ -1153,7 +3470,17 @@ async function parsePdf(url: string) {
             console.log(`Warning: ${recordCountDiscrepancy} records were not extracted from the PDF (record count at start of PDF: ${recordCount}; extracted application count: ${developmentApplications.length}).`);
     }
 
-    return developmentApplications;
+    // Report the specific application numbers that appear to be missing from the document (based
+    // on the sequential numbering of the applications that were extracted).
+
+    let missingApplications = findMissingApplications(developmentApplications.map(developmentApplication => ({ applicationNumber: developmentApplication.applicationNumber, informationUrl: url, pageNumber: developmentApplication.pageNumber })));
+    if (missingApplications.length > 0) {
+        console.log(`Warning: ${missingApplications.length} application number(s) are missing from the sequence of extracted application numbers:`);
+        for (let line of formatMissingApplications(missingApplications))
+            console.log(`    ${line}`);
+    }
+
+    return { developmentApplications: developmentApplications, rejectedApplications: rejectedApplications, reconciliations: reconciliations, recordCount: recordCount };
 }
 
 // Gets a random integer in the specified range: [minimum, maximum).
@@ -1168,19 +3495,458 @@ function sleep(milliseconds: number) {
     return new Promise(resolve => setTimeout(resolve, milliseconds));
 }
 
-// Parses the development applications.
+// The fields of a development application that are compared when testing the parser against
+// fixtures (the remaining fields, such as the scrape date, do not depend on the parsing).
 
-async function main() {
-    // Ensure that the database exists.
+const FixtureFieldNames = [ "applicationNumber", "address", "description", "receivedDate", "legalDescription" ];
 
-    let database = await initializeDatabase();
-    
-    // Read all street, street suffix, suburb, state and post code information.
+// The names of the numeric fields that are recorded in new fixtures and compared only when present
+// in the expected result of a fixture (so that older fixtures without these fields still pass).
 
-    readAddressInformation();
+const OptionalFixtureFieldNames = [ "developmentCost", "totalArea" ];
 
-    // Retrieve the pages that contain the links to the PDFs.
+// Writes each group of elements parsed from the specified PDFs to a JSON fixture file in the
+// specified directory.  The development application currently parsed from each group of elements
+// is recorded as the expected result (this should be reviewed and corrected by hand so that the
+// fixture captures the correct result).  An expected result of null indicates that the group of
+// elements is expected to be ignored.
+
+async function dumpFixtures(pdfUrls: string[], fixturesDirectory: string) {
+    if (!fs.existsSync(fixturesDirectory))
+        fs.mkdirSync(fixturesDirectory);
+
+    for (let pdfUrl of pdfUrls) {
+        console.log(`Dumping fixtures from document: ${pdfUrl}`);
+        let fileName = path.basename(getFilePath(pdfUrl)).replace(/\.pdf$/i, "").replace(/[^A-Za-z0-9]+/g, " ").trim();
+        let groupCounts = {};
 
+        await parsePdf(pdfUrl, await readPdf(pdfUrl), (applicationElementGroup, pageNumber, developmentApplication) => {
+            groupCounts[pageNumber] = (groupCounts[pageNumber] || 0) + 1;
+            let expected = null;
+            if (developmentApplication !== undefined) {
+                expected = {};
+                for (let fieldName of FixtureFieldNames.concat(OptionalFixtureFieldNames))
+                    expected[fieldName] = developmentApplication[fieldName];
+            }
+
+            let fixture = {
+                source: path.basename(getFilePath(pdfUrl)),
+                pageNumber: pageNumber,
+                informationUrl: pdfUrl,
+                startElement: applicationElementGroup.startElement,
+                elements: applicationElementGroup.elements,
+                expected: expected
+            };
+            let fixtureFilePath = path.join(fixturesDirectory, `${fileName} page ${("00" + pageNumber).slice(-3)} group ${groupCounts[pageNumber]}.json`);
+            fs.writeFileSync(fixtureFilePath, JSON.stringify(fixture, null, 4) + "\n");
+            console.log(`    Wrote fixture: ${fixtureFilePath}`);
+        });
+    }
+}
+
+// Parses the groups of elements in all JSON fixture files in the specified directory and compares
+// the results with the expected development applications.  The accuracy of each field is reported
+// and the returned value indicates whether all fields of all fixtures matched (a missing or empty
+// fixtures directory is a failure, so that the tests never silently check nothing).
+
+function testFixtures(fixturesDirectory: string) {
+    let fixtureFileNames = fs.existsSync(fixturesDirectory) ? fs.readdirSync(fixturesDirectory).filter(fileName => fileName.toLowerCase().endsWith(".json")).sort() : [];
+    if (fixtureFileNames.length === 0) {
+        console.log(`Error: no fixtures were found in the "${fixturesDirectory}" directory.`);
+        return false;
+    }
+
+    let matchCounts = {};
+    let totalCounts = {};
+    for (let fieldName of [ "application" ].concat(FixtureFieldNames, OptionalFixtureFieldNames)) {
+        matchCounts[fieldName] = 0;
+        totalCounts[fieldName] = 0;
+    }
+
+    for (let fixtureFileName of fixtureFileNames) {
+        let fixture = JSON.parse(fs.readFileSync(path.join(fixturesDirectory, fixtureFileName)).toString());
+        CurrentLayoutProfile = selectLayoutProfile(fixture.elements) || Configuration.layoutProfiles[0];
+        let developmentApplication = parseApplicationElements(fixture.elements, fixture.startElement, fixture.informationUrl);
+        let fieldNames = FixtureFieldNames.concat(OptionalFixtureFieldNames.filter(fieldName => fixture.expected !== null && fieldName in fixture.expected));
+
+        // Check whether the application was parsed (or ignored) as expected.
+
+        totalCounts["application"]++;
+        if ((developmentApplication === undefined) !== (fixture.expected === null)) {
+            console.log(`${fixtureFileName}: expected the application to be ${(fixture.expected === null) ? "ignored" : "parsed"} but it was ${(developmentApplication === undefined) ? "ignored" : "parsed"}.`);
+            if (fixture.expected !== null)
+                for (let fieldName of fieldNames)
+                    totalCounts[fieldName]++;  // count the fields as mismatched
+            continue;
+        }
+        matchCounts["application"]++;
+        if (fixture.expected === null)
+            continue;
+
+        // Compare each field of the application.
+
+        for (let fieldName of fieldNames) {
+            totalCounts[fieldName]++;
+            if (developmentApplication[fieldName] === fixture.expected[fieldName])
+                matchCounts[fieldName]++;
+            else
+                console.log(`${fixtureFileName}: expected ${fieldName} "${fixture.expected[fieldName]}" but parsed "${developmentApplication[fieldName]}".`);
+        }
+    }
+
+    // Report the accuracy of each field.
+
+    let isSuccess = true;
+    console.log(`Tested ${fixtureFileNames.length} fixture(s).`);
+    for (let fieldName of [ "application" ].concat(FixtureFieldNames, OptionalFixtureFieldNames)) {
+        let accuracy = (totalCounts[fieldName] === 0) ? 100 : (100 * matchCounts[fieldName]) / totalCounts[fieldName];
+        console.log(`    ${fieldName}: ${matchCounts[fieldName]} of ${totalCounts[fieldName]} correct (${accuracy.toFixed(1)}%)`);
+        if (matchCounts[fieldName] !== totalCounts[fieldName])
+            isSuccess = false;
+    }
+    return isSuccess;
+}
+
+// Summarises the development applications parsed from a PDF: the number of applications parsed
+// and rejected and the mean confidence of each field.
+
+function summarizeParseResult(result: { developmentApplications: any[], rejectedApplications: RejectedApplication[] }) {
+    let meanConfidences = {};
+    for (let fieldName of FixtureFieldNames) {
+        let confidences = result.developmentApplications.map(developmentApplication => developmentApplication.confidences[fieldName]).filter(confidence => confidence !== null && confidence !== undefined);
+        meanConfidences[fieldName] = (confidences.length === 0) ? null : Math.round(10 * confidences.reduce((total, confidence) => total + confidence, 0) / confidences.length) / 10;
+    }
+    return `${result.developmentApplications.length} parsed, ${result.rejectedApplications.length} rejected; mean confidence: ${FixtureFieldNames.map(fieldName => `${fieldName} ${meanConfidences[fieldName]}`).join(", ")}`;
+}
+
+// Parses local PDF documents without any preprocessing, with each of the specified preprocessing
+// steps alone and with all of the specified steps together, and then reports how the parsed
+// applications differ from those parsed without preprocessing (so that the effect of each step
+// on the OCR output can be seen).  Nothing is written to the database.
+
+async function comparePreprocessing(pdfUrls: string[], steps: string[]) {
+    for (let step of steps)
+        if (!PreprocessingSteps.includes(step))
+            throw new Error(`Unknown preprocessing step "${step}" (expected one of: ${PreprocessingSteps.join(", ")}).`);
+
+    let variants: string[][] = [ [] ].concat(steps.map(step => [ step ]));
+    if (steps.length > 1)
+        variants.push(steps);
+
+    let originalSteps = Configuration.preprocessingSteps;
+    try {
+        for (let pdfUrl of pdfUrls) {
+            let buffer = await readPdf(pdfUrl);
+            let baselineApplications = undefined;
+            let summaries: string[] = [];
+            for (let variant of variants) {
+                let variantName = (variant.length === 0) ? "no preprocessing" : variant.join(", ");
+                console.log(`Parsing document with ${variantName}: ${pdfUrl}`);
+                Configuration.preprocessingSteps = variant;
+                let result = await parsePdf(pdfUrl, buffer);
+                summaries.push(`    ${variantName}: ${summarizeParseResult(result)}`);
+                if (baselineApplications === undefined) {
+                    baselineApplications = result.developmentApplications;
+                    continue;
+                }
+
+                // Report each field that differs from the application parsed (from the same group
+                // of elements) without preprocessing.
+
+                let differences: string[] = [];
+                for (let developmentApplication of result.developmentApplications) {
+                    let baselineApplication = baselineApplications.find(otherApplication => otherApplication.pageNumber === developmentApplication.pageNumber && otherApplication.groupNumber === developmentApplication.groupNumber);
+                    if (baselineApplication === undefined) {
+                        differences.push(`    page ${developmentApplication.pageNumber} group ${developmentApplication.groupNumber}: only parsed with ${variantName} (\"${developmentApplication.applicationNumber}\")`);
+                        continue;
+                    }
+                    for (let fieldName of FixtureFieldNames)
+                        if (developmentApplication[fieldName] !== baselineApplication[fieldName])
+                            differences.push(`    page ${developmentApplication.pageNumber} group ${developmentApplication.groupNumber} ${fieldName}: \"${baselineApplication[fieldName]}\" became \"${developmentApplication[fieldName]}\"`);
+                }
+                for (let baselineApplication of baselineApplications)
+                    if (!result.developmentApplications.some(developmentApplication => developmentApplication.pageNumber === baselineApplication.pageNumber && developmentApplication.groupNumber === baselineApplication.groupNumber))
+                        differences.push(`    page ${baselineApplication.pageNumber} group ${baselineApplication.groupNumber}: no longer parsed with ${variantName} (\"${baselineApplication.applicationNumber}\")`);
+                console.log(`Differences with ${variantName} (${differences.length}):`);
+                for (let difference of differences)
+                    console.log(difference);
+            }
+
+            console.log(`Summary of ${pdfUrl}:`);
+            for (let summary of summaries)
+                console.log(summary);
+        }
+    } finally {
+        Configuration.preprocessingSteps = originalSteps;
+    }
+}
+
+// Parses CSV text (with a header row) into an array of objects keyed by the column names.  Quoted
+// values (which may contain commas, new lines and doubled quotes) are supported.
+
+function parseCsv(text: string) {
+    let rows: string[][] = [];
+    let row: string[] = [];
+    let value = "";
+    let isQuoted = false;
+    for (let index = 0; index < text.length; index++) {
+        let character = text.charAt(index);
+        if (isQuoted) {
+            if (character === "\"" && text.charAt(index + 1) === "\"") {
+                value += "\"";
+                index++;
+            } else if (character === "\"")
+                isQuoted = false;
+            else
+                value += character;
+        } else if (character === "\"")
+            isQuoted = true;
+        else if (character === ",") {
+            row.push(value);
+            value = "";
+        } else if (character === "\n") {
+            row.push(value.replace(/\r$/, ""));
+            rows.push(row);
+            row = [];
+            value = "";
+        } else
+            value += character;
+    }
+    if (value !== "" || row.length > 0) {
+        row.push(value.replace(/\r$/, ""));
+        rows.push(row);
+    }
+
+    let columnNames = (rows.shift() || []).map(columnName => columnName.replace(/^\uFEFF/, "").trim());  // ignore any byte order mark
+    return rows.filter(row => row.some(value => value.trim() !== "")).map(row => {
+        let record = {};
+        columnNames.forEach((columnName, index) => record[columnName] = (row[index] === undefined) ? "" : row[index].trim());
+        return record;
+    });
+}
+
+// Reads the features from a gazetteer extract, which may be a CSV file (with a header row) or a
+// GeoJSON file.  Each feature consists of its properties (the columns of a CSV file) and its
+// co-ordinates as [ longitude, latitude ] (from the geometry of a GeoJSON feature, using the
+// average of the positions for a line or polygon, or from the latitude and longitude columns of
+// a CSV file).  Co-ordinates that are not a valid latitude and longitude (such as the eastings and
+// northings of a projected grid) are ignored.
+
+function readGazetteerFeatures(filePath: string): { properties: any, coordinates: number[] }[] {
+    let text = fs.readFileSync(filePath).toString();
+    if (/\.(geo)?json$/i.test(filePath)) {
+        return (JSON.parse(text).features || []).map(feature => {
+            let positions = [];
+            let addPositions = coordinates => (typeof coordinates[0] === "number") ? positions.push(coordinates) : coordinates.forEach(addPositions);
+            if (feature.geometry && feature.geometry.coordinates)
+                addPositions(feature.geometry.coordinates);
+            let coordinates = (positions.length === 0) ? undefined : [
+                positions.reduce((total, position) => total + position[0], 0) / positions.length,
+                positions.reduce((total, position) => total + position[1], 0) / positions.length
+            ];
+            return { properties: feature.properties || {}, coordinates: (coordinates === undefined || !isValidCoordinate(coordinates[1], coordinates[0])) ? undefined : coordinates };
+        });
+    }
+
+    return parseCsv(text).map(record => {
+        let latitude = parseFloat(getGazetteerValue(record, GazetteerFieldNames.latitude));
+        let longitude = parseFloat(getGazetteerValue(record, GazetteerFieldNames.longitude));
+        return { properties: record, coordinates: isValidCoordinate(latitude, longitude) ? [ longitude, latitude ] : undefined };
+    });
+}
+
+// Determines whether a latitude and longitude are numbers within the valid ranges (-90 to 90 and
+// -180 to 180).
+
+function isValidCoordinate(latitude: number, longitude: number) {
+    return !isNaN(latitude) && !isNaN(longitude) && latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
+
+// Reads the records (that is, the properties of the features) from a gazetteer extract.
+
+function readGazetteerRecords(filePath: string): any[] {
+    return readGazetteerFeatures(filePath).map(feature => feature.properties);
+}
+
+// Gets the value of a field from a gazetteer record, using the first of the candidate field names
+// that is present in the record (field names are matched ignoring case).
+
+function getGazetteerValue(record: any, candidateFieldNames: string[]) {
+    for (let candidateFieldName of candidateFieldNames) {
+        let fieldName = Object.keys(record).find(fieldName => fieldName.toLowerCase() === candidateFieldName.toLowerCase());
+        if (fieldName !== undefined && record[fieldName] !== null && record[fieldName] !== undefined)
+            return record[fieldName].toString().trim();
+    }
+    return "";
+}
+
+// Converts text to title case (for example, "MURRAY BRIDGE-MANNUM ROAD" to "Murray Bridge-Mannum
+// Road").
+
+function toTitleCase(text: string) {
+    return text.toLowerCase().replace(/(^|[\s\-'(])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+// Compares two lines of a gazetteer file (sorting by the first field and then the second field).
+
+function compareGazetteerLines(line1: string, line2: string) {
+    let fields1 = line1.split(",");
+    let fields2 = line2.split(",");
+    return (fields1[0] > fields2[0]) ? 1 : ((fields1[0] < fields2[0]) ? -1 : ((fields1[1] > fields2[1]) ? 1 : ((fields1[1] < fields2[1]) ? -1 : 0)));
+}
+
+// Writes the lines of a gazetteer file (such as "streetnames.txt"), reporting the lines that are
+// added and removed (the file is not changed if isDryRun is true).
+
+function writeGazetteerFile(filePath: string, lines: string[], isDryRun: boolean) {
+    let existingLines = fs.existsSync(filePath) ? fs.readFileSync(filePath).toString().replace(/\r/g, "").trim().split("\n").filter(line => line.trim() !== "") : [];
+    let addedLines = lines.filter(line => !existingLines.includes(line));
+    let removedLines = existingLines.filter(line => !lines.includes(line));
+
+    console.log(`${filePath}: ${addedLines.length} added and ${removedLines.length} removed (${lines.length} in total).`);
+    for (let line of addedLines)
+        console.log(`    + ${line}`);
+    for (let line of removedLines)
+        console.log(`    - ${line}`);
+
+    if (!isDryRun && (addedLines.length > 0 || removedLines.length > 0))
+        fs.writeFileSync(filePath, lines.join("\n") + "\n");
+}
+
+// Rebuilds "streetnames.txt" and "suburbnames.txt" from a local gazetteer extract of road names
+// (and, optionally, a gazetteer extract of localities and their post codes).  Only records within
+// the specified council area are used: a record without a council value is ignored, and nothing
+// is rebuilt if an extract has no council field at all (so that a statewide extract never adds
+// the streets of every council area).  Field names are
+// matched against common names used in state datasets unless specified in the options (for
+// example, "--street-name-field=ROADNAME").
+
+function rebuildGazetteer(roadsFilePath: string, localitiesFilePath: string, options: { [name: string]: string }) {
+    let streetNameFields = options["street-name-field"] ? [ options["street-name-field"] ] : GazetteerFieldNames.streetName;
+    let streetTypeFields = options["street-type-field"] ? [ options["street-type-field"] ] : GazetteerFieldNames.streetType;
+    let streetSuffixFields = options["street-suffix-field"] ? [ options["street-suffix-field"] ] : GazetteerFieldNames.streetSuffix;
+    let suburbFields = options["suburb-field"] ? [ options["suburb-field"] ] : GazetteerFieldNames.suburb;
+    let postcodeFields = options["postcode-field"] ? [ options["postcode-field"] ] : GazetteerFieldNames.postcode;
+    let councilFields = options["council-field"] ? [ options["council-field"] ] : GazetteerFieldNames.council;
+    let council = (options["council"] || "MURRAY BRIDGE").toUpperCase();
+    let isWithinCouncil = record => { let recordCouncil = getGazetteerValue(record, councilFields); return recordCouncil !== "" && recordCouncil.toUpperCase().includes(council); };
+
+    // Determine the post code of each locality (from the localities extract, the roads extract
+    // and the existing suburb names).
+
+    let postcodes = {};
+    for (let suburbName of Object.keys(SuburbNames)) {
+        let postcodeMatch = /([0-9]{4})$/.exec(SuburbNames[suburbName]);
+        if (postcodeMatch !== null)
+            postcodes[suburbName.toUpperCase()] = postcodeMatch[1];
+    }
+
+    let suburbs = {};
+    let allRoadRecords = readGazetteerRecords(roadsFilePath);
+    let allLocalityRecords = (localitiesFilePath === undefined) ? [] : readGazetteerRecords(localitiesFilePath);
+    for (let { filePath, records } of [ { filePath: roadsFilePath, records: allRoadRecords }, { filePath: localitiesFilePath, records: allLocalityRecords } ]) {
+        if (records.length > 0 && !records.some(record => getGazetteerValue(record, councilFields) !== "")) {
+            console.log(`No council field (${councilFields.join(", ")}) was found in "${filePath}", so its records cannot be limited to the "${council}" council area (specify the field with "--council-field"; the files have not been changed).`);
+            return;
+        }
+    }
+    let roadRecords = allRoadRecords.filter(isWithinCouncil);
+    let localityRecords = allLocalityRecords.filter(isWithinCouncil);
+    for (let record of localityRecords.concat(roadRecords)) {
+        let suburb = getGazetteerValue(record, suburbFields).toUpperCase().replace(/\s\s+/g, " ");
+        let postcode = getGazetteerValue(record, postcodeFields);
+        if (suburb === "")
+            continue;
+        suburbs[suburb] = true;
+        if (/^[0-9]{4}$/.test(postcode))
+            postcodes[suburb] = postcode;
+    }
+
+    // Construct the suburb names (for example, "MURRAY BRIDGE,MURRAY BRIDGE SA 5253").
+
+    let suburbLines: string[] = [];
+    for (let suburb of Object.keys(suburbs)) {
+        if (postcodes[suburb] === undefined)
+            console.log(`Ignoring the locality "${suburb}" because its post code is not known.`);
+        else
+            suburbLines.push(`${suburb},${suburb} SA ${postcodes[suburb]}`);
+    }
+    suburbLines.sort(compareGazetteerLines);
+
+    // Construct the street names (for example, "Adelaide Road,MURRAY BRIDGE SA 5253"), expanding
+    // any abbreviated street types (for example, "RD" to "Road").
+
+    let streetLines: string[] = [];
+    for (let record of roadRecords) {
+        let streetName = getGazetteerValue(record, streetNameFields);
+        let streetType = getGazetteerValue(record, streetTypeFields);
+        let streetSuffix = getGazetteerValue(record, streetSuffixFields);
+        let suburb = getGazetteerValue(record, suburbFields).toUpperCase().replace(/\s\s+/g, " ");
+        if (streetName === "" || suburb === "" || postcodes[suburb] === undefined)
+            continue;
+
+        streetType = StreetSuffixes[streetType.toLowerCase()] || streetType;
+        let line = `${toTitleCase([ streetName, streetType, streetSuffix ].join(" ").trim().replace(/\s\s+/g, " "))},${suburb} SA ${postcodes[suburb]}`;
+        if (!streetLines.includes(line))
+            streetLines.push(line);
+    }
+    streetLines.sort(compareGazetteerLines);
+
+    if (streetLines.length === 0 || suburbLines.length === 0) {
+        console.log(`No street names or suburb names were found for the "${council}" council area (the files have not been changed).`);
+        return;
+    }
+
+    let isDryRun = (options["dry-run"] !== undefined);
+    writeGazetteerFile("streetnames.txt", streetLines, isDryRun);
+    writeGazetteerFile("suburbnames.txt", suburbLines, isDryRun);
+    if (isDryRun)
+        console.log("The files have not been changed because the \"--dry-run\" option was specified.");
+}
+
+// Parses the command line arguments into a command (the first argument that is not an option),
+// the remaining arguments and any options.  Options are specified as "--name=value" (or just as
+// "--name", which is equivalent to "--name=true").
+
+function parseCommandLine(commandLineArguments: string[]) {
+    let positionalArguments: string[] = [];
+    let options: { [name: string]: string } = {};
+    for (let commandLineArgument of commandLineArguments) {
+        let optionMatch = /^--([^=]+)(=(.*))?$/.exec(commandLineArgument);
+        if (optionMatch === null)
+            positionalArguments.push(commandLineArgument);
+        else
+            options[optionMatch[1]] = (optionMatch[3] === undefined) ? "true" : optionMatch[3];
+    }
+    return { command: positionalArguments.shift(), arguments: positionalArguments, options: options };
+}
+
+// Gets the "file:" URLs of the local PDF documents at the specified paths (each path may be a
+// PDF document or a directory containing PDF documents).
+
+function getLocalPdfUrls(filePaths: string[]) {
+    let pdfUrls: string[] = [];
+    for (let filePath of filePaths) {
+        if (!fs.existsSync(filePath))
+            throw new Error(`The file or directory "${filePath}" does not exist.`);
+
+        let pdfFilePaths = [ filePath ];
+        if (fs.statSync(filePath).isDirectory())
+            pdfFilePaths = fs.readdirSync(filePath).filter(fileName => fileName.toLowerCase().endsWith(".pdf")).sort().map(fileName => path.join(filePath, fileName));
+
+        for (let pdfFilePath of pdfFilePaths) {
+            let pdfUrl = getFileUrl(pdfFilePath);
+            if (!pdfUrls.some(url => url === pdfUrl))  // avoid duplicates
+                pdfUrls.push(pdfUrl);
+        }
+    }
+    return pdfUrls;
+}
+
+// Retrieves the URLs of the PDFs from the pages of the council web site that contain the links
+// to the PDFs.
+
+async function getPdfUrls() {
     let pdfUrls: string[] = [];
     for (let index = 1; index <= 10; index++) {  // search up to 10 pages
         let url = DevelopmentApplicationsUrl.replace(/\{0\}/g, index.toString());
@@ -1198,39 +3964,618 @@ async function main() {
                     pdfUrls.push(pdfUrl.href);
         }
     }
+    return pdfUrls;
+}
+
+// Parses the development applications from the specified PDF and inserts them into the database.
+
+async function parsePdfAndInsertRows(database, pdfUrl: string, buffer: Buffer, debugDirectory?: string) {
+    console.log(`Parsing document: ${pdfUrl}`);
+    let result = await parsePdf(pdfUrl, buffer, undefined, debugDirectory);
+    console.log(`Parsed ${result.developmentApplications.length} development application(s) from document: ${pdfUrl}`);
+
+    // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the current
+    // process being terminated by morph.io).
+
+    if (global.gc)
+        global.gc();
+
+    console.log(`Inserting development applications into the database.`);
+    for (let reconciliation of result.reconciliations)
+        await logReconciliation(database, reconciliation);
+
+    let usedApplicationNumbers = new Set<string>((await getRows(database, "select [council_reference] from [data]", [])).map(row => row.council_reference));
+    let neighbourApplicationNumbers = result.developmentApplications.map(developmentApplication => developmentApplication.applicationNumber);
+    for (let developmentApplication of result.developmentApplications)
+        usedApplicationNumbers.add(developmentApplication.applicationNumber);
+    for (let developmentApplication of result.developmentApplications) {
+        if (await reconcileAndInsertRow(database, developmentApplication, usedApplicationNumbers, neighbourApplicationNumbers))
+            await updateReviewQueue(database, developmentApplication);
+        else
+            result.rejectedApplications.push(getConflictingApplication(developmentApplication));
+    }
+    await quarantineApplications(database, pdfUrl, result.rejectedApplications);
+    return result;
+}
+
+// Lists the quarantined applications (that is, the applications that were rejected by the parser).
+
+async function listQuarantinedApplications(database) {
+    let rows = await getRows(database, "select [rowid], * from [quarantine] order by [info_url], [page_number], [group_number]", []);
+    for (let row of rows) {
+        let fields = JSON.parse(row.fields);
+        let fieldSummary = Object.keys(fields).map(fieldName => `${fieldName}: "${fields[fieldName]}"`).join(", ");
+        console.log(`[${row.rowid}] ${row.info_url} page ${row.page_number} group ${row.group_number}: ${row.reason} (quarantined ${row.date_quarantined})${(fieldSummary === "") ? "" : "; " + fieldSummary}`);
+    }
+    console.log(`Found ${rows.length} quarantined application(s).`);
+}
+
+// Parses the quarantined applications again (for example, after the parser has been improved).
+// Any application that is now successfully parsed is inserted into the database and removed
+// from the quarantine.  If an identifier is specified then only that application is parsed.
+
+async function reparseQuarantinedApplications(database, id?: number) {
+    let rows = (id === undefined) ?
+        await getRows(database, "select [rowid], * from [quarantine] order by [info_url], [page_number], [group_number]", []) :
+        await getRows(database, "select [rowid], * from [quarantine] where [rowid] = ?", [ id ]);
+
+    let parsedCount = 0;
+    for (let row of rows) {
+        console.log(`Parsing quarantined application [${row.rowid}] from ${row.info_url} page ${row.page_number} group ${row.group_number}.`);
+        let rejection = undefined;
+        let elements = JSON.parse(row.elements);
+        if (elements.length === 0) {
+            console.log(`    The application cannot be parsed again because its elements were not recorded (review it by hand).`);
+            continue;
+        }
+        CurrentLayoutProfile = selectLayoutProfile(elements) || Configuration.layoutProfiles[0];
+        let developmentApplication = parseApplicationElements(elements, JSON.parse(row.start_element), row.info_url, (reason, fields) => rejection = { reason: reason, fields: fields });
+        if (developmentApplication === undefined) {
+            await runStatement(database, "update [quarantine] set [reason] = ?, [fields] = ?, [application_number] = ? where [rowid] = ?", [ rejection.reason, JSON.stringify(rejection.fields), rejection.fields.applicationNumber || null, row.rowid ]);
+            continue;
+        }
+
+        Object.assign(developmentApplication, { pageNumber: row.page_number });
+        let usedApplicationNumbers = new Set<string>((await getRows(database, "select [council_reference] from [data]", [])).map(row => row.council_reference));
+        let neighbourApplicationNumbers = (await getRows(database, "select [council_reference] from [data] where [info_url] = ?", [ row.info_url ])).map(row => row.council_reference);
+        if (!await reconcileAndInsertRow(database, developmentApplication, usedApplicationNumbers, neighbourApplicationNumbers)) {
+            await runStatement(database, "update [quarantine] set [reason] = ? where [rowid] = ?", [ "Conflicting application number", row.rowid ]);
+            continue;
+        }
+        await updateReviewQueue(database, developmentApplication);
+        await runStatement(database, "delete from [quarantine] where [rowid] = ?", [ row.rowid ]);
+        parsedCount++;
+    }
+    console.log(`Parsed ${parsedCount} of ${rows.length} quarantined application(s).`);
+}
+
+// Formats rows as CSV text (with a header row of the specified column names).
+
+function formatCsv(columnNames: string[], rows: any[]) {
+    let formatValue = value => {
+        let text = (value === null || value === undefined) ? "" : value.toString();
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+    };
+    return [ columnNames.map(formatValue).join(",") ].concat(rows.map(row => columnNames.map(columnName => formatValue(row[columnName])).join(","))).map(line => line + "\n").join("");
+}
+
+// Gets the applications in the review queue (along with their parsed fields), lowest confidence
+// first.
+
+async function getReviewQueue(database) {
+    return await getRows(database, "select [review_queue].[field_name], [review_queue].[confidence], [review_queue].[date_queued], [data].* from [review_queue] inner join [data] on [data].[council_reference] = [review_queue].[council_reference] order by [review_queue].[confidence], [review_queue].[council_reference]", []);
+}
+
+// Lists the applications in the review queue or exports them to a CSV file.
+
+async function reviewApplications(database, subcommand: string, outputFilePath: string) {
+    let rows = await getReviewQueue(database);
+    if (subcommand === "export") {
+        let columnNames = [ "council_reference", "field_name", "confidence", "address", "description", "date_received", "legal_description", "application_number_confidence", "address_confidence", "description_confidence", "date_received_confidence", "legal_description_confidence", "info_url", "date_queued" ];
+        fs.writeFileSync(outputFilePath, formatCsv(columnNames, rows));
+        console.log(`Exported ${rows.length} application(s) in the review queue to: ${outputFilePath}`);
+        return;
+    }
 
+    for (let row of rows)
+        console.log(`${row.council_reference}: ${row.field_name} confidence ${row.confidence} (address \"${row.address}\", description \"${row.description}\", received date \"${row.date_received}\") from ${row.info_url}`);
+    console.log(`Found ${rows.length} application(s) in the review queue.`);
+}
+
+// Gets the rows of the [data] table that match the specified filters: a range of received dates
+// (inclusive; in "YYYY-MM-DD" format), a suburb (ignoring case) and text that must appear in the
+// description (ignoring case).
+
+async function getFilteredRows(database, filters: { from?: string, to?: string, suburb?: string, search?: string }) {
+    let filterClause = getFilterClause(filters);
+    return await getRows(database, `select * from [data]${filterClause.sql} order by [date_received], [council_reference]`, filterClause.parameters);
+}
+
+// Gets the SQL "where" clause (and its parameters) for the specified filters (see getFilteredRows).
+
+function getFilterClause(filters: { from?: string, to?: string, suburb?: string, search?: string }) {
+    let conditions: string[] = [];
+    let parameters: any[] = [];
+    if (filters.from !== undefined) {
+        conditions.push("[date_received] >= ?");
+        parameters.push(filters.from);
+    }
+    if (filters.to !== undefined) {
+        conditions.push("[date_received] <= ?");
+        parameters.push(filters.to);
+    }
+    if (filters.suburb !== undefined) {
+        conditions.push("upper([suburb]) = upper(?)");
+        parameters.push(filters.suburb);
+    }
+    if (filters.search !== undefined) {
+        conditions.push("[description] like ?");
+        parameters.push(`%${filters.search}%`);
+    }
+    return { sql: (conditions.length === 0) ? "" : " where " + conditions.join(" and "), parameters: parameters };
+}
+
+// Formats rows as a GeoJSON feature collection.  Each row is located using its latitude and
+// longitude or otherwise the centroid of its suburb (rows that cannot be located are omitted).
+
+function formatGeoJson(rows: any[]) {
+    let features = [];
+    for (let row of rows) {
+        let coordinates = (row.lat !== null && row.lng !== null) ? { latitude: row.lat, longitude: row.lng } : ((row.suburb !== null && row.suburb !== "") ? SuburbCoordinates[getGeocodingKey(row.suburb)] : undefined);
+        if (coordinates === undefined)
+            continue;
+        let properties = Object.assign({}, row);
+        delete properties.lat;
+        delete properties.lng;
+        features.push({
+            type: "Feature",
+            geometry: { type: "Point", coordinates: [ coordinates.longitude, coordinates.latitude ] },
+            properties: properties
+        });
+    }
+    return { text: JSON.stringify({ type: "FeatureCollection", features: features }, null, 4) + "\n", featureCount: features.length };
+}
+
+// Exports the [data] table (optionally filtered) to a CSV, JSON Lines or GeoJSON file.
+
+async function exportApplications(database, format: string, outputFilePath: string, filters: { from?: string, to?: string, suburb?: string, search?: string }) {
+    let rows = await getFilteredRows(database, filters);
+    if (format === "csv") {
+        let columnNames = (await getRows(database, "pragma table_info([data])", [])).map(row => row.name);
+        fs.writeFileSync(outputFilePath, formatCsv(columnNames, rows));
+    } else if (format === "jsonl")
+        fs.writeFileSync(outputFilePath, rows.map(row => JSON.stringify(row) + "\n").join(""));
+    else if (format === "geojson") {
+        let geoJson = formatGeoJson(rows);
+        fs.writeFileSync(outputFilePath, geoJson.text);
+        if (geoJson.featureCount < rows.length)
+            console.log(`Omitted ${rows.length - geoJson.featureCount} application(s) that have no coordinates and no suburb centroid (configure addressPointsFile or suburbCentroidsFile in config.json).`);
+        rows = rows.slice(0, geoJson.featureCount);
+    } else
+        throw new Error(`Unknown export format "${format}" (expected "csv", "jsonl" or "geojson").`);
+    console.log(`Exported ${rows.length} application(s) to: ${outputFilePath}`);
+}
+
+// Escapes text for inclusion in XML.
+
+function escapeXml(text: string) {
+    return (text || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Formats the most recently scraped applications as an Atom feed.
+
+function formatAtomFeed(rows: any[], baseUrl: string) {
+    let updated = (rows.length === 0) ? moment() : moment(rows[0].date_first_scraped, "YYYY-MM-DD");
+    let entries = rows.map(row => [
+        "    <entry>",
+        `        <id>${escapeXml(`${baseUrl}/applications/${encodeURIComponent(row.council_reference)}`)}</id>`,
+        `        <title>${escapeXml(`${row.council_reference}: ${row.address}`)}</title>`,
+        `        <link href="${escapeXml(row.info_url)}"/>`,
+        `        <updated>${moment(row.date_first_scraped, "YYYY-MM-DD").format("YYYY-MM-DDTHH:mm:ssZ")}</updated>`,
+        `        <summary>${escapeXml(`${row.description} (received ${row.date_received})`)}</summary>`,
+        "    </entry>"
+    ].join("\n"));
+    return [
+        "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+        "<feed xmlns=\"http://www.w3.org/2005/Atom\">",
+        "    <title>The Rural City of Murray Bridge Development Applications</title>",
+        `    <id>${escapeXml(`${baseUrl}/feed.atom`)}</id>`,
+        `    <link rel="self" href="${escapeXml(`${baseUrl}/feed.atom`)}"/>`,
+        `    <updated>${updated.format("YYYY-MM-DDTHH:mm:ssZ")}</updated>`,
+        "    <author><name>The Rural City of Murray Bridge</name></author>"
+    ].concat(entries).concat([ "</feed>" ]).join("\n") + "\n";
+}
+
+// Handles a request to the read-only HTTP API.  The supported paths are "/applications" (a page
+// of applications, optionally filtered by suburb, received date range and description keyword;
+// for example, "/applications?page=2&per_page=50&suburb=Murray Bridge&from=2016-01-01"),
+// "/applications/<council_reference>" (a single application; for example,
+// "/applications/123/2015") and "/feed.atom" (the most recently scraped applications).
+
+async function handleApiRequest(database, request: http.IncomingMessage, response: http.ServerResponse, baseUrl: string) {
+    let writeJson = (statusCode: number, value: any) => {
+        response.writeHead(statusCode, { "Content-Type": "application/json; charset=utf-8" });
+        response.end(JSON.stringify(value, null, 4) + "\n");
+    };
+
+    // Malformed percent-encoding in the path (for example, "/applications/%E0") and a repeated
+    // query parameter (for example, "?suburb=a&suburb=b", which is parsed as an array) are client
+    // errors rather than internal errors.
+
+    let parsedUrl = urlparser.parse(request.url, true);
+    let pathName: string;
+    try {
+        pathName = decodeURIComponent(parsedUrl.pathname).replace(/\/+$/, "");
+    } catch (error) {
+        pathName = undefined;
+    }
+    let query: any = parsedUrl.query;
+    let repeatedParameterName = Object.keys(query).find(name => Array.isArray(query[name]));
+    if (request.method !== "GET") {
+        writeJson(405, { error: `Method ${request.method} is not allowed.` });
+    } else if (pathName === undefined) {
+        writeJson(400, { error: `Path "${parsedUrl.pathname}" is not correctly encoded.` });
+    } else if (repeatedParameterName !== undefined) {
+        writeJson(400, { error: `Query parameter "${repeatedParameterName}" must not be repeated.` });
+    } else if (pathName === "/applications") {
+        let page = Math.max(1, Number(query.page) || 1);
+        let perPage = Math.min(500, Math.max(1, Number(query.per_page) || 100));
+        let filterClause = getFilterClause({ from: query.from, to: query.to, suburb: query.suburb, search: query.search });
+        let total = (await getRows(database, `select count(*) as [count] from [data]${filterClause.sql}`, filterClause.parameters))[0].count;
+        let rows = await getRows(database, `select * from [data]${filterClause.sql} order by [date_received] desc, [council_reference] limit ? offset ?`, filterClause.parameters.concat([ perPage, (page - 1) * perPage ]));
+        writeJson(200, { page: page, perPage: perPage, total: total, applications: rows });
+    } else if (pathName.startsWith("/applications/")) {
+        let councilReference = pathName.substring("/applications/".length);
+        let row = (await getRows(database, "select * from [data] where [council_reference] = ?", [ councilReference ]))[0];
+        if (row === undefined)
+            writeJson(404, { error: `Application "${councilReference}" was not found.` });
+        else
+            writeJson(200, row);
+    } else if (pathName === "/feed.atom") {
+        let rows = await getRows(database, "select * from [data] order by coalesce([date_first_scraped], [date_scraped]) desc, [council_reference] desc limit 50", []);
+        for (let row of rows)
+            row.date_first_scraped = row.date_first_scraped || row.date_scraped;
+        response.writeHead(200, { "Content-Type": "application/atom+xml; charset=utf-8" });
+        response.end(formatAtomFeed(rows, baseUrl));
+    } else
+        writeJson(404, { error: `Path "${pathName}" was not found.` });
+}
+
+// Starts a read-only HTTP API over the scraped applications.  The database is opened with a
+// separate read-only connection (which waits for the scraper to finish any write in progress).
+
+async function serveApplications(port: number) {
+    let database = await new Promise((resolve, reject) => {
+        let database = new sqlite3.Database("data.sqlite", sqlite3.OPEN_READONLY, error => error ? reject(error) : resolve(database));
+    });
+    (database as any).configure("busyTimeout", 5000);
+
+    let baseUrl = `http://localhost:${port}`;
+    let server = http.createServer((request, response) => {
+        handleApiRequest(database, request, response, baseUrl).catch(error => {
+            console.error(error);
+            if (!response.headersSent)
+                response.writeHead(500, { "Content-Type": "application/json; charset=utf-8" });
+            response.end(JSON.stringify({ error: "An internal error occurred." }) + "\n");
+        });
+    });
+    await new Promise((resolve, reject) => server.listen(port, resolve).on("error", reject));
+    console.log(`Serving applications at ${baseUrl}/applications (press Ctrl+C to stop).`);
+    await new Promise(resolve => server.on("close", resolve));
+}
+
+// Calculates the distance in metres between two points (using the haversine formula).
+
+function getDistance(latitude1: number, longitude1: number, latitude2: number, longitude2: number) {
+    let toRadians = (degrees: number) => degrees * Math.PI / 180;
+    let a = Math.pow(Math.sin(toRadians(latitude2 - latitude1) / 2), 2) + Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.pow(Math.sin(toRadians(longitude2 - longitude1) / 2), 2);
+    return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+
+// Determines whether a development application is in a watch zone (that is, whether it matches
+// any of the suburbs, streets or description keywords of the zone or is within the radius of the
+// point of the zone).
+
+function isInWatchZone(developmentApplication, watchZone: WatchZone) {
+    let isSame = (text1: string, text2: string) => (text1 || "").trim().toUpperCase() === (text2 || "").trim().toUpperCase();
+    let street = `${developmentApplication.streetName || ""} ${developmentApplication.streetType || ""}`;
+    if ((watchZone.suburbs || []).some(suburb => isSame(suburb, developmentApplication.suburb)))
+        return true;
+    if ((watchZone.streets || []).some(streetName => isSame(streetName, street) || isSame(streetName, developmentApplication.streetName)))
+        return true;
+    if ((watchZone.keywords || []).some(keyword => (developmentApplication.description || "").toUpperCase().includes(keyword.toUpperCase())))
+        return true;
+    return watchZone.point !== undefined && watchZone.radius !== undefined && developmentApplication.latitude !== null && developmentApplication.longitude !== null &&
+        getDistance(watchZone.point.latitude, watchZone.point.longitude, developmentApplication.latitude, developmentApplication.longitude) <= watchZone.radius;
+}
+
+// Formats a digest of the development applications in a watch zone as text or HTML.
+
+function formatDigest(watchZone: WatchZone, developmentApplications: any[], format: string) {
+    let title = `${developmentApplications.length} new development application(s) in ${watchZone.name}`;
+    if (format === "html") {
+        let items = developmentApplications.map(developmentApplication =>
+            `        <li><a href="${escapeXml(developmentApplication.informationUrl)}">${escapeXml(developmentApplication.applicationNumber)}</a>: ${escapeXml(developmentApplication.address)}<br>${escapeXml(developmentApplication.description)} (received ${escapeXml(developmentApplication.receivedDate)})</li>`);
+        return [ "<!DOCTYPE html>", "<html>", "<head>", "    <meta charset=\"utf-8\">", `    <title>${escapeXml(title)}</title>`, "</head>", "<body>", `    <h1>${escapeXml(title)}</h1>`, "    <ul>" ].concat(items).concat([ "    </ul>", "</body>", "</html>" ]).join("\n") + "\n";
+    }
+    return [ title, "" ].concat(developmentApplications.map(developmentApplication =>
+        `${developmentApplication.applicationNumber}: ${developmentApplication.address}\n    ${developmentApplication.description} (received ${developmentApplication.receivedDate})\n    ${developmentApplication.informationUrl}`)).join("\n") + "\n";
+}
+
+// Writes a digest for each watch zone that contains any of the development applications first seen
+// in the current run (and sends each digest by email if an SMTP server is configured).
+
+async function writeWatchZoneDigests(developmentApplications: any[]) {
+    if (Configuration.watchZones.length === 0 || developmentApplications.length === 0)
+        return;
+    if (IsDatabaseInitiallyEmpty) {
+        console.log(`Not writing the watch zone digests because the database was empty at the start of the run (so all ${developmentApplications.length} application(s) are new).`);
+        return;
+    }
+    if (!fs.existsSync(Configuration.digestDirectory))
+        fs.mkdirSync(Configuration.digestDirectory);
+
+    let transport = (Configuration.smtp === null) ? undefined : nodemailer.createTransport({
+        host: Configuration.smtp.host,
+        port: Configuration.smtp.port,
+        secure: Configuration.smtp.secure,
+        auth: (process.env.MORPH_SMTP_USER === undefined) ? undefined : { user: process.env.MORPH_SMTP_USER, pass: process.env.MORPH_SMTP_PASSWORD }
+    });
+
+    let format = (Configuration.digestFormat === "html") ? "html" : "text";
+    for (let watchZone of Configuration.watchZones as WatchZone[]) {
+        let matchingApplications = developmentApplications.filter(developmentApplication => isInWatchZone(developmentApplication, watchZone));
+        if (matchingApplications.length === 0) {
+            console.log(`No new development applications were found in watch zone "${watchZone.name}".`);
+            continue;
+        }
+
+        let digest = formatDigest(watchZone, matchingApplications, format);
+        let digestFilePath = path.join(Configuration.digestDirectory, `${moment().format("YYYY-MM-DD")} ${watchZone.name.replace(/[^A-Za-z0-9]+/g, " ").trim()}.${(format === "html") ? "html" : "txt"}`);
+        fs.writeFileSync(digestFilePath, digest);
+        console.log(`Wrote a digest of ${matchingApplications.length} new development application(s) in watch zone "${watchZone.name}" to: ${digestFilePath}`);
+
+        if (transport !== undefined) {
+            // A failure to send one digest (for example, a rejected recipient) is logged and does
+            // not prevent the digests of the remaining watch zones from being sent (the digest
+            // file has already been written so it can still be sent by hand).
+
+            let recipients = watchZone.recipients || Configuration.smtp.to;
+            try {
+                await transport.sendMail({
+                    from: Configuration.smtp.from,
+                    to: recipients,
+                    subject: `${matchingApplications.length} new development application(s) in ${watchZone.name}`,
+                    text: (format === "text") ? digest : undefined,
+                    html: (format === "html") ? digest : undefined
+                });
+                console.log(`Sent the digest for watch zone "${watchZone.name}" to: ${[].concat(recipients).join(", ")}`);
+            } catch (error) {
+                console.log(`Could not send the digest for watch zone "${watchZone.name}" to ${[].concat(recipients).join(", ")}: ${error.message}`);
+            }
+        }
+    }
+}
+
+// Orders the PDF URLs so that the most recent PDF (the first PDF on the council web site) is always
+// checked first, followed by the PDFs that have never been checked (in the order that they appear
+// on the council web site) and then the PDFs that were checked longest ago.  This ensures that new
+// applications are found promptly and that all PDFs are eventually checked within a predictable
+// number of runs.  Note that a failed check is recorded as a check so that a PDF that cannot be
+// read or parsed does not hold up the remaining PDFs.
+
+async function schedulePdfUrls(database, pdfUrls: string[]) {
+    let dateCheckedByUrl = {};
+    for (let row of await getRows(database, "select [url], [date_checked] from [documents]", []))
+        dateCheckedByUrl[row.url] = row.date_checked;
+
+    let olderPdfUrls = pdfUrls.slice(1);
+    let newPdfUrls = olderPdfUrls.filter(pdfUrl => !dateCheckedByUrl[pdfUrl]);
+    let checkedPdfUrls = olderPdfUrls.filter(pdfUrl => dateCheckedByUrl[pdfUrl]);
+    let dateComparer = (a, b) => (dateCheckedByUrl[a] > dateCheckedByUrl[b]) ? 1 : ((dateCheckedByUrl[a] < dateCheckedByUrl[b]) ? -1 : (pdfUrls.indexOf(a) - pdfUrls.indexOf(b)));
+    checkedPdfUrls.sort(dateComparer);
+    return pdfUrls.slice(0, 1).concat(newPdfUrls, checkedPdfUrls);
+}
+
+// Parses the development applications.
+
+async function main() {
+    let commandLine = parseCommandLine(process.argv.slice(2));
+    if (commandLine.command !== undefined && ![ "parse", "dump-fixtures", "test-fixtures", "quarantine", "rebuild-gazetteer", "review", "history", "missing", "export", "serve", "compare-preprocessing" ].includes(commandLine.command))
+        throw new Error(`Unknown command "${commandLine.command}".`);
+
+    // Read the configuration.
+
+    readConfiguration();
+
+    // Read all street, street suffix, suburb, state and post code information.
+
+    readAddressInformation();
+
+    // Read the address points and suburb centroids used to geocode addresses (if configured).
+
+    if (Configuration.addressPointsFile || Configuration.suburbCentroidsFile)
+        readGeocodingInformation(Configuration.addressPointsFile, Configuration.suburbCentroidsFile);
+
+    // Rebuild the street names and suburb names from a gazetteer extract (for example, "node
+    // scraper.js rebuild-gazetteer Roads.csv Localities.geojson --dry-run").
+
+    if (commandLine.command === "rebuild-gazetteer") {
+        if (commandLine.arguments.length === 0)
+            throw new Error("Specify the gazetteer extract of road names (and, optionally, the gazetteer extract of localities).");
+        rebuildGazetteer(commandLine.arguments[0], commandLine.arguments[1], commandLine.options);
+        return;
+    }
+
+    // Dump the groups of elements parsed from local PDF documents to fixture files (for example,
+    // "node scraper.js dump-fixtures Registers/DevAppMay2016.pdf --output=fixtures") or test the
+    // parser against those fixture files (for example, "node scraper.js test-fixtures fixtures").
+
+    if (commandLine.command === "dump-fixtures") {
+        await dumpFixtures(getLocalPdfUrls(commandLine.arguments), commandLine.options["output"] || "fixtures");
+        return;
+    } else if (commandLine.command === "test-fixtures") {
+        if (!testFixtures(commandLine.arguments[0] || "fixtures"))
+            process.exitCode = 1;
+        return;
+    }
+
+    // Compare the OCR results of local PDF documents with and without each preprocessing step (for
+    // example, "node scraper.js compare-preprocessing Registers/DevAppMay2016.pdf" or "node
+    // scraper.js compare-preprocessing Registers --steps=deskew,binarize").
+
+    if (commandLine.command === "compare-preprocessing") {
+        await comparePreprocessing(getLocalPdfUrls(commandLine.arguments), (commandLine.options["steps"] === undefined) ? PreprocessingSteps : commandLine.options["steps"].split(","));
+        return;
+    }
+
+    // Serve the applications over a read-only HTTP API (for example, "node scraper.js serve
+    // --port=8080").  This is done before the database is set up so that serving the applications
+    // never modifies the database.
+
+    if (commandLine.command === "serve") {
+        await serveApplications(Number(commandLine.options["port"] || 8080));
+        return;
+    }
+
+    // Ensure that the database exists.
+
+    let database = await initializeDatabase();
+
+    // List the quarantined applications (for example, "node scraper.js quarantine list") or parse
+    // them again (for example, "node scraper.js quarantine reparse" or "node scraper.js quarantine
+    // reparse --id=12").
+
+    if (commandLine.command === "quarantine") {
+        if (commandLine.arguments[0] === undefined || commandLine.arguments[0] === "list")
+            await listQuarantinedApplications(database);
+        else if (commandLine.arguments[0] === "reparse") {
+            await reparseQuarantinedApplications(database, (commandLine.options["id"] === undefined) ? undefined : Number(commandLine.options["id"]));
+            await writeWatchZoneDigests(NewApplications);
+        } else
+            throw new Error(`Unknown quarantine command "${commandLine.arguments[0]}".`);
+        return;
+    }
+
+    // List the applications that have a field with a low confidence (for example, "node scraper.js
+    // review list") or export them for review (for example, "node scraper.js review export
+    // --output=review.csv").
+
+    if (commandLine.command === "review") {
+        if (commandLine.arguments[0] !== undefined && commandLine.arguments[0] !== "list" && commandLine.arguments[0] !== "export")
+            throw new Error(`Unknown review command "${commandLine.arguments[0]}".`);
+        await reviewApplications(database, commandLine.arguments[0], commandLine.options["output"] || "review.csv");
+        return;
+    }
+
+    // Show the history of changes to an application (for example, "node scraper.js history
+    // 123/2015").
+
+    if (commandLine.command === "history") {
+        if (commandLine.arguments[0] === undefined)
+            throw new Error("An application number must be specified.");
+        await showHistory(database, commandLine.arguments[0]);
+        return;
+    }
+
+    // Report the applications that appear to be missing from the parsed documents (for example,
+    // "node scraper.js missing" or "node scraper.js missing Registers/DevAppMay2016.pdf").
+
+    if (commandLine.command === "missing") {
+        let documentUrl = commandLine.arguments[0];
+        if (documentUrl !== undefined && !/^(https?|file):/i.test(documentUrl))
+            documentUrl = getFileUrl(documentUrl);
+        await reportMissingApplications(database, documentUrl);
+        return;
+    }
+
+    // Export the applications to a file (for example, "node scraper.js export --format=geojson
+    // --output=applications.geojson --from=2016-01-01 --to=2016-12-31 --suburb=Murray Bridge
+    // --search=dwelling").
+
+    if (commandLine.command === "export") {
+        let format = commandLine.options["format"] || "csv";
+        await exportApplications(database, format, commandLine.options["output"] || `applications.${format}`, {
+            from: commandLine.options["from"],
+            to: commandLine.options["to"],
+            suburb: commandLine.options["suburb"],
+            search: commandLine.options["search"]
+        });
+        return;
+    }
+
+    // Parse local PDF documents (instead of the PDFs on the council web site) if requested.  For
+    // example, "node scraper.js parse Registers/DevAppMay2016.pdf" or "node scraper.js parse
+    // Registers".  Specify "--debug" (or, for example, "--debug=overlays") to write a debug overlay
+    // of each page to the "debug" directory (or the specified directory).
+
+    let debugDirectory = (commandLine.options["debug"] === "true") ? "debug" : commandLine.options["debug"];
+    if (commandLine.command === "parse") {
+        let pdfUrls = getLocalPdfUrls(commandLine.arguments);
+        if (pdfUrls.length === 0) {
+            console.log("No local PDF files were specified or found.");
+            return;
+        }
+        console.log(`Found ${pdfUrls.length} local PDF file(s).`);
+        for (let pdfUrl of pdfUrls)
+            await parsePdfAndInsertRows(database, pdfUrl, await readPdf(pdfUrl), debugDirectory);
+        await writeWatchZoneDigests(NewApplications);
+        return;
+    }
+
+    // Retrieve the pages that contain the links to the PDFs.
+
+    let pdfUrls = await getPdfUrls();
     if (pdfUrls.length === 0) {
         console.log("No PDF URLs were found on the page.");
         return;
     }
     console.log(`Found ${pdfUrls.length} PDF URL(s).`);
 
-    // Select the most recent PDF.  And randomly select one other PDF (avoid processing all PDFs
-    // at once because this may use too much memory, resulting in morph.io terminating the current
-    // process).
-
-    let selectedPdfUrls: string[] = [];
-    selectedPdfUrls.push(pdfUrls.shift());
-    if (pdfUrls.length > 0)
-        selectedPdfUrls.push(pdfUrls[getRandom(0, pdfUrls.length)]);
-    if (getRandom(0, 2) === 0)
-        selectedPdfUrls.reverse();
+    // Check the PDFs in the scheduled order, parsing any PDF that is new or that has changed since
+    // it was last parsed (as determined by a hash of its content).  Unchanged PDFs are skipped
+    // unless the "--force" option is specified (or the "--debug" option, because a debug overlay
+    // is only written when a PDF is parsed).  Limit the number of PDFs that are parsed (to avoid
+    // using too much memory) and checked (to avoid downloading every PDF on every run).  Each PDF
+    // is parsed as soon as it is found to have changed, so only one PDF is held in memory at a
+    // time, and checking stops once the parse limit is reached (any other changed PDFs are found
+    // on a later run).  A PDF that cannot be read or parsed is recorded as checked so that it does
+    // not stay at the front of the schedule on every run.
+
+    let hashByUrl = {};
+    for (let row of await getRows(database, "select [url], [hash] from [documents]", []))
+        hashByUrl[row.url] = row.hash;
+
+    let parsedPdfCount = 0;
+    let checkedPdfCount = 0;
+    for (let pdfUrl of await schedulePdfUrls(database, pdfUrls)) {
+        if (parsedPdfCount >= MaximumParsedPdfCount || checkedPdfCount >= MaximumCheckedPdfCount)
+            break;
 
-    for (let pdfUrl of selectedPdfUrls) {
-        console.log(`Parsing document: ${pdfUrl}`);
-        let developmentApplications = await parsePdf(pdfUrl);
-        console.log(`Parsed ${developmentApplications.length} development application(s) from document: ${pdfUrl}`);
+        console.log(`Checking document: ${pdfUrl}`);
+        checkedPdfCount++;
+        let hash: string = null;
+        try {
+            let buffer = await readPdf(pdfUrl);
+            hash = getPdfHash(buffer);
+            if (hashByUrl[pdfUrl] === hash && commandLine.options["force"] === undefined && debugDirectory === undefined) {
+                console.log(`Skipping document because it has not changed since it was last parsed: ${pdfUrl}`);
+                await updateDocument(database, pdfUrl, hash, false);
+                continue;
+            }
 
-        // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in the
-        // current process being terminated by morph.io).
+            parsedPdfCount++;
+            let result = await parsePdfAndInsertRows(database, pdfUrl, buffer, debugDirectory);
+            await updateDocument(database, pdfUrl, hash, true, result.developmentApplications.length, result.recordCount);
+        } catch (error) {
+            console.log(`Could not ${(hash === null) ? "read" : "parse"} document ${pdfUrl}: ${error.message}`);
+            await updateDocument(database, pdfUrl, hash, false);
+        }
+    }
 
-        if (global.gc)
-            global.gc();
+    // Write a digest of the new applications in each watch zone.
 
-        console.log(`Inserting development applications into the database.`);
-        for (let developmentApplication of developmentApplications)
-            await insertRow(database, developmentApplication);
-    }
+    await writeWatchZoneDigests(NewApplications);
 }
 
-main().then(() => console.log("Complete.")).catch(error => console.error(error));
+main().then(() => console.log("Complete.")).catch(error => console.error(error)).finally(() => terminateOcrWorkers());